@@ -1,6 +1,6 @@
 import 'dotenv/config';
 import { startBot } from './src/bot.js';
-import { setupDatabase } from './src/database/index.js';
+import { setupDatabase, flushScheduledWrite } from './src/database/index.js';
 
 async function main() {
   // Initialize database
@@ -21,6 +21,18 @@ process.on('unhandledRejection', (err) => {
   console.error('Unhandled Promise Rejection:', err);
 });
 
+// Save deferred writes (quota and usage counters) before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    try {
+      await flushScheduledWrite();
+    } catch (err) {
+      console.error('Error saving database on shutdown:', err);
+    }
+    process.exit(0);
+  });
+}
+
 // Start the application
 main().catch(err => {
   console.error('Startup error:', err);
@@ -5,15 +5,21 @@ import path from 'path';
 import fs from 'fs';
 import qrcode from 'qrcode-terminal';
 import { getDb } from './database/index.js';
-import { processMessage } from './handlers/messageHandler.js';
+import { processMessage, processMessageRevision, processStatusBroadcast } from './handlers/messageHandler.js';
+import { processGroupParticipantsUpdate } from './handlers/groupEventHandler.js';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import { generateGroupIntroduction } from './services/contextService.js';
-import { calculateResponseDelay } from './utils/messageUtils.js';
+import { calculateResponseDelay, attachUserIdentityStore } from './utils/messageUtils.js';
 // Import API logging service
 import { cleanupOldLogs } from './services/apiLogService.js';
 // Import message batching service
 import { handlePersonalChatMessage, handleGroupChatMessage, handleGroupPresenceUpdate, handleTypingUpdate } from './services/messageBatchingService.js';
+import { recordReaction } from './services/reactionService.js';
+import { runStatusTasks } from './services/statusService.js';
+import { deliverDueReminders } from './services/reminderService.js';
+import { expireTimeBoundFacts } from './services/factValidityService.js';
+import { mergeLinkedIds } from './services/identityService.js';
 import { makeWASocket } from '@whiskeysockets/baileys';
 
 // Get current directory
@@ -29,6 +35,15 @@ let sock = null;
 // Reconnection attempts counter
 let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 5;
+// Status expiry and the bot's own status posts are checked hourly
+const STATUS_TASK_INTERVAL_MS = 60 * 60 * 1000;
+let statusTaskTimer = null;
+// Due reminders are checked every 30 seconds
+const REMINDER_CHECK_INTERVAL_MS = 30 * 1000;
+let reminderTimer = null;
+// Time-bounded facts ("sakit hari ini") are moved to history hourly once they expire
+const FACT_EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+let factExpiryTimer = null;
 
 const startBot = async () => {
   try {
@@ -37,6 +52,9 @@ const startBot = async () => {
     
 
     
+    // Use the stored user identity map; a group ID found to belong to a known number gets its data merged
+    attachUserIdentityStore(getDb().data.userIdentities, (personalId, groupId) => mergeLinkedIds(getDb(), personalId, groupId));
+    
     // Make sure the session directory exists
     if (!fs.existsSync(SESSION_DIR)) {
       fs.mkdirSync(SESSION_DIR, { recursive: true });
@@ -68,7 +86,8 @@ const startBot = async () => {
       markOnlineOnConnect: true, // Mark as online when connected
       syncFullHistory: false, // Don't sync full history on connect (performance)
       fireInitQueries: true, // Fire initial queries for better connection
-      shouldIgnoreJid: jid => isJidBroadcast(jid), // Ignore broadcast messages
+      // Ignore broadcast messages, except statuses when status tracking is enabled
+      shouldIgnoreJid: jid => isJidBroadcast(jid) && !(jid === 'status@broadcast' && getDb().data.config.statusTrackingEnabled),
       patchMessageBeforeSending: (msg) => {
         // Ensure messages have proper structure
         const requiresPatch = !!(
@@ -228,6 +247,27 @@ const startBot = async () => {
           }
         }, 24 * 60 * 60 * 1000); // 24 hours
         
+        // Expire contact statuses and post the bot's own status when due; the timer survives reconnects
+        runStatusTasks(sock);
+        if (!statusTaskTimer) {
+          statusTaskTimer = setInterval(() => runStatusTasks(sock), STATUS_TASK_INTERVAL_MS);
+        }
+        
+        // Deliver reminders that came due while offline, then keep checking
+        deliverDueReminders(sock, getDb()).catch(error => console.error('Error delivering reminders:', error));
+        if (!reminderTimer) {
+          reminderTimer = setInterval(() => {
+            deliverDueReminders(sock, getDb()).catch(error => console.error('Error delivering reminders:', error));
+          }, REMINDER_CHECK_INTERVAL_MS);
+        }
+        
+        // Expire facts that only held for a while
+        if (!factExpiryTimer) {
+          factExpiryTimer = setInterval(() => {
+            expireTimeBoundFacts(getDb()).catch(error => console.error('Error expiring facts:', error));
+          }, FACT_EXPIRY_INTERVAL_MS);
+        }
+        
         // Store the bot's ID in environment variable for use in other parts of the app
         try {
           // Get the bot's JID from the connection
@@ -259,10 +299,20 @@ const startBot = async () => {
     sock.ev.on('messages.upsert', async ({ messages, type }) => {
       if (type === 'notify') {
         for (const message of messages) {
-          if (!message.key.fromMe && message.message) {
+          // Reactions arrive again as messages.reaction events and are handled there
+          if (!message.key.fromMe && message.message && !message.message.reactionMessage) {
             console.log(JSON.stringify(message, null, 2));
-            // Note: status@broadcast messages are filtered out in messageHandler.js
-            // TODO: Add dedicated handler for status@broadcast if status interaction is needed
+            
+            // Status updates are recorded, never answered
+            if (message.key.remoteJid === 'status@broadcast') {
+              await processStatusBroadcast(sock, message);
+              continue;
+            }
+            
+            // Edits and deletions update what was stored; they are not new messages
+            if (await processMessageRevision(sock, message)) {
+              continue;
+            }
             
             // Determine chat type and route accordingly
             const chatId = message.key.remoteJid;
@@ -280,6 +330,21 @@ const startBot = async () => {
       }
     });
 
+    // Store reactions on the bot's messages as feedback
+    sock.ev.on('messages.reaction', async (reactions) => {
+      const db = getDb();
+      for (const event of reactions) {
+        try {
+          const result = await recordReaction(db, event, sock);
+          if (result.success) {
+            console.log(chalk.cyan(`[REACTION][${new Date().toISOString()}] ${result.message}`));
+          }
+        } catch (error) {
+          console.error(chalk.red(`[REACTION][${new Date().toISOString()}] Error storing reaction:`), error);
+        }
+      }
+    });
+
     // Handle typing indicators for message batching and group presence monitoring
     sock.ev.on('presence.update', async (update) => {
       
@@ -386,6 +451,9 @@ const startBot = async () => {
         } catch (error) {
           console.error(chalk.red(`[GROUP UPDATE][${new Date().toISOString()}] Error handling bot added to group:`), error);
         }
+      } else {
+        // Other members joining, leaving or changing role
+        await processGroupParticipantsUpdate(sock, update);
       }
     });
 
@@ -1,22 +1,42 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLowdbStorage } from './lowdbStorage.js';
+import { createSqliteStorage } from './sqliteStorage.js';
+import { migrateJsonToSqlite } from './migrateJsonToSqlite.js';
+import { CURRENT_SCHEMA_VERSION, getSchemaVersion, getPendingMigrations, runMigrations, backupDatabase } from './migrations.js';
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const dbDir = path.join(__dirname, '../../data');
-const dbFile = path.join(dbDir, 'db.json');
+/**
+ * Resolve where the data lives; DATA_DIR moves the whole data directory (e.g. to a temp dir in tests)
+ * @returns {Object} - { dbDir, dbFile, sqliteFile, backupDir }
+ */
+function resolveDataPaths() {
+  const dbDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
+  return {
+    dbDir,
+    dbFile: path.join(dbDir, 'db.json'),
+    sqliteFile: process.env.SQLITE_FILE || path.join(dbDir, 'db.sqlite'),
+    backupDir: path.join(dbDir, 'backups')
+  };
+}
+
+// Storage backends: lowdb (single JSON file, default) or sqlite (per-collection tables)
+const STORAGE_BACKENDS = ['lowdb', 'sqlite'];
 
 // Initial database structure
 const defaultData = {
+  // New databases start with every migration applied
+  schemaVersion: CURRENT_SCHEMA_VERSION,
   config: {
     botName: process.env.BOT_NAME || 'Qi',
     botId: process.env.BOT_ID || '',
     language: process.env.LANGUAGE || 'id',
     defaultProvider: process.env.DEFAULT_PROVIDER || 'openrouter',
-    model: process.env.DEFAULT_MODEL || 'anthropic/claude-3-opus-20240229',
+    model: (process.env.DEFAULT_PROVIDER === 'local' && process.env.LOCAL_MODEL) || process.env.DEFAULT_MODEL || 'anthropic/claude-3-opus-20240229',
     moodChangeProbability: parseFloat(process.env.MOOD_CHANGE_PROBABILITY || 0.15),
     personality: process.env.DEFAULT_PERSONALITY || 'friendly',
     geminiApiKey: process.env.GEMINI_API_KEY || '',
@@ -26,10 +46,27 @@ const defaultData = {
     // Enhanced context settings
     maxContextMessages: parseInt(process.env.MAX_CONTEXT_MESSAGES || 100),
     maxRelevantMessages: parseInt(process.env.MAX_RELEVANT_MESSAGES || 20),
+    // Summarize messages trimmed from the history into chunk, daily and weekly summaries
+    conversationSummariesEnabled: process.env.CONVERSATION_SUMMARIES_ENABLED !== 'false',
     enhancedMemoryEnabled: process.env.ENHANCED_MEMORY_ENABLED !== 'false',
     dynamicFactExtractionEnabled: process.env.DYNAMIC_FACT_EXTRACTION_ENABLED !== 'false',
+    // How a fact that contradicts a stored one is settled (newest, confidence, ask)
+    factConflictPolicy: process.env.FACT_CONFLICT_POLICY || 'newest',
     apiLoggingEnabled: process.env.API_LOGGING_ENABLED !== 'false',
     apiLogRetentionDays: parseInt(process.env.API_LOG_RETENTION_DAYS || 7),
+    streamingEnabled: process.env.STREAMING_ENABLED !== 'false',
+    semanticMemoryEnabled: process.env.SEMANTIC_MEMORY_ENABLED !== 'false',
+    voiceTranscriptionEnabled: process.env.VOICE_TRANSCRIPTION_ENABLED !== 'false',
+    documentQaEnabled: process.env.DOCUMENT_QA_ENABLED !== 'false',
+    // Let response determination answer some messages with an emoji reaction instead of a reply
+    reactionResponsesEnabled: process.env.REACTION_RESPONSES_ENABLED !== 'false',
+    // WhatsApp statuses: record contacts' statuses (opt-in), mention them in private chat, post the bot's own
+    statusTrackingEnabled: process.env.STATUS_TRACKING_ENABLED === 'true',
+    statusMentionsEnabled: process.env.STATUS_MENTIONS_ENABLED !== 'false',
+    statusPostingEnabled: process.env.STATUS_POSTING_ENABLED === 'true',
+    statusPostIntervalHours: parseInt(process.env.STATUS_POST_INTERVAL_HOURS || 24),
+    // Reply as text, voice notes, or voice notes only to voice notes (text, voice, mirror)
+    replyMode: process.env.DEFAULT_REPLY_MODE || 'text',
     // Tool settings
     toolSettings: {}
   },
@@ -49,168 +86,156 @@ const defaultData = {
   globalFacts: {
     facts: {},
     factHistory: []
+  },
+  permissions: {
+    roles: {},
+    commandRoles: {}
+  },
+  quotaUsage: {},
+  usageStats: {},
+  userPreferences: {},
+  chatDocuments: {},
+  messageFeedback: {},
+  contactStatuses: {},
+  reminders: {},
+  conversationSummaries: {},
+  userIdentities: {},
+  vectorIndex: {
+    entries: {}
   }
 };
 
 // Initialize database
 let db;
 
-async function setupDatabase() {
+/**
+ * Open the configured storage backend, load the data and apply pending schema migrations
+ * @param {Object} options - { dryRun: only report the migrations that would run, write nothing }
+ * @returns {Promise<Object>} - Database instance (data, read(), write())
+ */
+async function setupDatabase(options = {}) {
+  const { dryRun = false } = options;
+  const { dbDir, dbFile, sqliteFile, backupDir } = resolveDataPaths();
+
   try {
     // Make sure the data directory exists
     if (!fs.existsSync(dbDir)) {
       fs.mkdirSync(dbDir, { recursive: true });
     }
 
-    // Create database file if it doesn't exist
-    if (!fs.existsSync(dbFile)) {
-      fs.writeFileSync(dbFile, JSON.stringify(defaultData, null, 2));
+    const backend = (process.env.STORAGE_BACKEND || 'lowdb').toLowerCase();
+    if (!STORAGE_BACKENDS.includes(backend)) {
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${STORAGE_BACKENDS.join(', ')}`);
     }
 
-    // Import lowdb dynamically (ESM module)
-    const lowdb = await import('lowdb');
-    const { Low } = lowdb;
-    const { JSONFile } = await import('lowdb/node');
+    if (backend === 'sqlite') {
+      // First start on SQLite: bring over the existing JSON database once
+      if (!fs.existsSync(sqliteFile) && fs.existsSync(dbFile)) {
+        if (dryRun) {
+          throw new Error(`${sqliteFile} does not exist yet. Run "npm run migrate:sqlite" before a dry run.`);
+        }
+        console.log(`Migrating ${dbFile} to SQLite...`);
+        const migration = await migrateJsonToSqlite(dbFile, sqliteFile);
+        if (!migration.success) {
+          throw new Error(migration.message);
+        }
+        console.log(migration.message);
+      }
 
-    // Initialize LowDB with adapter
-    const adapter = new JSONFile(dbFile);
-    
-    // In newer versions of lowdb, we need to pass the defaultData directly
-    db = new Low(adapter, defaultData);
+      db = await createSqliteStorage(sqliteFile, defaultData);
+    } else {
+      db = await createLowdbStorage(dbFile, defaultData);
+    }
 
-    // Read data from JSON file
+    // Load all data into db.data
     await db.read();
 
-    // Make sure all required fields exist
-    ensureDataStructure();
-
-    // Save any changes
-    await db.write();
+    await migrateSchema(dryRun, backupDir);
 
     return db;
   } catch (error) {
-    console.error('Error setting up database:', error);
+    console.error('Error setting up database:', error.message);
     throw error;
   }
 }
 
-function ensureDataStructure() {
-  // Ensure all required fields exist in the database
-  if (!db.data.config) db.data.config = defaultData.config;
-  if (!db.data.state) db.data.state = defaultData.state;
-  if (!db.data.conversations) db.data.conversations = {};
-  if (!db.data.contextMemory) db.data.contextMemory = [];
-  if (!db.data.participantsRegistry) db.data.participantsRegistry = {};
-  if (!db.data.imageAnalysis) db.data.imageAnalysis = {};
-  if (!db.data.topicMemory) db.data.topicMemory = {};
-  if (!db.data.imageEmbeddings) db.data.imageEmbeddings = {};
-  
-  // Ensure new memory structures exist
-  if (!db.data.userFacts) db.data.userFacts = {};
-  if (!db.data.globalFacts) {
-    db.data.globalFacts = {
-      facts: {},
-      factHistory: []
-    };
-  }
-  
-  // Ensure API logs structure exists
-  if (!db.data.apiLogs) {
-    db.data.apiLogs = [];
-  }
-  
-  // Manual memory structure verification
-  // Verify userFacts structure
-  Object.entries(db.data.userFacts || {}).forEach(([userId, userFact]) => {
-    if (!userFact.facts) userFact.facts = {};
-    if (!userFact.factHistory) userFact.factHistory = [];
-  });
-  
-  // Verify imageEmbeddings structure
-  if (!db.data.imageEmbeddings) {
-    db.data.imageEmbeddings = {};
-  }
-  
-  // Ensure config fields are present
-  if (db.data.config.geminiApiKey === undefined) {
-    db.data.config.geminiApiKey = process.env.GEMINI_API_KEY || '';
-  }
-  
-  if (db.data.config.togetherApiKey === undefined) {
-    db.data.config.togetherApiKey = process.env.TOGETHER_API_KEY || '';
-  }
-  
-  if (db.data.config.openrouterApiKey === undefined) {
-    db.data.config.openrouterApiKey = process.env.OPENROUTER_API_KEY || '';
-  }
-  
-  // Ensure enhanced context settings are present
-  if (db.data.config.maxContextMessages === undefined) {
-    db.data.config.maxContextMessages = parseInt(process.env.MAX_CONTEXT_MESSAGES || 100);
-  }
-  
-  if (db.data.config.maxRelevantMessages === undefined) {
-    db.data.config.maxRelevantMessages = parseInt(process.env.MAX_RELEVANT_MESSAGES || 20);
-  }
-  
-  if (db.data.config.enhancedMemoryEnabled === undefined) {
-    db.data.config.enhancedMemoryEnabled = process.env.ENHANCED_MEMORY_ENABLED !== 'false';
-  }
-  
-  // Add new dynamic fact extraction setting
-  if (db.data.config.dynamicFactExtractionEnabled === undefined) {
-    db.data.config.dynamicFactExtractionEnabled = process.env.DYNAMIC_FACT_EXTRACTION_ENABLED !== 'false';
+// Apply pending migrations, backing up the data first; refuses data from a newer version
+async function migrateSchema(dryRun, backupDir) {
+  if (dryRun) {
+    const preview = runMigrations(db.data, defaultData, { dryRun: true });
+    if (!preview.success) {
+      throw new Error(preview.message);
+    }
+    console.log(preview.message);
+    preview.applied.forEach(migration => {
+      const changes = migration.changedKeys.length > 0 ? migration.changedKeys.join(', ') : 'no changes';
+      console.log(`  ${migration.version}. ${migration.description}: ${changes}`);
+    });
+    return preview;
   }
-  
-  // Add API logging settings
-  if (db.data.config.apiLoggingEnabled === undefined) {
-    db.data.config.apiLoggingEnabled = process.env.API_LOGGING_ENABLED !== 'false';
+
+  if (getSchemaVersion(db.data) > CURRENT_SCHEMA_VERSION || getPendingMigrations(db.data).length === 0) {
+    // runMigrations reports data from a newer version without touching it
+    const result = runMigrations(db.data, defaultData);
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+    return result;
   }
-  
-  if (db.data.config.apiLogRetentionDays === undefined) {
-    db.data.config.apiLogRetentionDays = parseInt(process.env.API_LOG_RETENTION_DAYS || 7);
+
+  const backupFile = await backupDatabase(db.data, backupDir);
+  console.log(`Backed up database to ${backupFile}`);
+
+  const result = runMigrations(db.data, defaultData);
+  if (!result.success) {
+    // Nothing has been written yet, so the stored data is still at the old version
+    throw new Error(`${result.message}. The database was not changed; a backup is at ${backupFile}`);
   }
-  
-  // Add tool settings
-  if (db.data.config.toolSettings === undefined) {
-    db.data.config.toolSettings = {};
+
+  await db.write();
+  console.log(result.message);
+  return result;
+}
+
+// Bookkeeping that changes on every request (quota counters, token usage, the vector index)
+// is saved with a deferred write instead of one write per change
+const DEFERRED_WRITE_DELAY_MS = 5000;
+let deferredWriteTimer = null;
+
+/**
+ * Save the database shortly instead of right away; changes made in the meantime share one write.
+ * Any regular write() in between saves them too.
+ * @param {number} delayMs - Delay before writing
+ */
+function scheduleWrite(delayMs = DEFERRED_WRITE_DELAY_MS) {
+  if (deferredWriteTimer || !db) {
+    return;
   }
-  
-  // Ensure existing conversations have the updated structure
-  Object.entries(db.data.conversations).forEach(([chatId, chat]) => {
-    // Add chatType if missing
-    if (!chat.chatType) {
-      chat.chatType = chatId.endsWith('@g.us') ? 'group' : 'private';
-    }
-    
-    // Add chatName if missing
-    if (!chat.chatName) {
-      chat.chatName = chatId.endsWith('@g.us') ? 'Group Chat' : 'Private Chat';
-    }
-    
-    // Add introduction tracking fields for groups
-    if (chatId.endsWith('@g.us')) {
-      if (chat.hasIntroduced === undefined) {
-        chat.hasIntroduced = false;
-      }
-      if (!chat.lastIntroduction) {
-        chat.lastIntroduction = null;
-      }
-    }
-    
-    // Update participants structure if needed
-    if (chat.participants) {
-      Object.entries(chat.participants).forEach(([participantId, participant]) => {
-        if (!participant.lastActive) {
-          participant.lastActive = participant.firstSeen || new Date().toISOString();
-        }
-        
-        if (!participant.lastMessage) {
-          participant.lastMessage = '';
-        }
-      });
+
+  deferredWriteTimer = setTimeout(async () => {
+    deferredWriteTimer = null;
+    try {
+      await db.write();
+    } catch (error) {
+      console.error('Error saving database:', error.message);
     }
-  });
+  }, delayMs);
+  // A pending deferred write doesn't keep the process alive; flushScheduledWrite() saves it on shutdown
+  deferredWriteTimer.unref();
+}
+
+/**
+ * Run a pending deferred write now
+ * @returns {Promise<void>}
+ */
+async function flushScheduledWrite() {
+  if (!deferredWriteTimer) {
+    return;
+  }
+
+  clearTimeout(deferredWriteTimer);
+  deferredWriteTimer = null;
+  await db.write();
 }
 
 // Get the database instance
@@ -221,4 +246,4 @@ function getDb() {
   return db;
 }
 
-export { setupDatabase, getDb };
\ No newline at end of file
+export { STORAGE_BACKENDS, DEFERRED_WRITE_DELAY_MS, setupDatabase, getDb, scheduleWrite, flushScheduledWrite };
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * lowdb storage backend
+ * Everything in one JSON file, rewritten on every write(). Simple and dependency-light,
+ * fine for small installs; busy bots should use the SQLite backend.
+ *
+ * The vector index is the exception: its entries carry a vector of hundreds of numbers each, so it
+ * lives in its own file next to the database (db.vectors.json) and is only rewritten when an entry
+ * was added, replaced or removed. Entries are never changed in place, which is what makes watching
+ * those three operations enough.
+ */
+
+import fs from 'fs';
+
+/**
+ * Path of the file that holds the vector index of a JSON database
+ * @param {string} file - Path of the .json database file
+ * @returns {string}
+ */
+function getVectorFile(file) {
+  return `${file.replace(/\.json$/, '')}.vectors.json`;
+}
+
+/**
+ * Open (or create) a JSON database file
+ * @param {string} file - Path of the .json file
+ * @param {Object} defaultData - Data written when the file doesn't exist yet
+ * @returns {Promise<Object>} - Storage instance (data, read(), write())
+ */
+async function createLowdbStorage(file, defaultData = {}) {
+  // Create database file if it doesn't exist
+  if (!fs.existsSync(file)) {
+    fs.writeFileSync(file, JSON.stringify(defaultData, null, 2));
+  }
+
+  // Import lowdb dynamically (ESM module); its file adapters write atomically
+  const { JSONFile, TextFile } = await import('lowdb/node');
+  const mainFile = new JSONFile(file);
+  const vectorFile = new TextFile(getVectorFile(file));
+
+  // The index object last handed out, its entries proxy, and whether the entries changed since the last write
+  let trackedIndex = null;
+  let trackedEntries = null;
+  let vectorsChanged = false;
+
+  const trackVectorIndex = (index) => {
+    trackedEntries = new Proxy(index.entries || {}, {
+      set(target, key, value) {
+        target[key] = value;
+        vectorsChanged = true;
+        return true;
+      },
+      deleteProperty(target, key) {
+        if (key in target) {
+          delete target[key];
+          vectorsChanged = true;
+        }
+        return true;
+      }
+    });
+    index.entries = trackedEntries;
+    trackedIndex = index;
+    return index;
+  };
+
+  const storage = {
+    name: 'lowdb',
+    file,
+    vectorFile: getVectorFile(file),
+    data: null,
+
+    async read() {
+      const data = (await mainFile.read()) ?? JSON.parse(JSON.stringify(defaultData));
+      const storedIndex = await vectorFile.read();
+
+      // Databases from before the split keep the index in db.json; the next write moves it out
+      const index = storedIndex ? JSON.parse(storedIndex) : (data.vectorIndex || { entries: {} });
+      vectorsChanged = !storedIndex;
+      data.vectorIndex = trackVectorIndex(index);
+      this.data = data;
+    },
+
+    async write() {
+      if (!this.data) {
+        return;
+      }
+
+      const { vectorIndex, ...data } = this.data;
+
+      // A replaced index (or entries object) is watched from now on and saved in full
+      if (vectorIndex && (vectorIndex !== trackedIndex || vectorIndex.entries !== trackedEntries)) {
+        trackVectorIndex(vectorIndex);
+        vectorsChanged = true;
+      }
+
+      // The index is saved first, so db.json never loses a legacy index that has no file yet
+      if (vectorIndex && vectorsChanged) {
+        vectorsChanged = false;
+        try {
+          await vectorFile.write(JSON.stringify(vectorIndex));
+        } catch (error) {
+          vectorsChanged = true;
+          throw error;
+        }
+      }
+
+      await mainFile.write(data);
+    },
+
+    close() {}
+  };
+
+  return storage;
+}
+
+export { getVectorFile, createLowdbStorage };
@@ -0,0 +1,135 @@
+/**
+ * One-shot migration from data/db.json (lowdb) to data/db.sqlite.
+ * Runs automatically on the first start with STORAGE_BACKEND=sqlite, or manually:
+ *   npm run migrate:sqlite [-- --force]
+ * The JSON files (db.json and its vector index db.vectors.json) are kept with a .migrated suffix so
+ * the bot can be switched back to lowdb.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createSqliteStorage, MAP_COLLECTIONS, LIST_COLLECTIONS } from './sqliteStorage.js';
+import { getVectorFile } from './lowdbStorage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_JSON_FILE = path.join(__dirname, '../../data/db.json');
+const DEFAULT_SQLITE_FILE = path.join(__dirname, '../../data/db.sqlite');
+
+// Number of records per top-level key, used to verify the copy
+function countRecords(data) {
+  const counts = {};
+  for (const [name, value] of Object.entries(data || {})) {
+    if (Array.isArray(value)) {
+      counts[name] = value.length;
+    } else if (value && typeof value === 'object') {
+      counts[name] = Object.keys(value).length;
+    } else {
+      counts[name] = 1;
+    }
+  }
+  for (const collection of Object.keys(MAP_COLLECTIONS).filter(name => name.includes('.'))) {
+    const [parent, child] = collection.split('.');
+    counts[collection] = Object.keys(data?.[parent]?.[child] || {}).length;
+  }
+  return counts;
+}
+
+function removeSqliteFiles(file) {
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (fs.existsSync(file + suffix)) {
+      fs.unlinkSync(file + suffix);
+    }
+  }
+}
+
+/**
+ * Copy a lowdb JSON database into a new SQLite database
+ * @param {string} jsonFile - Source db.json
+ * @param {string} sqliteFile - Target .sqlite file
+ * @param {Object} options - { force: overwrite an existing SQLite file }
+ * @returns {Promise<Object>} - { success, message, counts }
+ */
+async function migrateJsonToSqlite(jsonFile = DEFAULT_JSON_FILE, sqliteFile = DEFAULT_SQLITE_FILE, options = {}) {
+  const { force = false } = options;
+
+  if (!fs.existsSync(jsonFile)) {
+    return { success: false, message: `File JSON tidak ditemukan: ${jsonFile}` };
+  }
+
+  if (fs.existsSync(sqliteFile)) {
+    if (!force) {
+      return { success: false, message: `Database SQLite sudah ada: ${sqliteFile}. Gunakan --force untuk menimpa.` };
+    }
+    removeSqliteFiles(sqliteFile);
+  }
+
+  const data = JSON.parse(await fs.promises.readFile(jsonFile, 'utf8'));
+  const vectorFile = getVectorFile(jsonFile);
+  if (fs.existsSync(vectorFile)) {
+    data.vectorIndex = JSON.parse(await fs.promises.readFile(vectorFile, 'utf8'));
+  }
+  const expected = countRecords(data);
+
+  try {
+    const storage = await createSqliteStorage(sqliteFile);
+    await storage.read();
+    storage.data = data;
+    storage.close();
+
+    // Read everything back and compare record counts before retiring the JSON file
+    const check = await createSqliteStorage(sqliteFile);
+    await check.read();
+    const actual = countRecords(check.data);
+    check.close();
+
+    // Empty collections come back as {} or [], so missing and empty count the same
+    const mismatched = Object.keys(expected).filter(name => (expected[name] || 0) !== (actual[name] || 0));
+    if (mismatched.length > 0) {
+      removeSqliteFiles(sqliteFile);
+      return { success: false, message: `Migrasi dibatalkan, jumlah data tidak cocok untuk: ${mismatched.join(', ')}` };
+    }
+  } catch (error) {
+    removeSqliteFiles(sqliteFile);
+    throw error;
+  }
+
+  const backupFile = `${jsonFile}.migrated`;
+  await fs.promises.rename(jsonFile, backupFile);
+  if (fs.existsSync(vectorFile)) {
+    await fs.promises.rename(vectorFile, `${vectorFile}.migrated`);
+  }
+
+  const collections = [...Object.keys(MAP_COLLECTIONS), ...Object.keys(LIST_COLLECTIONS)]
+    .filter(name => expected[name])
+    .map(name => `${name}: ${expected[name]}`);
+
+  return {
+    success: true,
+    counts: expected,
+    message: `Migrasi ke ${sqliteFile} selesai (${collections.join(', ') || 'tanpa data'}). File lama disimpan sebagai ${backupFile}.`
+  };
+}
+
+// Run as a script: node src/database/migrateJsonToSqlite.js [--force]
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  migrateJsonToSqlite(DEFAULT_JSON_FILE, process.env.SQLITE_FILE || DEFAULT_SQLITE_FILE, {
+    force: process.argv.includes('--force')
+  })
+    .then(result => {
+      console.log(result.message);
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+export {
+  DEFAULT_JSON_FILE,
+  DEFAULT_SQLITE_FILE,
+  migrateJsonToSqlite
+};
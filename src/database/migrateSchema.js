@@ -0,0 +1,20 @@
+/**
+ * Apply pending schema migrations without starting the bot:
+ *   npm run migrate:db                migrate (the data is backed up to data/backups first)
+ *   npm run migrate:db -- --dry-run   list the migrations that would run and what they change
+ */
+
+import 'dotenv/config';
+import { setupDatabase } from './index.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+setupDatabase({ dryRun })
+  .then(db => {
+    db.close?.();
+    process.exit(0);
+  })
+  .catch(() => {
+    // setupDatabase already logged the reason
+    process.exit(1);
+  });
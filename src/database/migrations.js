@@ -0,0 +1,294 @@
+/**
+ * Schema migrations
+ * db.data.schemaVersion records which migrations have been applied. On startup every migration
+ * with a higher version runs in order, after a JSON backup of the data has been written.
+ * Data without a schemaVersion is treated as version 0 (databases created before migrations existed).
+ *
+ * To change the data structure, append a migration with the next version number; never edit or
+ * reorder migrations that have already shipped.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create core collections',
+    up(data, defaults) {
+      if (!data.config) data.config = structuredClone(defaults.config);
+      if (!data.state) data.state = structuredClone(defaults.state);
+      if (!data.conversations) data.conversations = {};
+      if (!data.contextMemory) data.contextMemory = [];
+      if (!data.participantsRegistry) data.participantsRegistry = {};
+      if (!data.imageAnalysis) data.imageAnalysis = {};
+      if (!data.imageEmbeddings) data.imageEmbeddings = {};
+      if (!data.topicMemory) data.topicMemory = {};
+      if (!data.userFacts) data.userFacts = {};
+      if (!data.globalFacts) data.globalFacts = { facts: {}, factHistory: [] };
+      if (!data.apiLogs) data.apiLogs = [];
+
+      Object.values(data.userFacts).forEach(userFact => {
+        if (!userFact.facts) userFact.facts = {};
+        if (!userFact.factHistory) userFact.factHistory = [];
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Add API keys and memory settings to config',
+    up(data) {
+      const config = data.config;
+      if (config.geminiApiKey === undefined) config.geminiApiKey = process.env.GEMINI_API_KEY || '';
+      if (config.togetherApiKey === undefined) config.togetherApiKey = process.env.TOGETHER_API_KEY || '';
+      if (config.openrouterApiKey === undefined) config.openrouterApiKey = process.env.OPENROUTER_API_KEY || '';
+      if (config.maxContextMessages === undefined) config.maxContextMessages = parseInt(process.env.MAX_CONTEXT_MESSAGES || 100);
+      if (config.maxRelevantMessages === undefined) config.maxRelevantMessages = parseInt(process.env.MAX_RELEVANT_MESSAGES || 20);
+      if (config.enhancedMemoryEnabled === undefined) config.enhancedMemoryEnabled = process.env.ENHANCED_MEMORY_ENABLED !== 'false';
+      if (config.dynamicFactExtractionEnabled === undefined) config.dynamicFactExtractionEnabled = process.env.DYNAMIC_FACT_EXTRACTION_ENABLED !== 'false';
+      if (config.apiLoggingEnabled === undefined) config.apiLoggingEnabled = process.env.API_LOGGING_ENABLED !== 'false';
+      if (config.apiLogRetentionDays === undefined) config.apiLogRetentionDays = parseInt(process.env.API_LOG_RETENTION_DAYS || 7);
+    }
+  },
+  {
+    version: 3,
+    description: 'Add chatType, chatName and introduction tracking to conversations',
+    up(data) {
+      Object.entries(data.conversations).forEach(([chatId, chat]) => {
+        const isGroup = chatId.endsWith('@g.us');
+
+        if (!chat.chatType) chat.chatType = isGroup ? 'group' : 'private';
+        if (!chat.chatName) chat.chatName = isGroup ? 'Group Chat' : 'Private Chat';
+
+        if (isGroup) {
+          if (chat.hasIntroduced === undefined) chat.hasIntroduced = false;
+          if (!chat.lastIntroduction) chat.lastIntroduction = null;
+        }
+
+        Object.values(chat.participants || {}).forEach(participant => {
+          if (!participant.lastActive) participant.lastActive = participant.firstSeen || new Date().toISOString();
+          if (!participant.lastMessage) participant.lastMessage = '';
+        });
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Add tool settings to config',
+    up(data) {
+      if (data.config.toolSettings === undefined) data.config.toolSettings = {};
+    }
+  },
+  {
+    version: 5,
+    description: 'Add command permissions',
+    up(data) {
+      if (!data.permissions) data.permissions = { roles: {}, commandRoles: {} };
+    }
+  },
+  {
+    version: 6,
+    description: 'Add provider quota and token usage counters',
+    up(data) {
+      if (!data.quotaUsage) data.quotaUsage = {};
+      if (!data.usageStats) data.usageStats = {};
+    }
+  },
+  {
+    version: 7,
+    description: 'Add semantic vector index',
+    up(data) {
+      if (!data.vectorIndex) data.vectorIndex = { entries: {} };
+      if (!data.vectorIndex.entries) data.vectorIndex.entries = {};
+      if (data.config.semanticMemoryEnabled === undefined) data.config.semanticMemoryEnabled = process.env.SEMANTIC_MEMORY_ENABLED !== 'false';
+    }
+  },
+  {
+    version: 8,
+    description: 'Add voice note transcription setting',
+    up(data) {
+      if (data.config.voiceTranscriptionEnabled === undefined) data.config.voiceTranscriptionEnabled = process.env.VOICE_TRANSCRIPTION_ENABLED !== 'false';
+    }
+  },
+  {
+    version: 9,
+    description: 'Add reply mode and per-user preferences',
+    up(data) {
+      if (data.config.replyMode === undefined) data.config.replyMode = process.env.DEFAULT_REPLY_MODE || 'text';
+      if (!data.userPreferences) data.userPreferences = {};
+    }
+  },
+  {
+    version: 10,
+    description: 'Add chat documents and document Q&A setting',
+    up(data) {
+      if (!data.chatDocuments) data.chatDocuments = {};
+      if (data.config.documentQaEnabled === undefined) data.config.documentQaEnabled = process.env.DOCUMENT_QA_ENABLED !== 'false';
+    }
+  },
+  {
+    version: 11,
+    description: 'Add reaction feedback and reaction response setting',
+    up(data) {
+      if (!data.messageFeedback) data.messageFeedback = {};
+      if (data.config.reactionResponsesEnabled === undefined) data.config.reactionResponsesEnabled = process.env.REACTION_RESPONSES_ENABLED !== 'false';
+    }
+  },
+  {
+    version: 12,
+    description: 'Add contact statuses and status settings',
+    up(data) {
+      if (!data.contactStatuses) data.contactStatuses = {};
+      if (data.config.statusTrackingEnabled === undefined) data.config.statusTrackingEnabled = process.env.STATUS_TRACKING_ENABLED === 'true';
+      if (data.config.statusMentionsEnabled === undefined) data.config.statusMentionsEnabled = process.env.STATUS_MENTIONS_ENABLED !== 'false';
+      if (data.config.statusPostingEnabled === undefined) data.config.statusPostingEnabled = process.env.STATUS_POSTING_ENABLED === 'true';
+      if (data.config.statusPostIntervalHours === undefined) data.config.statusPostIntervalHours = parseInt(process.env.STATUS_POST_INTERVAL_HOURS || 24);
+    }
+  },
+  {
+    version: 13,
+    description: 'Add reminders',
+    up(data) {
+      if (!data.reminders) data.reminders = {};
+    }
+  },
+  {
+    version: 14,
+    description: 'Add fact conflict policy',
+    up(data) {
+      if (data.config.factConflictPolicy === undefined) data.config.factConflictPolicy = process.env.FACT_CONFLICT_POLICY || 'newest';
+    }
+  },
+  {
+    version: 15,
+    description: 'Add rolling conversation summaries',
+    up(data) {
+      if (!data.conversationSummaries) data.conversationSummaries = {};
+      if (data.config.conversationSummariesEnabled === undefined) data.config.conversationSummariesEnabled = process.env.CONVERSATION_SUMMARIES_ENABLED !== 'false';
+    }
+  },
+  {
+    version: 16,
+    description: 'Persist user identity map',
+    up(data) {
+      if (!data.userIdentities) data.userIdentities = {};
+    }
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Schema version of a data object (0 when it predates versioning)
+ * @param {Object} data - db.data
+ * @returns {number}
+ */
+function getSchemaVersion(data) {
+  return Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 0;
+}
+
+/**
+ * Migrations that still have to run on a data object
+ * @param {Object} data - db.data
+ * @returns {Array<Object>} - [{ version, description, up }] in order
+ */
+function getPendingMigrations(data) {
+  const version = getSchemaVersion(data);
+  return MIGRATIONS.filter(migration => migration.version > version);
+}
+
+// Top-level keys whose content differs between two snapshots
+function getChangedKeys(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  keys.delete('schemaVersion');
+  return [...keys].filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+/**
+ * Bring a data object up to CURRENT_SCHEMA_VERSION
+ * @param {Object} data - db.data, modified in place unless dryRun is set
+ * @param {Object} defaults - Default database structure, used for missing collections
+ * @param {Object} options - { dryRun: run against a copy and report what would change }
+ * @returns {Object} - { success, message, fromVersion, toVersion, applied: [{ version, description, changedKeys }] }
+ */
+function runMigrations(data, defaults, options = {}) {
+  const { dryRun = false } = options;
+  const fromVersion = getSchemaVersion(data);
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    return {
+      success: false,
+      fromVersion,
+      toVersion: fromVersion,
+      applied: [],
+      message: `Database schema version ${fromVersion} is newer than this version of the bot supports (${CURRENT_SCHEMA_VERSION}). ` +
+        'Update the bot, or restore a backup from data/backups made before the upgrade.'
+    };
+  }
+
+  const pending = getPendingMigrations(data);
+  if (pending.length === 0) {
+    return { success: true, fromVersion, toVersion: fromVersion, applied: [], message: `Database schema is up to date (version ${fromVersion})` };
+  }
+
+  // db.data of the SQLite backend is a proxy, which structuredClone cannot copy
+  const target = dryRun ? JSON.parse(JSON.stringify(data)) : data;
+  const applied = [];
+
+  for (const migration of pending) {
+    // Dry runs report which top-level keys each migration touches
+    const before = dryRun ? JSON.parse(JSON.stringify(target)) : null;
+
+    try {
+      migration.up(target, defaults);
+    } catch (error) {
+      return {
+        success: false,
+        fromVersion,
+        toVersion: getSchemaVersion(target),
+        applied,
+        message: `Migration ${migration.version} (${migration.description}) failed: ${error.message}`
+      };
+    }
+
+    target.schemaVersion = migration.version;
+    applied.push({
+      version: migration.version,
+      description: migration.description,
+      changedKeys: dryRun ? getChangedKeys(before, target) : undefined
+    });
+  }
+
+  return {
+    success: true,
+    fromVersion,
+    toVersion: CURRENT_SCHEMA_VERSION,
+    applied,
+    message: `${dryRun ? 'Would migrate' : 'Migrated'} database schema from version ${fromVersion} to ${CURRENT_SCHEMA_VERSION} (${applied.length} migration${applied.length === 1 ? '' : 's'})`
+  };
+}
+
+/**
+ * Write a JSON copy of the data before migrating it
+ * @param {Object} data - db.data
+ * @param {string} backupDir - Directory for backups (created if missing)
+ * @returns {Promise<string>} - Path of the backup file
+ */
+async function backupDatabase(data, backupDir) {
+  await fs.promises.mkdir(backupDir, { recursive: true });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupFile = path.join(backupDir, `db-v${getSchemaVersion(data)}-${timestamp}.json`);
+  await fs.promises.writeFile(backupFile, JSON.stringify(data));
+
+  return backupFile;
+}
+
+export {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  getPendingMigrations,
+  runMigrations,
+  backupDatabase
+};
@@ -0,0 +1,557 @@
+/**
+ * SQLite storage backend
+ * Keeps the same { data, read(), write() } contract as lowdb so services keep working on
+ * db.data, but persists each top-level collection in its own table. db.data notes which rows are
+ * read or changed through it, and write() only serializes those rows (plus a full comparison once
+ * an hour), so a write costs the same however large the database grows. Calls made in the same
+ * tick share one transaction.
+ *
+ * Requires the optional better-sqlite3 dependency.
+ */
+
+// Keyed collections: one row per key, with columns extracted for indexing
+const MAP_COLLECTIONS = {
+  conversations: {
+    chatId: (key) => key,
+    timestamp: (key, value) => value.lastActive
+  },
+  participantsRegistry: {
+    userId: (key) => key,
+    timestamp: (key, value) => value.lastActive
+  },
+  userFacts: {
+    userId: (key) => key
+  },
+  imageAnalysis: {
+    chatId: (key, value) => value.chatId,
+    userId: (key, value) => value.sender,
+    timestamp: (key, value) => value.timestamp
+  },
+  imageEmbeddings: {
+    chatId: (key, value) => value.metadata?.chatId,
+    userId: (key, value) => value.metadata?.sender,
+    timestamp: (key, value) => value.timestamp
+  },
+  webContent: {
+    timestamp: (key, value) => value.timestamp
+  },
+  webSearchHistory: {
+    timestamp: (key, value) => value.timestamp
+  },
+  factRelationships: {
+    userId: (key, value) => value.userId
+  },
+  quotaUsage: {
+    timestamp: (key) => key
+  },
+  usageStats: {
+    timestamp: (key) => key
+  },
+  chatDocuments: {
+    chatId: (key, value) => value.chatId,
+    userId: (key, value) => value.uploadedBy,
+    timestamp: (key, value) => value.uploadedAt
+  },
+  messageFeedback: {
+    chatId: (key, value) => value.chatId,
+    timestamp: (key, value) => value.updatedAt
+  },
+  contactStatuses: {
+    userId: (key) => key,
+    timestamp: (key, value) => value[value.length - 1]?.postedAt
+  },
+  reminders: {
+    chatId: (key, value) => value.chatId,
+    userId: (key, value) => value.createdBy,
+    timestamp: (key, value) => value.dueAt
+  },
+  conversationSummaries: {
+    chatId: (key) => key,
+    timestamp: (key, value) => value.chunks?.[value.chunks.length - 1]?.to
+  },
+  userIdentities: {
+    userId: (key, value) => value.personalId || value.groupId,
+    timestamp: (key, value) => (value.lastSeen ? new Date(value.lastSeen).toISOString() : null)
+  },
+  'vectorIndex.entries': {
+    chatId: (key, value) => value.metadata?.chatId,
+    userId: (key, value) => value.metadata?.userId,
+    timestamp: (key, value) => value.updatedAt
+  }
+};
+
+// Append-only arrays: one row per element, ordered by row id
+const LIST_COLLECTIONS = {
+  contextMemory: {
+    chatId: (value) => value.chatId,
+    userId: (value) => value.sender,
+    timestamp: (value) => value.timestamp
+  },
+  moodHistory: {
+    timestamp: (value) => value.timestamp
+  }
+};
+
+// Everything else (config, state, globalFacts, permissions, ...) is stored whole in `documents`
+
+// Rows stay "touched" this long after they were last read or changed through db.data, so services
+// that keep a reference to a row across an await still get their later changes written
+const TOUCHED_ROW_TTL_MS = 10 * 60 * 1000;
+
+// Every row is compared this often, for references kept longer than TOUCHED_ROW_TTL_MS
+const FULL_FLUSH_INTERVAL_MS = 60 * 60 * 1000;
+
+// Collections stored inside a parent document: "vectorIndex" -> ["vectorIndex.entries"]
+const NESTED_COLLECTIONS = Object.keys(MAP_COLLECTIONS)
+  .filter(collection => collection.includes('.'))
+  .reduce((parents, collection) => {
+    const parent = collection.split('.')[0];
+    parents[parent] = [...(parents[parent] || []), collection];
+    return parents;
+  }, {});
+
+// "vectorIndex.entries" -> "vector_index_entries"
+function toTableName(collection) {
+  return collection
+    .replace(/\./g, '_')
+    .replace(/([a-z])([A-Z])/g, '$1_$2')
+    .toLowerCase();
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+function setPath(object, path, value) {
+  const parts = path.split('.');
+  let target = object;
+  for (const part of parts.slice(0, -1)) {
+    if (!target[part] || typeof target[part] !== 'object') {
+      target[part] = {};
+    }
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+function toColumn(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * Open (or create) a SQLite database and wrap it in the storage contract
+ * @param {string} file - Path of the .sqlite file
+ * @param {Object} defaultData - Data to start with when the database is empty
+ * @returns {Promise<Object>} - Storage with data, read(), write(), close()
+ */
+async function createSqliteStorage(file, defaultData = {}) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (error) {
+    throw new Error('STORAGE_BACKEND=sqlite requires better-sqlite3. Run "npm install better-sqlite3" or use STORAGE_BACKEND=lowdb.');
+  }
+
+  const sqlite = new Database(file);
+  sqlite.pragma('journal_mode = WAL');
+  sqlite.pragma('synchronous = NORMAL');
+
+  sqlite.exec('CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, data TEXT NOT NULL)');
+
+  for (const collection of Object.keys(MAP_COLLECTIONS)) {
+    const table = toTableName(collection);
+    sqlite.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, chat_id TEXT, user_id TEXT, timestamp TEXT, data TEXT NOT NULL);
+      CREATE INDEX IF NOT EXISTS ${table}_chat_id ON ${table} (chat_id);
+      CREATE INDEX IF NOT EXISTS ${table}_user_id ON ${table} (user_id);
+      CREATE INDEX IF NOT EXISTS ${table}_timestamp ON ${table} (timestamp);
+    `);
+  }
+
+  for (const collection of Object.keys(LIST_COLLECTIONS)) {
+    const table = toTableName(collection);
+    sqlite.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (id INTEGER PRIMARY KEY, chat_id TEXT, user_id TEXT, timestamp TEXT, data TEXT NOT NULL);
+      CREATE INDEX IF NOT EXISTS ${table}_chat_id ON ${table} (chat_id);
+      CREATE INDEX IF NOT EXISTS ${table}_user_id ON ${table} (user_id);
+      CREATE INDEX IF NOT EXISTS ${table}_timestamp ON ${table} (timestamp);
+    `);
+  }
+
+  const statements = {
+    upsertDocument: sqlite.prepare('INSERT INTO documents (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data'),
+    deleteDocument: sqlite.prepare('DELETE FROM documents WHERE name = ?')
+  };
+  for (const collection of Object.keys(MAP_COLLECTIONS)) {
+    const table = toTableName(collection);
+    statements[collection] = {
+      upsert: sqlite.prepare(`INSERT INTO ${table} (key, chat_id, user_id, timestamp, data) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET chat_id = excluded.chat_id, user_id = excluded.user_id, timestamp = excluded.timestamp, data = excluded.data`),
+      remove: sqlite.prepare(`DELETE FROM ${table} WHERE key = ?`)
+    };
+  }
+  for (const collection of Object.keys(LIST_COLLECTIONS)) {
+    const table = toTableName(collection);
+    statements[collection] = {
+      upsert: sqlite.prepare(`INSERT INTO ${table} (id, chat_id, user_id, timestamp, data) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET data = excluded.data`),
+      remove: sqlite.prepare(`DELETE FROM ${table} WHERE id = ?`)
+    };
+  }
+
+  // Last written JSON per row, so write() can skip unchanged rows
+  const snapshots = {};
+  // Row id of each list element (elements are matched by object identity)
+  const listRowIds = {};
+  const nextListRowId = {};
+  let pendingWrite = null;
+
+  // Plain data behind storage.data, and when each row was last touched through it:
+  // touched.documents: name -> time, touched.rows[collection]: key (or list element) -> time
+  let rawData = null;
+  let dataProxy = null;
+  let touched = null;
+  let lastFullFlush = 0;
+  const proxies = new WeakMap();
+  const rawObjects = new WeakMap();
+
+  const resetTracking = (fullFlushNeeded) => {
+    touched = { documents: new Map(), rows: {} };
+    for (const collection of [...Object.keys(MAP_COLLECTIONS), ...Object.keys(LIST_COLLECTIONS)]) {
+      touched.rows[collection] = new Map();
+    }
+    lastFullFlush = fullFlushNeeded ? 0 : Date.now();
+  };
+
+  const unwrap = value => (value && typeof value === 'object' && rawObjects.get(value)) || value;
+
+  // Wrap an object so reads and changes of its properties mark them as touched
+  const track = (target, onTouch, wrapValue = (key, value) => value) => {
+    if (!target || typeof target !== 'object') return target;
+    if (proxies.has(target)) return proxies.get(target);
+
+    const proxy = new Proxy(target, {
+      get(object, key) {
+        const value = Reflect.get(object, key);
+        if (typeof key === 'string' && Object.hasOwn(object, key)) {
+          onTouch(key, value);
+          return wrapValue(key, value);
+        }
+        return value;
+      },
+      set(object, key, value) {
+        object[key] = unwrap(value);
+        if (typeof key === 'string') onTouch(key, object[key], true);
+        return true;
+      },
+      deleteProperty(object, key) {
+        const value = object[key];
+        delete object[key];
+        if (typeof key === 'string') onTouch(key, value, true);
+        return true;
+      }
+    });
+    proxies.set(target, proxy);
+    rawObjects.set(proxy, target);
+    return proxy;
+  };
+
+  const trackCollection = (collection, records) => {
+    const rows = touched.rows[collection];
+    if (LIST_COLLECTIONS[collection]) {
+      // List rows are elements; only object elements can be told apart
+      return track(records, (key, value) => {
+        if (/^\d+$/.test(key) && value && typeof value === 'object') rows.set(value, Date.now());
+      });
+    }
+    return track(records, key => rows.set(key, Date.now()));
+  };
+
+  // Replacing a whole collection makes every row of it worth comparing
+  const touchCollection = (collection) => {
+    const records = getPath(rawData, collection);
+    const rows = touched.rows[collection];
+    const now = Date.now();
+    if (Array.isArray(records)) {
+      records.filter(element => element && typeof element === 'object').forEach(element => rows.set(element, now));
+      return;
+    }
+    Object.keys(records || {}).forEach(key => rows.set(key, now));
+    // Keys that disappeared with the old collection
+    snapshots[collection]?.forEach((json, key) => rows.set(key, now));
+  };
+
+  const trackParent = (name, document) => track(document, (key, value, changed) => {
+    touched.documents.set(name, Date.now());
+    const collection = `${name}.${key}`;
+    if (changed && NESTED_COLLECTIONS[name].includes(collection)) {
+      touchCollection(collection);
+    }
+  }, (key, value) => {
+    const collection = `${name}.${key}`;
+    return NESTED_COLLECTIONS[name].includes(collection) ? trackCollection(collection, value) : value;
+  });
+
+  const createDataProxy = (data) => track(data, (name, value, changed) => {
+    if (MAP_COLLECTIONS[name] || LIST_COLLECTIONS[name]) {
+      if (changed) touchCollection(name);
+      return;
+    }
+    touched.documents.set(name, Date.now());
+    if (changed && NESTED_COLLECTIONS[name]) {
+      NESTED_COLLECTIONS[name].forEach(touchCollection);
+    }
+  }, (name, value) => {
+    if (MAP_COLLECTIONS[name] || LIST_COLLECTIONS[name]) return trackCollection(name, value);
+    if (NESTED_COLLECTIONS[name]) return trackParent(name, value);
+    return value;
+  });
+
+  const setData = (data, fullFlushNeeded) => {
+    rawData = data;
+    resetTracking(fullFlushNeeded);
+    dataProxy = data ? createDataProxy(data) : null;
+  };
+
+  const storage = {
+    name: 'sqlite',
+    file,
+
+    /**
+     * Current data. Assigning a whole new object makes the next write compare every row.
+     */
+    get data() {
+      return dataProxy;
+    },
+
+    set data(data) {
+      setData(unwrap(data), true);
+    },
+
+    /**
+     * Load every table into storage.data
+     */
+    async read() {
+      const data = {};
+      const documentRows = sqlite.prepare('SELECT name, data FROM documents').all();
+      let rowCount = documentRows.length;
+
+      snapshots.documents = new Map();
+      for (const row of documentRows) {
+        data[row.name] = JSON.parse(row.data);
+        snapshots.documents.set(row.name, row.data);
+      }
+
+      for (const collection of Object.keys(MAP_COLLECTIONS)) {
+        const rows = sqlite.prepare(`SELECT key, data FROM ${toTableName(collection)}`).all();
+        const records = {};
+        snapshots[collection] = new Map();
+        for (const row of rows) {
+          records[row.key] = JSON.parse(row.data);
+          snapshots[collection].set(row.key, row.data);
+        }
+        rowCount += rows.length;
+        // Empty collections have no rows but are restored all the same, so services can rely on them
+        setPath(data, collection, records);
+      }
+
+      for (const collection of Object.keys(LIST_COLLECTIONS)) {
+        const rows = sqlite.prepare(`SELECT id, data FROM ${toTableName(collection)} ORDER BY id`).all();
+        snapshots[collection] = new Map();
+        listRowIds[collection] = new WeakMap();
+        nextListRowId[collection] = rows.length > 0 ? rows[rows.length - 1].id + 1 : 1;
+        rowCount += rows.length;
+
+        data[collection] = rows.map(row => {
+          const element = JSON.parse(row.data);
+          if (element && typeof element === 'object') {
+            listRowIds[collection].set(element, row.id);
+          }
+          snapshots[collection].set(row.id, row.data);
+          return element;
+        });
+      }
+
+      // A new database starts from the defaults, which have to be written in full
+      const isEmpty = rowCount === 0;
+      setData(isEmpty ? structuredClone(defaultData) : data, isEmpty);
+    },
+
+    /**
+     * Persist changed rows. Calls in the same tick are coalesced into one transaction.
+     * @returns {Promise<void>}
+     */
+    write() {
+      if (!pendingWrite) {
+        pendingWrite = new Promise((resolve, reject) => {
+          setImmediate(() => {
+            pendingWrite = null;
+            try {
+              flush();
+              resolve();
+            } catch (error) {
+              reject(error);
+            }
+          });
+        });
+      }
+      return pendingWrite;
+    },
+
+    /**
+     * Flush pending changes and close the database file
+     */
+    close() {
+      flush(true);
+      sqlite.close();
+    }
+  };
+
+  const upsertMapRow = (collection, key, value) => {
+    const columns = MAP_COLLECTIONS[collection];
+    const snapshot = snapshots[collection];
+
+    if (value === undefined) {
+      if (snapshot.has(key)) {
+        statements[collection].remove.run(key);
+        snapshot.delete(key);
+      }
+      return;
+    }
+
+    const json = JSON.stringify(value);
+    if (snapshot.get(key) === json) return;
+
+    statements[collection].upsert.run(
+      key,
+      toColumn(columns.chatId?.(key, value)),
+      toColumn(columns.userId?.(key, value)),
+      toColumn(columns.timestamp?.(key, value)),
+      json
+    );
+    snapshot.set(key, json);
+  };
+
+  const writeMap = (collection, records, full, now) => {
+    const snapshot = snapshots[collection];
+    const rows = touched.rows[collection];
+    const current = records && typeof records === 'object' ? records : {};
+
+    if (full) {
+      for (const [key, value] of Object.entries(current)) {
+        upsertMapRow(collection, key, value);
+      }
+      for (const key of [...snapshot.keys()]) {
+        if (!Object.hasOwn(current, key)) upsertMapRow(collection, key, undefined);
+      }
+    } else {
+      for (const key of rows.keys()) {
+        upsertMapRow(collection, key, Object.hasOwn(current, key) ? current[key] : undefined);
+      }
+    }
+
+    for (const [key, touchedAt] of rows) {
+      if (now - touchedAt > TOUCHED_ROW_TTL_MS) rows.delete(key);
+    }
+  };
+
+  const writeList = (collection, elements, full, now) => {
+    const columns = LIST_COLLECTIONS[collection];
+    const snapshot = snapshots[collection];
+    const rowIds = listRowIds[collection];
+    const rows = touched.rows[collection];
+    const seen = new Set();
+
+    for (const element of Array.isArray(elements) ? elements : []) {
+      const isObject = element && typeof element === 'object';
+      let id = isObject ? rowIds.get(element) : undefined;
+      // An element can appear twice in an array; the second occurrence gets its own row
+      if (id === undefined || seen.has(id)) {
+        id = nextListRowId[collection]++;
+        if (isObject && !rowIds.has(element)) rowIds.set(element, id);
+      }
+      seen.add(id);
+
+      // Untouched elements that are already stored cannot have changed
+      if (!full && isObject && snapshot.has(id) && !rows.has(element)) continue;
+
+      const json = JSON.stringify(element);
+      if (snapshot.get(id) === json) continue;
+
+      statements[collection].upsert.run(
+        id,
+        toColumn(isObject ? columns.chatId?.(element) : null),
+        toColumn(isObject ? columns.userId?.(element) : null),
+        toColumn(isObject ? columns.timestamp?.(element) : null),
+        json
+      );
+      snapshot.set(id, json);
+    }
+
+    for (const id of [...snapshot.keys()]) {
+      if (!seen.has(id)) {
+        statements[collection].remove.run(id);
+        snapshot.delete(id);
+      }
+    }
+
+    for (const [element, touchedAt] of rows) {
+      if (now - touchedAt > TOUCHED_ROW_TTL_MS) rows.delete(element);
+    }
+  };
+
+  const flush = sqlite.transaction((forceFull = false) => {
+    // Nothing to persist before the first read()
+    if (!rawData) return;
+    const data = rawData;
+    const now = Date.now();
+    const full = forceFull || now - lastFullFlush >= FULL_FLUSH_INTERVAL_MS;
+
+    for (const collection of Object.keys(MAP_COLLECTIONS)) {
+      writeMap(collection, getPath(data, collection), full, now);
+    }
+    for (const collection of Object.keys(LIST_COLLECTIONS)) {
+      writeList(collection, data[collection], full, now);
+    }
+
+    const documentNames = new Set();
+    for (const [name, value] of Object.entries(data)) {
+      if (MAP_COLLECTIONS[name] || LIST_COLLECTIONS[name] || value === undefined) continue;
+      documentNames.add(name);
+      if (!full && snapshots.documents.has(name) && !touched.documents.has(name)) continue;
+
+      // Parent objects of nested collections are stored without the nested part
+      let document = value;
+      if (NESTED_COLLECTIONS[name] && value && typeof value === 'object') {
+        document = { ...value };
+        NESTED_COLLECTIONS[name].forEach(collection => delete document[collection.substring(name.length + 1)]);
+      }
+
+      const json = JSON.stringify(document);
+      if (snapshots.documents.get(name) === json) continue;
+
+      statements.upsertDocument.run(name, json);
+      snapshots.documents.set(name, json);
+    }
+
+    for (const name of [...snapshots.documents.keys()]) {
+      if (!documentNames.has(name)) {
+        statements.deleteDocument.run(name);
+        snapshots.documents.delete(name);
+      }
+    }
+
+    for (const [name, touchedAt] of touched.documents) {
+      if (now - touchedAt > TOUCHED_ROW_TTL_MS) touched.documents.delete(name);
+    }
+    if (full) lastFullFlush = now;
+  });
+
+  return storage;
+}
+
+export {
+  MAP_COLLECTIONS,
+  LIST_COLLECTIONS,
+  createSqliteStorage
+};
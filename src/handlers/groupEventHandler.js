@@ -0,0 +1,116 @@
+import chalk from 'chalk';
+import { getDb } from '../database/index.js';
+import { calculateResponseDelay, resolveUserId } from '../utils/messageUtils.js';
+import { requestWithFallback } from '../services/providerService.js';
+import { getMoodDescription, getPersonalityDescription } from '../services/personalityService.js';
+import { resolveChatConfig, getLanguageName } from '../services/groupConfigService.js';
+import {
+  getMemberEventSettings,
+  getParticipantId,
+  applyMemberUpdate,
+  buildMemberNotice
+} from '../services/memberEventService.js';
+
+// Longest group description passed to the AI as the group's rules
+const MAX_RULES_CHARS = 1500;
+
+const log = (color, text) => console.log(chalk[color](`[GROUP UPDATE][${new Date().toISOString()}] ${text}`));
+
+// Number part of a WhatsApp ID, so JIDs with device suffixes compare equal
+function getBareId(id) {
+  return (id || '').split('@')[0].split(':')[0];
+}
+
+// Have the AI welcome new members in the bot's own voice, pointing out the group's rules
+async function generateWelcomeMessage(db, chatId, members, groupName, rules) {
+  const chatConfig = resolveChatConfig(db, chatId);
+  const mood = chatConfig.mood || db.data.state.currentMood;
+  const conversation = db.data.conversations[chatId];
+  const recentTopics = conversation.conversationMetadata?.activeTopics?.slice(-5) || [];
+  const memberList = members.map(member => `${member.name} (mention as @${getBareId(member.id)})`).join(', ');
+
+  const prompt = `You are ${chatConfig.botName}, a member of the WhatsApp group "${groupName}". ` +
+    `Personality: ${chatConfig.personality} (${getPersonalityDescription(chatConfig.personality, db)}). ` +
+    `Current mood: ${mood} (${getMoodDescription(mood, db)}).\n\n` +
+    `New member${members.length === 1 ? '' : 's'} just joined: ${memberList}.\n` +
+    (rules ? `Group rules / description:\n${rules.substring(0, MAX_RULES_CHARS)}\n` : '') +
+    (recentTopics.length > 0 ? `The group has recently been talking about: ${recentTopics.join(', ')}.\n` : '') +
+    `\nWrite a short, warm welcome message (2-4 sentences) in casual ${getLanguageName(chatConfig.language)}. ` +
+    'Mention every new member exactly as "@number" so they get notified. ' +
+    (rules ? 'Briefly point out the most important rules in your own words. ' : '') +
+    'Reply with the message only.';
+
+  const { response } = await requestWithFallback('chat', [{ role: 'user', content: prompt }], {
+    temperature: 0.8,
+    max_tokens: 300
+  }, { chatId });
+
+  return (response.choices?.[0]?.message?.content || '').trim();
+}
+
+/**
+ * Handle a group-participants.update event for members other than the bot: register new members,
+ * track who left or changed role, and send the welcome, farewell or role notice the group turned on.
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} update - { id, action, participants, author }
+ * @returns {Promise<void>}
+ */
+async function processGroupParticipantsUpdate(sock, update) {
+  try {
+    const db = getDb();
+    const chatId = update.id;
+    // Members are recorded under the same resolved ID their messages are, not a second time under their @lid
+    const actor = resolveUserId(update.author || update.actor || null);
+    const botIds = [process.env.BOT_ID, sock.user?.id, sock.user?.lid].filter(Boolean).map(getBareId);
+    const userIds = (update.participants || [])
+      .map(getParticipantId)
+      .filter(id => id && !botIds.includes(getBareId(id)))
+      .map(resolveUserId);
+
+    if (userIds.length === 0 || !['add', 'remove', 'promote', 'demote'].includes(update.action)) {
+      return;
+    }
+
+    let groupName = db.data.conversations[chatId]?.chatName || 'Group Chat';
+    let description = '';
+    try {
+      const metadata = await sock.groupMetadata(chatId);
+      groupName = metadata.subject || groupName;
+      description = metadata.desc || '';
+    } catch (error) {
+      log('red', `Could not fetch group metadata: ${error.message}`);
+    }
+
+    const members = await applyMemberUpdate(db, chatId, update.action, userIds, { actor, groupName });
+    log('blue', `Recorded ${update.action} of ${members.map(member => member.name).join(', ')} in ${groupName}`);
+
+    const settings = getMemberEventSettings(db, chatId);
+    const rules = settings.rules || description;
+    let notice = buildMemberNotice(settings, update.action, members, { group: groupName, rules });
+    if (!notice) {
+      return;
+    }
+
+    if (update.action === 'add' && settings.welcomeMode === 'ai') {
+      try {
+        const text = await generateWelcomeMessage(db, chatId, members, groupName, rules);
+        if (text) {
+          notice = { ...notice, text };
+        }
+      } catch (error) {
+        // The template welcome is still sent
+        log('red', `AI welcome failed, using the template: ${error.message}`);
+      }
+    }
+
+    await sock.sendPresenceUpdate('composing', chatId);
+    await new Promise(resolve => setTimeout(resolve, calculateResponseDelay('Hello', notice.text, { minDelay: 800, maxDelay: 2500 })));
+    await sock.sendMessage(chatId, { text: notice.text, mentions: notice.mentions });
+
+    log('green', `Sent ${update.action} notice in ${groupName}`);
+  } catch (error) {
+    console.error(chalk.red(`[GROUP UPDATE][${new Date().toISOString()}] Error handling member update:`), error);
+  }
+}
+
+export { processGroupParticipantsUpdate };
@@ -3,18 +3,26 @@ import { generateAIResponseLegacy, analyzeImage, storeImageAnalysis, generateIma
 import { updateMoodAndPersonality, updateMoodAndPersonalityWithAI } from '../services/personalityService.js';
 import { detectCommand, executeCommand } from '../services/commandService.js';
 import { shouldRespond, QUESTION_INDICATORS } from '../utils/decisionMaker.js';
-import { extractMessageContent, isGroupMessage, isTaggedMessage, calculateResponseDelay, hasImage, extractImageData } from '../utils/messageUtils.js';
-import { updateContext, getRelevantContext, shouldIntroduceInGroup, generateGroupIntroduction } from '../services/contextService.js';
+import { extractMessageContent, isGroupMessage, isTaggedMessage, calculateResponseDelay, hasImage, extractImageData, hasVoiceNote, extractDocumentData, getMessageRevision, resolveUserId } from '../utils/messageUtils.js';
+import { updateContext, getRelevantContext, shouldIntroduceInGroup, generateGroupIntroduction, resolveQuotedMessage, shouldQuoteReply, applyMessageEdit, applyMessageRevoke } from '../services/contextService.js';
 import { shouldRespondToMessageWithBatch, shouldRespondToBatch, shouldRespondToMessageBasic } from '../services/responseDeterminationService.js';
 import chalk from 'chalk';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { downloadMediaMessage } from '@whiskeysockets/baileys';
-import { extractAndProcessFacts, formatRelevantFacts, getRelevantFactsForMessage } from '../services/memoryService.js';
+import { extractAndProcessFacts, formatRelevantFacts, getRelevantFactsForMessage, retractFactsFromMessage } from '../services/memoryService.js';
 import { searchFacts } from '../services/factSearchService.js';
 import { enhanceContextWithFacts, integrateFactsIntelligently } from '../services/factIntegrationService.js';
 import { advancedFactSearch } from '../services/advancedFactSearchService.js';
+import { createStreamingMessage } from '../services/streamingMessageService.js';
+import { transcribeVoiceMessage } from '../services/speechService.js';
+import { ingestDocument } from '../services/documentService.js';
+import { shouldReplyWithVoice, sendVoiceReply } from '../services/ttsService.js';
+import { sendReaction } from '../services/reactionService.js';
+import { recordContactStatus } from '../services/statusService.js';
+import { generateRecap } from '../services/recapService.js';
+import { isRecapRequest } from '../utils/recapUtils.js';
 
 // Get current directory for temporary file storage
 const __filename = fileURLToPath(import.meta.url);
@@ -47,19 +55,25 @@ async function processMessage(sock, message) {
     const db = getDb();
     
     // Extract message data
-    const content = extractMessageContent(message);
-    const sender = message.key.participant || message.key.remoteJid;
+    let content = extractMessageContent(message);
+    // A group ID linked to a personal ID shares its facts and history
+    const sender = resolveUserId(message.key.participant || message.key.remoteJid);
     const isGroup = isGroupMessage(message);
     const chatId = message.key.remoteJid;
     
-    // Skip status broadcast messages
-    // TODO: Implement dedicated status@broadcast handler for status updates
-    // Status messages have different structure and are meant for viewing, not interaction
+    // Status updates are meant for viewing, not interaction; processStatusBroadcast records them
     if (chatId === 'status@broadcast') {
-      logger.debug('Skipping status@broadcast message - not processing status updates');
+      logger.debug('Skipping status@broadcast message - handled by processStatusBroadcast');
       return;
     }
     
+    // Voice notes are normally transcribed by the batching service; cover messages that skipped it
+    if (hasVoiceNote(message) && !message.transcription) {
+      await transcribeVoiceMessage(message);
+      content = extractMessageContent(message);
+    }
+    const isVoiceNote = !!message.transcription?.text;
+    
     // Check if the message contains an image
     const imageData = extractImageData(message);
     // Add additional metadata to imageData if it exists
@@ -86,11 +100,13 @@ async function processMessage(sock, message) {
     
     // Check if this is a batched message
     const isBatchedMessage = message.batchMetadata && message.batchMetadata.isBatchedMessage;
+    // Personal chat batches store their messages up front; group batches leave it to processMessage
+    const contextAlreadyUpdated = !!message.batchMetadata?.contextUpdated;
     
     if (isBatchedMessage) {
-      logger.info(`Received batched message ${message.batchMetadata.batchPosition}/${message.batchMetadata.totalInBatch} from ${senderName} in ${chatType} ${groupName}: "${content?.substring(0, 50)}${content?.length > 50 ? '...' : ''}"${containsImage ? ' (contains image)' : ''}`);
+      logger.info(`Received batched message ${message.batchMetadata.batchPosition}/${message.batchMetadata.totalInBatch} from ${senderName} in ${chatType} ${groupName}: "${content?.substring(0, 50)}${content?.length > 50 ? '...' : ''}"${containsImage ? ' (contains image)' : ''}${isVoiceNote ? ' (voice note)' : ''}`);
     } else {
-      logger.info(`Received message from ${senderName} in ${chatType} ${groupName}: "${content?.substring(0, 50)}${content?.length > 50 ? '...' : ''}"${containsImage ? ' (contains image)' : ''}`);
+      logger.info(`Received message from ${senderName} in ${chatType} ${groupName}: "${content?.substring(0, 50)}${content?.length > 50 ? '...' : ''}"${containsImage ? ' (contains image)' : ''}${isVoiceNote ? ' (voice note)' : ''}`);
     }
     
     // Add a small natural delay before marking as read (simulating human reading time)
@@ -149,7 +165,9 @@ async function processMessage(sock, message) {
         // Analyze image with Together.AI model with embedding extraction enabled
         imageAnalysis = await analyzeImage(tempFilePath, analysisPrompt, {
           extractEmbeddings: true, // Enable embedding extraction
-          enhancedPrompt: true // Use enhanced prompt for better detail extraction
+          enhancedPrompt: true, // Use enhanced prompt for better detail extraction
+          chatId,
+          userId: sender
         });
         
         // Store analysis in database - this will be silent unless explicitly requested
@@ -183,6 +201,30 @@ async function processMessage(sock, message) {
       }
     }
     
+    // Index supported documents (PDF, DOCX, TXT, Markdown) so questions about them can be answered later
+    const documentData = extractDocumentData(message);
+    if (documentData?.type && db.data.config.documentQaEnabled !== false) {
+      logger.info(`Message contains document ${documentData.fileName}, indexing...`);
+      const documentResult = await ingestDocument(message, { chatId, userId: sender, senderName });
+      
+      if (documentResult.success) {
+        logger.success(documentResult.message);
+      } else {
+        logger.warning(`Document not indexed: ${documentResult.message}`);
+      }
+      
+      // Without a caption there is nothing to answer: confirm in private chats, stay quiet in groups
+      if (!documentData.caption) {
+        if (!contextAlreadyUpdated) {
+          await updateContext(db, chatId, sender, `[Dokumen: ${documentData.fileName}]`, message, sock);
+        }
+        if (!isGroup) {
+          await sock.sendMessage(chatId, { text: documentResult.message });
+        }
+        return;
+      }
+    }
+    
     // Check if the bot is mentioned in the message
     const isTagged = isTaggedMessage(message, db.data.config.botName);
     
@@ -226,8 +268,8 @@ async function processMessage(sock, message) {
       return;
     }
     
-    // Update conversation context (already updated in batching service for batched messages)
-    if (!isBatchedMessage) {
+    // Update conversation context (already updated in batching service for personal chat batches)
+    if (!contextAlreadyUpdated) {
       try {
         logger.debug('Updating conversation context');
         await updateContext(db, chatId, sender, content || (containsImage ? `[Image with analysis: ${imageAnalysisId}]` : "[Empty message]"), message, sock);
@@ -238,6 +280,20 @@ async function processMessage(sock, message) {
       logger.debug('Skipping context update for batched message (already handled in batching service)');
     }
     
+    // "@Qi aku ketinggalan apa?" gets the same catch-up summary as !recap
+    if (isGroup && isTagged && isRecapRequest(content)) {
+      logger.info(`Recap requested by ${senderName} in ${chatId}`);
+      await sock.sendPresenceUpdate('composing', chatId);
+      const recap = await generateRecap(chatId, sender, {
+        mode: 'since',
+        excludeMessageId: message.key.id,
+        requesterName: senderName
+      });
+      await sock.sendMessage(chatId, { text: recap.message }, { quoted: message });
+      await sock.sendPresenceUpdate('paused', chatId);
+      return;
+    }
+    
     // NEW: Extract and process facts after message is stored
     let relevantFacts = [];
     try {
@@ -252,7 +308,10 @@ async function processMessage(sock, message) {
         logger.debug(`Extracting facts for user: ${userName} (${actualUserId})`);
         
         // Extract facts using Gemini
-        const factExtractionResult = await extractAndProcessFacts(actualUserId, chatId, content);
+        const factExtractionResult = await extractAndProcessFacts(actualUserId, chatId, content, {
+          sourceMessageId: message.key.id,
+          messageTimestamp: Number(message.messageTimestamp) * 1000 || Date.now()
+        });
         
         if (factExtractionResult.success) {
           // Use the new function to get relevant facts from all participants
@@ -308,7 +367,7 @@ async function processMessage(sock, message) {
         // Always include the current message first
         allBatchMessages.push({
           content: content,
-          sender: message.key.participant || message.key.remoteJid,
+          sender: sender,
           timestamp: message.messageTimestamp || Date.now() / 1000,
           isTagged: isTagged,
           hasImage: containsImage,
@@ -321,7 +380,7 @@ async function processMessage(sock, message) {
             .filter(msg => !msg.isThis) // Exclude the current message to avoid duplication
             .map(msg => ({
               content: msg.content,
-              sender: message.key.participant || message.key.remoteJid,
+              sender: sender,
               timestamp: msg.timestamp || Date.now() / 1000,
               isTagged: false, // Other messages are not tagged
               hasImage: false, // Other messages don't have images
@@ -336,7 +395,7 @@ async function processMessage(sock, message) {
           logger.warning('No messages found in batch, adding current message as fallback');
           allBatchMessages.push({
             content: content,
-            sender: message.key.participant || message.key.remoteJid,
+            sender: sender,
             timestamp: message.messageTimestamp || Date.now() / 1000,
             isTagged: isTagged,
             hasImage: containsImage,
@@ -689,7 +748,10 @@ async function processMessage(sock, message) {
                 `Kamu berhasil membuat gambar dengan prompt: ${imagePrompt}`, 
                 contextMessages, 
                 db.data, 
-                senderName
+                senderName,
+                null,
+                chatId,
+                sender
               );
               // Send the image with the AI response as caption
               await sock.sendMessage(chatId, {
@@ -740,7 +802,10 @@ async function processMessage(sock, message) {
                 `Kamu gagal membuat gambar dengan prompt: ${imagePrompt}`, 
                 contextMessages, 
                 db.data, 
-                senderName
+                senderName,
+                null,
+                chatId,
+                sender
               );
               
               // Send AI response anyway with error message
@@ -943,8 +1008,19 @@ async function processMessage(sock, message) {
           });
         }
         
-        // Generate response
-        const aiResponse = await generateAIResponseLegacy(content || (containsImage ? `[User sent an image: ${imageData.caption || 'no caption'}]` : "[Empty message]"), contextMessages, db.data, senderName, responseDetermination);
+        // Voice replies are synthesized from the complete text, so they are never streamed
+        const replyWithVoice = shouldReplyWithVoice(db, chatId, sender, isVoiceNote);
+        
+        // What the message replies to, and whether our answer should quote the message in a busy group
+        const replyTo = resolveQuotedMessage(db, chatId, message, sock);
+        if (replyTo) {
+          logger.info(`Message is a reply to ${replyTo.fromBot ? 'the bot' : replyTo.senderName}: "${replyTo.content.substring(0, 50)}${replyTo.content.length > 50 ? '...' : ''}"`);
+        }
+        const quoted = shouldQuoteReply(db, chatId, message) ? message : null;
+        
+        // Generate response, showing it progressively while it streams in
+        const streamingMessage = db.data.config.streamingEnabled !== false && !replyWithVoice ? createStreamingMessage(sock, chatId, { quoted }) : null;
+        const aiResponse = await generateAIResponseLegacy(content || (containsImage ? `[User sent an image: ${imageData.caption || 'no caption'}]` : "[Empty message]"), contextMessages, db.data, senderName, responseDetermination, chatId, sender, streamingMessage ? streamingMessage.update : null, replyTo);
         
         // Stop typing indicator interval
         stopTypingInterval = true;
@@ -952,54 +1028,65 @@ async function processMessage(sock, message) {
         // Debug the AI response
         logger.debug('AI response generated');
 
-        // Calculate dynamic response delay based on message length and complexity
-        const isPrivateChat = !isGroup;
-        const responseDelay = calculateResponseDelay(
-          content || (containsImage ? `[Image: ${imageData.caption || 'no caption'}]` : "[Empty message]"), 
-          aiResponse, 
-          { privateChat: isPrivateChat }
-        );
+        // A streamed response is already on screen, so it only needs its final edit
+        const sentProgressively = streamingMessage ? await streamingMessage.finish(aiResponse) : false;
+        // Key of the sent response, stored with it so later replies to it can be resolved
+        let sentKey = sentProgressively ? streamingMessage.getKey() : null;
         
-        // For longer responses, simulate natural typing with pauses
-        if (aiResponse.length > 100) {
-          // Calculate realistic typing duration based on response length
-          const typingDuration = Math.min(
-            500 + (aiResponse.length / 10), // Base typing time (10 chars per second)
-            8000 // Cap at 8 seconds max
+        if (sentProgressively) {
+          logger.success(`Streamed response sent to ${chatId}`);
+        } else {
+          // Calculate dynamic response delay based on message length and complexity
+          const isPrivateChat = !isGroup;
+          const responseDelay = calculateResponseDelay(
+            content || (containsImage ? `[Image: ${imageData.caption || 'no caption'}]` : "[Empty message]"), 
+            aiResponse, 
+            { privateChat: isPrivateChat }
           );
+        
+          // For longer responses, simulate natural typing with pauses
+          if (aiResponse.length > 100) {
+            // Calculate realistic typing duration based on response length
+            const typingDuration = Math.min(
+              500 + (aiResponse.length / 10), // Base typing time (10 chars per second)
+              8000 // Cap at 8 seconds max
+            );
           
-          logger.info(`Simulating natural typing for ${Math.round(typingDuration)}ms before sending`);
+            logger.info(`Simulating natural typing for ${Math.round(typingDuration)}ms before sending`);
           
-          // Show active typing
-              await sock.sendPresenceUpdate('composing', chatId);
+            // Show active typing
+                await sock.sendPresenceUpdate('composing', chatId);
           
-          // For very long responses, pause typing briefly in the middle to seem more natural
-          if (aiResponse.length > 250) {
-            const halfwayPoint = Math.floor(typingDuration * 0.4); // Pause after 40% of typing time
+            // For very long responses, pause typing briefly in the middle to seem more natural
+            if (aiResponse.length > 250) {
+              const halfwayPoint = Math.floor(typingDuration * 0.4); // Pause after 40% of typing time
             
-            // Type for a while
-            await new Promise(resolve => setTimeout(resolve, halfwayPoint));
+              // Type for a while
+              await new Promise(resolve => setTimeout(resolve, halfwayPoint));
           
-            // Brief pause in typing (thinking about what to say next)
-            await sock.sendPresenceUpdate('paused', chatId);
-            await new Promise(resolve => setTimeout(resolve, Math.random() * 800 + 700)); // 700-1500ms pause
+              // Brief pause in typing (thinking about what to say next)
+              await sock.sendPresenceUpdate('paused', chatId);
+              await new Promise(resolve => setTimeout(resolve, Math.random() * 800 + 700)); // 700-1500ms pause
             
-            // Resume typing to finish the message
-            await sock.sendPresenceUpdate('composing', chatId);
-            await new Promise(resolve => setTimeout(resolve, typingDuration - halfwayPoint));
+              // Resume typing to finish the message
+              await sock.sendPresenceUpdate('composing', chatId);
+              await new Promise(resolve => setTimeout(resolve, typingDuration - halfwayPoint));
+            } else {
+              // For medium-length messages, just type continuously
+              await new Promise(resolve => setTimeout(resolve, typingDuration));
+            }
           } else {
-            // For medium-length messages, just type continuously
-            await new Promise(resolve => setTimeout(resolve, typingDuration));
+            // Continue showing typing indicator during the delay for short messages
+            logger.info(`Waiting ${responseDelay}ms before sending response`);
+            await new Promise(resolve => setTimeout(resolve, responseDelay));
           }
-        } else {
-          // Continue showing typing indicator during the delay for short messages
-          logger.info(`Waiting ${responseDelay}ms before sending response`);
-          await new Promise(resolve => setTimeout(resolve, responseDelay));
-        }
         
-        // Send the response
-        await sock.sendMessage(chatId, { text: aiResponse });
-        logger.success(`Response sent to ${chatId}`);
+          // Send the response, as a voice note when the reply mode asks for one (text if synthesis fails)
+          const sentAsVoice = replyWithVoice ? await sendVoiceReply(sock, chatId, aiResponse, { quoted }) : null;
+          const sent = sentAsVoice || await sock.sendMessage(chatId, { text: aiResponse }, quoted ? { quoted } : undefined);
+          sentKey = sent?.key || null;
+          logger.success(`Response sent to ${chatId}${sentAsVoice ? ' as voice note' : ''}${quoted ? ' (quoted)' : ''}`);
+        }
         // If this was a response to an image, mark the image analysis as shown
         if ((containsImage && isExplicitImageAnalysisRequest) || isPreviousImageQuery) {
           try {
@@ -1018,7 +1105,7 @@ async function processMessage(sock, message) {
         try {
           await updateContext(db, chatId, process.env.BOT_ID, aiResponse, {
                 key: { 
-              id: `ai_${Date.now()}`,
+              id: sentKey?.id || `ai_${Date.now()}`,
               remoteJid: chatId
                 },
                 pushName: db.data.config.botName
@@ -1057,6 +1144,11 @@ async function processMessage(sock, message) {
           }
         }
       }
+    } else if (responseDetermination?.action === 'react' && db.data.config.reactionResponsesEnabled !== false &&
+      (!message.batchMetadata?.isBatchedMessage || !responseDetermination.responseToMessage ||
+        responseDetermination.responseToMessage === message.batchMetadata.batchPosition)) {
+      // A reaction is enough for this message; in a batch only the targeted message gets it
+      await sendReaction(sock, message, responseDetermination.reaction);
     } else {
       logger.info('Not responding to this message based on response criteria');
     }
@@ -1229,54 +1321,68 @@ function extractImagePrompt(content) {
 }
 
 /**
- * TODO: Future implementation for handling status@broadcast messages
- * 
- * Status messages are WhatsApp status updates (stories) that users share.
- * These messages have special characteristics:
- * - remoteJid: 'status@broadcast'
- * - Ephemeral content (disappears after 24 hours)
- * - Different message structure than regular chats
- * - Meant for viewing, not interaction
- * 
- * Possible use cases for status@broadcast handler:
- * - Analytics on status updates
- * - Automatic status viewing/reading
- * - Status content analysis for insights
- * - Status backup/archiving
- * - React to specific status content types
- * 
- * Implementation considerations:
- * - Status messages should not trigger regular chat responses
- * - Need special permission handling for status access
- * - Different privacy implications
- * - Limited interaction capabilities
- * 
+ * Apply an edit or "delete for everyone" to the stored copy of a message. A deleted message takes
+ * the facts that were extracted from it alone with it; an edited message goes through fact
+ * extraction again so facts follow the new text.
+ * @param {Object} sock - WhatsApp socket instance
+ * @param {Object} message - Message carrying the protocolMessage
+ * @returns {Promise<boolean>} - Whether the message was an edit or deletion
+ */
+async function processMessageRevision(sock, message) {
+  const revision = getMessageRevision(message);
+  if (!revision) {
+    return false;
+  }
+
+  try {
+    const db = getDb();
+    const chatId = message.key.remoteJid;
+    // Group admins can delete other people's messages, so the author comes from the deleted message
+    const actor = message.key.participant || message.key.remoteJid;
+
+    if (revision.type === 'revoke') {
+      const stored = await applyMessageRevoke(db, chatId, revision.messageId);
+      const author = stored?.sender || resolveUserId(revision.participant || actor);
+      // Facts can outlive the stored message, so retract them even when it has been trimmed
+      const retracted = await retractFactsFromMessage(author, chatId, revision.messageId);
+      logger.info(`Message ${revision.messageId} in ${chatId} was deleted${stored ? '' : ' (not stored)'}, retracted ${retracted.length} fact(s)`);
+      return true;
+    }
+
+    const stored = await applyMessageEdit(db, chatId, revision.messageId, revision.content);
+    // Facts were stored under the resolved ID, as in processMessage
+    const author = stored?.sender || resolveUserId(actor);
+    // Facts from the old wording alone are dropped; whatever the new text still says comes back
+    const retracted = await retractFactsFromMessage(author, chatId, revision.messageId);
+    logger.info(`Message ${revision.messageId} in ${chatId} was edited${stored ? '' : ' (not stored)'}, retracted ${retracted.length} fact(s)`);
+
+    if (db.data.config.dynamicFactExtractionEnabled && revision.content && revision.content.trim().length > 0) {
+      // "besok" in an edited message still means the day after it was first sent
+      await extractAndProcessFacts(author, chatId, revision.content, {
+        sourceMessageId: revision.messageId,
+        messageTimestamp: stored?.timestamp ? Date.parse(stored.timestamp) : undefined
+      });
+    }
+    return true;
+  } catch (error) {
+    logger.error(`Error applying ${revision.type} of message ${revision.messageId}`, error);
+    return true;
+  }
+}
+
+/**
+ * Handle a status@broadcast message (a contact's status update). Statuses never get a reply;
+ * when status tracking is enabled they are recorded so the bot can bring them up in private chat.
  * @param {Object} sock - WhatsApp socket instance
  * @param {Object} message - Status broadcast message object
  * @returns {Promise<void>}
  */
 async function processStatusBroadcast(sock, message) {
-  // TODO: Implement status broadcast handling logic
-  // This function will be called specifically for status@broadcast messages
-  
   try {
-    const logger = {
-      info: (msg) => console.log(`[STATUS][${new Date().toISOString()}] ${msg}`),
-      debug: (msg) => console.log(`[STATUS-DEBUG][${new Date().toISOString()}] ${msg}`),
-      error: (msg, err) => console.error(`[STATUS-ERROR][${new Date().toISOString()}] ${msg}`, err)
-    };
-    
-    logger.debug('Status broadcast message received - handler not yet implemented');
-    
-    // Example future implementation:
-    // 1. Extract status content and metadata
-    // 2. Analyze status type (text, image, video)
-    // 3. Store status data if needed
-    // 4. Perform any automated status interactions
-    // 5. Log status activity for analytics
-    
+    const result = await recordContactStatus(sock, message);
+    logger.debug(`Status from ${message.key.participant || 'unknown'}: ${result.message}`);
   } catch (error) {
-    console.error('Error processing status broadcast:', error);
+    logger.error('Error processing status broadcast', error);
   }
 }
 
@@ -1382,4 +1488,4 @@ function extractTopicsFromAdvancedResults(advancedSearchResult) {
   return [...new Set(topics)];
 }
 
-export { processMessage, shouldRespondToMessage, getLastImageAnalysisId, detectImageGenerationRequest, extractImagePrompt, processStatusBroadcast };
\ No newline at end of file
+export { processMessage, shouldRespondToMessage, getLastImageAnalysisId, detectImageGenerationRequest, extractImagePrompt, processStatusBroadcast, processMessageRevision };
\ No newline at end of file
@@ -11,73 +11,45 @@ import {
   PERSONALITIES
 } from './personalityService.js';
 import { logApiRequest } from './apiLogService.js';
-import { requestNvidiaChat } from './aiRequest.js';
+import { resolveChatConfig, filterToolsForChat, getLanguageName } from './groupConfigService.js';
+import { applyChatBudget } from './usageService.js';
+import { indexVectorEntry } from './vectorIndexService.js';
+import { requestGeminiChat, requestTogetherChat } from './aiRequest.js';
+import {
+  TOOL_SUPPORTED_MODELS,
+  TOGETHER_MODELS,
+  getProvider,
+  isProviderConfigured,
+  resolveChatProvider,
+  requestWithFallback,
+  listProviderModels
+} from './providerService.js';
 import fetchUrlContent from '../utils/fetchUrlContentUtils.js';
 import { searchWeb } from '../utils/searchWebUtils.js';
 import { getSteamGameData, searchSteamGames, getSteamDeals } from '../utils/steamDBUtils.js';
 import { getTools as getToolsFromRegistry, handleToolCall as handleToolCallFromRegistry } from '../tools/toolsRegistry.js';
 
-// Constants for API URLs
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1/models';
-const TOGETHER_API_URL = 'https://api.together.xyz/v1/chat/completions';
-
 // API Provider constants
 const API_PROVIDERS = {
   OPENROUTER: 'openrouter',
   GEMINI: 'gemini',
-  TOGETHER: 'together'
+  TOGETHER: 'together',
+  NVIDIA: 'nvidia'
 };
 
-// List of models that support tool/function calling
-const TOOL_SUPPORTED_MODELS = [
-  // Meta Llama models
-  'meta-llama/Llama-4-Maverick-17B',
-  'meta-llama/Llama-4-Scout-17B',
-  'meta-llama/Meta-Llama-3.1-8B',
-  'meta-llama/Meta-Llama-3.1-70B',
-  'meta-llama/Meta-Llama-3.1-405B',
-  'meta-llama/Llama-3.3-70B',
-  'meta-llama/Llama-3.2-3B',
-  'meta/llama-3.3-70b-instruct',
-  // Qwen models
-  'Qwen/Qwen2.5-7B',
-  'Qwen/Qwen2.5-72B',
-  'Qwen/Qwen3-235B',
-  // Deepseek models
-  'deepseek-ai/DeepSeek-V3',
-  // Mistral models
-  'mistralai/Mistral-Small-24B',
-  // Claude models
-  'claude-3-5-sonnet',
-  'claude-3-haiku',
-  'claude-3-opus',
-  // OpenAI models
-  'gpt-4o',
-  'gpt-4-turbo',
-  'gpt-4',
-  'gpt-3.5-turbo',
-  // Google models
-  'gemini-1.5-pro',
-  'gemini-1.5-flash',
-  'gemini-2.0-pro',
-  'gemini-2.0-flash'
-];
+// Primary models for non-chat purposes (the fallback chain takes over when they fail)
+const ANALYSIS_MODEL = 'google/gemini-2.0-flash-lite';
+const IMAGE_ANALYSIS_MODEL = 'meta-llama/Llama-Vision-Free';
 
-// Model definitions for Together.AI
-const TOGETHER_MODELS = [
-  'deepseek-ai/DeepSeek-R1-Distill-Llama-70B-free',
-  'meta-llama/Llama-3.3-8B-Instruct-Turbo-Free',
-  'meta-llama/Llama-Vision-Free' // Vision model for image analysis
-];
+// Messages shown when the chat provider has no API key
+const MISSING_API_KEY_MESSAGES = {
+  gemini: 'Gemini API key belum dikonfigurasi. Gunakan perintah !setgeminikey untuk mengatur kunci API Gemini.',
+  together: 'Together.AI API key belum dikonfigurasi. Gunakan perintah !settogetherkey untuk mengatur kunci API Together.AI.',
+  openrouter: 'OpenRouter API key belum dikonfigurasi. Gunakan perintah !setapikey untuk mengatur kunci API.'
+};
 
-// Rate limit error messages to detect
-const RATE_LIMIT_ERRORS = [
-  'rate limit exceeded',
-  'too many requests', 
-  'quota exceeded',
-  'free-models-per-day'
-];
+// Fallback reasons caused by rate limits, quotas or an open circuit breaker
+const LIMIT_REASONS = ['rate_limited', 'quota_exhausted', 'circuit_open', 'throttled'];
 
 // Console logging helper
 const logger = {
@@ -113,47 +85,6 @@ async function generateAnalysis(prompt, options = {}, context = []) {
   try {
     logger.info('Generating analysis for mood/personality determination');
     
-    const db = getDb();
-    const { config } = db.data;
-    
-    // Use a simpler, faster model for analysis to reduce token usage
-    // Prefer the current provider but with a more efficient model
-    let provider = 'gemini';
-    let model = null;
-    
-    // Select appropriate model based on provider
-    if (provider === 'gemini') {
-      model = 'google/gemini-2.0-flash-lite'; // Faster Gemini model
-    } else if (provider === 'together') {
-      model = 'meta-llama/Llama-3.3-8B-Instruct-Turbo-Free'; // Smaller, faster Together model
-    } else {
-      // OpenRouter - use a smaller, efficient model
-      model = 'anthropic/claude-3-haiku';
-    }
-    
-    // Get appropriate API key
-    let apiKey;
-    if (provider === 'gemini') {
-      apiKey = config.geminiApiKey || process.env.GEMINI_API_KEY;
-    } else if (provider === 'together') {
-      apiKey = config.togetherApiKey || process.env.TOGETHER_API_KEY;
-    } else if (provider === 'nvidia') {
-      apiKey = config.nvidiaApiKey || process.env.NVIDIA_API_KEY;
-    } else {
-      apiKey = process.env.OPENROUTER_API_KEY;
-    }
-    
-    if (!apiKey) {
-      logger.warning(`No API key configured for ${provider}, falling back to OpenRouter`);
-      provider = 'openrouter';
-      model = 'anthropic/claude-3-haiku';
-      apiKey = process.env.OPENROUTER_API_KEY;
-      
-      if (!apiKey) {
-        throw new Error('No API keys configured for any provider');
-      }
-    }
-    
     // Prepare messages for API
     const messages = [
       { role: 'system', content: 'You are an expert at analyzing message tone, emotion, and context. Your task is to determine the most appropriate mood and personality for a conversational AI to adopt when responding.' },
@@ -170,61 +101,16 @@ async function generateAnalysis(prompt, options = {}, context = []) {
     const params = {
       temperature: options.temperature || 0.3, // Lower temperature for more consistent analysis
       max_tokens: options.max_tokens || 300,
-      top_p: options.top_p || 0.95,
-      stream: false
+      top_p: options.top_p || 0.95
     };
     
-    // Make API request based on provider
-    let response;
-    if (provider === 'gemini') {
-      // Format messages for Gemini
-      const formattedMessages = formatMessagesForAPI(messages, { defaultProvider: 'gemini' });
-      const geminiResponse = await requestGeminiChat(model, apiKey, formattedMessages, params);
-      
-      // For Gemini, the response is already the text content
-      response = geminiResponse;
-      
-      // If the response is an object (newer Gemini API), extract the text content
-      if (typeof response === 'object' && response.choices && response.choices[0] && response.choices[0].message) {
-        response = response.choices[0].message.content;
-        logger.debug('Extracted text content from Gemini response object');
-      }
-    } else if (provider === 'together') {
-      const togetherResponse = await requestTogetherChat(model, apiKey, messages, params);
-      
-      // For Together, extract the text content from the response
-      if (typeof togetherResponse === 'object' && togetherResponse.choices && togetherResponse.choices[0]) {
-        response = togetherResponse.choices[0].message.content;
-      } else {
-        response = togetherResponse;
-      }
-    } else {
-      // OpenRouter request
-      const apiResponse = await axios.post(
-        OPENROUTER_API_URL,
-        {
-          model: model,
-          messages: messages,
-          ...params
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`,
-            'HTTP-Referer': 'https://github.com/Qi-Blockchain/qi-ai-chatbot'
-          }
-        }
-      );
-      
-      // Log API usage
-      await logApiRequest('openrouter', model, messages, apiResponse.data, null);
-      
-      // Extract response text
-      response = apiResponse.data.choices[0]?.message?.content || '';
-    }
+    // Use a simpler, faster model for analysis to reduce token usage; the fallback chain covers outages
+    const { response } = await requestWithFallback('analysis', messages, params, {
+      primary: { provider: 'gemini', model: ANALYSIS_MODEL }
+    });
     
     logger.success('Successfully generated mood/personality analysis');
-    return response;
+    return response.choices[0]?.message?.content || '';
   } catch (error) {
     logger.error('Error generating analysis:', error);
     throw error;
@@ -232,49 +118,24 @@ async function generateAnalysis(prompt, options = {}, context = []) {
 }
 
 // Generate a response using the AI model
-async function generateAIResponseLegacy(message, context, botData, senderName = null, batchAnalysis = null) {
+async function generateAIResponseLegacy(message, context, botData, senderName = null, batchAnalysis = null, chatId = null, senderId = null, onProgress = null, replyTo = null) {
   try {
     const startTime = Date.now();
     logger.info(`Generating AI response for message: "${message.substring(0, 50)}${message.length > 50 ? '...' : ''}"`);
     logger.debug('Context length:', context.length);
     
-    const { config, state } = botData;
-    
-    // Determine if we should use Gemini API based on provider or model name
-    const isGeminiModel = config.defaultProvider === 'gemini' || 
-                         (config.model && (
-                          config.model.startsWith('google/') || 
-                          config.model.startsWith('gemini')
-                         ));
-                         
-    // Determine if we should use Together.AI API based on provider or model name
-    const isTogetherModel = config.defaultProvider === 'together' || 
-                           (config.model && TOGETHER_MODELS.includes(config.model));
-                         
-    let apiKey;
-    
-    if (isGeminiModel) {
-      apiKey = config.geminiApiKey || process.env.GEMINI_API_KEY;
-      
-      if (!apiKey) {
-        logger.warning('Gemini API key not configured');
-        return 'Gemini API key belum dikonfigurasi. Gunakan perintah !setgeminikey untuk mengatur kunci API Gemini.';
-      }
-    } else if (isTogetherModel) {
-      apiKey = config.togetherApiKey || process.env.TOGETHER_API_KEY;
-      
-      if (!apiKey) {
-        logger.warning('Together.AI API key not configured');
-        return 'Together.AI API key belum dikonfigurasi. Gunakan perintah !settogetherkey untuk mengatur kunci API Together.AI.';
-      }
-    } else {
-      // Use OpenRouter API
-      apiKey = process.env.OPENROUTER_API_KEY;
-      
-      if (!apiKey) {
-        logger.warning('OpenRouter API key not configured');
-        return 'OpenRouter API key belum dikonfigurasi. Gunakan perintah !setapikey untuk mengatur kunci API.';
-      }
+    const { state } = botData;
+    
+    // Apply per-chat overrides (personality, provider, model, etc.) on top of the global config,
+    // then switch to the budget model if the chat has spent its monthly budget
+    const { config } = applyChatBudget(resolveChatConfig(getDb(), chatId, botData.config), chatId);
+    
+    const providerName = resolveChatProvider(config);
+    const provider = getProvider(providerName, config);
+    
+    if (!isProviderConfigured(provider, config)) {
+      logger.warning(`${provider.label} API key not configured`);
+      return MISSING_API_KEY_MESSAGES[providerName] || `${provider.label} API key belum dikonfigurasi.`;
     }
     
     // Check if we've hit rate limits and if they're still active
@@ -285,17 +146,7 @@ async function generateAIResponseLegacy(message, context, botData, senderName =
       if (now < resetTime) {
         // Rate limit is still active
         logger.warning('Rate limit still active, will not make API request');
-        
-        // Calculate remaining time
-        const timeUntilReset = resetTime - now;
-        const hoursUntilReset = Math.floor(timeUntilReset / (60 * 60 * 1000));
-        const minutesUntilReset = Math.floor((timeUntilReset % (60 * 60 * 1000)) / (60 * 1000));
-        
-        const resetTimeMessage = hoursUntilReset > 0 
-          ? `${hoursUntilReset} jam ${minutesUntilReset} menit` 
-          : `${minutesUntilReset} menit`;
-        
-        return `Maaf, saat ini batas penggunaan API masih aktif. Batas akan direset dalam ${resetTimeMessage}. Silakan coba lagi nanti ya~`;
+        return `Maaf, saat ini batas penggunaan API masih aktif. Batas akan direset dalam ${formatTimeUntil(resetTime)}. Silakan coba lagi nanti ya~`;
       } else {
         // Rate limit has expired, clear it
         logger.info('Rate limit has expired, clearing rate limit info');
@@ -305,7 +156,7 @@ async function generateAIResponseLegacy(message, context, botData, senderName =
     }
     
     // Create system message with personality and mood
-    const systemMessage = createSystemMessage(config, state, batchAnalysis);
+    const systemMessage = createSystemMessage(config, state, batchAnalysis, chatId, replyTo);
     logger.debug('System message created', { length: systemMessage.length });
     
     // Prepare messages array for the API
@@ -315,808 +166,148 @@ async function generateAIResponseLegacy(message, context, botData, senderName =
       { role: 'user', content: message, name: senderName }
     ];
     
-    if (isGeminiModel) {
-      logger.info(`Making request to Gemini API with model: ${config.model}`);
-      
-      try {
-        // Convert messages to Gemini format
-        const formattedMessages = formatMessagesForAPI(messages, config);
-        
-        // Call Gemini API
-        const response = await requestGeminiChat(
-          config.model,
-          apiKey,
-          formattedMessages,
-          {
-            temperature: 0.7,
-            top_p: 0.9,
-            max_tokens: 1000,
-            stop: null,
-            stream: false,
-            tools: TOOL_SUPPORTED_MODELS.some(model => 
-              config.model.toLowerCase().includes(model.toLowerCase())
-            ) ? await getTools() : null // Pass tools to Gemini if supported
-          }
-        );
-        
-        if (!response) {
-          logger.error('Empty response from Gemini API');
-          return 'Maaf, Gemini API tidak memberikan respons. Coba lagi nanti ya~';
-        }
-        
-        logger.success(`Successfully processed Gemini API response`);
-        
-        // Process response - check for tool calls first
-        if (response.choices && response.choices.length > 0 && 
-            response.choices[0].message && response.choices[0].message.tool_calls) {
-          
-          // Handle tool calls
-          logger.info('Gemini returned tool calls, processing...');
-          
-          try {
-            const toolCall = response.choices[0].message.tool_calls[0];
-            const result = await handleToolCall(toolCall.function);
-            return result;
-          } catch (toolError) {
-            logger.error('Error handling tool calls from Gemini', toolError);
-            return `Maaf, terjadi kesalahan saat memproses tool calls: ${toolError.message}`;
-          }
-        }
-        
-        // If no tool calls, process as normal text response
-        if (response.choices && response.choices.length > 0 && 
-            response.choices[0].message && response.choices[0].message.content) {
-          
-          let processedContent = response.choices[0].message.content;
-          
-          // Trim leading/trailing newlines
-          if (processedContent.match(/^\s*\n+/) || processedContent.match(/\n+\s*$/)) {
-            processedContent = processedContent.replace(/^\s*\n+/, '').replace(/\n+\s*$/, '');
-          }
-          
-          logger.success(`Successfully processed AI response (${processedContent.length} chars)`);
-          return processedContent;
-        } else {
-          logger.error('Invalid response format from Gemini API');
-          return 'Maaf, format respons dari Gemini API tidak valid. Coba lagi nanti ya~';
-        }
-      } catch (geminiError) {
-        logger.error('Gemini API request failed', geminiError);
-        return `Gagal terhubung ke Gemini API: ${geminiError.message}. Coba lagi nanti ya~`;
-      }
-    } else if (isTogetherModel) {
-      logger.info(`Making request to Together.AI API with model: ${config.model}`);
-      
-      try {
-        const formattedMessages = formatMessagesForAPI(messages, config);
-        
-        // Call Together.AI API
-        const response = await requestTogetherChat(
-          config.model,
-          apiKey,
-          formattedMessages,
-          {
-            temperature: 0.7,
-            top_p: 0.9,
-            max_tokens: 1000,
-            stop: null,
-            stream: false,
-            tools: TOOL_SUPPORTED_MODELS.some(model => 
-              config.model.toLowerCase().includes(model.toLowerCase())
-            ) ? await getTools() : null // Pass tools to Together API if supported
-          }
-        );
-        
-        if (!response) {
-          logger.error('Empty response from Together.AI API');
-          return 'Maaf, Together.AI API tidak memberikan respons. Coba lagi nanti ya~';
-        }
-        
-        logger.success(`Successfully processed Together.AI API response`);
-        
-        // Check for tool calls first
-        if (response.choices && response.choices.length > 0 && 
-            response.choices[0].message && response.choices[0].message.tool_calls) {
-          
-          // Handle tool calls
-          logger.info('Together.AI returned tool calls, processing...');
-          
-          try {
-            const toolCall = response.choices[0].message.tool_calls[0];
-            if (toolCall?.function) {
-              const result = await handleToolCall(toolCall.function);
-              return result;
-            }
-            
-          } catch (toolError) {
-            logger.error('Error handling tool calls from Together.AI', toolError);
-            return `Maaf, terjadi kesalahan saat memproses tool calls: ${toolError.message}`;
-          }
-        }
-        
-        // If no tool calls, process as normal text response
-        if (response.choices && response.choices.length > 0 && 
-            response.choices[0].message && response.choices[0].message.content) {
-          
-          let processedContent = response.choices[0].message.content;
-          
-          // Trim leading/trailing newlines
-          if (processedContent.match(/^\s*\n+/) || processedContent.match(/\n+\s*$/)) {
-            processedContent = processedContent.replace(/^\s*\n+/, '').replace(/\n+\s*$/, '');
-          }
-          
-          logger.success(`Successfully processed AI response (${processedContent.length} chars)`);
-          return processedContent;
-        } else {
-          logger.error('Invalid response format from Together.AI API');
-          return 'Maaf, format respons dari Together.AI API tidak valid. Coba lagi nanti ya~';
-        }
-      } catch (togetherError) {
-        logger.error('Together.AI API request failed', togetherError);
-        
-        // Prepare a readable error message
-        let errorMessage = togetherError.message || 'Unknown error';
-        let errorCode = togetherError.response?.status || 'unknown';
-        let errorDetail = '';
-        
-        if (togetherError.response?.data?.error?.message) {
-          errorDetail = togetherError.response.data.error.message;
-          logger.debug(`Together.AI detailed error: ${errorDetail}`);
-        }
-        
-        // Check for specific error types to inform fallback decisions
-        const isRateLimited = errorCode === 429 || 
-          RATE_LIMIT_ERRORS.some(term => 
-            errorMessage.toLowerCase().includes(term) || 
-            (errorDetail && errorDetail.toLowerCase().includes(term))
-          );
-        
-        const isContextTooLong = 
-          errorCode === 422 && 
-          (errorDetail.includes('tokens + `max_new_tokens`') || 
-           errorDetail.includes('Input validation error') ||
-           errorDetail.includes('token limit'));
-           
-        const isModelUnavailable = 
-          errorCode === 404 || 
-          errorMessage.includes('not found') || 
-          errorMessage.includes('unavailable') ||
-          errorCode === 503 ||
-          errorCode === 500;
-        
-        // For these error types, try Gemini as fallback
-        if (isRateLimited || isContextTooLong || isModelUnavailable) {
-          // Log appropriate message based on error type
-          if (isRateLimited) {
-          logger.warning('Together.AI API rate limited, falling back to NVIDIA API');
-          } else if (isContextTooLong) {
-            logger.warning(`Together.AI context too long (${errorDetail}), falling back to NVIDIA API`);
-          } else if (isModelUnavailable) {
-            logger.warning(`Together.AI model unavailable (${errorDetail}), falling back to NVIDA API`);
-          }
-
-          const formattedMessages = formatMessagesForAPI(messages, config);
-          const nvidiaApiKey = config.nvidiaApiKey || process.env.NVIDIA_API_KEY;
-          const nvidiaModel = config.nvidiaModel || process.env.NVIDIA_MODEL;
-          
-          try {
-            const response = await requestNvidiaChat(
-              nvidiaModel,
-              nvidiaApiKey,
-              formattedMessages,
-              {
-                temperature: 0.7,
-                top_p: 0.9,
-                max_tokens: 1000,
-                stop: null,
-                stream: false,
-                tools: TOOL_SUPPORTED_MODELS.some(model => 
-                  config.model.toLowerCase().includes(model.toLowerCase())
-                ) ? await getTools() : null // Pass tools to NVIDIA API if supported
-              }
-            );
-            
-            if (!response) {
-              logger.error('Empty response from NVIDIA API');
-              return 'Maaf, NVIDIA API tidak memberikan respons. Coba lagi nanti ya~';
-            }
-            
-            logger.success(`Successfully processed NVIDIA API response`);
-            
-            // Check for tool calls first
-            if (response.choices && response.choices.length > 0 && 
-                response.choices[0].message && response.choices[0].message.tool_calls) {
-              
-              // Handle tool calls
-              logger.info('NVIDIA returned tool calls, processing...');
-              
-              try {
-                const toolCall = response.choices[0].message.tool_calls[0];
-                if (toolCall?.function) {
-                  const result = await handleToolCall(toolCall.function);
-                  return result;
-                }
-              } catch (toolError) {
-                logger.error('Error handling tool calls from NVIDIA', toolError);
-                return `Maaf, terjadi kesalahan saat memproses tool calls: ${toolError.message}`;
-              }
-            }
-            
-            // If no tool calls, process as normal text response
-            if (response.choices && response.choices.length > 0 && 
-                response.choices[0].message && response.choices[0].message.content) {
-              
-              let processedContent = response.choices[0].message.content;
-              
-              // Trim leading/trailing newlines
-              if (processedContent.match(/^\s*\n+/) || processedContent.match(/\n+\s*$/)) {
-                processedContent = processedContent.replace(/^\s*\n+/, '').replace(/\n+\s*$/, '');
-              }
-              
-              logger.success(`Successfully processed AI response (${processedContent.length} chars)`);
-              return processedContent;
-            } else {
-              logger.error('Invalid response format from NVIDIA API');
-              return 'Maaf, format respons dari NVIDIA API tidak valid. Coba lagi nanti ya~';
-            }
-          } catch (nvidiaError) {
-            logger.error('NVIDIA API request failed', nvidiaError);
-            let errorMessage = nvidiaError.message || 'Unknown error';
-            let errorCode = nvidiaError.response?.status || 'unknown';
-            let errorDetail = '';
-            
-            if (nvidiaError.response?.data?.error?.message) {
-              errorDetail = nvidiaError.response.data.error.message;
-              logger.debug(`NVIDIA detailed error: ${errorDetail}`);
-            }
-            
-            // Check for specific error types to inform fallback decisions
-            const isRateLimited = errorCode === 429 || 
-              RATE_LIMIT_ERRORS.some(term => 
-                errorMessage.toLowerCase().includes(term) || 
-                (errorDetail && errorDetail.toLowerCase().includes(term))
-              );
-            
-            const isContextTooLong = 
-              errorCode === 422 && 
-              (errorDetail.includes('tokens + `max_new_tokens`') || 
-               errorDetail.includes('Input validation error') ||
-               errorDetail.includes('token limit'));
-               
-            const isModelUnavailable = 
-              errorCode === 404 || 
-              errorMessage.includes('not found') || 
-              errorMessage.includes('unavailable');
-            
-            // For these error types, try Gemini as fallback
-            if (isRateLimited || isContextTooLong || isModelUnavailable) {
-              // Log appropriate message based on error type
-              if (isRateLimited) {
-              logger.warning('NVIDIA API rate limited, falling back to Gemini API');
-              } else if (isContextTooLong) {
-                logger.warning(`NVIDIA context too long (${errorDetail}), falling back to Gemini API`);
-              } else if (isModelUnavailable) {
-                logger.warning(`NVIDIA model unavailable (${errorDetail}), falling back to Gemini API`);
-              }
-              // Check if Gemini API key is available
-              const geminiApiKey = config.geminiApiKey || process.env.GEMINI_API_KEY;
-              
-              if (!geminiApiKey) {
-                logger.warning('Gemini API key not configured for fallback');
-                return `Maaf, terjadi kesalahan dengan Together.AI API: ${isContextTooLong ? 'Pesan terlalu panjang' : errorMessage}. Gemini API key tidak tersedia untuk fallback. Coba lagi nanti ya~`;
-              }
-              
-              try {
-                // Convert messages to Gemini format
-                const formattedMessages = formatMessagesForAPI(messages, config);
-                
-                // For context length issues, reduce message count by truncating history
-                let truncatedMessages = formattedMessages;
-                
-                // Use Gemini 2.0 Flash as fallback for most cases
-                // For context too long, try Gemini 2.0 Pro which has larger context window
-                const fallbackModel = 'gemini-2.0-flash';
-                logger.info(`Falling back to Gemini API with model: ${fallbackModel}`);
-                
-                // Call Gemini API
-                const response = await requestGeminiChat(
-                  fallbackModel,
-                  geminiApiKey,
-                  truncatedMessages,
-                  {
-                    temperature: 0.7,
-                    top_p: 0.95,
-                    max_tokens: 1000,
-                    tools: TOOL_SUPPORTED_MODELS.some(model => 
-                      config.model.toLowerCase().includes(model.toLowerCase())
-                    ) ? await getTools() : null // Pass tools to Gemini fallback if supported
-                  }
-                );
-                
-                if (!response) {
-                  logger.error('Empty response from fallback Gemini API');
-                  return 'Maaf, Together.AI API gagal dan Gemini API tidak memberikan respons. Coba lagi nanti ya~';
-                }
-                
-                logger.success(`Successfully processed fallback Gemini API response`);
-                
-                // Check for tool calls in Gemini fallback response
-                if (response.choices && response.choices.length > 0 && 
-                    response.choices[0].message && response.choices[0].message.tool_calls) {
-                  
-                  // Handle tool calls from Gemini fallback
-                  logger.info('Gemini fallback returned tool calls, processing...');
-                  
-                  try {
-                    const toolCall = response.choices[0].message.tool_calls[0];
-                    const result = await handleToolCall(toolCall.function);
-                    return result;
-                  } catch (toolError) {
-                    logger.error('Error handling tool calls from Gemini fallback', toolError);
-                    return `Maaf, terjadi kesalahan saat memproses tool calls: ${toolError.message}`;
-                  }
-                }
-                
-                // Process normal text response from Gemini fallback
-                if (response.choices && response.choices.length > 0 && 
-                    response.choices[0].message && response.choices[0].message.content) {
-                  
-                  let processedContent = response.choices[0].message.content;
-                  
-                  // Trim leading/trailing newlines
-                  if (processedContent.match(/^\s*\n+/) || processedContent.match(/\n+\s*$/)) {
-                    processedContent = processedContent.replace(/^\s*\n+/, '').replace(/\n+\s*$/, '');
-                  }
-                  
-                  logger.success(`Successfully processed fallback AI response (${processedContent.length} chars)`);
-                  return processedContent;
-                } else {
-                  logger.error('Invalid response format from fallback Gemini API');
-                  return 'Maaf, format respons dari Gemini API fallback tidak valid. Coba lagi nanti ya~';
-                }
-              } catch (fallbackError) {
-                logger.error('Fallback to Gemini API failed', fallbackError);
-                return `Maaf, terjadi kesalahan dengan Together.AI API, NVIDIA API, dan Gemini API fallback: ${fallbackError.message}. Coba lagi nanti ya~`;
-              }
-            } else {
-              const errorResponse = `Maaf, terjadi kesalahan dengan Together.AI API, NVIDIA API, dan Gemini API fallback: ${errorDetail || errorMessage}. Coba lagi nanti ya~`;
-              logger.debug('Returning error response', { errorResponse });
-              return errorResponse;
-            }
-          }
-          
-        } else {
-          // For other errors, return a helpful message
-          const errorResponse = `Maaf, terjadi kesalahan dengan Together.AI API: ${errorDetail || errorMessage}. Coba lagi nanti ya~`;
-          logger.debug('Returning error response', { errorResponse });
-          return errorResponse;
-        }
-      }
-    } else {
-      // OpenRouter implementation
-      logger.info(`Making request to OpenRouter API with model: ${config.model}`);
-      
-      // Prepare request body based on tool support
-      let requestBody = {
-        model: config.model,
-        messages: messages,
-        temperature: 0.7,
-        max_tokens: 1000,
-        top_p: 0.9
-      };
-      
-      // Only add tools if the model supports them
-      if (TOOL_SUPPORTED_MODELS.some(model => 
-        config.model.toLowerCase().includes(model.toLowerCase())
-      )) {
-        logger.debug('Model supports tools, adding tool options');
-        requestBody.tools = await getTools();
-        requestBody.tool_choice = 'auto';
-        
-        logger.debug('Request payload', {
-          model: config.model,
-          messageCount: messages.length,
-          temperature: 0.7,
-          tools_count: (await getTools()).length,
-          tools_enabled: true
-        });
-      } else {
-        logger.debug('Model does not support tools, sending without tools');
-        logger.debug('Request payload', {
-          model: config.model,
-          messageCount: messages.length,
+    logger.info(`Making chat request via ${provider.label} with model: ${config.model}`);
+    
+    let result;
+    try {
+      // System roles are mapped per provider by the adapters, so format for the OpenAI-style shape
+      result = await requestWithFallback(
+        'chat',
+        formatMessagesForAPI(messages, {}),
+        {
           temperature: 0.7,
-          tools_enabled: false
-        });
-      }
-      
-      let response;
-      try {
-        // Make request to OpenRouter API
-        logger.debug('Sending request to OpenRouter API...');
-        response = await axios.post(
-          OPENROUTER_API_URL,
-          requestBody,
-          {
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'Content-Type': 'application/json',
-              'HTTP-Referer': 'https://github.com/qi-ai-chatbot',
-              'X-Title': 'Qi AI WhatsApp Chatbot'
-            }
-          }
-        );
-        
-        logger.debug('OpenRouter API response received', { 
-          status: response.status,
-          headers: response.headers
-        });
-        
-        // Log API request and response
-        await logApiRequest(
-          OPENROUTER_API_URL,
-          API_PROVIDERS.OPENROUTER, 
-          config.model,
-          {
-            method: 'POST',
-            url: OPENROUTER_API_URL,
-            headers: {
-              'Authorization': 'Bearer *** REDACTED ***',
-              'Content-Type': 'application/json',
-              'HTTP-Referer': 'https://github.com/qi-ai-chatbot',
-              'X-Title': 'Qi AI WhatsApp Chatbot'
-            },
-            data: requestBody
-          },
-          {
-            status: response.status,
-            statusText: response.statusText,
-            data: response.data
-          },
-          {
-            executionTime: Date.now() - startTime,
-            messageCount: messages.length,
-            promptTokens: response.data.usage?.prompt_tokens || 0,
-            completionTokens: response.data.usage?.completion_tokens || 0,
-            success: true
-          }
-        );
-        
-        // CRITICAL: Add immediate response data validation right after receiving
-        if (!response || typeof response !== 'object') {
-          logger.error('API response is not an object', { responseType: typeof response });
-          return 'Maaf, respons API tidak valid (bukan object). Coba lagi nanti ya~';
-        }
-        
-        if (!response.data) {
-          logger.error('API response has no data property', { response: JSON.stringify(response).substring(0, 200) });
-          return 'Maaf, respons API tidak memiliki data. Coba lagi nanti ya~';
-        }
-        
-        // Log the full response structure for debugging
-        logger.debug('Raw API response structure:', {
-          hasChoices: 'choices' in response.data,
-          choicesType: typeof response.data.choices,
-          choicesIsArray: Array.isArray(response.data.choices),
-          choicesLength: Array.isArray(response.data.choices) ? response.data.choices.length : 'N/A',
-          responseKeys: Object.keys(response.data),
-          firstLevelDataDump: JSON.stringify(response.data).substring(0, 500) + '...'
-        });
-        
-      } catch (apiError) {
-        logger.error('API request failed', {
-          error: apiError.message,
-          status: apiError.response?.status,
-          statusText: apiError.response?.statusText,
-          data: apiError.response?.data
-        });
-        
-        // Log the failed API request
-        await logApiRequest(
-          OPENROUTER_API_URL,
-          API_PROVIDERS.OPENROUTER,
-          config.model,
-          {
-            method: 'POST',
-            url: OPENROUTER_API_URL,
-            headers: {
-              'Authorization': 'Bearer *** REDACTED ***',
-              'Content-Type': 'application/json',
-              'HTTP-Referer': 'https://github.com/qi-ai-chatbot',
-              'X-Title': 'Qi AI WhatsApp Chatbot'
-            },
-            data: requestBody
-          },
-          apiError.response ? {
-            status: apiError.response.status,
-            statusText: apiError.response.statusText,
-            data: apiError.response.data
-          } : { error: apiError.message },
-          {
-            executionTime: Date.now() - startTime,
-            messageCount: messages.length,
-            success: false,
-            error: apiError.message
-          }
-        );
-        
-        // Check for rate limit errors
-        const errorMessage = apiError.message || '';
-        const errorData = apiError.response?.data || {};
-        const isRateLimited = 
-          apiError.response?.status === 429 || 
-          RATE_LIMIT_ERRORS.some(term => 
-            errorMessage.toLowerCase().includes(term) ||
-            JSON.stringify(errorData).toLowerCase().includes(term)
-          );
-        
-        if (isRateLimited) {
-          logger.warning('Rate limit exceeded on OpenRouter API');
-          
-          // Try to get reset time from headers or error message
-          let resetTime = null;
-          
-          // Check headers for reset time
-          const resetHeader = apiError.response?.headers?.['x-ratelimit-reset'] || 
-                             apiError.response?.headers?.['X-RateLimit-Reset'];
-                               
-          if (resetHeader) {
-            try {
-              resetTime = new Date(parseInt(resetHeader));
-              logger.debug(`Rate limit reset time from headers: ${resetTime.toISOString()}`);
-            } catch (e) {
-              logger.debug(`Failed to parse reset header: ${resetHeader}`);
-            }
-          }
-          
-          // If no reset time from headers, estimate one (usually resets at midnight UTC)
-          if (!resetTime) {
-            resetTime = new Date();
-            // Set to next day midnight UTC
-            resetTime.setUTCDate(resetTime.getUTCDate() + 1);
-            resetTime.setUTCHours(0, 0, 0, 0);
-            logger.debug(`Estimated rate limit reset time: ${resetTime.toISOString()}`);
-          }
-          
-          // Update rate limit information in database
-          try {
-            getDb().data.state.rateLimitInfo = {
-              isLimited: true,
-              limitReachedAt: new Date().toISOString(),
-              resetTime: resetTime.toISOString(),
-              error: errorData.error?.message || errorMessage
-            };
-            await getDb().write();
-            logger.info(`Saved rate limit info to database, reset at: ${resetTime.toISOString()}`);
-          } catch (dbError) {
-            logger.error('Failed to save rate limit info to database', dbError);
-          }
-          
-          // Calculate time until reset in a human-readable format
-          const now = new Date();
-          const timeUntilReset = resetTime - now;
-          const hoursUntilReset = Math.floor(timeUntilReset / (60 * 60 * 1000));
-          const minutesUntilReset = Math.floor((timeUntilReset % (60 * 60 * 1000)) / (60 * 1000));
-          
-          const resetTimeMessage = hoursUntilReset > 0 
-            ? `${hoursUntilReset} jam ${minutesUntilReset} menit` 
-            : `${minutesUntilReset} menit`;
-            
-          return `Maaf, batas penggunaan API telah tercapai untuk hari ini. Batas akan direset dalam ${resetTimeMessage}. Silakan coba lagi nanti ya~`;
-        }
-        
-        if (apiError.response?.status === 401) {
-          return 'API key tidak valid. Coba periksa kembali konfigurasi API key dengan perintah !setapikey.';
+          top_p: 0.9,
+          max_tokens: 1000,
+          tools: await getTools(chatId),
+          tool_choice: 'auto',
+          // Stream the response when the caller shows it progressively
+          ...(onProgress ? { onProgress } : {})
+        },
+        {
+          primary: { provider: providerName, model: config.model },
+          chatId,
+          userId: senderId
         }
-        
-        return `Gagal terhubung ke API: ${apiError.message}. Coba lagi nanti ya~`;
-      }
-      
-      // Start response data validation
-      if (!response || !response.data) {
-        logger.error('Empty or invalid response from API', { response });
-        return 'Maaf, AI tidak memberikan respons. Coba lagi nanti ya~';
-      }
-      
-      // Log the complete response data for thorough debugging
-      logger.debug('Complete API response data:', {
-        fullData: JSON.stringify(response.data)
-      });
-      
-      // CRITICAL: Enhanced structural validation with detailed error messages
-      
-      // 1. Validate choices array exists and is not empty
-      if (!response.data.choices) {
-        logger.error('Missing choices array in API response', { 
-          responseKeys: Object.keys(response.data),
-          responseData: JSON.stringify(response.data).substring(0, 300) + '...'
-        });
-        return 'Maaf, respons API tidak memiliki array choices. Coba lagi nanti ya~';
-      }
-      
-      if (!Array.isArray(response.data.choices)) {
-        logger.error('Choices is not an array in API response', { 
-          choicesType: typeof response.data.choices,
-          choicesValue: JSON.stringify(response.data.choices).substring(0, 200) + '...'
-        });
-        return 'Maaf, format respons dari AI tidak sesuai (choices bukan array). Coba lagi nanti ya~';
-      }
+      );
+    } catch (chainError) {
+      return await handleChatChainFailure(chainError);
+    }
+    
+    logger.success(`Chat response received from ${result.provider} in ${Date.now() - startTime}ms`);
+    
+    const aiResponse = result.response.choices[0].message;
+    
+    // Check if it's a tool call response
+    if (aiResponse.tool_calls && aiResponse.tool_calls.length > 0) {
+      const toolCall = aiResponse.tool_calls[0];
       
-      if (response.data.choices.length === 0) {
-        logger.error('Empty choices array in API response', { 
-          choicesLength: 0,
-          responseData: JSON.stringify(response.data).substring(0, 300) + '...'
-        });
-        return 'Maaf, AI tidak memberikan pilihan respons. Coba lagi nanti ya~';
+      if (!toolCall?.function) {
+        logger.error('Invalid tool call structure - missing function property', { toolCall: JSON.stringify(toolCall) });
+        return 'Maaf, format respons tool call dari AI tidak valid (tidak ada function). Coba lagi nanti ya~';
       }
       
-      // 2. Log detailed structure information before accessing [0]
-      logger.debug('Choices array structure before accessing index 0:', {
-        length: response.data.choices.length,
-        firstElementExists: response.data.choices.length > 0,
-        firstElementType: response.data.choices.length > 0 ? typeof response.data.choices[0] : 'N/A',
-        allElements: JSON.stringify(response.data.choices).substring(0, 300) + '...'
-      });
-      
-      // 3. Access the first choice with thorough validation - THIS IS THE CRITICAL PART
+      logger.info(`Tool call function: ${toolCall.function.name || 'unnamed'}`);
       try {
-        // Directly validate array access to pinpoint the exact error location
-        if (response.data.choices.length <= 0) {
-          throw new Error('Choices array is empty when trying to access first element');
-        }
-        
-        const firstChoice = response.data.choices[0];
-        
-        if (firstChoice === undefined || firstChoice === null) {
-          logger.error('First choice is null/undefined despite array having elements', {
-            choicesArray: JSON.stringify(response.data.choices).substring(0, 300) + '...'
-          });
-          return 'Maaf, terjadi kesalahan struktur data respons AI (first choice is undefined). Coba lagi nanti ya~';
-        }
-        
-        logger.debug('First choice contents:', {
-          firstChoiceType: typeof firstChoice,
-          firstChoiceKeys: Object.keys(firstChoice),
-          firstChoiceStringified: JSON.stringify(firstChoice).substring(0, 300) + '...'
-        });
-        
-        // 4. Validate message property exists on first choice
-        if (!firstChoice.message) {
-          logger.error('Missing message property in first choice', { 
-            firstChoiceKeys: Object.keys(firstChoice),
-            firstChoice: JSON.stringify(firstChoice).substring(0, 300) + '...'
-          });
-          return 'Maaf, respons AI tidak memiliki properti message. Coba lagi nanti ya~';
-        }
-        
-        // 5. Log message structure information in great detail
-        const aiResponse = firstChoice.message;
-        logger.debug('AI response structure:', {
-          messageType: typeof aiResponse,
-          messageKeys: Object.keys(aiResponse),
-          hasContent: 'content' in aiResponse,
-          contentType: aiResponse.content !== undefined ? typeof aiResponse.content : 'undefined',
-          contentValue: aiResponse.content !== undefined ? 
-            (typeof aiResponse.content === 'string' ? 
-              aiResponse.content.substring(0, 100) + '...' : 
-              JSON.stringify(aiResponse.content).substring(0, 100) + '...') 
-            : 'undefined',
-          hasToolCalls: 'tool_calls' in aiResponse,
-          toolCallsType: aiResponse.tool_calls !== undefined ? typeof aiResponse.tool_calls : 'undefined',
-          fullMessageObject: JSON.stringify(aiResponse).substring(0, 300) + '...'
-        });
-        
-        // 6. Process based on response type with extremely defensive coding
-        // Check if it's a tool call response
-        if (aiResponse.tool_calls && Array.isArray(aiResponse.tool_calls) && aiResponse.tool_calls.length > 0) {
-          logger.info('Tool call detected');
-          
-          // Additional validation for tool_calls[0]
-          if (!aiResponse.tool_calls[0]) {
-            logger.error('tool_calls array is empty or first element is undefined', {
-              toolCalls: JSON.stringify(aiResponse.tool_calls)
-            });
-            return 'Maaf, format tool_calls dari AI tidak valid (elemen pertama undefined). Coba lagi nanti ya~';
-          }
-          
-          logger.debug('Tool call structure:', {
-            firstToolCallType: typeof aiResponse.tool_calls[0],
-            firstToolCallKeys: Object.keys(aiResponse.tool_calls[0]),
-            hasFunction: 'function' in aiResponse.tool_calls[0],
-            functionType: aiResponse.tool_calls[0].function ? typeof aiResponse.tool_calls[0].function : 'undefined'
-          });
-          
-          if (!aiResponse.tool_calls[0].function) {
-            logger.error('Invalid tool call structure - missing function property', { 
-              toolCall: JSON.stringify(aiResponse.tool_calls[0])
-            });
-            return 'Maaf, format respons tool call dari AI tidak valid (tidak ada function). Coba lagi nanti ya~';
-          }
-          
-          logger.info(`Tool call function: ${aiResponse.tool_calls[0].function.name || 'unnamed'}`);
-          return handleToolCall(aiResponse.tool_calls[0].function);
-        }
-        
-        // For text response, ensure content exists and is a string
-        if (aiResponse.content === undefined || aiResponse.content === null) {
-          logger.error('Missing content in AI response', { 
-            aiResponseKeys: Object.keys(aiResponse),
-            aiResponse: JSON.stringify(aiResponse).substring(0, 300) + '...'
-          });
-          return 'Maaf, respons AI tidak memiliki konten. Coba lagi nanti ya~';
-        }
-        
-        if (typeof aiResponse.content !== 'string') {
-          logger.error('Content is not a string in AI response', { 
-            contentType: typeof aiResponse.content,
-            contentValue: JSON.stringify(aiResponse.content).substring(0, 300) + '...'
-          });
-          return 'Maaf, format konten respons AI tidak sesuai (bukan string). Coba lagi nanti ya~';
-        }
-        
-        // Trim leading newlines that some models add to responses
-        let processedContent = aiResponse.content;
-        
-        // Check if the content has leading newlines or whitespace
-        if (processedContent.match(/^\s*\n+/)) {
-          const originalLength = processedContent.length;
-          
-          // Remove all leading whitespace and newlines
-          processedContent = processedContent.replace(/^\s*\n+/, '');
-          
-          // Also trim trailing newlines
-          processedContent = processedContent.replace(/\n+\s*$/, '');
-          
-          logger.debug('Trimmed newlines from response', {
-            originalLength,
-            newLength: processedContent.length,
-            charsRemoved: originalLength - processedContent.length
-          });
-        }
-        
-        logger.success(`Successfully processed AI response (${processedContent.length} chars)`);
-        logger.debug('AI content response', { 
-          contentLength: processedContent.length,
-          contentPreview: processedContent.substring(0, 50) + (processedContent.length > 50 ? '...' : '')
-        });
-        
-        return processedContent;
-        
-      } catch (structureError) {
-        // Catch and log very specifically any errors during response structure access
-        logger.error('Error accessing response structure', {
-          errorMessage: structureError.message,
-          errorStack: structureError.stack,
-          errorLocation: 'Response structure access',
-          responseDataSummary: JSON.stringify(response.data).substring(0, 300) + '...'
-        });
-        
-        return `Maaf, terjadi kesalahan saat mengakses struktur respons AI: ${structureError.message}. Coba lagi nanti ya~`;
+        return await handleToolCall(toolCall.function, { chatId, userId: senderId, userName: senderName });
+      } catch (toolError) {
+        logger.error('Error handling tool calls', toolError);
+        return `Maaf, terjadi kesalahan saat memproses tool calls: ${toolError.message}`;
       }
     }
+    
+    if (typeof aiResponse.content !== 'string') {
+      logger.error('Missing content in AI response', { aiResponse: JSON.stringify(aiResponse).substring(0, 300) });
+      return 'Maaf, respons AI tidak memiliki konten. Coba lagi nanti ya~';
+    }
+    
+    // Trim leading/trailing newlines that some models add to responses
+    const processedContent = aiResponse.content.replace(/^\s*\n+/, '').replace(/\n+\s*$/, '');
+    
+    logger.success(`Successfully processed AI response (${processedContent.length} chars)`);
+    return processedContent;
   } catch (error) {
-    // Enhanced ultimate catch block for all errors
     logger.error('Error generating AI response', {
       errorName: error.name,
       errorMessage: error.message,
       errorStack: error.stack
     });
     
-    // Special handling for the specific "Cannot read properties of undefined" error
-    if (error.message && error.message.includes('Cannot read properties of undefined')) {
-      logger.error('CRITICAL: Detected "Cannot read properties of undefined" error', {
-        fullErrorMessage: error.message,
-        stackTrace: error.stack,
-        callSite: error.stack?.split('\n')[1] || 'Unknown',
-        errorName: error.name,
-        errorKeyword: error.message.match(/\(reading '(.+?)'\)/) ? error.message.match(/\(reading '(.+?)'\)/)[1] : 'unknown'
-      });
-      
-      return `Maaf, terjadi kesalahan saat memproses respons dari AI: ${error.message}. Silakan coba lagi nanti ya~`;
+    return `Maaf, terjadi kesalahan: ${error.message}. Coba lagi nanti ya~`;
+  }
+}
+
+// Format the time left until a reset as "X jam Y menit"
+function formatTimeUntil(resetTime) {
+  const timeUntilReset = resetTime - new Date();
+  const hoursUntilReset = Math.floor(timeUntilReset / (60 * 60 * 1000));
+  const minutesUntilReset = Math.floor((timeUntilReset % (60 * 60 * 1000)) / (60 * 1000));
+  
+  return hoursUntilReset > 0 
+    ? `${hoursUntilReset} jam ${minutesUntilReset} menit` 
+    : `${minutesUntilReset} menit`;
+}
+
+// Turn a failed fallback chain into a user-facing message (and remember daily limits)
+async function handleChatChainFailure(error) {
+  const attempts = error.attempts || [];
+  logger.error('All chat providers failed', { attempts });
+  
+  const limitedAttempts = attempts.filter(attempt => attempt.reason !== 'missing_api_key');
+  const allLimited = limitedAttempts.length > 0 &&
+    limitedAttempts.every(attempt => LIMIT_REASONS.includes(attempt.reason));
+  
+  // Only a used-up daily quota blocks the bot until the reset; per-minute limits and open circuits clear by themselves
+  if (allLimited && limitedAttempts.every(attempt => attempt.reason === 'quota_exhausted')) {
+    // Try to get reset time from headers, otherwise assume the usual midnight UTC reset
+    let resetTime = null;
+    const resetHeader = error.response?.headers?.['x-ratelimit-reset'] || 
+                       error.response?.headers?.['X-RateLimit-Reset'];
+    
+    if (resetHeader) {
+      const parsed = new Date(parseInt(resetHeader));
+      if (!isNaN(parsed.getTime())) {
+        resetTime = parsed;
+      }
     }
     
-    return `Maaf, terjadi kesalahan: ${error.message}. Coba lagi nanti ya~`;
+    if (!resetTime) {
+      resetTime = new Date();
+      resetTime.setUTCDate(resetTime.getUTCDate() + 1);
+      resetTime.setUTCHours(0, 0, 0, 0);
+    }
+    
+    try {
+      getDb().data.state.rateLimitInfo = {
+        isLimited: true,
+        limitReachedAt: new Date().toISOString(),
+        resetTime: resetTime.toISOString(),
+        error: error.response?.data?.error?.message || error.message
+      };
+      await getDb().write();
+      logger.info(`Saved rate limit info to database, reset at: ${resetTime.toISOString()}`);
+    } catch (dbError) {
+      logger.error('Failed to save rate limit info to database', dbError);
+    }
+    
+    return `Maaf, batas penggunaan API telah tercapai untuk hari ini. Batas akan direset dalam ${formatTimeUntil(resetTime)}. Silakan coba lagi nanti ya~`;
+  }
+  
+  if (allLimited) {
+    const retryAfterMs = Math.min(...limitedAttempts.map(attempt => attempt.retryAfterMs || 60 * 1000));
+    const retryTime = new Date(Date.now() + Math.max(retryAfterMs, 60 * 1000));
+    return `Maaf, semua provider AI sedang dibatasi karena terlalu banyak request. Coba lagi dalam ${formatTimeUntil(retryTime)} ya~`;
   }
+  
+  if (error.reason === 'auth_failed') {
+    return 'API key tidak valid. Coba periksa kembali konfigurasi API key dengan perintah !setapikey.';
+  }
+  
+  if (error.reason === 'context_too_long') {
+    return 'Maaf, pesan terlalu panjang untuk diproses. Coba lagi nanti ya~';
+  }
+  
+  const errorDetail = error.response?.data?.error?.message || error.message;
+  return `Gagal terhubung ke API: ${errorDetail}. Coba lagi nanti ya~`;
 }
 
 // Format context messages for the API
@@ -1158,10 +349,11 @@ function formatContextForAPI(context) {
 }
 
 // Create system message based on bot's configuration
-function createSystemMessage(config, state, batchAnalysis = null) {
-  const { botName, personality } = config;
-  const { currentMood } = state;
+function createSystemMessage(config, state, batchAnalysis = null, chatId = null, replyTo = null) {
   const db = getDb();
+  const chatConfig = resolveChatConfig(db, chatId, config);
+  const { botName, personality } = chatConfig;
+  const currentMood = chatConfig.mood || state.currentMood;
   
   // Base system message
   let systemMessage = `You are ${botName}, an AI that interacts on WhatsApp. `;
@@ -1175,7 +367,7 @@ function createSystemMessage(config, state, batchAnalysis = null) {
   systemMessage += `Your current mood is: ${currentMood} - ${moodDescription}. `;
   
   // Add character knowledge if exists
-  const characterKnowledge = getCharacterKnowledge(db);
+  const characterKnowledge = chatConfig.characterKnowledge ?? getCharacterKnowledge(db);
   if (characterKnowledge) {
     systemMessage += `You know that: ${characterKnowledge}. `;
   }
@@ -1195,8 +387,9 @@ function createSystemMessage(config, state, batchAnalysis = null) {
   }
   
   // Add language style instruction
-  systemMessage += 'You MUST always respond in Indonesian unless asked to use another language. ';
-  systemMessage += 'You speak in a casual Indonesian youth style, using abbreviations and slang. ';
+  const language = getLanguageName(chatConfig.language);
+  systemMessage += `You MUST always respond in ${language} unless asked to use another language. `;
+  systemMessage += `You speak in a casual ${language} youth style, using abbreviations and slang. `;
   systemMessage += 'Important! Use emojis sparingly, maximum 1 emoji per message. ';
   
   // Add behavior instruction for more conversational responses
@@ -1250,16 +443,27 @@ function createSystemMessage(config, state, batchAnalysis = null) {
     systemMessage += `Use this analysis to provide a more accurate and contextually appropriate response.`;
   }
   
+  // The current message is a quoted reply (resolved by contextService.resolveQuotedMessage)
+  if (replyTo) {
+    const author = replyTo.fromBot ? 'you' : replyTo.senderName;
+    systemMessage += `\n\nREPLY CONTEXT: The current message is a reply to an earlier message from ${author}`;
+    systemMessage += replyTo.content ? `: "${replyTo.content}". ` : '. ';
+    systemMessage += replyTo.fromBot
+      ? 'The user is responding to what you said there, so answer in relation to it. '
+      : `Interpret the current message in relation to that quoted message; words like "this" or "that" usually refer to it. `;
+  }
+  
   return systemMessage;
 }
 
-// Get tools that can be called by the AI (using tools registry)
-async function getTools() {
-  return await getToolsFromRegistry();
+// Get tools that can be called by the AI (using tools registry), limited to the chat's enabled tools
+async function getTools(chatId = null) {
+  const tools = await getToolsFromRegistry();
+  return chatId ? filterToolsForChat(tools, getDb(), chatId) : tools;
 }
 
-// Handle tool calls (using tools registry with legacy support)
-async function handleToolCall(functionCall) {
+// Handle tool calls (using tools registry with legacy support); context is { chatId, userId, userName }
+async function handleToolCall(functionCall, context = {}) {
   const { name, arguments: args } = functionCall;
   console.log(`Handling tool call: ${name}`);
   
@@ -1315,7 +519,7 @@ async function handleToolCall(functionCall) {
         
       default:
         // Use the tools registry for all other tools
-        return await handleToolCallFromRegistry(functionCall);
+        return await handleToolCallFromRegistry(functionCall, context);
     }
   } catch (error) {
     console.error(`Error handling tool call ${name}:`, error);
@@ -1323,8 +527,12 @@ async function handleToolCall(functionCall) {
   }
 }
 
-// Get available AI models from OpenRouter
-async function getAvailableModels() {
+// Get available AI models from OpenRouter, or from the endpoint itself for local/custom providers
+async function getAvailableModels(providerName = null) {
+  if (providerName && getProvider(providerName)?.listModels) {
+    return listProviderModels(providerName);
+  }
+  
   const startTime = Date.now();
   try {
     const apiKey = process.env.OPENROUTER_API_KEY;
@@ -1463,539 +671,15 @@ function formatMessagesForAPI(messages, botConfig) {
 }
 
 /**
- * Request chat completion from Gemini API
- * @param {string} model - Gemini model name
- * @param {string} apiKey - Gemini API key
- * @param {Array} messages - Formatted messages
- * @param {object} params - Additional parameters
- * @returns {Promise<object>} Gemini API response
- */
-async function requestGeminiChat(model, apiKey, messages, params) {
-  const startTime = Date.now();
-  let responseData = null;
-  let errorOccurred = false;
-  let errorDetails = null;
-  
-  try {
-    console.log(`Making request to Gemini API with model: ${model}`);
-    
-    // Normalize model name - remove google/ prefix if present
-    const normalizedModel = model.startsWith('google/') ? model.substring(7) : model;
-    
-    // Gemini API endpoint
-    const endpoint = `${GEMINI_API_URL}/${normalizedModel}:generateContent`;
-    
-    console.log(`Using Gemini API endpoint: ${endpoint}`);
-    
-    // Convert messages to Gemini format
-    const geminiMessages = messages.map(msg => {
-      const part = { text: msg.content };
-      if (msg.role === 'user') {
-        return { role: 'user', parts: [part] };
-      } else if (msg.role === 'assistant') {
-        return { role: 'model', parts: [part] };
-      } else if (msg.role === 'system') {
-        // Handle system messages as user messages with a special prefix
-        return { role: 'user', parts: [{ text: `System instruction: ${msg.content}` }] };
-      }
-      // Default to user role if unknown
-      return { role: 'user', parts: [part] };
-    });
-    
-    // Add generation config
-    let requestData = {
-      contents: geminiMessages,
-      generationConfig: {
-        temperature: params.temperature || 0.7,
-        topP: params.top_p || 0.95,
-        maxOutputTokens: params.max_tokens || 1024,
-        stopSequences: params.stop || []
-      }
-    };
-    
-    // Add tools support according to the Gemini API documentation
-    // https://ai.google.dev/gemini-api/docs/function-calling
-    if (params.tools && true === false) {
-      // Check if we're using a newer Gemini model (2.0+) which requires different formatting
-      if (normalizedModel.includes('gemini-2') || normalizedModel.includes('gemini-1.5')) {
-        // For Gemini 1.5/2.0, use the newer format with toolConfig
-        requestData.toolConfig = {
-          functionCallingConfig: {
-            mode: "AUTO"
-          }
-        };
-        
-        // Convert OpenAI-style tools to Gemini-style tools
-        const functionDeclarations = params.tools
-          .filter(tool => tool.type === 'function' && tool.function)
-          .map(tool => ({
-            name: tool.function.name,
-            description: tool.function.description || '',
-            parameters: tool.function.parameters
-          }));
-        
-        if (functionDeclarations.length > 0) {
-          requestData.tools = [
-            {
-              functionDeclarations
-            }
-          ];
-        }
-      } else {
-        // Older Gemini API format
-        logger.warning('Using older Gemini model, function calling might not be supported');
-        // Don't add tools to the request for older models
-      }
-    }
-    
-    logger.debug('Sending request to Gemini API using model: ' + model);
-    
-    // Prepare request options
-    const requestOptions = {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-goog-api-key': apiKey
-      }
-    };
-    
-    // Make request to Gemini API
-    const response = await axios.post(endpoint, requestData, requestOptions);
-    
-    logger.debug('Gemini API response received', { status: response.status });
-    
-    // Process response data
-    responseData = response.data;
-    
-    // Check if response contains candidates
-    if (!responseData || !responseData.candidates || responseData.candidates.length === 0) {
-      logger.error('[AI Service] Invalid Gemini response format: no candidates');
-      errorOccurred = true;
-      errorDetails = 'Invalid response format: no candidates';
-      throw new Error('Invalid response format: no candidates');
-    }
-    
-    // Get first candidate
-    const candidate = responseData.candidates[0];
-    
-    if (!candidate.content || !candidate.content.parts) {
-      logger.error('[AI Service] Invalid Gemini response format: candidate missing content or parts');
-      errorOccurred = true;
-      errorDetails = 'Invalid response format: candidate missing content or parts';
-      throw new Error('Invalid response format: candidate missing content or parts');
-    }
-    
-    // Check for function calls / tool calls in the response
-    let toolCalls = null;
-    if (candidate.content.parts && candidate.content.parts.some(part => part.functionCall)) {
-      toolCalls = candidate.content.parts
-        .filter(part => part.functionCall)
-        .map((part, index) => {
-          const fnCall = part.functionCall;
-          return {
-            index,
-            id: `call_${Math.random().toString(36).substring(2)}`,
-            type: "function",
-            function: {
-              name: fnCall.name,
-              arguments: JSON.stringify(fnCall.args)
-            }
-          };
-        });
-        
-      logger.debug('Gemini response contains function calls', {
-        functionCallsCount: toolCalls.length,
-        firstFunctionCall: toolCalls[0]
-      });
-    }
-    
-    // Extract text content (if any)
-    let textContent = "";
-    for (const part of candidate.content.parts) {
-      if (part.text) {
-        textContent += part.text;
-      }
-    }
-    
-    logger.success(`Successfully processed Gemini API response (${textContent.length} chars)`);
-    
-    // Transform to match our expected format (OpenAI API style)
-    let formattedResponse = {
-      choices: [{
-        message: {
-          role: 'assistant',
-          content: textContent
-        }
-      }]
-    };
-    
-    // Add tool calls if present
-    if (toolCalls && toolCalls.length > 0) {
-      formattedResponse.choices[0].message.tool_calls = toolCalls;
-      // Clear content if there are only function calls and no text
-      if (!textContent.trim()) {
-        formattedResponse.choices[0].message.content = null;
-      }
-    }
-    
-    // Log API request and response
-    await logApiRequest(
-      endpoint,
-      'gemini',
-      model,
-      {
-        method: 'POST',
-        url: endpoint,
-        headers: requestOptions.headers,
-        data: requestData
-      },
-      {
-        status: response.status,
-        statusText: response.statusText,
-        data: responseData
-      },
-      {
-        executionTime: Date.now() - startTime,
-        messageCount: messages.length,
-        promptTokens: messages.reduce((total, msg) => total + (msg.content.length / 4), 0),
-        completionTokens: textContent.length / 4,
-        success: true
-      }
-    );
-    
-    return formattedResponse;
-  } catch (error) {
-    logger.error(`[AI Service] Gemini API error: ${error.message}`);
-    
-    if (error.response) {
-      logger.error('[AI Service] Gemini API error details', {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        data: error.response.data ? JSON.stringify(error.response.data).substring(0, 300) + '...' : 'No data'
-      });
-      
-      responseData = error.response.data;
-      errorDetails = {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        message: error.message
-      };
-    } else {
-      errorDetails = { message: error.message };
-    }
-    
-    // Log the failed API request
-    if (!errorOccurred) {
-      await logApiRequest(
-        `${GEMINI_API_URL}/${model.startsWith('google/') ? model.substring(7) : model}:generateContent`,
-        'gemini',
-        model,
-        {
-          method: 'POST',
-          url: `${GEMINI_API_URL}/${model.startsWith('google/') ? model.substring(7) : model}:generateContent`,
-          headers: {
-            'Content-Type': 'application/json',
-            'x-goog-api-key': '*** REDACTED ***'
-          },
-          data: {
-            contents: messages.map(msg => ({ role: msg.role, text: msg.content })),
-            generationConfig: {
-              temperature: params.temperature || 0.7,
-              topP: params.top_p || 0.95,
-              maxOutputTokens: params.max_tokens || 1024,
-              stopSequences: params.stop || []
-            }
-          }
-        },
-        responseData || { error: error.message },
-        {
-          executionTime: Date.now() - startTime,
-          messageCount: messages.length,
-          promptTokens: messages.reduce((total, msg) => total + (msg.content.length / 4), 0),
-          success: false,
-          error: errorDetails
-        }
-      );
-    }
-    
-    throw error;
-  }
-}
-
-/**
- * Request chat completion from Together.AI API
- * @param {string} model - Together.AI model name
- * @param {string} apiKey - Together.AI API key
- * @param {Array} messages - Formatted messages
- * @param {object} params - Additional parameters
- * @returns {Promise<object>} Together.AI API response
- */
-async function requestTogetherChat(model, apiKey, messages, params) {
-  const startTime = Date.now();
-  let responseData = null;
-  let errorOccurred = false;
-  let errorDetails = null;
-  
-  // Estimate token count to ensure we stay under 8000 tokens
-  const estimatedTokenCount = messages.reduce((count, msg) => {
-    // Rough estimate: 1 token ≈ 4 chars for English text
-    return count + (msg.content ? Math.ceil(msg.content.length / 3) : 0);
-  }, 0);
-  
-  logger.debug(`Estimated token count for Together.AI request: ${estimatedTokenCount}`);
-  
-  // If estimated tokens exceed 7000, reduce context to stay safely under 8000 limit
-  let processedMessages = messages;
-  // if (estimatedTokenCount > 7000) {
-  //   logger.warning(`Token count (${estimatedTokenCount}) exceeds safe limit, reducing context`);
-  //   processedMessages = reduceContextSize(messages, {
-  //     maxMessages: Math.floor(messages.length * 0.6), // More aggressive reduction
-  //     alwaysKeepSystemMessages: true,
-  //     alwaysKeepLastUserMessage: true,
-  //     preserveRatio: 0.6, // Favor user messages slightly
-  //     targetTokenCount: 6000 // Target a safe token count well under the 8K limit
-  //   });
-    
-  //   logger.info(`Reduced token count from ~${estimatedTokenCount} to ~${
-  //     processedMessages.reduce((count, msg) => {
-  //       return count + (msg.content ? Math.ceil(msg.content.length / 4) : 0);
-  //     }, 0)
-  //   }`);
-    
-  //   // If still too large, truncate the content of messages
-  //   const newTokenCount = processedMessages.reduce((count, msg) => {
-  //     return count + (msg.content ? Math.ceil(msg.content.length / 4) : 0);
-  //   }, 0);
-  //   console.log(newTokenCount)
-  //   if (newTokenCount > 7000) {
-  //     logger.warning(`Still over token limit after reducing messages, truncating content`);
-      
-  //     // Separate system messages (don't modify these) from the rest
-  //     const systemMsgs = processedMessages.filter(msg => msg.role === 'system');
-  //     const nonSystemMsgs = processedMessages.filter(msg => msg.role !== 'system');
-      
-  //     // Calculate how much we need to trim
-  //     const targetSize = 6500; // Aim for 6.5K tokens to be safe
-  //     const currentSize = newTokenCount;
-  //     const excessTokens = currentSize - targetSize;
-      
-  //     if (nonSystemMsgs.length > 0 && excessTokens > 0) {
-  //       // Find the last user message
-  //       const lastUserIndex = nonSystemMsgs.map(msg => msg.role).lastIndexOf('user');
-        
-  //       // Calculate how many characters to trim per message (excluding last user message)
-  //       const messagesToTrim = lastUserIndex >= 0 ? nonSystemMsgs.length - 1 : nonSystemMsgs.length;
-  //       const charsToTrimPerMessage = Math.ceil((excessTokens * 4) / messagesToTrim);
-        
-  //       // Trim each message except the last user message
-  //       nonSystemMsgs.forEach((msg, index) => {
-  //         if (lastUserIndex >= 0 && index === lastUserIndex) {
-  //           // Don't trim the last user message
-  //           return;
-  //         }
-          
-  //         if (msg.content && msg.content.length > 150) { // Only trim longer messages
-  //           const currentLength = msg.content.length;
-  //           const targetLength = Math.max(100, currentLength - charsToTrimPerMessage);
-            
-  //           if (targetLength < currentLength) {
-  //             // Preserve beginning and end, truncate middle
-  //             const keepStart = Math.floor(targetLength * 0.6);
-  //             const keepEnd = Math.max(40, targetLength - keepStart);
-              
-  //             msg.content = msg.content.substring(0, keepStart) + 
-  //                           " [...] " + 
-  //                           msg.content.substring(currentLength - keepEnd);
-  //           }
-  //         }
-  //       });
-  //     }
-      
-  //     // Reassemble the message list
-  //     processedMessages = [...systemMsgs, ...nonSystemMsgs];
-      
-  //     // Log the final token count
-  //     const finalTokenCount = processedMessages.reduce((count, msg) => {
-  //       return count + (msg.content ? Math.ceil(msg.content.length / 4) : 0);
-  //     }, 0);
-      
-  //     logger.info(`Final estimated token count after content truncation: ${finalTokenCount}`);
-  //   }
-  // }
-  
-  // Move requestData declaration outside the try block so it's accessible in the catch block
-  let requestData = {
-    model: model,
-    messages: processedMessages,
-    temperature: params.temperature || 0.7,
-    top_p: params.top_p || 0.95,
-    max_tokens: Math.min(params.max_tokens || 1500, 1500), // Cap at 1500 tokens for response
-    stream: false
-  };
-  
-  // Add tool support according to Together.AI documentation
-  if (params.tools) {
-    requestData.tools = params.tools;
-  }
-  
-  // Add tool_choice if specified
-  if (params.tool_choice) {
-    requestData.tool_choice = params.tool_choice;
-  }
-  
-  try {
-    console.log(`Making request to Together.AI API with model: ${model}`);
-    
-    // Together.AI API endpoint
-    const endpoint = TOGETHER_API_URL;
-    
-    console.log(`Using Together.AI API endpoint: ${endpoint}`);
-    
-    // Add stop sequences if provided
-    if (params.stop && Array.isArray(params.stop) && params.stop.length > 0) {
-      requestData.stop = params.stop;
-    }
-    
-    logger.debug('Sending request to Together.AI API using model: ' + model);
-    
-    // Prepare request options
-    const requestOptions = {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      }
-    };
-    
-    // Make request to Together.AI API
-    const response = await axios.post(endpoint, requestData, requestOptions);
-    
-    logger.debug('Together.AI API response received', { status: response.status });
-    
-    // Process response data
-    responseData = response.data;
-    
-    if (!responseData || !responseData.choices || responseData.choices.length === 0) {
-      logger.error('[AI Service] Invalid Together.AI response format: no choices');
-      errorOccurred = true;
-      errorDetails = 'Invalid response format: no choices';
-      throw new Error('Invalid response format: no choices');
-    }
-    
-    // Extract response from first choice
-    const messageData = responseData.choices[0].message;
-    
-    // Check if there's a tool call in the response
-    if (messageData && messageData.tool_calls && messageData.tool_calls.length > 0) {
-      logger.debug('Together.AI response contains tool calls', {
-        toolCallsCount: messageData.tool_calls.length,
-        firstToolCall: messageData.tool_calls[0]
-      });
-    }
-    
-    // Check content exists if there's no tool call
-    if (!messageData.tool_calls && (!messageData || !messageData.content)) {
-      logger.error('[AI Service] Invalid Together.AI response format: no message content or tool_calls');
-      errorOccurred = true;
-      errorDetails = 'Invalid response format: no message content or tool_calls';
-      throw new Error('Invalid response format: no message content or tool_calls');
-    }
-    
-    logger.success(`Successfully processed Together.AI API response`);
-    
-    // Extract token usage if available
-    const promptTokens = responseData.usage?.prompt_tokens || 0;
-    const completionTokens = responseData.usage?.completion_tokens || 0;
-    
-    // Log API request and response
-    await logApiRequest(
-      endpoint,
-      'together',
-      model,
-      {
-        method: 'POST',
-        url: endpoint,
-        headers: requestOptions.headers,
-        data: requestData
-      },
-      {
-        status: response.status,
-        statusText: response.statusText,
-        data: responseData
-      },
-      {
-        executionTime: Date.now() - startTime,
-        messageCount: messages.length,
-        promptTokens: promptTokens,
-        completionTokens: completionTokens,
-        success: true
-      }
-    );
-    
-    return responseData;
-  } catch (error) {
-    logger.error(`[AI Service] Together.AI API error: ${error.message}`);
-    
-    if (error.response) {
-      logger.error('[AI Service] Together.AI API error details', {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        data: error.response.data ? JSON.stringify(error.response.data).substring(0, 300) + '...' : 'No data'
-      });
-      
-      responseData = error.response.data;
-      errorDetails = {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        message: error.message
-      };
-    } else {
-      errorDetails = { message: error.message };
-    }
-    
-    // Log the failed API request
-    if (!errorOccurred) {
-      await logApiRequest(
-        TOGETHER_API_URL,
-        'together',
-        model,
-        {
-          method: 'POST',
-          url: TOGETHER_API_URL,
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': 'Bearer *** REDACTED ***'
-          },
-          data: requestData
-        },
-        responseData || { error: error.message },
-        {
-          executionTime: Date.now() - startTime,
-          messageCount: messages.length,
-          success: false,
-          error: errorDetails
-        }
-      );
-    }
-    
-    throw error;
-  }
-}
-
-/**
- * Analyze an image using Together.AI vision model
+ * Analyze an image using a vision model (Together.AI first, then the fallback chain)
  * @param {string} imagePath - Path to the image file
  * @param {string} prompt - Text prompt to guide image analysis
- * @param {Object} options - Optional configuration
+ * @param {Object} options - Optional configuration (chatId/userId are used for usage accounting)
  * @returns {Promise<Object>} - The analysis result including embeddings
  */
 async function analyzeImage(imagePath, prompt = '', options = {}) {
   try {
-    logger.info(`Analyzing image with Together.AI: ${imagePath}`);
-    
-    const apiKey = options.apiKey || process.env.TOGETHER_API_KEY;
-    
-    if (!apiKey) {
-      throw new Error('No Together.AI API key found for image analysis');
-    }
+    logger.info(`Analyzing image: ${imagePath}`);
     
     // Get image as base64
     let imageBase64;
@@ -2028,12 +712,6 @@ async function analyzeImage(imagePath, prompt = '', options = {}) {
       enhancedEmbeddingPrompt : 
       (options.enhancedPrompt ? enhancedDetailPrompt : faceDetectionPrompt);
     
-    // Prepare request for Together API
-    const headers = {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    };
-    
     // Prepare message format for vision model
     const messages = [
       {
@@ -2050,24 +728,19 @@ async function analyzeImage(imagePath, prompt = '', options = {}) {
       }
     ];
     
-    // Prepare request body
-    const body = {
-      model: IMAGE_ANALYSIS_MODEL,
-      messages: messages,
+    logger.debug('Sending image analysis request', { model: IMAGE_ANALYSIS_MODEL });
+    
+    // Together.AI vision model first, then the shared fallback chain
+    const { response } = await requestWithFallback('image', messages, {
       temperature: options.temperature || 0.7,
       max_tokens: options.max_tokens || 1024
-    };
-    
-    logger.debug('Sending image analysis request to Together.AI', { model: IMAGE_ANALYSIS_MODEL });
-    
-    // Make the API request
-    const response = await axios.post(TOGETHER_API_URL, body, { headers });
-    
-    if (!response.data || !response.data.choices || response.data.choices.length === 0) {
-      throw new Error('Empty or invalid response from Together.AI image analysis');
-    }
+    }, {
+      primary: { provider: 'together', model: IMAGE_ANALYSIS_MODEL, apiKey: options.apiKey },
+      chatId: options.chatId,
+      userId: options.userId
+    });
     
-    const analysisResult = response.data.choices[0].message.content;
+    const analysisResult = response.choices[0].message.content;
     logger.success(`Image analysis complete: ${analysisResult.substring(0, 100)}...`);
     
     // Extract additional information
@@ -2114,22 +787,19 @@ async function analyzeImage(imagePath, prompt = '', options = {}) {
       faceCount = 1;
     }
     
-    // Generate a simple embedding from the analysis text if requested
+    // Embed the analysis text if requested
     let embedding = null;
     let faceEmbeddings = [];
     
     if (options.extractEmbeddings) {
-      // Generate placeholder embeddings
-      // (In a production system, you would use a proper embedding model)
       const { generateTextEmbedding } = await import('./memoryService.js');
-      embedding = generateTextEmbedding(analysisResult, 512);
+      embedding = await generateTextEmbedding(analysisResult);
       
-      // Generate face embeddings if faces were detected
+      // Face embeddings are text embeddings of each face description
       if (faceCount > 0) {
         for (let i = 0; i < faceCount; i++) {
           const faceDescription = faceDescriptions[i] || `Face ${i+1}`;
-          // Generate a unique embedding for each face based on its description
-          faceEmbeddings.push(generateTextEmbedding(`face${i+1}_${faceDescription}`, 512));
+          faceEmbeddings.push(await generateTextEmbedding(faceDescription));
         }
       }
     }
@@ -2215,6 +885,9 @@ async function storeImageAnalysis(db, chatId, sender, imageData, analysisResult)
     
     // Store the analysis
     db.data.imageAnalysis[analysisId] = analysis;
+
+    // Index the analysis so the image can be found later by describing it
+    await indexVectorEntry('image', analysisId, analysisText, { chatId, userId: sender, timestamp });
     
     // Also add a reference to the chat context
     if (db.data.conversations[chatId]) {
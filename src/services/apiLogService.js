@@ -257,9 +257,49 @@ async function cleanupOldLogs() {
   }
 }
 
+/**
+ * Remove the log entries matching a predicate from every log file; files left empty are deleted
+ * @param {Function} predicate - (entry) => boolean
+ * @param {string} dir - Logs directory
+ * @returns {number} - Number of entries removed
+ */
+function removeApiLogEntries(predicate, dir = logsDir) {
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+
+  let removedCount = 0;
+  const logFiles = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'));
+
+  for (const file of logFiles) {
+    try {
+      const logPath = path.join(dir, file);
+      const entries = JSON.parse(fs.readFileSync(logPath, 'utf8'));
+      const kept = entries.filter(entry => !predicate(entry));
+
+      if (kept.length === entries.length) {
+        continue;
+      }
+      removedCount += entries.length - kept.length;
+
+      if (kept.length === 0) {
+        fs.unlinkSync(logPath);
+      } else {
+        fs.writeFileSync(logPath, JSON.stringify(kept, null, 2));
+      }
+    } catch (err) {
+      logger.error(`Error processing log file ${file} while removing entries`, err);
+    }
+  }
+
+  return removedCount;
+}
+
 export {
   logApiRequest,
   getApiLogs,
   clearApiLogs,
-  cleanupOldLogs
+  cleanupOldLogs,
+  removeApiLogEntries
 }; 
@@ -10,6 +10,26 @@ import chalk from 'chalk';
 import { getBatchStatus, forceProcessBatch, getGroupPresenceStats, processGroupMessageBatch, GROUP_BATCH_CONFIG } from './messageBatchingService.js';
 import { searchFacts, getFactStatistics, getFactSuggestions } from './factSearchService.js';
 import { advancedFactSearch, searchByTaxonomy, getFactInsights } from './advancedFactSearchService.js';
+import { PROVIDERS, DEFAULT_FALLBACK_CHAIN, getProvider, getProviderNames, isProviderConfigured, getFallbackChain, parseFallbackChain, getLocalBaseUrl, getLearnedToolSupport, clearToolSupport } from './providerService.js';
+import { getQuotaStatus, resetProviderLimits, parseLimitValue, setRateLimits } from './rateLimitService.js';
+import { DEFAULT_BUDGET_MODEL, getUsageSummary, getChatMonthlyCost, getModelPrice, setModelPrice } from './usageService.js';
+import { DEFAULT_EMBEDDING_MODELS, getEmbeddingSettings, setEmbeddingBackend } from './embeddingService.js';
+import { rebuildVectorIndex, getVectorIndexStats } from './vectorIndexService.js';
+import { getTtsSettings, resolveReplyMode, setUserReplyMode } from './ttsService.js';
+import { OVERRIDE_KEYS, ADMIN_OVERRIDE_KEYS, resolveChatConfig, setChatOverride, resetChatOverride, getChatConfigText } from './groupConfigService.js';
+import { ROLES, getUserRole, authorizeCommand, grantRole, revokeRole, listRoles, hasRole, isGroupAdmin, normalizeUserId } from './permissionService.js';
+import { listDocuments, findDocument, removeDocument } from './documentService.js';
+import { getFeedbackSummary } from './reactionService.js';
+import { postBotStatus } from './statusService.js';
+import { WELCOME_MODES, DEFAULT_WELCOME_TEMPLATE, DEFAULT_FAREWELL_TEMPLATE, getMemberEventSettings, setMemberEventSetting } from './memberEventService.js';
+import { createReminder, listReminders, cancelReminder, describeReminder } from './reminderService.js';
+import { generateRecap } from './recapService.js';
+import { parseRecapArgs } from '../utils/recapUtils.js';
+import { FACT_CATEGORIES } from './memoryService.js';
+import { FACT_CONFLICT_POLICIES, DEFAULT_FACT_CONFLICT_POLICY } from './factConflictService.js';
+import { getFactsPage, correctUserFact, forgetUserFact, exportUserData, formatUserDataMarkdown, forgetUser } from './personalDataService.js';
+import { mergeUserIds, splitUserIds } from './identityService.js';
+import { extractMessageContent, resolveUserId } from '../utils/messageUtils.js';
 import { listAllTools, getRegistryStatus, enableTool, disableTool, enableAllTools, disableAllTools, enableToolsByCategory, disableToolsByCategory, getToolCategories, getToolsRegistry } from '../tools/toolsRegistry.js';
 
 // Get current directory
@@ -48,21 +68,20 @@ async function executeCommand(sock, message, commandData, db) {
   try {
     const { command, args } = commandData;
     const chatId = message.key.remoteJid;
-    const sender = message.key.participant || message.key.remoteJid;
+    const sender = resolveUserId(message.key.participant || message.key.remoteJid);
     
-    // Check if this is a private chat
-    const isPrivateChat = !chatId.endsWith('@g.us');
+    // Check if sender's role allows this command
+    const authorization = await authorizeCommand(sock, db, chatId, sender, command.toLowerCase());
     
-    // Check if sender is authorized (only 6282111182808 can execute commands)
-    const authorizedSender = '6282111182808@s.whatsapp.net';
-    const isAuthorized = sender === authorizedSender || chatId === authorizedSender;
+    if (authorization.privateOnly) {
+      return `Perintah !${command} hanya bisa dijalankan di chat pribadi karena berisi API key.`;
+    }
     
-    // If not private chat or not authorized, return message
-    if (!isPrivateChat || !isAuthorized) {
-      return 'Perintah hanya bisa dijalankan di chat pribadi dan oleh pengguna yang diizinkan.';
+    if (!authorization.allowed) {
+      return `Perintah !${command} membutuhkan role ${authorization.requiredRole}. Role kamu: ${authorization.role}.`;
     }
     
-    console.log(`Executing command: ${command} with args: ${args.join(', ')}`);
+    console.log(`Executing command: ${command} with args: ${args.join(', ')} (role: ${authorization.role})`);
     
     switch (command.toLowerCase()) {
       case 'help':
@@ -552,6 +571,11 @@ async function executeCommand(sock, message, commandData, db) {
         
       case 'setmodel':
         if (args.length === 0) {
+          const currentProvider = getProvider(db.data.config.defaultProvider, db.data.config);
+          if (currentProvider?.listModels) {
+            const providerModels = await getAvailableModels(currentProvider.name);
+            return getProviderModelSelectionText(currentProvider, providerModels, db);
+          }
           const models = await getAvailableModels();
           return getModelSelectionText(models);
         }
@@ -560,7 +584,7 @@ async function executeCommand(sock, message, commandData, db) {
         
       case 'setprovider':
         if (args.length === 0) {
-          return 'Gunakan format: !setprovider [openrouter/gemini/together]\nProvider saat ini: ' + (db.data.config.defaultProvider || 'openrouter');
+          return `Gunakan format: !setprovider [${getProviderNames(db.data.config).join('/')}]\nProvider saat ini: ` + (db.data.config.defaultProvider || 'openrouter');
         }
         const providerResult = await setProvider(db, args[0]);
         return providerResult.message;
@@ -643,6 +667,93 @@ async function executeCommand(sock, message, commandData, db) {
       case 'users':
         return await handleUserMappingCommand(sock, message, args, db);
         
+      case 'grant':
+        return await handleGrantCommand(message, args, db);
+        
+      case 'revoke':
+        return await handleRevokeCommand(message, args, db);
+        
+      case 'roles':
+        return getRolesText(db, sender);
+        
+      case 'fallback':
+        return await handleFallbackCommand(args, db);
+        
+      case 'quota':
+        return await handleQuotaCommand(args, db);
+        
+      case 'usage':
+        return await handleUsageCommand(chatId, args, db);
+        
+      case 'embedding':
+        return await handleEmbeddingCommand(args, db);
+        
+      case 'voice':
+        return await handleVoiceCommand(sender, chatId, args, db);
+        
+      case 'docs':
+        return handleDocsCommand(chatId, db);
+        
+      case 'forgetdoc':
+        return await handleForgetDocCommand(sock, sender, chatId, args, db);
+        
+      case 'feedback':
+        return handleFeedbackCommand(sender, chatId, args, db);
+        
+      case 'story':
+        return await handleStoryCommand(sock, args, db);
+        
+      case 'factpolicy':
+        return await handleFactPolicyCommand(args, db);
+        
+      case 'setendpoint':
+        return await handleSetEndpointCommand(args, db);
+        
+      case 'addprovider':
+        return await handleAddProviderCommand(args, db);
+        
+      case 'removeprovider':
+        return await handleRemoveProviderCommand(args, db);
+        
+      case 'groupconfig':
+        return await handleGroupConfigCommand(chatId, sender, args, db);
+        
+      case 'welcome':
+        return await handleWelcomeCommand(message, chatId, args, db);
+        
+      case 'remind':
+        return await handleRemindCommand(message, sender, chatId, db);
+        
+      case 'reminders':
+        return handleRemindersCommand(chatId, db);
+        
+      case 'cancelremind':
+        return await handleCancelRemindCommand(sock, sender, chatId, args, db);
+        
+      case 'recap':
+        return await handleRecapCommand(message, sender, chatId, args);
+        
+      case 'myfacts':
+        return await handleMyFactsCommand(sock, sender, chatId, args, db);
+        
+      case 'correct':
+        if (args.length < 2) {
+          return 'Gunakan: !correct [kunci] [nilai yang benar]\nContoh: !correct favorite_food rendang\nLihat kuncinya dengan !myfacts';
+        }
+        return (await correctUserFact(db, sender, args[0], getCommandText(message, 2))).message;
+        
+      case 'forget':
+        if (args.length === 0) {
+          return 'Gunakan: !forget [kunci]\nLihat kuncinya dengan !myfacts. Untuk menghapus semua data kamu, gunakan !forgetme';
+        }
+        return (await forgetUserFact(db, sender, args.join(' '))).message;
+        
+      case 'forgetme':
+        return await handleForgetMeCommand(sender, args, db);
+        
+      case 'exportme':
+        return await handleExportMeCommand(sock, sender, chatId, db);
+        
       case 'getapikey':
         if (!process.env.OPENROUTER_API_KEY) {
           return 'API key belum dikonfigurasi di environment variables.';
@@ -949,6 +1060,26 @@ async function setModel(db, modelId) {
     
     // Get current provider
     const currentProvider = db.data.config.defaultProvider || 'openrouter';
+    const providerInfo = getProvider(currentProvider, db.data.config);
+    
+    // Local and custom endpoints serve their own model list
+    if (providerInfo?.listModels) {
+      const models = await getAvailableModels(currentProvider);
+      
+      if (models.length > 0 && !models.some(model => model.id === normalizedModelId)) {
+        return {
+          success: false,
+          message: `Model "${normalizedModelId}" tidak tersedia di ${providerInfo.label}. Model yang tersedia: ${models.map(model => model.id).join(', ')}`
+        };
+      }
+      
+      // Keep the endpoint's own default in sync so fallback hops use the same model
+      if (currentProvider === 'local') {
+        db.data.config.localEndpoint = { ...(db.data.config.localEndpoint || {}), model: normalizedModelId };
+      } else if (db.data.config.customProviders?.[currentProvider]) {
+        db.data.config.customProviders[currentProvider].model = normalizedModelId;
+      }
+    }
     
     // Check if this is a Together.AI model
     if (currentProvider === 'together') {
@@ -1022,7 +1153,7 @@ function getHelpText() {
 !setgeminikey [key] - Mengatur API key Gemini
 !settogetherkey [key] - Mengatur API key Together.AI
 !setmodel [model] - Mengatur model AI
-!setprovider [provider] - Mengatur provider (openrouter/gemini/together)
+!setprovider [provider] - Mengatur provider (openrouter/gemini/together/nvidia/local/custom)
 
 *Pengaturan Web Search:*
 !setsearchkey [key] - Mengatur Google Search API key
@@ -1063,6 +1194,30 @@ function getHelpText() {
 !apilogs clear - Hapus log lama (simpan 24 jam terakhir)
 !apilogs clear all - Hapus semua log
 
+*Balasan Suara:*
+!voice - Menampilkan mode balasan kamu
+!voice on - Selalu membalas dengan voice note
+!voice off - Selalu membalas dengan teks
+!voice mirror - Membalas voice note dengan voice note
+!voice reset - Mengikuti pengaturan chat
+
+*Dokumen:*
+Kirim PDF, DOCX, TXT atau Markdown, lalu tanyakan isinya (misalnya "halaman 3 bahas apa soal refund?")
+!docs - Menampilkan dokumen yang tersimpan di chat ini
+!forgetdoc [nomor/nama] - Menghapus dokumen dari ingatan chat ini
+
+*Feedback Reaksi:*
+!feedback [hari] - Ringkasan reaksi pada pesan bot di chat ini (default 7 hari)
+!feedback all [hari] - Ringkasan reaksi di semua chat (admin)
+
+*Status WhatsApp:*
+!story - Menampilkan pengaturan status (admin)
+!story on/off - Mencatat status kontak
+!story mentions on/off - Menyinggung status kontak di chat pribadi
+!story post on/off - Posting status bot secara terjadwal
+!story post now - Posting status bot sekarang
+!story interval [jam] - Mengatur jarak antar posting status
+
 *Pencarian Fakta:*
 !searchfacts [query] - Mencari fakta yang relevan dengan query
 !factstats - Menampilkan statistik fakta pengguna
@@ -1070,6 +1225,65 @@ function getHelpText() {
 !advancedsearch [query] - Pencarian lanjutan dengan analisis hubungan
 !factinsights - Analisis fakta lanjutan dan statistik
 !taxonomysearch [category] [query] - Pencarian berdasarkan kategori taksonomi
+!factpolicy [newest/confidence/ask] - Cara menyelesaikan fakta yang saling bertentangan (admin)
+
+*Hak Akses:*
+!roles - Menampilkan role kamu dan daftar pengguna dengan role khusus
+!grant [@user/nomor] [moderator/admin/owner] - Memberikan role
+!revoke [@user/nomor] - Mencabut role
+!usermap - Menampilkan pemetaan ID grup (@lid) ke nomor pengguna
+!usermap merge [id@lid] [nomor/@user] - Menyatukan ID grup dengan nomor beserta datanya (admin)
+!usermap split [id@lid] [nomor/@user] - Memisahkan kembali ID yang salah disatukan (admin)
+
+*Provider & Fallback:*
+!quota - Menampilkan pemakaian kuota API hari ini
+!quota set [provider/model] [per_menit] [per_hari] - Mengatur limit (gunakan "off" untuk tanpa batas)
+!quota reset [provider] - Membuka kembali provider yang sedang diblokir
+!usage [today|week|chat] - Menampilkan pemakaian token dan biaya
+!usage price [model] [input] [output] - Mengatur harga model (USD per 1 juta token)
+!embedding - Menampilkan backend embedding dan isi index memori semantik
+!embedding set [builtin|gemini|provider] [model] - Mengganti backend embedding
+!embedding reindex - Meng-embed ulang index dengan backend aktif
+!setendpoint [base_url] [model] - Mengatur server lokal OpenAI-compatible (Ollama/llama.cpp/LM Studio)
+!fallback - Menampilkan urutan fallback provider
+!fallback set [provider:model,...] - Mengubah urutan fallback
+!addprovider [nama] [base_url] [model] [api_key] - Menambahkan endpoint OpenAI-compatible
+!removeprovider [nama] - Menghapus endpoint custom
+
+*Pengaturan Chat:*
+!groupconfig get - Menampilkan pengaturan chat ini
+!groupconfig set [key] [value] - Mengubah personality, mood, knowledge, provider, model, responsiveness, language, tools, budget, budgetmodel, atau replymode khusus chat ini (provider, model, budget dan budgetmodel hanya admin bot)
+!groupconfig reset [key] - Mengembalikan pengaturan chat ke global
+
+*Pengingat:*
+Bisa juga langsung minta di chat, misalnya "ingetin aku besok jam 7 buat meeting"
+!remind [waktu] [pesan] - Membuat pengingat (contoh: !remind besok jam 7 meeting, !remind 30 menit lagi angkat jemuran, !remind tiap senin jam 8 pagi standup)
+!reminders - Menampilkan pengingat di chat ini
+!cancelremind [nomor/all] - Membatalkan pengingat
+
+*Rangkuman Grup:*
+Bisa juga dengan tag bot, misalnya "@Qi aku ketinggalan apa?"
+!recap - Rangkuman obrolan sejak terakhir kamu aktif di grup
+!recap last [jumlah] - Rangkuman sejumlah pesan terakhir
+!recap [3 jam] - Rangkuman beberapa menit/jam/hari terakhir
+!recap @nama - Rangkuman pesan terbaru dari seseorang
+
+*Data Pribadi:*
+!myfacts [kategori] [halaman] - Melihat fakta yang aku simpan tentang kamu
+!correct [kunci] [nilai] - Memperbaiki fakta yang salah
+!forget [kunci] - Menghapus satu fakta
+!exportme - Mengirim semua data kamu (JSON dan Markdown) lewat chat pribadi
+!forgetme - Menghapus semua data kamu di semua chat
+
+*Sambutan Anggota Grup:*
+!welcome - Menampilkan pengaturan sambutan grup ini
+!welcome on/off - Menyambut anggota baru
+!welcome ai - Sambutan ditulis AI sesuai kepribadian bot dan aturan grup
+!welcome text [template] - Sambutan dari template (kosong = template default)
+!welcome rules [teks/reset] - Aturan grup untuk sambutan (default: deskripsi grup)
+!welcome farewell on/off - Pesan perpisahan saat anggota keluar
+!welcome farewell text [template] - Template pesan perpisahan
+!welcome roles on/off - Pengumuman saat anggota dijadikan atau dicopot dari admin
 
 *Manajemen Tools:*
 !tools - Menampilkan daftar semua tools dengan status
@@ -1202,6 +1416,36 @@ Anda juga dapat menggunakan shortname (contoh: !setmodel gemini15pro).
 - Untuk model Gemini, pastikan telah mengatur API key dengan !setgeminikey`;
 }
 
+// Get model selection text for providers that serve their own model list (local/custom endpoints)
+function getProviderModelSelectionText(provider, models, db) {
+  if (!models || models.length === 0) {
+    return `*Model ${provider.label}*\n\nTidak dapat mengambil daftar model dari ${provider.url.replace(/\/chat\/completions$/, '')}. Pastikan server berjalan, atau ubah endpoint dengan !setendpoint.`;
+  }
+  
+  const currentModel = db.data.config.model;
+  let modelsList = `*Model ${provider.label}*\n\n`;
+  
+  modelsList += models.map(model => {
+    let modelLine = `- ${model.id}`;
+    const toolSupport = getLearnedToolSupport(db.data.state, provider.name, model.id);
+    if (toolSupport === true) {
+      modelLine += ` ✅ mendukung tools`;
+    } else if (toolSupport === false) {
+      modelLine += ` ❌ tanpa tools`;
+    }
+    if (model.id === currentModel) {
+      modelLine += ` (aktif)`;
+    }
+    return modelLine;
+  }).join('\n');
+  
+  return `${modelsList}
+
+Gunakan !setmodel [model_id] untuk mengubah model.
+
+*Note:* Dukungan tools dideteksi otomatis saat model pertama kali dipakai.`;
+}
+
 // Get debug information
 function getDebugInfo(db, chatId, sender) {
   try {
@@ -1266,12 +1510,14 @@ async function setProvider(db, provider) {
     const normalizedProvider = provider.toLowerCase();
     
     // Validate provider
-    if (!['openrouter', 'gemini', 'together'].includes(normalizedProvider)) {
+    const providerNames = getProviderNames(db.data.config);
+    if (!providerNames.includes(normalizedProvider)) {
       return {
         success: false,
-        message: 'Provider tidak valid. Gunakan "openrouter", "gemini", atau "together".'
+        message: `Provider tidak valid. Gunakan salah satu: ${providerNames.join(', ')}.`
       };
     }
+    const providerInfo = getProvider(normalizedProvider, db.data.config);
     
     // Check if API key is set for the selected provider
     if (normalizedProvider === 'gemini' && !process.env.GEMINI_API_KEY) {
@@ -1289,11 +1535,26 @@ async function setProvider(db, provider) {
         success: false,
         message: 'OpenRouter API key belum dikonfigurasi. Gunakan !setapikey terlebih dahulu.'
       };
+    } else if (!isProviderConfigured(providerInfo, db.data.config)) {
+      return {
+        success: false,
+        message: `${providerInfo.label} API key belum dikonfigurasi.`
+      };
+    } else if (normalizedProvider === 'local' && !providerInfo.getDefaultModel(db.data.config)) {
+      return {
+        success: false,
+        message: `Model lokal belum diatur. Gunakan !setendpoint [base_url] [model] terlebih dahulu (endpoint saat ini: ${getLocalBaseUrl(db.data.config)}).`
+      };
     }
     
     // Set the provider in database
     db.data.config.defaultProvider = normalizedProvider;
     
+    // NVIDIA and custom endpoints have their own model namespace, so switch to their default model
+    if (!['openrouter', 'gemini', 'together'].includes(normalizedProvider)) {
+      db.data.config.model = providerInfo.getDefaultModel(db.data.config) || db.data.config.model;
+    }
+    
     // Set default model for the provider if not set
     // if (!db.data.config.model || db.data.config.model.startsWith('gemini') || db.data.config.model.startsWith('google/')) {
     //   if (normalizedProvider === 'gemini') {
@@ -1776,7 +2037,9 @@ async function handleUserMappingCommand(sock, message, args, db) {
              `*Commands:*\n` +
              `!usermap - Show statistics\n` +
              `!usermap me - Show your identity mapping\n` +
-             `!usermap phone <number> - Lookup by phone number\n` +
+             `!usermap phone <number> - Lookup by phone number (moderator)\n` +
+             `!usermap merge <lid> <number> - Link a group ID to a number (admin)\n` +
+             `!usermap split <lid> <number> - Undo a link (admin)\n` +
              `!usermap help - Show help`;
     }
     
@@ -1798,6 +2061,11 @@ async function handleUserMappingCommand(sock, message, args, db) {
                `Phone extracted: ${extractPhoneNumber(sender)}`;
         
       case 'phone':
+        // Looking up someone else's group ID and name is not for every member
+        if (!hasRole(getUserRole(db, resolveUserId(sender)), 'moderator')) {
+          return '!usermap phone membutuhkan role moderator. Gunakan !usermap me untuk ID kamu sendiri.';
+        }
+        
         if (args.length < 2) {
           return 'Please provide a phone number: !usermap phone 628123456789';
         }
@@ -1823,11 +2091,30 @@ async function handleUserMappingCommand(sock, message, args, db) {
                `*Commands:*\n` +
                `!usermap - Show statistics\n` +
                `!usermap me - Your identity info\n` +
-               `!usermap phone <number> - Lookup user\n` +
+               `!usermap phone <number> - Lookup user (moderator)\n` +
+               `!usermap merge <lid> <number> - Link a group ID to a number and merge their data (admin)\n` +
+               `!usermap split <lid> <number> - Undo a link and give the group ID its data back (admin)\n` +
                `!usermap help - This help\n\n` +
                `*Why this matters:*\n` +
                `The bot can now recognize that messages from the same person in groups and personal chats are from the same user, enabling better context and memory.`;
         
+      case 'merge':
+      case 'split': {
+        if (!hasRole(getUserRole(db, resolveUserId(sender)), 'admin')) {
+          return `!usermap ${subCommand} membutuhkan role admin.`;
+        }
+        
+        const ids = getIdentityArgs(message, args.slice(1));
+        if (ids.length !== 2) {
+          return `Gunakan format: !usermap ${subCommand} <id@lid> <nomor/@user>\nContoh: !usermap ${subCommand} 27512345678@lid 628123456789`;
+        }
+        
+        const result = subCommand === 'merge'
+          ? await mergeUserIds(db, ids[0], ids[1])
+          : await splitUserIds(db, ids[0], ids[1]);
+        return result.message;
+      }
+        
       default:
         return `Unknown usermap command: ${subCommand}. Use !usermap help for available commands.`;
     }
@@ -1837,6 +2124,960 @@ async function handleUserMappingCommand(sock, message, args, db) {
   }
 }
 
+// WhatsApp IDs given to !usermap merge/split: mentions, typed IDs and phone numbers
+function getIdentityArgs(message, args) {
+  const mentioned = message.message?.extendedTextMessage?.contextInfo?.mentionedJid || [];
+  const typed = args
+    .filter(arg => !arg.startsWith('@'))
+    .map(arg => (arg.includes('@') ? arg : /^\+?\d{6,}$/.test(arg) ? normalizeUserId(arg) : null))
+    .filter(Boolean);
+  return [...new Set([...mentioned, ...typed])];
+}
+
+/**
+ * Resolve the target user of a permission command from mentions, quoted message or a phone number argument
+ * @param {Object} message - Message object
+ * @param {Array<string>} args - Command arguments
+ * @returns {string|null} - Target WhatsApp ID or phone number
+ */
+function resolveCommandTarget(message, args) {
+  const contextInfo = message.message?.extendedTextMessage?.contextInfo;
+  
+  if (contextInfo?.mentionedJid && contextInfo.mentionedJid.length > 0) {
+    return contextInfo.mentionedJid[0];
+  }
+  
+  const numberArg = args.find(arg => /^[@+]?\d{6,}$/.test(arg));
+  if (numberArg) {
+    return numberArg;
+  }
+  
+  if (contextInfo?.participant) {
+    return contextInfo.participant;
+  }
+  
+  return null;
+}
+
+async function handleGrantCommand(message, args, db) {
+  const sender = message.key.participant || message.key.remoteJid;
+  const role = args.find(arg => ROLES.includes(arg.toLowerCase()));
+  const target = resolveCommandTarget(message, args);
+  
+  if (!target || !role) {
+    return `Gunakan format: !grant [@user/nomor] [role]\nContoh: !grant 628123456789 moderator\n\nRole yang tersedia: ${ROLES.filter(r => r !== 'user').join(', ')}`;
+  }
+  
+  const result = await grantRole(db, sender, target, role);
+  return result.message;
+}
+
+async function handleRevokeCommand(message, args, db) {
+  const sender = message.key.participant || message.key.remoteJid;
+  const target = resolveCommandTarget(message, args);
+  
+  if (!target) {
+    return 'Gunakan format: !revoke [@user/nomor]\nContoh: !revoke 628123456789';
+  }
+  
+  const result = await revokeRole(db, sender, target);
+  return result.message;
+}
+
+function getRolesText(db, sender) {
+  const myRole = getUserRole(db, sender);
+  const roles = listRoles(db);
+  
+  let response = `*Hak Akses*\n\nRole kamu: ${myRole}\n`;
+  
+  if (roles.length > 0) {
+    response += `\n*Pengguna dengan role khusus (${roles.length}):*\n`;
+    roles.forEach(entry => {
+      response += `• ${entry.userId.split('@')[0]} - ${entry.role}\n`;
+    });
+  } else {
+    response += '\nBelum ada pengguna dengan role khusus. Atur OWNER_NUMBERS di file .env untuk menentukan owner.';
+  }
+  
+  return response.trim();
+}
+
+// Format a fallback chain entry for display
+function formatChainEntry(entry) {
+  const purposes = entry.purposes ? ` (${entry.purposes.join(', ')})` : '';
+  return `${entry.provider}${entry.model ? `:${entry.model}` : ''}${purposes}`;
+}
+
+// Handle !fallback [set|reset] for the provider fallback chain
+async function handleFallbackCommand(args, db) {
+  const subCommand = (args[0] || '').toLowerCase();
+  
+  if (subCommand === 'set') {
+    if (args.length < 2) {
+      return 'Gunakan: !fallback set provider[:model],provider[:model]\nContoh: !fallback set gemini:gemini-2.0-flash,nvidia';
+    }
+    
+    const parsed = parseFallbackChain(args.slice(1).join(' '), db.data.config);
+    if (!parsed.success) {
+      return parsed.message;
+    }
+    
+    db.data.config.fallbackChain = parsed.chain;
+    await db.write();
+    return `Fallback chain diubah menjadi: ${parsed.chain.map(formatChainEntry).join(' → ')}`;
+  }
+  
+  if (subCommand === 'reset') {
+    delete db.data.config.fallbackChain;
+    await db.write();
+    return `Fallback chain dikembalikan ke default: ${DEFAULT_FALLBACK_CHAIN.map(formatChainEntry).join(' → ')}`;
+  }
+  
+  const chain = Array.isArray(db.data.config.fallbackChain) ? db.data.config.fallbackChain : DEFAULT_FALLBACK_CHAIN;
+  let response = `*Fallback Chain*${Array.isArray(db.data.config.fallbackChain) ? '' : ' (default)'}\n\n`;
+  response += `Provider utama chat: ${db.data.config.defaultProvider || 'openrouter'} (${db.data.config.model})\n`;
+  chain.forEach((entry, index) => {
+    const provider = getProvider(entry.provider, db.data.config);
+    const status = provider ? (isProviderConfigured(provider, db.data.config) ? '✅' : '⚠️ API key belum diatur') : '❌ tidak dikenal';
+    response += `${index + 1}. ${formatChainEntry(entry)} ${status}\n`;
+  });
+  response += `\nChat: ${getFallbackChain('chat', db.data.config).length} hop, gambar: ${getFallbackChain('image', db.data.config).length} hop\n`;
+  response += '\n!fallback set provider[:model],... - Mengubah urutan fallback\n!fallback reset - Kembali ke default';
+  
+  return response;
+}
+
+// Format a duration in milliseconds as "X jam Y menit" / "Y menit" / "Z detik"
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  
+  if (hours > 0) return `${hours} jam ${minutes} menit`;
+  if (minutes > 0) return `${minutes} menit`;
+  return `${totalSeconds} detik`;
+}
+
+// Build the !quota usage overview
+function getQuotaText() {
+  const status = getQuotaStatus();
+  let text = `📊 *Kuota API* (${status.date} UTC, reset dalam ${formatDuration(new Date(status.resetsAt) - Date.now())})\n`;
+  
+  const providerNames = Object.keys(status.providers);
+  if (providerNames.length === 0) {
+    return text + '\nBelum ada request API hari ini.';
+  }
+  
+  for (const providerName of providerNames) {
+    const provider = status.providers[providerName];
+    const limit = provider.providerDailyLimit !== null ? `/${provider.providerDailyLimit}` : '';
+    text += `\n*${providerName}* - ${provider.requests}${limit} request hari ini\n`;
+    if (provider.freeRequests !== undefined) {
+      const freeLimit = provider.freeDailyLimit !== null ? `/${provider.freeDailyLimit}` : '';
+      text += `Model :free - ${provider.freeRequests}${freeLimit} request hari ini\n`;
+    }
+    
+    if (provider.circuit.state === 'open') {
+      text += `Circuit: 🔴 diblokir sementara (sisa ${formatDuration(provider.circuit.openUntil - Date.now())})\n`;
+    } else if (provider.circuit.state === 'half_open') {
+      text += `Circuit: 🟡 mencoba kembali\n`;
+    }
+    
+    for (const model of provider.models) {
+      const modelLimit = model.dailyLimit !== null ? `/${model.dailyLimit}` : '';
+      const perMinute = model.requestsPerMinute ? `, ${model.requestsPerMinute}/menit` : '';
+      text += `• ${model.model}: ${model.requests}${modelLimit} (${model.successes} ok, ${model.failures} gagal, ${model.rateLimited} rate limit${perMinute})${model.exhausted ? ' ⛔ kuota habis' : ''}\n`;
+    }
+  }
+  
+  return text.trim();
+}
+
+// Handle !quota [set|reset] for provider rate limits and daily quotas
+async function handleQuotaCommand(args, db) {
+  const subCommand = (args[0] || '').toLowerCase();
+  
+  if (subCommand === 'set') {
+    if (args.length < 3) {
+      return 'Gunakan: !quota set [provider atau provider/model] [request_per_menit] [request_per_hari]\nContoh: !quota set openrouter 10 50\nGunakan "off" untuk tanpa batas.';
+    }
+    
+    const key = args[1];
+    const providerName = key.split('/')[0].toLowerCase();
+    if (!getProvider(providerName, db.data.config)) {
+      return `Provider "${providerName}" tidak dikenal. Provider tersedia: ${getProviderNames(db.data.config).join(', ')}`;
+    }
+    
+    const requestsPerMinute = parseLimitValue(args[2]);
+    const dailyLimit = parseLimitValue(args[3]);
+    if (requestsPerMinute === undefined || (args[3] !== undefined && dailyLimit === undefined)) {
+      return 'Limit harus berupa angka positif atau "off".';
+    }
+    
+    const limits = { requestsPerMinute };
+    if (args[3] !== undefined) {
+      limits.dailyLimit = dailyLimit;
+    }
+    
+    const normalizedKey = key.includes('/') ? `${providerName}/${key.substring(key.indexOf('/') + 1)}` : providerName;
+    const result = await setRateLimits(db, normalizedKey, limits);
+    return result.message;
+  }
+  
+  if (subCommand === 'reset') {
+    if (args.length < 2) {
+      return 'Gunakan: !quota reset [provider]';
+    }
+    
+    const providerName = args[1].toLowerCase();
+    const changed = await resetProviderLimits(providerName);
+    return changed
+      ? `Blokir untuk provider ${providerName} dihapus. Request berikutnya akan dicoba lagi.`
+      : `Provider ${providerName} tidak sedang diblokir.`;
+  }
+  
+  return getQuotaText();
+}
+
+// Format a USD amount for usage reports
+function formatCost(cost) {
+  return cost >= 1 ? `$${cost.toFixed(2)}` : `$${cost.toFixed(4)}`;
+}
+
+// Format a usage bucket as "N request, X token, $Y"
+function formatUsageBucket(bucket) {
+  const tokens = bucket.promptTokens + bucket.completionTokens;
+  const estimated = bucket.estimatedRequests > 0 ? ` (${bucket.estimatedRequests} estimasi)` : '';
+  return `${bucket.requests} request, ${tokens.toLocaleString('id-ID')} token${estimated}, ${formatCost(bucket.cost)}`;
+}
+
+// List the most expensive entries of a roll-up group
+function formatTopUsage(group, labelFor, limit = 5) {
+  return Object.entries(group)
+    .sort(([, a], [, b]) => b.cost - a.cost || b.requests - a.requests)
+    .slice(0, limit)
+    .map(([key, bucket]) => `• ${labelFor(key)}: ${formatUsageBucket(bucket)}`)
+    .join('\n');
+}
+
+// Build the !usage chat report including the monthly budget
+function getChatUsageText(chatId, db) {
+  const chatName = db.data.conversations[chatId]?.chatName || chatId.split('@')[0];
+  const config = resolveChatConfig(db, chatId);
+  
+  let text = `💰 *Pemakaian Chat: ${chatName}*\n\n`;
+  text += `Hari ini: ${formatUsageBucket(getUsageSummary('today', { chatId }).total)}\n`;
+  text += `7 hari: ${formatUsageBucket(getUsageSummary('week', { chatId }).total)}\n`;
+  text += `Bulan ini: ${formatUsageBucket(getUsageSummary('month', { chatId }).total)}\n`;
+  
+  if (typeof config.monthlyBudget === 'number' && config.monthlyBudget > 0) {
+    const spent = getChatMonthlyCost(chatId);
+    const budgetModel = config.budgetModel || `${DEFAULT_BUDGET_MODEL.provider}:${DEFAULT_BUDGET_MODEL.model}`;
+    text += `\nBudget bulanan: ${formatCost(spent)} / ${formatCost(config.monthlyBudget)}`;
+    text += spent >= config.monthlyBudget
+      ? `\n⚠️ Budget terlampaui, chat ini memakai ${budgetModel} sampai akhir bulan.`
+      : `\nJika terlampaui, chat ini akan memakai ${budgetModel}.`;
+  } else {
+    text += '\nBudget bulanan: tidak diatur (gunakan !groupconfig set budget [USD])';
+  }
+  
+  return text;
+}
+
+// Handle !usage [today|week|chat|price] for token and cost accounting
+async function handleUsageCommand(chatId, args, db) {
+  const subCommand = (args[0] || 'today').toLowerCase();
+  
+  if (subCommand === 'chat') {
+    return getChatUsageText(chatId, db);
+  }
+  
+  if (subCommand === 'price') {
+    if (args.length === 1) {
+      const customPrices = Object.entries(db.data.config.modelPrices || {});
+      const currentPrice = getModelPrice(db.data.config.defaultProvider, db.data.config.model, db.data.config);
+      let text = `*Harga Model* (USD per 1 juta token)\n\n`;
+      text += `Model aktif ${db.data.config.model}: $${currentPrice.input} input / $${currentPrice.output} output${currentPrice.matched ? '' : ' (belum ada di tabel harga)'}\n`;
+      if (customPrices.length > 0) {
+        text += `\nHarga custom:\n${customPrices.map(([pattern, price]) => `• ${pattern}: $${price.input} / $${price.output}`).join('\n')}\n`;
+      }
+      return text + '\nGunakan: !usage price [model] [input] [output] atau !usage price [model] reset';
+    }
+    
+    if (args.length === 3 && args[2].toLowerCase() === 'reset') {
+      return (await setModelPrice(db, args[1], null)).message;
+    }
+    
+    if (args.length < 4) {
+      return 'Gunakan: !usage price [model] [harga_input] [harga_output]\nContoh: !usage price gpt-4o-mini 0.15 0.6';
+    }
+    
+    return (await setModelPrice(db, args[1], parseFloat(args[2]), parseFloat(args[3]))).message;
+  }
+  
+  if (subCommand !== 'today' && subCommand !== 'week') {
+    return 'Gunakan: !usage [today|week|chat|price]';
+  }
+  
+  const summary = getUsageSummary(subCommand);
+  const periodLabel = subCommand === 'today' ? `Hari Ini (${summary.dates[0]} UTC)` : `7 Hari Terakhir (${summary.dates[0]} - ${summary.dates[summary.dates.length - 1]})`;
+  
+  if (summary.total.requests === 0) {
+    return `💰 *Pemakaian ${periodLabel}*\n\nBelum ada request API yang tercatat.`;
+  }
+  
+  const chatLabel = (id) => db.data.conversations[id]?.chatName || id.split('@')[0];
+  const userLabel = (id) => db.data.participantsRegistry[id]?.name || id.split('@')[0];
+  
+  let text = `💰 *Pemakaian ${periodLabel}*\n\n`;
+  text += `Total: ${formatUsageBucket(summary.total)}\n`;
+  text += `\n*Per model:*\n${formatTopUsage(summary.models, key => key)}\n`;
+  text += `\n*Per keperluan:*\n${formatTopUsage(summary.purposes, key => key)}\n`;
+  
+  if (Object.keys(summary.chats).length > 0) {
+    text += `\n*Chat teratas:*\n${formatTopUsage(summary.chats, chatLabel)}\n`;
+  }
+  
+  if (Object.keys(summary.users).length > 0) {
+    text += `\n*Pengguna teratas:*\n${formatTopUsage(summary.users, userLabel)}\n`;
+  }
+  
+  return text.trim();
+}
+
+// Handle !voice [on|off|mirror|reset] for the sender's own reply mode
+async function handleVoiceCommand(sender, chatId, args, db) {
+  const option = (args[0] || '').toLowerCase();
+  const modes = { on: 'voice', off: 'text', mirror: 'mirror', reset: null };
+  const settings = getTtsSettings(db.data.config);
+  
+  if (!option) {
+    const ownMode = db.data.userPreferences?.[sender]?.replyMode;
+    let text = `🔊 *Balasan Suara*\n\n`;
+    text += `Mode kamu: ${resolveReplyMode(db, chatId, sender)}${ownMode ? '' : ' _(pengaturan chat)_'}\n`;
+    text += `Backend TTS: ${settings.enabled ? settings.id : 'nonaktif'}\n\n`;
+    text += `Gunakan: !voice [on|off|mirror|reset]`;
+    return text;
+  }
+  
+  if (!(option in modes)) {
+    return 'Gunakan: !voice [on|off|mirror|reset]';
+  }
+  
+  if (!settings.enabled && (modes[option] === 'voice' || modes[option] === 'mirror')) {
+    return 'Balasan suara belum diaktifkan. Atur TTS_PROVIDER di .env terlebih dahulu.';
+  }
+  
+  return (await setUserReplyMode(db, sender, modes[option])).message;
+}
+
+// Handle !docs: list the documents indexed in this chat
+function handleDocsCommand(chatId, db) {
+  const documents = listDocuments(chatId);
+  
+  if (documents.length === 0) {
+    return 'Belum ada dokumen di chat ini. Kirim PDF, DOCX, TXT atau Markdown untuk mulai bertanya tentang isinya.';
+  }
+  
+  let text = `📄 *Dokumen di chat ini (${documents.length}):*\n\n`;
+  documents.forEach((doc, index) => {
+    const pages = doc.pageCount ? `${doc.pageCount} halaman, ` : '';
+    const date = new Date(doc.uploadedAt).toLocaleDateString('id-ID');
+    text += `${index + 1}. *${doc.fileName}* - ${pages}${doc.chunkCount} bagian\n`;
+    text += `   dari ${doc.uploaderName || doc.uploadedBy.split('@')[0]}, ${date}\n`;
+  });
+  text += `\nHapus dengan !forgetdoc [nomor/nama]`;
+  
+  if (db.data.config.documentQaEnabled === false) {
+    text += `\n\n⚠️ Tanya-jawab dokumen sedang dinonaktifkan.`;
+  }
+  
+  return text;
+}
+
+// Handle !forgetdoc [number|name]; in groups only the uploader or a moderator may remove a document
+async function handleForgetDocCommand(sock, sender, chatId, args, db) {
+  if (args.length === 0) {
+    return 'Gunakan: !forgetdoc [nomor/nama]\nLihat daftar dokumen dengan !docs';
+  }
+  
+  const found = findDocument(chatId, args.join(' '));
+  if (!found.success) {
+    return found.message;
+  }
+  
+  const { document } = found;
+  const isUploader = normalizeUserId(document.uploadedBy) === normalizeUserId(sender);
+  if (chatId.endsWith('@g.us') && !isUploader && !hasRole(getUserRole(db, sender), 'moderator') && !(await isGroupAdmin(sock, chatId, sender))) {
+    return `Hanya ${document.uploaderName || 'pengirim dokumen'} atau moderator yang bisa menghapus *${document.fileName}*.`;
+  }
+  
+  return (await removeDocument(chatId, document.id)).message;
+}
+
+// Handle !feedback [all] [days]: reactions on the bot's messages in this chat, or in every chat for admins
+function handleFeedbackCommand(sender, chatId, args, db) {
+  const allChats = args[0]?.toLowerCase() === 'all';
+  const daysArg = allChats ? args[1] : args[0];
+  const days = daysArg ? parseInt(daysArg) : 7;
+  
+  if (isNaN(days) || days < 1 || days > 365) {
+    return 'Gunakan: !feedback [hari] atau !feedback all [hari] (1-365 hari)';
+  }
+  if (allChats && !hasRole(getUserRole(db, sender), 'admin')) {
+    return 'Ringkasan feedback semua chat membutuhkan role admin.';
+  }
+  
+  const summary = getFeedbackSummary(db, { chatId: allChats ? null : chatId, days });
+  const scope = allChats ? 'semua chat' : 'chat ini';
+  
+  if (summary.reactions === 0) {
+    return `Belum ada reaksi pada pesan bot di ${scope} dalam ${days} hari terakhir.`;
+  }
+  
+  const emojis = Object.entries(summary.emojiCounts)
+    .sort(([, a], [, b]) => b - a)
+    .map(([emoji, count]) => `${emoji} ${count}`)
+    .join('  ');
+  const chatLabel = (id) => db.data.conversations[id]?.chatName || id.split('@')[0];
+  const describe = (entry) => {
+    const reactions = Object.values(entry.reactions).map(reaction => reaction.emoji).join('');
+    const snippet = entry.content ? `"${entry.content.substring(0, 60)}${entry.content.length > 60 ? '...' : ''}"` : '(pesan tidak tersimpan)';
+    return `• ${reactions} ${snippet}${allChats ? ` - ${chatLabel(entry.chatId)}` : ''}`;
+  };
+  
+  let text = `📊 *Feedback Reaksi* (${scope}, ${days} hari terakhir)\n\n`;
+  text += `Pesan yang direaksi: ${summary.messages}\n`;
+  text += `Total reaksi: ${summary.reactions} (positif ${summary.positive}, negatif ${summary.negative}, netral ${summary.neutral})\n`;
+  text += `Emoji: ${emojis}\n`;
+  
+  const negative = summary.entries.filter(entry => Object.values(entry.reactions).some(reaction => reaction.sentiment === 'negative'));
+  if (negative.length > 0) {
+    text += `\n*Reaksi negatif:*\n${negative.slice(0, 5).map(describe).join('\n')}\n`;
+  }
+  
+  text += `\n*Terbaru:*\n${summary.entries.slice(0, 5).map(describe).join('\n')}`;
+  
+  if (db.data.config.reactionResponsesEnabled === false) {
+    text += `\n\nℹ️ Bot sedang tidak membalas dengan reaksi (REACTION_RESPONSES_ENABLED=false).`;
+  }
+  
+  return text;
+}
+
+const FACT_POLICY_DESCRIPTIONS = {
+  newest: 'nilai terbaru menggantikan yang lama',
+  confidence: 'nilai dengan tingkat keyakinan tertinggi yang dipakai',
+  ask: 'nilai lama tetap dipakai sampai bot menanyakannya di chat pribadi'
+};
+
+// Handle !factpolicy [newest|confidence|ask]
+async function handleFactPolicyCommand(args, db) {
+  const policy = (args[0] || '').toLowerCase();
+  const current = db.data.config.factConflictPolicy || DEFAULT_FACT_CONFLICT_POLICY;
+  
+  if (!policy) {
+    const pending = Object.values(db.data.userFacts || {})
+      .reduce((total, userData) => total + (userData.pendingConflicts || []).length, 0);
+    return `⚖️ *Fakta yang Bertentangan*\n\nKebijakan: ${current} (${FACT_POLICY_DESCRIPTIONS[current]})\nMenunggu konfirmasi: ${pending}\n\n` +
+      `Pilihan:\n${FACT_CONFLICT_POLICIES.map(name => `• ${name} - ${FACT_POLICY_DESCRIPTIONS[name]}`).join('\n')}\n\nGunakan: !factpolicy [${FACT_CONFLICT_POLICIES.join('|')}]`;
+  }
+  
+  if (!FACT_CONFLICT_POLICIES.includes(policy)) {
+    return `Kebijakan tidak dikenal. Pilih salah satu: ${FACT_CONFLICT_POLICIES.join(', ')}`;
+  }
+  
+  db.data.config.factConflictPolicy = policy;
+  await db.write();
+  return `Kebijakan fakta yang bertentangan diubah ke ${policy}: ${FACT_POLICY_DESCRIPTIONS[policy]}.`;
+}
+
+// Handle !story [on|off|mentions|post|interval] for WhatsApp status tracking and posting
+async function handleStoryCommand(sock, args, db) {
+  const subCommand = (args[0] || '').toLowerCase();
+  const option = (args[1] || '').toLowerCase();
+  const { config, state } = db.data;
+  const usage = 'Gunakan: !story [on|off], !story mentions [on|off], !story post [on|off|now] atau !story interval [jam]';
+  const onOff = (value) => value ? 'aktif' : 'nonaktif';
+  
+  if (!subCommand) {
+    const statuses = Object.values(db.data.contactStatuses || {});
+    const statusCount = statuses.reduce((total, list) => total + list.length, 0);
+    let text = `📱 *Status WhatsApp*\n\n`;
+    text += `Pencatatan status kontak: ${onOff(config.statusTrackingEnabled)}\n`;
+    text += `Menyinggung status di chat pribadi: ${onOff(config.statusMentionsEnabled !== false)}\n`;
+    text += `Status tersimpan: ${statusCount} dari ${statuses.length} kontak\n\n`;
+    text += `Posting status bot: ${onOff(config.statusPostingEnabled)} (setiap ${config.statusPostIntervalHours || 24} jam)\n`;
+    text += `Posting terakhir: ${state.lastStatusPostAt ? new Date(state.lastStatusPostAt).toLocaleString('id-ID') : 'belum pernah'}\n\n`;
+    text += usage;
+    return text;
+  }
+  
+  if (subCommand === 'on' || subCommand === 'off') {
+    config.statusTrackingEnabled = subCommand === 'on';
+    if (!config.statusTrackingEnabled) {
+      // Stop remembering other people's statuses right away
+      db.data.contactStatuses = {};
+    }
+    await db.write();
+    return config.statusTrackingEnabled
+      ? 'Pencatatan status kontak diaktifkan. Status dari kontak yang pernah chat pribadi akan disimpan selama 24 jam.'
+      : 'Pencatatan status kontak dinonaktifkan dan status yang tersimpan sudah dihapus.';
+  }
+  
+  if (subCommand === 'mentions') {
+    if (option !== 'on' && option !== 'off') {
+      return 'Gunakan: !story mentions [on|off]';
+    }
+    config.statusMentionsEnabled = option === 'on';
+    await db.write();
+    return `Bot ${config.statusMentionsEnabled ? 'boleh' : 'tidak akan'} menyinggung status kontak di chat pribadi.`;
+  }
+  
+  if (subCommand === 'post') {
+    if (option === 'now') {
+      return (await postBotStatus(sock)).message;
+    }
+    if (option !== 'on' && option !== 'off') {
+      return 'Gunakan: !story post [on|off|now]';
+    }
+    config.statusPostingEnabled = option === 'on';
+    await db.write();
+    return `Posting status terjadwal ${config.statusPostingEnabled ? `diaktifkan (setiap ${config.statusPostIntervalHours || 24} jam)` : 'dinonaktifkan'}.`;
+  }
+  
+  if (subCommand === 'interval') {
+    const hours = parseInt(option);
+    if (isNaN(hours) || hours < 1 || hours > 168) {
+      return 'Gunakan: !story interval [jam] (1-168 jam)';
+    }
+    config.statusPostIntervalHours = hours;
+    await db.write();
+    return `Status bot akan diposting setiap ${hours} jam.`;
+  }
+  
+  return usage;
+}
+
+// Handle !embedding [set|reindex] for the semantic memory backend
+async function handleEmbeddingCommand(args, db) {
+  const subCommand = (args[0] || '').toLowerCase();
+  
+  if (subCommand === 'set') {
+    if (args.length < 2) {
+      return `Gunakan: !embedding set [builtin|gemini|provider] [model]\nModel default: ${Object.entries(DEFAULT_EMBEDDING_MODELS).map(([name, model]) => `${name} → ${model}`).join(', ')}`;
+    }
+    
+    const result = await setEmbeddingBackend(db, args[1], args[2] || null);
+    if (!result.success || !result.changed) {
+      return result.message;
+    }
+    
+    const rebuild = await rebuildVectorIndex();
+    return `${result.message}\n${rebuild.message}`;
+  }
+  
+  if (subCommand === 'reindex') {
+    return (await rebuildVectorIndex()).message;
+  }
+  
+  if (subCommand) {
+    return 'Gunakan: !embedding [set|reindex]';
+  }
+  
+  const settings = getEmbeddingSettings(db.data.config);
+  const stats = getVectorIndexStats();
+  
+  let text = `🧠 *Memori Semantik*\n\n`;
+  text += `Backend: ${settings.id}${settings.lexical ? ' (leksikal: hanya mencocokkan kata yang sama, tidak mengenali sinonim)' : ''}\n`;
+  text += `Minimum kemiripan: ${settings.minSimilarity}\n`;
+  text += `Recall konteks: ${db.data.config.semanticMemoryEnabled !== false ? 'aktif' : 'nonaktif'}\n`;
+  text += `\n*Index (${stats.total} entri):*\n`;
+  text += `• Fakta: ${stats.byType.fact}\n`;
+  text += `• Pesan: ${stats.byType.message}\n`;
+  text += `• Konten web: ${stats.byType.web}\n`;
+  text += `• Analisis gambar: ${stats.byType.image}\n`;
+  text += `• Potongan dokumen: ${stats.byType.document}\n`;
+  
+  if (stats.stale > 0) {
+    text += `\n⚠️ ${stats.stale} entri dibuat dengan backend lain dan belum bisa dicari. Jalankan !embedding reindex.`;
+  }
+  
+  return text.trim();
+}
+
+// Handle !setendpoint for the local OpenAI-compatible server
+async function handleSetEndpointCommand(args, db) {
+  const config = db.data.config;
+  
+  if (args.length === 0) {
+    const localProvider = getProvider('local', config);
+    const model = localProvider.getDefaultModel(config);
+    const toolSupport = model ? getLearnedToolSupport(db.data.state, 'local', model) : undefined;
+    
+    return `*Endpoint Lokal*\n\n` +
+      `Base URL: ${getLocalBaseUrl(config)}\n` +
+      `Model: ${model || '-'}\n` +
+      `Tools: ${toolSupport === undefined ? 'belum dideteksi' : (toolSupport ? 'didukung' : 'tidak didukung')}\n` +
+      `Aktif: ${config.defaultProvider === 'local' ? 'ya' : 'tidak (gunakan !setprovider local)'}\n\n` +
+      `Gunakan: !setendpoint [base_url] [model opsional] [api_key opsional]\n` +
+      `Contoh: !setendpoint http://localhost:11434/v1 llama3.1\n` +
+      `!setendpoint reset - Kembali ke pengaturan .env`;
+  }
+  
+  if (args[0].toLowerCase() === 'reset') {
+    if (config.defaultProvider === 'local' && !process.env.LOCAL_MODEL) {
+      return 'Endpoint lokal sedang dipakai dan LOCAL_MODEL tidak diatur di .env. Ganti dulu provider dengan !setprovider.';
+    }
+    
+    delete config.localEndpoint;
+    clearToolSupport(db, 'local');
+    if (config.defaultProvider === 'local') {
+      config.model = process.env.LOCAL_MODEL;
+    }
+    await db.write();
+    return `Endpoint lokal dikembalikan ke ${getLocalBaseUrl(config)}`;
+  }
+  
+  const [baseUrl, requestedModel, apiKey] = args;
+  
+  if (!/^https?:\/\//i.test(baseUrl)) {
+    return 'Base URL harus diawali http:// atau https://';
+  }
+  
+  const previousEndpoint = config.localEndpoint || {};
+  config.localEndpoint = {
+    baseUrl: baseUrl.replace(/\/+$/, ''),
+    ...(requestedModel || previousEndpoint.model ? { model: requestedModel || previousEndpoint.model } : {}),
+    ...(apiKey ? { apiKey } : {})
+  };
+  
+  // A different server may run different builds of the same model, so re-detect tool support
+  clearToolSupport(db, 'local');
+  
+  const models = await getAvailableModels('local');
+  let note = '';
+  
+  if (models.length === 0) {
+    note = '\n⚠️ Daftar model tidak dapat diambil. Pastikan server berjalan dan mendukung endpoint /models.';
+  } else if (!config.localEndpoint.model) {
+    config.localEndpoint.model = models[0].id;
+    note = `\nModel belum ditentukan, memakai model pertama dari server: ${models[0].id}`;
+  } else if (!models.some(model => model.id === config.localEndpoint.model)) {
+    note = `\n⚠️ Model "${config.localEndpoint.model}" tidak ada di server. Model tersedia: ${models.map(model => model.id).join(', ')}`;
+  }
+  
+  if (config.defaultProvider === 'local' && config.localEndpoint.model) {
+    config.model = config.localEndpoint.model;
+  }
+  
+  await db.write();
+  
+  return `Endpoint lokal diubah ke ${config.localEndpoint.baseUrl} (model: ${config.localEndpoint.model || '-'}).${note}` +
+    (config.defaultProvider === 'local' ? '' : '\nGunakan !setprovider local untuk memakainya.');
+}
+
+// Handle !addprovider for custom OpenAI-compatible endpoints
+async function handleAddProviderCommand(args, db) {
+  if (args.length < 3) {
+    return 'Gunakan: !addprovider [nama] [base_url] [model] [api_key opsional]\nContoh: !addprovider groq https://api.groq.com/openai/v1 llama-3.3-70b-versatile gsk_xxx';
+  }
+  
+  const [rawName, baseUrl, model, apiKey] = args;
+  const name = rawName.toLowerCase();
+  
+  if (PROVIDERS[name]) {
+    return `Nama "${name}" sudah dipakai oleh provider bawaan.`;
+  }
+  
+  if (!/^https?:\/\//i.test(baseUrl)) {
+    return 'Base URL harus diawali http:// atau https://';
+  }
+  
+  if (!db.data.config.customProviders) {
+    db.data.config.customProviders = {};
+  }
+  
+  db.data.config.customProviders[name] = {
+    baseUrl,
+    model,
+    ...(apiKey ? { apiKey } : {}),
+    addedAt: new Date().toISOString()
+  };
+  await db.write();
+  
+  return `Provider "${name}" ditambahkan (${baseUrl}, model: ${model}). Gunakan !setprovider ${name} atau masukkan ke !fallback set.`;
+}
+
+// Handle !removeprovider for custom OpenAI-compatible endpoints
+async function handleRemoveProviderCommand(args, db) {
+  if (args.length === 0) {
+    return 'Gunakan: !removeprovider [nama]';
+  }
+  
+  const name = args[0].toLowerCase();
+  
+  if (!db.data.config.customProviders?.[name]) {
+    return `Provider custom "${name}" tidak ditemukan.`;
+  }
+  
+  if (db.data.config.defaultProvider === name) {
+    return `Provider "${name}" sedang dipakai sebagai provider utama. Ganti dulu dengan !setprovider.`;
+  }
+  
+  delete db.data.config.customProviders[name];
+  if (Array.isArray(db.data.config.fallbackChain)) {
+    db.data.config.fallbackChain = db.data.config.fallbackChain.filter(entry => entry.provider !== name);
+  }
+  await db.write();
+  
+  return `Provider "${name}" dihapus.`;
+}
+
+// Text of a command after its first `skip` words, keeping line breaks (args lose them)
+function getCommandText(message, skip) {
+  const content = extractMessageContent(message) || '';
+  return content.trim().replace(new RegExp(`^\\S+(\\s+\\S+){${skip}}`), '').trim();
+}
+
+// Handle !welcome: welcome, farewell and promote/demote notices for the current group
+async function handleWelcomeCommand(message, chatId, args, db) {
+  if (!chatId.endsWith('@g.us')) {
+    return 'Perintah !welcome hanya bisa digunakan di grup.';
+  }
+  
+  const subCommand = (args[0] || '').toLowerCase();
+  const option = (args[1] || '').toLowerCase();
+  const usage = 'Gunakan: !welcome [on|off|ai|text|rules|farewell|roles]';
+  const onOff = (value) => value ? 'aktif' : 'nonaktif';
+  
+  if (!subCommand) {
+    const settings = getMemberEventSettings(db, chatId);
+    let text = `👋 *Sambutan Anggota Grup*\n\n`;
+    text += `Sambutan: ${onOff(settings.welcome)} (${settings.welcomeMode === 'ai' ? 'ditulis AI' : 'template'})\n`;
+    text += `Template sambutan: ${settings.welcomeTemplate || DEFAULT_WELCOME_TEMPLATE}\n`;
+    text += `Aturan grup: ${settings.rules ? settings.rules : '_(deskripsi grup)_'}\n\n`;
+    text += `Perpisahan: ${onOff(settings.farewell)}\n`;
+    text += `Template perpisahan: ${settings.farewellTemplate || DEFAULT_FAREWELL_TEMPLATE}\n\n`;
+    text += `Pengumuman admin: ${onOff(settings.roleNotices)}\n\n`;
+    text += `Placeholder template: {names}, {mentions}, {group}, {rules}, {count}\n`;
+    text += usage;
+    return text;
+  }
+  
+  let result;
+  let reply;
+  switch (subCommand) {
+    case 'on':
+    case 'off':
+      result = await setMemberEventSetting(db, chatId, 'welcome', subCommand === 'on');
+      reply = `Sambutan anggota baru ${onOff(subCommand === 'on')}.`;
+      break;
+      
+    case 'ai':
+      result = await setMemberEventSetting(db, chatId, 'welcomeMode', 'ai');
+      reply = 'Sambutan sekarang ditulis AI sesuai kepribadian bot dan aturan grup. Kembali ke template dengan !welcome text.';
+      break;
+      
+    case 'text': {
+      const template = getCommandText(message, 1);
+      result = await setMemberEventSetting(db, chatId, 'welcomeTemplate', template || null);
+      if (result.success) {
+        await setMemberEventSetting(db, chatId, 'welcomeMode', WELCOME_MODES[0]);
+      }
+      reply = template ? 'Template sambutan disimpan dan dipakai.' : 'Sambutan memakai template default.';
+      break;
+    }
+      
+    case 'rules': {
+      const rules = getCommandText(message, 1);
+      if (!rules) {
+        return 'Gunakan: !welcome rules [teks] atau !welcome rules reset';
+      }
+      result = await setMemberEventSetting(db, chatId, 'rules', rules.toLowerCase() === 'reset' ? null : rules);
+      reply = rules.toLowerCase() === 'reset' ? 'Aturan grup kembali memakai deskripsi grup.' : 'Aturan grup disimpan.';
+      break;
+    }
+      
+    case 'farewell':
+      if (option === 'on' || option === 'off') {
+        result = await setMemberEventSetting(db, chatId, 'farewell', option === 'on');
+        reply = `Pesan perpisahan ${onOff(option === 'on')}.`;
+      } else if (option === 'text') {
+        const template = getCommandText(message, 2);
+        result = await setMemberEventSetting(db, chatId, 'farewellTemplate', template || null);
+        reply = template ? 'Template perpisahan disimpan.' : 'Template perpisahan dikembalikan ke default.';
+      } else {
+        return 'Gunakan: !welcome farewell [on|off] atau !welcome farewell text [template]';
+      }
+      break;
+      
+    case 'roles':
+      if (option !== 'on' && option !== 'off') {
+        return 'Gunakan: !welcome roles [on|off]';
+      }
+      result = await setMemberEventSetting(db, chatId, 'roleNotices', option === 'on');
+      reply = `Pengumuman admin ${onOff(option === 'on')}.`;
+      break;
+      
+    default:
+      return usage;
+  }
+  
+  return result.success ? reply : result.message;
+}
+
+// Handle !remind [time] [message]; people tagged in the command are mentioned when it fires
+async function handleRemindCommand(message, sender, chatId, db) {
+  const text = getCommandText(message, 0);
+  if (!text) {
+    return 'Gunakan: !remind [waktu] [pesan]\nContoh: !remind besok jam 7 meeting, !remind 30 menit lagi angkat jemuran, !remind tiap senin jam 8 pagi standup';
+  }
+  
+  const mentions = message.message?.extendedTextMessage?.contextInfo?.mentionedJid || [];
+  const result = await createReminder(db, {
+    chatId,
+    createdBy: sender,
+    creatorName: message.pushName || null,
+    text,
+    mentions
+  });
+  
+  return result.success ? `⏰ ${result.message}` : result.message;
+}
+
+// Handle !reminders: open reminders of this chat
+function handleRemindersCommand(chatId, db) {
+  const reminders = listReminders(db, chatId);
+  if (reminders.length === 0) {
+    return 'Belum ada pengingat di chat ini. Buat dengan !remind [waktu] [pesan]';
+  }
+  
+  let text = `⏰ *Pengingat di chat ini (${reminders.length}):*\n\n`;
+  reminders.forEach((reminder, index) => {
+    const owner = chatId.endsWith('@g.us') ? ` - ${reminder.creatorName || reminder.createdBy.split('@')[0]}` : '';
+    text += `${index + 1}. ${describeReminder(reminder)}${owner}\n`;
+  });
+  text += `\nBatalkan dengan !cancelremind [nomor] atau !cancelremind all`;
+  
+  return text;
+}
+
+// Handle !cancelremind [number|id|all]; moderators and group admins may cancel other people's reminders
+async function handleCancelRemindCommand(sock, sender, chatId, args, db) {
+  if (args.length === 0) {
+    return 'Gunakan: !cancelremind [nomor] atau !cancelremind all\nLihat daftar pengingat dengan !reminders';
+  }
+  
+  const canCancelOthers = hasRole(getUserRole(db, sender), 'moderator') ||
+    (chatId.endsWith('@g.us') && await isGroupAdmin(sock, chatId, sender));
+  return (await cancelReminder(db, chatId, args[0], { userId: sender, canCancelOthers })).message;
+}
+
+// Handle !recap [since|last N|duration|@user] in groups
+async function handleRecapCommand(message, sender, chatId, args) {
+  if (!chatId.endsWith('@g.us')) {
+    return 'Perintah !recap hanya bisa digunakan di grup.';
+  }
+  
+  const mentions = message.message?.extendedTextMessage?.contextInfo?.mentionedJid || [];
+  const options = parseRecapArgs(args, mentions);
+  if (options.error) {
+    return options.error;
+  }
+  
+  const result = await generateRecap(chatId, sender, {
+    ...options,
+    excludeMessageId: message.key.id,
+    requesterName: message.pushName || null
+  });
+  return result.message;
+}
+
+// Handle !myfacts [kategori] [halaman]; the list is sent privately when asked in a group
+async function handleMyFactsCommand(sock, sender, chatId, args, db) {
+  const categories = Object.values(FACT_CATEGORIES);
+  const first = (args[0] || '').toLowerCase();
+  const category = first && !/^\d+$/.test(first) ? first : null;
+  const page = category ? args[1] : args[0];
+  
+  const result = getFactsPage(db, sender, { category, page, categories });
+  if (!result.success || result.total === 0) {
+    return result.message;
+  }
+  if (chatId === sender) {
+    return result.message;
+  }
+  await sock.sendMessage(sender, { text: result.message });
+  return 'Daftar fakta kamu sudah aku kirim lewat chat pribadi ya 📩';
+}
+
+// Handle !forgetme: explain what will be removed, wipe it after !forgetme confirm
+async function handleForgetMeCommand(sender, args, db) {
+  if ((args[0] || '').toLowerCase() !== 'confirm') {
+    const factCount = Object.keys(db.data.userFacts?.[sender]?.facts || {}).length;
+    return `⚠️ Ini akan menghapus semua yang aku simpan tentang kamu di semua chat: ${factCount} fakta, pesan-pesanmu, analisis gambar, profil, pengingat, status, rangkuman grup yang mencakup pesanmu dan log API yang berisi pesanmu. Chat pribadi kita juga dihapus beserta dokumennya dan tidak bisa dikembalikan.\n` +
+      'Yang tetap disimpan: balasan bot di grup, dokumen yang kamu bagikan di grup dan peran dari !grant.\n\n' +
+      'Simpan salinannya dulu dengan !exportme, lalu ketik *!forgetme confirm* untuk melanjutkan.';
+  }
+  
+  return (await forgetUser(db, sender)).message;
+}
+
+// Handle !exportme: send everything stored about the sender as JSON and Markdown files
+async function handleExportMeCommand(sock, sender, chatId, db) {
+  const data = exportUserData(db, sender);
+  const fileBase = `data-${sender.split('@')[0]}-${data.exportedAt.substring(0, 10)}`;
+  
+  await sock.sendMessage(sender, {
+    document: Buffer.from(JSON.stringify(data, null, 2)),
+    mimetype: 'application/json',
+    fileName: `${fileBase}.json`
+  });
+  await sock.sendMessage(sender, {
+    document: Buffer.from(formatUserDataMarkdown(data)),
+    mimetype: 'text/markdown',
+    fileName: `${fileBase}.md`,
+    caption: `📦 Semua data yang aku simpan tentang kamu: ${Object.keys(data.facts).length} fakta dan ${data.chats.reduce((total, chat) => total + chat.messages.length, 0)} pesan dari ${data.chats.length} chat.`
+  });
+  
+  return chatId === sender ? null : 'Ekspor data kamu sudah aku kirim lewat chat pribadi ya 📩';
+}
+
+// Handle !groupconfig get/set/reset for the current chat
+async function handleGroupConfigCommand(chatId, sender, args, db) {
+  const subCommand = (args[0] || 'get').toLowerCase();
+  // Provider, model and budget settings need the bot admin role, not only group admin
+  const options = { isAdmin: hasRole(getUserRole(db, sender), 'admin') };
+  
+  switch (subCommand) {
+    case 'get':
+      return getChatConfigText(db, chatId);
+      
+    case 'set': {
+      if (args.length < 3) {
+        return `Gunakan: !groupconfig set [key] [value]\nKey: ${Object.keys(OVERRIDE_KEYS).join(', ')}`;
+      }
+      const result = await setChatOverride(db, chatId, args[1], args.slice(2).join(' '), options);
+      return result.message;
+    }
+      
+    case 'reset': {
+      const result = await resetChatOverride(db, chatId, args[1] || null, options);
+      return result.message;
+    }
+      
+    default:
+      return `*Pengaturan Chat*\n\n` +
+             `!groupconfig get - Menampilkan pengaturan chat ini\n` +
+             `!groupconfig set [key] [value] - Mengubah pengaturan khusus chat ini\n` +
+             `!groupconfig reset [key] - Mengembalikan pengaturan ke global (semua jika key kosong)\n\n` +
+             `Key: ${Object.keys(OVERRIDE_KEYS).join(', ')}\n` +
+             `Key ${ADMIN_OVERRIDE_KEYS.join(', ')} hanya bisa diubah admin bot\n` +
+             `Contoh: !groupconfig set tools search_web,get_current_time`;
+  }
+}
+
 export {
   detectCommand,
   executeCommand,
@@ -16,8 +16,32 @@ const MAX_IMAGE_ANALYSIS_MESSAGES = process.env.MAX_IMAGE_ANALYSIS_MESSAGES || 3
 // Maximum number of topic-specific messages to include
 const MAX_TOPIC_SPECIFIC_MESSAGES = process.env.MAX_TOPIC_SPECIFIC_MESSAGES || 10;
 
+// Maximum number of semantically similar older messages and web pages to recall
+const MAX_SEMANTIC_MATCHES = process.env.MAX_SEMANTIC_MATCHES || 5;
+
+// Messages shorter than this carry too little meaning to be worth embedding
+const MIN_INDEXED_MESSAGE_LENGTH = 15;
+
+// Stored in place of a message deleted for everyone
+const DELETED_MESSAGE_CONTENT = '[This message was deleted]';
+
+// Quoted text longer than this is shortened when shown with a reply
+const MAX_QUOTED_CONTENT_CHARS = 300;
+
+// A group counts as busy when this many user messages from at least two people arrived within the window
+const BUSY_GROUP_MIN_MESSAGES = 4;
+const BUSY_GROUP_WINDOW_MS = 2 * 60 * 1000;
+
 // Import from memoryService
 import { findImagesByDescription } from './memoryService.js';
+import { indexVectorEntry, removeVectorEntry, searchVectors } from './vectorIndexService.js';
+import { findDocumentExcerpts, formatDocumentContext } from './documentService.js';
+import { getStatusContext } from './statusService.js';
+import { takeConflictQuestions, formatConflictQuestions } from './factConflictService.js';
+import { isFactActive, takeFollowUps, formatFollowUps } from './factValidityService.js';
+import { summarizeAgedOutMessages } from './conversationSummaryService.js';
+import { queueAgedOutMessages, findRelevantSummaries, formatSummaryContext } from '../utils/summaryUtils.js';
+import { getQuotedMessageInfo } from '../utils/messageUtils.js';
 
 // Enhanced conversation history structure with better AI context
 const ENHANCED_CONTEXT_METADATA = {
@@ -40,6 +64,7 @@ function createEnhancedMessage(message, sender, content, chatType, metadata = {}
   const semanticData = extractSemanticData(content, message);
   const emotionData = analyzeEmotion(content, message);
   const intentData = detectIntent(content, message);
+  const quoted = getQuotedMessageInfo(message);
   
   return {
     // Core message data
@@ -55,8 +80,13 @@ function createEnhancedMessage(message, sender, content, chatType, metadata = {}
     metadata: {
       // Basic metadata
       hasImage: message.message?.imageMessage || message.message?.extendedTextMessage?.contextInfo?.quotedMessage?.imageMessage ? true : false,
-      isReply: message.message?.extendedTextMessage?.contextInfo?.quotedMessage ? true : false,
-      quotedMessageId: message.message?.extendedTextMessage?.contextInfo?.stanzaId || null,
+      // Content of a transcribed voice note is its transcript
+      isVoiceNote: message.transcription?.text ? true : false,
+      isReply: quoted ? true : false,
+      quotedMessageId: quoted?.id || null,
+      // Kept so replies to messages that were never stored can still be shown with what they quote
+      quotedSender: quoted?.participant || null,
+      quotedContent: quoted?.content ? quoted.content.substring(0, MAX_QUOTED_CONTENT_CHARS) : null,
       
       // Semantic analysis
       topics: semanticData.topics,
@@ -675,9 +705,16 @@ async function updateEnhancedContext(db, chatId, sender, content, message, sock)
     // Update conversation metadata
     updateConversationMetadata(db.data.conversations[chatId], enhancedMessage);
     
-    // Limit the size of the conversation history
+    // Limit the size of the conversation history; what drops out is queued for the rolling summaries
+    const summariesEnabled = db.data.config.conversationSummariesEnabled !== false;
+    let hasAgedOut = false;
     if (db.data.conversations[chatId].messages.length > MAX_CONTEXT_MESSAGES) {
+      const agedOut = db.data.conversations[chatId].messages.slice(0, -MAX_CONTEXT_MESSAGES);
       db.data.conversations[chatId].messages = db.data.conversations[chatId].messages.slice(-MAX_CONTEXT_MESSAGES);
+      if (summariesEnabled) {
+        queueAgedOutMessages(db, chatId, agedOut);
+        hasAgedOut = true;
+      }
     }
     
     // Update last active timestamp
@@ -750,6 +787,25 @@ async function updateEnhancedContext(db, chatId, sender, content, message, sock)
     
     // Save changes
     await db.write();
+
+    // Index the message for semantic recall once it has left the recent history.
+    // Not awaited: a remote embedding backend shouldn't delay the reply. Every message is indexed,
+    // so the entries are saved with a deferred write rather than a full write each.
+    if (typeof content === 'string' && content.length >= MIN_INDEXED_MESSAGE_LENGTH && !content.startsWith('!')) {
+      indexVectorEntry('message', `${chatId}:${enhancedMessage.id}`, content, {
+        chatId,
+        userId: sender,
+        name: enhancedMessage.name,
+        role: enhancedMessage.role,
+        messageId: enhancedMessage.id,
+        timestamp: enhancedMessage.timestamp
+      }, { deferWrite: true });
+    }
+
+    // Summarize aged-out messages in the background, for the same reason
+    if (hasAgedOut) {
+      summarizeAgedOutMessages(chatId);
+    }
   } catch (error) {
     console.error('Error updating enhanced context:', error);
   }
@@ -836,6 +892,217 @@ function updateGlobalParticipantMetadata(participant, message) {
   }
 }
 
+// Bare number part of a WhatsApp ID, so JIDs with device suffixes compare equal
+function getBareId(id) {
+  return (id || '').split('@')[0].split(':')[0];
+}
+
+function shortenQuote(text) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_QUOTED_CONTENT_CHARS ? `${clean.substring(0, MAX_QUOTED_CONTENT_CHARS)}...` : clean;
+}
+
+/**
+ * Resolve the message a message replies to, preferring the stored copy in the conversation
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @param {Object} message - Baileys message
+ * @param {Object} sock - WhatsApp socket, used to recognize replies to the bot's own messages
+ * @returns {Object|null} - { id, senderId, senderName, content, fromBot, timestamp } or null if not a reply
+ */
+function resolveQuotedMessage(db, chatId, message, sock = null) {
+  const quoted = getQuotedMessageInfo(message);
+  if (!quoted) {
+    return null;
+  }
+
+  const conversation = db.data.conversations[chatId];
+  const stored = quoted.id ? (conversation?.messages || []).find(msg => msg.id === quoted.id) : null;
+  // In private chats the quoted author is either the bot or the other person
+  const senderId = stored?.sender || quoted.participant || null;
+
+  const botIds = [process.env.BOT_ID, sock?.user?.id, sock?.user?.lid].filter(Boolean).map(getBareId);
+  const fromBot = stored ? stored.role === 'assistant' : (senderId ? botIds.includes(getBareId(senderId)) : false);
+
+  const senderName = fromBot
+    ? db.data.config.botName
+    : stored?.name ||
+      conversation?.participants?.[senderId]?.name ||
+      db.data.participantsRegistry?.[senderId]?.name ||
+      (senderId ? getBareId(senderId) : 'someone');
+
+  return {
+    id: quoted.id,
+    senderId,
+    senderName,
+    content: shortenQuote(stored?.content || quoted.content),
+    fromBot,
+    timestamp: stored?.timestamp || null
+  };
+}
+
+/**
+ * Describe what a stored message replies to, for showing it in conversation history
+ * @param {Object} msg - Stored message
+ * @param {Array} chatMessages - Messages of the same chat
+ * @returns {string|null} - e.g. 'replying to Budi: "besok jam 7?"', or null if the message is not a reply
+ */
+function describeReply(msg, chatMessages) {
+  if (!msg.metadata?.isReply) {
+    return null;
+  }
+
+  const stored = msg.metadata.quotedMessageId ? chatMessages.find(other => other.id === msg.metadata.quotedMessageId) : null;
+  const author = stored
+    ? (stored.role === 'assistant' ? 'you' : stored.name)
+    : getBareId(msg.metadata.quotedSender) || 'an earlier message';
+  const content = shortenQuote(stored?.content || msg.metadata.quotedContent);
+
+  return content ? `replying to ${author}: "${content}"` : `replying to ${author}`;
+}
+
+/**
+ * Decide whether a reply should quote the message that triggered it. In groups an unquoted answer
+ * is ambiguous once others have written after the trigger or when several people are talking.
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @param {Object} message - Baileys message being answered
+ * @returns {boolean}
+ */
+function shouldQuoteReply(db, chatId, message) {
+  if (!chatId.endsWith('@g.us')) {
+    return false;
+  }
+
+  // Later messages of the same batch are answered after this one
+  const batch = message.batchMetadata;
+  if (batch?.otherMessagesInBatch?.some(other => other.position > batch.batchPosition)) {
+    return true;
+  }
+
+  const chatMessages = db.data.conversations[chatId]?.messages || [];
+  const index = chatMessages.findIndex(msg => msg.id === message.key?.id);
+  if (index !== -1 && chatMessages.slice(index + 1).some(msg => msg.role !== 'assistant')) {
+    return true;
+  }
+
+  const since = Date.now() - BUSY_GROUP_WINDOW_MS;
+  const recent = chatMessages.filter(msg => msg.role !== 'assistant' && new Date(msg.timestamp).getTime() >= since);
+  return recent.length >= BUSY_GROUP_MIN_MESSAGES && new Set(recent.map(msg => msg.sender)).size >= 2;
+}
+
+// Point the participant's last message at the revised content when it was the revised message
+function reviseLastMessage(db, chatId, stored, content) {
+  const participants = [db.data.conversations[chatId]?.participants?.[stored.sender], db.data.participantsRegistry?.[stored.sender]];
+  participants.forEach(participant => {
+    if (participant && participant.lastMessage === stored.content) {
+      participant.lastMessage = content;
+    }
+  });
+}
+
+/**
+ * Replace the stored content of an edited message, keeping the first version as originalContent
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - ID of the edited message
+ * @param {string} content - New content
+ * @returns {Promise<Object|null>} - The updated stored message, or null if it is not stored
+ */
+async function applyMessageEdit(db, chatId, messageId, content) {
+  const stored = (db.data.conversations[chatId]?.messages || []).find(msg => msg.id === messageId);
+  if (!stored || stored.metadata?.isDeleted || typeof content !== 'string') {
+    return null;
+  }
+
+  reviseLastMessage(db, chatId, stored, content);
+  if (stored.originalContent === undefined) {
+    stored.originalContent = stored.content;
+  }
+  stored.content = content;
+  stored.editedAt = new Date().toISOString();
+  stored.metadata = { ...stored.metadata, isEdited: true, messageLength: content.length };
+  await db.write();
+
+  // Recall should find the new wording, not the old one
+  const sourceId = `${chatId}:${messageId}`;
+  if (content.length >= MIN_INDEXED_MESSAGE_LENGTH && !content.startsWith('!')) {
+    indexVectorEntry('message', sourceId, content, {
+      chatId,
+      userId: stored.sender,
+      name: stored.name,
+      role: stored.role,
+      messageId,
+      timestamp: stored.timestamp
+    }, { deferWrite: true });
+  } else if (removeVectorEntry('message', sourceId)) {
+    await db.write();
+  }
+
+  return stored;
+}
+
+// Drop a stored message's content and analysis, keeping the entry as a tombstone
+function tombstoneMessage(msg, deletedAt) {
+  msg.content = DELETED_MESSAGE_CONTENT;
+  delete msg.originalContent;
+  msg.deletedAt = deletedAt;
+  // Analysis of the old text (topics, entities, keywords, ...) goes with it
+  msg.metadata = {
+    isDeleted: true,
+    isReply: msg.metadata?.isReply || false,
+    quotedMessageId: msg.metadata?.quotedMessageId || null
+  };
+}
+
+/**
+ * Tombstone a message deleted for everyone: its content (and any earlier version) is dropped,
+ * the entry stays so the conversation still shows that something was said. The copy in the
+ * cross-chat memory (db.data.contextMemory) is tombstoned too, and a copy waiting to be summarized
+ * is dropped from the queue.
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - ID of the deleted message
+ * @returns {Promise<Object|null>} - The tombstoned message, or null if it is not stored
+ */
+async function applyMessageRevoke(db, chatId, messageId) {
+  const deletedAt = new Date().toISOString();
+
+  // The cross-chat memory keeps its own copy, which can outlive the chat history
+  const memoryCopy = (db.data.contextMemory || []).find(msg => msg.chatId === chatId && msg.id === messageId && !msg.metadata?.isDeleted);
+  if (memoryCopy) {
+    tombstoneMessage(memoryCopy, deletedAt);
+  }
+
+  // Messages that aged out of the history wait in the summary queue until a chunk is full
+  const summaries = db.data.conversationSummaries?.[chatId];
+  const wasPending = !!summaries?.pending?.some(msg => msg.id === messageId);
+  if (wasPending) {
+    summaries.pending = summaries.pending.filter(msg => msg.id !== messageId);
+  }
+
+  const chatMessages = db.data.conversations[chatId]?.messages || [];
+  const stored = chatMessages.find(msg => msg.id === messageId);
+  if (!stored || stored.metadata?.isDeleted) {
+    if (memoryCopy || wasPending) {
+      await db.write();
+    }
+    return null;
+  }
+
+  // Replies keep a copy of what they quote
+  chatMessages
+    .filter(msg => msg.metadata?.quotedMessageId === messageId && msg.metadata.quotedContent)
+    .forEach(msg => { msg.metadata.quotedContent = DELETED_MESSAGE_CONTENT; });
+
+  reviseLastMessage(db, chatId, stored, DELETED_MESSAGE_CONTENT);
+  tombstoneMessage(stored, deletedAt);
+  removeVectorEntry('message', `${chatId}:${messageId}`);
+  await db.write();
+
+  return stored;
+}
+
 // Get relevant context for a given message
 async function getRelevantContext(db, chatId, message, sock) {
   try {
@@ -1013,8 +1280,7 @@ async function getRelevantContext(db, chatId, message, sock) {
               const similarImages = await findImagesByDescription(message, {
                 chatId,
                 timeframe: oneWeekMs,
-                limit: 2, // Get the top 2 matches
-                threshold: 0.65 // Higher threshold for more relevance
+                limit: 2 // Get the top 2 matches
               });
               
               if (similarImages.length > 0) {
@@ -1092,6 +1358,104 @@ async function getRelevantContext(db, chatId, message, sock) {
       }
     }
     
+    // Recall older messages and fetched web pages that are similar in meaning to this message
+    if (typeof message === 'string' && message.trim() && db.data.config.semanticMemoryEnabled !== false) {
+      const recentIds = new Set(recentMessages.map(msg => `${chatId}:${msg.id}`));
+      const semanticMatches = await searchVectors(message, {
+        types: ['message', 'web'],
+        chatId,
+        limit: MAX_SEMANTIC_MATCHES,
+        excludeSourceIds: [...recentIds]
+      });
+      // The current message is indexed too; don't recall it as its own context
+      const recalled = semanticMatches.filter(match => match.text !== message.trim());
+      console.log(`[CONTEXT] Semantic memory matches: ${recalled.length}`);
+      
+      if (recalled.length > 0) {
+        const lines = recalled.map(match => {
+          if (match.type === 'web') {
+            return `- Web page "${match.metadata.title}" (${match.metadata.url}): ${match.text.substring(0, 300)}`;
+          }
+          const date = new Date(match.metadata.timestamp || match.updatedAt).toISOString().split('T')[0];
+          return `- [${date}] ${match.metadata.name || 'User'}: ${match.text}`;
+        });
+        
+        recentMessages.push({
+          role: 'system',
+          content: `Earlier messages and saved web content related to the current message:\n${lines.join('\n')}`,
+          name: 'semantic_memory',
+          priority: 3
+        });
+      }
+    }
+    
+    // What happened before the recent messages: the latest summary and those about this message
+    if (db.data.config.conversationSummariesEnabled !== false) {
+      const summaries = findRelevantSummaries(db.data.conversationSummaries?.[chatId], typeof message === 'string' ? message : '');
+      console.log(`[CONTEXT] Conversation summaries: ${summaries.length}`);
+      
+      if (summaries.length > 0) {
+        recentMessages.push({
+          role: 'system',
+          content: formatSummaryContext(summaries),
+          name: 'conversation_summaries',
+          priority: 3
+        });
+      }
+    }
+    
+    // Excerpts from documents shared in this chat, numbered so the answer can cite them
+    if (typeof message === 'string' && message.trim() && db.data.config.documentQaEnabled !== false) {
+      const excerpts = await findDocumentExcerpts(message, chatId);
+      console.log(`[CONTEXT] Document excerpts: ${excerpts.length}`);
+      
+      if (excerpts.length > 0) {
+        recentMessages.push({
+          role: 'system',
+          content: formatDocumentContext(excerpts),
+          name: 'document_excerpts',
+          priority: 2
+        });
+      }
+    }
+    
+    // Recent statuses (stories) of the person in a private chat, so the bot can bring them up
+    if (!isGroup) {
+      const contactName = db.data.conversations[chatId].participants?.[chatId]?.name || db.data.participantsRegistry?.[chatId]?.name || 'The user';
+      const statusContext = getStatusContext(chatId, contactName);
+      
+      if (statusContext) {
+        recentMessages.push({
+          role: 'system',
+          content: statusContext,
+          name: 'contact_status',
+          priority: 3
+        });
+      }
+      
+      // Contradicting facts about the person that wait to be cleared up (factConflictPolicy "ask")
+      const conflictQuestions = formatConflictQuestions(takeConflictQuestions(db.data.userFacts?.[chatId]), contactName);
+      if (conflictQuestions) {
+        recentMessages.push({
+          role: 'system',
+          content: conflictQuestions,
+          name: 'fact_confirmation',
+          priority: 2
+        });
+      }
+      
+      // Events the person mentioned that are over now ("how was Bali?")
+      const followUps = formatFollowUps(takeFollowUps(db.data.userFacts?.[chatId]), contactName);
+      if (followUps) {
+        recentMessages.push({
+          role: 'system',
+          content: followUps,
+          name: 'fact_follow_up',
+          priority: 2
+        });
+      }
+    }
+    
     // NEW: Check for cross-chat questions (about bot's mood or conversations in other chats)
     if (typeof message === 'string') {
       const botName = db.data.config.botName || 'AI';
@@ -1201,12 +1565,16 @@ async function getRelevantContext(db, chatId, message, sock) {
     // Convert to format expected by AI service (prepend with context prefix)
     const finalContext = [
       ...contextPrefix,
-      ...recentMessages.map(msg => ({
-        role: msg.role,
-        content: msg.content,
-        name: msg.name,
-        timestamp: msg.timestamp
-      }))
+      ...recentMessages.map(msg => {
+        // Show what a reply refers to, so the model can follow threads in busy chats
+        const reply = msg.role === 'user' ? describeReply(msg, chatMessages) : null;
+        return {
+          role: msg.role,
+          content: reply ? `(${reply}) ${msg.content}` : msg.content,
+          name: msg.name,
+          timestamp: msg.timestamp
+        };
+      })
     ];
     
     console.log(`[CONTEXT] Final context size: ${finalContext.length} messages`);
@@ -1230,8 +1598,8 @@ async function getRelevantContext(db, chatId, message, sock) {
             // Format facts for inclusion in the context
             const factList = Object.entries(userFacts)
               .filter(([key, fact]) => {
-                // Only include reasonably confident facts
-                return fact.confidence >= 0.75;
+                // Only include reasonably confident facts that hold right now
+                return fact.confidence >= 0.75 && isFactActive(fact);
               })
               .map(([key, fact]) => `${key}: ${fact.value}`)
               .join(', ');
@@ -2324,8 +2692,11 @@ Ketik !help untuk melihat perintah yang tersedia.`;
 async function clearContext(db, chatId) {
   try {
     if (db.data.conversations[chatId]) {
-      // Keep participant info but clear messages
+      // Keep participant info but clear messages, and the summaries of older ones
       db.data.conversations[chatId].messages = [];
+      if (db.data.conversationSummaries) {
+        delete db.data.conversationSummaries[chatId];
+      }
       await db.write();
       return { success: true, message: 'Konteks percakapan berhasil dihapus' };
     }
@@ -2864,7 +3235,8 @@ function formatEnhancedConversationHistory(messages, chatType, participants = {}
       complexity: msg.metadata?.complexity || 'medium',
       messageLength: msg.content?.length || 0,
       hasImage: msg.metadata?.hasImage || false,
-      isReply: msg.metadata?.isReply || false
+      isReply: msg.metadata?.isReply || false,
+      replyTo: describeReply(msg, messages)
     };
     
     return enhancedMsg;
@@ -3171,6 +3543,15 @@ async function getEnhancedRelevantContext(db, chatId, message, sock) {
     // Format the conversation history with enhanced context
     const enhancedContext = formatEnhancedConversationHistory(combinedMessages, chatType, participants);
     
+    // Summaries of what dropped out of the stored history, when they relate to this message
+    if (db.data.config.conversationSummariesEnabled !== false) {
+      enhancedContext.earlierSummaries = findRelevantSummaries(
+        db.data.conversationSummaries?.[chatId],
+        typeof message === 'string' ? message : ''
+      );
+      console.log(`[ENHANCED_CONTEXT] Adding ${enhancedContext.earlierSummaries.length} earlier summaries`);
+    }
+    
     return enhancedContext;
   } catch (error) {
     console.error('[ENHANCED_CONTEXT] Error getting enhanced context:', error);
@@ -3196,5 +3577,12 @@ export {
   findTopicSpecificMessages,
   formatEnhancedConversationHistory,
   createEnhancedMessage,
-  updateEnhancedContext
+  updateEnhancedContext,
+  resolveQuotedMessage,
+  describeReply,
+  shouldQuoteReply,
+  applyMessageEdit,
+  applyMessageRevoke,
+  analyzeConversationPatterns,
+  createConversationSummary
 };
\ No newline at end of file
@@ -90,6 +90,10 @@ function formatForAIConsumption(enhancedContext, currentMessage) {
   
   return {
     conversationSummary,
+    earlierSummaries: (enhancedContext.earlierSummaries || []).map(entry => ({
+      period: { from: entry.from, to: entry.to, level: entry.level },
+      summary: entry.summary
+    })),
     messages: aiMessages,
     context: aiContext,
     metadata: aiMetadata
@@ -187,7 +191,8 @@ function formatMessagesForAI(messages, currentMessage) {
         complexity: msg.complexity || 'medium',
         length: msg.messageLength || 0,
         hasImage: msg.hasImage || false,
-        isReply: msg.isReply || false
+        isReply: msg.isReply || false,
+        replyTo: msg.replyTo || null
       }
     };
     
@@ -472,7 +477,9 @@ async function createCompactConversationHistory(chatId, message, sock) {
         const emotion = msg.semantic.emotion !== 'neutral' ? ` [${msg.semantic.emotion}]` : '';
         const intent = msg.semantic.intent !== 'statement' ? ` (${msg.semantic.intent})` : '';
         
-        compactHistory.push(`${timestamp} ${msg.name}: ${msg.content}${emotion}${intent}`);
+        const reply = msg.characteristics.replyTo ? ` (${msg.characteristics.replyTo})` : '';
+        
+        compactHistory.push(`${timestamp} ${msg.name}${reply}: ${msg.content}${emotion}${intent}`);
       });
     }
     
@@ -0,0 +1,112 @@
+/**
+ * Conversation Summary Service
+ * Messages trimmed from a chat's recent history (maxContextMessages) are not lost: every
+ * CHUNK_MESSAGES of them are summarized into a chunk summary, the chunks of a finished day into a
+ * daily summary, and the days of a finished week into a weekly summary. The summaries are stored per
+ * chat in db.data.conversationSummaries and given to the model with messages they relate to.
+ */
+
+import { getDb } from '../database/index.js';
+import { logger } from '../utils/logger.js';
+import { requestWithFallback } from './providerService.js';
+import { formatRecapLines } from '../utils/recapUtils.js';
+import {
+  CHUNK_MESSAGES,
+  getChatSummaries,
+  getDayKey,
+  addChunkSummary,
+  findNextRollUp,
+  applyRollUp
+} from '../utils/summaryUtils.js';
+
+// Chats being summarized right now, so overlapping triggers don't summarize the same messages twice
+const summarizingChats = new Set();
+
+async function summarize(prompt, chatId, maxTokens) {
+  const { response } = await requestWithFallback('analysis', [{ role: 'user', content: prompt }], {
+    temperature: 0.3,
+    max_tokens: maxTokens
+  }, { chatId });
+
+  return (response.choices?.[0]?.message?.content || '').trim();
+}
+
+function describeChat(conversation) {
+  return conversation?.chatType === 'group'
+    ? `the WhatsApp group "${conversation.chatName || 'Group Chat'}"`
+    : 'a private WhatsApp chat';
+}
+
+// Lowest level: a stretch of transcript becomes a short summary
+function summarizeMessages(messages, chatId, conversation, botName) {
+  const day = getDayKey(messages[0].timestamp);
+  const prompt = `This is part of the transcript of ${describeChat(conversation)} from ${day}. You are ${botName} in it.\n\n` +
+    `${formatRecapLines(messages, botName).join('\n')}\n\n` +
+    'Summarize it in English in at most 120 words so you can remember it later: the topics, who said or decided what ' +
+    '(use the names from the transcript), and concrete details worth remembering such as plans, dates, places and numbers. ' +
+    'Skip greetings and small talk that leads nowhere. Write plain sentences, no introduction.';
+  return summarize(prompt, chatId, 300);
+}
+
+// Higher levels: several summaries of one day or week become one
+function mergeSummaries(rollUp, chatId, conversation) {
+  const period = rollUp.level === 'day' ? `the day ${rollUp.key}` : `the week starting ${rollUp.key}`;
+  const parts = rollUp.entries.map(entry => `- ${entry.summary}`).join('\n');
+  const prompt = `These are summaries of consecutive parts of ${describeChat(conversation)} during ${period}:\n\n${parts}\n\n` +
+    `Merge them into one summary of ${period} in English, at most ${rollUp.level === 'day' ? 150 : 200} words. ` +
+    'Keep who said or decided what and details worth remembering later; drop repetition. Write plain sentences, no introduction.';
+  return summarize(prompt, chatId, 400);
+}
+
+/**
+ * Summarize the aged-out messages of a chat that are waiting, then merge finished days and weeks.
+ * Safe to call often: it does nothing until a full chunk is waiting or a day or week has ended.
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<void>}
+ */
+async function summarizeAgedOutMessages(chatId) {
+  if (summarizingChats.has(chatId)) {
+    return;
+  }
+  summarizingChats.add(chatId);
+
+  try {
+    const db = getDb();
+    const summaries = getChatSummaries(db, chatId);
+    const conversation = db.data.conversations[chatId];
+    const botName = db.data.config.botName || 'Bot';
+
+    while (summaries.pending.length >= CHUNK_MESSAGES) {
+      const messages = summaries.pending.slice(0, CHUNK_MESSAGES);
+      const summary = await summarizeMessages(messages, chatId, conversation, botName);
+      if (!summary) {
+        logger.warning(`Empty summary for ${messages.length} aged-out messages of ${chatId}, will retry later`);
+        return;
+      }
+      addChunkSummary(summaries, messages, summary);
+      await db.write();
+      logger.info(`Summarized ${messages.length} aged-out messages of ${chatId}`);
+    }
+
+    let rollUp;
+    while ((rollUp = findNextRollUp(summaries))) {
+      // A single summary needs no merging
+      const summary = rollUp.entries.length === 1
+        ? rollUp.entries[0].summary
+        : await mergeSummaries(rollUp, chatId, conversation);
+      if (!summary) {
+        logger.warning(`Empty ${rollUp.level} summary for ${rollUp.key} of ${chatId}, will retry later`);
+        return;
+      }
+      applyRollUp(summaries, rollUp, summary);
+      await db.write();
+      logger.info(`Merged ${rollUp.entries.length} summaries of ${chatId} into the ${rollUp.level} summary of ${rollUp.key}`);
+    }
+  } catch (error) {
+    logger.error(`Error summarizing aged-out messages of ${chatId}`, error);
+  } finally {
+    summarizingChats.delete(chatId);
+  }
+}
+
+export { summarizeAgedOutMessages };
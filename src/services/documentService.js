@@ -0,0 +1,356 @@
+/**
+ * Document Service
+ * PDFs, Word files (DOCX), text and Markdown files sent in chat are downloaded, split into
+ * chunks and indexed per chat in the vector index (type "document"), so later questions such as
+ * "apa kata halaman 3 soal refund?" can be answered from the relevant chunks with citations.
+ *
+ * Document metadata lives in db.data.chatDocuments keyed by document ID; chunk text and vectors
+ * live in the vector index under "document:<docId>:<chunk>".
+ */
+
+import crypto from 'crypto';
+import { downloadMediaMessage } from '@whiskeysockets/baileys';
+import mammoth from 'mammoth';
+// The package entry point runs a self-test when imported as ESM, so load the library file directly
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import { getDb } from '../database/index.js';
+import { logger } from '../utils/logger.js';
+import { extractDocumentData } from '../utils/messageUtils.js';
+import { chunkDocumentPages, parsePageReference, formatChunkCitation } from '../utils/documentUtils.js';
+import { indexVectorEntries, removeVectorEntry, searchVectors } from './vectorIndexService.js';
+
+// Larger files are refused before downloading
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+// Only the first chunks of very long documents are indexed
+const MAX_DOCUMENT_CHUNKS = 400;
+
+// Chunks kept per chat; the chat's oldest documents are removed to make room for a new one
+const MAX_CHAT_DOCUMENT_CHUNKS = 2000;
+
+// Excerpts added to the context for a question
+const MAX_DOCUMENT_EXCERPTS = 4;
+
+function ensureChatDocuments(db) {
+  if (!db.data.chatDocuments) {
+    db.data.chatDocuments = {};
+  }
+  return db.data.chatDocuments;
+}
+
+// Text of every page, rebuilt line by line from the positioned text items
+async function extractPdfPages(buffer) {
+  const pages = [];
+
+  await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      let lastY;
+      let text = '';
+
+      // Items on the same baseline belong to the same line
+      for (const item of textContent.items) {
+        text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+
+      pages.push({ page: pageData.pageNumber || pageData.pageIndex + 1, text });
+      return text;
+    }
+  });
+
+  return pages;
+}
+
+/**
+ * Extract the text of a document
+ * @param {Buffer} buffer - File content
+ * @param {string} type - "pdf", "docx", "txt" or "md"
+ * @returns {Promise<Array<Object>>} - [{ page, text }]; page is null for formats without pages
+ */
+async function extractDocumentText(buffer, type) {
+  switch (type) {
+    case 'pdf':
+      return extractPdfPages(buffer);
+
+    case 'docx': {
+      const result = await mammoth.extractRawText({ buffer });
+      return [{ page: null, text: result.value }];
+    }
+
+    case 'txt':
+    case 'md':
+      return [{ page: null, text: buffer.toString('utf8').replace(/^\uFEFF/, '') }];
+
+    default:
+      throw new Error(`Unsupported document type: ${type}`);
+  }
+}
+
+/**
+ * List the documents indexed in a chat, oldest first
+ * @param {string} chatId - Chat ID
+ * @returns {Array<Object>} - Document records
+ */
+function listDocuments(chatId) {
+  const db = getDb();
+  return Object.values(db.data.chatDocuments || {})
+    .filter(doc => doc.chatId === chatId)
+    .sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt));
+}
+
+/**
+ * Find a document in a chat by list number (as shown by !docs), ID or part of the file name
+ * @param {string} chatId - Chat ID
+ * @param {string} reference - Number, ID or name
+ * @returns {Object} - { success, message, document }
+ */
+function findDocument(chatId, reference) {
+  const documents = listDocuments(chatId);
+  const ref = (reference || '').trim();
+
+  if (!ref) {
+    return { success: false, message: 'Sebutkan nomor atau nama dokumen. Lihat daftarnya dengan !docs' };
+  }
+
+  if (/^\d+$/.test(ref)) {
+    const document = documents[parseInt(ref) - 1];
+    return document
+      ? { success: true, document }
+      : { success: false, message: `Tidak ada dokumen nomor ${ref}. Lihat daftarnya dengan !docs` };
+  }
+
+  const byId = documents.find(doc => doc.id === ref);
+  if (byId) {
+    return { success: true, document: byId };
+  }
+
+  const matches = documents.filter(doc => doc.fileName.toLowerCase().includes(ref.toLowerCase()));
+  if (matches.length === 1) {
+    return { success: true, document: matches[0] };
+  }
+  if (matches.length > 1) {
+    return { success: false, message: `Ada ${matches.length} dokumen yang cocok dengan "${ref}": ${matches.map(doc => doc.fileName).join(', ')}. Pakai nomornya dari !docs` };
+  }
+
+  return { success: false, message: `Dokumen "${ref}" tidak ditemukan. Lihat daftarnya dengan !docs` };
+}
+
+/**
+ * Download, extract, chunk and index the document in a message
+ * @param {Object} message - Baileys message with a document
+ * @param {Object} options - { chatId, userId, senderName }
+ * @returns {Promise<Object>} - { success, message, document, evicted: older documents removed to make room }
+ */
+async function ingestDocument(message, options = {}) {
+  const { chatId = message.key.remoteJid, userId = message.key.participant || message.key.remoteJid, senderName = message.pushName || '' } = options;
+  const db = getDb();
+  const documentData = extractDocumentData(message);
+
+  if (!documentData) {
+    return { success: false, message: 'Pesan ini tidak berisi dokumen' };
+  }
+  if (db.data.config.documentQaEnabled === false) {
+    return { success: false, message: 'Fitur tanya-jawab dokumen sedang dinonaktifkan' };
+  }
+  if (!documentData.type) {
+    return { success: false, message: `Format *${documentData.fileName}* belum didukung. Kirim PDF, DOCX, TXT atau Markdown.` };
+  }
+  if (documentData.fileLength > MAX_DOCUMENT_BYTES) {
+    return { success: false, message: `*${documentData.fileName}* terlalu besar (maksimal ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB)` };
+  }
+
+  try {
+    const buffer = await downloadMediaMessage(message, 'buffer');
+    const hash = crypto.createHash('sha1').update(buffer).digest('hex');
+
+    const existing = listDocuments(chatId).find(doc => doc.hash === hash);
+    if (existing) {
+      return { success: true, document: existing, message: `*${existing.fileName}* sudah pernah dikirim di chat ini, jadi tidak diindeks ulang.` };
+    }
+
+    const pages = await extractDocumentText(buffer, documentData.type);
+    const allChunks = chunkDocumentPages(pages);
+
+    if (allChunks.length === 0) {
+      // Scanned PDFs have no text layer
+      return { success: false, message: `Tidak ada teks yang bisa dibaca di *${documentData.fileName}*. Kalau isinya hasil scan, kirim sebagai gambar saja.` };
+    }
+
+    const chunks = allChunks.slice(0, MAX_DOCUMENT_CHUNKS);
+    const uploadedAt = new Date().toISOString();
+    const document = {
+      id: `doc_${Date.now()}_${hash.substring(0, 8)}`,
+      chatId,
+      fileName: documentData.fileName,
+      type: documentData.type,
+      mimetype: documentData.mimetype,
+      size: buffer.length,
+      hash,
+      pageCount: documentData.type === 'pdf' ? pages.length : null,
+      chunkCount: chunks.length,
+      truncated: allChunks.length > chunks.length,
+      uploadedBy: userId,
+      uploaderName: senderName,
+      uploadedAt,
+      caption: documentData.caption
+    };
+
+    const evicted = makeRoomForDocument(db, chatId, chunks.length);
+    ensureChatDocuments(db)[document.id] = document;
+    await indexVectorEntries(chunks.map(chunk => ({
+      type: 'document',
+      sourceId: `${document.id}:${chunk.index}`,
+      text: chunk.text,
+      metadata: {
+        chatId,
+        userId,
+        docId: document.id,
+        fileName: document.fileName,
+        page: chunk.page,
+        chunk: chunk.index,
+        timestamp: uploadedAt
+      }
+    })), { write: false });
+    await db.write();
+
+    logger.success(`Indexed document ${document.fileName} (${document.chunkCount} chunks${document.pageCount ? `, ${document.pageCount} pages` : ''}) in ${chatId}`);
+
+    const pageInfo = document.pageCount ? `${document.pageCount} halaman, ` : '';
+    const truncatedInfo = document.truncated ? ` Dokumennya panjang, jadi hanya ${chunks.length} bagian pertama yang diindeks.` : '';
+    const evictedInfo = evicted.length > 0 ? ` Supaya muat, dokumen lama dihapus dari ingatan: ${evicted.map(doc => doc.fileName).join(', ')}.` : '';
+    return {
+      success: true,
+      document,
+      evicted,
+      message: `📄 *${document.fileName}* sudah kubaca (${pageInfo}${document.chunkCount} bagian).${truncatedInfo}${evictedInfo} Silakan tanya isinya, misalnya "halaman 2 bahas apa?"`
+    };
+  } catch (error) {
+    logger.error(`Error ingesting document ${documentData.fileName}`, error);
+    return { success: false, message: `Gagal membaca *${documentData.fileName}*: ${error.message}` };
+  }
+}
+
+// Remove a document record and its chunks (the caller persists the database)
+function deleteDocument(db, document) {
+  for (let i = 0; i < document.chunkCount; i++) {
+    removeVectorEntry('document', `${document.id}:${i}`);
+  }
+  delete db.data.chatDocuments[document.id];
+}
+
+/**
+ * Remove a chat's oldest documents until a new one fits in MAX_CHAT_DOCUMENT_CHUNKS. Whole documents
+ * are removed, so no listed document loses its chunks (the caller persists the database).
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @param {number} chunkCount - Chunks of the new document
+ * @returns {Array<Object>} - Removed document records
+ */
+function makeRoomForDocument(db, chatId, chunkCount) {
+  const evicted = [];
+  let keptChunks = listDocuments(chatId).reduce((total, doc) => total + doc.chunkCount, 0);
+
+  for (const document of listDocuments(chatId)) {
+    if (keptChunks + chunkCount <= MAX_CHAT_DOCUMENT_CHUNKS) break;
+    deleteDocument(db, document);
+    keptChunks -= document.chunkCount;
+    evicted.push(document);
+  }
+
+  return evicted;
+}
+
+/**
+ * Remove a document and its chunks from a chat
+ * @param {string} chatId - Chat ID
+ * @param {string} reference - Number, ID or name (see findDocument)
+ * @returns {Promise<Object>} - { success, message, document }
+ */
+async function removeDocument(chatId, reference) {
+  const found = findDocument(chatId, reference);
+  if (!found.success) {
+    return found;
+  }
+
+  const db = getDb();
+  const { document } = found;
+
+  deleteDocument(db, document);
+  await db.write();
+
+  logger.info(`Removed document ${document.fileName} from ${chatId}`);
+  return { success: true, document, message: `*${document.fileName}* sudah dihapus dari ingatan chat ini.` };
+}
+
+/**
+ * Find the document chunks relevant to a question. A page reference ("halaman 3") limits the
+ * search to that page, and naming a document limits it to that document.
+ * @param {string} query - Question text
+ * @param {string} chatId - Chat ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array<Object>>} - [{ text, fileName, page, chunk, similarity }] best first
+ */
+async function findDocumentExcerpts(query, chatId, options = {}) {
+  const { limit = MAX_DOCUMENT_EXCERPTS } = options;
+  const documents = listDocuments(chatId);
+
+  if (!query || documents.length === 0) {
+    return [];
+  }
+
+  const lowerQuery = query.toLowerCase();
+  const namedDocument = documents.find(doc => {
+    const baseName = doc.fileName.replace(/\.[^.]+$/, '').toLowerCase();
+    return baseName.length >= 3 && lowerQuery.includes(baseName);
+  });
+  const page = parsePageReference(query);
+
+  const where = {};
+  if (namedDocument) where.docId = namedDocument.id;
+
+  let matches = [];
+  if (page) {
+    // Every chunk of the requested page is a candidate, however loosely it matches the wording
+    matches = await searchVectors(query, { types: ['document'], chatId, where: { ...where, page }, limit, minSimilarity: -1 });
+  }
+  if (matches.length === 0) {
+    matches = await searchVectors(query, { types: ['document'], chatId, where, limit });
+  }
+
+  return matches.map(match => ({
+    text: match.text,
+    fileName: match.metadata.fileName,
+    page: match.metadata.page,
+    chunk: match.metadata.chunk,
+    similarity: match.similarity
+  }));
+}
+
+/**
+ * Format excerpts as numbered, citable context for the AI
+ * @param {Array<Object>} excerpts - From findDocumentExcerpts
+ * @returns {string}
+ */
+function formatDocumentContext(excerpts) {
+  const lines = excerpts.map((excerpt, i) => `[${i + 1}] (${formatChunkCitation(excerpt.fileName, excerpt.page, excerpt.chunk)})\n${excerpt.text}`);
+
+  return 'Excerpts from documents shared in this chat that relate to the current message. ' +
+    'When you use them, cite the excerpt number and page, e.g. "[1] hal. 3". ' +
+    'If the excerpts do not contain the answer, say so instead of guessing.\n\n' +
+    lines.join('\n\n');
+}
+
+export {
+  MAX_DOCUMENT_BYTES,
+  MAX_DOCUMENT_CHUNKS,
+  MAX_CHAT_DOCUMENT_CHUNKS,
+  extractDocumentText,
+  listDocuments,
+  findDocument,
+  ingestDocument,
+  makeRoomForDocument,
+  removeDocument,
+  findDocumentExcerpts,
+  formatDocumentContext
+};
@@ -0,0 +1,447 @@
+/**
+ * Embedding Service
+ * Turns text into vectors for semantic search. The backend comes from db.data.config.embedding
+ * ({ provider, model }) or EMBEDDING_PROVIDER / EMBEDDING_MODEL:
+ * - "gemini": Gemini embedding models (batchEmbedContents)
+ * - any OpenAI-compatible provider (local server, Together.AI, NVIDIA, custom endpoints): POST /embeddings
+ * - "builtin": hashed word and character n-grams, pure JS and fully offline. This is lexical matching,
+ *   not a language model: it finds shared words and stems, never synonyms or paraphrases.
+ * Without a configured backend a real model is used when one is available: the local server when it
+ * is also the chat provider, otherwise Gemini when its key is set. Only then does it fall back to builtin.
+ *
+ * All vectors are L2-normalized. When a remote backend fails the builtin backend is used instead,
+ * so callers must compare vectors by the model id returned with them.
+ * Remote requests share the provider rate limits and are counted in the usage statistics.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { getDb } from '../database/index.js';
+import { logger } from '../utils/logger.js';
+import { logApiRequest } from './apiLogService.js';
+import { getProvider, runLimitedRequest } from './providerService.js';
+
+const GEMINI_EMBEDDING_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+const BUILTIN_EMBEDDING_DIMENSIONS = 512;
+
+// Default model per backend; other OpenAI-compatible providers need an explicit model
+const DEFAULT_EMBEDDING_MODELS = {
+  gemini: 'text-embedding-004',
+  local: 'nomic-embed-text',
+  together: 'intfloat/multilingual-e5-large-instruct'
+};
+
+// Cosine similarity below which a match is considered unrelated. Hashed n-grams only overlap on
+// shared words, so their scores run much lower than those of trained models.
+const DEFAULT_MIN_SIMILARITY = {
+  builtin: 0.2,
+  remote: 0.55
+};
+
+const EMBEDDING_BATCH_SIZE = 64;
+const MAX_EMBEDDING_INPUT_CHARS = 2000;
+const EMBEDDING_CACHE_SIZE = 1000;
+
+// Words that carry no meaning on their own (Indonesian and English)
+const EMBEDDING_STOP_WORDS = new Set([
+  'yang', 'dan', 'di', 'ke', 'dari', 'ini', 'itu', 'untuk', 'dengan', 'ada', 'aku', 'saya', 'kamu',
+  'dia', 'apa', 'juga', 'tidak', 'ga', 'gak', 'nggak', 'sudah', 'udah', 'akan', 'bisa', 'lagi', 'aja',
+  'sih', 'dong', 'deh', 'kok', 'ya', 'yg', 'nya', 'pun', 'atau', 'tapi', 'karena', 'jadi', 'kalau', 'kalo',
+  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are',
+  'was', 'were', 'be', 'been', 'it', 'this', 'that', 'i', 'you', 'he', 'she', 'we', 'they', 'my', 'your'
+]);
+
+// text hash -> vector, most recently used last
+const embeddingCache = new Map();
+
+/**
+ * Resolve the embedding backend from config and environment
+ * @param {Object} config - Bot config
+ * @returns {Object} - { provider, model, id, minSimilarity, lexical: true for the builtin backend }
+ */
+function getEmbeddingSettings(config = getDb().data.config) {
+  const settings = config.embedding || {};
+  const provider = (settings.provider || process.env.EMBEDDING_PROVIDER || getDefaultEmbeddingProvider(config)).toLowerCase();
+
+  if (provider === 'builtin') {
+    return {
+      provider,
+      model: `hash-${BUILTIN_EMBEDDING_DIMENSIONS}`,
+      id: `builtin/hash-${BUILTIN_EMBEDDING_DIMENSIONS}`,
+      minSimilarity: settings.minSimilarity ?? DEFAULT_MIN_SIMILARITY.builtin,
+      lexical: true
+    };
+  }
+
+  const model = settings.model || process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODELS[provider] || null;
+  return {
+    provider,
+    model,
+    id: `${provider}/${model}`,
+    minSimilarity: settings.minSimilarity ?? DEFAULT_MIN_SIMILARITY.remote,
+    lexical: false
+  };
+}
+
+/**
+ * Pick the backend when none is configured: an offline install (local chat provider) embeds with the
+ * local server, others with Gemini when its key is set. Builtin is the last resort.
+ * @param {Object} config - Bot config
+ * @returns {string} - Provider name
+ */
+function getDefaultEmbeddingProvider(config) {
+  if ((config.defaultProvider || process.env.DEFAULT_PROVIDER || '').toLowerCase() === 'local') {
+    return 'local';
+  }
+
+  return getProvider('gemini', config)?.getApiKey(config) ? 'gemini' : 'builtin';
+}
+
+// 32-bit FNV-1a hash
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Scale a vector to unit length (zero vectors are returned as-is)
+function normalizeVector(vector) {
+  let magnitude = 0;
+  for (const value of vector) {
+    magnitude += value * value;
+  }
+  magnitude = Math.sqrt(magnitude);
+
+  return magnitude === 0 ? vector : vector.map(value => value / magnitude);
+}
+
+/**
+ * Builtin offline embedding: words, word pairs and character trigrams hashed into a fixed-size
+ * vector (the hashing trick). Texts that share words or word stems ("makan"/"makanan") end up close;
+ * texts that only mean the same ("mobil"/"kendaraan") do not.
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {Array<number>} - Normalized vector
+ */
+function embedWithBuiltin(text, dimensions = BUILTIN_EMBEDDING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !EMBEDDING_STOP_WORDS.has(word));
+
+  const addFeature = (feature, weight) => {
+    const hash = hashFeature(feature);
+    // The top bit picks the sign so unrelated features colliding in a slot tend to cancel out
+    vector[hash % dimensions] += (hash & 0x80000000) ? -weight : weight;
+  };
+
+  words.forEach((word, index) => {
+    addFeature(`w:${word}`, 1);
+
+    if (index > 0) {
+      addFeature(`b:${words[index - 1]}_${word}`, 0.5);
+    }
+
+    const padded = ` ${word} `;
+    const trigramCount = padded.length - 2;
+    for (let i = 0; i < trigramCount; i++) {
+      addFeature(`c:${padded.substring(i, i + 3)}`, 1 / trigramCount);
+    }
+  });
+
+  return normalizeVector(vector);
+}
+
+/**
+ * POST an embedding request and log it like chat requests. Only the size of the returned vectors is
+ * logged; the vectors themselves would bloat the log.
+ * @param {string} url - Endpoint
+ * @param {Object} body - Request body
+ * @param {Object} options - axios options (headers, timeout)
+ * @param {Object} settings - Embedding settings
+ * @param {Array<string>} texts - Embedded texts
+ * @param {Object} meta - Log metadata
+ * @param {Function} readVectors - (response data) => vectors
+ * @returns {Promise<Object>} - { vectors, usage }
+ */
+async function postEmbeddingRequest(url, body, options, settings, texts, meta, readVectors) {
+  const startTime = Date.now();
+  const logMetadata = { ...meta, messageCount: texts.length };
+
+  try {
+    const response = await axios.post(url, body, options);
+    const vectors = readVectors(response.data || {});
+    const usage = response.data?.usage;
+
+    await logApiRequest(
+      url,
+      settings.provider,
+      settings.model,
+      { model: settings.model, input: texts },
+      { status: response.status, statusText: response.statusText, data: { vectors: vectors.length, dimensions: vectors[0]?.length || 0, usage } },
+      { ...logMetadata, executionTime: Date.now() - startTime, promptTokens: usage?.prompt_tokens || 0, completionTokens: 0, success: true }
+    );
+
+    return { vectors, usage };
+  } catch (error) {
+    await logApiRequest(
+      url,
+      settings.provider,
+      settings.model,
+      { model: settings.model, input: texts },
+      error.response ? {
+        status: error.response.status,
+        statusText: error.response.statusText,
+        data: error.response.data
+      } : { error: error.message },
+      { ...logMetadata, executionTime: Date.now() - startTime, success: false }
+    );
+    throw error;
+  }
+}
+
+// POST /embeddings on an OpenAI-compatible provider
+async function embedWithOpenAICompatible(settings, texts, config, meta) {
+  const provider = getProvider(settings.provider, config);
+  if (!provider || provider.type !== 'openai') {
+    throw new Error(`Provider "${settings.provider}" does not offer an OpenAI-compatible embeddings endpoint`);
+  }
+  if (!settings.model) {
+    throw new Error(`No embedding model configured for provider "${settings.provider}"`);
+  }
+
+  const apiKey = provider.getApiKey(config);
+  if (!apiKey && provider.requiresApiKey !== false) {
+    throw new Error(`${provider.label} API key not configured`);
+  }
+
+  const headers = { 'Content-Type': 'application/json', ...(provider.headers || {}) };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const url = provider.url.replace(/\/chat\/completions$/, '/embeddings');
+  return postEmbeddingRequest(url, { model: settings.model, input: texts }, {
+    headers,
+    timeout: provider.timeout || 30000
+  }, settings, texts, meta, data => (data.data || [])
+    .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+    .map(item => item.embedding));
+}
+
+// batchEmbedContents on the Gemini API (reports no token counts, so usage is estimated)
+async function embedWithGemini(settings, texts, config, meta) {
+  const provider = getProvider('gemini', config);
+  const apiKey = provider.getApiKey(config);
+  if (!apiKey) {
+    throw new Error('Gemini API key not configured');
+  }
+
+  const model = settings.model.replace(/^models\//, '');
+  // The key goes in a header, not the URL, so it can't end up in logged request URLs
+  const url = `${GEMINI_EMBEDDING_API_URL}/${model}:batchEmbedContents`;
+  return postEmbeddingRequest(url, {
+    requests: texts.map(text => ({
+      model: `models/${model}`,
+      content: { parts: [{ text }] }
+    }))
+  }, {
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+    timeout: 30000
+  }, settings, texts, meta, data => (data.embeddings || []).map(embedding => embedding.values));
+}
+
+/**
+ * Embed texts with the configured remote backend. Each batch goes through the rate limiter and is
+ * counted in the usage statistics like a chat request.
+ * @param {Object} settings - Embedding settings
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} config - Bot config
+ * @param {Object} meta - { chatId } the request is counted for
+ * @returns {Promise<Array>} - Normalized vectors
+ */
+async function embedWithRemote(settings, texts, config, meta = {}) {
+  const vectors = [];
+  const usageMeta = { purpose: 'embedding', chatId: meta.chatId || null };
+
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const batchVectors = await runLimitedRequest(settings.provider, settings.model, async () => {
+      const { vectors: received, usage } = settings.provider === 'gemini'
+        ? await embedWithGemini(settings, batch, config, usageMeta)
+        : await embedWithOpenAICompatible(settings, batch, config, usageMeta);
+
+      if (received.length !== batch.length || received.some(vector => !Array.isArray(vector) || vector.length === 0)) {
+        throw new Error(`Embedding response from ${settings.id} is missing vectors`);
+      }
+
+      return {
+        result: received,
+        response: usage ? { usage: { prompt_tokens: usage.prompt_tokens || usage.total_tokens || 0, completion_tokens: 0 } } : null,
+        messages: batch.map(text => ({ role: 'user', content: text }))
+      };
+    }, usageMeta);
+
+    vectors.push(...batchVectors.map(normalizeVector));
+  }
+
+  return vectors;
+}
+
+// Trim and shorten text before embedding (long inputs are rejected or truncated by most APIs anyway)
+function prepareEmbeddingInput(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().substring(0, MAX_EMBEDDING_INPUT_CHARS);
+}
+
+function getCacheKey(modelId, text) {
+  return `${modelId}:${crypto.createHash('sha1').update(text).digest('hex')}`;
+}
+
+function cacheEmbedding(key, vector) {
+  embeddingCache.delete(key);
+  embeddingCache.set(key, vector);
+
+  if (embeddingCache.size > EMBEDDING_CACHE_SIZE) {
+    embeddingCache.delete(embeddingCache.keys().next().value);
+  }
+}
+
+/**
+ * Embed several texts with the configured backend
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} config - Bot config
+ * @param {Object} meta - { chatId } remote requests are counted for
+ * @returns {Promise<Object>} - { model, vectors } where model is the id of the backend that produced them
+ */
+async function embedTexts(texts, config = getDb().data.config, meta = {}) {
+  const settings = getEmbeddingSettings(config);
+  const inputs = texts.map(prepareEmbeddingInput);
+
+  if (settings.provider === 'builtin') {
+    return { model: settings.id, vectors: inputs.map(text => embedWithBuiltin(text)) };
+  }
+
+  const vectors = new Array(inputs.length).fill(null);
+  const missing = [];
+
+  inputs.forEach((text, index) => {
+    const cached = embeddingCache.get(getCacheKey(settings.id, text));
+    if (cached) {
+      vectors[index] = cached;
+    } else {
+      missing.push(index);
+    }
+  });
+
+  if (missing.length > 0) {
+    try {
+      const missingVectors = await embedWithRemote(settings, missing.map(index => inputs[index] || ' '), config, meta);
+      missing.forEach((inputIndex, i) => {
+        vectors[inputIndex] = missingVectors[i];
+        cacheEmbedding(getCacheKey(settings.id, inputs[inputIndex]), missingVectors[i]);
+      });
+    } catch (error) {
+      logger.error(`Embedding request to ${settings.id} failed, using builtin embeddings`, error);
+      const builtin = getEmbeddingSettings({ ...config, embedding: { provider: 'builtin' } });
+      return { model: builtin.id, vectors: inputs.map(text => embedWithBuiltin(text)) };
+    }
+  }
+
+  return { model: settings.id, vectors };
+}
+
+/**
+ * Embed a single text with the configured backend
+ * @param {string} text - Text to embed
+ * @param {Object} config - Bot config
+ * @param {Object} meta - { chatId } remote requests are counted for
+ * @returns {Promise<Object>} - { model, vector }
+ */
+async function embedText(text, config = getDb().data.config, meta = {}) {
+  const { model, vectors } = await embedTexts([text], config, meta);
+  return { model, vector: vectors[0] };
+}
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array<number>} vec1 - First vector
+ * @param {Array<number>} vec2 - Second vector
+ * @returns {number} - Similarity (-1 to 1), 0 when the vectors are empty or of different sizes
+ */
+function cosineSimilarity(vec1, vec2) {
+  if (!vec1 || !vec2 || vec1.length === 0 || vec1.length !== vec2.length) {
+    return 0;
+  }
+
+  let dotProduct = 0;
+  let mag1 = 0;
+  let mag2 = 0;
+
+  for (let i = 0; i < vec1.length; i++) {
+    dotProduct += vec1[i] * vec2[i];
+    mag1 += vec1[i] * vec1[i];
+    mag2 += vec2[i] * vec2[i];
+  }
+
+  if (mag1 === 0 || mag2 === 0) {
+    return 0;
+  }
+
+  return dotProduct / (Math.sqrt(mag1) * Math.sqrt(mag2));
+}
+
+/**
+ * Change the embedding backend
+ * @param {Object} db - Database object
+ * @param {string} provider - "builtin", "gemini" or an OpenAI-compatible provider name
+ * @param {string|null} model - Embedding model (defaults per provider)
+ * @returns {Promise<Object>} - { success, message, changed }
+ */
+async function setEmbeddingBackend(db, provider, model = null) {
+  const name = (provider || '').toLowerCase();
+
+  if (name !== 'builtin' && name !== 'gemini') {
+    const definition = getProvider(name, db.data.config);
+    if (!definition || definition.type !== 'openai') {
+      return { success: false, message: `Provider "${provider}" tidak mendukung embedding. Gunakan builtin, gemini, atau provider OpenAI-compatible.` };
+    }
+  }
+
+  if (name !== 'builtin' && !model && !DEFAULT_EMBEDDING_MODELS[name]) {
+    return { success: false, message: `Provider "${name}" tidak punya model embedding default. Sebutkan modelnya: !embedding set ${name} <model>` };
+  }
+
+  const previousId = getEmbeddingSettings(db.data.config).id;
+  db.data.config.embedding = {
+    ...(db.data.config.embedding || {}),
+    provider: name,
+    model: name === 'builtin' ? null : (model || DEFAULT_EMBEDDING_MODELS[name])
+  };
+  await db.write();
+
+  const settings = getEmbeddingSettings(db.data.config);
+  return {
+    success: true,
+    changed: settings.id !== previousId,
+    message: `Backend embedding diubah menjadi ${settings.id}`
+  };
+}
+
+export {
+  BUILTIN_EMBEDDING_DIMENSIONS,
+  DEFAULT_EMBEDDING_MODELS,
+  DEFAULT_MIN_SIMILARITY,
+  getEmbeddingSettings,
+  embedWithBuiltin,
+  embedTexts,
+  embedText,
+  cosineSimilarity,
+  setEmbeddingBackend
+};
@@ -0,0 +1,418 @@
+/**
+ * Fact Conflict Service
+ * Detects when a newly extracted fact contradicts one already stored for the person (same key, or a
+ * key that means the same thing such as "city" and "location", found by embedding similarity with a
+ * list of known equivalent keys for what the embeddings miss) and settles it with the configured
+ * policy (config.factConflictPolicy):
+ * - newest: the new value replaces the stored one
+ * - confidence: the value with the higher confidence stays (the new one wins ties)
+ * - ask: the stored value stays and the conflict waits in userFacts[userId].pendingConflicts until
+ *   the bot has asked about it in the next private conversation; the answer, extracted as a fact
+ *   again, settles it
+ * A new value with a validUntil (see factValidityService) always takes over, whatever the policy;
+ * the stored value comes back when it expires.
+ *
+ * Replaced values are kept on the fact in previousValues, with when they held and the messages they
+ * came from. All functions work on the userFacts[userId] object; the caller persists the database.
+ */
+
+import { embedTexts, cosineSimilarity } from './embeddingService.js';
+
+const FACT_CONFLICT_POLICIES = ['newest', 'confidence', 'ask'];
+const DEFAULT_FACT_CONFLICT_POLICY = 'newest';
+
+// Replaced values kept per fact
+const MAX_PREVIOUS_VALUES = 10;
+
+// A conflict is asked about at most this many times, this far apart, before the stored value is kept
+const MAX_CONFLICT_ASKS = 2;
+const CONFLICT_ASK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Conflicts nobody could be asked about are dropped after this long, keeping the stored value
+const CONFLICT_EXPIRY_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Similarity from which two keys are taken to mean the same thing. Strict on purpose: a false match
+// turns two different facts ("favorite_food", "favorite_drink") into a conflict. The builtin hashed
+// n-grams only see shared words and letters, so they rarely reach it and the list below does the work.
+const FACT_KEY_MIN_SIMILARITY = {
+  builtin: 0.8,
+  remote: 0.88
+};
+
+// Keys that describe the same thing, used when the embeddings find no match; the first key of each
+// group is the canonical one
+const EQUIVALENT_FACT_KEYS = [
+  ['location', 'city', 'lives_in', 'current_location', 'current_city', 'residence', 'domicile', 'domisili', 'tempat_tinggal', 'kota'],
+  ['occupation', 'job', 'profession', 'work', 'job_title', 'pekerjaan', 'profesi', 'kerja'],
+  ['age', 'umur', 'usia'],
+  ['name', 'full_name', 'nama', 'real_name'],
+  ['nickname', 'panggilan', 'nama_panggilan', 'preferred_name'],
+  ['birthday', 'birth_date', 'date_of_birth', 'tanggal_lahir', 'ulang_tahun'],
+  ['school', 'university', 'college', 'campus', 'kampus', 'sekolah', 'universitas'],
+  ['workplace', 'company', 'employer', 'kantor', 'perusahaan', 'tempat_kerja'],
+  ['relationship_status', 'marital_status', 'status_hubungan', 'status_pernikahan'],
+  ['religion', 'agama'],
+  ['gender', 'jenis_kelamin', 'sex']
+];
+
+const CANONICAL_FACT_KEYS = new Map(
+  EQUIVALENT_FACT_KEYS.flatMap(group => group.map(key => [key, group[0]]))
+);
+
+/**
+ * The canonical form of a fact key: "User_Current_City" and "location" both become "location"
+ * @param {string} key - Fact key
+ * @returns {string}
+ */
+function getCanonicalFactKey(key) {
+  const normalized = normalizeKeyName(key);
+  return CANONICAL_FACT_KEYS.get(normalized) || normalized;
+}
+
+function normalizeKeyName(key) {
+  return String(key || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .replace(/^(user|my|current)_/, '');
+}
+
+// The stored key closest in meaning to an extracted one, if it is close enough
+async function findSimilarFactKey(facts, key, config) {
+  const storedKeys = Object.keys(facts || {});
+  if (storedKeys.length === 0) {
+    return null;
+  }
+
+  try {
+    const texts = [key, ...storedKeys].map(name => normalizeKeyName(name).replace(/_/g, ' '));
+    const { model, vectors } = await embedTexts(texts, config);
+    const threshold = model.startsWith('builtin') ? FACT_KEY_MIN_SIMILARITY.builtin : FACT_KEY_MIN_SIMILARITY.remote;
+
+    let best = null;
+    storedKeys.forEach((storedKey, index) => {
+      const similarity = cosineSimilarity(vectors[0], vectors[index + 1]);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { key: storedKey, similarity };
+      }
+    });
+    return best?.key || null;
+  } catch (error) {
+    // No embeddings (database not ready, backend down): the list of equivalent keys still applies
+    return null;
+  }
+}
+
+function normalizeFactValue(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Whether two values say the same thing. A value that contains the other as whole words counts as
+ * agreeing ("Bandung" and "Kota Bandung"), so added detail is not a contradiction.
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+function valuesAgree(a, b) {
+  const first = normalizeFactValue(a);
+  const second = normalizeFactValue(b);
+
+  if (first === second) {
+    return true;
+  }
+  if (!first || !second) {
+    return false;
+  }
+
+  const [shorter, longer] = first.length < second.length ? [first, second] : [second, first];
+  return shorter.length >= 3 && ` ${longer} `.includes(` ${shorter} `);
+}
+
+/**
+ * Find the stored fact an extracted fact is about: the same key, one similar in meaning, or a known
+ * equivalent one
+ * @param {Object} facts - Stored facts of the person
+ * @param {string} key - Extracted key
+ * @param {*} value - Extracted value
+ * @param {Object} options - { config: bot config for the embedding backend }
+ * @returns {Promise<Object|null>} - { key, fact, agrees } or null when the fact is new
+ */
+async function findMatchingFact(facts, key, value, options = {}) {
+  let matchKey = facts?.[key] ? key : null;
+
+  if (!matchKey) {
+    matchKey = await findSimilarFactKey(facts, key, options.config);
+  }
+
+  if (!matchKey) {
+    const canonical = getCanonicalFactKey(key);
+    matchKey = Object.keys(facts || {}).find(existing => getCanonicalFactKey(existing) === canonical) || null;
+  }
+
+  if (!matchKey) {
+    return null;
+  }
+  return { key: matchKey, fact: facts[matchKey], agrees: valuesAgree(facts[matchKey].value, value) };
+}
+
+function getPolicy(policy) {
+  return FACT_CONFLICT_POLICIES.includes(policy) ? policy : DEFAULT_FACT_CONFLICT_POLICY;
+}
+
+function removePendingConflict(userFactsObj, key) {
+  const pending = userFactsObj.pendingConflicts || [];
+  const conflict = pending.find(entry => entry.key === key);
+  if (conflict) {
+    userFactsObj.pendingConflicts = pending.filter(entry => entry !== conflict);
+  }
+  return conflict || null;
+}
+
+function recordHistory(userFactsObj, entry) {
+  if (!userFactsObj.factHistory) {
+    userFactsObj.factHistory = [];
+  }
+  userFactsObj.factHistory.push(entry);
+}
+
+// Store the incoming value and move the current one to previousValues
+function replaceFactValue(userFactsObj, key, incoming, reason, now) {
+  const existing = userFactsObj.facts[key];
+  const timestamp = now.toISOString();
+  const previousValues = [
+    ...(existing.previousValues || []),
+    {
+      value: existing.value,
+      confidence: existing.confidence,
+      since: existing.lastUpdated || existing.createdAt || null,
+      supersededAt: timestamp,
+      sourceMessages: existing.sourceMessages || [],
+      ...(existing.validUntil && { validUntil: existing.validUntil })
+    }
+  ].slice(-MAX_PREVIOUS_VALUES);
+  // How long a value holds belongs to that value, not to the fact
+  const { validFrom, validUntil, followUp, ...rest } = existing;
+
+  recordHistory(userFactsObj, {
+    fact: key,
+    oldValue: existing.value,
+    newValue: incoming.value,
+    oldConfidence: existing.confidence,
+    newConfidence: incoming.confidence,
+    category: incoming.category || existing.category,
+    sourceMessages: incoming.sourceRef ? [incoming.sourceRef] : [],
+    timestamp,
+    reason
+  });
+
+  userFactsObj.facts[key] = {
+    ...rest,
+    value: incoming.value,
+    confidence: incoming.confidence,
+    category: incoming.category || existing.category,
+    factType: incoming.factType || existing.factType,
+    tags: [...new Set([...(existing.tags || []), ...(incoming.tags || [])])],
+    sentiment: incoming.sentiment || existing.sentiment || 'neutral',
+    lastUpdated: timestamp,
+    source: incoming.sourceContext || 'auto-updated',
+    occurrences: (existing.occurrences || 1) + 1,
+    manuallyVerified: false,
+    // The new value rests on this message alone
+    sourceMessages: incoming.sourceRef ? [incoming.sourceRef] : existing.sourceMessages,
+    previousValues,
+    ...(incoming.validFrom && { validFrom: incoming.validFrom }),
+    ...(incoming.validUntil && { validUntil: incoming.validUntil }),
+    ...(incoming.followUp && { followUp: true })
+  };
+}
+
+/**
+ * Settle a contradiction between a stored fact and a newly extracted value
+ * @param {Object} userFactsObj - userFacts[userId]
+ * @param {string} key - Key of the stored fact (from findMatchingFact)
+ * @param {Object} incoming - { value, confidence, category, factType, tags, sentiment, sourceContext, sourceRef,
+ *   validFrom, validUntil, followUp }
+ * @param {string} policy - One of FACT_CONFLICT_POLICIES
+ * @param {Date} now - Current time
+ * @returns {Object} - { action: "replace"|"keep"|"ask", key, oldValue, newValue, reason }
+ */
+function resolveFactConflict(userFactsObj, key, incoming, policy, now = new Date()) {
+  const existing = userFactsObj.facts[key];
+  const result = { key, oldValue: existing.value, newValue: incoming.value };
+  const pending = (userFactsObj.pendingConflicts || []).find(entry => entry.key === key);
+
+  // The person answered the question with the new value
+  if (pending?.askedAt && valuesAgree(pending.proposedValue, incoming.value)) {
+    removePendingConflict(userFactsObj, key);
+    replaceFactValue(userFactsObj, key, incoming, 'conflict-confirmed', now);
+    return { ...result, action: 'replace', reason: 'conflict-confirmed' };
+  }
+
+  // A value that only holds for a while ("lagi di Bali minggu ini") is no reason to doubt the stored
+  // one: it takes over until it expires, then the stored value comes back
+  if (incoming.validUntil) {
+    replaceFactValue(userFactsObj, key, incoming, 'temporary-override', now);
+    return { ...result, action: 'replace', reason: 'temporary-override' };
+  }
+
+  switch (getPolicy(policy)) {
+    case 'confidence':
+      if ((incoming.confidence || 0) < (existing.confidence || 0)) {
+        recordHistory(userFactsObj, {
+          fact: key,
+          oldValue: existing.value,
+          newValue: existing.value,
+          rejectedValue: incoming.value,
+          oldConfidence: existing.confidence,
+          newConfidence: incoming.confidence,
+          sourceMessages: incoming.sourceRef ? [incoming.sourceRef] : [],
+          timestamp: now.toISOString(),
+          reason: 'conflict-rejected'
+        });
+        return { ...result, action: 'keep', reason: 'conflict-rejected' };
+      }
+      removePendingConflict(userFactsObj, key);
+      replaceFactValue(userFactsObj, key, incoming, 'conflict-higher-confidence', now);
+      return { ...result, action: 'replace', reason: 'conflict-higher-confidence' };
+
+    case 'ask': {
+      if (!userFactsObj.pendingConflicts) {
+        userFactsObj.pendingConflicts = [];
+      }
+      // A newer contradiction of the same fact replaces the one waiting
+      removePendingConflict(userFactsObj, key);
+      userFactsObj.pendingConflicts.push({
+        key,
+        currentValue: existing.value,
+        proposedValue: incoming.value,
+        proposedConfidence: incoming.confidence,
+        proposedCategory: incoming.category || existing.category,
+        sourceRef: incoming.sourceRef || null,
+        detectedAt: now.toISOString(),
+        askedAt: null,
+        askCount: 0
+      });
+      return { ...result, action: 'ask', reason: 'conflict-pending' };
+    }
+
+    default:
+      removePendingConflict(userFactsObj, key);
+      replaceFactValue(userFactsObj, key, incoming, 'value-changed', now);
+      return { ...result, action: 'replace', reason: 'value-changed' };
+  }
+}
+
+/**
+ * The person repeated the stored value: a conflict already asked about is settled in its favour
+ * @param {Object} userFactsObj - userFacts[userId]
+ * @param {string} key - Key of the stored fact
+ * @param {Date} now - Current time
+ * @returns {boolean} - True if a pending conflict was settled
+ */
+function confirmStoredFact(userFactsObj, key, now = new Date()) {
+  const pending = (userFactsObj.pendingConflicts || []).find(entry => entry.key === key);
+  if (!pending?.askedAt) {
+    return false;
+  }
+
+  removePendingConflict(userFactsObj, key);
+  recordHistory(userFactsObj, {
+    fact: key,
+    oldValue: pending.currentValue,
+    newValue: pending.currentValue,
+    rejectedValue: pending.proposedValue,
+    sourceMessages: pending.sourceRef ? [pending.sourceRef] : [],
+    timestamp: now.toISOString(),
+    reason: 'conflict-kept'
+  });
+  return true;
+}
+
+/**
+ * Drop a pending conflict without recording anything, e.g. after the person corrected or removed
+ * the fact themselves
+ * @param {Object} userFactsObj - userFacts[userId]
+ * @param {string} key - Fact key
+ * @returns {boolean}
+ */
+function discardPendingConflict(userFactsObj, key) {
+  return !!removePendingConflict(userFactsObj || {}, key);
+}
+
+/**
+ * Pending conflicts to ask about now. Conflicts asked too often or waiting too long are dropped
+ * (the stored value stays); the returned ones are marked as asked.
+ * @param {Object} userFactsObj - userFacts[userId]
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} - Pending conflicts { key, currentValue, proposedValue, ... }
+ */
+function takeConflictQuestions(userFactsObj, now = new Date()) {
+  const pending = userFactsObj?.pendingConflicts || [];
+  if (pending.length === 0) {
+    return [];
+  }
+
+  const expired = pending.filter(conflict =>
+    now - new Date(conflict.detectedAt) > CONFLICT_EXPIRY_MS ||
+    (conflict.askCount >= MAX_CONFLICT_ASKS && now - new Date(conflict.askedAt) > CONFLICT_ASK_INTERVAL_MS)
+  );
+  expired.forEach(conflict => {
+    removePendingConflict(userFactsObj, conflict.key);
+    recordHistory(userFactsObj, {
+      fact: conflict.key,
+      oldValue: conflict.currentValue,
+      newValue: conflict.currentValue,
+      rejectedValue: conflict.proposedValue,
+      sourceMessages: conflict.sourceRef ? [conflict.sourceRef] : [],
+      timestamp: now.toISOString(),
+      reason: 'conflict-expired'
+    });
+  });
+
+  const due = (userFactsObj.pendingConflicts || []).filter(conflict =>
+    conflict.askCount < MAX_CONFLICT_ASKS &&
+    (!conflict.askedAt || now - new Date(conflict.askedAt) > CONFLICT_ASK_INTERVAL_MS)
+  );
+  due.forEach(conflict => {
+    conflict.askedAt = now.toISOString();
+    conflict.askCount = (conflict.askCount || 0) + 1;
+  });
+  return due;
+}
+
+/**
+ * Prompt instruction asking the bot to clear up contradictions naturally
+ * @param {Array<Object>} conflicts - From takeConflictQuestions
+ * @param {string} name - The person's name
+ * @returns {string|null}
+ */
+function formatConflictQuestions(conflicts, name = 'The user') {
+  if (!conflicts || conflicts.length === 0) {
+    return null;
+  }
+
+  const lines = conflicts.map(conflict =>
+    `- ${conflict.key.replace(/_/g, ' ')}: you remembered "${conflict.currentValue}", but recently heard "${conflict.proposedValue}"`
+  );
+  return `Some things you know about ${name} contradict each other:\n${lines.join('\n')}\n` +
+    'When it fits the conversation, casually check which one is right now (for example "eh kamu sekarang udah pindah ke Jakarta ya?"). ' +
+    'Ask about one thing at a time, do not mention memory, databases or facts, and do not interrupt what they are talking about.';
+}
+
+export {
+  FACT_CONFLICT_POLICIES,
+  DEFAULT_FACT_CONFLICT_POLICY,
+  FACT_KEY_MIN_SIMILARITY,
+  getCanonicalFactKey,
+  valuesAgree,
+  findMatchingFact,
+  resolveFactConflict,
+  confirmStoredFact,
+  discardPendingConflict,
+  takeConflictQuestions,
+  formatConflictQuestions
+};
@@ -1,9 +1,8 @@
 import { getDb } from '../database/index.js';
-import { requestGeminiChat } from './aiService.js';
+import { rankBySimilarity } from './vectorIndexService.js';
 import chalk from 'chalk';
 
 // Constants for fact search
-const SEARCH_MODEL = 'gemini-2.0-flash';
 const MAX_SEARCH_RESULTS = 10;
 const MIN_RELEVANCE_SCORE = 0.3;
 const SEMANTIC_SEARCH_ENABLED = true;
@@ -151,7 +150,7 @@ async function searchUserFacts(userId, message, keywords, options = {}) {
   // Semantic search if enabled
   let semanticResults = [];
   if (useSemanticSearch && keywords.length > 0) {
-    semanticResults = await searchFactsSemantically(userFacts, message, 'user');
+    semanticResults = await searchFactsSemantically(userFacts, message, 'user', userId);
   }
 
   // Combine and deduplicate results
@@ -369,63 +368,48 @@ function searchFactsByKeywords(facts, keywords, factType, userId = null) {
 }
 
 /**
- * Search facts using semantic similarity via AI
+ * Search facts by embedding similarity (facts are indexed on first use, see vectorIndexService)
  * @param {Object} facts - Facts object to search
  * @param {string} message - Search message
  * @param {string} factType - Type of facts
- * @param {string} userId - User ID (for other_user facts)
+ * @param {string} userId - Owner of the facts (null for global facts)
  * @returns {Promise<Array>} - Semantically relevant facts
  */
 async function searchFactsSemantically(facts, message, factType, userId = null) {
   try {
-    const db = getDb();
-    const apiKey = db.data.config.geminiApiKey || process.env.GEMINI_API_KEY;
-
-    if (!apiKey) {
-      logger.warning('No Gemini API key available for semantic search');
-      return [];
-    }
-
-    // Prepare facts for semantic search
-    const factsList = Object.entries(facts).map(([key, fact]) => ({
-      key,
-      value: fact.value,
-      category: fact.category,
-      tags: fact.tags || []
+    const isGlobal = factType === 'global';
+    const items = Object.entries(facts).map(([key, fact]) => ({
+      type: 'fact',
+      sourceId: isGlobal ? `global:${key}` : `${userId}:${key}`,
+      text: `${key.replace(/_/g, ' ')}: ${fact.value}`,
+      metadata: { key, userId: isGlobal ? null : userId }
     }));
 
-    if (factsList.length === 0) {
+    if (items.length === 0) {
       return [];
     }
 
-    // Create semantic search prompt
-    const prompt = createSemanticSearchPrompt(message, factsList, factType);
-
-    // Call Gemini API for semantic search
-    const response = await requestGeminiChat(
-      SEARCH_MODEL,
-      apiKey,
-      [{ role: 'user', content: prompt }],
-      {
-        temperature: 0.1,
-        top_p: 0.9,
-        max_tokens: 1024
-      }
-    );
+    const matches = await rankBySimilarity(message, items);
 
-    if (!response || !response.choices || !response.choices[0] || !response.choices[0].message) {
-      return [];
-    }
-
-    const result = parseSemanticSearchResponse(response.choices[0].message.content, facts);
-    
-    // Add metadata
-    return result.map(fact => ({
-      ...fact,
-      factType,
-      userId,
-      searchMethod: 'semantic'
-    }));
+    return matches.map(match => {
+      const key = match.metadata.key;
+      const fact = facts[key];
+      return {
+        key,
+        value: fact.value,
+        category: fact.category,
+        confidence: fact.confidence,
+        // Every match above the similarity threshold clears MIN_RELEVANCE_SCORE
+        relevanceScore: MIN_RELEVANCE_SCORE + match.relevance * (1 - MIN_RELEVANCE_SCORE),
+        similarity: match.similarity,
+        factType,
+        userId,
+        tags: fact.tags || [],
+        lastUpdated: fact.lastUpdated,
+        source: fact.source || 'unknown',
+        searchMethod: 'semantic'
+      };
+    });
 
   } catch (error) {
     logger.error('Error in semantic search:', error);
@@ -433,94 +417,6 @@ async function searchFactsSemantically(facts, message, factType, userId = null)
   }
 }
 
-/**
- * Create prompt for semantic fact search
- * @param {string} message - Search message
- * @param {Array} factsList - List of facts to search
- * @param {string} factType - Type of facts
- * @returns {string} - Search prompt
- */
-function createSemanticSearchPrompt(message, factsList, factType) {
-  const factsJson = JSON.stringify(factsList, null, 2);
-  
-  return `You are a fact search assistant. Given a user message and a list of facts, find the most semantically relevant facts.
-
-USER MESSAGE: "${message}"
-
-AVAILABLE FACTS (${factType} facts):
-${factsJson}
-
-TASK: Analyze the user message and find facts that are semantically related to the message content, even if they don't contain exact keywords.
-
-SEARCH CRITERIA:
-1. Direct relevance: Facts that directly answer or relate to the user's question/topic
-2. Contextual relevance: Facts that provide useful context for the user's message
-3. Thematic relevance: Facts that share themes or concepts with the user's message
-4. Implicit relevance: Facts that might be useful based on the conversation context
-
-RESPONSE FORMAT:
-Return a JSON array of relevant facts with relevance scores (0.0-1.0):
-
-[
-  {
-    "key": "fact_key",
-    "relevanceScore": 0.85,
-    "reasoning": "Brief explanation of why this fact is relevant"
-  }
-]
-
-IMPORTANT:
-- Only include facts with relevance score >= 0.3
-- Provide clear reasoning for each selected fact
-- Focus on semantic similarity, not just keyword matching
-- Consider the broader context and implications of the user's message
-- Limit results to the 5-10 most relevant facts
-
-Analyze the message carefully and select facts that would be most helpful for understanding or responding to the user's message.`;
-}
-
-/**
- * Parse semantic search response
- * @param {string} response - AI response
- * @param {Object} originalFacts - Original facts object
- * @returns {Array} - Parsed search results
- */
-function parseSemanticSearchResponse(response, originalFacts) {
-  try {
-    // Extract JSON from response
-    const jsonMatch = response.match(/\[[\s\S]*\]/);
-    if (!jsonMatch) {
-      return [];
-    }
-
-    const results = JSON.parse(jsonMatch[0]);
-    const parsedResults = [];
-
-    for (const result of results) {
-      if (originalFacts[result.key]) {
-        const fact = originalFacts[result.key];
-        parsedResults.push({
-          key: result.key,
-          value: fact.value,
-          category: fact.category,
-          confidence: fact.confidence,
-          relevanceScore: result.relevanceScore || 0.5,
-          reasoning: result.reasoning || 'Semantically relevant',
-          tags: fact.tags || [],
-          lastUpdated: fact.lastUpdated,
-          source: fact.source || 'unknown'
-        });
-      }
-    }
-
-    return parsedResults;
-
-  } catch (error) {
-    logger.error('Error parsing semantic search response:', error);
-    return [];
-  }
-}
-
 /**
  * Combine and deduplicate search results
  * @param {Array} keywordResults - Keyword search results
@@ -756,8 +652,6 @@ export {
   searchFactsSemantically,
   getFactSuggestions,
   getFactStatistics,
-  createSemanticSearchPrompt,
-  parseSemanticSearchResponse,
   combineSearchResults,
   updateFactUsageMetrics,
   calculateSearchQuality
@@ -0,0 +1,235 @@
+/**
+ * Fact Validity Service
+ * Facts may hold only for a while ("I'm sick today", "going to Bali next week"). Fact extraction
+ * gives them an optional validFrom/validUntil, written as dates or as relative phrases that are
+ * resolved against the time of the message. Facts that are not valid yet, or no longer, are left
+ * out of prompts; once expired they are moved to the fact history (a value they temporarily replaced
+ * comes back), and events flagged for a follow-up make the bot ask about them ("gimana Bali?") in
+ * the next private conversation. All functions work on userFacts data; callers persist the database.
+ */
+
+import { parseReminder } from '../utils/reminderParser.js';
+
+// Follow-ups are only asked within this long after the event ended
+const FOLLOW_UP_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Follow-ups asked in one prompt
+const MAX_FOLLOW_UPS_PER_PROMPT = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function endOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+}
+
+// Phrases the reminder parser doesn't know, as a day relative to the reference
+const EXTRA_DATE_PHRASES = [
+  { pattern: /^(this weekend|weekend ini|akhir pekan( ini)?|akhir minggu( ini)?)$/, resolve: ref => new Date(ref.getTime() + ((7 - ref.getDay()) % 7) * DAY_MS) },
+  { pattern: /^(this week|minggu ini|pekan ini)$/, resolve: ref => new Date(ref.getTime() + ((7 - ref.getDay()) % 7) * DAY_MS) },
+  { pattern: /^(end of (the )?month|akhir bulan( ini)?|this month|bulan ini)$/, resolve: ref => new Date(ref.getFullYear(), ref.getMonth() + 1, 0) },
+  { pattern: /^(next month|bulan depan)$/, resolve: ref => new Date(ref.getFullYear(), ref.getMonth() + 1, 1) },
+  { pattern: /^(now|sekarang|currently|saat ini)$/, resolve: ref => ref }
+];
+
+/**
+ * Resolve a validity boundary to a timestamp. Dates without a time are taken as a whole day: the
+ * start of the day for validFrom, its end for validUntil.
+ * @param {string} value - ISO date or time, or a phrase such as "today", "besok", "next week", "in 3 days"
+ * @param {Date} reference - Time of the message the fact comes from
+ * @param {string} boundary - "start" or "end"
+ * @returns {string|null} - ISO timestamp, or null when the value is not a date
+ */
+function resolveFactDate(value, reference = new Date(), boundary = 'start') {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim().toLowerCase();
+  const toBoundary = (date) => (boundary === 'end' ? endOfDay(date) : startOfDay(date)).toISOString();
+
+  // "2026-11-03" is a local day, "2026-11-03T18:00:00Z" an exact time
+  const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnly) {
+    return toBoundary(new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])));
+  }
+  if (/^\d{4}-\d{2}-\d{2}t/.test(text) && !isNaN(Date.parse(value))) {
+    return new Date(value).toISOString();
+  }
+
+  const extra = EXTRA_DATE_PHRASES.find(phrase => phrase.pattern.test(text));
+  if (extra) {
+    return toBoundary(extra.resolve(reference));
+  }
+
+  // Relative phrases work the same as in reminders; anything left over means it wasn't just a date
+  const parsed = parseReminder(text, reference);
+  if (!parsed || parsed.message) {
+    return null;
+  }
+
+  // "in 3 hours" is an exact time, "besok" a whole day
+  return /\b(menit|minutes?|jam|hours?)\b/.test(text) ? parsed.dueAt.toISOString() : toBoundary(parsed.dueAt);
+}
+
+/**
+ * Validity of an extracted fact
+ * @param {Object} extracted - { valid_from, valid_until, follow_up } as returned by fact extraction
+ * @param {Date} reference - Time of the message the fact comes from
+ * @returns {Object} - { validFrom, validUntil, followUp } (null/false when not given)
+ */
+function getFactValidity(extracted, reference = new Date()) {
+  const validFrom = resolveFactDate(extracted?.valid_from, reference, 'start');
+  let validUntil = resolveFactDate(extracted?.valid_until, reference, 'end');
+
+  if (validFrom && validUntil && new Date(validUntil) < new Date(validFrom)) {
+    validUntil = endOfDay(new Date(validFrom)).toISOString();
+  }
+
+  return { validFrom, validUntil, followUp: !!validUntil && extracted?.follow_up === true };
+}
+
+/**
+ * Whether a fact holds at a given time
+ * @param {Object} fact - Stored fact
+ * @param {Date} now - Time to check
+ * @returns {boolean}
+ */
+function isFactActive(fact, now = new Date()) {
+  if (fact?.validFrom && new Date(fact.validFrom) > now) {
+    return false;
+  }
+  return !(fact?.validUntil && new Date(fact.validUntil) <= now);
+}
+
+/**
+ * Move a person's expired facts to the fact history. A value the expired one had replaced (and that
+ * is still valid) is restored; events flagged for a follow-up are queued in pendingFollowUps.
+ * @param {Object} userFactsObj - userFacts[userId]
+ * @param {Date} now - Current time
+ * @returns {Object} - { expired: [keys], restored: [keys] }
+ */
+function expireUserFacts(userFactsObj, now = new Date()) {
+  const result = { expired: [], restored: [] };
+
+  for (const [key, fact] of Object.entries(userFactsObj?.facts || {})) {
+    if (!fact.validUntil || new Date(fact.validUntil) > now) {
+      continue;
+    }
+
+    if (!userFactsObj.factHistory) {
+      userFactsObj.factHistory = [];
+    }
+
+    const previous = [...(fact.previousValues || [])].reverse().find(entry => isFactActive(entry, now));
+    userFactsObj.factHistory.push({
+      fact: key,
+      oldValue: fact.value,
+      newValue: previous ? previous.value : null,
+      oldConfidence: fact.confidence,
+      validFrom: fact.validFrom || null,
+      validUntil: fact.validUntil,
+      sourceMessages: fact.sourceMessages || [],
+      timestamp: now.toISOString(),
+      reason: previous ? 'expired-restored' : 'expired'
+    });
+
+    if (fact.followUp) {
+      userFactsObj.pendingFollowUps = [
+        ...(userFactsObj.pendingFollowUps || []).filter(entry => entry.key !== key),
+        { key, value: fact.value, endedAt: fact.validUntil }
+      ];
+    }
+
+    if (previous) {
+      const { validFrom, validUntil, followUp, ...rest } = fact;
+      userFactsObj.facts[key] = {
+        ...rest,
+        value: previous.value,
+        confidence: previous.confidence,
+        sourceMessages: previous.sourceMessages,
+        ...(previous.validUntil && { validUntil: previous.validUntil }),
+        previousValues: fact.previousValues.filter(entry => entry !== previous),
+        lastUpdated: now.toISOString()
+      };
+      result.restored.push(key);
+    } else {
+      delete userFactsObj.facts[key];
+    }
+    result.expired.push(key);
+  }
+
+  return result;
+}
+
+/**
+ * Expire time-bounded facts of everyone
+ * @param {Object} db - Database object
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of expired facts
+ */
+async function expireTimeBoundFacts(db, now = new Date()) {
+  let expired = 0;
+
+  for (const [userId, userFactsObj] of Object.entries(db.data.userFacts || {})) {
+    const result = expireUserFacts(userFactsObj, now);
+    if (result.expired.length > 0) {
+      console.log(`Expired fact(s) of ${userId}: ${result.expired.join(', ')}`);
+      expired += result.expired.length;
+    }
+  }
+
+  if (expired > 0) {
+    await db.write();
+  }
+  return expired;
+}
+
+/**
+ * Follow-ups to bring up now; they are asked only once, so they leave the queue. Follow-ups of
+ * events that ended too long ago are dropped.
+ * @param {Object} userFactsObj - userFacts[userId]
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} - [{ key, value, endedAt }]
+ */
+function takeFollowUps(userFactsObj, now = new Date()) {
+  if (!userFactsObj?.pendingFollowUps?.length) {
+    return [];
+  }
+
+  const pending = userFactsObj.pendingFollowUps
+    .filter(entry => now - new Date(entry.endedAt) < FOLLOW_UP_WINDOW_MS);
+
+  userFactsObj.pendingFollowUps = pending.slice(MAX_FOLLOW_UPS_PER_PROMPT);
+  return pending.slice(0, MAX_FOLLOW_UPS_PER_PROMPT);
+}
+
+/**
+ * Prompt instruction to follow up on events that are over
+ * @param {Array<Object>} followUps - From takeFollowUps
+ * @param {string} name - The person's name
+ * @returns {string|null}
+ */
+function formatFollowUps(followUps, name = 'The user') {
+  if (!followUps || followUps.length === 0) {
+    return null;
+  }
+
+  const lines = followUps.map(entry => `- ${entry.key.replace(/_/g, ' ')}: ${entry.value} (ended ${entry.endedAt.substring(0, 10)})`);
+  return `Things ${name} told you about earlier that are over now:\n${lines.join('\n')}\n` +
+    'When it fits, ask how it went like a friend would (for example "eh gimana liburan ke Bali kemarin?"), ' +
+    'one thing at a time, without interrupting what they are talking about.';
+}
+
+export {
+  resolveFactDate,
+  getFactValidity,
+  isFactActive,
+  expireUserFacts,
+  expireTimeBoundFacts,
+  takeFollowUps,
+  formatFollowUps
+};
@@ -0,0 +1,352 @@
+/**
+ * Group Config Service
+ * Per-chat configuration overrides layered on top of the global db.data.config.
+ * Overrides live in db.data.conversations[chatId].configOverrides and are merged
+ * by resolveChatConfig() wherever chat-specific behaviour is needed.
+ */
+
+import { getAvailableMoods, getAvailablePersonalities } from './personalityService.js';
+
+// Built-in providers that can be selected per chat (custom endpoints from config.customProviders are allowed too)
+const CHAT_PROVIDERS = ['openrouter', 'gemini', 'together', 'nvidia', 'local'];
+
+// Languages the system prompt knows how to instruct
+const SUPPORTED_LANGUAGES = {
+  id: 'Indonesian',
+  en: 'English'
+};
+
+// How replies are delivered: text, voice notes, or voice only when answering a voice note
+const REPLY_MODES = ['text', 'voice', 'mirror'];
+
+// Overridable settings: command key -> config key stored in configOverrides
+const OVERRIDE_KEYS = {
+  personality: 'personality',
+  mood: 'mood',
+  knowledge: 'characterKnowledge',
+  provider: 'defaultProvider',
+  model: 'model',
+  responsiveness: 'groupChatResponsiveness',
+  language: 'language',
+  tools: 'enabledTools',
+  budget: 'monthlyBudget',
+  budgetmodel: 'budgetModel',
+  replymode: 'replyMode'
+};
+
+// Keys that decide what a chat costs; changing them needs the bot admin role, not just group admin
+const ADMIN_OVERRIDE_KEYS = ['provider', 'model', 'budget', 'budgetmodel'];
+
+/**
+ * Get the raw override layer for a chat
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @returns {Object} - Overrides (empty object when none are set)
+ */
+function getChatOverrides(db, chatId) {
+  if (!chatId) return {};
+  return db?.data?.conversations?.[chatId]?.configOverrides || {};
+}
+
+/**
+ * Resolve the effective config for a chat (global config + chat overrides)
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @param {Object} baseConfig - Config to layer overrides on (defaults to db.data.config)
+ * @returns {Object} - Effective config
+ */
+function resolveChatConfig(db, chatId, baseConfig = null) {
+  const config = baseConfig || db.data.config;
+  const overrides = getChatOverrides(db, chatId);
+
+  if (Object.keys(overrides).length === 0) {
+    return config;
+  }
+
+  return { ...config, ...overrides };
+}
+
+/**
+ * Validate and normalize a value for an override key
+ * @param {Object} db - Database object
+ * @param {string} key - Command key (see OVERRIDE_KEYS)
+ * @param {string} rawValue - Value as typed by the user
+ * @returns {Object} - { success, value } or { success: false, message }
+ */
+function parseOverrideValue(db, key, rawValue) {
+  const value = (rawValue || '').trim();
+
+  if (!value) {
+    return { success: false, message: `Nilai untuk "${key}" tidak boleh kosong` };
+  }
+
+  switch (key) {
+    case 'personality': {
+      const personality = value.toLowerCase();
+      if (!getAvailablePersonalities(db).includes(personality)) {
+        return { success: false, message: `Personality "${personality}" tidak tersedia. Gunakan !listpersonalities untuk melihat daftar.` };
+      }
+      return { success: true, value: personality };
+    }
+
+    case 'mood': {
+      const mood = value.toLowerCase();
+      if (!getAvailableMoods(db).includes(mood)) {
+        return { success: false, message: `Mood "${mood}" tidak tersedia. Gunakan !listmoods untuk melihat daftar.` };
+      }
+      return { success: true, value: mood };
+    }
+
+    case 'provider': {
+      const provider = value.toLowerCase();
+      const providers = [...CHAT_PROVIDERS, ...Object.keys(db.data.config.customProviders || {})];
+      if (!providers.includes(provider)) {
+        return { success: false, message: `Provider tidak valid. Gunakan salah satu: ${providers.join(', ')}` };
+      }
+      return { success: true, value: provider };
+    }
+
+    case 'budget': {
+      const budget = parseFloat(value.replace(/^\$/, ''));
+      if (isNaN(budget) || budget < 0) {
+        return { success: false, message: 'Budget harus berupa angka USD per bulan (contoh: 2.5)' };
+      }
+      return { success: true, value: budget };
+    }
+
+    case 'budgetmodel': {
+      const separatorIndex = value.indexOf(':');
+      const provider = separatorIndex === -1 ? '' : value.substring(0, separatorIndex).toLowerCase();
+      const providers = [...CHAT_PROVIDERS, ...Object.keys(db.data.config.customProviders || {})];
+      if (!providers.includes(provider) || separatorIndex === value.length - 1) {
+        return { success: false, message: 'Format budget model: provider:model (contoh: gemini:gemini-2.0-flash-lite)' };
+      }
+      return { success: true, value: `${provider}:${value.substring(separatorIndex + 1)}` };
+    }
+
+    case 'responsiveness': {
+      const responsiveness = parseFloat(value);
+      if (isNaN(responsiveness) || responsiveness < 0 || responsiveness > 1) {
+        return { success: false, message: 'Responsiveness harus berupa angka antara 0 dan 1' };
+      }
+      return { success: true, value: responsiveness };
+    }
+
+    case 'language': {
+      const language = value.toLowerCase();
+      if (!SUPPORTED_LANGUAGES[language]) {
+        return { success: false, message: `Bahasa tidak didukung. Gunakan salah satu: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}` };
+      }
+      return { success: true, value: language };
+    }
+
+    case 'replymode': {
+      const mode = value.toLowerCase();
+      if (!REPLY_MODES.includes(mode)) {
+        return { success: false, message: `Mode balasan tidak valid. Gunakan salah satu: ${REPLY_MODES.join(', ')}` };
+      }
+      return { success: true, value: mode };
+    }
+
+    case 'tools': {
+      if (value.toLowerCase() === 'none') {
+        return { success: true, value: [] };
+      }
+      const tools = value.split(',').map(name => name.trim()).filter(Boolean);
+      return { success: true, value: tools };
+    }
+
+    default:
+      // model and knowledge are free-form
+      return { success: true, value };
+  }
+}
+
+/**
+ * Set a config override for a chat
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @param {string} key - Command key (see OVERRIDE_KEYS)
+ * @param {string} rawValue - Value as typed by the user
+ * @param {Object} options - { isAdmin: the user has the bot admin role (needed for ADMIN_OVERRIDE_KEYS) }
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function setChatOverride(db, chatId, key, rawValue, options = {}) {
+  try {
+    const normalizedKey = (key || '').toLowerCase();
+    const configKey = OVERRIDE_KEYS[normalizedKey];
+
+    if (!configKey) {
+      return { success: false, message: `Pengaturan "${key}" tidak dikenal. Pilihan: ${Object.keys(OVERRIDE_KEYS).join(', ')}` };
+    }
+
+    if (ADMIN_OVERRIDE_KEYS.includes(normalizedKey) && !options.isAdmin) {
+      return { success: false, message: `Pengaturan "${normalizedKey}" hanya bisa diubah oleh admin bot.` };
+    }
+
+    const parsed = parseOverrideValue(db, normalizedKey, rawValue);
+    if (!parsed.success) {
+      return parsed;
+    }
+
+    if (!db.data.conversations[chatId]) {
+      return { success: false, message: 'Percakapan ini belum tercatat. Kirim pesan terlebih dahulu.' };
+    }
+
+    if (!db.data.conversations[chatId].configOverrides) {
+      db.data.conversations[chatId].configOverrides = {};
+    }
+
+    db.data.conversations[chatId].configOverrides[configKey] = parsed.value;
+    await db.write();
+
+    return {
+      success: true,
+      message: `Pengaturan "${normalizedKey}" untuk chat ini diubah menjadi: ${formatOverrideValue(parsed.value)}`
+    };
+  } catch (error) {
+    console.error('Error setting chat override:', error);
+    return { success: false, message: 'Terjadi kesalahan saat mengubah pengaturan chat' };
+  }
+}
+
+/**
+ * Reset one or all config overrides for a chat
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @param {string|null} key - Command key to reset, or null to reset everything
+ * @param {Object} options - { isAdmin: the user has the bot admin role (needed for ADMIN_OVERRIDE_KEYS) }
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function resetChatOverride(db, chatId, key = null, options = {}) {
+  try {
+    const conversation = db.data.conversations[chatId];
+
+    if (!conversation || !conversation.configOverrides) {
+      return { success: true, message: 'Chat ini sudah menggunakan pengaturan global' };
+    }
+
+    if (!key) {
+      // Without the admin role, settings only an admin may change are kept
+      const keptKeys = options.isAdmin
+        ? []
+        : ADMIN_OVERRIDE_KEYS.filter(adminKey => conversation.configOverrides[OVERRIDE_KEYS[adminKey]] !== undefined);
+
+      if (keptKeys.length === 0) {
+        delete conversation.configOverrides;
+        await db.write();
+        return { success: true, message: 'Semua pengaturan chat ini dikembalikan ke pengaturan global' };
+      }
+
+      conversation.configOverrides = Object.fromEntries(keptKeys
+        .map(adminKey => [OVERRIDE_KEYS[adminKey], conversation.configOverrides[OVERRIDE_KEYS[adminKey]]]));
+      await db.write();
+      return {
+        success: true,
+        message: `Pengaturan chat ini dikembalikan ke pengaturan global, kecuali ${keptKeys.join(', ')} yang hanya bisa direset admin bot`
+      };
+    }
+
+    const normalizedKey = key.toLowerCase();
+    const configKey = OVERRIDE_KEYS[normalizedKey];
+
+    if (!configKey) {
+      return { success: false, message: `Pengaturan "${key}" tidak dikenal. Pilihan: ${Object.keys(OVERRIDE_KEYS).join(', ')}` };
+    }
+
+    if (ADMIN_OVERRIDE_KEYS.includes(normalizedKey) && !options.isAdmin) {
+      return { success: false, message: `Pengaturan "${normalizedKey}" hanya bisa direset oleh admin bot.` };
+    }
+
+    delete conversation.configOverrides[configKey];
+    if (Object.keys(conversation.configOverrides).length === 0) {
+      delete conversation.configOverrides;
+    }
+    await db.write();
+
+    return { success: true, message: `Pengaturan "${normalizedKey}" dikembalikan ke pengaturan global` };
+  } catch (error) {
+    console.error('Error resetting chat override:', error);
+    return { success: false, message: 'Terjadi kesalahan saat mereset pengaturan chat' };
+  }
+}
+
+/**
+ * Filter tool definitions by the chat's enabled tools override
+ * @param {Array} tools - Tool definitions from the tools registry
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @returns {Array} - Tools allowed in this chat
+ */
+function filterToolsForChat(tools, db, chatId) {
+  const { enabledTools } = getChatOverrides(db, chatId);
+
+  if (!Array.isArray(enabledTools)) {
+    return tools;
+  }
+
+  return tools.filter(tool => enabledTools.includes(tool.function?.name));
+}
+
+/**
+ * Get the language name used in the system prompt
+ * @param {string} language - Language code
+ * @returns {string} - Language name
+ */
+function getLanguageName(language) {
+  return SUPPORTED_LANGUAGES[language] || SUPPORTED_LANGUAGES.id;
+}
+
+// Format an override value for display
+function formatOverrideValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : '(none)';
+  }
+  return String(value);
+}
+
+/**
+ * Build a human-readable summary of a chat's config
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @returns {string} - Formatted text
+ */
+function getChatConfigText(db, chatId) {
+  const overrides = getChatOverrides(db, chatId);
+  const config = db.data.config;
+
+  let text = `⚙️ *Pengaturan Chat*\n\n`;
+
+  for (const [key, configKey] of Object.entries(OVERRIDE_KEYS)) {
+    const hasOverride = overrides[configKey] !== undefined;
+    let globalValue = config[configKey];
+
+    if (key === 'mood') {
+      globalValue = db.data.state.currentMood;
+    } else if (key === 'tools') {
+      globalValue = 'semua tools aktif';
+    }
+
+    const value = hasOverride ? formatOverrideValue(overrides[configKey]) : (globalValue === undefined || globalValue === '' ? '-' : formatOverrideValue(globalValue));
+    text += `• ${key}: ${key === 'knowledge' && value.length > 60 ? value.substring(0, 60) + '...' : value}${hasOverride ? ' _(override)_' : ''}\n`;
+  }
+
+  text += `\nGunakan !groupconfig set <key> <value> untuk mengubah, atau !groupconfig reset [key] untuk kembali ke pengaturan global.`;
+
+  return text;
+}
+
+export {
+  CHAT_PROVIDERS,
+  SUPPORTED_LANGUAGES,
+  REPLY_MODES,
+  OVERRIDE_KEYS,
+  ADMIN_OVERRIDE_KEYS,
+  getChatOverrides,
+  resolveChatConfig,
+  setChatOverride,
+  resetChatOverride,
+  filterToolsForChat,
+  getLanguageName,
+  getChatConfigText
+};
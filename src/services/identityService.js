@@ -0,0 +1,334 @@
+/**
+ * Identity Service
+ * WhatsApp may show one person as "628xxx@s.whatsapp.net" in private chats and as "275xxx@lid" in
+ * groups. Once the two IDs are known to belong together (newer WhatsApp versions send both, or an
+ * admin links them with !usermap merge), everything stored under the group ID is merged into the
+ * personal ID: facts, the participant registry and their conversation records. The merge keeps a
+ * snapshot, so !usermap split can put the group ID's data back when the link was a mistake.
+ * The mapping itself is kept by messageUtils in db.data.userIdentities.
+ */
+
+import { valuesAgree } from './factConflictService.js';
+import { extractPhoneNumber, linkUserIdentity, unlinkUserIdentity } from '../utils/messageUtils.js';
+
+// Merge snapshots kept per person for undoing
+const MAX_MERGE_SNAPSHOTS = 5;
+
+// Replaced values kept per fact, as in factConflictService
+const MAX_PREVIOUS_VALUES = 10;
+
+// Earliest and latest of two ISO timestamps (either may be missing)
+function earliest(a, b) {
+  return !a ? b : !b ? a : (a < b ? a : b);
+}
+
+function latest(a, b) {
+  return !a ? b : !b ? a : (a > b ? a : b);
+}
+
+// Merge one fact of the group ID into the same key of the personal ID
+function mergeFact(target, incoming, now) {
+  if (valuesAgree(target.value, incoming.value)) {
+    return {
+      ...target,
+      confidence: Math.max(target.confidence || 0, incoming.confidence || 0),
+      occurrences: (target.occurrences || 1) + (incoming.occurrences || 1),
+      tags: [...new Set([...(target.tags || []), ...(incoming.tags || [])])],
+      ...(target.sourceMessages && { sourceMessages: [...new Set([...target.sourceMessages, ...(incoming.sourceMessages || [])])] }),
+      createdAt: earliest(target.createdAt, incoming.createdAt),
+      lastUpdated: latest(target.lastUpdated, incoming.lastUpdated)
+    };
+  }
+
+  // Different values: the more recent one holds, the other becomes a previous value
+  const [winner, loser] = (incoming.lastUpdated || '') > (target.lastUpdated || '') ? [incoming, target] : [target, incoming];
+  return {
+    ...winner,
+    previousValues: [
+      ...(target.previousValues || []),
+      ...(incoming.previousValues || []),
+      {
+        value: loser.value,
+        confidence: loser.confidence,
+        since: loser.lastUpdated || loser.createdAt || null,
+        supersededAt: now.toISOString(),
+        sourceMessages: loser.sourceMessages || []
+      }
+    ].slice(-MAX_PREVIOUS_VALUES)
+  };
+}
+
+function mergeUserFacts(db, fromId, intoId, now) {
+  const from = db.data.userFacts?.[fromId];
+  if (!from) {
+    return [];
+  }
+
+  const target = db.data.userFacts[intoId] || (db.data.userFacts[intoId] = { facts: {}, factHistory: [] });
+  const copiedFactKeys = [];
+
+  for (const [key, fact] of Object.entries(from.facts || {})) {
+    if (!target.facts[key]) {
+      target.facts[key] = fact;
+      copiedFactKeys.push(key);
+      continue;
+    }
+
+    const previous = target.facts[key];
+    target.facts[key] = mergeFact(previous, fact, now);
+    if (target.facts[key].value !== previous.value) {
+      target.factHistory = target.factHistory || [];
+      target.factHistory.push({
+        fact: key,
+        oldValue: previous.value,
+        newValue: target.facts[key].value,
+        timestamp: now.toISOString(),
+        reason: 'identity-merged',
+        mergedFrom: fromId
+      });
+    }
+  }
+
+  target.factHistory = [...(from.factHistory || []), ...(target.factHistory || [])]
+    .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+  ['pendingConflicts', 'pendingFollowUps'].forEach(list => {
+    if (from[list]?.length) {
+      target[list] = [...(target[list] || []), ...from[list]];
+    }
+  });
+
+  delete db.data.userFacts[fromId];
+
+  // Relationships move along; indexed facts of the group ID are re-embedded under the personal ID when searched
+  for (const [id, relationship] of Object.entries(db.data.factRelationships || {})) {
+    if (relationship.userId === fromId) {
+      delete db.data.factRelationships[id];
+      db.data.factRelationships[`${intoId}:${relationship.fact1}:${relationship.fact2}`] = { ...relationship, userId: intoId };
+    }
+  }
+  const entries = db.data.vectorIndex?.entries || {};
+  Object.keys(entries)
+    .filter(key => entries[key].type === 'fact' && entries[key].sourceId.startsWith(`${fromId}:`))
+    .forEach(key => delete entries[key]);
+
+  return copiedFactKeys;
+}
+
+function mergeParticipant(target, incoming) {
+  if (!target) {
+    return { ...incoming };
+  }
+  return {
+    ...incoming,
+    ...target,
+    messageCount: (target.messageCount || 0) + (incoming.messageCount || 0),
+    firstSeen: earliest(target.firstSeen, incoming.firstSeen),
+    lastActive: latest(target.lastActive, incoming.lastActive)
+  };
+}
+
+/**
+ * Move everything stored under one ID to another
+ * @param {Object} db - Database object
+ * @param {string} fromId - ID whose data moves (usually the group ID)
+ * @param {string} intoId - ID that keeps the data (usually the personal ID)
+ * @param {Date} now - Current time
+ * @returns {Object} - Snapshot for splitting them later: { id, mergedAt, copiedFactKeys, userFacts, registry, participants }
+ */
+function mergeUserData(db, fromId, intoId, now = new Date()) {
+  const data = db.data;
+  const snapshot = {
+    id: fromId,
+    mergedAt: now.toISOString(),
+    userFacts: data.userFacts?.[fromId] ? structuredClone(data.userFacts[fromId]) : null,
+    registry: data.participantsRegistry?.[fromId] ? structuredClone(data.participantsRegistry[fromId]) : null,
+    participants: {}
+  };
+
+  snapshot.copiedFactKeys = mergeUserFacts(db, fromId, intoId, now);
+
+  const registry = data.participantsRegistry?.[fromId];
+  if (registry) {
+    const target = data.participantsRegistry[intoId];
+    data.participantsRegistry[intoId] = target
+      ? {
+        ...target,
+        id: intoId,
+        chats: [...new Set([...(target.chats || []), ...(registry.chats || [])])],
+        totalMessages: (target.totalMessages || 0) + (registry.totalMessages || 0),
+        firstSeen: earliest(target.firstSeen, registry.firstSeen),
+        lastActive: latest(target.lastActive, registry.lastActive)
+      }
+      : { ...registry, id: intoId };
+    delete data.participantsRegistry[fromId];
+  }
+
+  for (const [chatId, conversation] of Object.entries(data.conversations || {})) {
+    const participant = conversation.participants?.[fromId];
+    if (participant) {
+      snapshot.participants[chatId] = structuredClone(participant);
+      conversation.participants[intoId] = { ...mergeParticipant(conversation.participants[intoId], participant), id: intoId };
+      delete conversation.participants[fromId];
+    }
+    (conversation.messages || [])
+      .filter(msg => msg.sender === fromId)
+      .forEach(msg => {
+        msg.sender = intoId;
+        msg.mergedFrom = fromId;
+      });
+  }
+
+  (data.contextMemory || [])
+    .filter(msg => msg.sender === fromId)
+    .forEach(msg => {
+      msg.sender = intoId;
+      msg.mergedFrom = fromId;
+    });
+
+  return snapshot;
+}
+
+// Keep the merge snapshot with the person's identity record
+function recordMerge(db, personalId, snapshot) {
+  const identity = db.data.userIdentities?.[extractPhoneNumber(personalId)];
+  if (identity) {
+    identity.merges = [...(identity.merges || []).filter(merge => merge.id !== snapshot.id), snapshot].slice(-MAX_MERGE_SNAPSHOTS);
+  }
+}
+
+/**
+ * Merge the data of a group ID into the personal ID it was just linked to
+ * @param {Object} db - Database object
+ * @param {string} personalId - "628xxx@s.whatsapp.net"
+ * @param {string} groupId - "275xxx@lid"
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - The merge snapshot
+ */
+async function mergeLinkedIds(db, personalId, groupId, now = new Date()) {
+  const snapshot = mergeUserData(db, groupId, personalId, now);
+  recordMerge(db, personalId, snapshot);
+  await db.write();
+
+  console.log(`Merged data of ${groupId} into ${personalId} (${snapshot.copiedFactKeys.length} fact(s) moved)`);
+  return snapshot;
+}
+
+// Tell the personal and the group ID apart, whichever order they were given in
+function orderIds(firstId, secondId) {
+  const ids = [firstId, secondId];
+  return {
+    personalId: ids.find(id => id?.endsWith('@s.whatsapp.net')) || null,
+    groupId: ids.find(id => id?.endsWith('@lid')) || null
+  };
+}
+
+/**
+ * Link a group ID to a personal ID by hand and merge their data (!usermap merge)
+ * @param {Object} db - Database object
+ * @param {string} firstId - One of the IDs
+ * @param {string} secondId - The other ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function mergeUserIds(db, firstId, secondId, now = new Date()) {
+  const { personalId, groupId } = orderIds(firstId, secondId);
+  if (!personalId || !groupId) {
+    return { success: false, message: 'Butuh satu ID grup (...@lid) dan satu nomor/ID pribadi (...@s.whatsapp.net).' };
+  }
+
+  if (!linkUserIdentity(personalId, groupId, { manual: true })) {
+    return { success: false, message: `${groupId} sudah terhubung dengan ${personalId}.` };
+  }
+
+  const snapshot = await mergeLinkedIds(db, personalId, groupId, now);
+  const factCount = Object.keys(snapshot.userFacts?.facts || {}).length;
+  return {
+    success: true,
+    message: `✅ ${groupId} sekarang dianggap orang yang sama dengan ${personalId}. ` +
+      `${factCount} fakta dan ${Object.keys(snapshot.participants).length} data chat sudah digabung.`
+  };
+}
+
+/**
+ * Undo a link between a group ID and a personal ID (!usermap split). The group ID's data from the
+ * time of the merge is put back; what was learned since stays with the personal ID.
+ * @param {Object} db - Database object
+ * @param {string} firstId - One of the IDs
+ * @param {string} secondId - The other ID
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function splitUserIds(db, firstId, secondId) {
+  const { personalId, groupId } = orderIds(firstId, secondId);
+  if (!personalId || !groupId) {
+    return { success: false, message: 'Butuh satu ID grup (...@lid) dan satu nomor/ID pribadi (...@s.whatsapp.net).' };
+  }
+
+  const identity = db.data.userIdentities?.[extractPhoneNumber(personalId)];
+  if (identity?.groupId !== groupId || !unlinkUserIdentity(groupId)) {
+    return { success: false, message: `${groupId} tidak terhubung dengan ${personalId}.` };
+  }
+
+  const data = db.data;
+  const snapshot = (identity.merges || []).find(merge => merge.id === groupId);
+  identity.merges = (identity.merges || []).filter(merge => merge !== snapshot);
+
+  // Messages and cross-chat memory go back to the group ID
+  for (const conversation of Object.values(data.conversations || {})) {
+    (conversation.messages || [])
+      .filter(msg => msg.mergedFrom === groupId)
+      .forEach(msg => {
+        msg.sender = groupId;
+        delete msg.mergedFrom;
+      });
+  }
+  (data.contextMemory || [])
+    .filter(msg => msg.mergedFrom === groupId)
+    .forEach(msg => {
+      msg.sender = groupId;
+      delete msg.mergedFrom;
+    });
+
+  if (snapshot) {
+    if (snapshot.userFacts) {
+      data.userFacts[groupId] = snapshot.userFacts;
+      // Facts that came only from the group ID leave the personal ID, unless they changed since
+      const targetFacts = data.userFacts[personalId]?.facts || {};
+      snapshot.copiedFactKeys
+        .filter(key => targetFacts[key]?.value === snapshot.userFacts.facts[key]?.value)
+        .forEach(key => delete targetFacts[key]);
+    }
+
+    if (snapshot.registry) {
+      data.participantsRegistry[groupId] = snapshot.registry;
+      const target = data.participantsRegistry[personalId];
+      if (target) {
+        target.totalMessages = Math.max(0, (target.totalMessages || 0) - (snapshot.registry.totalMessages || 0));
+      }
+    }
+
+    for (const [chatId, participant] of Object.entries(snapshot.participants)) {
+      const conversation = data.conversations?.[chatId];
+      if (!conversation) continue;
+      conversation.participants[groupId] = participant;
+      const target = conversation.participants[personalId];
+      if (target) {
+        target.messageCount = Math.max(0, (target.messageCount || 0) - (participant.messageCount || 0));
+      }
+    }
+  }
+
+  await db.write();
+  console.log(`Split ${groupId} from ${personalId}`);
+  return {
+    success: true,
+    message: `✅ ${groupId} dan ${personalId} sekarang dianggap orang yang berbeda.` +
+      (snapshot ? ' Data dari saat penggabungan sudah dikembalikan.' : '')
+  };
+}
+
+export {
+  mergeUserData,
+  mergeLinkedIds,
+  mergeUserIds,
+  splitUserIds
+};
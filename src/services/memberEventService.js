@@ -0,0 +1,245 @@
+/**
+ * Member Event Service
+ * Group membership changes other than the bot's own: new members are registered in the chat's
+ * participants and participantsRegistry right away, and each group can opt in to welcome messages
+ * (from a template or written by the AI), farewell messages and promote/demote notices.
+ *
+ * Settings live in db.data.conversations[chatId].memberEvents; unset keys fall back to
+ * MEMBER_EVENT_DEFAULTS, so every notice is off until a group turns it on.
+ */
+
+const MEMBER_EVENT_DEFAULTS = {
+  welcome: false,
+  welcomeMode: 'template',
+  welcomeTemplate: null,
+  farewell: false,
+  farewellTemplate: null,
+  roleNotices: false,
+  rules: null
+};
+
+// How welcome messages are written
+const WELCOME_MODES = ['template', 'ai'];
+
+const DEFAULT_WELCOME_TEMPLATE = 'Halo {mentions}, selamat datang di *{group}*! 👋 Jangan lupa kenalan ya 😄';
+const DEFAULT_FAREWELL_TEMPLATE = 'Dadah {names}, makasih sudah mampir di *{group}*! 👋';
+const ROLE_NOTICE_TEMPLATES = {
+  promote: '🎉 Selamat {mentions}, sekarang kamu jadi admin *{group}*!',
+  demote: '{mentions} sudah tidak menjadi admin *{group}* lagi.'
+};
+
+// Longest custom template or rules text a group can store
+const MAX_MEMBER_TEXT_LENGTH = 1000;
+
+/**
+ * Member event settings of a group, with defaults filled in
+ * @param {Object} db - Database object
+ * @param {string} chatId - Group ID
+ * @returns {Object} - See MEMBER_EVENT_DEFAULTS
+ */
+function getMemberEventSettings(db, chatId) {
+  return { ...MEMBER_EVENT_DEFAULTS, ...(db.data.conversations?.[chatId]?.memberEvents || {}) };
+}
+
+/**
+ * Change one member event setting of a group. A null value restores the default.
+ * @param {Object} db - Database object
+ * @param {string} chatId - Group ID
+ * @param {string} key - Setting name (see MEMBER_EVENT_DEFAULTS)
+ * @param {*} value - New value
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function setMemberEventSetting(db, chatId, key, value) {
+  if (!(key in MEMBER_EVENT_DEFAULTS)) {
+    return { success: false, message: `Pengaturan "${key}" tidak dikenal` };
+  }
+  if (key === 'welcomeMode' && value !== null && !WELCOME_MODES.includes(value)) {
+    return { success: false, message: `Mode sambutan tidak valid. Gunakan salah satu: ${WELCOME_MODES.join(', ')}` };
+  }
+  if (typeof value === 'string' && value.length > MAX_MEMBER_TEXT_LENGTH) {
+    return { success: false, message: `Teks terlalu panjang (maksimal ${MAX_MEMBER_TEXT_LENGTH} karakter)` };
+  }
+
+  const conversation = db.data.conversations[chatId];
+  if (!conversation) {
+    return { success: false, message: 'Grup ini belum tercatat. Kirim pesan terlebih dahulu.' };
+  }
+
+  if (!conversation.memberEvents) {
+    conversation.memberEvents = {};
+  }
+  if (value === null) {
+    delete conversation.memberEvents[key];
+  } else {
+    conversation.memberEvents[key] = value;
+  }
+  await db.write();
+
+  return { success: true, message: `Pengaturan "${key}" disimpan` };
+}
+
+/**
+ * ID of a participant from a group-participants.update event (a JID, or an object with an id)
+ * @param {string|Object} participant - Event participant
+ * @returns {string}
+ */
+function getParticipantId(participant) {
+  return typeof participant === 'string' ? participant : participant?.id || '';
+}
+
+// Number part of a WhatsApp ID, as typed after "@" in a mention
+function getBareId(id) {
+  return (id || '').split('@')[0].split(':')[0];
+}
+
+function getMemberName(db, chatId, userId) {
+  return db.data.conversations?.[chatId]?.participants?.[userId]?.name ||
+    db.data.participantsRegistry?.[userId]?.name ||
+    getBareId(userId);
+}
+
+/**
+ * Record a membership change in the chat's participants and in participantsRegistry.
+ * Added members are registered before they send anything; members who leave keep their
+ * history and get a leftAt timestamp.
+ * @param {Object} db - Database object
+ * @param {string} chatId - Group ID
+ * @param {string} action - "add", "remove", "promote" or "demote"
+ * @param {Array<string>} userIds - Affected members (without the bot)
+ * @param {Object} options - { actor: who made the change, groupName }
+ * @returns {Promise<Array<Object>>} - Affected members as { id, name }
+ */
+async function applyMemberUpdate(db, chatId, action, userIds, options = {}) {
+  const { actor = null, groupName = null } = options;
+  const now = new Date().toISOString();
+
+  if (!db.data.conversations[chatId]) {
+    db.data.conversations[chatId] = {
+      messages: [],
+      participants: {},
+      lastActive: now,
+      chatType: 'group',
+      chatName: groupName || 'Group Chat',
+      hasIntroduced: false,
+      lastIntroduction: null
+    };
+  }
+  if (!db.data.participantsRegistry) {
+    db.data.participantsRegistry = {};
+  }
+
+  const conversation = db.data.conversations[chatId];
+  const registry = db.data.participantsRegistry;
+
+  for (const userId of userIds) {
+    const name = getMemberName(db, chatId, userId);
+
+    if (action === 'add') {
+      if (!registry[userId]) {
+        registry[userId] = {
+          id: userId,
+          name,
+          chats: [chatId],
+          firstSeen: now,
+          lastActive: now,
+          lastMessage: null,
+          totalMessages: 0
+        };
+      } else if (!registry[userId].chats.includes(chatId)) {
+        registry[userId].chats.push(chatId);
+      }
+
+      const participant = conversation.participants[userId] || {
+        id: userId,
+        name,
+        messageCount: 0,
+        firstSeen: now,
+        lastMessage: null,
+        lastActive: now
+      };
+      participant.joinedAt = now;
+      participant.addedBy = actor && actor !== userId ? actor : null;
+      delete participant.leftAt;
+      conversation.participants[userId] = participant;
+    } else if (conversation.participants[userId]) {
+      const participant = conversation.participants[userId];
+      if (action === 'remove') {
+        participant.leftAt = now;
+        participant.removedBy = actor && actor !== userId ? actor : null;
+      } else if (action === 'promote' || action === 'demote') {
+        participant.isAdmin = action === 'promote';
+      }
+    }
+  }
+
+  await db.write();
+  return userIds.map(id => ({ id, name: getMemberName(db, chatId, id) }));
+}
+
+/**
+ * Fill in a member event template. Placeholders: {names}, {mentions}, {group}, {rules}, {count}.
+ * @param {string} template - Template text
+ * @param {Object} values - { members: [{ id, name }], group, rules }
+ * @returns {string}
+ */
+function renderMemberTemplate(template, values) {
+  const { members = [], group = '', rules = '' } = values;
+  const replacements = {
+    names: members.map(member => member.name).join(', '),
+    mentions: members.map(member => `@${getBareId(member.id)}`).join(' '),
+    group,
+    rules: rules || '',
+    count: String(members.length)
+  };
+
+  return template.replace(/\{(names|mentions|group|rules|count)\}/g, (match, key) => replacements[key]).trim();
+}
+
+/**
+ * Template-based notice for a membership change, if the group wants one. AI-written welcomes are
+ * produced by the caller; this also serves as their fallback.
+ * @param {Object} settings - From getMemberEventSettings
+ * @param {string} action - "add", "remove", "promote" or "demote"
+ * @param {Array<Object>} members - Affected members as { id, name }
+ * @param {Object} values - { group, rules }
+ * @returns {Object|null} - { text, mentions } or null when the notice is turned off
+ */
+function buildMemberNotice(settings, action, members, values = {}) {
+  if (members.length === 0) {
+    return null;
+  }
+
+  let template;
+  if (action === 'add' && settings.welcome) {
+    template = settings.welcomeTemplate || DEFAULT_WELCOME_TEMPLATE;
+    // Show the rules under a welcome whose template doesn't place them itself
+    if (values.rules && !template.includes('{rules}')) {
+      template += '\n\n📌 *Aturan grup:*\n{rules}';
+    }
+  } else if (action === 'remove' && settings.farewell) {
+    template = settings.farewellTemplate || DEFAULT_FAREWELL_TEMPLATE;
+  } else if (ROLE_NOTICE_TEMPLATES[action] && settings.roleNotices) {
+    template = ROLE_NOTICE_TEMPLATES[action];
+  } else {
+    return null;
+  }
+
+  return {
+    text: renderMemberTemplate(template, { ...values, members }),
+    // Members who left can't be notified, so farewells don't mention
+    mentions: action === 'remove' ? [] : members.map(member => member.id)
+  };
+}
+
+export {
+  MEMBER_EVENT_DEFAULTS,
+  WELCOME_MODES,
+  DEFAULT_WELCOME_TEMPLATE,
+  DEFAULT_FAREWELL_TEMPLATE,
+  getMemberEventSettings,
+  setMemberEventSetting,
+  getParticipantId,
+  applyMemberUpdate,
+  renderMemberTemplate,
+  buildMemberNotice
+};
@@ -1,7 +1,10 @@
 import { getDb } from '../database/index.js';
-import { requestGeminiChat } from './aiService.js';
+import { requestWithFallback } from './providerService.js';
+import { embedText, cosineSimilarity } from './embeddingService.js';
+import { indexVectorEntry, removeVectorEntry, searchVectors } from './vectorIndexService.js';
+import { findMatchingFact, resolveFactConflict, confirmStoredFact } from './factConflictService.js';
+import { getFactValidity, isFactActive, expireUserFacts } from './factValidityService.js';
 import chalk from 'chalk';
-import crypto from 'crypto';
 
 // Constants for the memory system
 const MAX_FACTS_PER_USER = 100; // Maximum number of facts to store per user
@@ -9,6 +12,7 @@ const MIN_CONFIDENCE_THRESHOLD = 0.7; // Minimum confidence for storing a fact
 const MAX_MESSAGE_HISTORY = 20; // Number of messages to include in the fact extraction prompt
 const FACT_EXTRACTION_MODEL = 'gemini-2.0-flash'; // Model to use for fact extraction
 const FACT_SIMILARITY_THRESHOLD = 0.7; // Threshold for considering facts similar
+const MAX_FACT_SOURCES = 20; // Source messages remembered per fact
 
 // Define semantic categories for facts
 const FACT_CATEGORIES = {
@@ -183,9 +187,11 @@ function determineFactCategory(key, value) {
  * @param {string} userId - User ID
  * @param {string} chatId - Chat ID
  * @param {string} currentMessage - Current message from the user
+ * @param {Object} options - { sourceMessageId: ID of the message, recorded as the source of the facts it yields,
+ *   messageTimestamp: when it was sent (ms), for relative dates such as "besok" }
  * @returns {Promise<Object>} - Relevant facts and processing results
  */
-async function extractAndProcessFacts(userId, chatId, currentMessage) {
+async function extractAndProcessFacts(userId, chatId, currentMessage, options = {}) {
   try {
     const db = getDb();
     
@@ -194,8 +200,10 @@ async function extractAndProcessFacts(userId, chatId, currentMessage) {
     
     logger.info(`Extracting facts for user ${userId.split('@')[0]} in chat ${chatId.split('@')[0]}`);
     
-    // Get user facts
+    // Get user facts, without the ones that ran out
     const userFacts = getUserFacts(userId);
+    expireUserFacts(db.data.userFacts[userId]);
+    const messageTime = options.messageTimestamp ? new Date(options.messageTimestamp) : new Date();
     
     // Get global facts
     const globalFacts = getGlobalFacts();
@@ -206,46 +214,40 @@ async function extractAndProcessFacts(userId, chatId, currentMessage) {
     // Get chat history
     const chatHistory = getChatHistory(chatId, userId, MAX_MESSAGE_HISTORY);
     
-    // Create prompt for Gemini
-    const prompt = createFactExtractionPrompt(userFacts, globalFacts, otherParticipantsFacts, chatHistory, currentMessage);
+    // Create prompt for fact extraction
+    const prompt = createFactExtractionPrompt(userFacts, globalFacts, otherParticipantsFacts, chatHistory, currentMessage, messageTime);
     
-    // Call Gemini API for fact extraction
-    logger.debug('Calling Gemini API for fact extraction');
-    const apiKey = db.data.config.geminiApiKey || process.env.GEMINI_API_KEY;
-    
-    if (!apiKey) {
-      logger.warning('No Gemini API key found for fact extraction');
-      return { relevantFacts: [], success: false, error: 'No Gemini API key available' };
-    }
-    
-    // Format messages for Gemini API
+    // Format messages for the API
     const messages = [
       { role: 'user', content: prompt }
     ];
     
-    // Call Gemini API
-    const response = await requestGeminiChat(
-      FACT_EXTRACTION_MODEL,
-      apiKey,
+    // Gemini first, then the shared fallback chain
+    logger.debug('Requesting fact extraction');
+    const { response } = await requestWithFallback(
+      'factExtraction',
       messages,
       {
         temperature: 0.2, // Low temperature for more deterministic fact extraction
         top_p: 0.9,
-        max_tokens: 2048,
-        stop: null,
-        stream: false
+        max_tokens: 2048
+      },
+      {
+        primary: { provider: 'gemini', model: FACT_EXTRACTION_MODEL },
+        chatId,
+        userId
       }
     );
     
     if (!response || !response.choices || !response.choices[0] || !response.choices[0].message) {
-      logger.error('Invalid response from Gemini API for fact extraction');
-      return { relevantFacts: [], success: false, error: 'Invalid Gemini API response' };
+      logger.error('Invalid response for fact extraction');
+      return { relevantFacts: [], success: false, error: 'Invalid API response' };
     }
     
     const content = response.choices[0].message.content;
-    logger.debug(`Gemini response: ${content.substring(0, 200)}...`);
+    logger.debug(`Fact extraction response: ${content.substring(0, 200)}...`);
     
-    // Parse the Gemini response to extract facts
+    // Parse the response to extract facts
     const extractionResult = parseFactExtractionResponse(content);
     
     if (!extractionResult.success) {
@@ -254,7 +256,8 @@ async function extractAndProcessFacts(userId, chatId, currentMessage) {
     }
     
     // Process the extracted facts
-    const processResult = await processExtractedFacts(userId, extractionResult);
+    const sourceRef = options.sourceMessageId ? `${chatId}:${options.sourceMessageId}` : null;
+    const processResult = await processExtractedFacts(userId, extractionResult, sourceRef, messageTime);
     
     // Return the relevant facts for the current message
     return {
@@ -330,9 +333,10 @@ function getChatHistory(chatId, userId, limit = 20) {
  * @param {Object} otherParticipantsFacts - Facts about other participants in the chat
  * @param {Array} chatHistory - Chat history
  * @param {string} currentMessage - Current message
+ * @param {Date} messageTime - When the current message was sent
  * @returns {string} - Prompt for Gemini
  */
-function createFactExtractionPrompt(userFacts, globalFacts, otherParticipantsFacts, chatHistory, currentMessage) {
+function createFactExtractionPrompt(userFacts, globalFacts, otherParticipantsFacts, chatHistory, currentMessage, messageTime = new Date()) {
   // Format current facts
   const formattedUserFacts = Object.entries(userFacts).map(([key, fact]) => {
     // Include more detailed information in formatted facts
@@ -340,8 +344,10 @@ function createFactExtractionPrompt(userFacts, globalFacts, otherParticipantsFac
     const factType = fact.factType ? `, "factType": "${fact.factType}"` : '';
     const tags = fact.tags?.length > 0 ? `, "tags": ${JSON.stringify(fact.tags)}` : '';
     const sentiment = fact.sentiment ? `, "sentiment": "${fact.sentiment}"` : '';
+    const validFrom = fact.validFrom ? `, "valid_from": "${fact.validFrom}"` : '';
+    const validUntil = fact.validUntil ? `, "valid_until": "${fact.validUntil}"` : '';
     
-    return `"${key}": { "value": "${fact.value}", "confidence": ${fact.confidence}${category}${factType}${tags}${sentiment} }`;
+    return `"${key}": { "value": "${fact.value}", "confidence": ${fact.confidence}${category}${factType}${tags}${sentiment}${validFrom}${validUntil} }`;
   }).join(',\n    ');
   
   const formattedGlobalFacts = Object.entries(globalFacts).map(([key, fact]) => {
@@ -417,6 +423,8 @@ Facts should be categorized using the following schema:
    - is_global: Whether it's general knowledge (true) or specific to this user (false)
    - tags: Optional keywords for better classification
    - sentiment: User's emotional association (positive/negative/neutral)
+   - valid_from / valid_until: Optional, only for facts that hold for a limited time (see TIME-BOUNDED FACTS)
+   - follow_up: Optional, true for events worth asking about once they are over (a trip, an exam, a job interview)
 
 EXTRACTION GUIDELINES:
 * Be precise and specific in fact formulation
@@ -429,9 +437,18 @@ EXTRACTION GUIDELINES:
 * Global facts should represent objective knowledge, not personal information
 * Identify relationships between facts when possible
 * Extract rich, detailed facts rather than simplistic ones
-* DO NOT extract hypothetical scenarios, future possibilities, or temporary states
+* DO NOT extract hypothetical scenarios or vague possibilities ("maybe someday I'll move abroad")
+* DO extract temporary states and planned events ("I'm sick today", "going to Bali next week"), with valid_from/valid_until
 * DO NOT include facts about other people unless related to the user's relationship with them
 
+TIME-BOUNDED FACTS:
+* Set valid_until when a fact stops being true at a known time, and valid_from when it only starts later
+* Write them as a date ("2026-11-03") or a short phrase relative to when the current message was sent:
+  "today", "tomorrow", "next week", "in 3 days", "next friday", "this weekend", "end of month" (English or Indonesian)
+* Examples: "lagi sakit hari ini" → valid_until "today"; "minggu depan ke Bali" → valid_from "next week", valid_until "in 2 weeks", follow_up true
+* Leave both out for lasting facts (name, job, hometown); a temporary fact may share its key with a lasting one
+  ("location" = "Bali" until next week while living in Bandung) and the lasting value comes back when it ends
+
 GLOBAL FACTS VS USER FACTS:
 * Global facts: General knowledge, locations, entities, concepts (e.g., "Jakarta is the capital of Indonesia")
 * User facts: Personal information, preferences, or experiences of the specific user (e.g., "user lives in Jakarta")
@@ -463,7 +480,7 @@ GLOBAL FACTS (reference only - add new global facts with is_global=true):
   ${formattedChatHistory || '{"role": "system", "content": "No conversation history available"}'}
 ]
 
-CURRENT MESSAGE:
+CURRENT MESSAGE (sent ${messageTime.toISOString()}, ${messageTime.toLocaleDateString('en-US', { weekday: 'long' })}):
 "${currentMessage}"
 
 RESPONSE FORMAT:
@@ -478,6 +495,9 @@ Respond with a structured JSON object containing:
       "factType": "FACT_TYPE",
       "tags": ["tag1", "tag2"],
       "sentiment": "neutral",
+      "valid_from": "next week",  // Optional, only for time-bounded facts
+      "valid_until": "in 2 weeks",  // Optional, only for time-bounded facts
+      "follow_up": true,  // Optional
       "is_global": false  // Set to true only for general knowledge facts
     },
     // More new facts...
@@ -489,6 +509,7 @@ Respond with a structured JSON object containing:
       "previous_value": "old_value",
       "category": "CATEGORY_NAME",
       "factType": "FACT_TYPE",
+      "valid_until": "tomorrow",  // Optional, only for time-bounded facts
       "is_global": false  // Set to true only for general knowledge facts
     },
     // More updated facts...
@@ -574,7 +595,10 @@ function parseFactExtractionResponse(response) {
           factType: fact.factType || FACT_TYPES.EXPLICIT,
           tags: fact.tags || [],
           sentiment: fact.sentiment || 'neutral',
-          sourceContext: fact.sourceContext || 'auto-extracted'
+          sourceContext: fact.sourceContext || 'auto-extracted',
+          valid_from: fact.valid_from || null,
+          valid_until: fact.valid_until || null,
+          follow_up: fact.follow_up === true
         };
       });
     }
@@ -591,7 +615,10 @@ function parseFactExtractionResponse(response) {
           factType: fact.factType || FACT_TYPES.EXPLICIT,
           tags: fact.tags || [],
           sentiment: fact.sentiment || 'neutral',
-          sourceContext: fact.sourceContext || 'auto-updated'
+          sourceContext: fact.sourceContext || 'auto-updated',
+          valid_from: fact.valid_from || null,
+          valid_until: fact.valid_until || null,
+          follow_up: fact.follow_up === true
         };
       });
     }
@@ -660,30 +687,95 @@ function applyFactDecay(facts) {
 }
 
 /**
- * Updated confidence calculation when facts are repeated
+ * Updated confidence calculation when a fact is repeated (contradicting values go through
+ * resolveFactConflict instead)
  * @param {Object} existingFact - Existing fact
- * @param {number} newConfidence - New confidence value
  * @returns {number} - Updated confidence
  */
-function updateFactConfidence(existingFact, newConfidence) {
+function updateFactConfidence(existingFact) {
   // Facts become more confident when repeatedly confirmed
   // But confidence increases more slowly as it gets higher
-  if (existingFact.value === existingFact.value) {
-    const confidenceGain = (1 - existingFact.confidence) * 0.3;
-    return Math.min(0.99, existingFact.confidence + confidenceGain);
+  const confidenceGain = (1 - existingFact.confidence) * 0.3;
+  return Math.min(0.99, existingFact.confidence + confidenceGain);
+}
+
+/**
+ * Settle an extracted fact that contradicts a stored one with the configured policy
+ * @param {string} userId - User ID
+ * @param {Object} userFactsObj - userFacts[userId]
+ * @param {Object} match - Result of findMatchingFact
+ * @param {Object} factData - Extracted fact
+ * @param {string} sourceRef - Source message reference
+ * @returns {Object|null} - Entry for the updated facts list when the stored value was replaced
+ */
+function settleFactConflict(userId, userFactsObj, match, factData, sourceRef) {
+  const policy = getDb().data.config.factConflictPolicy;
+  const resolution = resolveFactConflict(userFactsObj, match.key, { ...factData, sourceRef }, policy);
+
+  if (resolution.action === 'ask') {
+    logger.info(`Fact "${match.key}" of ${userId} contradicts "${resolution.oldValue}" with "${resolution.newValue}", will ask in private chat`);
+    return null;
   }
-  
-  // If conflicting, use the higher confidence
-  return Math.max(existingFact.confidence, newConfidence);
+  if (resolution.action === 'keep') {
+    logger.info(`Kept fact "${match.key}" = "${resolution.oldValue}" over less confident "${resolution.newValue}"`);
+    return null;
+  }
+
+  logger.info(`Updated fact: "${match.key}" from "${resolution.oldValue}" to "${resolution.newValue}" (${resolution.reason})`);
+  return {
+    key: match.key,
+    oldValue: resolution.oldValue,
+    newValue: resolution.newValue,
+    confidence: factData.confidence,
+    category: factData.category,
+    tags: factData.tags || []
+  };
+}
+
+// A repeated time-bounded fact may last longer than first said ("masih sakit sampai besok"); a
+// lasting fact doesn't become temporary because it was mentioned with a date
+function extendValidity(existingFact, validity) {
+  if (!existingFact.validUntil || !validity.validUntil || validity.validUntil <= existingFact.validUntil) {
+    return {};
+  }
+  return { validUntil: validity.validUntil };
+}
+
+// Facts remember the messages they were extracted from ("<chatId>:<messageId>"), so deleting a
+// message can retract facts that rest on it alone. Facts without a list (older facts, manual
+// facts) are never retracted, and a full list stops growing.
+function addFactSource(sources, sourceRef) {
+  if (!Array.isArray(sources) || !sourceRef || sources.includes(sourceRef) || sources.length >= MAX_FACT_SOURCES) {
+    return sources;
+  }
+  return [...sources, sourceRef];
+}
+
+/**
+ * Validity fields (validFrom, validUntil, followUp) of an extracted fact, with relative dates resolved
+ * against the time of its message; only the ones that apply
+ * @param {Object} factData - Extracted fact
+ * @param {Date} messageTime - When the message was sent
+ * @returns {Object}
+ */
+function getValidityFields(factData, messageTime) {
+  const { validFrom, validUntil, followUp } = getFactValidity(factData, messageTime);
+  return {
+    ...(validFrom && { validFrom }),
+    ...(validUntil && { validUntil }),
+    ...(followUp && { followUp })
+  };
 }
 
 /**
  * Process extracted facts (add new, update existing)
  * @param {string} userId - User ID
  * @param {Object} extractionResult - Result from parseFactExtractionResponse
+ * @param {string} sourceRef - "<chatId>:<messageId>" of the message the facts come from (optional)
+ * @param {Date} messageTime - When that message was sent, for relative validity dates
  * @returns {Promise<Object>} - Processing results
  */
-async function processExtractedFacts(userId, extractionResult) {
+async function processExtractedFacts(userId, extractionResult, sourceRef = null, messageTime = new Date()) {
   const db = getDb();
   const userFactsObj = db.data.userFacts[userId] || { facts: {}, factHistory: [] };
   
@@ -734,35 +826,55 @@ async function processExtractedFacts(userId, extractionResult) {
       continue;
     }
     
-    // Check if fact already exists with the same value
-    if (userFactsObj.facts[factKey] && userFactsObj.facts[factKey].value === factData.value) {
+    // Something that was only true for a while and is already over is not worth keeping
+    const validity = getValidityFields(factData, messageTime);
+    if (validity.validUntil && new Date(validity.validUntil) <= new Date()) {
+      logger.debug(`Skipping new fact "${factKey}" that ended ${validity.validUntil}`);
+      continue;
+    }
+    
+    // The person may already have this fact, under this key or an equivalent one ("city" for "location")
+    const match = await findMatchingFact(userFactsObj.facts, factKey, factData.value, { config: db.data.config });
+    if (match && !match.agrees) {
+      const updated = settleFactConflict(userId, userFactsObj, match, { ...factData, ...validity }, sourceRef);
+      if (updated) {
+        updatedFacts.push(updated);
+      }
+      continue;
+    }
+    
+    if (match) {
       // Same fact repeated - increase confidence and update metadata
-      const newConfidence = updateFactConfidence(userFactsObj.facts[factKey], factData.confidence);
+      const existingFact = userFactsObj.facts[match.key];
+      const newConfidence = updateFactConfidence(existingFact);
+      confirmStoredFact(userFactsObj, match.key);
       
       // Update existing fact with enhanced properties
-      userFactsObj.facts[factKey] = {
-        ...userFactsObj.facts[factKey],
+      userFactsObj.facts[match.key] = {
+        ...existingFact,
         confidence: newConfidence,
         lastUpdated: new Date().toISOString(),
         // Preserve existing data but update with new metadata if available
-        category: factData.category || userFactsObj.facts[factKey].category,
-        factType: factData.factType || userFactsObj.facts[factKey].factType || FACT_TYPES.EXPLICIT,
-        tags: [...new Set([...(userFactsObj.facts[factKey].tags || []), ...(factData.tags || [])])],
-        sentiment: factData.sentiment || userFactsObj.facts[factKey].sentiment || 'neutral',
-        occurrences: (userFactsObj.facts[factKey].occurrences || 1) + 1
+        category: factData.category || existingFact.category,
+        factType: factData.factType || existingFact.factType || FACT_TYPES.EXPLICIT,
+        tags: [...new Set([...(existingFact.tags || []), ...(factData.tags || [])])],
+        sentiment: factData.sentiment || existingFact.sentiment || 'neutral',
+        occurrences: (existingFact.occurrences || 1) + 1,
+        sourceMessages: addFactSource(existingFact.sourceMessages, sourceRef),
+        ...extendValidity(existingFact, validity)
       };
       
       updatedFacts.push({
-        key: factKey,
-        oldValue: factData.value, // Same value, just metadata updated
-        newValue: factData.value,
-        oldConfidence: userFactsObj.facts[factKey].confidence,
+        key: match.key,
+        oldValue: existingFact.value, // Same value, just metadata updated
+        newValue: existingFact.value,
+        oldConfidence: existingFact.confidence,
         newConfidence: newConfidence,
         category: factData.category,
         tags: factData.tags
       });
       
-      logger.info(`Reinforced fact: "${factKey}" (confidence: ${userFactsObj.facts[factKey].confidence} -> ${newConfidence})`);
+      logger.info(`Reinforced fact: "${match.key}" (confidence: ${existingFact.confidence} -> ${newConfidence})`);
       continue;
     }
     
@@ -778,7 +890,9 @@ async function processExtractedFacts(userId, extractionResult) {
       lastUpdated: new Date().toISOString(),
       source: factData.sourceContext || 'auto-extracted',
       createdAt: new Date().toISOString(),
-      occurrences: 1
+      occurrences: 1,
+      ...(sourceRef && { sourceMessages: [sourceRef] }),
+      ...validity
     };
     
     newFacts.push({
@@ -837,10 +951,15 @@ async function processExtractedFacts(userId, extractionResult) {
       continue;
     }
     
-    const oldValue = userFactsObj.facts[factKey]?.value;
+    const validity = getValidityFields(factData, messageTime);
+    if (validity.validUntil && new Date(validity.validUntil) <= new Date()) {
+      logger.debug(`Skipping fact update "${factKey}" that ended ${validity.validUntil}`);
+      continue;
+    }
     
-    // If the fact doesn't exist yet, add it as new with enhanced properties
-    if (!userFactsObj.facts[factKey]) {
+    // If the fact doesn't exist yet (under this key or an equivalent one), add it as new with enhanced properties
+    const match = await findMatchingFact(userFactsObj.facts, factKey, factData.value, { config: db.data.config });
+    if (!match) {
       userFactsObj.facts[factKey] = {
         value: factData.value,
         confidence: factData.confidence,
@@ -851,7 +970,9 @@ async function processExtractedFacts(userId, extractionResult) {
         lastUpdated: new Date().toISOString(),
         source: factData.sourceContext || 'auto-extracted',
         createdAt: new Date().toISOString(),
-        occurrences: 1
+        occurrences: 1,
+        ...(sourceRef && { sourceMessages: [sourceRef] }),
+        ...validity
       };
       
       newFacts.push({
@@ -866,77 +987,42 @@ async function processExtractedFacts(userId, extractionResult) {
       continue;
     }
     
-    // Check if fact value is same but needs metadata update
-    if (factData.value === userFactsObj.facts[factKey].value) {
-      // Same value, possibly update metadata
-      const newConfidence = updateFactConfidence(userFactsObj.facts[factKey], factData.confidence);
-      const category = factData.category || userFactsObj.facts[factKey].category;
+    // Same value (possibly under an equivalent key), possibly update metadata
+    if (match.agrees) {
+      const existingFact = userFactsObj.facts[match.key];
+      const newConfidence = updateFactConfidence(existingFact);
+      const category = factData.category || existingFact.category;
+      confirmStoredFact(userFactsObj, match.key);
       
       // Update existing fact with enhanced properties
       const updatedFact = {
-        ...userFactsObj.facts[factKey],
+        ...existingFact,
         confidence: newConfidence,
         category: category,
         lastUpdated: new Date().toISOString(),
         // Merge tags
-        tags: [...new Set([...(userFactsObj.facts[factKey].tags || []), ...(factData.tags || [])])],
+        tags: [...new Set([...(existingFact.tags || []), ...(factData.tags || [])])],
         // Update other properties if provided
-        factType: factData.factType || userFactsObj.facts[factKey].factType,
-        sentiment: factData.sentiment || userFactsObj.facts[factKey].sentiment,
-        occurrences: (userFactsObj.facts[factKey].occurrences || 1) + 1
+        factType: factData.factType || existingFact.factType,
+        sentiment: factData.sentiment || existingFact.sentiment,
+        occurrences: (existingFact.occurrences || 1) + 1,
+        sourceMessages: addFactSource(existingFact.sourceMessages, sourceRef),
+        ...extendValidity(existingFact, validity)
       };
       
       // Only update if something changed
-      if (JSON.stringify(updatedFact) !== JSON.stringify(userFactsObj.facts[factKey])) {
-        userFactsObj.facts[factKey] = updatedFact;
-        logger.info(`Updated fact metadata: "${factKey}" (confidence: ${newConfidence}, category: ${category})`);
+      if (JSON.stringify(updatedFact) !== JSON.stringify(existingFact)) {
+        userFactsObj.facts[match.key] = updatedFact;
+        logger.info(`Updated fact metadata: "${match.key}" (confidence: ${newConfidence}, category: ${category})`);
       }
       
       continue;
     }
     
-    // Value is different, update the fact with enhanced properties
-    if (factData.confidence >= userFactsObj.facts[factKey].confidence || 
-        factData.value !== userFactsObj.facts[factKey].value) {
-      
-      // Record the history with enhanced properties
-      userFactsObj.factHistory.push({
-        fact: factKey,
-        oldValue: userFactsObj.facts[factKey].value,
-        newValue: factData.value,
-        oldConfidence: userFactsObj.facts[factKey].confidence,
-        newConfidence: factData.confidence,
-        category: factData.category,
-        tags: factData.tags,
-        timestamp: new Date().toISOString(),
-        reason: 'value-changed'
-      });
-      
-      // Update the fact with enhanced properties
-      userFactsObj.facts[factKey] = {
-        ...userFactsObj.facts[factKey], // Preserve other metadata
-        value: factData.value,
-        confidence: factData.confidence,
-        category: factData.category,
-        factType: factData.factType || userFactsObj.facts[factKey].factType || FACT_TYPES.EXPLICIT,
-        tags: [...new Set([...(userFactsObj.facts[factKey].tags || []), ...(factData.tags || [])])],
-        sentiment: factData.sentiment || userFactsObj.facts[factKey].sentiment || 'neutral',
-        lastUpdated: new Date().toISOString(),
-        source: factData.sourceContext || 'auto-updated',
-        createdAt: userFactsObj.facts[factKey].createdAt,
-        occurrences: (userFactsObj.facts[factKey].occurrences || 1) + 1
-      };
-      
-      updatedFacts.push({
-        key: factKey,
-        oldValue,
-        newValue: factData.value,
-        confidence: factData.confidence,
-        category: factData.category,
-        tags: factData.tags || []
-      });
-      
-      logger.info(`Updated fact: "${factKey}" from "${oldValue}" to "${factData.value}" (confidence: ${factData.confidence}, category: ${factData.category})`);
+    // Value is different: settle the contradiction with the configured policy
+    const updated = settleFactConflict(userId, userFactsObj, match, { ...factData, ...validity }, sourceRef);
+    if (updated) {
+      updatedFacts.push(updated);
     }
   }
   
@@ -1283,7 +1369,7 @@ function getRelevantFactsForMessage(userId, chatId, relevantFactsObj) {
         const userFacts = db.data.userFacts[participantId].facts;
         
         const categorizedFacts = Object.entries(userFacts)
-          .filter(([_, fact]) => fact.confidence >= 0.85)
+          .filter(([_, fact]) => fact.confidence >= 0.85 && isFactActive(fact))
           .sort((a, b) => {
             // Prioritize facts in relevant categories or with relevant tags
             const aInRelevantCategory = relevantCategories.has(a[1].category) ? 1 : 0;
@@ -1867,11 +1953,25 @@ async function updateRelevanceMetrics(userId, relevantFactsObj) {
  * @returns {Array} - Formatted relevant facts for context
  */
 function formatRelevantFacts(userId, relevantFactsObj) {
-  // Convert the relevant facts object to an array of formatted strings
-  const relevantFactsArray = Object.entries(relevantFactsObj).map(([key, fact]) => {
-    const categoryLabel = fact.category ? ` (${fact.category})` : '';
-    return `${key}: ${fact.value}${categoryLabel}`;
-  });
+  const storedFacts = getDb().data.userFacts[userId]?.facts || {};
+  const now = new Date();
+  
+  // Convert the relevant facts object to an array of formatted strings, leaving out expired facts
+  // that are waiting to be moved to history
+  const relevantFactsArray = Object.entries(relevantFactsObj)
+    .filter(([key]) => !storedFacts[key]?.validUntil || new Date(storedFacts[key].validUntil) > now)
+    .map(([key, fact]) => {
+      const categoryLabel = fact.category ? ` (${fact.category})` : '';
+      const stored = storedFacts[key];
+      // Time-bounded facts say when they hold, so plans aren't mistaken for the present
+      let validityLabel = '';
+      if (stored && !isFactActive(stored, now)) {
+        validityLabel = ` (starting ${stored.validFrom.substring(0, 10)})`;
+      } else if (stored?.validUntil) {
+        validityLabel = ` (until ${stored.validUntil.substring(0, 10)})`;
+      }
+      return `${key}: ${fact.value}${categoryLabel}${validityLabel}`;
+    });
   
   return relevantFactsArray;
 }
@@ -1982,38 +2082,10 @@ async function storeImageEmbedding(imageId, embedding, faceEmbeddings = [], meta
  * Calculate similarity between two vectors (cosine similarity)
  * @param {Array} vec1 - First vector
  * @param {Array} vec2 - Second vector
- * @returns {number} - Similarity score (0-1)
+ * @returns {number} - Similarity score (-1 to 1, 0 for empty or mismatched vectors)
  */
 function calculateSimilarity(vec1, vec2) {
-  // Skip if any vector is empty
-  if (!vec1 || !vec2 || vec1.length === 0 || vec2.length === 0) {
-    return 0;
-  }
-  
-  // Both vectors must have the same length
-  if (vec1.length !== vec2.length) {
-    return 0;
-  }
-  
-  // Calculate cosine similarity
-  let dotProduct = 0;
-  let mag1 = 0;
-  let mag2 = 0;
-  
-  for (let i = 0; i < vec1.length; i++) {
-    dotProduct += vec1[i] * vec2[i];
-    mag1 += vec1[i] * vec1[i];
-    mag2 += vec2[i] * vec2[i];
-  }
-  
-  mag1 = Math.sqrt(mag1);
-  mag2 = Math.sqrt(mag2);
-  
-  if (mag1 === 0 || mag2 === 0) {
-    return 0;
-  }
-  
-  return dotProduct / (mag1 * mag2);
+  return cosineSimilarity(vec1, vec2);
 }
 
 /**
@@ -2135,52 +2207,25 @@ function findMatchingFaces(faceEmbedding, options = {}) {
 }
 
 /**
- * Generate a simple text embedding using hashing (placeholder for more sophisticated methods)
+ * Generate a text embedding with the configured embedding backend (see embeddingService)
  * @param {string} text - Text to generate embedding for
- * @param {number} dimensions - Embedding dimensions
- * @returns {Array} - Embedding vector
+ * @returns {Promise<Array>} - Normalized embedding vector
  */
-function generateTextEmbedding(text, dimensions = 512) {
-  try {
-    // This is a very simple placeholder implementation
-    // In a real system, you would use a proper embedding model
-    
-    // Create a hash of the text
-    const hash = crypto.createHash('sha512').update(text).digest('hex');
-    
-    // Convert hash to an array of numbers
-    const embedding = [];
-    for (let i = 0; i < dimensions; i++) {
-      // Use modulo to ensure we don't exceed the hash length
-      const hashIndex = i % (hash.length - 1);
-      // Convert hex pair to number and normalize to range [-1, 1]
-      const value = (parseInt(hash.substring(hashIndex, hashIndex + 2), 16) / 255) * 2 - 1;
-      embedding.push(value);
-    }
-    
-    // Normalize the embedding vector
-    const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-    if (magnitude === 0) {
-      return embedding; // Return zero vector
-    }
-    
-    return embedding.map(val => val / magnitude);
-  } catch (error) {
-    logger.error('Error generating text embedding', error);
-    return Array(dimensions).fill(0); // Return zero vector on error
-  }
+async function generateTextEmbedding(text) {
+  const { vector } = await embedText(text);
+  return vector;
 }
 
 /**
- * Find images similar to a text description
+ * Find images whose analysis matches a text description
  * @param {string} description - Text description to search for
- * @param {Object} options - Search options
+ * @param {Object} options - Search options (threshold defaults to the embedding backend's minimum similarity)
  * @returns {Promise<Array>} - Similar images sorted by similarity
  */
 async function findImagesByDescription(description, options = {}) {
   try {
     const {
-      threshold = 0.6,
+      threshold,
       limit = 5,
       chatId = null,
       userId = null,
@@ -2189,12 +2234,9 @@ async function findImagesByDescription(description, options = {}) {
     
     logger.debug(`Searching for images matching description: "${description}"`);
     
-    // Generate embedding for the description
-    const queryEmbedding = generateTextEmbedding(description);
-    
-    // Find similar images
-    const similarImages = findSimilarImages(queryEmbedding, {
-      threshold,
+    const matches = await searchVectors(description, {
+      types: ['image'],
+      minSimilarity: threshold,
       limit,
       chatId,
       userId,
@@ -2205,12 +2247,11 @@ async function findImagesByDescription(description, options = {}) {
     const db = getDb();
     const results = [];
     
-    for (const match of similarImages) {
-      if (match.id && db.data.imageAnalysis && db.data.imageAnalysis[match.id]) {
-        const analysis = db.data.imageAnalysis[match.id];
-        
+    for (const match of matches) {
+      const analysis = db.data.imageAnalysis?.[match.sourceId];
+      if (analysis) {
         results.push({
-          id: match.id,
+          id: match.sourceId,
           similarity: match.similarity,
           analysis: analysis.analysis,
           summary: analysis.summary,
@@ -2514,7 +2555,7 @@ async function storeWebSearchResults(query, results, options = {}) {
  * @param {string} url - The URL of the content
  * @param {string} title - The page title
  * @param {string} content - The page content
- * @param {Object} options - Additional options
+ * @param {Object} options - Additional options (chatId: chat the page was fetched for)
  * @returns {Promise<boolean>} - Success status
  */
 async function storeWebContent(url, title, content, options = {}) {
@@ -2543,6 +2584,10 @@ async function storeWebContent(url, title, content, options = {}) {
     };
     
     logger.info(`Stored web content from URL: "${url}" with ID: ${contentId}`);
+
+    // Make the page findable by meaning, not only through the facts extracted below. Only the chat
+    // that fetched it recalls it; a page fetched outside a chat isn't recalled anywhere.
+    await indexVectorEntry('web', contentId, `${title}\n${content}`, { url, title, timestamp, chatId: options.chatId || null });
     
     // Extract domain for categorization
     let domain = '';
@@ -2786,7 +2831,7 @@ function getOtherParticipantsFacts(db, chatId, currentUserId) {
     const highConfidenceFacts = {};
     
     Object.entries(userFacts).forEach(([key, fact]) => {
-      if (fact.confidence >= 0.8) { // Only include high confidence facts
+      if (fact.confidence >= 0.8 && isFactActive(fact)) { // Only include high confidence facts that hold now
         highConfidenceFacts[key] = fact;
       }
     });
@@ -3051,6 +3096,7 @@ async function deleteFact(userId, factKey) {
     
     // Delete fact
     delete db.data.userFacts[userId].facts[factKey];
+    removeVectorEntry('fact', `${userId}:${factKey}`);
     
     await db.write();
     logger.success(`Deleted fact: ${factKey} for user ${userId}`);
@@ -3061,6 +3107,62 @@ async function deleteFact(userId, factKey) {
   }
 }
 
+/**
+ * Retract the facts of a user that were extracted only from a message that has been deleted.
+ * Facts that other messages also support just lose this message as a source.
+ * @param {string} userId - Author of the message
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - ID of the deleted message
+ * @returns {Promise<Array<string>>} - Keys of the retracted facts
+ */
+async function retractFactsFromMessage(userId, chatId, messageId) {
+  const db = getDb();
+  const userFactsObj = db.data.userFacts[userId];
+  if (!userFactsObj?.facts) {
+    return [];
+  }
+
+  const sourceRef = `${chatId}:${messageId}`;
+  const retracted = [];
+  let changed = false;
+
+  for (const [factKey, fact] of Object.entries(userFactsObj.facts)) {
+    if (!Array.isArray(fact.sourceMessages) || !fact.sourceMessages.includes(sourceRef)) {
+      continue;
+    }
+
+    changed = true;
+    fact.sourceMessages = fact.sourceMessages.filter(ref => ref !== sourceRef);
+    if (fact.sourceMessages.length > 0) {
+      continue;
+    }
+
+    // The value is not kept in the history: the person withdrew the message it came from
+    userFactsObj.factHistory.push({
+      fact: factKey,
+      oldValue: null,
+      newValue: null,
+      oldConfidence: fact.confidence,
+      newConfidence: 0,
+      timestamp: new Date().toISOString(),
+      reason: 'source-deleted'
+    });
+
+    delete userFactsObj.facts[factKey];
+    removeVectorEntry('fact', `${userId}:${factKey}`);
+    retracted.push(factKey);
+  }
+
+  if (changed) {
+    await db.write();
+  }
+  if (retracted.length > 0) {
+    logger.info(`Retracted ${retracted.length} fact(s) of ${userId} after message ${messageId} was deleted: ${retracted.join(', ')}`);
+  }
+
+  return retracted;
+}
+
 /**
  * Consolidate user facts to remove redundancies and contradictions
  * @param {string} userId - User ID
@@ -3275,7 +3377,9 @@ export {
   addGlobalFact,
   manuallyAddFact,
   deleteFact,
+  retractFactsFromMessage,
   consolidateUserFacts,
   groupRelatedFacts,
-  getRelevantGlobalFacts
+  getRelevantGlobalFacts,
+  FACT_CATEGORIES
 }; 
\ No newline at end of file
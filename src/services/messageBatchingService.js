@@ -1,6 +1,8 @@
 import { getDb } from '../database/index.js';
 import { processMessage } from '../handlers/messageHandler.js';
 import { updateContext } from './contextService.js';
+import { transcribeVoiceMessage } from './speechService.js';
+import { resolveUserId } from '../utils/messageUtils.js';
 import chalk from 'chalk';
 
 // Configuration for message batching
@@ -264,9 +266,14 @@ async function processMessageBatch(sock, chatId) {
     // Process each message to extract content, update context, and mark as read
     for (let i = 0; i < messages.length; i++) {
       const message = messages[i];
+      
+      // Voice notes are transcribed before they are stored so the context holds the transcript
+      await transcribeVoiceMessage(message);
+      
       const content = message.message?.conversation || 
                      message.message?.extendedTextMessage?.text || 
                      message.message?.imageMessage?.caption || 
+                     message.transcription?.text || 
                      '';
       
       // Check for images
@@ -285,7 +292,8 @@ async function processMessageBatch(sock, chatId) {
       }
       
       // Update context for each message (but don't process yet)
-      const sender = message.key.participant || message.key.remoteJid;
+      // Linked group (@lid) IDs are stored under the user's personal ID, as in processMessage
+      const sender = resolveUserId(message.key.participant || message.key.remoteJid);
       await updateContext(db, chatId, sender, content || "[Empty message]", message, sock);
       
       // Mark each message as read individually
@@ -307,6 +315,7 @@ async function processMessageBatch(sock, chatId) {
       const content = message.message?.conversation || 
                      message.message?.extendedTextMessage?.text || 
                      message.message?.imageMessage?.caption || 
+                     message.transcription?.text || 
                      '';
       
       // Add batch metadata to each message
@@ -319,6 +328,8 @@ async function processMessageBatch(sock, chatId) {
         batchId: `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         processingTime: Date.now() - typingState.firstMessageTime,
         messagesAlreadyRead: true,
+        // The loop above already stored every message of the batch in the conversation
+        contextUpdated: true,
         // Include other messages in batch for context
         otherMessagesInBatch: messages.map((m, idx) => {
           // Enhanced content extraction
@@ -331,6 +342,8 @@ async function processMessageBatch(sock, chatId) {
             content = m.message.imageMessage.caption;
           } else if (m.message?.videoMessage?.caption) {
             content = m.message.videoMessage.caption;
+          } else if (m.transcription?.text) {
+            content = m.transcription.text;
           } else if (m.message?.audioMessage?.caption) {
             content = m.message.audioMessage.caption;
           } else if (m.message?.documentMessage?.caption) {
@@ -879,6 +892,11 @@ async function processGroupMessageBatch(sock, groupId) {
     
     console.log(`[GROUP-BATCH] Processing ${groupBatch.messages.length} messages in batch`);
     
+    // Transcribe voice notes first so every message sees the others' transcripts
+    for (const message of groupBatch.messages) {
+      await transcribeVoiceMessage(message);
+    }
+    
     // Process each message with enhanced context
     for (let i = 0; i < groupBatch.messages.length; i++) {
       const message = groupBatch.messages[i];
@@ -923,6 +941,8 @@ async function processGroupMessageBatch(sock, groupId) {
               content = msg.message.imageMessage.caption;
             } else if (msg.message?.videoMessage?.caption) {
               content = msg.message.videoMessage.caption;
+            } else if (msg.transcription?.text) {
+              content = msg.transcription.text;
             } else if (msg.message?.audioMessage?.caption) {
               content = msg.message.audioMessage.caption;
             } else if (msg.message?.documentMessage?.caption) {
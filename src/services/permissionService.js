@@ -0,0 +1,452 @@
+/**
+ * Permission Service
+ * Role-based authorization for bot commands.
+ * Roles are stored in db.data.permissions and resolved per sender,
+ * with WhatsApp group admins allowed to run group-scoped commands in their own group.
+ */
+
+import { getAllUserIds } from '../utils/messageUtils.js';
+
+// Role hierarchy (lowest to highest)
+const ROLES = ['user', 'moderator', 'admin', 'owner'];
+
+// Role used for senders without an explicit grant
+const DEFAULT_ROLE = 'user';
+
+// Role required for commands that are not listed in COMMAND_ROLES
+const DEFAULT_COMMAND_ROLE = 'admin';
+
+// Minimum role required to execute each command
+const COMMAND_ROLES = {
+  // Basic commands
+  help: 'user',
+  ping: 'user',
+  status: 'user',
+  mood: 'user',
+  personality: 'user',
+  listmoods: 'user',
+  listpersonalities: 'user',
+  moodinfo: 'user',
+  personalityinfo: 'user',
+  listtriggers: 'user',
+  newmoods: 'user',
+  roles: 'user',
+  voice: 'user',
+  docs: 'user',
+  forgetdoc: 'user',
+
+  // Fact commands (operate on the sender's own facts)
+  searchfacts: 'user',
+  factstats: 'user',
+  factsuggest: 'user',
+  advancedsearch: 'user',
+  factinsights: 'user',
+  taxonomysearch: 'user',
+
+  // Informational tool and batching commands
+  tools: 'user',
+  listtools: 'user',
+  toolstatus: 'user',
+  batch: 'user',
+  usermap: 'user',
+  users: 'user',
+  recap: 'user',
+
+  // Personal data (always about the sender)
+  myfacts: 'user',
+  correct: 'user',
+  forget: 'user',
+  forgetme: 'user',
+  exportme: 'user',
+
+  // Reminders (cancelling other people's reminders needs a moderator, checked by the command)
+  remind: 'user',
+  reminders: 'user',
+  cancelremind: 'user',
+
+  // Group-scoped moderation commands
+  clear: 'moderator',
+  groupbatch: 'moderator',
+  gbatch: 'moderator',
+  debug: 'moderator',
+  testmood: 'moderator',
+  groupconfig: 'moderator',
+  feedback: 'moderator',
+  welcome: 'moderator',
+
+  // Bot configuration
+  setmood: 'admin',
+  setpersonality: 'admin',
+  resetmood: 'admin',
+  addmood: 'admin',
+  addpersonality: 'admin',
+  addtriggers: 'admin',
+  removemood: 'admin',
+  story: 'admin',
+  factpolicy: 'admin',
+  removepersonality: 'admin',
+  setcharacter: 'admin',
+  removecharacter: 'admin',
+  setname: 'admin',
+  setmodel: 'admin',
+  setprovider: 'admin',
+  fallback: 'admin',
+  quota: 'admin',
+  usage: 'admin',
+  embedding: 'admin',
+  setendpoint: 'owner',
+  addprovider: 'owner',
+  removeprovider: 'owner',
+  apilogs: 'admin',
+  enabletool: 'admin',
+  disabletool: 'admin',
+  enablecategory: 'admin',
+  disablecategory: 'admin',
+  enablealltools: 'admin',
+  disablealltools: 'admin',
+  grant: 'admin',
+  revoke: 'admin',
+
+  // Credentials
+  setapikey: 'owner',
+  setgeminikey: 'owner',
+  settogetherkey: 'owner',
+  setsearchkey: 'owner',
+  setsearchengineid: 'owner',
+  getapikey: 'owner'
+};
+
+// Commands whose arguments or replies contain API keys; refused in groups so other members never see them
+const PRIVATE_CHAT_COMMANDS = ['setapikey', 'setgeminikey', 'settogetherkey', 'setsearchkey', 'setsearchengineid', 'getapikey', 'setendpoint', 'addprovider'];
+
+// Commands that only affect the group they are run in.
+// WhatsApp group admins are treated as moderators for these commands inside their group.
+const GROUP_SCOPED_COMMANDS = ['clear', 'groupbatch', 'gbatch', 'groupconfig', 'feedback', 'welcome'];
+
+// Role granted to WhatsApp group admins for group-scoped commands
+const GROUP_ADMIN_ROLE = 'moderator';
+
+/**
+ * Normalize a WhatsApp ID or phone number into a bare JID without device suffix
+ * @param {string} userId - WhatsApp ID (e.g. 628xxx:12@s.whatsapp.net) or phone number
+ * @returns {string|null} - Normalized JID (e.g. 628xxx@s.whatsapp.net) or null
+ */
+function normalizeUserId(userId) {
+  if (!userId || typeof userId !== 'string') {
+    return null;
+  }
+
+  let id = userId.trim().replace(/^@/, '').replace(/^\+/, '');
+
+  // Plain phone number
+  if (/^\d+$/.test(id)) {
+    return `${id}@s.whatsapp.net`;
+  }
+
+  if (!id.includes('@')) {
+    return null;
+  }
+
+  const [user, server] = id.split('@');
+  return `${user.split(':')[0]}@${server}`;
+}
+
+/**
+ * Get the rank of a role in the hierarchy
+ * @param {string} role - Role name
+ * @returns {number} - Rank (higher is more privileged), -1 if unknown
+ */
+function getRoleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+/**
+ * Check whether a role satisfies a required role
+ * @param {string} role - Role held
+ * @param {string} requiredRole - Role required
+ * @returns {boolean}
+ */
+function hasRole(role, requiredRole) {
+  return getRoleRank(role) >= getRoleRank(requiredRole);
+}
+
+// Owners from OWNER_NUMBERS (comma-separated phone numbers or JIDs)
+function getEnvOwnerIds() {
+  return (process.env.OWNER_NUMBERS || '')
+    .split(',')
+    .map(id => normalizeUserId(id))
+    .filter(Boolean);
+}
+
+/**
+ * Ensure the permissions structure exists and owners from the environment are seeded. They are
+ * seeded on every call, so their role can only be changed by editing OWNER_NUMBERS.
+ * @param {Object} db - Database object
+ */
+function ensurePermissionStructure(db) {
+  if (!db.data.permissions) {
+    db.data.permissions = {
+      roles: {},
+      commandRoles: {}
+    };
+  }
+
+  if (!db.data.permissions.roles) db.data.permissions.roles = {};
+  if (!db.data.permissions.commandRoles) db.data.permissions.commandRoles = {};
+
+  getEnvOwnerIds().forEach(ownerId => {
+    if (db.data.permissions.roles[ownerId]?.role !== 'owner') {
+      db.data.permissions.roles[ownerId] = {
+        role: 'owner',
+        grantedBy: 'env',
+        grantedAt: new Date().toISOString()
+      };
+    }
+  });
+}
+
+/**
+ * Get all IDs a sender may be known by (personal and group formats)
+ * @param {string} userId - WhatsApp ID
+ * @returns {Array<string>} - Normalized candidate IDs
+ */
+function getCandidateIds(userId) {
+  const ids = new Set();
+  const normalized = normalizeUserId(userId);
+  if (normalized) ids.add(normalized);
+
+  const knownIds = getAllUserIds(userId);
+  [knownIds.personalId, knownIds.groupId].forEach(id => {
+    const normalizedId = normalizeUserId(id);
+    if (normalizedId) ids.add(normalizedId);
+  });
+
+  return [...ids];
+}
+
+/**
+ * Get the stored role of a user
+ * @param {Object} db - Database object
+ * @param {string} userId - WhatsApp ID
+ * @returns {string} - Role name
+ */
+function getUserRole(db, userId) {
+  ensurePermissionStructure(db);
+
+  let bestRole = DEFAULT_ROLE;
+  for (const id of getCandidateIds(userId)) {
+    const entry = db.data.permissions.roles[id];
+    if (entry && hasRole(entry.role, bestRole)) {
+      bestRole = entry.role;
+    }
+  }
+
+  return bestRole;
+}
+
+/**
+ * Get the minimum role required for a command
+ * @param {Object} db - Database object
+ * @param {string} command - Command name
+ * @returns {string} - Required role
+ */
+function getCommandRole(db, command) {
+  ensurePermissionStructure(db);
+  return db.data.permissions.commandRoles[command] || COMMAND_ROLES[command] || DEFAULT_COMMAND_ROLE;
+}
+
+/**
+ * Check whether a user is an admin of a WhatsApp group
+ * @param {Object} sock - WhatsApp socket
+ * @param {string} groupId - Group chat ID
+ * @param {string} userId - WhatsApp ID
+ * @returns {Promise<boolean>}
+ */
+async function isGroupAdmin(sock, groupId, userId) {
+  try {
+    if (!sock || !groupId?.endsWith('@g.us')) {
+      return false;
+    }
+
+    const metadata = await sock.groupMetadata(groupId);
+    const candidates = getCandidateIds(userId);
+
+    const participant = (metadata?.participants || []).find(p =>
+      [p.id, p.jid, p.lid].some(id => candidates.includes(normalizeUserId(id)))
+    );
+
+    return !!participant && (participant.admin === 'admin' || participant.admin === 'superadmin');
+  } catch (error) {
+    console.error('Error checking group admin status:', error);
+    return false;
+  }
+}
+
+/**
+ * Resolve the effective role of a sender for a command in a chat
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @param {string} userId - Sender WhatsApp ID
+ * @param {string} command - Command name
+ * @returns {Promise<string>} - Effective role
+ */
+async function getEffectiveRole(sock, db, chatId, userId, command) {
+  const role = getUserRole(db, userId);
+
+  if (chatId.endsWith('@g.us') &&
+      GROUP_SCOPED_COMMANDS.includes(command) &&
+      !hasRole(role, GROUP_ADMIN_ROLE) &&
+      await isGroupAdmin(sock, chatId, userId)) {
+    return GROUP_ADMIN_ROLE;
+  }
+
+  return role;
+}
+
+/**
+ * Check whether a sender may execute a command
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @param {string} userId - Sender WhatsApp ID
+ * @param {string} command - Command name
+ * @returns {Promise<Object>} - { allowed, role, requiredRole, privateOnly }; privateOnly is set when a
+ *   credential command is refused because it was run in a group
+ */
+async function authorizeCommand(sock, db, chatId, userId, command) {
+  const requiredRole = getCommandRole(db, command);
+  const role = await getEffectiveRole(sock, db, chatId, userId, command);
+  const privateOnly = chatId.endsWith('@g.us') && PRIVATE_CHAT_COMMANDS.includes(command);
+
+  return {
+    allowed: hasRole(role, requiredRole) && !privateOnly,
+    role,
+    requiredRole,
+    privateOnly
+  };
+}
+
+/**
+ * Grant a role to a user
+ * @param {Object} db - Database object
+ * @param {string} granterId - WhatsApp ID of the user granting the role
+ * @param {string} targetId - WhatsApp ID or phone number of the target user
+ * @param {string} role - Role to grant
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function grantRole(db, granterId, targetId, role) {
+  try {
+    ensurePermissionStructure(db);
+
+    const normalizedRole = role?.toLowerCase();
+    if (!ROLES.includes(normalizedRole) || normalizedRole === DEFAULT_ROLE) {
+      return { success: false, message: `Role tidak valid. Pilih dari: ${ROLES.filter(r => r !== DEFAULT_ROLE).join(', ')}` };
+    }
+
+    const normalizedTarget = normalizeUserId(targetId);
+    if (!normalizedTarget) {
+      return { success: false, message: 'Pengguna tidak valid. Mention pengguna atau gunakan nomor telepon.' };
+    }
+
+    if (normalizedRole !== 'owner' && getEnvOwnerIds().includes(normalizedTarget)) {
+      return { success: false, message: `${normalizedTarget.split('@')[0]} adalah owner dari OWNER_NUMBERS. Hapus nomornya dari OWNER_NUMBERS lalu restart bot untuk mengubah role-nya.` };
+    }
+
+    const granterRole = getUserRole(db, granterId);
+    const targetRole = getUserRole(db, normalizedTarget);
+
+    // Only owners can grant roles equal to or above their own, and nobody can modify a higher-ranked user
+    if (granterRole !== 'owner' && (getRoleRank(normalizedRole) >= getRoleRank(granterRole) || getRoleRank(targetRole) >= getRoleRank(granterRole))) {
+      return { success: false, message: `Role ${granterRole} tidak bisa memberikan role ${normalizedRole} kepada pengguna ini.` };
+    }
+
+    db.data.permissions.roles[normalizedTarget] = {
+      role: normalizedRole,
+      grantedBy: normalizeUserId(granterId),
+      grantedAt: new Date().toISOString()
+    };
+    await db.write();
+
+    return { success: true, message: `Role ${normalizedRole} berhasil diberikan kepada ${normalizedTarget.split('@')[0]}` };
+  } catch (error) {
+    console.error('Error granting role:', error);
+    return { success: false, message: 'Terjadi kesalahan saat memberikan role' };
+  }
+}
+
+/**
+ * Revoke the role of a user, returning them to the default role
+ * @param {Object} db - Database object
+ * @param {string} revokerId - WhatsApp ID of the user revoking the role
+ * @param {string} targetId - WhatsApp ID or phone number of the target user
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function revokeRole(db, revokerId, targetId) {
+  try {
+    ensurePermissionStructure(db);
+
+    const normalizedTarget = normalizeUserId(targetId);
+    const entry = normalizedTarget ? db.data.permissions.roles[normalizedTarget] : null;
+    if (!entry) {
+      return { success: false, message: 'Pengguna ini tidak memiliki role khusus.' };
+    }
+
+    // The role would come back with the next seeding
+    if (getEnvOwnerIds().includes(normalizedTarget)) {
+      return { success: false, message: `${normalizedTarget.split('@')[0]} adalah owner dari OWNER_NUMBERS. Hapus nomornya dari OWNER_NUMBERS lalu restart bot untuk mencabut role-nya.` };
+    }
+
+    const revokerRole = getUserRole(db, revokerId);
+    if (revokerRole !== 'owner' && getRoleRank(entry.role) >= getRoleRank(revokerRole)) {
+      return { success: false, message: `Role ${revokerRole} tidak bisa mencabut role ${entry.role}.` };
+    }
+
+    // Keep at least one owner so the bot cannot be locked out
+    if (entry.role === 'owner') {
+      const ownerCount = Object.values(db.data.permissions.roles).filter(r => r.role === 'owner').length;
+      if (ownerCount <= 1) {
+        return { success: false, message: 'Tidak bisa mencabut owner terakhir.' };
+      }
+    }
+
+    delete db.data.permissions.roles[normalizedTarget];
+    await db.write();
+
+    return { success: true, message: `Role ${entry.role} milik ${normalizedTarget.split('@')[0]} berhasil dicabut` };
+  } catch (error) {
+    console.error('Error revoking role:', error);
+    return { success: false, message: 'Terjadi kesalahan saat mencabut role' };
+  }
+}
+
+/**
+ * List all users with an explicit role
+ * @param {Object} db - Database object
+ * @returns {Array<Object>} - [{ userId, role, grantedBy, grantedAt }]
+ */
+function listRoles(db) {
+  ensurePermissionStructure(db);
+
+  return Object.entries(db.data.permissions.roles)
+    .map(([userId, entry]) => ({ userId, ...entry }))
+    .sort((a, b) => getRoleRank(b.role) - getRoleRank(a.role));
+}
+
+export {
+  ROLES,
+  DEFAULT_ROLE,
+  COMMAND_ROLES,
+  GROUP_SCOPED_COMMANDS,
+  PRIVATE_CHAT_COMMANDS,
+  normalizeUserId,
+  hasRole,
+  ensurePermissionStructure,
+  getUserRole,
+  getCommandRole,
+  isGroupAdmin,
+  authorizeCommand,
+  grantRole,
+  revokeRole,
+  listRoles
+};
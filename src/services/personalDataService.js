@@ -0,0 +1,501 @@
+/**
+ * Personal Data Service
+ * Lets people see and manage what the bot stores about them: their facts (paged, by category),
+ * corrections and deletions of single facts, a full export, and wiping everything across all chats.
+ * Role grants in db.data.permissions are kept on purpose, so nobody can clear a restriction this way.
+ */
+
+import { discardPendingConflict } from './factConflictService.js';
+import { removeApiLogEntries } from './apiLogService.js';
+import { forgetUserIdentity } from '../utils/messageUtils.js';
+
+// Facts shown per !myfacts page
+const FACTS_PER_PAGE = 15;
+
+// Values longer than this are shortened in !myfacts
+const MAX_FACT_DISPLAY_CHARS = 120;
+
+// Shorter messages ("ok", "wkwk") are not searched for in the API logs; they would match almost every entry
+const MIN_LOGGED_TEXT_CHARS = 4;
+
+// Number part of a WhatsApp ID
+function getBareId(id) {
+  return (id || '').split('@')[0].split(':')[0];
+}
+
+// "Favorite Food" and "favorite-food" both refer to favorite_food
+function normalizeFactKey(key) {
+  return (key || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Find the stored key a user means
+ * @param {Object} facts - The user's facts
+ * @param {string} key - Key as typed
+ * @returns {string|null}
+ */
+function findFactKey(facts, key) {
+  if (!facts || !key) {
+    return null;
+  }
+  if (facts[key]) {
+    return key;
+  }
+  const normalized = normalizeFactKey(key);
+  return Object.keys(facts).find(existing => normalizeFactKey(existing) === normalized) || null;
+}
+
+// Drop the search index entries a predicate selects (the caller persists the database)
+function removeVectorEntries(db, predicate) {
+  const entries = db.data.vectorIndex?.entries;
+  if (!entries) {
+    return 0;
+  }
+
+  let removed = 0;
+  for (const [key, entry] of Object.entries(entries)) {
+    if (predicate(entry)) {
+      delete entries[key];
+      removed++;
+    }
+  }
+  return removed;
+}
+
+function removeFactRelationships(db, userId, factKey = null) {
+  const relationships = db.data.factRelationships || {};
+  for (const [id, relationship] of Object.entries(relationships)) {
+    if (relationship.userId === userId && (!factKey || relationship.fact1 === factKey || relationship.fact2 === factKey)) {
+      delete relationships[id];
+    }
+  }
+}
+
+/**
+ * One page of a user's facts, grouped by category
+ * @param {Object} db - Database object
+ * @param {string} userId - User ID
+ * @param {Object} options - { category, page, categories: category order (FACT_CATEGORIES values) }
+ * @returns {Object} - { success, message, page, pages, total }
+ */
+function getFactsPage(db, userId, options = {}) {
+  const { category = null, categories = [] } = options;
+  const facts = db.data.userFacts?.[userId]?.facts || {};
+  const order = (cat) => {
+    const index = categories.indexOf(cat);
+    return index === -1 ? categories.length : index;
+  };
+
+  if (category && categories.length > 0 && !categories.includes(category)) {
+    return { success: false, message: `Kategori tidak dikenal. Pilih salah satu: ${categories.join(', ')}` };
+  }
+
+  const entries = Object.entries(facts)
+    .filter(([, fact]) => !category || fact.category === category)
+    .sort(([keyA, a], [keyB, b]) => order(a.category) - order(b.category) || keyA.localeCompare(keyB));
+
+  if (entries.length === 0) {
+    return {
+      success: true,
+      message: category ? `Belum ada fakta tentang kamu di kategori ${category}.` : 'Aku belum menyimpan fakta apa pun tentang kamu.',
+      page: 1,
+      pages: 1,
+      total: 0
+    };
+  }
+
+  const pages = Math.ceil(entries.length / FACTS_PER_PAGE);
+  const page = Math.min(Math.max(parseInt(options.page) || 1, 1), pages);
+  const shown = entries.slice((page - 1) * FACTS_PER_PAGE, page * FACTS_PER_PAGE);
+
+  let message = `🧠 *Yang aku tahu tentang kamu* (${entries.length} fakta${category ? `, kategori ${category}` : ''})\n`;
+  let currentCategory;
+  for (const [key, fact] of shown) {
+    const factCategory = fact.category || 'lainnya';
+    if (factCategory !== currentCategory) {
+      message += `\n*${factCategory}*\n`;
+      currentCategory = factCategory;
+    }
+    const value = String(fact.value);
+    const display = value.length > MAX_FACT_DISPLAY_CHARS ? `${value.substring(0, MAX_FACT_DISPLAY_CHARS)}...` : value;
+    message += `• ${key}: ${display}${fact.manuallyVerified ? ' ✓' : ''}\n`;
+  }
+
+  if (pages > 1) {
+    message += `\nHalaman ${page}/${pages}${page < pages ? ` - lanjut dengan !myfacts ${category ? `${category} ` : ''}${page + 1}` : ''}`;
+  }
+  message += '\nUbah dengan !correct [kunci] [nilai], hapus dengan !forget [kunci]';
+
+  return { success: true, message, page, pages, total: entries.length };
+}
+
+/**
+ * Replace the value of one of the user's facts with what they say is right
+ * @param {Object} db - Database object
+ * @param {string} userId - User ID
+ * @param {string} key - Fact key as typed
+ * @param {string} value - Correct value
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { success, message, key }
+ */
+async function correctUserFact(db, userId, key, value, now = new Date()) {
+  const userFactsObj = db.data.userFacts?.[userId];
+  const factKey = findFactKey(userFactsObj?.facts, key);
+  const newValue = (value || '').trim();
+
+  if (!factKey) {
+    return { success: false, message: `Fakta "${key}" tidak ditemukan. Lihat daftarnya dengan !myfacts` };
+  }
+  if (!newValue) {
+    return { success: false, message: 'Nilai barunya belum diisi. Contoh: !correct favorite_food rendang' };
+  }
+
+  const oldFact = userFactsObj.facts[factKey];
+  userFactsObj.factHistory = userFactsObj.factHistory || [];
+  userFactsObj.factHistory.push({
+    fact: factKey,
+    oldValue: oldFact.value,
+    newValue,
+    oldConfidence: oldFact.confidence,
+    newConfidence: 1,
+    timestamp: now.toISOString(),
+    source: 'user-correction'
+  });
+
+  // The person settled any contradiction about this fact themselves
+  discardPendingConflict(userFactsObj, factKey);
+
+  // The corrected value no longer comes from the old messages, so deleting those must not retract it
+  const { sourceMessages, ...rest } = oldFact;
+  userFactsObj.facts[factKey] = {
+    ...rest,
+    value: newValue,
+    confidence: 1,
+    factType: 'explicit',
+    source: 'user-correction',
+    manuallyVerified: true,
+    lastUpdated: now.toISOString()
+  };
+
+  // The indexed text is stale; the fact is re-embedded the next time facts are searched
+  removeVectorEntries(db, entry => entry.type === 'fact' && entry.sourceId === `${userId}:${factKey}`);
+  await db.write();
+
+  console.log(`User ${userId} corrected fact ${factKey}`);
+  return { success: true, message: `Oke, sudah aku perbaiki: ${factKey} = ${newValue}`, key: factKey };
+}
+
+/**
+ * Forget one of the user's facts. The value is not kept in the fact history.
+ * @param {Object} db - Database object
+ * @param {string} userId - User ID
+ * @param {string} key - Fact key as typed
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { success, message, key }
+ */
+async function forgetUserFact(db, userId, key, now = new Date()) {
+  const userFactsObj = db.data.userFacts?.[userId];
+  const factKey = findFactKey(userFactsObj?.facts, key);
+
+  if (!factKey) {
+    return { success: false, message: `Fakta "${key}" tidak ditemukan. Lihat daftarnya dengan !myfacts` };
+  }
+
+  userFactsObj.factHistory = userFactsObj.factHistory || [];
+  userFactsObj.factHistory.push({
+    fact: factKey,
+    oldValue: null,
+    newValue: null,
+    oldConfidence: userFactsObj.facts[factKey].confidence,
+    newConfidence: 0,
+    timestamp: now.toISOString(),
+    reason: 'user-request'
+  });
+
+  delete userFactsObj.facts[factKey];
+  discardPendingConflict(userFactsObj, factKey);
+  removeFactRelationships(db, userId, factKey);
+  removeVectorEntries(db, entry => entry.type === 'fact' && entry.sourceId === `${userId}:${factKey}`);
+  await db.write();
+
+  console.log(`User ${userId} made the bot forget fact ${factKey}`);
+  return { success: true, message: `Oke, aku sudah lupa soal ${factKey}.`, key: factKey };
+}
+
+// Messages of a chat written by the user, or describing an image they sent
+function isUserMessage(msg, userId) {
+  return msg.sender === userId || msg.metadata?.originalSender === userId;
+}
+
+/**
+ * Everything stored about a user, for !exportme
+ * @param {Object} db - Database object
+ * @param {string} userId - User ID
+ * @param {Date} now - Current time
+ * @returns {Object}
+ */
+function exportUserData(db, userId, now = new Date()) {
+  const data = db.data;
+  const userFactsObj = data.userFacts?.[userId] || {};
+
+  const chats = Object.entries(data.conversations || {})
+    .map(([chatId, conversation]) => {
+      const isPrivate = chatId === userId;
+      const messages = (conversation.messages || [])
+        .filter(msg => isPrivate || isUserMessage(msg, userId))
+        .map(msg => ({
+          id: msg.id,
+          timestamp: msg.timestamp,
+          from: msg.role === 'assistant' ? 'bot' : 'you',
+          content: msg.content,
+          ...(msg.deletedAt && { deletedAt: msg.deletedAt })
+        }));
+      const participant = conversation.participants?.[userId] || null;
+
+      return messages.length > 0 || participant
+        ? { chatId, chatName: isPrivate ? 'Chat pribadi' : (conversation.chatName || chatId), participant, messages }
+        : null;
+    })
+    .filter(Boolean);
+
+  const reactions = Object.values(data.messageFeedback || {})
+    .filter(entry => entry.reactions?.[userId])
+    .map(entry => ({ chatId: entry.chatId, messageId: entry.messageId, botMessage: entry.content, ...entry.reactions[userId] }));
+
+  return {
+    exportedAt: now.toISOString(),
+    userId,
+    profile: data.participantsRegistry?.[userId] || null,
+    role: data.permissions?.roles?.[userId] || null,
+    preferences: data.userPreferences?.[userId] || null,
+    facts: userFactsObj.facts || {},
+    factHistory: userFactsObj.factHistory || [],
+    pendingConflicts: userFactsObj.pendingConflicts || [],
+    pendingFollowUps: userFactsObj.pendingFollowUps || [],
+    chats,
+    images: Object.values(data.imageAnalysis || {})
+      .filter(analysis => analysis.sender === userId)
+      .map(({ id, chatId, timestamp, caption, summary }) => ({ id, chatId, timestamp, caption, summary })),
+    documents: Object.values(data.chatDocuments || {})
+      .filter(document => document.uploadedBy === userId)
+      .map(({ id, chatId, fileName, uploadedAt }) => ({ id, chatId, fileName, uploadedAt })),
+    reminders: Object.values(data.reminders || {}).filter(reminder => reminder.createdBy === userId),
+    statuses: data.contactStatuses?.[userId] || [],
+    reactions
+  };
+}
+
+/**
+ * Human-readable version of an export
+ * @param {Object} data - Result of exportUserData
+ * @returns {string} - Markdown
+ */
+function formatUserDataMarkdown(data) {
+  const lines = [
+    `# Data tersimpan untuk ${data.profile?.name || getBareId(data.userId)}`,
+    '',
+    `Diekspor: ${data.exportedAt}`,
+    `ID: ${data.userId}`,
+    ''
+  ];
+
+  if (data.profile) {
+    lines.push('## Profil', '');
+    lines.push(`- Nama: ${data.profile.name || '-'}`);
+    lines.push(`- Pertama terlihat: ${data.profile.firstSeen || '-'}`);
+    lines.push(`- Terakhir aktif: ${data.profile.lastActive || '-'}`);
+    lines.push(`- Total pesan: ${data.profile.totalMessages || 0}`, '');
+  }
+
+  const factEntries = Object.entries(data.facts);
+  lines.push(`## Fakta (${factEntries.length})`, '');
+  factEntries.forEach(([key, fact]) => {
+    const previous = (fact.previousValues || []).map(entry => entry.value).join(', ');
+    lines.push(`- **${key}**: ${fact.value} _(${fact.category || 'lainnya'}, keyakinan ${Math.round((fact.confidence || 0) * 100)}%)_${previous ? ` - sebelumnya: ${previous}` : ''}`);
+  });
+  lines.push('');
+
+  data.chats.forEach(chat => {
+    lines.push(`## ${chat.chatName} (${chat.messages.length} pesan)`, '');
+    chat.messages.forEach(msg => {
+      lines.push(`- [${msg.timestamp}] ${msg.from === 'bot' ? 'Bot' : 'Kamu'}: ${String(msg.content || '').replace(/\s+/g, ' ')}`);
+    });
+    lines.push('');
+  });
+
+  const sections = [
+    ['Analisis gambar', data.images.map(image => `[${image.timestamp}] ${image.summary || image.caption || image.id}`)],
+    ['Dokumen', data.documents.map(document => `${document.fileName} (${document.uploadedAt})`)],
+    ['Pengingat', data.reminders.map(reminder => `${reminder.dueAt}: ${reminder.message}`)],
+    ['Status WhatsApp', data.statuses.map(status => `[${status.postedAt}] ${[status.text, status.description].filter(Boolean).join(' - ')}`)],
+    ['Reaksi', data.reactions.map(reaction => `${reaction.emoji} pada "${reaction.botMessage}"`)]
+  ];
+  sections.filter(([, items]) => items.length > 0).forEach(([title, items]) => {
+    lines.push(`## ${title}`, '', ...items.map(item => `- ${item}`), '');
+  });
+
+  return lines.join('\n');
+}
+
+// Whether a summary covers messages of someone with one of the given names
+function mentionsParticipant(summary, names) {
+  return (summary.participants || []).some(name => names.has(name));
+}
+
+/**
+ * Remove everything stored about a user in every chat: facts, messages, image analyses, participant
+ * records, reminders, statuses, preferences, reactions and their search index entries, summaries
+ * covering their messages and the API log entries containing them. Private chats with the user are
+ * removed entirely, including their documents. Bot replies in groups, documents shared in groups and
+ * role grants stay.
+ * @param {Object} db - Database object
+ * @param {string} userId - User ID
+ * @param {Object} options - { apiLogsDir } (defaults to logs/api)
+ * @returns {Promise<Object>} - { success, message, removed: { facts, messages, images, documents, summaries, apiLogs, chats } }
+ */
+async function forgetUser(db, userId, options = {}) {
+  const data = db.data;
+  const removed = { facts: 0, messages: 0, images: 0, documents: 0, summaries: 0, apiLogs: 0, chats: 0 };
+
+  // Collected before the records go: names for the summaries, texts for the API logs
+  const names = new Set([data.participantsRegistry?.[userId]?.name]);
+  const texts = new Set();
+
+  removed.facts = Object.keys(data.userFacts?.[userId]?.facts || {}).length;
+  if (data.userFacts) {
+    delete data.userFacts[userId];
+  }
+  removeFactRelationships(db, userId);
+
+  const removedMessageIds = new Set();
+  for (const [chatId, conversation] of Object.entries(data.conversations || {})) {
+    names.add(conversation.participants?.[userId]?.name);
+    (conversation.messages || [])
+      .filter(msg => msg.role === 'user' && (chatId === userId || isUserMessage(msg, userId)))
+      .forEach(msg => texts.add(msg.content));
+
+    if (chatId === userId) {
+      removed.messages += (conversation.messages || []).length;
+      (conversation.messages || []).forEach(msg => removedMessageIds.add(`${chatId}:${msg.id}`));
+      delete data.conversations[chatId];
+      removed.chats++;
+      continue;
+    }
+
+    const own = (conversation.messages || []).filter(msg => isUserMessage(msg, userId));
+    const wasParticipant = !!conversation.participants?.[userId];
+    if (own.length === 0 && !wasParticipant) {
+      continue;
+    }
+
+    own.forEach(msg => removedMessageIds.add(`${chatId}:${msg.id}`));
+    conversation.messages = conversation.messages.filter(msg => !isUserMessage(msg, userId));
+    if (wasParticipant) {
+      delete conversation.participants[userId];
+    }
+    removed.messages += own.length;
+    removed.chats++;
+  }
+
+  if (Array.isArray(data.contextMemory)) {
+    data.contextMemory = data.contextMemory.filter(msg => msg.chatId !== userId && !isUserMessage(msg, userId));
+  }
+
+  // Summaries of the private chat go; in groups, the summaries covering their messages and their
+  // messages still waiting to be summarized
+  names.delete(undefined);
+  if (data.conversationSummaries) {
+    delete data.conversationSummaries[userId];
+    Object.values(data.conversationSummaries).forEach(summaries => {
+      summaries.pending = (summaries.pending || []).filter(msg => msg.sender !== userId);
+      for (const level of ['chunks', 'days', 'weeks']) {
+        const kept = (summaries[level] || []).filter(summary => !mentionsParticipant(summary, names));
+        removed.summaries += (summaries[level] || []).length - kept.length;
+        summaries[level] = kept;
+      }
+    });
+  }
+
+  // Documents shared in the private chat
+  const documentIds = Object.values(data.chatDocuments || {})
+    .filter(document => document.chatId === userId)
+    .map(document => document.id);
+  documentIds.forEach(id => delete data.chatDocuments[id]);
+  removed.documents = documentIds.length;
+
+  const imageIds = Object.values(data.imageAnalysis || {})
+    .filter(analysis => analysis.sender === userId || analysis.chatId === userId)
+    .map(analysis => analysis.id);
+  imageIds.forEach(id => {
+    delete data.imageAnalysis[id];
+    if (data.imageEmbeddings) {
+      delete data.imageEmbeddings[id];
+    }
+  });
+  removed.images = imageIds.length;
+
+  removeVectorEntries(db, entry =>
+    (entry.type === 'fact' && entry.sourceId.startsWith(`${userId}:`)) ||
+    (entry.type === 'message' && (removedMessageIds.has(entry.sourceId) || entry.metadata?.userId === userId)) ||
+    (entry.type === 'image' && imageIds.includes(entry.sourceId)) ||
+    (entry.type === 'document' && (documentIds.includes(entry.metadata?.docId) || entry.metadata?.chatId === userId))
+  );
+
+  // API logs keep whole requests; entries of their chats or containing their messages go
+  const loggedTexts = [...texts]
+    .filter(text => typeof text === 'string' && text.trim().length >= MIN_LOGGED_TEXT_CHARS)
+    .map(text => JSON.stringify(text).slice(1, -1));
+  removed.apiLogs = removeApiLogEntries(entry => {
+    if (entry.metadata?.chatId === userId || entry.metadata?.userId === userId) {
+      return true;
+    }
+    const logged = JSON.stringify(entry.request ?? '');
+    return loggedTexts.some(text => logged.includes(text));
+  }, options.apiLogsDir);
+
+  for (const reminder of Object.values(data.reminders || {})) {
+    if (reminder.createdBy === userId || reminder.chatId === userId) {
+      delete data.reminders[reminder.id];
+    } else if (reminder.mentions?.includes(userId)) {
+      reminder.mentions = reminder.mentions.filter(id => id !== userId);
+    }
+  }
+
+  for (const [key, entry] of Object.entries(data.messageFeedback || {})) {
+    if (entry.chatId === userId) {
+      delete data.messageFeedback[key];
+    } else if (entry.reactions?.[userId]) {
+      delete entry.reactions[userId];
+      if (Object.keys(entry.reactions).length === 0) {
+        delete data.messageFeedback[key];
+      }
+    }
+  }
+
+  [data.participantsRegistry, data.contactStatuses, data.userPreferences, data.state?.userInteractions]
+    .filter(Boolean)
+    .forEach(collection => delete collection[userId]);
+  forgetUserIdentity(userId);
+
+  await db.write();
+
+  console.log(`Forgot user ${userId}: ${removed.facts} facts, ${removed.messages} messages, ${removed.images} images, ${removed.documents} documents, ${removed.summaries} summaries and ${removed.apiLogs} API log entries in ${removed.chats} chats`);
+  return {
+    success: true,
+    message: `🧹 Data kamu sudah dihapus: ${removed.facts} fakta, ${removed.messages} pesan, ${removed.images} analisis gambar, ${removed.documents} dokumen dan ${removed.summaries} rangkuman dari ${removed.chats} chat, serta ${removed.apiLogs} catatan log API.\n` +
+      'Yang tetap disimpan: balasan bot di grup, dokumen yang kamu bagikan di grup (hapus dengan !forgetdoc) dan peran dari !grant.',
+    removed
+  };
+}
+
+export {
+  FACTS_PER_PAGE,
+  normalizeFactKey,
+  findFactKey,
+  getFactsPage,
+  correctUserFact,
+  forgetUserFact,
+  exportUserData,
+  formatUserDataMarkdown,
+  forgetUser
+};
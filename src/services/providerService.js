@@ -0,0 +1,1293 @@
+/**
+ * Provider Service
+ * Single request interface for every chat-completion provider (OpenRouter, Gemini,
+ * Together.AI, NVIDIA, a local OpenAI-compatible server and custom endpoints) and the ordered
+ * fallback chain configured in db.data.config.fallbackChain.
+ *
+ * All adapters return responses in the OpenAI chat-completions shape
+ * ({ choices: [{ message }], usage }) so callers never branch on provider.
+ */
+
+import axios from 'axios';
+import { getDb } from '../database/index.js';
+import { logApiRequest } from './apiLogService.js';
+import { logger } from '../utils/logger.js';
+import { acquireRequestSlot, recordRequestResult } from './rateLimitService.js';
+import { recordUsage, applyChatBudget } from './usageService.js';
+import { resolveChatConfig } from './groupConfigService.js';
+
+const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1/models';
+const TOGETHER_API_URL = 'https://api.together.xyz/v1/chat/completions';
+const NVIDIA_API_URL = 'https://integrate.api.nvidia.com/v1/chat/completions';
+
+// Default base URL for the local provider (Ollama; llama.cpp and LM Studio use other ports)
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+// Request purposes that share the fallback chain
+const PURPOSES = ['chat', 'analysis', 'factExtraction', 'image'];
+
+// Used when db.data.config.fallbackChain is not set. It holds only the hops after the primary provider,
+// so with the default primary (Together) requests go Together -> NVIDIA -> Gemini as before; another
+// primary is followed by NVIDIA and Gemini without Together.
+const DEFAULT_FALLBACK_CHAIN = [
+  { provider: 'nvidia', purposes: ['chat', 'analysis', 'factExtraction'] },
+  { provider: 'gemini', model: 'gemini-2.0-flash' }
+];
+
+// Hosted models known to support tool/function calling. Local and custom endpoints
+// detect support at runtime instead (see modelSupportsTools).
+const TOOL_SUPPORTED_MODELS = [
+  // Meta Llama models
+  'meta-llama/Llama-4-Maverick-17B',
+  'meta-llama/Llama-4-Scout-17B',
+  'meta-llama/Meta-Llama-3.1-8B',
+  'meta-llama/Meta-Llama-3.1-70B',
+  'meta-llama/Meta-Llama-3.1-405B',
+  'meta-llama/Llama-3.3-70B',
+  'meta-llama/Llama-3.2-3B',
+  'meta/llama-3.3-70b-instruct',
+  // Qwen models
+  'Qwen/Qwen2.5-7B',
+  'Qwen/Qwen2.5-72B',
+  'Qwen/Qwen3-235B',
+  // Deepseek models
+  'deepseek-ai/DeepSeek-V3',
+  // Mistral models
+  'mistralai/Mistral-Small-24B',
+  // Claude models
+  'claude-3-5-sonnet',
+  'claude-3-haiku',
+  'claude-3-opus',
+  // OpenAI models
+  'gpt-4o',
+  'gpt-4-turbo',
+  'gpt-4',
+  'gpt-3.5-turbo',
+  // Google models
+  'gemini-1.5-pro',
+  'gemini-1.5-flash',
+  'gemini-2.0-pro',
+  'gemini-2.0-flash'
+];
+
+// Model definitions for Together.AI
+const TOGETHER_MODELS = [
+  'deepseek-ai/DeepSeek-R1-Distill-Llama-70B-free',
+  'meta-llama/Llama-3.3-8B-Instruct-Turbo-Free',
+  'meta-llama/Llama-Vision-Free' // Vision model for image analysis
+];
+
+// Rate limit error messages to detect
+const RATE_LIMIT_ERRORS = [
+  'rate limit exceeded',
+  'too many requests',
+  'quota exceeded',
+  'free-models-per-day'
+];
+
+// Rate limit fragments that mean the daily quota (not the per-minute one) is used up
+const DAILY_LIMIT_ERRORS = [
+  'free-models-per-day',
+  'per day',
+  'per-day',
+  'perday',
+  'daily'
+];
+
+// Error fragments returned by OpenAI-compatible servers that reject the tools parameter
+// (Ollama, llama.cpp without --jinja, vLLM without --enable-auto-tool-choice)
+const TOOLS_UNSUPPORTED_ERRORS = [
+  'does not support tools',
+  'tools param requires',
+  'tool choice requires',
+  'tools are not supported',
+  'function calling is not supported'
+];
+
+// Built-in providers
+const PROVIDERS = {
+  openrouter: {
+    label: 'OpenRouter',
+    type: 'openai',
+    url: OPENROUTER_API_URL,
+    getApiKey: (config) => process.env.OPENROUTER_API_KEY || config.openrouterApiKey,
+    getDefaultModel: (config) => config.model,
+    headers: {
+      'HTTP-Referer': 'https://github.com/qi-ai-chatbot',
+      'X-Title': 'Qi AI WhatsApp Chatbot'
+    }
+  },
+  gemini: {
+    label: 'Gemini',
+    type: 'gemini',
+    url: GEMINI_API_URL,
+    getApiKey: (config) => config.geminiApiKey || process.env.GEMINI_API_KEY,
+    getDefaultModel: () => 'gemini-2.0-flash'
+  },
+  together: {
+    label: 'Together.AI',
+    type: 'openai',
+    url: TOGETHER_API_URL,
+    getApiKey: (config) => config.togetherApiKey || process.env.TOGETHER_API_KEY,
+    getDefaultModel: () => 'meta-llama/Llama-3.3-8B-Instruct-Turbo-Free',
+    maxTokensCap: 1500
+  },
+  nvidia: {
+    label: 'NVIDIA',
+    type: 'openai',
+    url: NVIDIA_API_URL,
+    getApiKey: (config) => config.nvidiaApiKey || process.env.NVIDIA_API_KEY,
+    getDefaultModel: (config) => config.nvidiaModel || process.env.NVIDIA_MODEL || 'meta/llama-3.3-70b-instruct',
+    maxTokensCap: 1500,
+    parseInlineFunctionCalls: true
+  },
+  local: {
+    label: 'Local',
+    type: 'openai',
+    getUrl: (config) => toChatCompletionsUrl(getLocalBaseUrl(config)),
+    getApiKey: (config) => config.localEndpoint?.apiKey || process.env.LOCAL_API_KEY || null,
+    getDefaultModel: (config) => config.localEndpoint?.model || process.env.LOCAL_MODEL || null,
+    requiresApiKey: false,
+    detectToolSupport: true,
+    listModels: true,
+    timeout: 300000
+  }
+};
+
+/**
+ * Get the base URL of the local OpenAI-compatible server
+ * @param {Object} config - Bot config
+ * @returns {string} - Base URL (e.g. "http://localhost:11434/v1")
+ */
+function getLocalBaseUrl(config) {
+  return config.localEndpoint?.baseUrl || process.env.LOCAL_API_URL || DEFAULT_LOCAL_BASE_URL;
+}
+
+/**
+ * Turn a base URL into a chat-completions endpoint
+ * @param {string} baseUrl - e.g. "http://localhost:11434/v1"
+ * @returns {string} - e.g. "http://localhost:11434/v1/chat/completions"
+ */
+function toChatCompletionsUrl(baseUrl) {
+  const trimmed = baseUrl.replace(/\/+$/, '');
+  return trimmed.endsWith('/chat/completions') ? trimmed : `${trimmed}/chat/completions`;
+}
+
+/**
+ * Turn a chat-completions endpoint into the matching model list endpoint
+ * @param {string} chatUrl - e.g. "http://localhost:11434/v1/chat/completions"
+ * @returns {string} - e.g. "http://localhost:11434/v1/models"
+ */
+function toModelsUrl(chatUrl) {
+  return chatUrl.replace(/\/chat\/completions$/, '/models');
+}
+
+/**
+ * Get a provider definition by name (built-in or custom from db.data.config.customProviders)
+ * @param {string} name - Provider name
+ * @param {Object} config - Bot config
+ * @returns {Object|null} - Provider definition
+ */
+function getProvider(name, config = getDb().data.config) {
+  if (!name) return null;
+  const normalizedName = name.toLowerCase();
+
+  if (PROVIDERS[normalizedName]) {
+    const definition = PROVIDERS[normalizedName];
+    return {
+      name: normalizedName,
+      ...definition,
+      url: definition.getUrl ? definition.getUrl(config) : definition.url
+    };
+  }
+
+  const custom = config.customProviders?.[normalizedName];
+  if (custom && custom.baseUrl) {
+    return {
+      name: normalizedName,
+      label: custom.label || normalizedName,
+      type: 'openai',
+      url: toChatCompletionsUrl(custom.baseUrl),
+      getApiKey: () => custom.apiKey || (custom.apiKeyEnv ? process.env[custom.apiKeyEnv] : null),
+      getDefaultModel: () => custom.model,
+      requiresApiKey: !!(custom.apiKey || custom.apiKeyEnv),
+      detectToolSupport: true,
+      listModels: true
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Get the names of all known providers
+ * @param {Object} config - Bot config
+ * @returns {Array<string>} - Provider names
+ */
+function getProviderNames(config = getDb().data.config) {
+  return [...Object.keys(PROVIDERS), ...Object.keys(config.customProviders || {})];
+}
+
+/**
+ * Check whether a provider has the credentials it needs
+ * @param {Object} provider - Provider definition
+ * @param {Object} config - Bot config
+ * @returns {boolean}
+ */
+function isProviderConfigured(provider, config) {
+  return provider.requiresApiKey === false || !!provider.getApiKey(config);
+}
+
+/**
+ * Determine the chat provider from the config (provider name or model naming)
+ * @param {Object} config - Bot (or chat-resolved) config
+ * @returns {string} - Provider name
+ */
+function resolveChatProvider(config) {
+  const provider = (config.defaultProvider || 'openrouter').toLowerCase();
+
+  if (provider === 'gemini' || (config.model && (config.model.startsWith('google/') || config.model.startsWith('gemini')))) {
+    return 'gemini';
+  }
+
+  if (provider === 'together' || (config.model && TOGETHER_MODELS.includes(config.model))) {
+    return 'together';
+  }
+
+  if (getProvider(provider, config)) {
+    return provider;
+  }
+
+  return 'openrouter';
+}
+
+/**
+ * Get the tool-call support learned at runtime for a provider/model
+ * @param {Object} state - db.data.state
+ * @param {string} providerName - Provider name
+ * @param {string} model - Model name
+ * @returns {boolean|undefined} - undefined when the model has not been probed yet
+ */
+function getLearnedToolSupport(state, providerName, model) {
+  return state?.toolSupport?.[`${providerName}/${model}`];
+}
+
+/**
+ * Remember whether a provider/model accepts the tools parameter
+ * @param {Object} db - Database object
+ * @param {string} providerName - Provider name
+ * @param {string} model - Model name
+ * @param {boolean} supported - Detected support
+ */
+async function recordToolSupport(db, providerName, model, supported) {
+  if (!db.data.state.toolSupport) {
+    db.data.state.toolSupport = {};
+  }
+
+  db.data.state.toolSupport[`${providerName}/${model}`] = supported;
+  await db.write();
+
+  logger.info(`Tool calling ${supported ? 'supported' : 'not supported'} by ${providerName}/${model}`);
+}
+
+/**
+ * Forget learned tool-call support for a provider (e.g. after its endpoint changes)
+ * @param {Object} db - Database object
+ * @param {string} providerName - Provider name
+ */
+function clearToolSupport(db, providerName) {
+  const toolSupport = db.data.state?.toolSupport;
+  if (!toolSupport) return;
+
+  for (const key of Object.keys(toolSupport)) {
+    if (key.startsWith(`${providerName}/`)) {
+      delete toolSupport[key];
+    }
+  }
+}
+
+/**
+ * Check whether a model supports tool calling.
+ * Providers with detectToolSupport use what was learned from earlier requests and are
+ * optimistically sent tools until the server rejects them; hosted providers use TOOL_SUPPORTED_MODELS.
+ * @param {string} model - Model name
+ * @param {Object} provider - Provider definition (optional)
+ * @param {Object} state - db.data.state (optional)
+ * @returns {boolean}
+ */
+function modelSupportsTools(model, provider = null, state = null) {
+  if (!model) return false;
+
+  if (provider?.detectToolSupport) {
+    const learned = getLearnedToolSupport(state, provider.name, model);
+    return learned === undefined ? true : learned;
+  }
+
+  return TOOL_SUPPORTED_MODELS.some(supported => model.toLowerCase().includes(supported.toLowerCase()));
+}
+
+/**
+ * Classify a provider error into a fallback reason
+ * @param {Error} error - Error thrown by a provider request
+ * @returns {string} - Reason code
+ */
+function classifyProviderError(error) {
+  if (error.reason) return error.reason;
+
+  const status = error.response?.status;
+  const message = (error.message || '').toLowerCase();
+  const detail = JSON.stringify(error.response?.data || '').toLowerCase();
+
+  if (status === 429 || RATE_LIMIT_ERRORS.some(term => message.includes(term) || detail.includes(term))) {
+    return 'rate_limited';
+  }
+
+  if ((status === 400 || status === 422 || status === 500) &&
+      TOOLS_UNSUPPORTED_ERRORS.some(term => detail.includes(term))) {
+    return 'tools_unsupported';
+  }
+
+  if ((status === 422 || status === 400) &&
+      (detail.includes('max_new_tokens') || detail.includes('input validation error') ||
+       detail.includes('token limit') || detail.includes('context length'))) {
+    return 'context_too_long';
+  }
+
+  if (status === 401 || status === 403) {
+    return 'auth_failed';
+  }
+
+  if (status === 404 || message.includes('not found') || message.includes('unavailable')) {
+    return 'model_unavailable';
+  }
+
+  if (status >= 500) {
+    return 'server_error';
+  }
+
+  if (!error.response && error.request) {
+    return 'network_error';
+  }
+
+  if (message.startsWith('invalid response format')) {
+    return 'invalid_response';
+  }
+
+  return 'request_failed';
+}
+
+/**
+ * Check whether a rate limit error refers to the daily quota
+ * @param {Error} error - Error thrown by a provider request
+ * @returns {boolean}
+ */
+function isDailyLimitError(error) {
+  const text = `${error.message || ''} ${JSON.stringify(error.response?.data || '')}`.toLowerCase();
+  return DAILY_LIMIT_ERRORS.some(term => text.includes(term));
+}
+
+/**
+ * Read the Retry-After header of a failed request
+ * @param {Error} error - Error thrown by a provider request
+ * @returns {number|null} - Milliseconds to wait, or null when absent
+ */
+function getRetryAfterMs(error) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (!retryAfter) return null;
+
+  const seconds = Number(retryAfter);
+  if (!isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Convert NVIDIA-style inline function calls in content into standard tool_calls.
+ * Some NVIDIA models answer with `<function>name{"query": "..."}</function>` instead of tool_calls.
+ * @param {Object} messageData - choices[0].message (mutated in place)
+ */
+function extractInlineFunctionCall(messageData) {
+  if (!messageData || messageData.tool_calls || typeof messageData.content !== 'string') {
+    return;
+  }
+
+  const patterns = [
+    /<function>([a-zA-Z0-9_]+)({.*?})<br><\/function>/s,
+    /<function>\s*([a-zA-Z0-9_]+)\s*({.*?})\s*(?:<br>)?\s*<\/function>/s
+  ];
+
+  let functionName = null;
+  let rawArgs = null;
+  let matchedText = null;
+
+  for (const pattern of patterns) {
+    const match = messageData.content.match(pattern);
+    if (match) {
+      functionName = match[1].trim();
+      rawArgs = match[2].trim();
+      matchedText = match[0];
+      break;
+    }
+  }
+
+  // Alternative format with name and arguments in a single string
+  if (!matchedText) {
+    const altMatch = messageData.content.match(/<function>([^<]+)<\/function>/s);
+    if (!altMatch) return;
+
+    const fullFunctionText = altMatch[1].trim();
+    const functionNameMatch = fullFunctionText.match(/^([a-zA-Z0-9_]+)/);
+    const jsonMatch = fullFunctionText.match(/({.*})/);
+    functionName = functionNameMatch ? functionNameMatch[1] : 'unknown_function';
+    rawArgs = jsonMatch ? jsonMatch[1] : '';
+    matchedText = altMatch[0];
+
+    if (!jsonMatch) {
+      const queryMatch = fullFunctionText.match(/query\s*[:=]\s*"([^"]*)"/);
+      rawArgs = queryMatch ? JSON.stringify({ query: queryMatch[1] }) : '{}';
+    }
+  }
+
+  let functionArgs = {};
+  try {
+    functionArgs = JSON.parse(rawArgs);
+  } catch (parseError) {
+    logger.warning(`Error parsing inline function arguments: ${parseError.message}, trying to clean up JSON`);
+
+    const cleanedJson = rawArgs
+      .replace(/,\s*}/g, '}')
+      .replace(/,\s*]/g, ']')
+      .replace(/(['"])?([a-zA-Z0-9_]+)(['"])?:/g, '"$2":')
+      .replace(/\\"/g, '"')
+      .replace(/\n/g, ' ');
+
+    try {
+      functionArgs = JSON.parse(cleanedJson);
+    } catch (secondError) {
+      // Extract key-value pairs manually as a last resort
+      const kvPattern = /"?([a-zA-Z0-9_]+)"?\s*:\s*"([^"]*)"/g;
+      let kvMatch;
+      while ((kvMatch = kvPattern.exec(rawArgs)) !== null) {
+        functionArgs[kvMatch[1]] = kvMatch[2];
+      }
+
+      if (Object.keys(functionArgs).length === 0) {
+        functionArgs = { raw_arguments: rawArgs };
+      }
+    }
+  }
+
+  messageData.tool_calls = [{
+    index: 0,
+    id: `nvidia_call_${Date.now()}`,
+    type: 'function',
+    function: {
+      name: functionName,
+      arguments: JSON.stringify(functionArgs)
+    }
+  }];
+  messageData.content = messageData.content.replace(matchedText, '').trim();
+
+  logger.debug('Converted inline function call to tool_calls', { functionName, functionArgs });
+}
+
+/**
+ * Parse a server-sent events stream into JSON payloads
+ * @param {ReadableStream} stream - Response body (axios responseType "stream")
+ * @yields {Object} - Parsed "data:" payloads ([DONE] and malformed lines are skipped)
+ */
+async function* readServerSentEvents(stream) {
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const data = trimmed.substring(5).trim();
+      if (!data || data === '[DONE]') continue;
+
+      try {
+        yield JSON.parse(data);
+      } catch (parseError) {
+        logger.debug(`Skipping malformed stream line: ${data.substring(0, 100)}`);
+      }
+    }
+  }
+}
+
+/**
+ * Report streaming progress without letting a failing callback break the request
+ * @param {Function} onProgress - Callback receiving the text generated so far
+ * @param {string} text - Text generated so far
+ */
+function reportProgress(onProgress, text) {
+  try {
+    onProgress(text);
+  } catch (error) {
+    logger.warning(`Streaming progress callback failed: ${error.message}`);
+  }
+}
+
+/**
+ * Assemble an OpenAI-compatible chat-completions stream into a regular response
+ * @param {ReadableStream} stream - Response body
+ * @param {Function} onProgress - Called with the accumulated content after each delta
+ * @returns {Promise<Object>} - OpenAI-style response
+ */
+async function readOpenAIStream(stream, onProgress) {
+  let content = '';
+  const toolCalls = [];
+  let usage;
+  let finishReason = null;
+
+  for await (const payload of readServerSentEvents(stream)) {
+    if (payload.error) {
+      const error = new Error(payload.error.message || 'Stream error');
+      error.response = { status: payload.error.code || 500, data: payload };
+      throw error;
+    }
+
+    if (payload.usage) {
+      usage = payload.usage;
+    }
+
+    const choice = payload.choices?.[0];
+    if (!choice) continue;
+
+    const delta = choice.delta || {};
+    if (delta.content) {
+      content += delta.content;
+      reportProgress(onProgress, content);
+    }
+
+    // Tool calls arrive in fragments keyed by index
+    for (const toolCallDelta of delta.tool_calls || []) {
+      const index = toolCallDelta.index ?? 0;
+      if (!toolCalls[index]) {
+        toolCalls[index] = { index, id: toolCallDelta.id, type: 'function', function: { name: '', arguments: '' } };
+      }
+      if (toolCallDelta.id) toolCalls[index].id = toolCallDelta.id;
+      if (toolCallDelta.function?.name) toolCalls[index].function.name += toolCallDelta.function.name;
+      if (toolCallDelta.function?.arguments) toolCalls[index].function.arguments += toolCallDelta.function.arguments;
+    }
+
+    if (choice.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+  }
+
+  const message = { role: 'assistant', content: content || (toolCalls.length > 0 ? null : '') };
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls.filter(Boolean);
+  }
+
+  return { choices: [{ message, finish_reason: finishReason }], usage };
+}
+
+/**
+ * Assemble a Gemini streamGenerateContent (alt=sse) stream into a generateContent-style response
+ * @param {ReadableStream} stream - Response body
+ * @param {Function} onProgress - Called with the accumulated text after each chunk
+ * @returns {Promise<Object>} - { candidates: [{ content: { parts } }], usageMetadata }
+ */
+async function readGeminiStream(stream, onProgress) {
+  let text = '';
+  const functionCallParts = [];
+  let usageMetadata;
+
+  for await (const payload of readServerSentEvents(stream)) {
+    if (payload.usageMetadata) {
+      usageMetadata = payload.usageMetadata;
+    }
+
+    for (const part of payload.candidates?.[0]?.content?.parts || []) {
+      if (part.text) {
+        text += part.text;
+        reportProgress(onProgress, text);
+      }
+      if (part.functionCall) {
+        functionCallParts.push(part);
+      }
+    }
+  }
+
+  return {
+    candidates: [{ content: { role: 'model', parts: [...(text ? [{ text }] : []), ...functionCallParts] } }],
+    usageMetadata
+  };
+}
+
+/**
+ * Replace a streamed error body with its parsed content so errors can be classified and logged
+ * @param {Error} error - Axios error from a streaming request
+ */
+async function resolveStreamErrorBody(error) {
+  const body = error.response?.data;
+  if (!body || typeof body.on !== 'function') return;
+
+  try {
+    let raw = '';
+    for await (const chunk of body) {
+      raw += chunk.toString('utf8');
+    }
+    try {
+      error.response.data = JSON.parse(raw);
+    } catch (parseError) {
+      error.response.data = raw;
+    }
+  } catch (readError) {
+    error.response.data = null;
+  }
+}
+
+/**
+ * Build the log metadata for a provider request
+ * @param {Object} meta - Caller metadata (purpose, chatId, fallback info)
+ * @param {number} startTime - Request start timestamp
+ * @param {Array} messages - Messages sent
+ * @returns {Object}
+ */
+function buildLogMetadata(meta, startTime, messages) {
+  return {
+    ...meta,
+    executionTime: Date.now() - startTime,
+    messageCount: messages.length
+  };
+}
+
+/**
+ * Request a chat completion from an OpenAI-compatible endpoint
+ * @param {Object} provider - Provider definition
+ * @param {string} model - Model name
+ * @param {string} apiKey - API key (may be empty for keyless endpoints)
+ * @param {Array} messages - OpenAI-style messages
+ * @param {Object} params - Generation parameters
+ * @param {Object} meta - Log metadata
+ * @returns {Promise<Object>} - OpenAI-style response
+ */
+async function requestOpenAICompatible(provider, model, apiKey, messages, params, meta) {
+  const startTime = Date.now();
+  const maxTokens = params.max_tokens || 1000;
+  // Inline <function> calls can only be parsed from the complete text, so those providers never stream
+  const streaming = typeof params.onProgress === 'function' && !provider.parseInlineFunctionCalls;
+
+  const requestData = {
+    model,
+    messages,
+    temperature: params.temperature || 0.7,
+    top_p: params.top_p || 0.95,
+    max_tokens: provider.maxTokensCap ? Math.min(maxTokens, provider.maxTokensCap) : maxTokens,
+    stream: streaming
+  };
+
+  if (params.tools && params.tools.length > 0) {
+    requestData.tools = params.tools;
+    if (params.tool_choice) {
+      requestData.tool_choice = params.tool_choice;
+    }
+  }
+
+  if (params.stop && Array.isArray(params.stop) && params.stop.length > 0) {
+    requestData.stop = params.stop;
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(provider.headers || {})
+  };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const logRequest = {
+    method: 'POST',
+    url: provider.url,
+    headers: { ...headers, ...(apiKey ? { 'Authorization': 'Bearer *** REDACTED ***' } : {}) },
+    data: requestData
+  };
+
+  try {
+    logger.debug(`Sending ${streaming ? 'streaming ' : ''}request to ${provider.label} API using model: ${model}`);
+    const response = await axios.post(provider.url, requestData, {
+      headers,
+      timeout: params.timeout || provider.timeout || 120000,
+      ...(streaming ? { responseType: 'stream' } : {})
+    });
+    const responseData = streaming ? await readOpenAIStream(response.data, params.onProgress) : response.data;
+
+    if (!responseData || !Array.isArray(responseData.choices) || responseData.choices.length === 0) {
+      const error = new Error('Invalid response format: no choices');
+      error.response = { status: response.status, data: responseData };
+      throw error;
+    }
+
+    const messageData = responseData.choices[0].message;
+
+    if (provider.parseInlineFunctionCalls) {
+      extractInlineFunctionCall(messageData);
+    }
+
+    if (!messageData || (!messageData.tool_calls && !messageData.content)) {
+      const error = new Error('Invalid response format: no message content or tool_calls');
+      error.response = { status: response.status, data: responseData };
+      throw error;
+    }
+
+    await logApiRequest(
+      provider.url,
+      provider.name,
+      model,
+      logRequest,
+      { status: response.status, statusText: response.statusText, data: responseData },
+      {
+        ...buildLogMetadata(meta, startTime, messages),
+        promptTokens: responseData.usage?.prompt_tokens || 0,
+        completionTokens: responseData.usage?.completion_tokens || 0,
+        success: true
+      }
+    );
+
+    return responseData;
+  } catch (error) {
+    if (streaming) {
+      await resolveStreamErrorBody(error);
+    }
+    logger.error(`${provider.label} API error: ${error.message}`);
+
+    await logApiRequest(
+      provider.url,
+      provider.name,
+      model,
+      logRequest,
+      error.response ? {
+        status: error.response.status,
+        statusText: error.response.statusText,
+        data: error.response.data
+      } : { error: error.message },
+      {
+        ...buildLogMetadata(meta, startTime, messages),
+        success: false,
+        error: error.message,
+        errorReason: classifyProviderError(error)
+      }
+    );
+
+    throw error;
+  }
+}
+
+/**
+ * Convert one OpenAI-style message into a Gemini content entry
+ * @param {Object} msg - OpenAI-style message
+ * @returns {Object} - Gemini content
+ */
+function toGeminiContent(msg) {
+  let parts;
+
+  if (Array.isArray(msg.content)) {
+    // Multimodal content (text + image_url data URIs)
+    parts = msg.content.map(part => {
+      if (part.type === 'image_url') {
+        const url = part.image_url?.url || '';
+        const dataMatch = url.match(/^data:([^;]+);base64,(.*)$/);
+        if (dataMatch) {
+          return { inline_data: { mime_type: dataMatch[1], data: dataMatch[2] } };
+        }
+        return { text: `[image: ${url}]` };
+      }
+      return { text: part.text || '' };
+    });
+  } else {
+    parts = [{ text: msg.content || '' }];
+  }
+
+  if (msg.role === 'assistant') {
+    return { role: 'model', parts };
+  }
+
+  if (msg.role === 'system') {
+    // Gemini has no system role here; send it as a prefixed user turn
+    return { role: 'user', parts: parts.map(part => part.text !== undefined ? { text: `System instruction: ${part.text}` } : part) };
+  }
+
+  return { role: 'user', parts };
+}
+
+/**
+ * Request a chat completion from the Gemini API
+ * @param {Object} provider - Provider definition
+ * @param {string} model - Model name (with or without "google/" prefix)
+ * @param {string} apiKey - Gemini API key
+ * @param {Array} messages - OpenAI-style messages
+ * @param {Object} params - Generation parameters
+ * @param {Object} meta - Log metadata
+ * @returns {Promise<Object>} - OpenAI-style response
+ */
+async function requestGemini(provider, model, apiKey, messages, params, meta) {
+  const startTime = Date.now();
+  const normalizedModel = model.startsWith('google/') ? model.substring(7) : model;
+  const streaming = typeof params.onProgress === 'function';
+  const endpoint = streaming
+    ? `${provider.url}/${normalizedModel}:streamGenerateContent?alt=sse`
+    : `${provider.url}/${normalizedModel}:generateContent`;
+
+  // Function calling is not enabled for Gemini yet, so params.tools is ignored
+  const requestData = {
+    contents: messages.map(toGeminiContent),
+    generationConfig: {
+      temperature: params.temperature || 0.7,
+      topP: params.top_p || 0.95,
+      maxOutputTokens: params.max_tokens || 1024,
+      stopSequences: params.stop || []
+    }
+  };
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'x-goog-api-key': apiKey
+  };
+
+  const logRequest = {
+    method: 'POST',
+    url: endpoint,
+    headers: { ...headers, 'x-goog-api-key': '*** REDACTED ***' },
+    data: requestData
+  };
+
+  try {
+    logger.debug(`Sending ${streaming ? 'streaming ' : ''}request to Gemini API using model: ${normalizedModel}`);
+    const response = await axios.post(endpoint, requestData, {
+      headers,
+      timeout: params.timeout || 120000,
+      ...(streaming ? { responseType: 'stream' } : {})
+    });
+    const responseData = streaming ? await readGeminiStream(response.data, params.onProgress) : response.data;
+
+    if (!responseData || !responseData.candidates || responseData.candidates.length === 0) {
+      const error = new Error('Invalid response format: no candidates');
+      error.response = { status: response.status, data: responseData };
+      throw error;
+    }
+
+    const candidate = responseData.candidates[0];
+
+    if (!candidate.content || !candidate.content.parts) {
+      const error = new Error('Invalid response format: candidate missing content or parts');
+      error.response = { status: response.status, data: responseData };
+      throw error;
+    }
+
+    // Function calls in the response become OpenAI-style tool_calls
+    const toolCalls = candidate.content.parts
+      .filter(part => part.functionCall)
+      .map((part, index) => ({
+        index,
+        id: `call_${Math.random().toString(36).substring(2)}`,
+        type: 'function',
+        function: {
+          name: part.functionCall.name,
+          arguments: JSON.stringify(part.functionCall.args)
+        }
+      }));
+
+    const textContent = candidate.content.parts
+      .filter(part => part.text)
+      .map(part => part.text)
+      .join('');
+
+    const usage = responseData.usageMetadata ? {
+      prompt_tokens: responseData.usageMetadata.promptTokenCount || 0,
+      completion_tokens: responseData.usageMetadata.candidatesTokenCount || 0,
+      total_tokens: responseData.usageMetadata.totalTokenCount || 0
+    } : undefined;
+
+    const formattedResponse = {
+      choices: [{
+        message: {
+          role: 'assistant',
+          content: toolCalls.length > 0 && !textContent.trim() ? null : textContent
+        }
+      }],
+      usage
+    };
+
+    if (toolCalls.length > 0) {
+      formattedResponse.choices[0].message.tool_calls = toolCalls;
+    }
+
+    await logApiRequest(
+      endpoint,
+      provider.name,
+      model,
+      logRequest,
+      { status: response.status, statusText: response.statusText, data: responseData },
+      {
+        ...buildLogMetadata(meta, startTime, messages),
+        promptTokens: usage?.prompt_tokens || 0,
+        completionTokens: usage?.completion_tokens || 0,
+        success: true
+      }
+    );
+
+    return formattedResponse;
+  } catch (error) {
+    if (streaming) {
+      await resolveStreamErrorBody(error);
+    }
+    logger.error(`Gemini API error: ${error.message}`);
+
+    await logApiRequest(
+      endpoint,
+      provider.name,
+      model,
+      logRequest,
+      error.response ? {
+        status: error.response.status,
+        statusText: error.response.statusText,
+        data: error.response.data
+      } : { error: error.message },
+      {
+        ...buildLogMetadata(meta, startTime, messages),
+        success: false,
+        error: error.message,
+        errorReason: classifyProviderError(error)
+      }
+    );
+
+    throw error;
+  }
+}
+
+/**
+ * Request a chat completion from a single provider
+ * @param {Object} target - { provider, model, apiKey } (model/apiKey default from config)
+ * @param {Array} messages - OpenAI-style messages
+ * @param {Object} params - Generation parameters (temperature, top_p, max_tokens, stop, tools, tool_choice,
+ *   onProgress: stream the response and call onProgress(textSoFar) as it arrives)
+ * @param {Object} meta - Extra metadata recorded in the API log
+ * @returns {Promise<Object>} - OpenAI-style response
+ */
+async function requestChat(target, messages, params = {}, meta = {}) {
+  const db = getDb();
+  const config = db.data.config;
+  const provider = getProvider(target.provider, config);
+
+  if (!provider) {
+    const error = new Error(`Unknown provider: ${target.provider}`);
+    error.reason = 'unknown_provider';
+    throw error;
+  }
+
+  const model = target.model || provider.getDefaultModel(config);
+  const apiKey = target.apiKey || provider.getApiKey(config);
+
+  if (!model) {
+    const error = new Error(`No model configured for ${provider.label}`);
+    error.reason = 'missing_model';
+    throw error;
+  }
+
+  if (!apiKey && provider.requiresApiKey !== false) {
+    const error = new Error(`${provider.label} API key is not configured`);
+    error.reason = 'missing_api_key';
+    throw error;
+  }
+
+  // Only send tools to models that can use them
+  const requestParams = { ...params };
+  if (requestParams.tools && !modelSupportsTools(model, provider, db.data.state)) {
+    delete requestParams.tools;
+    delete requestParams.tool_choice;
+  }
+
+  return runLimitedRequest(provider.name, model, async () => {
+    const response = await sendChatRequest(db, provider, model, apiKey, messages, requestParams, meta);
+    return { result: response, response, messages };
+  }, meta);
+}
+
+/**
+ * Run a provider request under the rate limiter and record its usage. Chat requests go through
+ * here, and so do other calls to provider APIs (transcription, speech) so they share the limits.
+ * @param {string} providerName - Provider name
+ * @param {string} model - Model name
+ * @param {Function} send - async () => { result, response: OpenAI-style response for usage, messages: prompt for estimates }
+ * @param {Object} meta - { purpose, chatId, userId } for the usage statistics
+ * @returns {Promise<*>} - The result returned by send
+ * @throws {Error} - reason circuit_open / quota_exhausted / throttled when the provider must not be called now,
+ *   or the request's own error
+ */
+async function runLimitedRequest(providerName, model, send, meta = {}) {
+  await acquireRequestSlot(providerName, model);
+
+  try {
+    const { result, response, messages = [] } = await send();
+    await recordRequestResult(providerName, model, { success: true });
+    await recordUsage(providerName, model, response, messages, meta);
+    return result;
+  } catch (error) {
+    const reason = classifyProviderError(error);
+    await recordRequestResult(providerName, model, {
+      success: false,
+      reason,
+      retryAfterMs: getRetryAfterMs(error),
+      dailyLimitHit: reason === 'rate_limited' && isDailyLimitError(error)
+    });
+    throw error;
+  }
+}
+
+/**
+ * Send a request through the provider's adapter, probing tool support when needed
+ * @param {Object} db - Database object
+ * @param {Object} provider - Provider definition
+ * @param {string} model - Model name
+ * @param {string} apiKey - API key
+ * @param {Array} messages - OpenAI-style messages
+ * @param {Object} requestParams - Generation parameters
+ * @param {Object} meta - Log metadata
+ * @returns {Promise<Object>} - OpenAI-style response
+ */
+async function sendChatRequest(db, provider, model, apiKey, messages, requestParams, meta) {
+  if (provider.type === 'gemini') {
+    return requestGemini(provider, model, apiKey, messages, requestParams, meta);
+  }
+
+  const probingTools = provider.detectToolSupport && requestParams.tools?.length > 0 &&
+    getLearnedToolSupport(db.data.state, provider.name, model) === undefined;
+
+  try {
+    const response = await requestOpenAICompatible(provider, model, apiKey, messages, requestParams, meta);
+
+    if (probingTools) {
+      await recordToolSupport(db, provider.name, model, true);
+    }
+
+    return response;
+  } catch (error) {
+    if (!probingTools || classifyProviderError(error) !== 'tools_unsupported') {
+      throw error;
+    }
+
+    // The server rejected the tools parameter: remember that and retry without tools
+    await recordToolSupport(db, provider.name, model, false);
+    const { tools, tool_choice, ...paramsWithoutTools } = requestParams;
+    return requestOpenAICompatible(provider, model, apiKey, messages, paramsWithoutTools, meta);
+  }
+}
+
+/**
+ * List the models served by an OpenAI-compatible provider (GET /models)
+ * @param {string} providerName - Provider name (local or custom)
+ * @param {Object} config - Bot config
+ * @returns {Promise<Array<Object>>} - Models ({ id, ... }); empty when the server is unreachable
+ */
+async function listProviderModels(providerName, config = getDb().data.config) {
+  const provider = getProvider(providerName, config);
+
+  if (!provider || !provider.listModels) {
+    return [];
+  }
+
+  const startTime = Date.now();
+  const url = toModelsUrl(provider.url);
+  const apiKey = provider.getApiKey(config);
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const logRequest = {
+    method: 'GET',
+    url,
+    headers: { ...headers, ...(apiKey ? { 'Authorization': 'Bearer *** REDACTED ***' } : {}) }
+  };
+
+  try {
+    logger.debug(`Fetching available models from ${provider.label} (${url})`);
+    const response = await axios.get(url, { headers, timeout: 10000 });
+
+    // OpenAI format is { data: [...] }; some servers return a bare array or { models: [...] }
+    const rawModels = Array.isArray(response.data) ? response.data : (response.data?.data || response.data?.models || []);
+    const models = rawModels
+      .map(model => (typeof model === 'string' ? { id: model } : { ...model, id: model.id || model.name || model.model }))
+      .filter(model => model.id);
+
+    await logApiRequest(
+      url,
+      provider.name,
+      'models-list',
+      logRequest,
+      { status: response.status, statusText: response.statusText, data: response.data },
+      { executionTime: Date.now() - startTime, success: true }
+    );
+
+    return models;
+  } catch (error) {
+    logger.error(`Error fetching models from ${provider.label}: ${error.message}`);
+
+    await logApiRequest(
+      url,
+      provider.name,
+      'models-list',
+      logRequest,
+      error.response ? {
+        status: error.response.status,
+        statusText: error.response.statusText,
+        data: error.response.data
+      } : { error: error.message },
+      {
+        executionTime: Date.now() - startTime,
+        success: false,
+        error: error.message,
+        errorReason: classifyProviderError(error)
+      }
+    );
+
+    return [];
+  }
+}
+
+/**
+ * Get the configured fallback chain for a purpose
+ * @param {string} purpose - One of PURPOSES
+ * @param {Object} config - Bot config
+ * @returns {Array<Object>} - Chain entries ({ provider, model })
+ */
+function getFallbackChain(purpose, config = getDb().data.config) {
+  const chain = Array.isArray(config.fallbackChain) ? config.fallbackChain : DEFAULT_FALLBACK_CHAIN;
+  return chain.filter(entry => !entry.purposes || entry.purposes.includes(purpose));
+}
+
+/**
+ * Request a chat completion, walking the fallback chain when the primary target fails
+ * @param {string} purpose - One of PURPOSES (recorded in the API log)
+ * @param {Array} messages - OpenAI-style messages
+ * @param {Object} params - Generation parameters
+ * @param {Object} options - { primary: { provider, model, apiKey }, chatId, userId }. A chat over its
+ *   monthly budget is served by its budget model instead of the primary, whatever the purpose.
+ * @returns {Promise<Object>} - { response, provider, model, attempts }
+ */
+async function requestWithFallback(purpose, messages, params = {}, options = {}) {
+  const db = getDb();
+  const config = db.data.config;
+  const budget = options.chatId
+    ? applyChatBudget(resolveChatConfig(db, options.chatId, config), options.chatId)
+    : { overBudget: false };
+  const primary = budget.overBudget
+    ? { provider: budget.config.defaultProvider, model: budget.config.model }
+    : options.primary || { provider: resolveChatProvider(config), model: config.model };
+
+  const resolveModel = (target) => target.model || getProvider(target.provider, config)?.getDefaultModel(config) || null;
+
+  // Primary first, then chain entries that differ from it
+  const hops = [{ ...primary, model: resolveModel(primary) }];
+  for (const entry of getFallbackChain(purpose, config)) {
+    const model = resolveModel(entry);
+    if (!hops.some(hop => hop.provider === entry.provider && hop.model === model)) {
+      hops.push({ provider: entry.provider, model });
+    }
+  }
+
+  const attempts = [];
+  let lastError = null;
+
+  for (const [index, hop] of hops.entries()) {
+    const previous = attempts[attempts.length - 1];
+
+    try {
+      const response = await requestChat(hop, messages, params, {
+        purpose,
+        chatId: options.chatId || null,
+        userId: options.userId || null,
+        hop: index,
+        fallbackFrom: previous ? `${previous.provider}/${previous.model}` : null,
+        fallbackReason: previous ? previous.reason : null,
+        fallbackPath: attempts.map(attempt => `${attempt.provider}/${attempt.model}: ${attempt.reason}`)
+      });
+
+      if (index > 0) {
+        logger.info(`[${purpose}] Served by fallback ${hop.provider}/${hop.model || 'default'} after ${attempts.length} failed hop(s)`);
+      }
+
+      return { response, provider: hop.provider, model: hop.model, attempts };
+    } catch (error) {
+      const reason = classifyProviderError(error);
+      attempts.push({ provider: hop.provider, model: hop.model || 'default', reason, error: error.message, retryAfterMs: error.retryAfterMs || null });
+      lastError = error;
+
+      logger.warning(`[${purpose}] ${hop.provider}/${hop.model || 'default'} failed (${reason})${index < hops.length - 1 ? ', trying next provider' : ''}`);
+    }
+  }
+
+  const error = lastError || new Error(`No provider available for ${purpose}`);
+  error.attempts = attempts;
+  error.reason = attempts.length > 0 ? attempts[attempts.length - 1].reason : 'no_provider';
+  throw error;
+}
+
+/**
+ * Parse a chain specification like "gemini:gemini-2.0-flash, nvidia"
+ * @param {string} spec - Comma-separated provider[:model] list
+ * @param {Object} config - Bot config
+ * @returns {Object} - { success, chain } or { success: false, message }
+ */
+function parseFallbackChain(spec, config = getDb().data.config) {
+  const entries = spec.split(',').map(item => item.trim()).filter(Boolean);
+
+  if (entries.length === 0) {
+    return { success: false, message: 'Fallback chain tidak boleh kosong' };
+  }
+
+  const chain = [];
+  for (const item of entries) {
+    const separatorIndex = item.indexOf(':');
+    const providerName = (separatorIndex === -1 ? item : item.substring(0, separatorIndex)).toLowerCase();
+    const model = separatorIndex === -1 ? null : item.substring(separatorIndex + 1).trim();
+
+    if (!getProvider(providerName, config)) {
+      return { success: false, message: `Provider "${providerName}" tidak dikenal. Provider tersedia: ${getProviderNames(config).join(', ')}` };
+    }
+
+    chain.push(model ? { provider: providerName, model } : { provider: providerName });
+  }
+
+  return { success: true, chain };
+}
+
+export {
+  OPENROUTER_API_URL,
+  GEMINI_API_URL,
+  TOGETHER_API_URL,
+  NVIDIA_API_URL,
+  DEFAULT_LOCAL_BASE_URL,
+  PURPOSES,
+  DEFAULT_FALLBACK_CHAIN,
+  TOOL_SUPPORTED_MODELS,
+  TOGETHER_MODELS,
+  RATE_LIMIT_ERRORS,
+  PROVIDERS,
+  getProvider,
+  getProviderNames,
+  isProviderConfigured,
+  resolveChatProvider,
+  getLocalBaseUrl,
+  getLearnedToolSupport,
+  clearToolSupport,
+  modelSupportsTools,
+  classifyProviderError,
+  requestChat,
+  runLimitedRequest,
+  listProviderModels,
+  requestWithFallback,
+  getFallbackChain,
+  parseFallbackChain,
+  toChatCompletionsUrl
+};
@@ -0,0 +1,471 @@
+/**
+ * Rate Limit Service
+ * Client-side protection for provider limits, applied by providerService before every request:
+ * - a token bucket per provider/model (requests per minute)
+ * - a circuit breaker per provider that stops calling it for a cool-down after repeated 429/5xx responses
+ * - daily request counters persisted in db.data.quotaUsage (reset at midnight UTC, like the provider free tiers)
+ *
+ * Limits come from DEFAULT_RATE_LIMITS and can be overridden in db.data.config.rateLimits,
+ * keyed by "provider" (all models together) or "provider/model".
+ */
+
+import { getDb, scheduleWrite } from '../database/index.js';
+import { logger } from '../utils/logger.js';
+
+// Default limits per provider (null = unlimited)
+const DEFAULT_RATE_LIMITS = {
+  openrouter: { requestsPerMinute: 20, dailyLimit: null },
+  // OpenRouter ":free" models share the free-models-per-day limit, which only counts ":free" requests
+  'openrouter:free': { requestsPerMinute: 20, dailyLimit: 50 },
+  gemini: { requestsPerMinute: 15, dailyLimit: 1500 },
+  together: { requestsPerMinute: 60, dailyLimit: null },
+  nvidia: { requestsPerMinute: 40, dailyLimit: null }
+};
+
+const CIRCUIT_BREAKER_CONFIG = {
+  failureThreshold: 3,          // Consecutive 429/5xx responses before the circuit opens
+  cooldownMs: 60 * 1000,        // First cool-down; doubled each time a half-open trial fails
+  maxCooldownMs: 15 * 60 * 1000
+};
+
+// Wait for a token instead of skipping the provider when it frees up this soon
+const MAX_THROTTLE_WAIT_MS = 3000;
+
+// Days of quota history kept in the database
+const QUOTA_HISTORY_DAYS = 7;
+
+// Failure reasons (from classifyProviderError) that count towards opening the circuit
+const CIRCUIT_FAILURE_REASONS = ['rate_limited', 'server_error'];
+
+// In-memory limiter state (buckets refill and circuits close on their own after a restart)
+const buckets = new Map();
+const circuits = new Map();
+
+/**
+ * Get today's quota date key (UTC)
+ * @param {Date} date - Date (defaults to now)
+ * @returns {string} - YYYY-MM-DD
+ */
+function getQuotaDate(date = new Date()) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get the next daily quota reset (midnight UTC)
+ * @returns {Date}
+ */
+function getNextQuotaReset() {
+  const resetTime = new Date();
+  resetTime.setUTCDate(resetTime.getUTCDate() + 1);
+  resetTime.setUTCHours(0, 0, 0, 0);
+  return resetTime;
+}
+
+// OpenRouter ":free" models have their own shared daily limit
+function isFreeOpenRouterModel(providerName, model) {
+  return providerName === 'openrouter' && !!model?.endsWith(':free');
+}
+
+/**
+ * Get the limits that apply to a provider/model
+ * @param {string} providerName - Provider name
+ * @param {string} model - Model name
+ * @param {Object} config - Bot config
+ * @returns {Object} - { requestsPerMinute, dailyLimit, providerDailyLimit }; for OpenRouter ":free" models
+ *   providerDailyLimit is the free-models limit and only counts ":free" requests
+ */
+function getRateLimits(providerName, model, config = getDb().data.config) {
+  const overrides = config.rateLimits || {};
+  const defaults = (isFreeOpenRouterModel(providerName, model) && DEFAULT_RATE_LIMITS['openrouter:free']) || DEFAULT_RATE_LIMITS[providerName] || {};
+  const providerLimits = { ...defaults, ...(overrides[providerName] || {}) };
+  const modelLimits = overrides[`${providerName}/${model}`] || {};
+
+  return {
+    requestsPerMinute: modelLimits.requestsPerMinute !== undefined ? modelLimits.requestsPerMinute : (providerLimits.requestsPerMinute ?? null),
+    dailyLimit: modelLimits.dailyLimit !== undefined ? modelLimits.dailyLimit : null,
+    providerDailyLimit: providerLimits.dailyLimit ?? null
+  };
+}
+
+/**
+ * Get (and lazily create) today's usage entry for a provider/model
+ * @param {Object} db - Database object
+ * @param {string} providerName - Provider name
+ * @param {string} model - Model name
+ * @returns {Object} - { requests, successes, failures, rateLimited, exhausted }
+ */
+function getUsageEntry(db, providerName, model) {
+  if (!db.data.quotaUsage) {
+    db.data.quotaUsage = {};
+  }
+
+  const today = getQuotaDate();
+  if (!db.data.quotaUsage[today]) {
+    db.data.quotaUsage[today] = {};
+    pruneQuotaHistory(db);
+  }
+
+  const key = `${providerName}/${model}`;
+  if (!db.data.quotaUsage[today][key]) {
+    db.data.quotaUsage[today][key] = { requests: 0, successes: 0, failures: 0, rateLimited: 0, exhausted: false };
+  }
+
+  return db.data.quotaUsage[today][key];
+}
+
+// Drop quota days older than QUOTA_HISTORY_DAYS
+function pruneQuotaHistory(db) {
+  const cutoff = getQuotaDate(new Date(Date.now() - QUOTA_HISTORY_DAYS * 24 * 60 * 60 * 1000));
+  for (const date of Object.keys(db.data.quotaUsage)) {
+    if (date < cutoff) {
+      delete db.data.quotaUsage[date];
+    }
+  }
+}
+
+/**
+ * Count today's requests for a provider across all of its models
+ * @param {Object} db - Database object
+ * @param {string} providerName - Provider name
+ * @param {Object} options - { freeOnly: only count OpenRouter ":free" models }
+ * @returns {Object} - { requests }
+ */
+function getProviderUsageToday(db, providerName, options = {}) {
+  const { freeOnly = false } = options;
+  const todayUsage = db.data.quotaUsage?.[getQuotaDate()] || {};
+  let requests = 0;
+
+  for (const [key, usage] of Object.entries(todayUsage)) {
+    if (key.startsWith(`${providerName}/`) && (!freeOnly || isFreeOpenRouterModel(providerName, key.substring(providerName.length + 1)))) {
+      requests += usage.requests;
+    }
+  }
+
+  return { requests };
+}
+
+/**
+ * Take a token from the bucket of a provider/model
+ * @param {string} key - "provider/model"
+ * @param {number} requestsPerMinute - Bucket capacity and refill rate
+ * @returns {number} - 0 when a token was taken, otherwise milliseconds until one is available
+ */
+function takeToken(key, requestsPerMinute) {
+  const now = Date.now();
+  let bucket = buckets.get(key);
+
+  if (!bucket || bucket.capacity !== requestsPerMinute) {
+    bucket = { capacity: requestsPerMinute, tokens: requestsPerMinute, lastRefill: now };
+    buckets.set(key, bucket);
+  }
+
+  const refillPerMs = requestsPerMinute / 60000;
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.lastRefill) * refillPerMs);
+  bucket.lastRefill = now;
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+
+  return Math.ceil((1 - bucket.tokens) / refillPerMs);
+}
+
+/**
+ * Get the circuit breaker state of a provider
+ * @param {string} providerName - Provider name
+ * @returns {Object} - { state: 'closed'|'open'|'half_open', consecutiveFailures, openUntil, cooldownMs }
+ */
+function getCircuitState(providerName) {
+  const circuit = circuits.get(providerName);
+
+  if (!circuit || !circuit.openUntil) {
+    return { state: 'closed', consecutiveFailures: circuit?.consecutiveFailures || 0, openUntil: null, cooldownMs: circuit?.cooldownMs || 0 };
+  }
+
+  return {
+    state: Date.now() < circuit.openUntil ? 'open' : 'half_open',
+    consecutiveFailures: circuit.consecutiveFailures,
+    openUntil: circuit.openUntil,
+    cooldownMs: circuit.cooldownMs
+  };
+}
+
+// Build an error that makes the fallback chain skip this provider
+function createLimitError(message, reason, retryAfterMs) {
+  const error = new Error(message);
+  error.reason = reason;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+/**
+ * Check circuit, daily quota and token bucket before sending a request.
+ * Waits briefly when the bucket refills within MAX_THROTTLE_WAIT_MS.
+ * @param {string} providerName - Provider name
+ * @param {string} model - Model name
+ * @throws {Error} - reason circuit_open, quota_exhausted or throttled
+ */
+async function acquireRequestSlot(providerName, model) {
+  const db = getDb();
+  const limits = getRateLimits(providerName, model, db.data.config);
+
+  const circuit = getCircuitState(providerName);
+  if (circuit.state === 'open') {
+    throw createLimitError(`Circuit open for ${providerName} until ${new Date(circuit.openUntil).toISOString()}`, 'circuit_open', circuit.openUntil - Date.now());
+  }
+
+  const usage = db.data.quotaUsage?.[getQuotaDate()]?.[`${providerName}/${model}`];
+  const providerUsage = getProviderUsageToday(db, providerName, { freeOnly: isFreeOpenRouterModel(providerName, model) });
+  const retryAfterReset = getNextQuotaReset() - Date.now();
+
+  if (usage?.exhausted) {
+    throw createLimitError(`Daily quota for ${providerName}/${model} was exhausted by the provider`, 'quota_exhausted', retryAfterReset);
+  }
+
+  if (limits.dailyLimit !== null && (usage?.requests || 0) >= limits.dailyLimit) {
+    throw createLimitError(`Daily limit of ${limits.dailyLimit} requests reached for ${providerName}/${model}`, 'quota_exhausted', retryAfterReset);
+  }
+
+  if (limits.providerDailyLimit !== null && providerUsage.requests >= limits.providerDailyLimit) {
+    const scope = isFreeOpenRouterModel(providerName, model) ? `${providerName} free models` : providerName;
+    throw createLimitError(`Daily limit of ${limits.providerDailyLimit} requests reached for ${scope}`, 'quota_exhausted', retryAfterReset);
+  }
+
+  if (limits.requestsPerMinute) {
+    const key = `${providerName}/${model}`;
+    const waitMs = takeToken(key, limits.requestsPerMinute);
+
+    if (waitMs > MAX_THROTTLE_WAIT_MS) {
+      throw createLimitError(`Rate limit of ${limits.requestsPerMinute} requests/minute reached for ${key}`, 'throttled', waitMs);
+    }
+
+    if (waitMs > 0) {
+      logger.debug(`Throttling ${key} for ${waitMs}ms`);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      takeToken(key, limits.requestsPerMinute);
+    }
+  }
+}
+
+/**
+ * Record the outcome of a provider request (daily counters and circuit breaker)
+ * @param {string} providerName - Provider name
+ * @param {string} model - Model name
+ * @param {Object} result - { success, reason, retryAfterMs, dailyLimitHit }
+ */
+async function recordRequestResult(providerName, model, result) {
+  const db = getDb();
+  const usage = getUsageEntry(db, providerName, model);
+
+  usage.requests++;
+  if (result.success) {
+    usage.successes++;
+  } else {
+    usage.failures++;
+    if (result.reason === 'rate_limited') {
+      usage.rateLimited++;
+    }
+    if (result.dailyLimitHit) {
+      // The provider says the day is over; stop sending requests until the reset
+      usage.exhausted = true;
+      logger.warning(`${providerName}/${model} reported its daily quota as exhausted`);
+    }
+  }
+
+  updateCircuit(providerName, result);
+
+  // Counters change on every request, so they share a deferred write; an exhausted quota is saved right away
+  if (!result.dailyLimitHit) {
+    scheduleWrite();
+    return;
+  }
+
+  try {
+    await db.write();
+  } catch (error) {
+    logger.error('Failed to save quota usage', error);
+  }
+}
+
+// Close the circuit on success, open it after repeated 429/5xx responses
+function updateCircuit(providerName, result) {
+  const circuit = circuits.get(providerName) || { consecutiveFailures: 0, openUntil: null, cooldownMs: 0 };
+
+  if (result.success) {
+    if (circuit.openUntil) {
+      logger.info(`Circuit for ${providerName} closed again`);
+    }
+    circuits.set(providerName, { consecutiveFailures: 0, openUntil: null, cooldownMs: 0 });
+    return;
+  }
+
+  if (!CIRCUIT_FAILURE_REASONS.includes(result.reason)) {
+    return;
+  }
+
+  const wasHalfOpen = circuit.openUntil && Date.now() >= circuit.openUntil;
+  circuit.consecutiveFailures++;
+
+  if (wasHalfOpen || circuit.consecutiveFailures >= CIRCUIT_BREAKER_CONFIG.failureThreshold) {
+    const cooldownMs = wasHalfOpen
+      ? Math.min(circuit.cooldownMs * 2, CIRCUIT_BREAKER_CONFIG.maxCooldownMs)
+      : CIRCUIT_BREAKER_CONFIG.cooldownMs;
+
+    circuit.cooldownMs = cooldownMs;
+    circuit.openUntil = Date.now() + Math.max(cooldownMs, result.retryAfterMs || 0);
+    logger.warning(`Circuit for ${providerName} opened for ${Math.round((circuit.openUntil - Date.now()) / 1000)}s after ${circuit.consecutiveFailures} failure(s)`);
+  }
+
+  circuits.set(providerName, circuit);
+}
+
+/**
+ * Lift the bot-wide block aiService sets when every provider reported its daily quota exhausted
+ * @param {Object} db - Database object
+ * @returns {boolean} - True if a block was lifted
+ */
+function clearRateLimitInfo(db) {
+  if (!db.data.state?.rateLimitInfo) {
+    return false;
+  }
+
+  const wasLimited = !!db.data.state.rateLimitInfo.isLimited;
+  delete db.data.state.rateLimitInfo;
+  return wasLimited;
+}
+
+/**
+ * Close a provider's circuit and clear its "exhausted" flags for today (and the bot-wide block)
+ * @param {string} providerName - Provider name
+ * @returns {Promise<boolean>} - True if anything was reset
+ */
+async function resetProviderLimits(providerName) {
+  const db = getDb();
+  let changed = circuits.delete(providerName);
+
+  for (const [key, usage] of Object.entries(db.data.quotaUsage?.[getQuotaDate()] || {})) {
+    if (key.startsWith(`${providerName}/`) && usage.exhausted) {
+      usage.exhausted = false;
+      changed = true;
+    }
+  }
+
+  for (const key of buckets.keys()) {
+    if (key.startsWith(`${providerName}/`)) {
+      buckets.delete(key);
+    }
+  }
+
+  // The provider may be called again, so replies must not keep waiting for the daily reset
+  if (clearRateLimitInfo(db)) {
+    changed = true;
+  }
+
+  await db.write();
+  return changed;
+}
+
+/**
+ * Get a snapshot of quota usage and limiter state for display
+ * @param {string} date - Quota date (defaults to today)
+ * @returns {Object} - { date, resetsAt, providers: { [name]: { requests, providerDailyLimit, circuit, models: [...] } } };
+ *   OpenRouter also gets freeRequests and freeDailyLimit once a ":free" model was used
+ */
+function getQuotaStatus(date = getQuotaDate()) {
+  const db = getDb();
+  const config = db.data.config;
+  const providers = {};
+
+  for (const [key, usage] of Object.entries(db.data.quotaUsage?.[date] || {})) {
+    const separatorIndex = key.indexOf('/');
+    const providerName = key.substring(0, separatorIndex);
+    const model = key.substring(separatorIndex + 1);
+    const limits = getRateLimits(providerName, model, config);
+
+    if (!providers[providerName]) {
+      providers[providerName] = {
+        requests: 0,
+        providerDailyLimit: getRateLimits(providerName, null, config).providerDailyLimit,
+        circuit: getCircuitState(providerName),
+        models: []
+      };
+    }
+
+    const provider = providers[providerName];
+    provider.requests += usage.requests;
+    if (isFreeOpenRouterModel(providerName, model)) {
+      provider.freeRequests = (provider.freeRequests || 0) + usage.requests;
+      provider.freeDailyLimit = limits.providerDailyLimit;
+    }
+    provider.models.push({ model, ...usage, ...limits });
+  }
+
+  // Providers with an open circuit but no requests today (e.g. after a restart at midnight)
+  for (const providerName of circuits.keys()) {
+    if (!providers[providerName] && getCircuitState(providerName).state !== 'closed') {
+      providers[providerName] = { requests: 0, providerDailyLimit: null, circuit: getCircuitState(providerName), models: [] };
+    }
+  }
+
+  return { date, resetsAt: getNextQuotaReset().toISOString(), providers };
+}
+
+/**
+ * Parse a limit value typed by the user ("30", "off", "-")
+ * @param {string} value - Raw value
+ * @returns {number|null|undefined} - Number, null for unlimited, undefined when invalid
+ */
+function parseLimitValue(value) {
+  if (value === undefined) return undefined;
+  const normalized = value.toLowerCase();
+  if (normalized === 'off' || normalized === '-' || normalized === 'unlimited') return null;
+  const number = parseInt(normalized, 10);
+  return isNaN(number) || number < 0 ? undefined : number;
+}
+
+/**
+ * Override the limits for a provider or provider/model
+ * @param {Object} db - Database object
+ * @param {string} key - "provider" or "provider/model"
+ * @param {Object} limits - { requestsPerMinute, dailyLimit } (null = unlimited)
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function setRateLimits(db, key, limits) {
+  if (!db.data.config.rateLimits) {
+    db.data.config.rateLimits = {};
+  }
+
+  db.data.config.rateLimits[key] = { ...(db.data.config.rateLimits[key] || {}), ...limits };
+  // New limits apply from now on, including to a provider that blocked replies until the daily reset
+  clearRateLimitInfo(db);
+  await db.write();
+
+  for (const bucketKey of buckets.keys()) {
+    if (bucketKey === key || bucketKey.startsWith(`${key}/`)) {
+      buckets.delete(bucketKey);
+    }
+  }
+
+  const { requestsPerMinute, dailyLimit } = db.data.config.rateLimits[key];
+  return {
+    success: true,
+    message: `Limit ${key} diubah: ${requestsPerMinute ?? 'tanpa batas'} request/menit, ${dailyLimit ?? 'tanpa batas'} request/hari`
+  };
+}
+
+export {
+  DEFAULT_RATE_LIMITS,
+  CIRCUIT_BREAKER_CONFIG,
+  getQuotaDate,
+  getNextQuotaReset,
+  getRateLimits,
+  getCircuitState,
+  acquireRequestSlot,
+  recordRequestResult,
+  clearRateLimitInfo,
+  resetProviderLimits,
+  getQuotaStatus,
+  parseLimitValue,
+  setRateLimits
+};
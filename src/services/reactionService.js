@@ -0,0 +1,213 @@
+/**
+ * Reaction Service
+ * Emoji reactions in both directions: response determination can answer a message with a reaction
+ * instead of a reply (the "react" action), and reactions people put on the bot's own messages are
+ * stored as feedback on those messages.
+ *
+ * Feedback lives in db.data.messageFeedback keyed by "<chatId>:<messageId>". WhatsApp allows one
+ * reaction per person per message, so a changed reaction replaces the previous one and an empty
+ * reaction removes it.
+ */
+
+// Actions response determination can choose for a message
+const RESPONSE_ACTIONS = ['respond', 'react', 'ignore'];
+
+// Reactions the bot itself uses
+const REACTION_EMOJIS = ['👍', '😂', '❤️', '😮', '😢', '🙏', '🔥'];
+const DEFAULT_REACTION = '👍';
+
+// Reactions read as approval or disapproval of a bot message; anything else counts as neutral
+const POSITIVE_REACTIONS = ['👍', '❤', '😂', '🔥', '🙏', '😍', '👏', '🥰', '💯', '😆', '🤣', '🤩', '😁', '✅', '💖'];
+const NEGATIVE_REACTIONS = ['👎', '😡', '😠', '🤬', '🤮', '💩', '😒', '🙄', '❌', '😤'];
+
+// Length of the bot message snippet kept with its feedback
+const FEEDBACK_SNIPPET_CHARS = 200;
+
+// Without the variation selector and skin tone, so "❤️" matches "❤" and "👍🏽" matches "👍"
+function getBaseEmoji(emoji) {
+  return (emoji || '').replace(/[\uFE0F\u{1F3FB}-\u{1F3FF}]/gu, '');
+}
+
+/**
+ * Clean up a reaction chosen by the AI, falling back to 👍 for anything that is not a single emoji
+ * @param {string} emoji - Suggested reaction
+ * @returns {string}
+ */
+function normalizeReactionEmoji(emoji) {
+  const text = typeof emoji === 'string' ? emoji.trim() : '';
+  if (!text || text.length > 16 || /[\p{L}\p{N}\s]/u.test(text)) {
+    return DEFAULT_REACTION;
+  }
+  return text;
+}
+
+/**
+ * Sentiment of a reaction on a bot message
+ * @param {string} emoji - Reaction emoji
+ * @returns {string} - "positive", "negative" or "neutral"
+ */
+function classifyReaction(emoji) {
+  const base = getBaseEmoji(emoji);
+  if (POSITIVE_REACTIONS.includes(base)) return 'positive';
+  if (NEGATIVE_REACTIONS.includes(base)) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * Action and reaction from a parsed response determination. Older answers without an action
+ * are read from shouldRespond.
+ * @param {Object} parsed - Parsed AI answer
+ * @returns {Object} - { action, reaction } (reaction is null unless the action is "react")
+ */
+function resolveResponseAction(parsed) {
+  const action = RESPONSE_ACTIONS.includes(parsed?.action)
+    ? parsed.action
+    : (parsed?.shouldRespond ? 'respond' : 'ignore');
+
+  return { action, reaction: action === 'react' ? normalizeReactionEmoji(parsed.reaction) : null };
+}
+
+/**
+ * React to a message
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} message - Baileys message to react to
+ * @param {string} emoji - Reaction emoji
+ * @returns {Promise<boolean>} - Whether the reaction was sent
+ */
+async function sendReaction(sock, message, emoji) {
+  const text = normalizeReactionEmoji(emoji);
+
+  try {
+    await sock.sendMessage(message.key.remoteJid, { react: { text, key: message.key } });
+    console.log(`Reacted ${text} to message ${message.key.id} in ${message.key.remoteJid}`);
+    return true;
+  } catch (error) {
+    console.error('Error sending reaction:', error);
+    return false;
+  }
+}
+
+// Bare number part of a WhatsApp ID, so JIDs with device suffixes compare equal
+function getBareId(id) {
+  return (id || '').split('@')[0].split(':')[0];
+}
+
+/**
+ * Store a reaction on one of the bot's messages. Takes an entry of the Baileys
+ * "messages.reaction" event; reactions on other people's messages are ignored.
+ * @param {Object} db - Database object
+ * @param {Object} event - { key: key of the reacted message, reaction: { key, text, senderTimestampMs } }
+ * @param {Object} sock - WhatsApp socket, used to recognize the bot's own messages
+ * @returns {Promise<Object>} - { success, message, feedback }
+ */
+async function recordReaction(db, event, sock = null) {
+  const { key, reaction } = event || {};
+  if (!key?.id || !key.remoteJid || !reaction?.key) {
+    return { success: false, message: 'Incomplete reaction event' };
+  }
+
+  // The bot's own reactions are not feedback
+  if (reaction.key.fromMe) {
+    return { success: false, message: 'Reaction sent by the bot' };
+  }
+
+  const chatId = key.remoteJid;
+  const conversation = db.data.conversations?.[chatId];
+  const stored = (conversation?.messages || []).find(msg => msg.id === key.id);
+  const botIds = [process.env.BOT_ID, sock?.user?.id, sock?.user?.lid].filter(Boolean).map(getBareId);
+  const isBotMessage = stored
+    ? stored.role === 'assistant'
+    : !!key.fromMe || (!!key.participant && botIds.includes(getBareId(key.participant)));
+
+  if (!isBotMessage) {
+    return { success: false, message: 'Reaction is not on a bot message' };
+  }
+
+  const userId = reaction.key.participant || reaction.key.remoteJid;
+  const feedbackKey = `${chatId}:${key.id}`;
+  if (!db.data.messageFeedback) {
+    db.data.messageFeedback = {};
+  }
+  const feedback = db.data.messageFeedback;
+  const timestamp = new Date(Number(reaction.senderTimestampMs) || Date.now()).toISOString();
+
+  // An empty reaction means the person took theirs back
+  if (!reaction.text) {
+    const entry = feedback[feedbackKey];
+    if (!entry?.reactions[userId]) {
+      return { success: false, message: 'No reaction to remove' };
+    }
+
+    delete entry.reactions[userId];
+    if (Object.keys(entry.reactions).length === 0) {
+      delete feedback[feedbackKey];
+    } else {
+      entry.updatedAt = timestamp;
+    }
+    await db.write();
+    return { success: true, message: `Removed reaction from ${userId}`, feedback: feedback[feedbackKey] || null };
+  }
+
+  if (!feedback[feedbackKey]) {
+    const content = stored?.content || '';
+    feedback[feedbackKey] = {
+      chatId,
+      messageId: key.id,
+      content: content.length > FEEDBACK_SNIPPET_CHARS ? `${content.substring(0, FEEDBACK_SNIPPET_CHARS)}...` : content,
+      sentAt: stored?.timestamp || null,
+      reactions: {},
+      updatedAt: timestamp
+    };
+  }
+
+  const entry = feedback[feedbackKey];
+  entry.reactions[userId] = {
+    emoji: reaction.text,
+    name: conversation?.participants?.[userId]?.name || db.data.participantsRegistry?.[userId]?.name || getBareId(userId),
+    sentiment: classifyReaction(reaction.text),
+    timestamp
+  };
+  entry.updatedAt = timestamp;
+  await db.write();
+
+  return { success: true, message: `Stored ${reaction.text} from ${userId} on ${key.id}`, feedback: entry };
+}
+
+/**
+ * Summarize reactions on the bot's messages
+ * @param {Object} db - Database object
+ * @param {Object} options - { chatId: one chat only (all chats when omitted), days: look-back window }
+ * @returns {Object} - { messages, reactions, positive, negative, neutral, emojiCounts, entries (newest first) }
+ */
+function getFeedbackSummary(db, options = {}) {
+  const { chatId = null, days = 7 } = options;
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+
+  const entries = Object.values(db.data.messageFeedback || {})
+    .filter(entry => !chatId || entry.chatId === chatId)
+    .filter(entry => new Date(entry.updatedAt).getTime() >= since)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+  const summary = { messages: entries.length, reactions: 0, positive: 0, negative: 0, neutral: 0, emojiCounts: {}, entries };
+
+  for (const entry of entries) {
+    for (const reaction of Object.values(entry.reactions)) {
+      summary.reactions++;
+      summary[reaction.sentiment]++;
+      summary.emojiCounts[reaction.emoji] = (summary.emojiCounts[reaction.emoji] || 0) + 1;
+    }
+  }
+
+  return summary;
+}
+
+export {
+  RESPONSE_ACTIONS,
+  REACTION_EMOJIS,
+  normalizeReactionEmoji,
+  classifyReaction,
+  resolveResponseAction,
+  sendReaction,
+  recordReaction,
+  getFeedbackSummary
+};
@@ -0,0 +1,129 @@
+/**
+ * Recap Service
+ * "What did I miss" summaries of a group: the messages since the requester was last active (or the
+ * last N, the last few hours, or one person's messages) are summarized by topic with who-said-what
+ * highlights. Long histories are summarized map-reduce style: each chunk becomes notes, and the
+ * notes are merged until they fit one final request.
+ */
+
+import { getDb } from '../database/index.js';
+import { logger } from '../utils/logger.js';
+import { requestWithFallback } from './providerService.js';
+import { analyzeConversationPatterns, createConversationSummary } from './contextService.js';
+import { resolveChatConfig, getLanguageName } from './groupConfigService.js';
+import { getLastSeenAt, selectRecapMessages, formatRecapLines, chunkLines } from '../utils/recapUtils.js';
+
+// Characters of transcript or notes sent in one summarization request
+const MAX_CHUNK_CHARS = 6000;
+
+// Safety limit on merge rounds
+const MAX_REDUCE_ROUNDS = 4;
+
+// Fewer messages than this are not worth a recap
+const MIN_RECAP_MESSAGES = 3;
+
+async function summarize(prompt, chatId, maxTokens) {
+  const { response } = await requestWithFallback('analysis', [{ role: 'user', content: prompt }], {
+    temperature: 0.3,
+    max_tokens: maxTokens
+  }, { chatId });
+
+  return (response.choices?.[0]?.message?.content || '').trim();
+}
+
+// Map step: turn one chunk of transcript into topic notes
+function summarizeChunk(chunk, index, total, chatId) {
+  const prompt = `This is part ${index + 1} of ${total} of a WhatsApp group chat transcript.\n\n${chunk}\n\n` +
+    'Write compact notes of this part in English: list each topic discussed, and under it who said or decided what ' +
+    '(use the names from the transcript, keep concrete details such as times, places, numbers and decisions). ' +
+    'Skip greetings and small talk that leads nowhere.';
+  return summarize(prompt, chatId, 600);
+}
+
+// Reduce step: merge several sets of notes into one
+function mergeNotes(notes, chatId) {
+  const prompt = `Merge these notes about consecutive parts of one WhatsApp group chat into a single set of notes in English, ` +
+    `grouped by topic, keeping who said or decided what and concrete details:\n\n${notes}`;
+  return summarize(prompt, chatId, 800);
+}
+
+/**
+ * Summarize a group's recent messages for someone catching up
+ * @param {string} chatId - Group ID
+ * @param {string} requesterId - Who asked
+ * @param {Object} options - Parsed !recap arguments ({ mode, count, since, userId }) plus { excludeMessageId, requesterName }
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function generateRecap(chatId, requesterId, options = {}) {
+  const db = getDb();
+  const conversation = db.data.conversations[chatId];
+  const chatConfig = resolveChatConfig(db, chatId);
+
+  if (!conversation || !chatId.endsWith('@g.us')) {
+    return { success: false, message: 'Rangkuman hanya tersedia untuk grup.' };
+  }
+
+  const lastSeenAt = getLastSeenAt(conversation, requesterId, options.excludeMessageId);
+  const messages = selectRecapMessages(conversation.messages, { ...options, lastSeenAt });
+
+  if (messages.length < MIN_RECAP_MESSAGES) {
+    return {
+      success: false,
+      message: options.mode === 'user'
+        ? 'Belum banyak pesan dari orang itu yang bisa dirangkum.'
+        : 'Nggak ada yang kamu lewatkan kok, obrolannya masih sepi 😄'
+    };
+  }
+
+  try {
+    const lines = formatRecapLines(messages, chatConfig.botName);
+    let chunks = chunkLines(lines, MAX_CHUNK_CHARS);
+    let material = chunks[0];
+
+    if (chunks.length > 1) {
+      logger.info(`Summarizing ${messages.length} messages of ${chatId} in ${chunks.length} chunks`);
+      let notes = [];
+      for (let i = 0; i < chunks.length; i++) {
+        notes.push(await summarizeChunk(chunks[i], i, chunks.length, chatId));
+      }
+
+      // Merge the notes until they fit in the final request
+      for (let round = 0; round < MAX_REDUCE_ROUNDS && notes.join('\n\n').length > MAX_CHUNK_CHARS; round++) {
+        chunks = chunkLines(notes, MAX_CHUNK_CHARS);
+        notes = [];
+        for (const chunk of chunks) {
+          notes.push(await mergeNotes(chunk, chatId));
+        }
+      }
+      material = `Notes of the conversation, in order:\n${notes.join('\n\n').substring(0, MAX_CHUNK_CHARS)}`;
+    } else {
+      material = `Transcript:\n${material}`;
+    }
+
+    const summary = createConversationSummary(messages, analyzeConversationPatterns(messages), conversation.participants);
+    const first = new Date(messages[0].timestamp);
+    const scope = options.mode === 'user'
+      ? `the recent messages of ${conversation.participants?.[options.userId]?.name || options.userId.split('@')[0]}`
+      : `${messages.length} messages since ${first.toLocaleString('id-ID', { weekday: 'long', hour: '2-digit', minute: '2-digit' })}`;
+
+    const prompt = `You are ${chatConfig.botName}, a member of the WhatsApp group "${conversation.chatName || 'Group Chat'}". ` +
+      `${options.requesterName || 'Someone'} asked what they missed. Summarize ${scope} for them.\n\n` +
+      `${summary.overview}. ${summary.topics}.\n\n${material}\n\n` +
+      `Write the recap in casual ${getLanguageName(chatConfig.language)} for WhatsApp: group it by topic, with a *bold* topic title ` +
+      'and one to three bullet points ("• ") per topic saying who said or decided what. Put anything that needs the reader\'s ' +
+      'attention (questions to them, plans, deadlines) first. Keep it under 250 words, no introduction, no closing remarks.';
+
+    const recap = await summarize(prompt, chatId, 700);
+    if (!recap) {
+      return { success: false, message: 'Gagal membuat rangkuman, coba lagi nanti ya.' };
+    }
+
+    logger.success(`Recap of ${messages.length} messages created for ${requesterId} in ${chatId}`);
+    return { success: true, message: `📋 *Rangkuman* (${messages.length} pesan)\n\n${recap}` };
+  } catch (error) {
+    logger.error('Error generating recap', error);
+    return { success: false, message: `Gagal membuat rangkuman: ${error.message}` };
+  }
+}
+
+export { generateRecap };
@@ -0,0 +1,254 @@
+/**
+ * Reminder Service
+ * Reminders are stored in db.data.reminders keyed by ID, so they survive restarts. A timer in bot.js
+ * calls deliverDueReminders(), which sends each due reminder to the chat it was made in, mentioning
+ * the person who asked and anyone they tagged. Recurring reminders move on to their next occurrence;
+ * one-off reminders are removed once delivered.
+ */
+
+import { parseReminder, getNextOccurrence, formatReminderTime, formatRecurrence } from '../utils/reminderParser.js';
+
+// Open reminders one person may have
+const MAX_REMINDERS_PER_USER = 25;
+
+// Longest reminder text kept
+const MAX_REMINDER_CHARS = 500;
+
+// Reminders delivered this much later than planned (e.g. after downtime) say so
+const LATE_NOTICE_MS = 5 * 60 * 1000;
+
+// Failed deliveries are retried on the next check, up to this many times
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+// Guards against overlapping delivery runs when sending is slow
+let delivering = false;
+
+// Number part of a WhatsApp ID, as typed after "@" in a mention
+function getBareId(id) {
+  return (id || '').split('@')[0].split(':')[0];
+}
+
+function generateReminderId() {
+  return `rem_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`;
+}
+
+/**
+ * Store a reminder
+ * @param {Object} db - Database object
+ * @param {Object} reminder - { chatId, createdBy, creatorName, message, dueAt, recurrence, mentions }
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { success, message, reminder }
+ */
+async function addReminder(db, reminder, now = new Date()) {
+  const { chatId, createdBy, creatorName = null, message = '', recurrence = null, mentions = [] } = reminder;
+  const dueAt = new Date(reminder.dueAt);
+
+  if (!chatId || !createdBy) {
+    return { success: false, message: 'Pengingat membutuhkan chat dan pembuatnya' };
+  }
+  if (isNaN(dueAt.getTime()) || dueAt <= now) {
+    return { success: false, message: 'Waktu pengingat harus di masa depan' };
+  }
+  if (recurrence && !['daily', 'weekly'].includes(recurrence.type)) {
+    return { success: false, message: 'Pengulangan hanya bisa harian atau mingguan' };
+  }
+
+  if (!db.data.reminders) {
+    db.data.reminders = {};
+  }
+  const open = Object.values(db.data.reminders).filter(existing => existing.createdBy === createdBy).length;
+  if (open >= MAX_REMINDERS_PER_USER) {
+    return { success: false, message: `Kamu sudah punya ${open} pengingat. Hapus beberapa dengan !cancelremind dulu ya.` };
+  }
+
+  const stored = {
+    id: generateReminderId(),
+    chatId,
+    createdBy,
+    creatorName,
+    message: message.substring(0, MAX_REMINDER_CHARS),
+    dueAt: dueAt.toISOString(),
+    recurrence: recurrence ? { type: recurrence.type } : null,
+    mentions: [...new Set(mentions)].filter(id => id !== createdBy),
+    createdAt: now.toISOString(),
+    deliveredCount: 0,
+    failedAttempts: 0
+  };
+  db.data.reminders[stored.id] = stored;
+  await db.write();
+
+  console.log(`Reminder ${stored.id} set for ${stored.dueAt} in ${chatId}`);
+  return { success: true, message: `Oke, aku ingetin ${describeReminder(stored, now)}`, reminder: stored };
+}
+
+/**
+ * Create a reminder from a natural-language request ("besok jam 7 meeting", "in 10 minutes call mom")
+ * @param {Object} db - Database object
+ * @param {Object} request - { chatId, createdBy, creatorName, text, mentions }
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { success, message, reminder }
+ */
+async function createReminder(db, request, now = new Date()) {
+  const parsed = parseReminder(request.text, now);
+  if (!parsed) {
+    return {
+      success: false,
+      message: 'Aku belum nangkep kapan harus ngingetin. Contoh: "besok jam 7 meeting", "30 menit lagi angkat jemuran" atau "tiap senin jam 8 pagi standup".'
+    };
+  }
+
+  return addReminder(db, { ...request, ...parsed }, now);
+}
+
+// "besok 07.00: meeting (setiap hari)"
+function describeReminder(reminder, now = new Date()) {
+  const repeat = formatRecurrence(reminder.recurrence, reminder.dueAt);
+  return `${formatReminderTime(reminder.dueAt, now)}${reminder.message ? `: ${reminder.message}` : ''}${repeat ? ` (${repeat})` : ''}`;
+}
+
+/**
+ * Reminders of a chat, soonest first
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @returns {Array<Object>}
+ */
+function listReminders(db, chatId) {
+  return Object.values(db.data.reminders || {})
+    .filter(reminder => reminder.chatId === chatId)
+    .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+}
+
+/**
+ * Cancel reminders of a chat by list number (as shown by listReminders), ID, or "all" for the
+ * caller's own reminders. Other people's reminders need canCancelOthers.
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @param {string} ref - List number, reminder ID or "all"
+ * @param {Object} options - { userId, canCancelOthers }
+ * @returns {Promise<Object>} - { success, message, cancelled }
+ */
+async function cancelReminder(db, chatId, ref, options = {}) {
+  const { userId, canCancelOthers = false } = options;
+  const reminders = listReminders(db, chatId);
+  const value = (ref || '').trim().toLowerCase();
+
+  let targets;
+  if (value === 'all') {
+    targets = reminders.filter(reminder => reminder.createdBy === userId);
+  } else {
+    const index = /^\d+$/.test(value) ? parseInt(value) - 1 : -1;
+    const found = index >= 0 ? reminders[index] : reminders.find(reminder => reminder.id.toLowerCase() === value);
+    if (!found) {
+      return { success: false, message: 'Pengingat tidak ditemukan. Lihat daftarnya dengan !reminders', cancelled: 0 };
+    }
+    if (found.createdBy !== userId && !canCancelOthers) {
+      return { success: false, message: `Pengingat itu dibuat oleh ${found.creatorName || getBareId(found.createdBy)}, hanya dia atau moderator yang bisa membatalkannya.`, cancelled: 0 };
+    }
+    targets = [found];
+  }
+
+  if (targets.length === 0) {
+    return { success: false, message: 'Kamu tidak punya pengingat di chat ini.', cancelled: 0 };
+  }
+
+  targets.forEach(reminder => delete db.data.reminders[reminder.id]);
+  await db.write();
+
+  return {
+    success: true,
+    message: targets.length === 1 ? `Pengingat dibatalkan: ${describeReminder(targets[0])}` : `${targets.length} pengingat dibatalkan.`,
+    cancelled: targets.length
+  };
+}
+
+/**
+ * Text and mentions of a reminder as it is delivered
+ * @param {Object} reminder - Stored reminder
+ * @param {Date} now - Delivery time
+ * @returns {Object} - { text, mentions }
+ */
+function buildReminderMessage(reminder, now = new Date()) {
+  const mentions = [reminder.createdBy, ...(reminder.mentions || [])];
+  let text = `⏰ *Pengingat* ${mentions.map(id => `@${getBareId(id)}`).join(' ')}`;
+
+  if (reminder.message) {
+    text += `\n${reminder.message}`;
+  }
+  if (now - new Date(reminder.dueAt) > LATE_NOTICE_MS) {
+    text += `\n_(terlambat, seharusnya ${formatReminderTime(reminder.dueAt, now)})_`;
+  }
+  const repeat = formatRecurrence(reminder.recurrence, reminder.dueAt);
+  if (repeat) {
+    text += `\n🔁 ${repeat}`;
+  }
+
+  return { text, mentions };
+}
+
+/**
+ * Send every reminder that is due. Recurring reminders are rescheduled (missed occurrences are
+ * skipped), the others removed.
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} db - Database object
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of reminders delivered
+ */
+async function deliverDueReminders(sock, db, now = new Date()) {
+  if (delivering || !sock) {
+    return 0;
+  }
+  delivering = true;
+
+  let delivered = 0;
+  try {
+    const due = Object.values(db.data.reminders || {}).filter(reminder => new Date(reminder.dueAt) <= now);
+
+    for (const reminder of due) {
+      try {
+        const { text, mentions } = buildReminderMessage(reminder, now);
+        await sock.sendMessage(reminder.chatId, { text, mentions });
+        delivered++;
+
+        if (reminder.recurrence) {
+          reminder.dueAt = getNextOccurrence(reminder.dueAt, reminder.recurrence, now).toISOString();
+          reminder.lastDeliveredAt = now.toISOString();
+          reminder.deliveredCount = (reminder.deliveredCount || 0) + 1;
+          reminder.failedAttempts = 0;
+        } else {
+          delete db.data.reminders[reminder.id];
+        }
+        console.log(`Delivered reminder ${reminder.id} to ${reminder.chatId}`);
+      } catch (error) {
+        reminder.failedAttempts = (reminder.failedAttempts || 0) + 1;
+        console.error(`Error delivering reminder ${reminder.id} (attempt ${reminder.failedAttempts}):`, error.message);
+
+        if (reminder.failedAttempts >= MAX_DELIVERY_ATTEMPTS) {
+          if (reminder.recurrence) {
+            reminder.dueAt = getNextOccurrence(reminder.dueAt, reminder.recurrence, now).toISOString();
+            reminder.failedAttempts = 0;
+          } else {
+            delete db.data.reminders[reminder.id];
+          }
+        }
+      }
+    }
+
+    if (due.length > 0) {
+      await db.write();
+    }
+  } finally {
+    delivering = false;
+  }
+
+  return delivered;
+}
+
+export {
+  addReminder,
+  createReminder,
+  describeReminder,
+  listReminders,
+  cancelReminder,
+  buildReminderMessage,
+  deliverDueReminders
+};
@@ -1,5 +1,7 @@
 import { requestGeminiChat } from './aiService.js';
 import { getDb } from '../database/index.js';
+import { resolveChatConfig } from './groupConfigService.js';
+import { REACTION_EMOJIS, resolveResponseAction } from './reactionService.js';
 import chalk from 'chalk';
 
 /**
@@ -89,12 +91,14 @@ async function shouldRespondToMessageEnhanced(message, content, isTagged, isGrou
   try {
     console.log('Message shouldRespondToMessageEnhanced', JSON.stringify(message, null, 2));
     const db = getDb();
+    const chatConfig = resolveChatConfig(db, message.key.remoteJid);
+    const responsiveness = chatConfig.groupChatResponsiveness;
     
     // Fallback to basic logic if Gemini API is not available
     if (!db.data.config.geminiApiKey) {
       logger.warning('Gemini API key not available, falling back to basic response determination');
       return {
-        shouldRespond: shouldRespondToMessageBasic(message, content, isTagged, isGroup, botName),
+        shouldRespond: shouldRespondToMessageBasic(message, content, isTagged, isGroup, botName, responsiveness),
         confidence: 0.5,
         reason: 'fallback_to_basic_logic',
         aiAnalysis: null
@@ -111,13 +115,16 @@ async function shouldRespondToMessageEnhanced(message, content, isTagged, isGrou
           hasImage: !!message.message?.imageMessage,
           hasVideo: !!message.message?.videoMessage,
           hasAudio: !!message.message?.audioMessage,
+          isVoiceNote: !!message.transcription?.text,
           hasDocument: !!message.message?.documentMessage
         },
       chat: {
         isGroup: isGroup,
         isTagged: isTagged,
         botName: botName,
-        chatId: message.key.remoteJid
+        chatId: message.key.remoteJid,
+        responsiveness: responsiveness,
+        reactionsEnabled: db.data.config.reactionResponsesEnabled !== false
       },
       batch: batchContext ? {
         isBatchedMessage: true,
@@ -158,7 +165,7 @@ async function shouldRespondToMessageEnhanced(message, content, isTagged, isGrou
     if (!response || !response.choices || !response.choices[0] || !response.choices[0].message || !response.choices[0].message.content) {
       logger.warning('Invalid response from Gemini API, falling back to basic logic');
       return {
-        shouldRespond: shouldRespondToMessageBasic(message, content, isTagged, isGroup, botName),
+        shouldRespond: shouldRespondToMessageBasic(message, content, isTagged, isGroup, botName, responsiveness),
         confidence: 0.5,
         reason: 'gemini_api_error',
         aiAnalysis: null
@@ -166,12 +173,14 @@ async function shouldRespondToMessageEnhanced(message, content, isTagged, isGrou
     }
 
     // Parse AI response
-    const aiAnalysis = parseAIResponse(response.choices[0].message.content);
+    const aiAnalysis = parseAIResponse(response.choices[0].message.content, analysisContext.chat);
     
     logger.debug('AI analysis result', aiAnalysis);
 
     return {
       shouldRespond: aiAnalysis.shouldRespond,
+      action: aiAnalysis.action,
+      reaction: aiAnalysis.reaction,
       confidence: aiAnalysis.confidence,
       reason: aiAnalysis.reason,
       aiAnalysis: aiAnalysis
@@ -181,8 +190,9 @@ async function shouldRespondToMessageEnhanced(message, content, isTagged, isGrou
     logger.error('Error in enhanced response determination', error);
     
     // Fallback to basic logic
+    const chatConfig = resolveChatConfig(getDb(), message?.key?.remoteJid);
     return {
-      shouldRespond: shouldRespondToMessageBasic(message, content, isTagged, isGroup, botName),
+      shouldRespond: shouldRespondToMessageBasic(message, content, isTagged, isGroup, botName, chatConfig.groupChatResponsiveness),
       confidence: 0.3,
       reason: 'error_fallback',
       aiAnalysis: null
@@ -190,6 +200,31 @@ async function shouldRespondToMessageEnhanced(message, content, isTagged, isGrou
   }
 }
 
+// Shared by both prompts: a reaction is a lighter answer than a reply. Without reaction
+// responses (REACTION_RESPONSES_ENABLED=false) the model only chooses between respond and ignore.
+function getActionInstructions(reactionsEnabled = true) {
+  if (!reactionsEnabled) {
+    return `ACTIONS:
+- "respond": reply with a message
+- "ignore": do nothing
+"shouldRespond" is true only when the action is "respond".`;
+  }
+
+  return `ACTIONS:
+- "respond": reply with a message
+- "react": do not reply, only react to the message with an emoji, the way a person would acknowledge a joke, thanks, good news, a simple "ok"/"siap" or a message that needs no answer. Choose the emoji from: ${REACTION_EMOJIS.join(' ')}
+- "ignore": do nothing
+Prefer "react" over "respond" when a full reply would be too much. "shouldRespond" is true only when the action is "respond".`;
+}
+
+// The action fields of the JSON answer, matching getActionInstructions
+function getActionFormat(reactionsEnabled = true) {
+  return reactionsEnabled
+    ? `"action": "respond/react/ignore",
+  "reaction": "emoji when the action is react, otherwise null",`
+    : `"action": "respond/ignore",`;
+}
+
 /**
  * Create prompt for Gemini API analysis
  * @param {Object} context - Analysis context
@@ -211,6 +246,7 @@ CONTEXT:
 - Bot is tagged: ${chat.isTagged}
 - Bot name: "${chat.botName}"
 - Chat ID: ${chat.chatId}
+${chat.isGroup && typeof chat.responsiveness === 'number' ? `- Group responsiveness: ${chat.responsiveness} (0 = only respond when addressed, 1 = join the conversation freely)` : ''}
 
 ${batch.isBatchedMessage ? `
 BATCH CONTEXT:
@@ -231,10 +267,10 @@ ${(batch.messages || []).map((msg, idx) => `  ${msg.position || idx + 1}. "${(ms
 ` : ''}
 
 RESPONSE RULES:
-1. Always respond in private chats (non-group)
+1. Always respond in private chats (non-group)${chat.reactionsEnabled ? ', unless a reaction is enough (see ACTIONS)' : ''}
 2. Always respond if tagged (@botname)
 3. Always respond if bot name is mentioned
-4. For groups, respond if message contains questions, requests, or commands
+4. For groups, respond if message contains questions, requests, or commands (scale how eagerly you join in by the group responsiveness, if given)
 5. For batched messages:
    - Only respond to the last message in the batch (unless explicitly addressed earlier)
    - Consider the entire conversation context from all messages in the batch
@@ -245,8 +281,11 @@ RESPONSE RULES:
 8. Don't respond to status updates, system messages, or spam
 9. Consider the user's intent across the entire batch, not just individual messages
 
+${getActionInstructions(chat.reactionsEnabled)}
+
 RESPONSE FORMAT (JSON only):
 {
+  ${getActionFormat(chat.reactionsEnabled)}
   "shouldRespond": true/false,
   "confidence": 0.0-1.0,
   "reason": "brief explanation",
@@ -270,9 +309,10 @@ RESPONSE FORMAT (JSON only):
 /**
  * Parse AI response from Gemini API
  * @param {string} response - Raw AI response
+ * @param {Object} options - { reactionsEnabled }; without reactions a "react" answer is read as "respond"
  * @returns {Object} - Parsed analysis
  */
-function parseAIResponse(response) {
+function parseAIResponse(response, options = {}) {
   try {
     // Log the raw response for debugging
     logger.debug('Parsing AI response', {
@@ -318,9 +358,18 @@ function parseAIResponse(response) {
       throw new Error('Invalid confidence field');
     }
     
+    // The action decides; shouldRespond only stands in for answers without one
+    let { action, reaction } = resolveResponseAction(parsed);
+    if (action === 'react' && options.reactionsEnabled === false) {
+      action = 'respond';
+      reaction = null;
+    }
+    
     // Handle batch-specific fields
     const result = {
-      shouldRespond: parsed.shouldRespond,
+      shouldRespond: action === 'respond',
+      action,
+      reaction,
       confidence: parsed.confidence,
       reason: parsed.reason || 'ai_analysis',
       analysis: parsed.analysis || {}
@@ -346,9 +395,10 @@ function parseAIResponse(response) {
  * @param {boolean} isTagged - Whether the bot is tagged
  * @param {boolean} isGroup - Whether the message is in a group
  * @param {string} botName - Bot name
+ * @param {number} responsiveness - Chance (0-1) of joining untagged group messages (optional)
  * @returns {boolean} - Whether the bot should respond
  */
-function shouldRespondToMessageBasic(message, content, isTagged, isGroup, botName) {
+function shouldRespondToMessageBasic(message, content, isTagged, isGroup, botName, responsiveness = null) {
   // Always respond in private chats
   if (!isGroup) {
     return true;
@@ -379,6 +429,11 @@ function shouldRespondToMessageBasic(message, content, isTagged, isGroup, botNam
     return true;
   }
   
+  // Occasionally join in when the chat is configured to be more responsive
+  if (typeof responsiveness === 'number' && responsiveness > 0) {
+    return Math.random() < responsiveness;
+  }
+  
   // For groups, default to false unless explicitly addressed
   return false;
 }
@@ -481,7 +536,8 @@ async function shouldRespondToBatch(messages, isGroup, botName, batchMetadata =
       chat: {
         isGroup: isGroup,
         botName: botName,
-        totalMessages: messages.length
+        totalMessages: messages.length,
+        reactionsEnabled: db.data.config.reactionResponsesEnabled !== false
       },
       batch: batchMetadata ? {
         isBatchedMessage: true,
@@ -532,12 +588,14 @@ async function shouldRespondToBatch(messages, isGroup, botName, batchMetadata =
     });
 
     // Parse AI response
-    const aiAnalysis = parseAIResponse(response.choices[0].message.content);
+    const aiAnalysis = parseAIResponse(response.choices[0].message.content, analysisContext.chat);
     
     logger.debug('Batch AI analysis result', aiAnalysis);
 
     return {
       shouldRespond: aiAnalysis.shouldRespond,
+      action: aiAnalysis.action,
+      reaction: aiAnalysis.reaction,
       confidence: aiAnalysis.confidence,
       reason: aiAnalysis.reason,
       aiAnalysis: aiAnalysis,
@@ -596,7 +654,7 @@ ${messages.map((msg, idx) => {
 }).join('\n')}
 
 RESPONSE RULES:
-1. Always respond in private chats (non-group)
+1. Always respond in private chats (non-group)${chat.reactionsEnabled ? ', unless a reaction is enough (see ACTIONS)' : ''}
 2. Always respond if any message in the batch tags the bot (@botname)
 3. Always respond if bot name is mentioned in any message
 4. For groups, respond if any message contains questions, requests, or commands
@@ -606,12 +664,15 @@ RESPONSE RULES:
 8. Don't respond to status updates, system messages, or spam
 9. Consider the user's intent across the entire batch, not just individual messages
 
+${getActionInstructions(chat.reactionsEnabled)}
+
 RESPONSE FORMAT (JSON only):
 {
+  ${getActionFormat(chat.reactionsEnabled)}
   "shouldRespond": true/false,
   "confidence": 0.0-1.0,
   "reason": "brief explanation",
-  "responseToMessage": number (which message number to respond to, or 0 for no response),
+  "responseToMessage": number (which message number to respond or react to, or 0 for neither),
   "analysis": {
     "overallIntent": "question/request/statement/command/other",
     "requiresResponse": true/false,
@@ -0,0 +1,230 @@
+/**
+ * Speech Service
+ * Speech-to-text for WhatsApp voice notes. The backend comes from db.data.config.speech
+ * ({ provider, model, url, language }) or STT_PROVIDER / STT_MODEL / STT_URL:
+ * - "gemini": audio sent inline to a Gemini model (default)
+ * - "whisper": a standalone whisper-compatible server (faster-whisper-server, whisper.cpp server, ...)
+ *   at STT_URL, POST /audio/transcriptions
+ * - any OpenAI-compatible provider with an /audio/transcriptions endpoint (together, local, custom)
+ * - "none": voice notes are not transcribed
+ *
+ * Transcripts are attached to the Baileys message as message.transcription so the batching
+ * service, processMessage and extractMessageContent all see the same text. Requests go through
+ * the provider rate limiter and are counted in the usage statistics (purpose "transcription").
+ */
+
+import axios from 'axios';
+import { downloadMediaMessage } from '@whiskeysockets/baileys';
+import { getDb } from '../database/index.js';
+import { logger } from '../utils/logger.js';
+import { getProvider, runLimitedRequest } from './providerService.js';
+import { hasVoiceNote, extractAudioData, resolveUserId } from '../utils/messageUtils.js';
+
+const GEMINI_SPEECH_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Default base URL for the "whisper" backend (faster-whisper-server / speaches)
+const DEFAULT_WHISPER_URL = 'http://localhost:8000/v1';
+
+// Default model per backend; other OpenAI-compatible providers need an explicit model
+const DEFAULT_SPEECH_MODELS = {
+  gemini: 'gemini-2.0-flash',
+  whisper: 'whisper-1',
+  together: 'openai/whisper-large-v3',
+  local: 'whisper-1'
+};
+
+// Longer recordings are skipped (music, forwarded podcasts) to keep costs and latency bounded
+const DEFAULT_MAX_VOICE_NOTE_SECONDS = 300;
+
+const SPEECH_REQUEST_TIMEOUT = 60000;
+
+/**
+ * Resolve the speech-to-text backend from config and environment
+ * @param {Object} config - Bot config
+ * @returns {Object} - { provider, model, url, language, maxDurationSeconds, id, enabled }
+ */
+function getSpeechSettings(config = getDb().data.config) {
+  const settings = config.speech || {};
+  const provider = (settings.provider || process.env.STT_PROVIDER || 'gemini').toLowerCase();
+  const model = settings.model || process.env.STT_MODEL || DEFAULT_SPEECH_MODELS[provider] || null;
+
+  return {
+    provider,
+    model,
+    url: settings.url || process.env.STT_URL || DEFAULT_WHISPER_URL,
+    language: settings.language || config.language || 'id',
+    maxDurationSeconds: settings.maxDurationSeconds ?? DEFAULT_MAX_VOICE_NOTE_SECONDS,
+    id: `${provider}/${model}`,
+    enabled: provider !== 'none' && config.voiceTranscriptionEnabled !== false
+  };
+}
+
+// inline audio + instruction on the Gemini generateContent API
+async function transcribeWithGemini(settings, buffer, mimetype, config) {
+  const provider = getProvider('gemini', config);
+  const apiKey = provider.getApiKey(config);
+  if (!apiKey) {
+    throw new Error('Gemini API key not configured');
+  }
+
+  const model = settings.model.replace(/^models\//, '');
+  const url = `${GEMINI_SPEECH_API_URL}/${model}:generateContent`;
+  const response = await axios.post(url, {
+    contents: [{
+      parts: [
+        {
+          text: `Transkripsikan pesan suara ini kata per kata dalam bahasa aslinya (kemungkinan besar bahasa dengan kode "${settings.language}"). ` +
+            'Tulis hanya transkripnya tanpa komentar, label pembicara atau tanda kutip. Jika tidak ada ucapan yang jelas, balas dengan string kosong.'
+        },
+        { inline_data: { mime_type: mimetype, data: buffer.toString('base64') } }
+      ]
+    }],
+    generationConfig: { temperature: 0 }
+  }, {
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+    timeout: SPEECH_REQUEST_TIMEOUT
+  });
+
+  const parts = response.data?.candidates?.[0]?.content?.parts || [];
+  const usage = response.data?.usageMetadata;
+  return {
+    text: parts.map(part => part.text || '').join('').trim(),
+    usage: usage ? { prompt_tokens: usage.promptTokenCount || 0, completion_tokens: usage.candidatesTokenCount || 0 } : undefined
+  };
+}
+
+// POST /audio/transcriptions (multipart) on a whisper-compatible server
+async function transcribeWithWhisperApi(settings, buffer, mimetype, config) {
+  let url;
+  const headers = {};
+
+  if (settings.provider === 'whisper') {
+    url = settings.url;
+    const apiKey = process.env.STT_API_KEY;
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+  } else {
+    const provider = getProvider(settings.provider, config);
+    if (!provider || provider.type !== 'openai') {
+      throw new Error(`Provider "${settings.provider}" does not offer an OpenAI-compatible transcription endpoint`);
+    }
+
+    const apiKey = provider.getApiKey(config);
+    if (!apiKey && provider.requiresApiKey !== false) {
+      throw new Error(`${provider.label} API key not configured`);
+    }
+
+    url = provider.url;
+    Object.assign(headers, provider.headers || {});
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  if (!settings.model) {
+    throw new Error(`No speech-to-text model configured for provider "${settings.provider}"`);
+  }
+
+  const endpoint = `${url.replace(/\/+$/, '').replace(/\/chat\/completions$/, '')}/audio/transcriptions`;
+  const extension = (mimetype.split('/')[1] || 'ogg').split(';')[0];
+
+  const form = new FormData();
+  form.append('file', new Blob([buffer], { type: mimetype }), `voice.${extension}`);
+  form.append('model', settings.model);
+  form.append('language', settings.language);
+  form.append('response_format', 'json');
+
+  const response = await axios.post(endpoint, form, { headers, timeout: SPEECH_REQUEST_TIMEOUT });
+  // Transcription endpoints report no token usage; it is estimated from the transcript
+  return { text: String(response.data?.text ?? response.data ?? '').trim() };
+}
+
+/**
+ * Transcribe an audio buffer with the configured backend
+ * @param {Buffer} buffer - Audio data
+ * @param {string} mimetype - e.g. "audio/ogg; codecs=opus"
+ * @param {Object} config - Bot config
+ * @param {Object} meta - { chatId, userId } the transcription is counted for
+ * @returns {Promise<Object>} - { success, text, model, error }
+ */
+async function transcribeAudio(buffer, mimetype = 'audio/ogg', config = getDb().data.config, meta = {}) {
+  const settings = getSpeechSettings(config);
+
+  if (!settings.enabled) {
+    return { success: false, text: null, model: null, error: 'Voice transcription is disabled' };
+  }
+
+  try {
+    // Gemini rejects codec parameters in the mime type
+    const baseMimetype = mimetype.split(';')[0].trim();
+    const text = await runLimitedRequest(settings.provider, settings.model, async () => {
+      const transcript = settings.provider === 'gemini'
+        ? await transcribeWithGemini(settings, buffer, baseMimetype, config)
+        : await transcribeWithWhisperApi(settings, buffer, baseMimetype, config);
+      return { result: transcript.text, response: { choices: [{ message: { content: transcript.text } }], usage: transcript.usage } };
+    }, { purpose: 'transcription', chatId: meta.chatId || null, userId: meta.userId || null });
+
+    return { success: true, text, model: settings.id, error: null };
+  } catch (error) {
+    logger.error(`Transcription with ${settings.id} failed`, error);
+    return { success: false, text: null, model: settings.id, error: error.response?.data?.error?.message || error.message };
+  }
+}
+
+/**
+ * Download and transcribe the voice note in a message. The result is stored on
+ * message.transcription, so calling this again for the same message is free.
+ * @param {Object} message - Baileys message
+ * @returns {Promise<Object|null>} - { text, model, seconds, error } or null when the message has no voice note
+ */
+async function transcribeVoiceMessage(message) {
+  if (!hasVoiceNote(message)) {
+    return null;
+  }
+  if (message.transcription) {
+    return message.transcription;
+  }
+
+  const config = getDb().data.config;
+  const settings = getSpeechSettings(config);
+  const audio = extractAudioData(message);
+
+  if (!settings.enabled) {
+    message.transcription = { text: null, model: null, seconds: audio.seconds, error: 'disabled' };
+    return message.transcription;
+  }
+
+  if (audio.seconds > settings.maxDurationSeconds) {
+    logger.info(`Skipping transcription of ${audio.seconds}s audio (limit ${settings.maxDurationSeconds}s)`);
+    message.transcription = { text: null, model: null, seconds: audio.seconds, error: 'too_long' };
+    return message.transcription;
+  }
+
+  try {
+    const buffer = await downloadMediaMessage(message, 'buffer');
+    const result = await transcribeAudio(buffer, audio.mimetype, config, {
+      chatId: message.key.remoteJid,
+      userId: resolveUserId(message.key.participant || message.key.remoteJid)
+    });
+
+    message.transcription = {
+      text: result.success && result.text ? result.text : null,
+      model: result.model,
+      seconds: audio.seconds,
+      error: result.error
+    };
+
+    if (message.transcription.text) {
+      logger.info(`Transcribed ${audio.seconds}s voice note with ${result.model}: "${result.text.substring(0, 50)}${result.text.length > 50 ? '...' : ''}"`);
+    }
+  } catch (error) {
+    logger.error('Error downloading voice note', error);
+    message.transcription = { text: null, model: settings.id, seconds: audio.seconds, error: error.message };
+  }
+
+  return message.transcription;
+}
+
+export {
+  DEFAULT_SPEECH_MODELS,
+  getSpeechSettings,
+  transcribeAudio,
+  transcribeVoiceMessage
+};
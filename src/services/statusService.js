@@ -0,0 +1,243 @@
+/**
+ * Status Service
+ * Opt-in handling of WhatsApp statuses (stories). With statusTrackingEnabled, text and image
+ * statuses of contacts who chat with the bot privately are recorded (images are described through
+ * analyzeImage) in db.data.contactStatuses and expire after 24 hours; with statusMentionsEnabled
+ * the bot may bring them up in private chat. With statusPostingEnabled the bot posts a generated
+ * text status of its own every statusPostIntervalHours.
+ */
+
+import { downloadMediaMessage } from '@whiskeysockets/baileys';
+import { getDb } from '../database/index.js';
+import { logger } from '../utils/logger.js';
+import { getMessageRevision } from '../utils/messageUtils.js';
+import {
+  STATUS_JID,
+  STATUS_TTL_MS,
+  extractStatusData,
+  pruneExpiredStatuses,
+  getActiveStatuses,
+  formatStatusContext,
+  isStatusPostDue,
+  getStatusAudience
+} from '../utils/statusUtils.js';
+import { analyzeImage } from './aiService.js';
+import { requestWithFallback } from './providerService.js';
+import { getMoodDescription, getPersonalityDescription, getCharacterKnowledge } from './personalityService.js';
+
+// Statuses kept per contact; older ones are dropped before they expire
+const MAX_STATUSES_PER_CONTACT = 10;
+
+// Image descriptions are kept short, they only need to be recognizable
+const MAX_STATUS_DESCRIPTION_CHARS = 300;
+
+// Recent posts shown to the AI so it doesn't repeat itself
+const MAX_RECENT_STATUS_POSTS = 10;
+
+// Background colors for the bot's text statuses
+const STATUS_BACKGROUNDS = ['#315575', '#7e90a3', '#c1a03f', '#8294ca', '#54c265', '#ae8774'];
+
+function ensureContactStatuses(db) {
+  if (!db.data.contactStatuses) {
+    db.data.contactStatuses = {};
+  }
+  return db.data.contactStatuses;
+}
+
+/**
+ * Record a contact's status update. Deleted statuses are removed again.
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} message - Message from status@broadcast
+ * @returns {Promise<Object>} - { success, message, status }
+ */
+async function recordContactStatus(sock, message) {
+  const db = getDb();
+  const userId = message.key.participant;
+
+  if (!db.data.config.statusTrackingEnabled) {
+    return { success: false, message: 'Status tracking is disabled' };
+  }
+  if (!userId || message.key.fromMe) {
+    return { success: false, message: 'Status has no contact' };
+  }
+
+  const contactStatuses = ensureContactStatuses(db);
+  const revision = getMessageRevision(message);
+  if (revision?.type === 'revoke') {
+    const statuses = contactStatuses[userId] || [];
+    const remaining = statuses.filter(status => status.id !== revision.messageId);
+    if (remaining.length === statuses.length) {
+      return { success: false, message: 'Deleted status was not recorded' };
+    }
+
+    if (remaining.length === 0) {
+      delete contactStatuses[userId];
+    } else {
+      contactStatuses[userId] = remaining;
+    }
+    await db.write();
+    return { success: true, message: `Removed deleted status of ${userId}` };
+  }
+
+  const statusData = extractStatusData(message);
+  if (!statusData) {
+    return { success: false, message: 'Unsupported status type' };
+  }
+
+  // Statuses are only brought up in private chat, so only people who chat with the bot are tracked
+  if (!db.data.conversations[userId]) {
+    return { success: false, message: `No private chat with ${userId}` };
+  }
+
+  const postedAt = message.messageTimestamp ? new Date(Number(message.messageTimestamp) * 1000) : new Date();
+  const status = {
+    id: message.key.id,
+    type: statusData.type,
+    text: statusData.text,
+    description: null,
+    postedAt: postedAt.toISOString(),
+    expiresAt: new Date(postedAt.getTime() + STATUS_TTL_MS).toISOString()
+  };
+
+  if (statusData.type === 'image') {
+    try {
+      const buffer = await downloadMediaMessage(message, 'buffer');
+      const prompt = 'Describe this WhatsApp status photo in one or two short sentences: where it is, who or what is in it and what is happening.' +
+        (statusData.text ? ` Caption: "${statusData.text}"` : '');
+      const analysis = await analyzeImage(`data:image/jpeg;base64,${buffer.toString('base64')}`, prompt, { chatId: STATUS_JID, userId });
+      status.description = analysis.analysis.substring(0, MAX_STATUS_DESCRIPTION_CHARS);
+    } catch (error) {
+      // Keep the caption even when the picture can't be described
+      logger.error(`Error describing status image of ${userId}`, error);
+    }
+  }
+
+  pruneExpiredStatuses(contactStatuses);
+  contactStatuses[userId] = [...(contactStatuses[userId] || []).filter(existing => existing.id !== status.id), status]
+    .slice(-MAX_STATUSES_PER_CONTACT);
+  await db.write();
+
+  logger.info(`Recorded ${status.type} status of ${userId}`);
+  return { success: true, message: `Recorded ${status.type} status of ${userId}`, status };
+}
+
+/**
+ * Recent statuses of a private chat partner, formatted for the prompt
+ * @param {string} userId - Contact ID (the private chat ID)
+ * @param {string} name - Contact name
+ * @returns {string|null} - Context text, or null when disabled or there is nothing to mention
+ */
+function getStatusContext(userId, name) {
+  const db = getDb();
+  const { statusTrackingEnabled, statusMentionsEnabled } = db.data.config;
+
+  if (!statusTrackingEnabled || statusMentionsEnabled === false) {
+    return null;
+  }
+
+  return formatStatusContext(getActiveStatuses(db.data.contactStatuses, userId), name);
+}
+
+/**
+ * Drop statuses older than 24 hours
+ * @returns {Promise<number>} - Number of statuses removed
+ */
+async function expireContactStatuses() {
+  const db = getDb();
+  const removed = pruneExpiredStatuses(db.data.contactStatuses);
+
+  if (removed > 0) {
+    await db.write();
+    logger.info(`Expired ${removed} contact status(es)`);
+  }
+  return removed;
+}
+
+// Write the text of the bot's next status in its own voice
+async function generateStatusText(db) {
+  const { config, state } = db.data;
+  const recentPosts = (state.recentStatusPosts || []).map(post => `- ${post.text}`).join('\n');
+  const now = new Date().toLocaleString('id-ID', { weekday: 'long', hour: '2-digit', minute: '2-digit' });
+  const characterKnowledge = getCharacterKnowledge(db);
+
+  const prompt = `You are ${config.botName}, a WhatsApp chatbot. Personality: ${config.personality} (${getPersonalityDescription(config.personality, db)}). ` +
+    `Current mood: ${state.currentMood} (${getMoodDescription(state.currentMood, db)}).` +
+    (characterKnowledge ? `\nAbout you: ${characterKnowledge}` : '') +
+    `\n\nWrite the WhatsApp status (story) you would post right now (${now}): one or two sentences of casual Indonesian in your own voice, ` +
+    'at most 200 characters, such as a thought, a feeling or something about your day. No hashtags, no quotes around it.' +
+    (recentPosts ? `\n\nYour recent statuses, don't repeat them:\n${recentPosts}` : '') +
+    '\n\nReply with the status text only.';
+
+  const { response } = await requestWithFallback('chat', [{ role: 'user', content: prompt }], {
+    temperature: 0.9,
+    max_tokens: 150
+  });
+
+  return (response.choices?.[0]?.message?.content || '').trim().replace(/^["']|["']$/g, '');
+}
+
+/**
+ * Post a text status as the bot. It is shown to everyone with a private chat with the bot.
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} options - { text: status text (generated when omitted) }
+ * @returns {Promise<Object>} - { success, message, text }
+ */
+async function postBotStatus(sock, options = {}) {
+  const db = getDb();
+
+  try {
+    const text = options.text || await generateStatusText(db);
+    if (!text) {
+      return { success: false, message: 'Gagal membuat teks status' };
+    }
+
+    const audience = getStatusAudience(db.data.conversations);
+    if (audience.length === 0) {
+      return { success: false, message: 'Belum ada kontak chat pribadi yang bisa melihat status' };
+    }
+
+    await sock.sendMessage(STATUS_JID, { text }, {
+      backgroundColor: STATUS_BACKGROUNDS[Math.floor(Math.random() * STATUS_BACKGROUNDS.length)],
+      font: Math.floor(Math.random() * 5),
+      statusJidList: audience
+    });
+
+    const postedAt = new Date().toISOString();
+    db.data.state.lastStatusPostAt = postedAt;
+    db.data.state.recentStatusPosts = [...(db.data.state.recentStatusPosts || []), { text, postedAt }].slice(-MAX_RECENT_STATUS_POSTS);
+    await db.write();
+
+    logger.success(`Posted status to ${audience.length} contact(s): ${text}`);
+    return { success: true, message: `Status terkirim ke ${audience.length} kontak: "${text}"`, text };
+  } catch (error) {
+    logger.error('Error posting status', error);
+    return { success: false, message: `Gagal mengirim status: ${error.message}` };
+  }
+}
+
+/**
+ * Periodic status work: expire old contact statuses and post the bot's status when it is due
+ * @param {Object} sock - WhatsApp socket
+ * @returns {Promise<void>}
+ */
+async function runStatusTasks(sock) {
+  try {
+    await expireContactStatuses();
+
+    const db = getDb();
+    const { statusPostingEnabled, statusPostIntervalHours } = db.data.config;
+    if (statusPostingEnabled && isStatusPostDue(db.data.state.lastStatusPostAt, statusPostIntervalHours || 24)) {
+      await postBotStatus(sock);
+    }
+  } catch (error) {
+    logger.error('Error running status tasks', error);
+  }
+}
+
+export {
+  recordContactStatus,
+  getStatusContext,
+  expireContactStatuses,
+  postBotStatus,
+  runStatusTasks
+};
@@ -0,0 +1,119 @@
+/**
+ * Streaming Message Service
+ * Shows a response while it is still being generated: once enough text has arrived it is sent
+ * as a normal WhatsApp message, and later chunks edit that same message (Baileys `edit`),
+ * throttled so the socket receives at most one edit per editIntervalMs.
+ */
+
+import { logger } from '../utils/logger.js';
+
+const STREAMING_CONFIG = {
+  firstChunkMinChars: 60,   // Don't send a message for the first couple of words
+  editIntervalMs: 1500,     // Minimum time between two edits of the same message
+  maxEdits: 25,             // Intermediate edits per message; the final edit is always sent
+  cursor: ' ▍'              // Appended while the response is still being generated
+};
+
+// Remove the leading blank lines some models start with (same cleanup as the final response)
+function cleanPartialText(text) {
+  return (text || '').replace(/^\s*\n+/, '');
+}
+
+/**
+ * Create a progressively edited message for one response
+ * @param {Object} sock - WhatsApp socket
+ * @param {string} chatId - Chat ID
+ * @param {Object} options - Overrides for STREAMING_CONFIG, plus quoted: message the response replies to
+ * @returns {Object} - { update(textSoFar), finish(finalText) => Promise<boolean>, getKey() => sent message key or null }
+ */
+function createStreamingMessage(sock, chatId, options = {}) {
+  const { quoted = null, ...overrides } = options;
+  const settings = { ...STREAMING_CONFIG, ...overrides };
+
+  let sentKey = null;
+  let latestText = '';
+  let shownText = '';
+  let lastSentAt = 0;
+  let edits = 0;
+  let timer = null;
+  let finished = false;
+  // Sends and edits run one after another so the first send has a key before any edit
+  let queue = Promise.resolve();
+
+  const flush = () => {
+    timer = null;
+    lastSentAt = Date.now();
+    const text = latestText;
+
+    queue = queue.then(async () => {
+      if (finished || !text || text === shownText) return;
+      if (sentKey && edits >= settings.maxEdits) return;
+
+      try {
+        if (!sentKey) {
+          const sent = await sock.sendMessage(chatId, { text: text + settings.cursor }, quoted ? { quoted } : undefined);
+          sentKey = sent?.key || null;
+        } else {
+          await sock.sendMessage(chatId, { text: text + settings.cursor, edit: sentKey });
+          edits++;
+        }
+        shownText = text;
+      } catch (error) {
+        logger.error('Error sending streamed response chunk', error);
+      }
+    });
+  };
+
+  /**
+   * Receive the text generated so far (called by the provider stream)
+   * @param {string} textSoFar - Accumulated response text
+   */
+  const update = (textSoFar) => {
+    if (finished) return;
+
+    latestText = cleanPartialText(textSoFar);
+    if (!sentKey && latestText.length < settings.firstChunkMinChars) return;
+    if (timer) return;
+
+    const wait = Math.max(0, lastSentAt + settings.editIntervalMs - Date.now());
+    timer = setTimeout(flush, wait);
+  };
+
+  /**
+   * Stop streaming and put the final text in the message
+   * @param {string} finalText - Complete response
+   * @returns {Promise<boolean>} - True if the response is now on screen, false if nothing was sent yet
+   *   (the caller then sends the response the usual way)
+   */
+  const finish = async (finalText) => {
+    finished = true;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    await queue;
+
+    if (!sentKey) {
+      return false;
+    }
+
+    try {
+      await sock.sendMessage(chatId, { text: finalText, edit: sentKey });
+      logger.success(`Streamed response finished in ${chatId} after ${edits} edit(s)`);
+    } catch (error) {
+      // The partial text is already visible; send the full answer separately so it isn't lost
+      logger.error('Error applying final streamed edit, sending as new message', error);
+      const sent = await sock.sendMessage(chatId, { text: finalText }, quoted ? { quoted } : undefined);
+      sentKey = sent?.key || sentKey;
+    }
+
+    return true;
+  };
+
+  return { update, finish, getKey: () => sentKey };
+}
+
+export {
+  STREAMING_CONFIG,
+  createStreamingMessage
+};
@@ -0,0 +1,375 @@
+/**
+ * TTS Service
+ * Text-to-speech for voice-note (PTT) replies. The backend comes from db.data.config.tts
+ * ({ provider, model, voice, url }) or TTS_PROVIDER / TTS_MODEL / TTS_VOICE / TTS_URL:
+ * - "gemini": Gemini speech generation (default)
+ * - "piper": a Piper-compatible HTTP server at TTS_URL (POST { text, voice } -> WAV)
+ * - any OpenAI-compatible provider with an /audio/speech endpoint (local, together, custom)
+ * - "none": always reply with text
+ *
+ * WhatsApp only plays voice notes encoded as Opus in an OGG container, so other formats are
+ * converted with ffmpeg (must be installed and on PATH).
+ *
+ * Whether a reply is spoken depends on the reply mode: the user's own preference (!voice),
+ * else the chat's replyMode override (!groupconfig), else config.replyMode.
+ * - text: always text
+ * - voice: always a voice note
+ * - mirror: a voice note when the message being answered was a voice note
+ *
+ * Synthesis goes through the provider rate limiter and is counted in the usage statistics
+ * (purpose "speech"). A chat over its monthly budget gets text replies.
+ */
+
+import axios from 'axios';
+import { spawn } from 'child_process';
+import { getDb } from '../database/index.js';
+import { logger } from '../utils/logger.js';
+import { getProvider, runLimitedRequest } from './providerService.js';
+import { applyChatBudget } from './usageService.js';
+import { REPLY_MODES, resolveChatConfig } from './groupConfigService.js';
+
+const GEMINI_TTS_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Default base URL for the "piper" backend (python -m piper.http_server)
+const DEFAULT_PIPER_URL = 'http://localhost:5000';
+
+// Default model and voice per backend; other OpenAI-compatible providers need an explicit model
+const DEFAULT_TTS_MODELS = {
+  gemini: 'gemini-2.5-flash-preview-tts',
+  local: 'tts-1',
+  together: 'cartesia/sonic'
+};
+
+const DEFAULT_TTS_VOICES = {
+  gemini: 'Kore',
+  local: 'alloy',
+  together: 'helpful woman'
+};
+
+// Requested audio format per provider; Opus saves a conversion where the server supports it
+const TTS_RESPONSE_FORMATS = {
+  together: 'wav'
+};
+
+// Gemini returns raw 16-bit mono PCM at this rate
+const GEMINI_PCM_SAMPLE_RATE = 24000;
+
+// Replies longer than this (lists, code, long explanations) are sent as text anyway
+const MAX_VOICE_REPLY_CHARS = 1200;
+
+const TTS_REQUEST_TIMEOUT = 60000;
+
+// ffmpeg is killed when a conversion takes longer than this (a voice reply is a few seconds of audio)
+const FFMPEG_TIMEOUT = 30000;
+
+const OGG_OPUS_MIMETYPE = 'audio/ogg; codecs=opus';
+
+/**
+ * Resolve the text-to-speech backend from config and environment
+ * @param {Object} config - Bot config
+ * @returns {Object} - { provider, model, voice, url, id, enabled }
+ */
+function getTtsSettings(config = getDb().data.config) {
+  const settings = config.tts || {};
+  const provider = (settings.provider || process.env.TTS_PROVIDER || 'gemini').toLowerCase();
+  const model = settings.model || process.env.TTS_MODEL || DEFAULT_TTS_MODELS[provider] || null;
+
+  return {
+    provider,
+    model,
+    voice: settings.voice || process.env.TTS_VOICE || DEFAULT_TTS_VOICES[provider] || null,
+    url: settings.url || process.env.TTS_URL || DEFAULT_PIPER_URL,
+    id: provider === 'piper' ? `piper/${settings.voice || process.env.TTS_VOICE || 'default'}` : `${provider}/${model}`,
+    enabled: provider !== 'none'
+  };
+}
+
+/**
+ * Reply mode for a message from a user in a chat
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @param {string} userId - Sender ID
+ * @returns {string} - One of REPLY_MODES
+ */
+function resolveReplyMode(db, chatId, userId) {
+  const userMode = db.data.userPreferences?.[userId]?.replyMode;
+  if (REPLY_MODES.includes(userMode)) {
+    return userMode;
+  }
+
+  const chatMode = resolveChatConfig(db, chatId).replyMode;
+  return REPLY_MODES.includes(chatMode) ? chatMode : 'text';
+}
+
+/**
+ * Decide whether a reply should be sent as a voice note
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @param {string} userId - Sender of the message being answered
+ * @param {boolean} isVoiceNote - Whether that message was a voice note
+ * @returns {boolean}
+ */
+function shouldReplyWithVoice(db, chatId, userId, isVoiceNote = false) {
+  if (!getTtsSettings(db.data.config).enabled) {
+    return false;
+  }
+
+  const mode = resolveReplyMode(db, chatId, userId);
+  if (mode === 'text' || (mode === 'mirror' && !isVoiceNote)) {
+    return false;
+  }
+
+  // Speech costs extra, so a chat that used up its budget is answered with text
+  return !applyChatBudget(resolveChatConfig(db, chatId), chatId).overBudget;
+}
+
+/**
+ * Set (or clear) a user's own reply mode
+ * @param {Object} db - Database object
+ * @param {string} userId - User ID
+ * @param {string|null} mode - One of REPLY_MODES, or null to follow the chat setting
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function setUserReplyMode(db, userId, mode) {
+  if (mode !== null && !REPLY_MODES.includes(mode)) {
+    return { success: false, message: `Mode balasan tidak valid. Gunakan salah satu: ${REPLY_MODES.join(', ')}` };
+  }
+
+  if (!db.data.userPreferences) {
+    db.data.userPreferences = {};
+  }
+
+  if (mode === null) {
+    if (db.data.userPreferences[userId]) {
+      delete db.data.userPreferences[userId].replyMode;
+      if (Object.keys(db.data.userPreferences[userId]).length === 0) {
+        delete db.data.userPreferences[userId];
+      }
+    }
+  } else {
+    db.data.userPreferences[userId] = { ...(db.data.userPreferences[userId] || {}), replyMode: mode };
+  }
+  await db.write();
+
+  return { success: true, message: mode === null ? 'Mode balasan kamu mengikuti pengaturan chat' : `Mode balasan kamu diubah menjadi: ${mode}` };
+}
+
+// Make a reply readable aloud: drop WhatsApp formatting, code blocks, links and list bullets
+function prepareSpeechText(text) {
+  return String(text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[*_~`]/g, '')
+    .replace(/^\s*[-•]\s+/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Convert audio to Opus in an OGG container with ffmpeg
+ * @param {Buffer} buffer - Input audio
+ * @param {Array<string>} inputArgs - ffmpeg arguments describing raw input (empty to auto-detect)
+ * @returns {Promise<Buffer>} - OGG/Opus audio
+ */
+function convertToOggOpus(buffer, inputArgs = []) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-hide_banner', '-loglevel', 'error',
+      ...inputArgs, '-i', 'pipe:0',
+      '-ac', '1', '-c:a', 'libopus', '-b:a', '32k', '-application', 'voip',
+      '-f', 'ogg', 'pipe:1'
+    ]);
+
+    const output = [];
+    let errorOutput = '';
+
+    // A hung ffmpeg would otherwise hold the reply (and the process) forever
+    const timer = setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+      reject(new Error(`ffmpeg did not finish within ${FFMPEG_TIMEOUT / 1000}s`));
+    }, FFMPEG_TIMEOUT);
+
+    ffmpeg.stdout.on('data', chunk => output.push(chunk));
+    ffmpeg.stderr.on('data', chunk => { errorOutput += chunk; });
+    ffmpeg.on('error', error => {
+      clearTimeout(timer);
+      reject(error.code === 'ENOENT' ? new Error('ffmpeg is not installed (needed to encode voice notes)') : error);
+    });
+    ffmpeg.on('close', code => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(Buffer.concat(output));
+      } else {
+        reject(new Error(`ffmpeg exited with code ${code}: ${errorOutput.trim()}`));
+      }
+    });
+
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.stdin.end(buffer);
+  });
+}
+
+// Gemini speech generation, returns base64 PCM and the token usage
+async function synthesizeWithGemini(settings, text, config) {
+  const provider = getProvider('gemini', config);
+  const apiKey = provider.getApiKey(config);
+  if (!apiKey) {
+    throw new Error('Gemini API key not configured');
+  }
+
+  const model = settings.model.replace(/^models\//, '');
+  const response = await axios.post(`${GEMINI_TTS_API_URL}/${model}:generateContent`, {
+    contents: [{ parts: [{ text }] }],
+    generationConfig: {
+      responseModalities: ['AUDIO'],
+      speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: settings.voice } } }
+    }
+  }, {
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+    timeout: TTS_REQUEST_TIMEOUT
+  });
+
+  const audio = response.data?.candidates?.[0]?.content?.parts?.find(part => part.inlineData)?.inlineData;
+  if (!audio?.data) {
+    throw new Error('Gemini returned no audio');
+  }
+
+  const sampleRate = parseInt(audio.mimeType?.match(/rate=(\d+)/)?.[1] || GEMINI_PCM_SAMPLE_RATE);
+  const usage = response.data?.usageMetadata;
+  return {
+    audio: await convertToOggOpus(Buffer.from(audio.data, 'base64'), ['-f', 's16le', '-ar', String(sampleRate), '-ac', '1']),
+    usage: usage ? { prompt_tokens: usage.promptTokenCount || 0, completion_tokens: usage.candidatesTokenCount || 0 } : undefined
+  };
+}
+
+// Piper HTTP server, returns WAV
+async function synthesizeWithPiper(settings, text) {
+  const body = settings.voice && settings.voice !== 'default' ? { text, voice: settings.voice } : { text };
+  const response = await axios.post(settings.url, body, {
+    headers: { 'Content-Type': 'application/json' },
+    responseType: 'arraybuffer',
+    timeout: TTS_REQUEST_TIMEOUT
+  });
+
+  return { audio: await convertToOggOpus(Buffer.from(response.data)) };
+}
+
+// POST /audio/speech on an OpenAI-compatible provider
+async function synthesizeWithOpenAICompatible(settings, text, config) {
+  const provider = getProvider(settings.provider, config);
+  if (!provider || provider.type !== 'openai') {
+    throw new Error(`Provider "${settings.provider}" does not offer an OpenAI-compatible speech endpoint`);
+  }
+  if (!settings.model) {
+    throw new Error(`No text-to-speech model configured for provider "${settings.provider}"`);
+  }
+
+  const apiKey = provider.getApiKey(config);
+  if (!apiKey && provider.requiresApiKey !== false) {
+    throw new Error(`${provider.label} API key not configured`);
+  }
+
+  const headers = { 'Content-Type': 'application/json', ...(provider.headers || {}) };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const url = provider.url.replace(/\/chat\/completions$/, '/audio/speech');
+  const response = await axios.post(url, {
+    model: settings.model,
+    input: text,
+    voice: settings.voice,
+    response_format: TTS_RESPONSE_FORMATS[settings.provider] || 'opus'
+  }, {
+    headers,
+    responseType: 'arraybuffer',
+    timeout: TTS_REQUEST_TIMEOUT
+  });
+
+  const audio = Buffer.from(response.data);
+  // Servers that ignore response_format send mp3 or wav instead
+  const isOgg = audio.subarray(0, 4).toString('ascii') === 'OggS';
+  return { audio: isOgg ? audio : await convertToOggOpus(audio) };
+}
+
+/**
+ * Turn text into an OGG/Opus voice note
+ * @param {string} text - Text to speak
+ * @param {Object} config - Bot config
+ * @param {Object} meta - { chatId } the speech is counted for
+ * @returns {Promise<Object>} - { success, audio, mimetype, model, error }
+ */
+async function synthesizeSpeech(text, config = getDb().data.config, meta = {}) {
+  const settings = getTtsSettings(config);
+  const speechText = prepareSpeechText(text);
+
+  if (!settings.enabled) {
+    return { success: false, audio: null, mimetype: null, model: null, error: 'Text-to-speech is disabled' };
+  }
+  if (!speechText) {
+    return { success: false, audio: null, mimetype: null, model: settings.id, error: 'Nothing to speak' };
+  }
+
+  try {
+    // Piper has no model name; its voice is counted instead
+    const model = settings.id.substring(settings.provider.length + 1);
+    const messages = [{ role: 'user', content: speechText }];
+    const audio = await runLimitedRequest(settings.provider, model, async () => {
+      let speech;
+      if (settings.provider === 'gemini') {
+        speech = await synthesizeWithGemini(settings, speechText, config);
+      } else if (settings.provider === 'piper') {
+        speech = await synthesizeWithPiper(settings, speechText);
+      } else {
+        speech = await synthesizeWithOpenAICompatible(settings, speechText, config);
+      }
+      // Without a usage block the spoken text is counted as the prompt
+      return { result: speech.audio, response: { usage: speech.usage }, messages };
+    }, { purpose: 'speech', chatId: meta.chatId || null });
+
+    return { success: true, audio, mimetype: OGG_OPUS_MIMETYPE, model: settings.id, error: null };
+  } catch (error) {
+    logger.error(`Speech synthesis with ${settings.id} failed`, error);
+    return { success: false, audio: null, mimetype: null, model: settings.id, error: error.message };
+  }
+}
+
+/**
+ * Send a reply as a voice note
+ * @param {Object} sock - WhatsApp socket
+ * @param {string} chatId - Chat ID
+ * @param {string} text - Reply text
+ * @param {Object} options - { quoted: message the reply answers }
+ * @returns {Promise<Object|null>} - Sent message, or null when the reply should be sent as text instead
+ */
+async function sendVoiceReply(sock, chatId, text, options = {}) {
+  const { quoted = null } = options;
+
+  if (!text || text.length > MAX_VOICE_REPLY_CHARS) {
+    return null;
+  }
+
+  await sock.sendPresenceUpdate('recording', chatId);
+  const result = await synthesizeSpeech(text, getDb().data.config, { chatId });
+
+  if (!result.success) {
+    await sock.sendPresenceUpdate('paused', chatId);
+    return null;
+  }
+
+  const sent = await sock.sendMessage(chatId, { audio: result.audio, mimetype: result.mimetype, ptt: true }, quoted ? { quoted } : undefined);
+  await sock.sendPresenceUpdate('paused', chatId);
+  logger.info(`Sent voice reply to ${chatId} with ${result.model}`);
+  return sent || null;
+}
+
+export {
+  DEFAULT_TTS_MODELS,
+  DEFAULT_TTS_VOICES,
+  getTtsSettings,
+  resolveReplyMode,
+  shouldReplyWithVoice,
+  setUserReplyMode,
+  synthesizeSpeech,
+  sendVoiceReply
+};
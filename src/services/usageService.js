@@ -0,0 +1,376 @@
+/**
+ * Usage Service
+ * Token and cost accounting for every successful provider request. Usage is taken from the
+ * provider's usage block (or estimated from the text when missing), priced with the price table
+ * and rolled up per day into db.data.usageStats[YYYY-MM-DD] = { total, models, chats, users }.
+ *
+ * Per-chat monthly budgets (monthlyBudget / budgetModel, set with !groupconfig) switch a chat
+ * to a cheaper model once its spending for the month exceeds the budget.
+ */
+
+import { getDb, scheduleWrite } from '../database/index.js';
+import { logger } from '../utils/logger.js';
+
+// USD per 1M tokens; matched against the model name (longest match wins), overridable via db.data.config.modelPrices
+const DEFAULT_MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'gemini-2.5-flash': { input: 0.15, output: 0.6 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'deepseek-chat': { input: 0.27, output: 1.1 },
+  'llama-3.3-70b': { input: 0.88, output: 0.88 },
+  'mistral-7b-instruct': { input: 0.03, output: 0.05 }
+};
+
+// Model used when a chat is over budget and no budgetModel is configured
+const DEFAULT_BUDGET_MODEL = { provider: 'gemini', model: 'gemini-2.0-flash-lite' };
+
+// Days of usage statistics kept in the database (enough for the current and previous month)
+const USAGE_RETENTION_DAYS = 62;
+
+// Rough characters-per-token ratio used when a provider returns no usage block
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Get the usage date key for a timestamp
+ * @param {Date} date - Date (defaults to now)
+ * @returns {string} - YYYY-MM-DD
+ */
+function getUsageDate(date = new Date()) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text - Text
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// Flatten message content (string or multimodal parts) into text for estimation
+function getMessageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content.map(part => part.text || '').join(' ');
+  }
+  return '';
+}
+
+/**
+ * Get prompt/completion tokens from a response, estimating them when the provider sent no usage
+ * @param {Object} response - OpenAI-style response
+ * @param {Array} messages - Messages that were sent
+ * @returns {Object} - { promptTokens, completionTokens, estimated }
+ */
+function extractUsage(response, messages = []) {
+  const usage = response?.usage;
+
+  if (usage && (usage.prompt_tokens || usage.completion_tokens)) {
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      estimated: false
+    };
+  }
+
+  const responseMessage = response?.choices?.[0]?.message || {};
+  const completionText = (responseMessage.content || '') + JSON.stringify(responseMessage.tool_calls || '');
+
+  return {
+    promptTokens: messages.reduce((sum, message) => sum + estimateTokens(getMessageText(message)), 0),
+    completionTokens: estimateTokens(completionText),
+    estimated: true
+  };
+}
+
+/**
+ * Get the price of a model (USD per 1M tokens)
+ * @param {string} providerName - Provider name
+ * @param {string} model - Model name
+ * @param {Object} config - Bot config
+ * @returns {Object} - { input, output, matched }
+ */
+function getModelPrice(providerName, model, config = getDb().data.config) {
+  const normalizedModel = (model || '').toLowerCase();
+
+  // Local servers and free-tier models cost nothing
+  if (providerName === 'local' || normalizedModel.endsWith(':free') || normalizedModel.endsWith('-free')) {
+    return { input: 0, output: 0, matched: 'free' };
+  }
+
+  const prices = { ...DEFAULT_MODEL_PRICES, ...(config.modelPrices || {}) };
+  const match = Object.keys(prices)
+    .filter(pattern => normalizedModel.includes(pattern.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!match) {
+    return { input: 0, output: 0, matched: null };
+  }
+
+  return { ...prices[match], matched: match };
+}
+
+/**
+ * Calculate the cost of a request
+ * @param {string} providerName - Provider name
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Prompt tokens
+ * @param {number} completionTokens - Completion tokens
+ * @param {Object} config - Bot config
+ * @returns {number} - Cost in USD
+ */
+function calculateCost(providerName, model, promptTokens, completionTokens, config = getDb().data.config) {
+  const price = getModelPrice(providerName, model, config);
+  return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+}
+
+// Create an empty roll-up bucket
+function createBucket() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, estimatedRequests: 0 };
+}
+
+// Add one request to a roll-up bucket
+function addToBucket(bucket, entry) {
+  bucket.requests++;
+  bucket.promptTokens += entry.promptTokens;
+  bucket.completionTokens += entry.completionTokens;
+  bucket.cost += entry.cost;
+  if (entry.estimated) {
+    bucket.estimatedRequests++;
+  }
+}
+
+// Drop usage days older than USAGE_RETENTION_DAYS
+function pruneUsageStats(db) {
+  const cutoff = getUsageDate(new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  for (const date of Object.keys(db.data.usageStats)) {
+    if (date < cutoff) {
+      delete db.data.usageStats[date];
+    }
+  }
+}
+
+/**
+ * Record token usage and cost of a successful request
+ * @param {string} providerName - Provider name
+ * @param {string} model - Model name
+ * @param {Object} response - OpenAI-style response
+ * @param {Array} messages - Messages that were sent
+ * @param {Object} meta - { chatId, userId, purpose }
+ * @returns {Promise<Object|null>} - Recorded entry, or null when recording failed
+ */
+async function recordUsage(providerName, model, response, messages, meta = {}) {
+  try {
+    const db = getDb();
+    const usage = extractUsage(response, messages);
+    const entry = {
+      ...usage,
+      cost: calculateCost(providerName, model, usage.promptTokens, usage.completionTokens, db.data.config)
+    };
+
+    if (!db.data.usageStats) {
+      db.data.usageStats = {};
+    }
+
+    const date = getUsageDate();
+    if (!db.data.usageStats[date]) {
+      db.data.usageStats[date] = { total: createBucket(), models: {}, chats: {}, users: {}, purposes: {} };
+      pruneUsageStats(db);
+    }
+
+    const day = db.data.usageStats[date];
+    const rollups = [
+      [day.models, `${providerName}/${model}`],
+      [day.purposes, meta.purpose || 'chat'],
+      ...(meta.chatId ? [[day.chats, meta.chatId]] : []),
+      ...(meta.userId ? [[day.users, meta.userId]] : [])
+    ];
+
+    addToBucket(day.total, entry);
+    for (const [group, key] of rollups) {
+      if (!group[key]) {
+        group[key] = createBucket();
+      }
+      addToBucket(group[key], entry);
+    }
+
+    // Recorded after every request; a deferred write saves the counters together
+    scheduleWrite();
+    return entry;
+  } catch (error) {
+    logger.error('Failed to record token usage', error);
+    return null;
+  }
+}
+
+/**
+ * Get the usage dates for a period
+ * @param {string} period - 'today' | 'week' | 'month'
+ * @returns {Array<string>} - Dates (YYYY-MM-DD), oldest first
+ */
+function getPeriodDates(period) {
+  const now = new Date();
+
+  if (period === 'month') {
+    const dates = [];
+    for (let day = 1; day <= now.getUTCDate(); day++) {
+      dates.push(getUsageDate(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), day))));
+    }
+    return dates;
+  }
+
+  const days = period === 'week' ? 7 : 1;
+  return Array.from({ length: days }, (_, index) =>
+    getUsageDate(new Date(now.getTime() - (days - 1 - index) * 24 * 60 * 60 * 1000))
+  );
+}
+
+/**
+ * Sum usage over a period
+ * @param {string} period - 'today' | 'week' | 'month'
+ * @param {Object} options - { chatId } to restrict the summary to one chat
+ * @returns {Object} - { period, dates, total, models, chats, users, purposes } (chat summaries only carry total)
+ */
+function getUsageSummary(period = 'today', options = {}) {
+  const db = getDb();
+  const dates = getPeriodDates(period);
+  const summary = { period, dates, total: createBucket(), models: {}, chats: {}, users: {}, purposes: {} };
+
+  const merge = (target, source) => {
+    target.requests += source.requests;
+    target.promptTokens += source.promptTokens;
+    target.completionTokens += source.completionTokens;
+    target.cost += source.cost;
+    target.estimatedRequests += source.estimatedRequests;
+  };
+
+  for (const date of dates) {
+    const day = db.data.usageStats?.[date];
+    if (!day) continue;
+
+    if (options.chatId) {
+      if (day.chats[options.chatId]) {
+        merge(summary.total, day.chats[options.chatId]);
+      }
+      continue;
+    }
+
+    merge(summary.total, day.total);
+    for (const group of ['models', 'chats', 'users', 'purposes']) {
+      for (const [key, bucket] of Object.entries(day[group] || {})) {
+        if (!summary[group][key]) {
+          summary[group][key] = createBucket();
+        }
+        merge(summary[group][key], bucket);
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Get a chat's spending for the current month
+ * @param {string} chatId - Chat ID
+ * @returns {number} - Cost in USD
+ */
+function getChatMonthlyCost(chatId) {
+  return getUsageSummary('month', { chatId }).total.cost;
+}
+
+/**
+ * Parse a budget model spec ("provider:model")
+ * @param {string} spec - Budget model spec
+ * @returns {Object|null} - { provider, model }
+ */
+function parseBudgetModel(spec) {
+  if (!spec || typeof spec !== 'string') return null;
+  const separatorIndex = spec.indexOf(':');
+  if (separatorIndex === -1) return null;
+  return { provider: spec.substring(0, separatorIndex), model: spec.substring(separatorIndex + 1) };
+}
+
+/**
+ * Switch a chat's config to the budget model when its monthly budget is used up
+ * @param {Object} config - Chat-resolved config (monthlyBudget, budgetModel)
+ * @param {string} chatId - Chat ID
+ * @returns {Object} - { config, overBudget, spent }
+ */
+function applyChatBudget(config, chatId) {
+  const budget = config.monthlyBudget;
+
+  if (!chatId || typeof budget !== 'number' || budget <= 0) {
+    return { config, overBudget: false, spent: 0 };
+  }
+
+  const spent = getChatMonthlyCost(chatId);
+  if (spent < budget) {
+    return { config, overBudget: false, spent };
+  }
+
+  const budgetModel = parseBudgetModel(config.budgetModel) || DEFAULT_BUDGET_MODEL;
+  logger.warning(`Chat ${chatId} is over its monthly budget ($${spent.toFixed(4)} / $${budget}), using ${budgetModel.provider}/${budgetModel.model}`);
+
+  return {
+    config: { ...config, defaultProvider: budgetModel.provider, model: budgetModel.model },
+    overBudget: true,
+    spent
+  };
+}
+
+/**
+ * Set (or clear) the price of a model
+ * @param {Object} db - Database object
+ * @param {string} pattern - Model name or part of it
+ * @param {number|null} input - USD per 1M prompt tokens (null removes the override)
+ * @param {number} output - USD per 1M completion tokens
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function setModelPrice(db, pattern, input, output) {
+  if (!db.data.config.modelPrices) {
+    db.data.config.modelPrices = {};
+  }
+
+  if (input === null) {
+    delete db.data.config.modelPrices[pattern];
+    await db.write();
+    return { success: true, message: `Harga custom untuk "${pattern}" dihapus` };
+  }
+
+  if (isNaN(input) || isNaN(output) || input < 0 || output < 0) {
+    return { success: false, message: 'Harga harus berupa angka positif (USD per 1 juta token)' };
+  }
+
+  db.data.config.modelPrices[pattern] = { input, output };
+  await db.write();
+  return { success: true, message: `Harga "${pattern}" diatur: $${input} input / $${output} output per 1 juta token` };
+}
+
+export {
+  DEFAULT_MODEL_PRICES,
+  DEFAULT_BUDGET_MODEL,
+  getUsageDate,
+  estimateTokens,
+  extractUsage,
+  getModelPrice,
+  calculateCost,
+  recordUsage,
+  getUsageSummary,
+  getChatMonthlyCost,
+  parseBudgetModel,
+  applyChatBudget,
+  setModelPrice
+};
@@ -0,0 +1,339 @@
+/**
+ * Vector Index Service
+ * Semantic index over facts, chat messages, fetched web content, image analyses and chunks of
+ * documents shared in chat.
+ * Entries live in db.data.vectorIndex.entries keyed by "<type>:<sourceId>" and remember which
+ * embedding model produced them. The storage backends keep them apart from the rest of the data (a
+ * separate file for lowdb, a table for SQLite), and lowdb only rewrites that file when entries are
+ * added, replaced or removed, so entries are always replaced whole, never changed in place. Search only compares vectors of the active model, so after
+ * switching backends the index has to be rebuilt (rebuildVectorIndex / !embedding reindex).
+ */
+
+import crypto from 'crypto';
+import { getDb, scheduleWrite } from '../database/index.js';
+import { logger } from '../utils/logger.js';
+import { embedText, embedTexts, cosineSimilarity, getEmbeddingSettings } from './embeddingService.js';
+
+const VECTOR_TYPES = ['fact', 'message', 'web', 'image', 'document'];
+
+// Oldest entries of a type are dropped beyond these limits to keep the index file manageable.
+// Document chunks are not pruned here: documentService limits them per chat, removing whole
+// documents so the chunks never disappear from under a listed document.
+const MAX_VECTOR_ENTRIES = {
+  fact: 5000,
+  message: 3000,
+  web: 500,
+  image: 1000
+};
+
+// Entries of these types belong to the chat in their metadata and are only found from that chat
+const CHAT_SCOPED_TYPES = ['message', 'web', 'image', 'document'];
+
+// Indexed text is kept so the index can be rebuilt and matches can be quoted without the source
+const MAX_INDEXED_TEXT_CHARS = 1000;
+
+// Vectors are rounded before storing; cosine scores don't need more precision
+const VECTOR_PRECISION = 5;
+
+function ensureVectorIndex(db) {
+  if (!db.data.vectorIndex) {
+    db.data.vectorIndex = { entries: {} };
+  }
+  if (!db.data.vectorIndex.entries) {
+    db.data.vectorIndex.entries = {};
+  }
+  return db.data.vectorIndex;
+}
+
+function getEntryKey(type, sourceId) {
+  return `${type}:${sourceId}`;
+}
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function roundVector(vector) {
+  const factor = 10 ** VECTOR_PRECISION;
+  return vector.map(value => Math.round(value * factor) / factor);
+}
+
+// Drop the oldest entries of a type above its limit
+function pruneVectorEntries(index, type) {
+  const limit = MAX_VECTOR_ENTRIES[type];
+  const keys = Object.keys(index.entries).filter(key => index.entries[key].type === type);
+
+  if (!limit || keys.length <= limit) {
+    return;
+  }
+
+  keys
+    .sort((a, b) => new Date(index.entries[a].updatedAt) - new Date(index.entries[b].updatedAt))
+    .slice(0, keys.length - limit)
+    .forEach(key => delete index.entries[key]);
+}
+
+/**
+ * Add or refresh several entries; texts that are already indexed with the active model are skipped
+ * @param {Array<Object>} items - [{ type, sourceId, text, metadata }]
+ * @param {Object} options - { write: persist the database afterwards (default true; false leaves it to
+ *   the caller), deferWrite: persist with a deferred write shared with other changes }
+ * @returns {Promise<number>} - Number of entries (re)embedded
+ */
+async function indexVectorEntries(items, options = {}) {
+  const { write = true, deferWrite = false } = options;
+
+  try {
+    const db = getDb();
+    const index = ensureVectorIndex(db);
+    const activeModel = getEmbeddingSettings(db.data.config).id;
+
+    const pending = items
+      .filter(item => VECTOR_TYPES.includes(item.type) && item.sourceId && typeof item.text === 'string' && item.text.trim())
+      .map(item => ({ ...item, text: item.text.trim().substring(0, MAX_INDEXED_TEXT_CHARS) }))
+      .filter(item => {
+        const existing = index.entries[getEntryKey(item.type, item.sourceId)];
+        return !existing || existing.textHash !== hashText(item.text) || existing.model !== activeModel;
+      });
+
+    if (pending.length === 0) {
+      return 0;
+    }
+
+    // Usage is counted for the chat when every item comes from the same one
+    const chatIds = [...new Set(pending.map(item => item.metadata?.chatId || null))];
+    const { model, vectors } = await embedTexts(pending.map(item => item.text), db.data.config, { chatId: chatIds.length === 1 ? chatIds[0] : null });
+    const updatedAt = new Date().toISOString();
+
+    pending.forEach((item, i) => {
+      index.entries[getEntryKey(item.type, item.sourceId)] = {
+        type: item.type,
+        sourceId: item.sourceId,
+        text: item.text,
+        textHash: hashText(item.text),
+        model,
+        vector: roundVector(vectors[i]),
+        metadata: item.metadata || {},
+        updatedAt
+      };
+    });
+
+    [...new Set(pending.map(item => item.type))].forEach(type => pruneVectorEntries(index, type));
+
+    if (deferWrite) {
+      scheduleWrite();
+    } else if (write) {
+      await db.write();
+    }
+
+    logger.debug(`Indexed ${pending.length} vector entr${pending.length === 1 ? 'y' : 'ies'} with ${model}`);
+    return pending.length;
+  } catch (error) {
+    logger.error('Error indexing vector entries', error);
+    return 0;
+  }
+}
+
+/**
+ * Add or refresh one entry
+ * @param {string} type - One of VECTOR_TYPES
+ * @param {string} sourceId - ID of the source record (unique per type)
+ * @param {string} text - Text to embed
+ * @param {Object} metadata - Stored with the entry (chatId and userId are used for filtering)
+ * @param {Object} options - See indexVectorEntries
+ * @returns {Promise<boolean>} - True if the entry was (re)embedded
+ */
+async function indexVectorEntry(type, sourceId, text, metadata = {}, options = {}) {
+  const count = await indexVectorEntries([{ type, sourceId, text, metadata }], options);
+  return count > 0;
+}
+
+/**
+ * Remove an entry (the caller persists the database)
+ * @param {string} type - One of VECTOR_TYPES
+ * @param {string} sourceId - ID of the source record
+ * @returns {boolean} - True if an entry was removed
+ */
+function removeVectorEntry(type, sourceId) {
+  const db = getDb();
+  const key = getEntryKey(type, sourceId);
+
+  if (!db.data.vectorIndex?.entries?.[key]) {
+    return false;
+  }
+
+  delete db.data.vectorIndex.entries[key];
+  return true;
+}
+
+// Map a similarity above the threshold to 0..1 so callers can mix it with other scores
+function toRelevance(similarity, minSimilarity) {
+  return Math.max(0, Math.min(1, (similarity - minSimilarity) / (1 - minSimilarity)));
+}
+
+/**
+ * Find indexed entries similar to a query
+ * @param {string} query - Query text
+ * @param {Object} options - { types, chatId, userId, timeframe (ms), limit, minSimilarity, excludeSourceIds,
+ *   where: metadata values entries must match exactly, e.g. { docId, page } }
+ * @returns {Promise<Array>} - [{ type, sourceId, text, metadata, updatedAt, similarity, relevance }] best first
+ */
+async function searchVectors(query, options = {}) {
+  try {
+    const db = getDb();
+    const entries = Object.values(db.data.vectorIndex?.entries || {});
+
+    if (!query || entries.length === 0) {
+      return [];
+    }
+
+    const settings = getEmbeddingSettings(db.data.config);
+    const {
+      types = VECTOR_TYPES,
+      chatId = null,
+      userId = null,
+      timeframe = null,
+      limit = 5,
+      minSimilarity = settings.minSimilarity,
+      excludeSourceIds = [],
+      where = null
+    } = options;
+
+    const { model, vector } = await embedText(query, db.data.config, { chatId });
+    const excluded = new Set(excludeSourceIds);
+    const now = Date.now();
+
+    return entries
+      .filter(entry => {
+        if (entry.model !== model || !types.includes(entry.type) || excluded.has(entry.sourceId)) return false;
+        // Chat content is only found from its own chat; facts (no chat) follow the user
+        if (chatId && CHAT_SCOPED_TYPES.includes(entry.type) && entry.metadata?.chatId !== chatId) return false;
+        if (chatId && entry.metadata?.chatId && entry.metadata.chatId !== chatId) return false;
+        if (userId && entry.metadata?.userId && entry.metadata.userId !== userId) return false;
+        if (timeframe && now - new Date(entry.metadata?.timestamp || entry.updatedAt).getTime() > timeframe) return false;
+        if (where && Object.entries(where).some(([key, value]) => entry.metadata?.[key] !== value)) return false;
+        return true;
+      })
+      .map(entry => ({ entry, similarity: cosineSimilarity(vector, entry.vector) }))
+      .filter(({ similarity }) => similarity >= minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit)
+      .map(({ entry, similarity }) => ({
+        type: entry.type,
+        sourceId: entry.sourceId,
+        text: entry.text,
+        metadata: entry.metadata,
+        updatedAt: entry.updatedAt,
+        similarity,
+        relevance: toRelevance(similarity, minSimilarity)
+      }));
+  } catch (error) {
+    logger.error('Error searching vector index', error);
+    return [];
+  }
+}
+
+/**
+ * Score a known set of items against a query, indexing any that are missing or outdated first
+ * @param {string} query - Query text
+ * @param {Array<Object>} items - [{ type, sourceId, text, metadata }]
+ * @param {Object} options - { minSimilarity }
+ * @returns {Promise<Array>} - Items above the threshold with similarity and relevance, best first
+ */
+async function rankBySimilarity(query, items, options = {}) {
+  try {
+    if (!query || items.length === 0) {
+      return [];
+    }
+
+    const db = getDb();
+    const { minSimilarity = getEmbeddingSettings(db.data.config).minSimilarity } = options;
+
+    await indexVectorEntries(items);
+
+    const { model, vector } = await embedText(query, db.data.config);
+    const entries = db.data.vectorIndex.entries;
+
+    return items
+      .map(item => {
+        const entry = entries[getEntryKey(item.type, item.sourceId)];
+        const similarity = entry && entry.model === model ? cosineSimilarity(vector, entry.vector) : 0;
+        return { ...item, similarity, relevance: toRelevance(similarity, minSimilarity) };
+      })
+      .filter(item => item.similarity >= minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity);
+  } catch (error) {
+    logger.error('Error ranking items by similarity', error);
+    return [];
+  }
+}
+
+/**
+ * Re-embed every entry that was produced by another model than the active one
+ * @returns {Promise<Object>} - { success, message, reindexed }
+ */
+async function rebuildVectorIndex() {
+  try {
+    const db = getDb();
+    const index = ensureVectorIndex(db);
+    const activeModel = getEmbeddingSettings(db.data.config).id;
+    const stale = Object.values(index.entries).filter(entry => entry.model !== activeModel);
+
+    if (stale.length === 0) {
+      return { success: true, reindexed: 0, message: `Semua entri sudah memakai ${activeModel}` };
+    }
+
+    const reindexed = await indexVectorEntries(stale.map(entry => ({
+      type: entry.type,
+      sourceId: entry.sourceId,
+      text: entry.text,
+      metadata: entry.metadata
+    })));
+
+    // A failing remote backend falls back to builtin vectors, which don't count as rebuilt
+    const remaining = Object.values(index.entries).filter(entry => entry.model !== activeModel).length;
+    if (remaining > 0) {
+      return { success: false, reindexed, message: `${remaining} entri gagal di-embed ulang dengan ${activeModel}. Cek log untuk detailnya.` };
+    }
+
+    return { success: true, reindexed, message: `${reindexed} entri di-embed ulang dengan ${activeModel}` };
+  } catch (error) {
+    logger.error('Error rebuilding vector index', error);
+    return { success: false, reindexed: 0, message: 'Terjadi kesalahan saat membangun ulang index' };
+  }
+}
+
+/**
+ * Count index entries per type
+ * @returns {Object} - { model, total, byType, stale }
+ */
+function getVectorIndexStats() {
+  const db = getDb();
+  const activeModel = getEmbeddingSettings(db.data.config).id;
+  const entries = Object.values(db.data.vectorIndex?.entries || {});
+  const byType = Object.fromEntries(VECTOR_TYPES.map(type => [type, 0]));
+
+  entries.forEach(entry => {
+    byType[entry.type] = (byType[entry.type] || 0) + 1;
+  });
+
+  return {
+    model: activeModel,
+    total: entries.length,
+    byType,
+    stale: entries.filter(entry => entry.model !== activeModel).length
+  };
+}
+
+export {
+  VECTOR_TYPES,
+  MAX_VECTOR_ENTRIES,
+  CHAT_SCOPED_TYPES,
+  indexVectorEntries,
+  indexVectorEntry,
+  removeVectorEntry,
+  searchVectors,
+  rankBySimilarity,
+  rebuildVectorIndex,
+  getVectorIndexStats
+};
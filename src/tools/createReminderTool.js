@@ -0,0 +1,85 @@
+/**
+ * Tool: Create Reminder
+ * Description: Schedule a reminder that is sent to the current chat at a given time
+ * Type: function
+ * Category: utility
+ * Dependencies: reminderService (stored in the database, delivered by the bot's reminder timer)
+ */
+
+import { getDb } from '../database/index.js';
+import { addReminder, createReminder } from '../services/reminderService.js';
+import { parseReminder, parseZonedTimestamp } from '../utils/reminderParser.js';
+import { createToolError } from '../utils/toolUtils.js';
+
+/**
+ * Create a reminder for the person the bot is talking to
+ * @param {Object} args - { time, message, recurrence }
+ * @param {Object} context - { chatId, userId, userName } of the conversation the tool was called in
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function createReminderTool(args, context = {}) {
+  const { time, message = '', recurrence = 'none' } = args;
+
+  if (!time || typeof time !== 'string') {
+    return createToolError('Time parameter is required and must be a string', 'INVALID_PARAMETER');
+  }
+  if (!context.chatId || !context.userId) {
+    return createToolError('Reminders can only be created from a chat', 'MISSING_CONTEXT');
+  }
+
+  try {
+    const db = getDb();
+    const request = { chatId: context.chatId, createdBy: context.userId, creatorName: context.userName || null };
+    const repeat = recurrence === 'daily' || recurrence === 'weekly' ? { type: recurrence } : null;
+
+    // Natural-language times go through the same parser as !remind; ISO timestamps without an offset
+    // are in the reminder timezone, like the user's own words
+    const parsed = parseReminder(time);
+    const timestamp = !parsed && parseZonedTimestamp(time);
+    if (timestamp) {
+      return await addReminder(db, { ...request, message, dueAt: timestamp, recurrence: repeat });
+    }
+    if (!parsed) {
+      return await createReminder(db, { ...request, text: time });
+    }
+
+    return await addReminder(db, {
+      ...request,
+      message: message || parsed.message,
+      dueAt: parsed.dueAt,
+      recurrence: repeat || parsed.recurrence
+    });
+  } catch (error) {
+    return createToolError(`Error creating reminder: ${error.message}`, 'REMINDER_ERROR');
+  }
+}
+
+// Tool definition for AI models
+const toolDefinition = {
+  type: "function",
+  function: {
+    name: "create_reminder",
+    description: "Schedule a reminder that will be sent to this chat at the given time, mentioning the user. Use it whenever the user asks to be reminded of something (e.g. \"ingetin aku besok jam 7 buat meeting\", \"remind me to call mom in 10 minutes\").",
+    parameters: {
+      type: "object",
+      properties: {
+        time: {
+          type: "string",
+          description: "When to send the reminder, in the user's own words (e.g. \"besok jam 7\", \"30 menit lagi\", \"tiap senin jam 8 pagi\", \"tomorrow at 7pm\") or as an ISO 8601 timestamp"
+        },
+        message: {
+          type: "string",
+          description: "What to remind the user about, short and in the user's language (e.g. \"meeting\")"
+        },
+        recurrence: {
+          type: "string",
+          enum: ["none", "daily", "weekly"],
+          description: "Whether the reminder repeats"
+        }
+      },
+      required: ["time", "message"]
+    }
+  }
+};
+
+export { createReminderTool, toolDefinition };
@@ -12,9 +12,10 @@ import { createToolError, sanitizeUrl } from '../utils/toolUtils.js';
 /**
  * Fetch and extract content from a URL
  * @param {Object} args - Arguments object containing url and user_query
+ * @param {Object} context - { chatId } of the conversation; the page is remembered for that chat
  * @returns {Promise<Object>} - Extracted content with AI summary
  */
-async function fetchUrlContentTool(args) {
+async function fetchUrlContentTool(args, context = {}) {
   const { url, user_query } = args;
   
   if (!url || typeof url !== 'string') {
@@ -28,7 +29,7 @@ async function fetchUrlContentTool(args) {
   }
 
   try {
-    const result = await fetchUrlContent(sanitizedUrl, { userQuery: user_query });
+    const result = await fetchUrlContent(sanitizedUrl, { userQuery: user_query, chatId: context.chatId });
     return result;
   } catch (error) {
     return createToolError(`Error fetching URL content: ${error.message}`, 'FETCH_ERROR');
@@ -177,9 +177,10 @@ function _getToolCategories() {
 /**
  * Handle tool call execution
  * @param {Object} functionCall - The function call object from AI
+ * @param {Object} context - Conversation the call was made in ({ chatId, userId, userName }), passed to the tool
  * @returns {Promise<string>} - The result of the tool execution
  */
-async function _handleToolCall(functionCall) {
+async function _handleToolCall(functionCall, context = {}) {
   const { name, arguments: args } = functionCall;
   
   try {
@@ -193,7 +194,7 @@ async function _handleToolCall(functionCall) {
     const tool = toolsRegistry[name];
     
     // Execute the tool function
-    const result = await tool.function(parsedArgs);
+    const result = await tool.function(parsedArgs, context);
     
     // Handle different result formats
     if (typeof result === 'string') {
@@ -487,9 +488,9 @@ export async function getToolCategories() {
   return _getToolCategories();
 }
 
-export async function handleToolCall(functionCall) {
+export async function handleToolCall(functionCall, context = {}) {
   await ensureToolsLoaded();
-  return _handleToolCall(functionCall);
+  return _handleToolCall(functionCall, context);
 }
 
 export async function getToolInfo(toolName) {
@@ -0,0 +1,120 @@
+// Helpers for documents sent in chat: file type detection, chunking and page references
+
+// Supported document types by extension, with the mimetypes WhatsApp clients send for them
+const DOCUMENT_TYPES = {
+  pdf: ['application/pdf'],
+  docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  txt: ['text/plain'],
+  md: ['text/markdown', 'text/x-markdown']
+};
+
+// Target chunk size in characters, and how much consecutive chunks overlap
+const DEFAULT_CHUNK_SIZE = 800;
+const DEFAULT_CHUNK_OVERLAP = 120;
+
+/**
+ * Detect the document type of a file
+ * @param {string} fileName - File name as sent
+ * @param {string} mimetype - Mimetype as sent
+ * @returns {string|null} - "pdf", "docx", "txt", "md" or null when unsupported
+ */
+function getDocumentType(fileName, mimetype) {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  if (DOCUMENT_TYPES[extension]) {
+    return extension;
+  }
+
+  if (extension === 'markdown') {
+    return 'md';
+  }
+
+  const baseMimetype = (mimetype || '').split(';')[0].trim().toLowerCase();
+  const match = Object.entries(DOCUMENT_TYPES).find(([, mimetypes]) => mimetypes.includes(baseMimetype));
+  return match ? match[0] : null;
+}
+
+// Split text into pieces of at most `size` characters, preferring paragraph, then sentence, then word breaks
+function splitText(text, size) {
+  const pieces = [];
+  let rest = text.trim();
+
+  while (rest.length > size) {
+    const window = rest.substring(0, size);
+    let cut = window.lastIndexOf('\n\n');
+    if (cut < size * 0.5) cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('.\n'), window.lastIndexOf('? '), window.lastIndexOf('! ')) + 1;
+    if (cut < size * 0.5) cut = window.lastIndexOf(' ');
+    if (cut < size * 0.5) cut = size;
+
+    pieces.push(rest.substring(0, cut).trim());
+    rest = rest.substring(cut).trim();
+  }
+
+  if (rest) {
+    pieces.push(rest);
+  }
+  return pieces;
+}
+
+/**
+ * Chunk the pages of a document for indexing. Chunks never span two pages, so every chunk
+ * can be cited with a single page number.
+ * @param {Array<Object>} pages - [{ page, text }] (page is null for formats without pages)
+ * @param {Object} options - { chunkSize, overlap }
+ * @returns {Array<Object>} - [{ index, page, text }]
+ */
+function chunkDocumentPages(pages, options = {}) {
+  const { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = options;
+  const chunks = [];
+
+  for (const { page, text } of pages) {
+    const normalized = (text || '')
+      .replace(/\r\n/g, '\n')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    if (!normalized) continue;
+
+    let previousTail = '';
+    for (const piece of splitText(normalized, chunkSize - overlap)) {
+      // Start each chunk with the end of the previous one so sentences cut at a boundary stay findable
+      const chunkText = previousTail ? `${previousTail} ${piece}` : piece;
+      chunks.push({ index: chunks.length, page, text: chunkText });
+
+      const tailStart = Math.max(0, piece.length - overlap);
+      const wordStart = piece.indexOf(' ', tailStart);
+      previousTail = piece.substring(wordStart === -1 ? tailStart : wordStart + 1);
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Find a page reference in a question ("halaman 3", "page 3", "hal. 3", "p3")
+ * @param {string} text - Question text
+ * @returns {number|null} - Page number or null
+ */
+function parsePageReference(text) {
+  const match = (text || '').match(/\b(?:halaman|hlm\.?|hal\.?|page|pg\.?|p\.?)\s*(\d{1,4})\b/i);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Short citation label for a chunk, e.g. "laporan.pdf, hal. 3, bagian 7"
+ * @param {string} fileName - Document file name
+ * @param {number|null} page - Page number
+ * @param {number} index - Chunk index (0-based)
+ * @returns {string}
+ */
+function formatChunkCitation(fileName, page, index) {
+  return `${fileName}${page ? `, hal. ${page}` : ''}, bagian ${index + 1}`;
+}
+
+export {
+  DOCUMENT_TYPES,
+  getDocumentType,
+  chunkDocumentPages,
+  parsePageReference,
+  formatChunkCitation
+};
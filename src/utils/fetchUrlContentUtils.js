@@ -576,7 +576,8 @@ async function fetchUrlContent(url, options = {}) {
             fullContent: mainContent,
             markdown: truncatedMarkdown,
             userQuery: userQuery,
-            structuredData: structuredData
+            structuredData: structuredData,
+            chatId: options.chatId
           });
           logger.info(`Saved web content from "${url}" to memory`);
         } catch (memoryError) {
@@ -670,7 +671,8 @@ Format responsenya dalam paragraf yang mudah dibaca. Harus menyebutkan sumber (U
           markdown: truncatedMarkdown,
           userQuery: userQuery,
           aiSummary: aiSummary,
-          structuredData: structuredData
+          structuredData: structuredData,
+          chatId: options.chatId
         });
         logger.info(`Saved web content from "${url}" to memory with AI summary`);
       } catch (memoryError) {
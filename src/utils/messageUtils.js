@@ -1,3 +1,5 @@
+import { getDocumentType } from './documentUtils.js';
+
 // Extract the text content from a WhatsApp message
 function extractMessageContent(message) {
   if (!message || !message.message) {
@@ -10,6 +12,7 @@ function extractMessageContent(message) {
     'imageMessage',
     'videoMessage',
     'documentMessage',
+    'documentWithCaptionMessage',
     'audioMessage',
     'stickerMessage'
   ];
@@ -27,15 +30,24 @@ function extractMessageContent(message) {
           content = message.message.extendedTextMessage.text;
           break;
 
+        case 'audioMessage':
+          // Voice notes are read as their transcript once speechService has transcribed them
+          content = message.transcription?.text || message.message.audioMessage.caption || '[audioMessage]';
+          break;
+
         case 'imageMessage':
         case 'videoMessage':
         case 'documentMessage':
-        case 'audioMessage':
         case 'stickerMessage':
           // Get caption if available
           content = message.message[type].caption || `[${type}]`;
           break;
 
+        case 'documentWithCaptionMessage':
+          // Documents sent with a caption are wrapped in an extra message layer
+          content = message.message.documentWithCaptionMessage.message?.documentMessage?.caption || '[documentMessage]';
+          break;
+
         default:
           content = `[${type}]`;
       }
@@ -102,6 +114,134 @@ function extractImageData(message) {
   }
 }
 
+/**
+ * Check if message contains a voice note or other audio
+ * @param {Object} message - The message object
+ * @returns {Boolean} - Whether the message contains audio
+ */
+function hasVoiceNote(message) {
+  return !!message?.message?.audioMessage;
+}
+
+/**
+ * Extract audio data from message
+ * @param {Object} message - The message object
+ * @returns {Object|null} - { mimetype, seconds, ptt } or null if no audio
+ */
+function extractAudioData(message) {
+  if (!hasVoiceNote(message)) {
+    return null;
+  }
+
+  const audio = message.message.audioMessage;
+  return {
+    mimetype: audio.mimetype || 'audio/ogg; codecs=opus',
+    seconds: audio.seconds || 0,
+    ptt: !!audio.ptt
+  };
+}
+
+/**
+ * Get the document in a message, including documents sent with a caption
+ * @param {Object} message - The message object
+ * @returns {Object|null} - Baileys documentMessage or null
+ */
+function getDocumentMessage(message) {
+  return message?.message?.documentMessage ||
+         message?.message?.documentWithCaptionMessage?.message?.documentMessage ||
+         null;
+}
+
+/**
+ * Check if message contains a document (PDF, Word file, text file, ...)
+ * @param {Object} message - The message object
+ * @returns {Boolean} - Whether the message contains a document
+ */
+function hasDocument(message) {
+  return !!getDocumentMessage(message);
+}
+
+/**
+ * Extract document data from message
+ * @param {Object} message - The message object
+ * @returns {Object|null} - { fileName, mimetype, caption, fileLength, pageCount, type } or null if no document;
+ *   type is null for unsupported formats
+ */
+function extractDocumentData(message) {
+  const document = getDocumentMessage(message);
+  if (!document) {
+    return null;
+  }
+
+  const fileName = document.fileName || document.title || 'dokumen';
+  return {
+    fileName,
+    mimetype: document.mimetype || '',
+    caption: document.caption || '',
+    // fileLength is a protobuf Long on most Baileys versions
+    fileLength: Number(document.fileLength?.toString() || 0),
+    pageCount: document.pageCount || null,
+    type: getDocumentType(fileName, document.mimetype)
+  };
+}
+
+/**
+ * Get the message that a message replies to (quoted reply)
+ * @param {Object} message - The message object
+ * @returns {Object|null} - { id, participant, content } or null if the message is not a reply;
+ *   content is the quoted text, caption or a media placeholder
+ */
+function getQuotedMessageInfo(message) {
+  if (!message || !message.message) {
+    return null;
+  }
+
+  // Any message type (text, image, audio, ...) can carry the reply in its contextInfo
+  const contextInfo = Object.values(message.message)
+    .find(part => part?.contextInfo?.quotedMessage)?.contextInfo;
+
+  if (!contextInfo) {
+    return null;
+  }
+
+  return {
+    id: contextInfo.stanzaId || null,
+    participant: contextInfo.participant || null,
+    content: extractMessageContent({ message: contextInfo.quotedMessage })
+  };
+}
+
+// protocolMessage types for "delete for everyone" and edits
+const PROTOCOL_REVOKE = 0;
+const PROTOCOL_MESSAGE_EDIT = 14;
+
+/**
+ * Read an edit or "delete for everyone" carried by a protocol message
+ * @param {Object} message - The message object
+ * @returns {Object|null} - { type: "edit"|"revoke", messageId, participant, content } or null;
+ *   messageId is the ID of the edited or deleted message, participant its author in groups,
+ *   and content the new text of an edit
+ */
+function getMessageRevision(message) {
+  // Older clients wrap edits in editedMessage
+  const protocol = message?.message?.protocolMessage || message?.message?.editedMessage?.message?.protocolMessage;
+  if (!protocol?.key?.id) {
+    return null;
+  }
+
+  const revision = { messageId: protocol.key.id, participant: protocol.key.participant || null };
+
+  if (protocol.type === PROTOCOL_REVOKE || protocol.type === 'REVOKE') {
+    return { type: 'revoke', ...revision, content: null };
+  }
+
+  if ((protocol.type === PROTOCOL_MESSAGE_EDIT || protocol.type === 'MESSAGE_EDIT') && protocol.editedMessage) {
+    return { type: 'edit', ...revision, content: extractMessageContent({ message: protocol.editedMessage }) };
+  }
+
+  return null;
+}
+
 // Check if message is from a group
 function isGroupMessage(message) {
   if (!message || !message.key) {
@@ -321,9 +461,160 @@ function calculateResponseDelay(message, response, options = {}) {
 /**
  * User identity mapping to link group participant IDs with personal chat IDs
  * Format: { phoneNumber: { personalId, groupId, lastSeen, displayName } }
+ * The records live in db.data.userIdentities once attachUserIdentityStore has been called, so the
+ * mapping survives restarts; this map indexes them.
  */
 const userIdentityMap = new Map();
 
+// db.data.userIdentities, and what to call when a group ID turns out to belong to a known number
+let identityStore = null;
+let identityLinkHandler = null;
+
+/**
+ * Use persisted identity records and get told about newly discovered links
+ * @param {Object} store - db.data.userIdentities
+ * @param {Function} onLink - Called with (personalId, groupId) when a message reveals both IDs of a person
+ */
+function attachUserIdentityStore(store, onLink = null) {
+  identityStore = store;
+  identityLinkHandler = onLink;
+  userIdentityMap.clear();
+  Object.entries(store || {}).forEach(([phoneNumber, identity]) => userIdentityMap.set(phoneNumber, identity));
+  console.log(`[USER-ID] Loaded ${userIdentityMap.size} stored user identities`);
+}
+
+// Changed records go through here too, so the SQLite backend sees them as changed
+function storeIdentity(phoneNumber, identity) {
+  userIdentityMap.set(phoneNumber, identity);
+  if (identityStore) {
+    identityStore[phoneNumber] = identity;
+  }
+}
+
+function removeIdentity(phoneNumber) {
+  userIdentityMap.delete(phoneNumber);
+  if (identityStore) {
+    delete identityStore[phoneNumber];
+  }
+}
+
+// Strip the device suffix: "628xxx:12@s.whatsapp.net" -> "628xxx@s.whatsapp.net"
+function getBareWhatsappId(whatsappId) {
+  if (!whatsappId || !whatsappId.includes('@')) return whatsappId || null;
+  const [user, server] = whatsappId.split('@');
+  return `${user.split(':')[0]}@${server}`;
+}
+
+/**
+ * The other ID of the sender that newer WhatsApp versions put in the message key: the phone number
+ * ID for messages sent from an @lid ID, or the other way around
+ * @param {Object} message - Message object
+ * @returns {string|null}
+ */
+function getAlternateSenderId(message) {
+  const key = message?.key || {};
+  const alternate = isGroupMessage(message)
+    ? key.participantPn || key.participantAlt
+    : key.senderPn || key.remoteJidAlt;
+  return alternate ? getBareWhatsappId(alternate) : null;
+}
+
+/**
+ * Link a group (@lid) ID to a personal (@s.whatsapp.net) ID. A separate record of the group ID
+ * is folded into the personal one.
+ * @param {string} personalId - "628xxx@s.whatsapp.net"
+ * @param {string} groupId - "275xxx@lid"
+ * @param {Object} options - { displayName, manual: a manual link also lifts an earlier split }
+ * @returns {boolean} - True if the link is new
+ */
+function linkUserIdentity(personalId, groupId, options = {}) {
+  const personal = getBareWhatsappId(personalId);
+  const group = getBareWhatsappId(groupId);
+  const phoneNumber = extractPhoneNumber(personal);
+  if (!phoneNumber || !group) return false;
+
+  let identity = userIdentityMap.get(phoneNumber);
+  if (identity?.groupId === group) return false;
+
+  // An admin split these two apart; only an admin can put them back together
+  if (!options.manual && identity?.unlinkedIds?.includes(group)) return false;
+
+  const groupRecordKey = extractPhoneNumber(group);
+  const groupRecord = groupRecordKey !== phoneNumber ? userIdentityMap.get(groupRecordKey) : null;
+  if (groupRecord && !groupRecord.personalId) {
+    removeIdentity(groupRecordKey);
+  }
+
+  if (!identity) {
+    identity = {
+      phoneNumber,
+      personalId: personal,
+      groupId: null,
+      lastSeen: Date.now(),
+      displayName: options.displayName || groupRecord?.displayName || 'Unknown',
+      firstSeenContext: groupRecord?.firstSeenContext || 'personal',
+      lastSeenContext: 'group'
+    };
+  }
+  identity.personalId = personal;
+  identity.groupId = group;
+  identity.unlinkedIds = (identity.unlinkedIds || []).filter(id => id !== group);
+  storeIdentity(phoneNumber, identity);
+  console.log(`[USER-ID] Linked group ID ${group} to phone ${phoneNumber}`);
+  return true;
+}
+
+/**
+ * Undo a link: the group ID counts as a different person again, also when later messages claim
+ * otherwise
+ * @param {string} groupId - "275xxx@lid"
+ * @returns {Object|null} - The personal identity it was linked to, or null if it wasn't linked
+ */
+function unlinkUserIdentity(groupId) {
+  const group = getBareWhatsappId(groupId);
+  const identity = [...userIdentityMap.values()].find(entry => entry.groupId === group && entry.personalId);
+  if (!identity) return null;
+
+  identity.groupId = null;
+  identity.unlinkedIds = [...new Set([...(identity.unlinkedIds || []), group])];
+  storeIdentity(identity.phoneNumber, identity);
+  storeIdentity(extractPhoneNumber(group), {
+    phoneNumber: extractPhoneNumber(group),
+    personalId: null,
+    groupId: group,
+    lastSeen: Date.now(),
+    displayName: identity.displayName,
+    firstSeenContext: 'group',
+    lastSeenContext: 'group'
+  });
+  console.log(`[USER-ID] Unlinked group ID ${group} from phone ${identity.phoneNumber}`);
+  return identity;
+}
+
+/**
+ * Drop the identity record of a person, merge snapshots included (!forgetme)
+ * @param {string} whatsappId - WhatsApp ID in any format
+ * @returns {boolean} - True if there was a record
+ */
+function forgetUserIdentity(whatsappId) {
+  const identity = getUserIdentity(whatsappId);
+  if (!identity) return false;
+
+  removeIdentity(identity.phoneNumber);
+  console.log(`[USER-ID] Forgot user identity for phone ${identity.phoneNumber}`);
+  return true;
+}
+
+/**
+ * The ID a person's data is kept under: their personal ID when a group ID has been linked to one
+ * @param {string} whatsappId - WhatsApp ID in any format
+ * @returns {string} - Personal ID, or the given ID
+ */
+function resolveUserId(whatsappId) {
+  if (!whatsappId || !whatsappId.endsWith('@lid')) return whatsappId;
+  return getUserIdentity(whatsappId)?.personalId || whatsappId;
+}
+
 /**
  * Extract phone number from WhatsApp ID (works for both formats)
  * @param {string} whatsappId - WhatsApp ID in any format
@@ -390,8 +681,20 @@ function registerUserIdentity(message, options = {}) {
       return;
     }
     
+    // Newer WhatsApp versions tell both IDs of the sender; a new link merges their data
+    const alternateId = getAlternateSenderId(message);
+    if (alternateId) {
+      const bareId = getBareWhatsappId(whatsappId);
+      const [personalId, groupId] = bareId.endsWith('@lid') ? [alternateId, bareId] : [bareId, alternateId];
+      if (groupId.endsWith('@lid') && personalId.endsWith('@s.whatsapp.net') &&
+          linkUserIdentity(personalId, groupId, { displayName }) && identityLinkHandler) {
+        Promise.resolve(identityLinkHandler(personalId, groupId))
+          .catch(error => console.error('[USER-ID] Error merging linked identities:', error));
+      }
+    }
+    
     // Get or create user identity record
-    let userIdentity = userIdentityMap.get(phoneNumber);
+    let userIdentity = getUserIdentity(whatsappId);
     if (!userIdentity) {
       userIdentity = {
         phoneNumber,
@@ -402,7 +705,7 @@ function registerUserIdentity(message, options = {}) {
         firstSeenContext: chatContext,
         lastSeenContext: chatContext
       };
-      userIdentityMap.set(phoneNumber, userIdentity);
+      storeIdentity(phoneNumber, userIdentity);
       console.log(`[USER-ID] Registered new user identity for phone ${phoneNumber} (${displayName})`);
     }
     
@@ -423,6 +726,7 @@ function registerUserIdentity(message, options = {}) {
     userIdentity.lastSeen = Date.now();
     userIdentity.lastSeenContext = chatContext;
     userIdentity.displayName = displayName; // Update display name in case it changed
+    storeIdentity(userIdentity.phoneNumber, userIdentity);
     
     // Log the mapping if both IDs are now available
     if (userIdentity.personalId && userIdentity.groupId) {
@@ -445,7 +749,11 @@ function getUserIdentity(whatsappId) {
   const phoneNumber = extractPhoneNumber(whatsappId);
   if (!phoneNumber) return null;
   
-  return userIdentityMap.get(phoneNumber) || null;
+  // A linked group ID is stored with the phone number it belongs to
+  const bareId = getBareWhatsappId(whatsappId);
+  return userIdentityMap.get(phoneNumber) ||
+    [...userIdentityMap.values()].find(identity => identity.groupId === bareId) ||
+    null;
 }
 
 /**
@@ -477,7 +785,10 @@ function isSameUser(id1, id2) {
   const phone1 = extractPhoneNumber(id1);
   const phone2 = extractPhoneNumber(id2);
   
-  return phone1 && phone2 && phone1 === phone2;
+  if (phone1 && phone2 && phone1 === phone2) return true;
+  
+  // A group ID linked to a personal ID
+  return resolveUserId(getBareWhatsappId(id1)) === resolveUserId(getBareWhatsappId(id2));
 }
 
 /**
@@ -521,11 +832,23 @@ export {
   calculateResponseDelay,
   hasImage,
   extractImageData,
+  hasVoiceNote,
+  extractAudioData,
+  hasDocument,
+  extractDocumentData,
+  getQuotedMessageInfo,
+  getMessageRevision,
   extractPhoneNumber,
   getUnifiedUserId,
   registerUserIdentity,
   getUserIdentity,
   getAllUserIds,
   isSameUser,
-  getUserMappingStats
+  getUserMappingStats,
+  attachUserIdentityStore,
+  getAlternateSenderId,
+  linkUserIdentity,
+  unlinkUserIdentity,
+  forgetUserIdentity,
+  resolveUserId
 }; 
\ No newline at end of file
@@ -0,0 +1,172 @@
+// Helpers for "what did I miss" recaps: picking the messages to cover and splitting them for summarization
+
+// Messages covered when the requester has no earlier activity in the chat
+const DEFAULT_RECAP_MESSAGES = 50;
+
+// Most messages a "last N" recap may ask for
+const MAX_RECAP_MESSAGES = 500;
+
+const DURATION_UNITS_MS = {
+  menit: 60 * 1000, minute: 60 * 1000, min: 60 * 1000, m: 60 * 1000,
+  jam: 60 * 60 * 1000, hour: 60 * 60 * 1000, h: 60 * 60 * 1000,
+  hari: 24 * 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, d: 24 * 60 * 60 * 1000
+};
+
+// Natural-language catch-up requests, e.g. "qi aku ketinggalan apa?", "what did I miss"
+const RECAP_REQUEST_PATTERNS = [
+  /\bwhat did i miss\b/i,
+  /\b(catch me up|fill me in)\b/i,
+  /\bketinggalan apa\b/i,
+  /\bapa yang (aku|gue|gw|saya|ku) (lewat(in|kan)|ketinggalan)\b/i,
+  /\b(rangkum|ringkas)(in|kan)? (chat|obrolan|percakapan|pembahasan)\b/i,
+  /\b(tadi )?(bahas|ngobrolin) apa aja\b/i,
+  /\brecap (dong|donk|please|pls)\b/i
+];
+
+/**
+ * Check whether a message asks for a catch-up summary
+ * @param {string} text - Message content
+ * @returns {boolean}
+ */
+function isRecapRequest(text) {
+  return typeof text === 'string' && RECAP_REQUEST_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * Read the arguments of !recap
+ * @param {Array<string>} args - Command arguments
+ * @param {Array<string>} mentions - Mentioned JIDs of the command message
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - { mode: "since"|"last"|"user"|"duration", count, since, userId } or { error }
+ */
+function parseRecapArgs(args = [], mentions = [], now = Date.now()) {
+  const first = (args[0] || '').toLowerCase();
+
+  if (!first || first === 'since') {
+    return { mode: 'since' };
+  }
+
+  if (first === 'last') {
+    const count = parseInt(args[1]);
+    if (isNaN(count) || count < 1 || count > MAX_RECAP_MESSAGES) {
+      return { error: `Jumlah pesan harus antara 1 dan ${MAX_RECAP_MESSAGES}` };
+    }
+    return { mode: 'last', count };
+  }
+
+  if (first.startsWith('@')) {
+    const bare = first.substring(1);
+    const userId = mentions.find(id => id.split('@')[0].split(':')[0] === bare) || mentions[0];
+    return userId ? { mode: 'user', userId } : { error: 'Tag orang yang ingin dirangkum, misalnya !recap @nama' };
+  }
+
+  // "!recap 3 jam", "!recap 2h", "!recap 1 hari"
+  const durationMatch = args.join(' ').toLowerCase().match(/^(\d+)\s*(menit|minutes?|mins?|m|jam|hours?|h|hari|days?|d)$/);
+  if (durationMatch) {
+    const unit = durationMatch[2].replace(/s$/, '');
+    return { mode: 'duration', since: now - parseInt(durationMatch[1]) * DURATION_UNITS_MS[unit] };
+  }
+
+  return { error: 'Gunakan: !recap, !recap last [jumlah], !recap [3 jam] atau !recap @nama' };
+}
+
+/**
+ * When the requester was last active in the chat, ignoring the request itself
+ * @param {Object} conversation - db.data.conversations[chatId]
+ * @param {string} userId - Requester
+ * @param {string|null} excludeMessageId - ID of the request message
+ * @returns {number|null} - Time in milliseconds, or null when they never spoke here
+ */
+function getLastSeenAt(conversation, userId, excludeMessageId = null) {
+  const own = (conversation?.messages || [])
+    .filter(msg => msg.sender === userId && msg.id !== excludeMessageId);
+
+  if (own.length > 0) {
+    return new Date(own[own.length - 1].timestamp).getTime();
+  }
+
+  const lastActive = conversation?.participants?.[userId]?.lastActive;
+  return lastActive ? new Date(lastActive).getTime() : null;
+}
+
+/**
+ * Pick the stored messages a recap covers
+ * @param {Array<Object>} messages - Stored chat messages, oldest first
+ * @param {Object} options - Parsed arguments plus { requesterId, lastSeenAt, excludeMessageId }
+ * @returns {Array<Object>}
+ */
+function selectRecapMessages(messages, options = {}) {
+  const { mode = 'since', count, since, userId, lastSeenAt = null, excludeMessageId = null } = options;
+  const candidates = (messages || []).filter(msg =>
+    msg.id !== excludeMessageId &&
+    typeof msg.content === 'string' &&
+    msg.content.trim() &&
+    !msg.deletedAt &&
+    !msg.content.startsWith('!')
+  );
+
+  switch (mode) {
+    case 'last':
+      return candidates.slice(-count);
+    case 'user':
+      return candidates.filter(msg => msg.sender === userId).slice(-DEFAULT_RECAP_MESSAGES);
+    case 'duration':
+      return candidates.filter(msg => new Date(msg.timestamp).getTime() > since);
+    default:
+      if (lastSeenAt === null) {
+        return candidates.slice(-DEFAULT_RECAP_MESSAGES);
+      }
+      return candidates.filter(msg => new Date(msg.timestamp).getTime() > lastSeenAt);
+  }
+}
+
+/**
+ * One transcript line per message: "[14:05] Budi: besok rapat jam 7"
+ * @param {Array<Object>} messages - Messages to format
+ * @param {string} botName - Name used for the bot's own messages
+ * @returns {Array<string>}
+ */
+function formatRecapLines(messages, botName = 'Bot') {
+  return messages.map(msg => {
+    const time = new Date(msg.timestamp);
+    const clock = `${String(time.getHours()).padStart(2, '0')}:${String(time.getMinutes()).padStart(2, '0')}`;
+    const name = msg.role === 'assistant' ? botName : (msg.name || (msg.sender || '').split('@')[0]);
+    return `[${clock}] ${name}: ${msg.content.replace(/\s+/g, ' ').trim()}`;
+  });
+}
+
+/**
+ * Split lines into chunks of at most maxChars characters (a single longer line is cut)
+ * @param {Array<string>} lines - Transcript lines or partial summaries
+ * @param {number} maxChars - Chunk size
+ * @returns {Array<string>}
+ */
+function chunkLines(lines, maxChars) {
+  const chunks = [];
+  let current = '';
+
+  for (const rawLine of lines) {
+    const line = rawLine.length > maxChars ? `${rawLine.substring(0, maxChars - 3)}...` : rawLine;
+    if (current && current.length + line.length + 1 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line;
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+export {
+  DEFAULT_RECAP_MESSAGES,
+  MAX_RECAP_MESSAGES,
+  isRecapRequest,
+  parseRecapArgs,
+  getLastSeenAt,
+  selectRecapMessages,
+  formatRecapLines,
+  chunkLines
+};
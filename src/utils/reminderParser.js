@@ -0,0 +1,394 @@
+// Natural-language reminder parsing in Indonesian and English ("ingetin aku besok jam 7 buat meeting",
+// "remind me to call mom in 10 minutes", "tiap senin jam 8 pagi standup").
+// Times are read and shown in REMINDER_TIMEZONE (default Asia/Jakarta), whatever timezone the server runs
+// in. Calendar arithmetic is done on "wall clock" dates: Dates whose UTC fields hold the local date and
+// time in that zone, converted back to real instants at the end.
+
+const DAY_NAMES = {
+  minggu: 0, ahad: 0, senin: 1, selasa: 2, rabu: 3, kamis: 4, jumat: 5, "jum'at": 5, sabtu: 6,
+  sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6
+};
+
+const MONTH_NAMES = {
+  januari: 0, january: 0, jan: 0, februari: 1, february: 1, feb: 1, maret: 2, march: 2, mar: 2,
+  april: 3, apr: 3, mei: 4, may: 4, juni: 5, june: 5, jun: 5, juli: 6, july: 6, jul: 6,
+  agustus: 7, august: 7, agu: 7, aug: 7, september: 8, sept: 8, sep: 8, oktober: 9, october: 9, okt: 9, oct: 9,
+  november: 10, nov: 10, desember: 11, december: 11, des: 11, dec: 11
+};
+
+const UNIT_MS = {
+  detik: 1000, second: 1000, sec: 1000,
+  menit: 60 * 1000, minute: 60 * 1000, min: 60 * 1000,
+  jam: 60 * 60 * 1000, hour: 60 * 60 * 1000, hr: 60 * 60 * 1000,
+  hari: 24 * 60 * 60 * 1000, day: 24 * 60 * 60 * 1000,
+  minggu: 7 * 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000
+};
+
+// Default hour of each part of the day, and how an "h o'clock" in it maps to 24h time
+const PARTS_OF_DAY = {
+  pagi: { hour: 8, toHour: h => h % 12 },
+  morning: { hour: 8, toHour: h => h % 12 },
+  siang: { hour: 12, toHour: h => (h < 11 ? h + 12 : h) },
+  noon: { hour: 12, toHour: h => (h < 11 ? h + 12 : h) },
+  sore: { hour: 16, toHour: h => (h < 12 ? h + 12 : h) },
+  afternoon: { hour: 15, toHour: h => (h < 12 ? h + 12 : h) },
+  malam: { hour: 19, toHour: h => (h === 12 ? 0 : h >= 4 && h < 12 ? h + 12 : h) },
+  evening: { hour: 19, toHour: h => (h < 12 ? h + 12 : h) },
+  night: { hour: 21, toHour: h => (h === 12 ? 0 : h >= 4 && h < 12 ? h + 12 : h) },
+  tonight: { hour: 19, toHour: h => (h < 12 ? h + 12 : h) }
+};
+
+// Time of day for reminders that only name a day
+const DEFAULT_HOUR = 9;
+
+const DEFAULT_TIMEZONE = 'Asia/Jakarta';
+
+const DAY_PATTERN = Object.keys(DAY_NAMES).join('|');
+const MONTH_PATTERN = Object.keys(MONTH_NAMES).sort((a, b) => b.length - a.length).join('|');
+const UNIT_PATTERN = '(detik|menit|jam|hari|minggu|seconds?|secs?|minutes?|mins?|hours?|hrs?|days?|weeks?)';
+const AMOUNT_PATTERN = '(\\d+(?:[.,]\\d+)?|satu|setengah|se|an?|one|half an?)';
+const PART_PATTERN = Object.keys(PARTS_OF_DAY).join('|');
+
+// Phrases around the reminder text that are not part of it
+const LEADING_FILLER = /^(?:tolong\s+|please\s+|pls\s+)?(?:ingetin|ingatin|ingatkan|ingetkan|remind|reminder|pengingat)?\s*(?:aku|saya|gue|gw|gua|aq|me|kita|kami|us)?\s*(?:ya\s+)?(?:buat|untuk|utk|tentang|soal|kalau|kalo|bahwa|to|about|that|of)?\s+/i;
+const TRAILING_FILLER = /\s*(?:ya|yah|yaa|dong|ok|oke|please|pls|thanks|makasih)?[\s.,!?]*$/i;
+
+function parseAmount(text) {
+  const value = text.toLowerCase();
+  if (value === 'setengah' || value.startsWith('half')) return 0.5;
+  if (['satu', 'se', 'a', 'an', 'one'].includes(value)) return 1;
+  return parseFloat(value.replace(',', '.'));
+}
+
+function unitMs(unit) {
+  const key = unit.toLowerCase().replace(/s$/, '');
+  return UNIT_MS[key] || UNIT_MS[unit.toLowerCase()];
+}
+
+// Formatters are cached per zone; building one is slow
+const zoneFormatters = new Map();
+
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+/**
+ * Timezone reminders are read and shown in
+ * @returns {string} - REMINDER_TIMEZONE when it names a valid zone, otherwise Asia/Jakarta
+ */
+function getReminderTimeZone() {
+  const timeZone = process.env.REMINDER_TIMEZONE || DEFAULT_TIMEZONE;
+  try {
+    getZoneFormatter(timeZone);
+    return timeZone;
+  } catch {
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+// Wall clock time of an instant in a zone
+function toZonedWall(instant, timeZone) {
+  const date = new Date(instant);
+  const parts = Object.fromEntries(getZoneFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getUTCMilliseconds()));
+}
+
+// Instant of a wall clock time in a zone; the offset is checked twice so times next to a DST change land right
+function fromZonedWall(wall, timeZone) {
+  const offsetAt = (instant) => toZonedWall(instant, timeZone).getTime() - instant;
+  const guess = wall.getTime() - offsetAt(wall.getTime());
+  return new Date(wall.getTime() - offsetAt(guess));
+}
+
+function atTime(wall, hour, minute) {
+  const result = new Date(wall);
+  result.setUTCHours(hour, minute, 0, 0);
+  return result;
+}
+
+function addDays(wall, days) {
+  const result = new Date(wall);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+/**
+ * Read an ISO 8601 timestamp; one without an offset ("2026-10-20T19:00") is taken as a time in the zone
+ * @param {string} text - Timestamp
+ * @param {string} timeZone - Zone for timestamps without an offset
+ * @returns {Date|null} - null when the text isn't a timestamp
+ */
+function parseZonedTimestamp(text, timeZone = getReminderTimeZone()) {
+  const match = String(text).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0, ms = '0', offset] = match;
+  const wall = new Date(Date.UTC(year, month - 1, day, hour, minute, second, ms.padEnd(3, '0')));
+  if (isNaN(wall.getTime())) {
+    return null;
+  }
+  if (!offset) {
+    return fromZonedWall(wall, timeZone);
+  }
+  const [, sign, offsetHours, offsetMinutes] = offset.toUpperCase() === 'Z' ? [null, '+', 0, 0] : offset.match(/([+-])(\d{2}):?(\d{2})/);
+  return new Date(wall.getTime() - (sign === '-' ? -1 : 1) * (offsetHours * 60 + Number(offsetMinutes)) * UNIT_MS.menit);
+}
+
+/**
+ * Next time a recurring reminder fires after its current due time
+ * @param {Date|string} dueAt - Current due time
+ * @param {Object} recurrence - { type: "daily"|"weekly" }
+ * @param {Date} now - Current time; the result is always later than this
+ * @param {string} timeZone - Zone whose clock time the reminder keeps
+ * @returns {Date}
+ */
+function getNextOccurrence(dueAt, recurrence, now = new Date(), timeZone = getReminderTimeZone()) {
+  const step = recurrence?.type === 'weekly' ? 7 : 1;
+  const wall = toZonedWall(dueAt, timeZone);
+  let days = step;
+  let next = fromZonedWall(addDays(wall, days), timeZone);
+  while (next <= now) {
+    days += step;
+    next = fromZonedWall(addDays(wall, days), timeZone);
+  }
+  return next;
+}
+
+/**
+ * Parse a reminder request
+ * @param {string} text - e.g. "ingetin aku besok jam 7 buat meeting"
+ * @param {Date} now - Current time
+ * @param {string} timeZone - Zone the times in the text are in
+ * @returns {Object|null} - { dueAt: Date, recurrence: null|{ type }, message } or null when no time is given
+ */
+function parseReminder(text, now = new Date(), timeZone = getReminderTimeZone()) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+  // Wall clock time of now; every date below is a wall clock date until dueAt is converted back
+  const today = toZonedWall(now, timeZone);
+
+  // Pad punctuation so every phrase is surrounded by whitespace ("jam 7, meeting"); "19.30" stays whole
+  let rest = ` ${text.trim().replace(/([,!?;]|\.(?!\d))(?=\s|$)/g, ' $1')} `;
+  const take = (pattern) => {
+    const match = rest.match(pattern);
+    if (match) {
+      rest = rest.replace(match[0], ' ');
+    }
+    return match;
+  };
+
+  // Recurrence: "setiap senin", "every day", "tiap minggu" (every week)
+  let recurrence = null;
+  let weekday = null;
+  if (take(/\s(?:setiap|tiap)\s+minggu(?=\s)|\s(?:every\s+week|weekly|mingguan)(?=\s)/i)) {
+    recurrence = { type: 'weekly' };
+  } else {
+    const everyDay = take(new RegExp(`\\s(?:setiap|tiap|every)\\s+(?:hari\\s+)?(${DAY_PATTERN})(?=\\s)`, 'i'));
+    if (everyDay) {
+      recurrence = { type: 'weekly' };
+      weekday = DAY_NAMES[everyDay[1].toLowerCase()];
+    } else if (take(/\s(?:setiap\s+hari|tiap\s+hari|every\s*day|daily|harian)(?=\s)/i)) {
+      recurrence = { type: 'daily' };
+    }
+  }
+
+  // Relative: "dalam 10 menit", "2 jam lagi", "in an hour", "sejam lagi"
+  const relative = take(new RegExp(`\\s(?:dalam|in)\\s+${AMOUNT_PATTERN}\\s*${UNIT_PATTERN}(?:\\s+(?:lagi|later|from\\s+now))?(?=\\s)`, 'i')) ||
+    take(new RegExp(`\\s${AMOUNT_PATTERN}\\s*${UNIT_PATTERN}\\s+(?:lagi|later|from\\s+now)(?=\\s)`, 'i'));
+
+  // Explicit dates: "25/12", "25-12-2026", "25 desember", "december 25", "tanggal 25"
+  let date = null;
+  let dateHasYear = false;
+  const numericDate = take(/\s(?:tanggal\s+|tgl\s+)?(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2,4}))?(?=\s)/i);
+  const namedDate = !numericDate && (
+    take(new RegExp(`\\s(?:tanggal\\s+|tgl\\s+)?(\\d{1,2})\\s+(${MONTH_PATTERN})\\.?(?:\\s+(\\d{4}))?(?=\\s)`, 'i')) ||
+    take(new RegExp(`\\s(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?(?=\\s)`, 'i'))
+  );
+  const dayOfMonth = !numericDate && !namedDate && take(/\s(?:tanggal|tgl|on\s+the)\s+(\d{1,2})(?:st|nd|rd|th)?(?=\s)/i);
+
+  if (numericDate) {
+    const year = numericDate[3] ? parseInt(numericDate[3]) : today.getUTCFullYear();
+    date = new Date(Date.UTC(year < 100 ? 2000 + year : year, parseInt(numericDate[2]) - 1, parseInt(numericDate[1])));
+    dateHasYear = !!numericDate[3];
+  } else if (namedDate) {
+    const dayFirst = /^\d/.test(namedDate[1]);
+    const day = parseInt(dayFirst ? namedDate[1] : namedDate[2]);
+    const month = MONTH_NAMES[(dayFirst ? namedDate[2] : namedDate[1]).toLowerCase()];
+    date = new Date(Date.UTC(namedDate[3] ? parseInt(namedDate[3]) : today.getUTCFullYear(), month, day));
+    dateHasYear = !!namedDate[3];
+  } else if (dayOfMonth) {
+    date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), parseInt(dayOfMonth[1])));
+    if (date < atTime(today, 0, 0)) {
+      date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, parseInt(dayOfMonth[1])));
+    }
+    dateHasYear = true;
+  }
+
+  // Day words: "besok", "lusa", "hari ini", "minggu depan", "senin", "next friday"
+  let dayOffset = null;
+  const dayWord = take(/\s(hari\s+ini|today|besok|tomorrow|lusa|the\s+day\s+after\s+tomorrow|minggu\s+depan|next\s+week)(?=\s)/i);
+  if (dayWord) {
+    const word = dayWord[1].toLowerCase().replace(/\s+/g, ' ');
+    dayOffset = { 'hari ini': 0, today: 0, besok: 1, tomorrow: 1, lusa: 2, 'the day after tomorrow': 2, 'minggu depan': 7, 'next week': 7 }[word];
+  }
+  if (weekday === null) {
+    const namedDay = take(new RegExp(`\\s(?:(?:hari|on|next)\\s+)?(${DAY_PATTERN})(?:\\s+(?:depan|ini))?(?=\\s)`, 'i'));
+    if (namedDay) {
+      weekday = DAY_NAMES[namedDay[1].toLowerCase()];
+    }
+  }
+
+  // Time of day: "jam 7", "jam 19.30", "pukul 7 malam", "jam setengah 8", "at 7pm", "7:30 am", "19:00"
+  let hour = null;
+  let minute = 0;
+  let part = null;
+  let ambiguousHour = false;
+  const halfPast = take(new RegExp(`\\s(?:jam|pukul|pkl)\\s+setengah\\s+(\\d{1,2})(?:\\s+(${PART_PATTERN}))?(?=\\s)`, 'i'));
+  const clock = !halfPast && (
+    take(new RegExp(`\\s(?:jam|pukul|pkl|at)\\s+(\\d{1,2})(?:[:.](\\d{2}))?\\s*(am|pm|${PART_PATTERN})?(?=\\s)`, 'i')) ||
+    take(/\s(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)(?=\s)/i) ||
+    take(/\s(\d{1,2})[:.](\d{2})()(?=\s)/)
+  );
+  if (halfPast) {
+    hour = (parseInt(halfPast[1]) + 23) % 24;
+    minute = 30;
+    part = halfPast[2]?.toLowerCase() || null;
+    ambiguousHour = hour >= 1 && hour <= 11;
+  } else if (clock) {
+    hour = parseInt(clock[1]);
+    minute = clock[2] ? parseInt(clock[2]) : 0;
+    const suffix = clock[3]?.toLowerCase() || null;
+    if (suffix === 'am') {
+      hour = hour % 12;
+    } else if (suffix === 'pm') {
+      hour = hour % 12 + 12;
+    } else {
+      part = suffix;
+      // "jam 7" could be morning or evening; "jam 07" and "19.00" can't
+      ambiguousHour = hour >= 1 && hour <= 11 && !clock[1].startsWith('0');
+    }
+  }
+  // A lone part of the day only sets the time when no clock time was given ("jam 7 makan malam" keeps its dinner)
+  if (!part && hour === null) {
+    const partWord = take(new RegExp(`\\s(?:nanti\\s+|this\\s+|in\\s+the\\s+)?(${PART_PATTERN})(?=\\s)`, 'i'));
+    if (partWord) {
+      part = partWord[1].toLowerCase();
+    }
+  }
+  take(/\snanti(?=\s)/i);
+  if (part) {
+    ambiguousHour = false;
+    if (hour === null) {
+      hour = PARTS_OF_DAY[part].hour;
+    } else if (hour <= 12) {
+      hour = PARTS_OF_DAY[part].toHour(hour);
+    }
+    if (part === 'tonight' && dayOffset === null) {
+      dayOffset = 0;
+    }
+  }
+  if (hour !== null && (hour > 23 || minute > 59)) {
+    return null;
+  }
+
+  let dueAt;
+  if (relative) {
+    dueAt = new Date(now.getTime() + parseAmount(relative[1]) * unitMs(relative[2]));
+  } else if (date || dayOffset !== null || weekday !== null) {
+    const explicitHour = hour !== null;
+    let day = date;
+    if (!day && dayOffset !== null) {
+      day = addDays(today, dayOffset);
+    } else if (!day) {
+      let ahead = (weekday - today.getUTCDay() + 7) % 7;
+      if (ahead === 0 && (!explicitHour || atTime(today, hour, minute) <= today)) {
+        ahead = 7;
+      }
+      day = addDays(today, ahead);
+    }
+    const wall = atTime(day, explicitHour ? hour : DEFAULT_HOUR, explicitHour ? minute : 0);
+    if (date && !dateHasYear && wall <= today) {
+      wall.setUTCFullYear(wall.getUTCFullYear() + 1);
+    }
+    dueAt = fromZonedWall(wall, timeZone);
+  } else if (hour !== null || recurrence) {
+    const baseHour = hour !== null ? hour : DEFAULT_HOUR;
+    let wall = atTime(today, baseHour, hour !== null ? minute : 0);
+    // "jam 7" said in the afternoon means 19:00 (recurring reminders keep the hour as written)
+    if (wall <= today && ambiguousHour && !recurrence && atTime(today, baseHour + 12, minute) > today) {
+      wall = atTime(today, baseHour + 12, minute);
+    }
+    if (wall <= today) {
+      wall = addDays(wall, 1);
+    }
+    dueAt = fromZonedWall(wall, timeZone);
+  } else {
+    return null;
+  }
+
+  if (isNaN(dueAt.getTime())) {
+    return null;
+  }
+  if (recurrence && dueAt <= now) {
+    dueAt = getNextOccurrence(dueAt, recurrence, now, timeZone);
+  }
+
+  const message = rest.replace(/\s+/g, ' ').trim()
+    .replace(/^[,.;:!?-]+\s*/, '')
+    .replace(LEADING_FILLER, '')
+    .replace(/^(?:buat|untuk|utk|tentang|soal|to|about|that)\s+/i, '')
+    .replace(TRAILING_FILLER, '')
+    .replace(/\s+([,.!?;])/g, '$1')
+    .trim();
+
+  return { dueAt, recurrence, message };
+}
+
+/**
+ * Describe when a reminder fires, relative to now ("hari ini 19.00", "besok 07.00", "Senin, 21 Okt 08.00")
+ * @param {Date|string} dueAt - Due time
+ * @param {Date} now - Current time
+ * @param {string} timeZone - Zone to show the time in
+ * @returns {string}
+ */
+function formatReminderTime(dueAt, now = new Date(), timeZone = getReminderTimeZone()) {
+  const due = toZonedWall(dueAt, timeZone);
+  const today = toZonedWall(now, timeZone);
+  const time = `${String(due.getUTCHours()).padStart(2, '0')}.${String(due.getUTCMinutes()).padStart(2, '0')}`;
+  const days = Math.round((atTime(due, 0, 0) - atTime(today, 0, 0)) / UNIT_MS.hari);
+
+  if (days === 0) return `hari ini ${time}`;
+  if (days === 1) return `besok ${time}`;
+  if (days === 2) return `lusa ${time}`;
+  return `${new Date(dueAt).toLocaleDateString('id-ID', { timeZone, weekday: 'long', day: 'numeric', month: 'short', year: due.getUTCFullYear() === today.getUTCFullYear() ? undefined : 'numeric' })} ${time}`;
+}
+
+/**
+ * Describe a recurrence for display
+ * @param {Object|null} recurrence - { type }
+ * @param {Date|string} dueAt - Due time (gives the weekday of weekly reminders)
+ * @param {string} timeZone - Zone the weekday is taken in
+ * @returns {string|null}
+ */
+function formatRecurrence(recurrence, dueAt, timeZone = getReminderTimeZone()) {
+  if (!recurrence) return null;
+  if (recurrence.type === 'daily') return 'setiap hari';
+  return `setiap ${new Date(dueAt).toLocaleDateString('id-ID', { timeZone, weekday: 'long' })}`;
+}
+
+export {
+  getReminderTimeZone,
+  parseZonedTimestamp,
+  parseReminder,
+  getNextOccurrence,
+  formatReminderTime,
+  formatRecurrence
+};
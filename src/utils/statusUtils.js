@@ -0,0 +1,143 @@
+// Helpers for WhatsApp statuses (stories): reading status messages, expiry and prompt context
+
+const STATUS_JID = 'status@broadcast';
+
+// Statuses disappear from WhatsApp after a day, and so do the copies the bot keeps
+const STATUS_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check if a message is a status update
+ * @param {Object} message - The message object
+ * @returns {boolean}
+ */
+function isStatusMessage(message) {
+  return message?.key?.remoteJid === STATUS_JID;
+}
+
+/**
+ * Read the content of a status update
+ * @param {Object} message - Status message
+ * @returns {Object|null} - { type: "text"|"image"|"video", text } or null for anything else
+ *   (reactions, deletions, voice statuses, ...); text is the status text or the media caption
+ */
+function extractStatusData(message) {
+  const content = message?.message;
+  if (!content) {
+    return null;
+  }
+
+  if (content.conversation || content.extendedTextMessage?.text) {
+    return { type: 'text', text: content.conversation || content.extendedTextMessage.text };
+  }
+  if (content.imageMessage) {
+    return { type: 'image', text: content.imageMessage.caption || '' };
+  }
+  if (content.videoMessage) {
+    return { type: 'video', text: content.videoMessage.caption || '' };
+  }
+
+  return null;
+}
+
+/**
+ * Remove expired statuses in place
+ * @param {Object} contactStatuses - db.data.contactStatuses ({ userId: [status] })
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Number of statuses removed
+ */
+function pruneExpiredStatuses(contactStatuses, now = Date.now()) {
+  let removed = 0;
+
+  for (const [userId, statuses] of Object.entries(contactStatuses || {})) {
+    const active = statuses.filter(status => new Date(status.expiresAt).getTime() > now);
+    removed += statuses.length - active.length;
+
+    if (active.length === 0) {
+      delete contactStatuses[userId];
+    } else if (active.length < statuses.length) {
+      contactStatuses[userId] = active;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Statuses of a contact that have not expired, newest first
+ * @param {Object} contactStatuses - db.data.contactStatuses
+ * @param {string} userId - Contact ID
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<Object>}
+ */
+function getActiveStatuses(contactStatuses, userId, now = Date.now()) {
+  return (contactStatuses?.[userId] || [])
+    .filter(status => new Date(status.expiresAt).getTime() > now)
+    .sort((a, b) => new Date(b.postedAt) - new Date(a.postedAt));
+}
+
+// "3 hours ago" style age for the prompt
+function describeAge(postedAt, now) {
+  const minutes = Math.max(0, Math.round((now - new Date(postedAt).getTime()) / 60000));
+  if (minutes < 60) return `${minutes} minutes ago`;
+  const hours = Math.round(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+}
+
+/**
+ * Describe a contact's recent statuses for the AI, so it can bring them up in private chat
+ * @param {Array<Object>} statuses - From getActiveStatuses
+ * @param {string} name - Contact name
+ * @param {number} now - Current time in milliseconds
+ * @returns {string|null} - Context text, or null when there are no statuses
+ */
+function formatStatusContext(statuses, name, now = Date.now()) {
+  if (!statuses || statuses.length === 0) {
+    return null;
+  }
+
+  const lines = statuses.map(status => {
+    const parts = [];
+    if (status.description) parts.push(`shows: ${status.description}`);
+    if (status.text) parts.push(`${status.type === 'text' ? 'text' : 'caption'}: "${status.text}"`);
+    return `- ${status.type} status posted ${describeAge(status.postedAt, now)}${parts.length ? ` (${parts.join('; ')})` : ''}`;
+  });
+
+  return `${name} posted these WhatsApp statuses (stories) in the last 24 hours:\n${lines.join('\n')}\n` +
+    'You may bring one up naturally when it fits the conversation, like a friend who saw it (e.g. "eh aku lihat story kamu di pantai!"). ' +
+    'Mention a status at most once, and not at all if it was already brought up earlier in this conversation.';
+}
+
+/**
+ * Check whether the bot's own status is due
+ * @param {string|null} lastPostAt - ISO time of the last post
+ * @param {number} intervalHours - Hours between posts
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+function isStatusPostDue(lastPostAt, intervalHours, now = Date.now()) {
+  if (!lastPostAt) {
+    return true;
+  }
+  return now - new Date(lastPostAt).getTime() >= intervalHours * 60 * 60 * 1000;
+}
+
+/**
+ * Contacts who get to see the bot's status: everyone with a private chat with the bot
+ * @param {Object} conversations - db.data.conversations
+ * @returns {Array<string>} - Contact JIDs
+ */
+function getStatusAudience(conversations) {
+  return Object.keys(conversations || {}).filter(chatId => chatId.endsWith('@s.whatsapp.net'));
+}
+
+export {
+  STATUS_JID,
+  STATUS_TTL_MS,
+  isStatusMessage,
+  extractStatusData,
+  pruneExpiredStatuses,
+  getActiveStatuses,
+  formatStatusContext,
+  isStatusPostDue,
+  getStatusAudience
+};
@@ -0,0 +1,233 @@
+// Helpers for rolling conversation summaries: queueing messages that leave the recent history,
+// grouping summaries into days and weeks, and picking the ones that matter for a new message.
+//
+// db.data.conversationSummaries[chatId] = {
+//   pending: messages that left the recent history and wait to be summarized,
+//   chunks: summaries of CHUNK_MESSAGES messages each,
+//   days: summaries of the chunks of one finished day,
+//   weeks: summaries of the days of one finished week (Monday to Sunday)
+// }
+// Every summary is { level, from, to, messageCount, participants, summary, createdAt }.
+
+// Aged-out messages summarized together
+const CHUNK_MESSAGES = 30;
+
+// Pending messages kept when summarizing keeps failing; the oldest are dropped
+const MAX_PENDING_MESSAGES = 300;
+
+// Weekly summaries kept per chat
+const MAX_WEEK_SUMMARIES = 52;
+
+// Characters of one message kept for summarizing
+const MAX_PENDING_CONTENT_CHARS = 500;
+
+// Summaries given with one message: the latest, plus the best matches
+const MAX_RELEVANT_SUMMARIES = 3;
+
+// Words too common to tell summaries apart
+const STOP_WORDS = new Set([
+  'yang', 'dan', 'atau', 'ini', 'itu', 'dengan', 'untuk', 'dari', 'pada', 'juga', 'sudah', 'udah', 'belum',
+  'akan', 'bisa', 'kalau', 'kalo', 'tapi', 'karena', 'jadi', 'kamu', 'aku', 'kita', 'mereka', 'dong', 'sih',
+  'what', 'when', 'where', 'which', 'that', 'this', 'with', 'from', 'have', 'about', 'they', 'there', 'their',
+  'would', 'could', 'should', 'were', 'been', 'will', 'your', 'said'
+]);
+
+/**
+ * Summaries of a chat, created when missing
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @returns {Object} - { pending, chunks, days, weeks }
+ */
+function getChatSummaries(db, chatId) {
+  if (!db.data.conversationSummaries) {
+    db.data.conversationSummaries = {};
+  }
+  if (!db.data.conversationSummaries[chatId]) {
+    db.data.conversationSummaries[chatId] = { pending: [], chunks: [], days: [], weeks: [] };
+  }
+  return db.data.conversationSummaries[chatId];
+}
+
+/**
+ * Queue messages that were trimmed from the recent history for summarizing
+ * @param {Object} db - Database object
+ * @param {string} chatId - Chat ID
+ * @param {Array<Object>} messages - Trimmed messages, oldest first
+ * @returns {number} - Messages waiting to be summarized
+ */
+function queueAgedOutMessages(db, chatId, messages) {
+  const summaries = getChatSummaries(db, chatId);
+  const worthKeeping = (messages || []).filter(msg =>
+    typeof msg.content === 'string' &&
+    msg.content.trim() &&
+    !msg.deletedAt &&
+    !msg.content.startsWith('!')
+  );
+
+  summaries.pending.push(...worthKeeping.map(msg => ({
+    id: msg.id,
+    role: msg.role,
+    sender: msg.sender,
+    name: msg.name,
+    content: msg.content.length > MAX_PENDING_CONTENT_CHARS ? `${msg.content.substring(0, MAX_PENDING_CONTENT_CHARS - 3)}...` : msg.content,
+    timestamp: msg.timestamp
+  })));
+
+  if (summaries.pending.length > MAX_PENDING_MESSAGES) {
+    summaries.pending = summaries.pending.slice(-MAX_PENDING_MESSAGES);
+  }
+  return summaries.pending.length;
+}
+
+// Local calendar day of a timestamp, "2026-10-19"
+function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Day key of the Monday starting the week of a timestamp
+function getWeekKey(timestamp) {
+  const date = new Date(timestamp);
+  const sinceMonday = (date.getDay() + 6) % 7;
+  return getDayKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() - sinceMonday));
+}
+
+// Combine summaries (or messages) into the time range and people they cover
+function describeSpan(level, entries, summary, now) {
+  return {
+    level,
+    from: entries[0].from || entries[0].timestamp,
+    to: entries[entries.length - 1].to || entries[entries.length - 1].timestamp,
+    messageCount: entries.reduce((total, entry) => total + (entry.messageCount || 1), 0),
+    participants: [...new Set(entries.flatMap(entry => entry.participants || (entry.role === 'user' && entry.name ? [entry.name] : [])))],
+    summary,
+    createdAt: now.toISOString()
+  };
+}
+
+/**
+ * Store the summary of the oldest pending messages and take them off the queue
+ * @param {Object} summaries - Summaries of the chat
+ * @param {Array<Object>} messages - The summarized messages (the head of summaries.pending)
+ * @param {string} summary - Their summary
+ * @param {Date} now - Current time
+ * @returns {Object} - The chunk summary
+ */
+function addChunkSummary(summaries, messages, summary, now = new Date()) {
+  const chunk = describeSpan('chunk', messages, summary, now);
+  const summarizedIds = new Set(messages.map(msg => msg.id));
+  summaries.pending = summaries.pending.filter(msg => !summarizedIds.has(msg.id));
+  summaries.chunks.push(chunk);
+  return chunk;
+}
+
+/**
+ * The next set of summaries to merge one level up: the chunks of a finished day, or the days of
+ * a finished week
+ * @param {Object} summaries - Summaries of the chat
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { level: "day"|"week", key, entries }
+ */
+function findNextRollUp(summaries, now = new Date()) {
+  const today = getDayKey(now);
+  const finishedDay = summaries.chunks.map(chunk => getDayKey(chunk.to)).find(day => day < today);
+  if (finishedDay) {
+    return { level: 'day', key: finishedDay, entries: summaries.chunks.filter(chunk => getDayKey(chunk.to) === finishedDay) };
+  }
+
+  const thisWeek = getWeekKey(now);
+  const finishedWeek = summaries.days.map(day => getWeekKey(day.to)).find(week => week < thisWeek);
+  if (finishedWeek) {
+    return { level: 'week', key: finishedWeek, entries: summaries.days.filter(day => getWeekKey(day.to) === finishedWeek) };
+  }
+
+  return null;
+}
+
+/**
+ * Replace the summaries of a roll-up with their merged summary
+ * @param {Object} summaries - Summaries of the chat
+ * @param {Object} rollUp - From findNextRollUp
+ * @param {string} summary - Merged summary
+ * @param {Date} now - Current time
+ * @returns {Object} - The new day or week summary
+ */
+function applyRollUp(summaries, rollUp, summary, now = new Date()) {
+  const merged = describeSpan(rollUp.level, rollUp.entries, summary, now);
+  const source = rollUp.level === 'day' ? 'chunks' : 'days';
+  const target = rollUp.level === 'day' ? 'days' : 'weeks';
+
+  summaries[source] = summaries[source].filter(entry => !rollUp.entries.includes(entry));
+  summaries[target] = [...summaries[target], merged].sort((a, b) => new Date(a.from) - new Date(b.from));
+  if (summaries.weeks.length > MAX_WEEK_SUMMARIES) {
+    summaries.weeks = summaries.weeks.slice(-MAX_WEEK_SUMMARIES);
+  }
+  return merged;
+}
+
+function getWords(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]{4,}/gu)?.filter(word => !STOP_WORDS.has(word)) || [];
+}
+
+/**
+ * Summaries worth giving with a message: the latest one (what happened just before the recent
+ * messages) and the ones sharing the most words with the message, oldest first
+ * @param {Object} summaries - Summaries of the chat (may be undefined)
+ * @param {string} text - The current message
+ * @param {number} limit - Most summaries to return
+ * @returns {Array<Object>}
+ */
+function findRelevantSummaries(summaries, text, limit = MAX_RELEVANT_SUMMARIES) {
+  const all = [...(summaries?.weeks || []), ...(summaries?.days || []), ...(summaries?.chunks || [])]
+    .sort((a, b) => new Date(a.to) - new Date(b.to));
+  if (all.length === 0) {
+    return [];
+  }
+
+  const latest = all[all.length - 1];
+  const queryWords = [...new Set(getWords(text))];
+  const matches = queryWords.length === 0 ? [] : all
+    .filter(entry => entry !== latest)
+    .map(entry => {
+      const words = new Set(getWords(`${entry.summary} ${(entry.participants || []).join(' ')}`));
+      return { entry, score: queryWords.filter(word => words.has(word)).length };
+    })
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || new Date(b.entry.to) - new Date(a.entry.to))
+    .slice(0, limit - 1)
+    .map(match => match.entry);
+
+  return [...matches, latest].sort((a, b) => new Date(a.to) - new Date(b.to));
+}
+
+/**
+ * Prompt text for summaries of earlier parts of a chat
+ * @param {Array<Object>} summaries - From findRelevantSummaries
+ * @returns {string|null}
+ */
+function formatSummaryContext(summaries) {
+  if (!summaries || summaries.length === 0) {
+    return null;
+  }
+
+  const lines = summaries.map(entry => {
+    const from = getDayKey(entry.from);
+    const to = getDayKey(entry.to);
+    const period = from === to ? from : `${from} to ${to}`;
+    return `- [${period}] ${entry.summary}`;
+  });
+  return `Summaries of earlier parts of this chat, older than the recent messages:\n${lines.join('\n')}`;
+}
+
+export {
+  CHUNK_MESSAGES,
+  getChatSummaries,
+  queueAgedOutMessages,
+  getDayKey,
+  getWeekKey,
+  addChunkSummary,
+  findNextRollUp,
+  applyRollUp,
+  findRelevantSummaries,
+  formatSummaryContext
+};
@@ -0,0 +1,59 @@
+// Test that a chat over its monthly budget is switched to its budget model for every kind of request
+import { createChecker, setupTestDatabase, startMockProvider, sendJson, chatCompletion, quietly } from './test-helpers.js';
+import { requestWithFallback } from './src/services/providerService.js';
+import { setChatOverride } from './src/services/groupConfigService.js';
+
+const group = '120363@g.us';
+const otherGroup = '120364@g.us';
+
+async function testChatBudget() {
+  const { check, finish } = createChecker('Chat Budget', 'chat budget');
+  const server = await startMockProvider((request, res) => sendJson(res, 200, chatCompletion(`jawaban dari ${request.body.model}`)));
+  const { db, cleanup } = await setupTestDatabase({
+    defaultProvider: 'pricey',
+    model: 'pricey-model',
+    fallbackChain: [],
+    customProviders: {
+      pricey: { baseUrl: server.baseUrl, model: 'pricey-model' },
+      cheap: { baseUrl: server.baseUrl, model: 'cheap-model' }
+    },
+    // 10 prompt tokens cost $10, so one request uses up a $5 budget
+    modelPrices: { 'pricey-model': { input: 1000000, output: 0 } }
+  });
+
+  try {
+    db.data.conversations[group] = { messages: [], participants: {} };
+    db.data.conversations[otherGroup] = { messages: [], participants: {} };
+    await setChatOverride(db, group, 'budget', '5', { isAdmin: true });
+    await setChatOverride(db, group, 'budgetmodel', 'cheap:cheap-model', { isAdmin: true });
+
+    const first = await quietly(() => requestWithFallback('chat', [{ role: 'user', content: 'halo' }], {}, { chatId: group }));
+    check('A chat within its budget uses the configured model', first.provider === 'pricey' && first.model === 'pricey-model');
+
+    for (const purpose of ['chat', 'analysis', 'factExtraction']) {
+      const result = await quietly(() => requestWithFallback(purpose, [{ role: 'user', content: 'lagi' }], {}, { chatId: group }));
+      check(`Over budget, ${purpose} requests use the budget model`, result.provider === 'cheap' && result.model === 'cheap-model');
+    }
+
+    const explicit = await quietly(() => requestWithFallback('analysis', [{ role: 'user', content: 'ringkas' }], {}, {
+      chatId: group,
+      primary: { provider: 'pricey', model: 'pricey-model' }
+    }));
+    check('An explicit primary does not bypass the budget', explicit.model === 'cheap-model');
+
+    const other = await quietly(() => requestWithFallback('chat', [{ role: 'user', content: 'halo' }], {}, { chatId: otherGroup }));
+    check('Other chats keep their model', other.model === 'pricey-model');
+
+    const botWide = await quietly(() => requestWithFallback('chat', [{ role: 'user', content: 'status' }]));
+    check('Requests without a chat are not budgeted', botWide.model === 'pricey-model');
+    check('Every request reached the provider', server.requests.length === 7);
+  } finally {
+    await server.close();
+    cleanup();
+  }
+
+  finish();
+}
+
+// Run the test
+testChatBudget();
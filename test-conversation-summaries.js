@@ -0,0 +1,97 @@
+// Test rolling conversation summaries: queueing aged-out messages, day/week roll-ups and retrieval
+import { createChecker } from './test-helpers.js';
+import {
+  CHUNK_MESSAGES,
+  getChatSummaries,
+  queueAgedOutMessages,
+  getWeekKey,
+  addChunkSummary,
+  findNextRollUp,
+  applyRollUp,
+  findRelevantSummaries,
+  formatSummaryContext
+} from './src/utils/summaryUtils.js';
+
+const group = '120363@g.us';
+
+function createMessages(count, start, content = 'ngobrolin rencana rapat kantor') {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `m${start.getTime()}_${i}`,
+    sender: i % 2 ? '628222@s.whatsapp.net' : '628111@s.whatsapp.net',
+    name: i % 2 ? 'Sari' : 'Budi',
+    role: 'user',
+    content: `${content} ${i}`,
+    timestamp: new Date(start.getTime() + i * 60 * 1000).toISOString()
+  }));
+}
+
+function testConversationSummaries() {
+  const { check, finish } = createChecker('Conversation Summaries', 'conversation summary');
+
+  const db = { data: {} };
+
+  // Queueing
+  const monday = new Date(2026, 9, 12, 9, 0);
+  const messages = [
+    ...createMessages(CHUNK_MESSAGES, monday),
+    { id: 'cmd', sender: 'x', role: 'user', content: '!help', timestamp: monday.toISOString() },
+    { id: 'del', sender: 'x', role: 'user', content: 'rahasia', deletedAt: monday.toISOString(), timestamp: monday.toISOString() },
+    { id: 'long', sender: 'x', role: 'user', content: 'a'.repeat(2000), timestamp: monday.toISOString() }
+  ];
+  const waiting = queueAgedOutMessages(db, group, messages);
+  const summaries = getChatSummaries(db, group);
+  check('Aged-out messages are queued', waiting === CHUNK_MESSAGES + 1);
+  check('Commands and deleted messages are skipped', !summaries.pending.some(msg => msg.id === 'cmd' || msg.id === 'del'));
+  check('Long messages are shortened', summaries.pending.at(-1).content.length === 500);
+
+  queueAgedOutMessages(db, group, createMessages(400, monday));
+  check('The queue is capped', summaries.pending.length === 300);
+  summaries.pending = [];
+
+  // Chunks, days and weeks
+  const now = new Date(2026, 9, 19, 15, 0);
+  const tuesday = new Date(2026, 9, 13, 9, 0);
+  for (const [day, topic] of [[monday, 'rapat kantor'], [monday, 'makan siang'], [tuesday, 'liburan ke Bali']]) {
+    queueAgedOutMessages(db, group, createMessages(CHUNK_MESSAGES, new Date(day.getTime() + summaries.chunks.length * 3600 * 1000), topic));
+    const chunkMessages = summaries.pending.slice(0, CHUNK_MESSAGES);
+    addChunkSummary(summaries, chunkMessages, `Budi dan Sari membahas ${topic}.`, now);
+  }
+  check('Summarized messages leave the queue', summaries.pending.length === 0 && summaries.chunks.length === 3);
+  check('Chunks record their span and people', summaries.chunks[0].messageCount === CHUNK_MESSAGES && summaries.chunks[0].participants.join() === 'Budi,Sari');
+
+  let rollUp = findNextRollUp(summaries, now);
+  check('Chunks of a finished day are rolled up together', rollUp.level === 'day' && rollUp.key === '2026-10-12' && rollUp.entries.length === 2);
+  applyRollUp(summaries, rollUp, 'Senin: rapat kantor dan makan siang.', now);
+  check('The day summary replaces its chunks', summaries.chunks.length === 1 && summaries.days.length === 1 && summaries.days[0].messageCount === 2 * CHUNK_MESSAGES);
+
+  rollUp = findNextRollUp(summaries, now);
+  applyRollUp(summaries, rollUp, rollUp.entries[0].summary, now);
+  check('Each finished day gets its own summary', summaries.days.length === 2 && summaries.chunks.length === 0);
+
+  check('Weeks start on Monday', getWeekKey(new Date(2026, 9, 18, 22)) === '2026-10-12' && getWeekKey(new Date(2026, 9, 19, 1)) === '2026-10-19');
+  rollUp = findNextRollUp(summaries, now);
+  check('Days of a finished week are rolled up', rollUp.level === 'week' && rollUp.key === '2026-10-12' && rollUp.entries.length === 2);
+  applyRollUp(summaries, rollUp, 'Minggu itu Budi dan Sari membahas rapat kantor, makan siang dan liburan ke Bali.', now);
+  check('The week summary replaces its days', summaries.days.length === 0 && summaries.weeks.length === 1 && summaries.weeks[0].messageCount === 3 * CHUNK_MESSAGES);
+  check('Nothing is left to roll up', findNextRollUp(summaries, now) === null);
+
+  const today = createMessages(CHUNK_MESSAGES, new Date(2026, 9, 19, 10, 0), 'resep rendang');
+  queueAgedOutMessages(db, group, today);
+  addChunkSummary(summaries, summaries.pending.slice(0, CHUNK_MESSAGES), 'Sari membagikan resep rendang.', now);
+  check('Today\'s chunks wait for the day to end', findNextRollUp(summaries, now) === null);
+
+  // Retrieval
+  let relevant = findRelevantSummaries(summaries, 'jadi gimana rencana liburan ke bali?');
+  check('Matching summaries are found with the latest', relevant.length === 2 && relevant[0].level === 'week' && relevant[1].summary.includes('rendang'));
+  relevant = findRelevantSummaries(summaries, 'halo');
+  check('Without a match only the latest is given', relevant.length === 1 && relevant[0].summary.includes('rendang'));
+  check('Chats without summaries give nothing', findRelevantSummaries(undefined, 'halo').length === 0);
+  const prompt = formatSummaryContext(findRelevantSummaries(summaries, 'liburan bali'));
+  check('Prompt shows the period of each summary', prompt.includes('[2026-10-12 to 2026-10-13]') && prompt.includes('[2026-10-19]'));
+  check('No summaries means no prompt', formatSummaryContext([]) === null);
+
+  finish();
+}
+
+// Run the test
+testConversationSummaries();
@@ -0,0 +1,88 @@
+// Test versioned database schema migrations
+import { createChecker } from './test-helpers.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  getPendingMigrations,
+  runMigrations,
+  backupDatabase
+} from './src/database/migrations.js';
+
+const defaults = {
+  config: { botName: 'Qi', toolSettings: {} },
+  state: { currentMood: 'happy' }
+};
+
+// A database as written before schemaVersion existed
+function createLegacyData() {
+  return {
+    config: { botName: 'Qi' },
+    conversations: {
+      'group1@g.us': { messages: [], participants: { 'user1@s.whatsapp.net': { firstSeen: '2024-01-01T00:00:00.000Z' } } },
+      'user1@s.whatsapp.net': { messages: [] }
+    },
+    userFacts: { 'user1@s.whatsapp.net': {} }
+  };
+}
+
+async function testMigrations() {
+  const { check, finish } = createChecker('Database Migrations', 'migration');
+
+  check('Migration versions are consecutive', MIGRATIONS.every((migration, i) => migration.version === i + 1));
+  check('Data without schemaVersion is version 0', getSchemaVersion(createLegacyData()) === 0);
+  check('All migrations are pending for legacy data', getPendingMigrations(createLegacyData()).length === MIGRATIONS.length);
+
+  // Dry run
+  const legacy = createLegacyData();
+  const snapshot = JSON.stringify(legacy);
+  const preview = runMigrations(legacy, defaults, { dryRun: true });
+  check('Dry run succeeds', preview.success && preview.toVersion === CURRENT_SCHEMA_VERSION);
+  check('Dry run leaves the data untouched', JSON.stringify(legacy) === snapshot);
+  check('Dry run reports changed keys', preview.applied.find(m => m.version === 3)?.changedKeys.includes('conversations'));
+
+  // Real run
+  const data = createLegacyData();
+  const result = runMigrations(data, defaults);
+  check('Migration succeeds', result.success && result.fromVersion === 0 && result.applied.length === MIGRATIONS.length);
+  check('schemaVersion is recorded', data.schemaVersion === CURRENT_SCHEMA_VERSION);
+  check('Missing collections are created', Array.isArray(data.contextMemory) && data.permissions && data.vectorIndex.entries);
+  check('Group chats get chatType and hasIntroduced', data.conversations['group1@g.us'].chatType === 'group' && data.conversations['group1@g.us'].hasIntroduced === false);
+  check('Private chats get chatType', data.conversations['user1@s.whatsapp.net'].chatType === 'private');
+  check('Participants get lastActive from firstSeen', data.conversations['group1@g.us'].participants['user1@s.whatsapp.net'].lastActive === '2024-01-01T00:00:00.000Z');
+  check('toolSettings is added to config', typeof data.config.toolSettings === 'object');
+  check('Existing user facts get facts and factHistory', Array.isArray(data.userFacts['user1@s.whatsapp.net'].factHistory));
+
+  const again = runMigrations(data, defaults);
+  check('Up-to-date data is left alone', again.success && again.applied.length === 0);
+
+  // Partially migrated data only runs the remaining migrations
+  const partial = { ...createLegacyData(), schemaVersion: 5 };
+  const partialResult = runMigrations(partial, defaults);
+  const expectedVersions = MIGRATIONS.filter(m => m.version > 5).map(m => m.version).join(',');
+  check('Only newer migrations run', partialResult.applied.map(m => m.version).join(',') === expectedVersions);
+
+  // Data from a newer bot version
+  const future = { ...createLegacyData(), schemaVersion: CURRENT_SCHEMA_VERSION + 1 };
+  const futureResult = runMigrations(future, defaults);
+  check('Newer data is refused', !futureResult.success && futureResult.message.includes('newer'));
+  check('Newer data is not modified', future.schemaVersion === CURRENT_SCHEMA_VERSION + 1 && !future.permissions);
+
+  // Backups
+  const backupDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qi-backup-'));
+  try {
+    const backupFile = await backupDatabase(createLegacyData(), backupDir);
+    check('Backup file is written', fs.existsSync(backupFile) && path.basename(backupFile).startsWith('db-v0-'));
+    check('Backup contains the data', JSON.parse(fs.readFileSync(backupFile, 'utf8')).conversations['group1@g.us'] !== undefined);
+  } finally {
+    fs.rmSync(backupDir, { recursive: true, force: true });
+  }
+
+  finish();
+}
+
+// Run the test
+testMigrations();
@@ -0,0 +1,70 @@
+// Test document type detection, chunking and page references
+import { createChecker } from './test-helpers.js';
+import {
+  getDocumentType,
+  chunkDocumentPages,
+  parsePageReference,
+  formatChunkCitation
+} from './src/utils/documentUtils.js';
+import { extractMessageContent, hasDocument, extractDocumentData } from './src/utils/messageUtils.js';
+
+function testDocuments() {
+  const { check, finish } = createChecker('Document Utils', 'document');
+
+  // Type detection
+  check('PDF detected by extension', getDocumentType('Laporan.PDF', '') === 'pdf');
+  check('DOCX detected by mimetype', getDocumentType('kontrak', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') === 'docx');
+  check('.markdown maps to md', getDocumentType('notes.markdown', '') === 'md');
+  check('Mimetype parameters are ignored', getDocumentType('readme', 'text/plain; charset=utf-8') === 'txt');
+  check('Unsupported formats return null', getDocumentType('data.xlsx', 'application/vnd.ms-excel') === null);
+
+  // Chunking
+  const sentences = Array.from({ length: 40 }, (_, i) => `Kalimat ${i + 1} membahas aturan refund.`).join(' ');
+  const pages = [
+    { page: 1, text: 'Pendahuluan singkat.' },
+    { page: 2, text: '' },
+    { page: 3, text: sentences }
+  ];
+  const chunks = chunkDocumentPages(pages, { chunkSize: 400, overlap: 60 });
+
+  check('Short page becomes one chunk', chunks[0].page === 1 && chunks[0].text === 'Pendahuluan singkat.');
+  check('Empty pages are skipped', !chunks.some(chunk => chunk.page === 2));
+  check('Long page is split into several chunks', chunks.filter(chunk => chunk.page === 3).length > 3);
+  check('Chunk indexes are sequential', chunks.every((chunk, i) => chunk.index === i));
+  check('Chunks stay within the size limit', chunks.every(chunk => chunk.text.length <= 400));
+  check('Chunks end on sentence boundaries', chunks.slice(1, -1).every(chunk => chunk.text.endsWith('.')));
+  check('Consecutive chunks overlap', chunks[1].text.includes(chunks[2].text.substring(0, 20)));
+
+  const unbroken = chunkDocumentPages([{ page: null, text: 'x'.repeat(1000) }], { chunkSize: 300, overlap: 0 });
+  check('Text without breaks is cut hard', unbroken.length === 4 && unbroken.every(chunk => chunk.text.length <= 300));
+
+  // Page references
+  check('"halaman 3" is a page reference', parsePageReference('apa kata halaman 3 soal refund?') === 3);
+  check('"hal. 12" is a page reference', parsePageReference('cek hal. 12 dong') === 12);
+  check('"page 7" is a page reference', parsePageReference('what does page 7 say') === 7);
+  check('Plain numbers are not page references', parsePageReference('ada 3 poin penting') === null);
+
+  check('Citation with page', formatChunkCitation('laporan.pdf', 3, 6) === 'laporan.pdf, hal. 3, bagian 7');
+  check('Citation without page', formatChunkCitation('notes.md', null, 0) === 'notes.md, bagian 1');
+
+  // Document messages
+  const captioned = {
+    message: {
+      documentWithCaptionMessage: {
+        message: {
+          documentMessage: { fileName: 'refund.pdf', mimetype: 'application/pdf', caption: 'halaman 2 isinya apa?', fileLength: { toString: () => '2048' } }
+        }
+      }
+    }
+  };
+  const documentData = extractDocumentData(captioned);
+  check('Captioned documents are detected', hasDocument(captioned));
+  check('Document data is extracted', documentData.type === 'pdf' && documentData.fileLength === 2048 && documentData.caption === 'halaman 2 isinya apa?');
+  check('Caption of a wrapped document is the message content', extractMessageContent(captioned) === 'halaman 2 isinya apa?');
+  check('Messages without documents have no document data', extractDocumentData({ message: { conversation: 'hai' } }) === null);
+
+  finish();
+}
+
+// Run the test
+testDocuments();
@@ -0,0 +1,147 @@
+// Test fact contradiction detection and the conflict policies
+import { createChecker, setupTestDatabase, startMockProvider, sendJson, quietly } from './test-helpers.js';
+import {
+  getCanonicalFactKey,
+  valuesAgree,
+  findMatchingFact,
+  resolveFactConflict,
+  confirmStoredFact,
+  takeConflictQuestions,
+  formatConflictQuestions
+} from './src/services/factConflictService.js';
+
+function createUserFacts() {
+  return {
+    facts: {
+      location: {
+        value: 'Bandung',
+        confidence: 0.9,
+        category: 'demographic',
+        lastUpdated: '2026-10-01T00:00:00.000Z',
+        sourceMessages: ['chat@g.us:m1']
+      },
+      hobby: { value: 'main gitar', confidence: 0.8, category: 'interest' }
+    },
+    factHistory: []
+  };
+}
+
+// Keys compared by embeddings of a stand-in embedding server
+async function testSimilarKeys(check) {
+  // Made-up vectors: "pet name" and "cat name" point almost the same way, "favorite drink" only partly
+  const vectors = {
+    'pet name': [1, 0, 0],
+    'cat name': [0.95, 0.31, 0],
+    'favorite food': [0, 1, 0],
+    'favorite drink': [0, 0.8, 0.6]
+  };
+  // Remote embeddings go through the rate limiter, which keeps its state in the database
+  const { cleanup } = await setupTestDatabase();
+  const server = await startMockProvider((request, res) => sendJson(res, 200, {
+    data: request.body.input.map((text, index) => ({ index, embedding: vectors[text] || [0, 0, 1] }))
+  }));
+  const config = { embedding: { provider: 'emb', model: 'key-model' }, customProviders: { emb: { baseUrl: server.baseUrl, model: 'key-model' } } };
+  const facts = {
+    pet_name: { value: 'Mochi', confidence: 0.9 },
+    favorite_food: { value: 'soto', confidence: 0.9 }
+  };
+
+  try {
+    const similar = await findMatchingFact(facts, 'cat_name', 'Oyen', { config });
+    check('A key similar in meaning matches the stored fact', similar?.key === 'pet_name' && !similar.agrees);
+    check('Keys below the similarity threshold stay separate', await findMatchingFact(facts, 'favorite_drink', 'teh', { config }) === null);
+    check('Keys are sent without underscores', server.requests[0].body.input.includes('cat name'));
+
+    const unreachable = { embedding: { provider: 'missing', model: 'key-model' } };
+    const fallback = await quietly(() => findMatchingFact({ location: { value: 'Bandung' } }, 'domisili', 'Bandung', { config: unreachable }));
+    check('Without embeddings the list of equivalent keys still applies', fallback?.key === 'location' && fallback.agrees);
+
+    const builtin = { embedding: { provider: 'builtin' } };
+    check('Builtin embeddings do not match keys that only share a word', await findMatchingFact(facts, 'favorite_drink', 'teh', { config: builtin }) === null);
+  } finally {
+    await server.close();
+    cleanup();
+  }
+}
+
+async function testFactConflicts() {
+  const { check, finish } = createChecker('Fact Conflicts', 'fact conflict');
+
+  const now = new Date('2026-10-19T10:00:00.000Z');
+  const incoming = { value: 'Jakarta', confidence: 0.85, category: 'demographic', sourceRef: 'private@s.whatsapp.net:m9' };
+
+  // Detection
+  check('Equivalent keys share a canonical key', getCanonicalFactKey('current_city') === 'location' && getCanonicalFactKey('Tempat Tinggal') === 'location');
+  check('Unrelated keys keep their own name', getCanonicalFactKey('favorite_food') === 'favorite_food');
+  check('Case and punctuation do not matter', valuesAgree('Bandung!', 'bandung'));
+  check('Added detail is not a contradiction', valuesAgree('Bandung', 'Kota Bandung, Jawa Barat'));
+  check('Different values disagree', !valuesAgree('Bandung', 'Jakarta'));
+  check('Short fragments do not count as agreement', !valuesAgree('25', '125'));
+
+  let userFacts = createUserFacts();
+  const sameKey = await findMatchingFact(userFacts.facts, 'location', 'Jakarta');
+  check('Same key with another value is a contradiction', sameKey.key === 'location' && !sameKey.agrees);
+  const equivalent = await findMatchingFact(userFacts.facts, 'city', 'Bandung');
+  check('Equivalent key with the same value matches the stored fact', equivalent.key === 'location' && equivalent.agrees);
+  check('New facts have no match', await findMatchingFact(userFacts.facts, 'favorite_food', 'soto') === null);
+  await testSimilarKeys(check);
+
+  // newest
+  let result = resolveFactConflict(userFacts, 'location', incoming, 'newest', now);
+  const fact = userFacts.facts.location;
+  check('Newest wins replaces the value', result.action === 'replace' && fact.value === 'Jakarta');
+  check('Replaced value is kept with its time and sources',
+    fact.previousValues[0].value === 'Bandung' && fact.previousValues[0].since === '2026-10-01T00:00:00.000Z' &&
+    fact.previousValues[0].supersededAt === now.toISOString() && fact.previousValues[0].sourceMessages[0] === 'chat@g.us:m1');
+  check('New value rests on the new message', fact.sourceMessages.join() === incoming.sourceRef);
+  check('History records the change with its source', userFacts.factHistory[0].oldValue === 'Bandung' && userFacts.factHistory[0].sourceMessages[0] === incoming.sourceRef);
+  check('Unknown policies fall back to newest', resolveFactConflict(createUserFacts(), 'location', incoming, 'random', now).action === 'replace');
+
+  // confidence
+  userFacts = createUserFacts();
+  result = resolveFactConflict(userFacts, 'location', incoming, 'confidence', now);
+  check('Less confident values are rejected', result.action === 'keep' && userFacts.facts.location.value === 'Bandung');
+  check('Rejected values are recorded', userFacts.factHistory[0].reason === 'conflict-rejected' && userFacts.factHistory[0].rejectedValue === 'Jakarta');
+  result = resolveFactConflict(userFacts, 'location', { ...incoming, confidence: 0.95 }, 'confidence', now);
+  check('More confident values win', result.action === 'replace' && userFacts.facts.location.value === 'Jakarta');
+
+  // ask
+  userFacts = createUserFacts();
+  result = resolveFactConflict(userFacts, 'location', incoming, 'ask', now);
+  check('Ask keeps the stored value for now', result.action === 'ask' && userFacts.facts.location.value === 'Bandung');
+  check('Ask stores a pending conflict', userFacts.pendingConflicts.length === 1 && userFacts.pendingConflicts[0].proposedValue === 'Jakarta');
+  resolveFactConflict(userFacts, 'location', { ...incoming, value: 'Surabaya' }, 'ask', now);
+  check('A newer contradiction replaces the pending one', userFacts.pendingConflicts.length === 1 && userFacts.pendingConflicts[0].proposedValue === 'Surabaya');
+  check('Repeating the stored value before asking settles nothing', !confirmStoredFact(userFacts, 'location', now));
+
+  const questions = takeConflictQuestions(userFacts, now);
+  check('Pending conflicts are asked about', questions.length === 1 && userFacts.pendingConflicts[0].askedAt === now.toISOString());
+  check('A question is not repeated right away', takeConflictQuestions(userFacts, new Date(now.getTime() + 60 * 1000)).length === 0);
+  const prompt = formatConflictQuestions(questions, 'Budi');
+  check('Prompt names both values', prompt.includes('"Bandung"') && prompt.includes('"Surabaya"') && prompt.includes('Budi'));
+  check('No conflicts means no prompt', formatConflictQuestions([], 'Budi') === null);
+
+  result = resolveFactConflict(userFacts, 'location', { ...incoming, value: 'Surabaya' }, 'ask', now);
+  check('Answering with the new value replaces the fact', result.action === 'replace' && userFacts.facts.location.value === 'Surabaya' && userFacts.pendingConflicts.length === 0);
+  check('Confirmation is recorded', userFacts.factHistory.at(-1).reason === 'conflict-confirmed');
+
+  userFacts = createUserFacts();
+  resolveFactConflict(userFacts, 'location', incoming, 'ask', now);
+  takeConflictQuestions(userFacts, now);
+  check('Answering with the stored value keeps it', confirmStoredFact(userFacts, 'location', now) && userFacts.facts.location.value === 'Bandung' && userFacts.pendingConflicts.length === 0);
+  check('Kept values are recorded', userFacts.factHistory.at(-1).reason === 'conflict-kept');
+
+  // Unanswered questions
+  userFacts = createUserFacts();
+  resolveFactConflict(userFacts, 'location', incoming, 'ask', now);
+  const day = 24 * 60 * 60 * 1000;
+  takeConflictQuestions(userFacts, now);
+  check('An unanswered question is asked again the next day', takeConflictQuestions(userFacts, new Date(now.getTime() + day + 1000)).length === 1);
+  check('After two tries the stored value is kept', takeConflictQuestions(userFacts, new Date(now.getTime() + 3 * day)).length === 0 && userFacts.pendingConflicts.length === 0);
+  check('Expiry is recorded', userFacts.factHistory.at(-1).reason === 'conflict-expired' && userFacts.facts.location.value === 'Bandung');
+
+  finish();
+}
+
+// Run the test
+testFactConflicts();
@@ -0,0 +1,129 @@
+// Test time-bounded facts: resolving validity dates, expiry and follow-ups
+import { createChecker, createMockDb, setupTestDatabase, quietly } from './test-helpers.js';
+import {
+  resolveFactDate,
+  getFactValidity,
+  isFactActive,
+  expireUserFacts,
+  expireTimeBoundFacts,
+  takeFollowUps,
+  formatFollowUps
+} from './src/services/factValidityService.js';
+import { resolveFactConflict } from './src/services/factConflictService.js';
+import { getRelevantFactsForMessage } from './src/services/memoryService.js';
+
+const day = 24 * 60 * 60 * 1000;
+
+function localDay(iso) {
+  const date = new Date(iso);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+async function testFactValidity() {
+  const { check, finish } = createChecker('Fact Validity', 'fact validity');
+
+  // Monday 19 October 2026, 15:00 local time
+  const sent = new Date(2026, 9, 19, 15, 0);
+
+  // Resolving dates against the message time
+  const today = new Date(resolveFactDate('today', sent, 'end'));
+  check('"today" lasts until the end of the message day', localDay(today) === '2026-10-19' && today.getHours() === 23);
+  check('"hari ini" works the same', resolveFactDate('hari ini', sent, 'end') === today.toISOString());
+  check('"besok" is the next day', localDay(resolveFactDate('besok', sent, 'end')) === '2026-10-20');
+  check('"next week" starts on Monday', localDay(resolveFactDate('next week', sent, 'start')) === '2026-10-26' &&
+    new Date(resolveFactDate('next week', sent, 'start')).getHours() === 0);
+  check('"3 hari lagi" counts days', localDay(resolveFactDate('3 hari lagi', sent, 'end')) === '2026-10-22');
+  check('"this weekend" ends on Sunday', localDay(resolveFactDate('this weekend', sent, 'end')) === '2026-10-25');
+  check('"akhir bulan" is the last day of the month', localDay(resolveFactDate('akhir bulan', sent, 'end')) === '2026-10-31');
+  check('Dates are local days', localDay(resolveFactDate('2026-11-03', sent, 'end')) === '2026-11-03');
+  check('"in 2 hours" is an exact time', new Date(resolveFactDate('in 2 hours', sent, 'end')).getTime() === sent.getTime() + 2 * 60 * 60 * 1000);
+  check('Text that is not a date is ignored', resolveFactDate('someday', sent) === null && resolveFactDate('besok ke Bali', sent) === null);
+  check('Missing dates stay empty', resolveFactDate(null, sent) === null);
+
+  const trip = getFactValidity({ valid_from: 'next week', valid_until: 'in 2 weeks', follow_up: true }, sent);
+  check('Extracted validity is resolved', localDay(trip.validFrom) === '2026-10-26' && localDay(trip.validUntil) === '2026-11-02' && trip.followUp);
+  check('An end before the start is moved to the start day', localDay(getFactValidity({ valid_from: '2026-11-03', valid_until: 'today' }, sent).validUntil) === '2026-11-03');
+  check('Follow-ups need an end', getFactValidity({ follow_up: true }, sent).followUp === false);
+
+  check('Lasting facts are always active', isFactActive({ value: 'Bandung' }, sent));
+  check('Planned facts are not active yet', !isFactActive({ validFrom: trip.validFrom }, sent));
+  check('Facts are active until they end', isFactActive(trip, new Date(2026, 9, 28)) && !isFactActive(trip, new Date(2026, 10, 3)));
+
+  // Expiry
+  const userFacts = {
+    facts: {
+      health_status: { value: 'sakit flu', confidence: 0.9, validUntil: resolveFactDate('today', sent, 'end'), sourceMessages: ['c:m1'] },
+      hobby: { value: 'main gitar', confidence: 0.8 }
+    },
+    factHistory: []
+  };
+  check('Nothing expires before the end', expireUserFacts(userFacts, sent).expired.length === 0);
+  let result = expireUserFacts(userFacts, new Date(sent.getTime() + day));
+  check('Expired facts are removed', result.expired.join() === 'health_status' && !userFacts.facts.health_status && userFacts.facts.hobby);
+  check('Expired facts go to history', userFacts.factHistory[0].reason === 'expired' && userFacts.factHistory[0].oldValue === 'sakit flu');
+
+  // A trip temporarily replaces where someone lives
+  const traveller = {
+    facts: { location: { value: 'Bandung', confidence: 0.9, lastUpdated: '2026-01-01T00:00:00.000Z' } },
+    factHistory: []
+  };
+  const bali = { value: 'Bali', confidence: 0.85, sourceRef: 'c:m2', ...trip };
+  result = resolveFactConflict(traveller, 'location', bali, 'ask', sent);
+  check('Temporary values take over whatever the policy', result.reason === 'temporary-override' && traveller.facts.location.value === 'Bali' && !traveller.pendingConflicts);
+  check('The temporary value keeps its validity', traveller.facts.location.validUntil === trip.validUntil && traveller.facts.location.followUp);
+
+  result = expireUserFacts(traveller, new Date(2026, 10, 3, 10));
+  check('The lasting value comes back', result.restored.join() === 'location' && traveller.facts.location.value === 'Bandung');
+  check('Restored values are lasting again', !traveller.facts.location.validUntil && !traveller.facts.location.followUp && traveller.facts.location.previousValues.length === 0);
+  check('Restoring is recorded', traveller.factHistory.at(-1).reason === 'expired-restored' && traveller.factHistory.at(-1).oldValue === 'Bali');
+
+  // Follow-ups
+  const after = new Date(2026, 10, 3, 10);
+  check('Finished events wait for a follow-up', traveller.pendingFollowUps.length === 1 && traveller.pendingFollowUps[0].value === 'Bali');
+  const followUps = takeFollowUps(traveller, after);
+  check('Follow-ups are taken once', followUps.length === 1 && traveller.pendingFollowUps.length === 0 && takeFollowUps(traveller, after).length === 0);
+  const prompt = formatFollowUps(followUps, 'Budi');
+  check('Follow-up prompt names the event', prompt.includes('location: Bali') && prompt.includes('Budi'));
+  check('No follow-ups means no prompt', formatFollowUps([], 'Budi') === null);
+  traveller.pendingFollowUps = [{ key: 'exam', value: 'ujian skripsi', endedAt: '2026-10-01T00:00:00.000Z' }];
+  check('Old follow-ups are dropped', takeFollowUps(traveller, after).length === 0 && traveller.pendingFollowUps.length === 0);
+
+  // Sweeping everyone
+  const db = createMockDb({
+    userFacts: {
+      a: { facts: { mood: { value: 'capek', validUntil: '2026-10-19T00:00:00.000Z' } }, factHistory: [] },
+      b: { facts: { job: { value: 'guru' } }, factHistory: [] }
+    }
+  });
+  const expired = await quietly(() => expireTimeBoundFacts(db, sent));
+  const unchanged = await quietly(() => expireTimeBoundFacts(db, sent));
+  check('Sweep expires facts of everyone and saves', expired === 1 && db.writes === 1 && db.data.userFacts.b.facts.job);
+  check('Sweep without changes does not save', unchanged === 0 && db.writes === 1);
+
+  // Facts of other participants in a group leave the context once they no longer hold
+  const { db: groupDb, cleanup } = await setupTestDatabase();
+  try {
+    const group = '120363@g.us';
+    groupDb.data.conversations[group] = {
+      participants: { a: { name: 'Budi' }, b: { name: 'Sari' } },
+      messages: [{ sender: 'b', role: 'user', content: 'halo' }]
+    };
+    groupDb.data.userFacts.b = {
+      facts: {
+        job: { value: 'guru', confidence: 0.9 },
+        location: { value: 'Bali', confidence: 0.9, validUntil: '2020-01-01T00:00:00.000Z' }
+      },
+      factHistory: []
+    };
+    const context = await quietly(() => getRelevantFactsForMessage('a', group, {}));
+    check('Other participants\' expired facts are not given as context', context.some(fact => fact.includes('job = guru')) &&
+      !context.some(fact => fact.includes('Bali')));
+  } finally {
+    cleanup();
+  }
+
+  finish();
+}
+
+// Run the test
+testFactValidity();
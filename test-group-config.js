@@ -0,0 +1,95 @@
+// Test per-chat configuration overrides
+import { createChecker } from './test-helpers.js';
+import {
+  resolveChatConfig,
+  setChatOverride,
+  resetChatOverride,
+  filterToolsForChat
+} from './src/services/groupConfigService.js';
+
+function createMockDb() {
+  return {
+    data: {
+      config: {
+        botName: 'Qi',
+        personality: 'friendly',
+        model: 'global-model',
+        language: 'id'
+      },
+      state: { currentMood: 'happy' },
+      conversations: {
+        'group1@g.us': { messages: [], participants: {} },
+        'group2@g.us': { messages: [], participants: {} }
+      },
+      customMoods: {},
+      customPersonalities: {}
+    },
+    write: async () => {}
+  };
+}
+
+async function testGroupConfig() {
+  const { check, finish } = createChecker('Group Config Service', 'group config');
+  
+  const db = createMockDb();
+  
+  check('Chat without overrides uses global config', resolveChatConfig(db, 'group1@g.us') === db.data.config);
+  
+  const setPersonality = await setChatOverride(db, 'group1@g.us', 'personality', 'Sassy');
+  check('Personality override is stored', setPersonality.success && db.data.conversations['group1@g.us'].configOverrides.personality === 'sassy');
+  check('Override applies to its own chat', resolveChatConfig(db, 'group1@g.us').personality === 'sassy');
+  check('Override does not leak to other chats', resolveChatConfig(db, 'group2@g.us').personality === 'friendly');
+  check('Global config is untouched', db.data.config.personality === 'friendly');
+  
+  check('Unknown personality is rejected', !(await setChatOverride(db, 'group1@g.us', 'personality', 'nonexistent')).success);
+  check('Unknown key is rejected', !(await setChatOverride(db, 'group1@g.us', 'volume', '11')).success);
+  check('Unknown reply mode is rejected', !(await setChatOverride(db, 'group1@g.us', 'replymode', 'shout')).success);
+  await setChatOverride(db, 'group1@g.us', 'replymode', 'Mirror');
+  check('Reply mode override is stored lowercased', resolveChatConfig(db, 'group1@g.us').replyMode === 'mirror');
+  check('Responsiveness outside 0-1 is rejected', !(await setChatOverride(db, 'group1@g.us', 'responsiveness', '2')).success);
+  
+  await setChatOverride(db, 'group1@g.us', 'responsiveness', '0.7');
+  check('Responsiveness is stored as a number', resolveChatConfig(db, 'group1@g.us').groupChatResponsiveness === 0.7);
+  
+  await setChatOverride(db, 'group1@g.us', 'tools', 'search_web, get_current_time');
+  const tools = [
+    { type: 'function', function: { name: 'search_web' } },
+    { type: 'function', function: { name: 'fetch_url_content' } },
+    { type: 'function', function: { name: 'get_current_time' } }
+  ];
+  check('Tools are filtered by chat override', filterToolsForChat(tools, db, 'group1@g.us').length === 2);
+  check('Tools are not filtered without override', filterToolsForChat(tools, db, 'group2@g.us').length === 3);
+  
+  const admin = { isAdmin: true };
+  for (const [key, value] of [['budget', '1'], ['budgetmodel', 'gemini:gemini-2.0-flash-lite'], ['provider', 'gemini'], ['model', 'gpt-4o']]) {
+    check(`Setting ${key} needs the bot admin role`, !(await setChatOverride(db, 'group1@g.us', key, value)).success);
+  }
+  check('Refused cost settings are not stored', resolveChatConfig(db, 'group1@g.us').monthlyBudget === undefined &&
+    resolveChatConfig(db, 'group1@g.us').model === 'global-model');
+  
+  await setChatOverride(db, 'group1@g.us', 'budget', '$2.5', admin);
+  check('Budget is stored as monthlyBudget number', resolveChatConfig(db, 'group1@g.us').monthlyBudget === 2.5);
+  check('Negative budget is rejected', !(await setChatOverride(db, 'group1@g.us', 'budget', '-1', admin)).success);
+  
+  await setChatOverride(db, 'group1@g.us', 'budgetmodel', 'Gemini:gemini-2.0-flash-lite', admin);
+  check('Budget model is normalized', resolveChatConfig(db, 'group1@g.us').budgetModel === 'gemini:gemini-2.0-flash-lite');
+  check('Budget model without provider is rejected', !(await setChatOverride(db, 'group1@g.us', 'budgetmodel', 'gpt-4o-mini', admin)).success);
+  
+  await resetChatOverride(db, 'group1@g.us', 'personality');
+  check('Single override reset', resolveChatConfig(db, 'group1@g.us').personality === 'friendly' &&
+    resolveChatConfig(db, 'group1@g.us').groupChatResponsiveness === 0.7);
+  check('Resetting the budget needs the bot admin role', !(await resetChatOverride(db, 'group1@g.us', 'budget')).success);
+  
+  const partialReset = await resetChatOverride(db, 'group1@g.us');
+  const kept = db.data.conversations['group1@g.us'].configOverrides;
+  check('Full reset without admin keeps the cost settings', partialReset.success && partialReset.message.includes('budget') &&
+    kept?.monthlyBudget === 2.5 && kept.budgetModel === 'gemini:gemini-2.0-flash-lite' && kept.groupChatResponsiveness === undefined);
+  
+  await resetChatOverride(db, 'group1@g.us', null, admin);
+  check('Full reset removes override layer', db.data.conversations['group1@g.us'].configOverrides === undefined);
+  
+  finish();
+}
+
+// Run the test
+testGroupConfig();
@@ -0,0 +1,146 @@
+// Shared helpers for the feature tests (test-*.js): checks with a pass/fail summary, a mock
+// database, a real database in a temp directory, a mock AI provider and a way to silence service logging
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { setupDatabase } from './src/database/index.js';
+
+/**
+ * Start a test run and collect its checks
+ * @param {string} title - Shown when the run starts ("Reminders")
+ * @param {string} subject - Used in the summary ("reminder" -> "All reminder tests passed!")
+ * @returns {Object} - { check(label, condition), finish() }; finish() exits with 1 when a check failed
+ */
+function createChecker(title, subject) {
+  let failures = 0;
+  console.log(`🧪 Testing ${title}...\n`);
+
+  return {
+    check(label, condition) {
+      if (condition) {
+        console.log(`✅ ${label}`);
+      } else {
+        console.log(`❌ ${label}`);
+        failures++;
+      }
+    },
+
+    finish() {
+      if (failures > 0) {
+        console.error(`\n❌ ${failures} ${subject} test(s) failed`);
+        process.exit(1);
+      }
+      console.log(`\n🎉 All ${subject} tests passed!`);
+    }
+  };
+}
+
+/**
+ * In-memory stand-in for the database: { data, write() } counting its writes
+ * @param {Object} data - Initial db.data
+ * @returns {Object}
+ */
+function createMockDb(data = {}) {
+  return {
+    data,
+    writes: 0,
+    async write() {
+      this.writes++;
+    }
+  };
+}
+
+/**
+ * Set up the real database (lowdb) in a temporary data directory, for services that call getDb()
+ * @param {Object} config - Config values set on top of the defaults (API logging is turned off)
+ * @returns {Promise<Object>} - { db, cleanup() }
+ */
+async function setupTestDatabase(config = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qi-test-'));
+  process.env.DATA_DIR = dir;
+  process.env.STORAGE_BACKEND = 'lowdb';
+  delete process.env.SQLITE_FILE;
+
+  const db = await quietly(() => setupDatabase());
+  Object.assign(db.data.config, { apiLoggingEnabled: false }, config);
+
+  return {
+    db,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+/**
+ * Start a local OpenAI-compatible server to stand in for an AI provider
+ * @param {Function} handler - (request { url, headers, body }, res) => void; answer with sendJson() or write res directly.
+ *   JSON bodies are parsed, other bodies (multipart uploads) are kept as text
+ * @returns {Promise<Object>} - { baseUrl, requests, close() }; requests lists every request received
+ */
+async function startMockProvider(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const isJson = (req.headers['content-type'] || '').includes('json');
+      const request = { url: req.url, headers: req.headers, body: raw ? (isJson ? JSON.parse(raw) : raw) : null };
+      requests.push(request);
+      handler(request, res);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Answer a mock provider request with JSON
+ * @param {Object} res - HTTP response
+ * @param {number} status - HTTP status
+ * @param {Object} data - Response body
+ */
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Build an OpenAI-style chat completion
+ * @param {string} content - Assistant text
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ * @returns {Object}
+ */
+function chatCompletion(content, usage = { prompt_tokens: 10, completion_tokens: 5 }) {
+  return { choices: [{ message: { role: 'assistant', content } }], usage };
+}
+
+/**
+ * Run a function with console.log silenced, for services that log every step
+ * @param {Function} fn - Sync or async function
+ * @returns {Promise<*>} - What fn returned
+ */
+async function quietly(fn) {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+export {
+  createChecker,
+  createMockDb,
+  setupTestDatabase,
+  startMockProvider,
+  sendJson,
+  chatCompletion,
+  quietly
+};
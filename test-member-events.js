@@ -0,0 +1,129 @@
+// Test group member registration and welcome/farewell/role notices
+import { createChecker, createMockDb, setupTestDatabase, quietly } from './test-helpers.js';
+import { registerUserIdentity } from './src/utils/messageUtils.js';
+import { processGroupParticipantsUpdate } from './src/handlers/groupEventHandler.js';
+import {
+  getMemberEventSettings,
+  setMemberEventSetting,
+  getParticipantId,
+  applyMemberUpdate,
+  renderMemberTemplate,
+  buildMemberNotice
+} from './src/services/memberEventService.js';
+
+function createTestDb() {
+  return createMockDb({
+    conversations: {
+      '120363@g.us': {
+        messages: [],
+        participants: { '628111@s.whatsapp.net': { id: '628111@s.whatsapp.net', name: 'Budi', messageCount: 4 } },
+        chatName: 'Kelas A'
+      }
+    },
+    participantsRegistry: {
+      '628222@s.whatsapp.net': { id: '628222@s.whatsapp.net', name: 'Sari', chats: ['other@g.us'], totalMessages: 9 }
+    }
+  });
+}
+
+async function testMemberEvents() {
+  const { check, finish } = createChecker('Member Events', 'member event');
+
+  const db = createTestDb();
+  const chatId = '120363@g.us';
+
+  // Settings
+  const defaults = getMemberEventSettings(db, chatId);
+  check('Notices are off by default', !defaults.welcome && !defaults.farewell && !defaults.roleNotices);
+  check('Welcome uses the template by default', defaults.welcomeMode === 'template');
+
+  check('Welcome can be turned on', (await setMemberEventSetting(db, chatId, 'welcome', true)).success && getMemberEventSettings(db, chatId).welcome);
+  check('Unknown setting is rejected', !(await setMemberEventSetting(db, chatId, 'volume', 11)).success);
+  check('Unknown welcome mode is rejected', !(await setMemberEventSetting(db, chatId, 'welcomeMode', 'poem')).success);
+  check('Too long text is rejected', !(await setMemberEventSetting(db, chatId, 'rules', 'x'.repeat(1001))).success);
+  check('Unknown groups are rejected', !(await setMemberEventSetting(db, 'nope@g.us', 'welcome', true)).success);
+
+  await setMemberEventSetting(db, chatId, 'rules', 'Tidak boleh spam');
+  await setMemberEventSetting(db, chatId, 'rules', null);
+  check('Null restores the default', getMemberEventSettings(db, chatId).rules === null && !('rules' in db.data.conversations[chatId].memberEvents));
+
+  // Event participants
+  check('String participants are read', getParticipantId('628333@s.whatsapp.net') === '628333@s.whatsapp.net');
+  check('Object participants are read', getParticipantId({ id: '628333@lid', phoneNumber: '628333@s.whatsapp.net' }) === '628333@lid');
+
+  // Registration
+  const added = await applyMemberUpdate(db, chatId, 'add', ['628222@s.whatsapp.net', '628333@s.whatsapp.net'], { actor: '628111@s.whatsapp.net' });
+  const registry = db.data.participantsRegistry;
+  const participants = db.data.conversations[chatId].participants;
+  check('New member is registered immediately', registry['628333@s.whatsapp.net']?.chats[0] === chatId && registry['628333@s.whatsapp.net'].totalMessages === 0);
+  check('Known member gets the group added to their chats', registry['628222@s.whatsapp.net'].chats.includes(chatId) && registry['628222@s.whatsapp.net'].totalMessages === 9);
+  check('Members are added to the group participants', participants['628333@s.whatsapp.net']?.messageCount === 0 && !!participants['628333@s.whatsapp.net'].joinedAt);
+  check('Who added the member is kept', participants['628333@s.whatsapp.net'].addedBy === '628111@s.whatsapp.net');
+  check('Known names are used', added[0].name === 'Sari' && added[1].name === '628333');
+
+  await applyMemberUpdate(db, chatId, 'promote', ['628111@s.whatsapp.net']);
+  check('Promotion is recorded', participants['628111@s.whatsapp.net'].isAdmin === true);
+  await applyMemberUpdate(db, chatId, 'remove', ['628111@s.whatsapp.net'], { actor: '628111@s.whatsapp.net' });
+  check('Leaving keeps the member history', participants['628111@s.whatsapp.net'].messageCount === 4 && !!participants['628111@s.whatsapp.net'].leftAt);
+  check('Leaving by oneself is not a removal', participants['628111@s.whatsapp.net'].removedBy === null);
+
+  await applyMemberUpdate(db, chatId, 'add', ['628111@s.whatsapp.net']);
+  check('Rejoining clears leftAt', !participants['628111@s.whatsapp.net'].leftAt);
+
+  await applyMemberUpdate(db, 'new@g.us', 'add', ['628444@s.whatsapp.net'], { groupName: 'Baru' });
+  check('Unknown groups are created', db.data.conversations['new@g.us']?.chatName === 'Baru');
+
+  // Templates
+  const members = [{ id: '628222@s.whatsapp.net', name: 'Sari' }, { id: '628333:2@s.whatsapp.net', name: 'Andi' }];
+  check('Placeholders are filled', renderMemberTemplate('{mentions} ({names}, {count}) masuk {group}', { members, group: 'Kelas A' }) === '@628222 @628333 (Sari, Andi, 2) masuk Kelas A');
+  check('Unknown placeholders are kept', renderMemberTemplate('Halo {nickname}', { members }) === 'Halo {nickname}');
+
+  const settings = getMemberEventSettings(db, chatId);
+  const welcome = buildMemberNotice(settings, 'add', members, { group: 'Kelas A', rules: 'Tidak boleh spam' });
+  check('Welcome mentions the new members', welcome.text.includes('@628222 @628333') && welcome.mentions.length === 2);
+  check('Rules are appended to the default welcome', welcome.text.endsWith('📌 *Aturan grup:*\nTidak boleh spam'));
+
+  const custom = buildMemberNotice({ ...settings, welcomeTemplate: 'Hai {names}! Baca ini: {rules}' }, 'add', members, { group: 'Kelas A', rules: 'No spam' });
+  check('Templates can place the rules themselves', custom.text === 'Hai Sari, Andi! Baca ini: No spam');
+
+  check('Farewell is off by default', buildMemberNotice(settings, 'remove', members, { group: 'Kelas A' }) === null);
+  const farewell = buildMemberNotice({ ...settings, farewell: true }, 'remove', members, { group: 'Kelas A' });
+  check('Farewell names without mentioning', farewell.text.includes('Sari, Andi') && farewell.mentions.length === 0);
+
+  check('Role notices are off by default', buildMemberNotice(settings, 'promote', members, { group: 'Kelas A' }) === null);
+  check('Promotion notice is built', buildMemberNotice({ ...settings, roleNotices: true }, 'promote', members, { group: 'Kelas A' }).text.includes('admin *Kelas A*'));
+  check('No members means no notice', buildMemberNotice(settings, 'add', [], { group: 'Kelas A' }) === null);
+
+  await testLinkedMembers(check);
+
+  finish();
+}
+
+// Members known by both IDs are recorded under their resolved ID, as their messages are
+async function testLinkedMembers(check) {
+  const { db, cleanup } = await setupTestDatabase();
+  const group = '120363999@g.us';
+  const personal = '628555@s.whatsapp.net';
+  const lid = '275555@lid';
+  const admin = '628666@s.whatsapp.net';
+  const adminLid = '275666@lid';
+
+  try {
+    db.data.conversations[group] = { messages: [], participants: {}, chatName: 'Kelas B' };
+    await quietly(() => registerUserIdentity({ key: { remoteJid: group, participant: lid, participantPn: personal, id: 'g1' }, pushName: 'Rina' }));
+    await quietly(() => registerUserIdentity({ key: { remoteJid: group, participant: adminLid, participantPn: admin, id: 'g2' }, pushName: 'Admin' }));
+
+    const sock = { user: { id: '628000@s.whatsapp.net' }, groupMetadata: async () => ({ subject: 'Kelas B', desc: '' }) };
+    await quietly(() => processGroupParticipantsUpdate(sock, { id: group, action: 'add', participants: [{ id: lid }], author: adminLid }));
+
+    const participants = db.data.conversations[group].participants;
+    check('Linked members are recorded under their resolved ID', !!participants[personal] && !participants[lid]);
+    check('Linked members are not registered twice', !!db.data.participantsRegistry[personal] && !db.data.participantsRegistry[lid]);
+    check('Who added a member is recorded under their resolved ID', participants[personal]?.addedBy === admin);
+  } finally {
+    cleanup();
+  }
+}
+
+// Run the test
+testMemberEvents();
@@ -0,0 +1,121 @@
+// Test reading message edits and deletions from protocol messages, and applying deletions to stored copies
+import { createChecker, setupTestDatabase, quietly } from './test-helpers.js';
+import { getMessageRevision, registerUserIdentity } from './src/utils/messageUtils.js';
+import { applyMessageRevoke } from './src/services/contextService.js';
+import { processMessageRevision } from './src/handlers/messageHandler.js';
+
+const group = '120363@g.us';
+
+// Deletions reach every stored copy of a message
+async function testStoredRevokes(check) {
+  const { db, cleanup } = await setupTestDatabase();
+  const message = (id, content) => ({ id, role: 'user', sender: '628111@s.whatsapp.net', content, metadata: { topics: ['rapat'] } });
+
+  try {
+    db.data.conversations[group] = { messages: [message('m1', 'rapat jam 7 ya'), message('m2', 'oke')], participants: {} };
+    db.data.contextMemory = [{ ...message('m1', 'rapat jam 7 ya'), chatId: group }, { ...message('old', 'nomor rekeningku 123'), chatId: group }];
+
+    const stored = await applyMessageRevoke(db, group, 'm1');
+    check('A deleted message is tombstoned', stored?.content !== 'rapat jam 7 ya' && stored.metadata.isDeleted);
+    const copy = db.data.contextMemory[0];
+    check('Its copy in the cross-chat memory is tombstoned', copy.content === stored.content && copy.metadata.isDeleted && !copy.metadata.topics);
+
+    await applyMessageRevoke(db, group, 'old');
+    check('A copy that outlived the chat history is tombstoned', db.data.contextMemory[1].content !== 'nomor rekeningku 123');
+    db.data.conversationSummaries = { [group]: { pending: [message('aged', 'alamatku di jalan mawar'), message('kept', 'sampai besok')], chunks: [], days: [], weeks: [] } };
+    await applyMessageRevoke(db, group, 'aged');
+    check('A message waiting to be summarized leaves the queue', db.data.conversationSummaries[group].pending.map(msg => msg.id).join() === 'kept');
+    check('Other chats keep their copies', !(await applyMessageRevoke(db, '120364@g.us', 'm2')) && db.data.conversations[group].messages[1].content === 'oke');
+  } finally {
+    cleanup();
+  }
+}
+
+// Edits in groups come from the @lid ID; facts were stored under the resolved personal ID
+async function testEditedFacts(check) {
+  const { db, cleanup } = await setupTestDatabase({ dynamicFactExtractionEnabled: false });
+  const personal = '628111@s.whatsapp.net';
+  const lid = '275999@lid';
+
+  try {
+    await quietly(() => registerUserIdentity({ key: { remoteJid: group, participant: lid, participantPn: personal, id: 'g1' }, pushName: 'Budi' }));
+    db.data.userFacts[personal] = {
+      facts: { location: { value: 'Bandung', confidence: 0.9, sourceMessages: [`${group}:m9`] } },
+      factHistory: []
+    };
+
+    const edit = {
+      key: { remoteJid: group, participant: lid, id: 'EDIT3' },
+      message: { protocolMessage: { key: { remoteJid: group, participant: lid, id: 'm9' }, type: 14, editedMessage: { conversation: 'eh salah ketik' } } }
+    };
+    await quietly(() => processMessageRevision(null, edit));
+    check('An edit retracts facts stored under the resolved ID, even without fact extraction',
+      !db.data.userFacts[personal].facts.location && !db.data.userFacts[lid]);
+  } finally {
+    cleanup();
+  }
+}
+
+async function testMessageRevisions() {
+  const { check, finish } = createChecker('Message Revisions', 'message revision');
+
+  const revoke = {
+    key: { remoteJid: '120363@g.us', participant: '628111@s.whatsapp.net', id: 'REV1' },
+    message: {
+      protocolMessage: {
+        key: { remoteJid: '120363@g.us', participant: '628222@s.whatsapp.net', id: 'ABC123', fromMe: false },
+        type: 0
+      }
+    }
+  };
+  const deletion = getMessageRevision(revoke);
+  check('Delete for everyone is detected', deletion?.type === 'revoke');
+  check('Deleted message ID is read', deletion.messageId === 'ABC123');
+  check('Author of the deleted message is read', deletion.participant === '628222@s.whatsapp.net');
+  check('Deletions carry no content', deletion.content === null);
+
+  const textEdit = {
+    key: { remoteJid: '628111@s.whatsapp.net', id: 'EDIT1' },
+    message: {
+      protocolMessage: {
+        key: { remoteJid: '628111@s.whatsapp.net', id: 'DEF456', fromMe: true },
+        type: 14,
+        editedMessage: { conversation: 'aku tinggal di Bogor, bukan Bandung' }
+      }
+    }
+  };
+  const edit = getMessageRevision(textEdit);
+  check('Edit is detected', edit?.type === 'edit' && edit.messageId === 'DEF456');
+  check('Edited text is read', edit.content === 'aku tinggal di Bogor, bukan Bandung');
+  check('Private chat edits have no participant', edit.participant === null);
+
+  const wrappedEdit = {
+    key: { remoteJid: '120363@g.us', id: 'EDIT2' },
+    message: {
+      editedMessage: {
+        message: {
+          protocolMessage: {
+            key: { remoteJid: '120363@g.us', id: 'GHI789' },
+            type: 'MESSAGE_EDIT',
+            editedMessage: { imageMessage: { caption: 'foto rapat kemarin' } }
+          }
+        }
+      }
+    }
+  };
+  check('Wrapped caption edits are read', getMessageRevision(wrappedEdit)?.content === 'foto rapat kemarin');
+
+  const ephemeralSetting = { message: { protocolMessage: { key: { id: 'X' }, type: 3, ephemeralExpiration: 86400 } } };
+  check('Other protocol messages are ignored', getMessageRevision(ephemeralSetting) === null);
+  check('Protocol messages without a key are ignored', getMessageRevision({ message: { protocolMessage: { type: 5 } } }) === null);
+  check('Plain messages are not revisions', getMessageRevision({ message: { conversation: 'halo' } }) === null);
+  check('Missing message is handled', getMessageRevision(null) === null);
+
+  await testStoredRevokes(check);
+  await testEditedFacts(check);
+
+  finish();
+}
+
+// Run the test
+testMessageRevisions();
@@ -0,0 +1,107 @@
+// Test role-based command authorization
+import { createChecker } from './test-helpers.js';
+import {
+  normalizeUserId,
+  hasRole,
+  getUserRole,
+  getCommandRole,
+  authorizeCommand,
+  grantRole,
+  revokeRole
+} from './src/services/permissionService.js';
+
+function createMockDb() {
+  return {
+    data: {
+      permissions: {
+        roles: {
+          '628111@s.whatsapp.net': { role: 'owner', grantedBy: 'env' }
+        },
+        commandRoles: {}
+      }
+    },
+    write: async () => {}
+  };
+}
+
+function createMockSock(admins = []) {
+  return {
+    groupMetadata: async () => ({
+      participants: admins.map(id => ({ id, admin: 'admin' }))
+    })
+  };
+}
+
+async function testPermissions() {
+  const { check, finish } = createChecker('Permission Service', 'permission');
+  
+  // ID normalization
+  check('Phone number normalized to JID', normalizeUserId('628111') === '628111@s.whatsapp.net');
+  check('Device suffix stripped', normalizeUserId('628111:31@s.whatsapp.net') === '628111@s.whatsapp.net');
+  check('Mention prefix stripped', normalizeUserId('@628111') === '628111@s.whatsapp.net');
+  
+  // Role hierarchy
+  check('Owner satisfies admin', hasRole('owner', 'admin'));
+  check('User does not satisfy moderator', !hasRole('user', 'moderator'));
+  
+  const db = createMockDb();
+  check('Owner role resolved', getUserRole(db, '628111@s.whatsapp.net') === 'owner');
+  check('Unknown user defaults to user', getUserRole(db, '628999@s.whatsapp.net') === 'user');
+  check('Unlisted command requires admin', getCommandRole(db, 'somethingnew') === 'admin');
+  
+  // Command authorization
+  const sock = createMockSock(['628222@s.whatsapp.net']);
+  const userHelp = await authorizeCommand(sock, db, '628999@s.whatsapp.net', '628999@s.whatsapp.net', 'help');
+  check('User may run !help', userHelp.allowed);
+  
+  const userSetModel = await authorizeCommand(sock, db, '628999@s.whatsapp.net', '628999@s.whatsapp.net', 'setmodel');
+  check('User may not run !setmodel', !userSetModel.allowed);
+  
+  const groupAdminClear = await authorizeCommand(sock, db, '123@g.us', '628222@s.whatsapp.net', 'clear');
+  check('Group admin may run !clear in their group', groupAdminClear.allowed);
+  
+  const groupAdminSetModel = await authorizeCommand(sock, db, '123@g.us', '628222@s.whatsapp.net', 'setmodel');
+  check('Group admin may not run !setmodel', !groupAdminSetModel.allowed);
+  
+  const ownerKeyInGroup = await authorizeCommand(sock, db, '123@g.us', '628111@s.whatsapp.net', 'setapikey');
+  check('Credential commands are refused in groups, even for the owner', !ownerKeyInGroup.allowed && ownerKeyInGroup.privateOnly);
+  const ownerKeyInPrivate = await authorizeCommand(sock, db, '628111@s.whatsapp.net', '628111@s.whatsapp.net', 'getapikey');
+  check('Credential commands run in private chat', ownerKeyInPrivate.allowed && !ownerKeyInPrivate.privateOnly);
+  
+  // Grant and revoke
+  const grant = await grantRole(db, '628111@s.whatsapp.net', '628333', 'admin');
+  check('Owner can grant admin', grant.success && getUserRole(db, '628333@s.whatsapp.net') === 'admin');
+  
+  const escalate = await grantRole(db, '628333@s.whatsapp.net', '628444', 'admin');
+  check('Admin cannot grant admin', !escalate.success);
+  
+  const revokeOwner = await revokeRole(db, '628111@s.whatsapp.net', '628111');
+  check('Last owner cannot be revoked', !revokeOwner.success);
+  
+  const revoke = await revokeRole(db, '628111@s.whatsapp.net', '628333');
+  check('Owner can revoke admin', revoke.success && getUserRole(db, '628333@s.whatsapp.net') === 'user');
+  
+  // Owners from OWNER_NUMBERS are seeded again on every check, so changing them is refused
+  const ownerNumbers = process.env.OWNER_NUMBERS;
+  process.env.OWNER_NUMBERS = '628555';
+  try {
+    check('Environment owners are seeded', getUserRole(db, '628555@s.whatsapp.net') === 'owner');
+    const revokeEnvOwner = await revokeRole(db, '628111@s.whatsapp.net', '628555');
+    check('Environment owners cannot be revoked', !revokeEnvOwner.success && revokeEnvOwner.message.includes('OWNER_NUMBERS') &&
+      getUserRole(db, '628555@s.whatsapp.net') === 'owner');
+    const demote = await grantRole(db, '628111@s.whatsapp.net', '628555', 'moderator');
+    check('Environment owners cannot be demoted', !demote.success && getUserRole(db, '628555@s.whatsapp.net') === 'owner');
+    check('Other owners can still be revoked', (await revokeRole(db, '628555@s.whatsapp.net', '628111')).success);
+  } finally {
+    if (ownerNumbers === undefined) {
+      delete process.env.OWNER_NUMBERS;
+    } else {
+      process.env.OWNER_NUMBERS = ownerNumbers;
+    }
+  }
+  
+  finish();
+}
+
+// Run the test
+testPermissions();
@@ -0,0 +1,196 @@
+// Test viewing, correcting, exporting and forgetting personal data
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createChecker, createMockDb } from './test-helpers.js';
+import {
+  FACTS_PER_PAGE,
+  findFactKey,
+  getFactsPage,
+  correctUserFact,
+  forgetUserFact,
+  exportUserData,
+  formatUserDataMarkdown,
+  forgetUser
+} from './src/services/personalDataService.js';
+
+const budi = '628111@s.whatsapp.net';
+const sari = '628222@s.whatsapp.net';
+const group = '120363@g.us';
+
+function createTestDb() {
+  const facts = {
+    favorite_food: { value: 'nasi goreng', confidence: 0.8, category: 'preference', sourceMessages: [`${group}:m1`] },
+    hometown: { value: 'Bandung', confidence: 0.9, category: 'demographic' },
+    hobby: { value: 'main gitar', confidence: 0.85, category: 'interest' }
+  };
+
+  return createMockDb({
+    userFacts: {
+      [budi]: { facts, factHistory: [] },
+      [sari]: { facts: { hobby: { value: 'lari', confidence: 0.9, category: 'interest' } }, factHistory: [] }
+    },
+    factRelationships: {
+      [`${budi}:favorite_food:hobby`]: { userId: budi, fact1: 'favorite_food', fact2: 'hobby' },
+      [`${sari}:hobby:hobby`]: { userId: sari, fact1: 'hobby', fact2: 'hobby' }
+    },
+    conversations: {
+      [group]: {
+        chatName: 'Geng Kantor',
+        participants: { [budi]: { name: 'Budi' }, [sari]: { name: 'Sari' } },
+        messages: [
+          { id: 'm1', sender: budi, role: 'user', content: 'aku suka nasi goreng', timestamp: '2026-10-19T08:00:00.000Z' },
+          { id: 'm2', sender: sari, role: 'user', content: 'aku lebih suka soto', timestamp: '2026-10-19T08:01:00.000Z' },
+          { id: 'img1', sender: 'bot', role: 'assistant', content: '[IMAGE ANALYSIS: kucing]', metadata: { originalSender: budi }, timestamp: '2026-10-19T08:02:00.000Z' },
+          { id: 'm3', sender: 'bot', role: 'assistant', content: 'enak semua!', timestamp: '2026-10-19T08:03:00.000Z' }
+        ]
+      },
+      [budi]: {
+        participants: { [budi]: { name: 'Budi' } },
+        messages: [
+          { id: 'p1', sender: budi, role: 'user', content: 'halo qi', timestamp: '2026-10-19T09:00:00.000Z' },
+          { id: 'p2', sender: 'bot', role: 'assistant', content: 'halo budi', timestamp: '2026-10-19T09:00:05.000Z' }
+        ]
+      }
+    },
+    contextMemory: [
+      { id: 'm1', sender: budi, chatId: group },
+      { id: 'm2', sender: sari, chatId: group },
+      { id: 'p2', sender: 'bot', chatId: budi }
+    ],
+    participantsRegistry: { [budi]: { name: 'Budi', totalMessages: 2 }, [sari]: { name: 'Sari' } },
+    imageAnalysis: { img1: { id: 'img1', chatId: group, sender: budi, summary: 'kucing oren' } },
+    imageEmbeddings: { img1: { id: 'img1' } },
+    vectorIndex: {
+      entries: {
+        [`fact:${budi}:hometown`]: { type: 'fact', sourceId: `${budi}:hometown` },
+        [`fact:${sari}:hobby`]: { type: 'fact', sourceId: `${sari}:hobby` },
+        [`message:${group}:m1`]: { type: 'message', sourceId: `${group}:m1`, metadata: { userId: budi } },
+        [`message:${group}:m2`]: { type: 'message', sourceId: `${group}:m2`, metadata: { userId: sari } },
+        'image:img1': { type: 'image', sourceId: 'img1', metadata: { userId: budi } },
+        'document:doc1:0': { type: 'document', sourceId: 'doc1:0', metadata: { chatId: budi, docId: 'doc1' } }
+      }
+    },
+    reminders: {
+      r1: { id: 'r1', chatId: group, createdBy: budi, message: 'rapat', dueAt: '2026-10-20T00:00:00.000Z', mentions: [] },
+      r2: { id: 'r2', chatId: group, createdBy: sari, message: 'bayar kas', dueAt: '2026-10-21T00:00:00.000Z', mentions: [budi] }
+    },
+    messageFeedback: {
+      [`${group}:m3`]: { chatId: group, messageId: 'm3', content: 'enak semua!', reactions: { [budi]: { emoji: '😂' } } }
+    },
+    contactStatuses: { [budi]: [{ id: 's1', text: 'liburan', postedAt: '2026-10-19T07:00:00.000Z' }] },
+    userPreferences: { [budi]: { replyMode: 'voice' } },
+    conversationSummaries: {
+      [budi]: { pending: [], chunks: [{ summary: 'Budi cerita soal kerjaan' }], days: [], weeks: [] },
+      [group]: {
+        pending: [{ id: 'o1', sender: budi }, { id: 'o2', sender: sari }],
+        chunks: [{ participants: ['Sari'], summary: 'Sari cerita soal lari pagi' }],
+        days: [{ participants: ['Budi', 'Sari'], summary: 'Budi dan Sari merencanakan makan siang' }],
+        weeks: []
+      }
+    },
+    permissions: { roles: { [budi]: { role: 'moderator' } } },
+    chatDocuments: { doc1: { id: 'doc1', chatId: budi, uploadedBy: budi, fileName: 'cv.pdf', chunkCount: 1 } }
+  });
+}
+
+async function testPersonalData() {
+  const { check, finish } = createChecker('Personal Data', 'personal data');
+
+  const categories = ['personal', 'preference', 'demographic', 'interest'];
+  let db = createTestDb();
+
+  // Viewing
+  const page = getFactsPage(db, budi, { categories });
+  check('All facts are listed', page.total === 3 && page.message.includes('hometown: Bandung'));
+  check('Facts are grouped in category order', page.message.indexOf('*preference*') < page.message.indexOf('*demographic*'));
+  check('Category filter works', getFactsPage(db, budi, { category: 'interest', categories }).total === 1);
+  check('Unknown categories are rejected', !getFactsPage(db, budi, { category: 'zodiak', categories }).success);
+  check('Users without facts are told so', getFactsPage(db, 'x@s.whatsapp.net', { categories }).total === 0);
+
+  for (let i = 0; i < FACTS_PER_PAGE + 2; i++) {
+    db.data.userFacts[sari].facts[`fact_${String(i).padStart(2, '0')}`] = { value: `v${i}`, category: 'personal' };
+  }
+  const second = getFactsPage(db, sari, { page: 2, categories });
+  check('Facts are paged', second.pages === 2 && second.page === 2 && second.message.includes('Halaman 2/2'));
+  check('First page points to the next', getFactsPage(db, sari, { categories }).message.includes('!myfacts 2'));
+  check('Pages beyond the end show the last page', getFactsPage(db, sari, { page: 9, categories }).page === 2);
+
+  // Correcting and forgetting one fact
+  db.data.userFacts[budi].pendingConflicts = [{ key: 'favorite_food', currentValue: 'nasi goreng', proposedValue: 'soto' }];
+  check('Keys are matched loosely', findFactKey(db.data.userFacts[budi].facts, 'Favorite Food') === 'favorite_food');
+  const corrected = await correctUserFact(db, budi, 'favorite food', 'rendang');
+  const fact = db.data.userFacts[budi].facts.favorite_food;
+  check('Correction replaces the value', corrected.success && fact.value === 'rendang' && fact.manuallyVerified && fact.confidence === 1);
+  check('Corrected facts no longer depend on source messages', fact.sourceMessages === undefined);
+  check('Correction settles a pending contradiction', db.data.userFacts[budi].pendingConflicts.length === 0);
+  check('Correction is recorded in history', db.data.userFacts[budi].factHistory.at(-1).source === 'user-correction');
+  check('Unknown keys cannot be corrected', !(await correctUserFact(db, budi, 'zodiak', 'leo')).success);
+  check('Corrections need a value', !(await correctUserFact(db, budi, 'hobby', ' ')).success);
+
+  const forgotten = await forgetUserFact(db, budi, 'hometown');
+  check('Forget removes the fact', forgotten.success && !db.data.userFacts[budi].facts.hometown);
+  check('Forgotten values are not kept in history', db.data.userFacts[budi].factHistory.at(-1).oldValue === null);
+  check('Forgotten facts leave the search index', !db.data.vectorIndex.entries[`fact:${budi}:hometown`]);
+  await forgetUserFact(db, budi, 'hobby');
+  check('Relationships of forgotten facts are removed', !db.data.factRelationships[`${budi}:favorite_food:hobby`]);
+
+  // Export
+  db = createTestDb();
+  const data = exportUserData(db, budi, new Date('2026-10-19T10:00:00.000Z'));
+  const groupChat = data.chats.find(chat => chat.chatId === group);
+  check('Export has the facts and profile', Object.keys(data.facts).length === 3 && data.profile.name === 'Budi');
+  check('Export has only their group messages', groupChat.messages.map(msg => msg.id).join() === 'm1,img1');
+  check('Export has the whole private chat', data.chats.find(chat => chat.chatId === budi).messages.length === 2);
+  check('Export has images, reminders, statuses and reactions',
+    data.images.length === 1 && data.reminders.length === 1 && data.statuses.length === 1 && data.reactions[0].emoji === '😂');
+  const markdown = formatUserDataMarkdown(data);
+  check('Markdown export is readable', markdown.startsWith('# Data tersimpan untuk Budi') && markdown.includes('**favorite_food**: nasi goreng') && markdown.includes('## Geng Kantor'));
+
+  // Forget everything
+  const apiLogsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qi-test-'));
+  const logEntry = (chatId, content) => ({ metadata: { chatId }, request: { messages: [{ role: 'user', content }] } });
+  fs.writeFileSync(path.join(apiLogsDir, 'log_10-19-2026.json'), JSON.stringify([
+    logEntry(group, 'Budi: aku suka nasi goreng'),
+    logEntry(group, 'Sari: aku lebih suka soto'),
+    logEntry(budi, 'halo qi')
+  ]));
+  fs.writeFileSync(path.join(apiLogsDir, 'log_10-18-2026.json'), JSON.stringify([logEntry(budi, 'selamat pagi')]));
+
+  let result;
+  try {
+    result = await forgetUser(db, budi, { apiLogsDir });
+    const remainingLogs = fs.readdirSync(apiLogsDir);
+    const keptEntries = JSON.parse(fs.readFileSync(path.join(apiLogsDir, 'log_10-19-2026.json'), 'utf8'));
+    check('API log entries with their messages or of their private chat are removed', result.removed.apiLogs === 3 &&
+      remainingLogs.join() === 'log_10-19-2026.json' && keptEntries.length === 1 && keptEntries[0].request.messages[0].content.startsWith('Sari'));
+  } finally {
+    fs.rmSync(apiLogsDir, { recursive: true, force: true });
+  }
+  check('Forget me reports what was removed', result.success && result.removed.facts === 3 && result.removed.messages === 4 && result.removed.images === 1);
+  check('Forget me says what is kept', result.message.includes('Yang tetap disimpan'));
+  check('Facts are removed', !db.data.userFacts[budi] && db.data.userFacts[sari]);
+  check('Their group messages are removed, others stay', db.data.conversations[group].messages.map(msg => msg.id).join() === 'm2,m3');
+  check('Private chat is removed', !db.data.conversations[budi]);
+  check('Participant records are removed', !db.data.conversations[group].participants[budi] && !db.data.participantsRegistry[budi]);
+  check('Cross-chat memory is cleaned', db.data.contextMemory.length === 1 && db.data.contextMemory[0].sender === sari);
+  check('Image analyses are removed', !db.data.imageAnalysis.img1 && !db.data.imageEmbeddings.img1);
+  const remainingIndex = Object.keys(db.data.vectorIndex.entries);
+  check('Search index entries are removed', remainingIndex.length === 2 && remainingIndex.every(key => !key.includes(budi) && key !== `message:${group}:m1`));
+  check('Their reminders are removed and mentions dropped', !db.data.reminders.r1 && db.data.reminders.r2.mentions.length === 0);
+  check('Their reactions are removed', !db.data.messageFeedback[`${group}:m3`]);
+  check('Private chat summaries and their unsummarized group messages are removed',
+    !db.data.conversationSummaries[budi] && db.data.conversationSummaries[group].pending.map(msg => msg.id).join() === 'o2');
+  check('Group summaries covering their messages are removed', result.removed.summaries === 1 &&
+    db.data.conversationSummaries[group].days.length === 0 && db.data.conversationSummaries[group].chunks.length === 1);
+  check('Documents of the private chat are removed', result.removed.documents === 1 && !db.data.chatDocuments.doc1 &&
+    !db.data.vectorIndex.entries['document:doc1:0']);
+  check('Statuses and preferences are removed', !db.data.contactStatuses[budi] && !db.data.userPreferences[budi]);
+  check('Role grants are kept', db.data.permissions.roles[budi].role === 'moderator');
+  check('Other people\'s relationships are kept', Object.keys(db.data.factRelationships).length === 1);
+
+  finish();
+}
+
+// Run the test
+testPersonalData();
@@ -0,0 +1,75 @@
+// Test the provider fallback chain: hop order, the reason for each hop, purposes and chain parsing
+import { createChecker, setupTestDatabase, startMockProvider, sendJson, chatCompletion, quietly } from './test-helpers.js';
+import { requestWithFallback, getFallbackChain, parseFallbackChain } from './src/services/providerService.js';
+
+const messages = [{ role: 'user', content: 'halo' }];
+
+async function testProviderFallback() {
+  const { check, finish } = createChecker('Provider Fallback Chain', 'provider fallback');
+  const server = await startMockProvider((request, res) => {
+    if (request.body.model === 'limited-model') {
+      sendJson(res, 429, { error: { message: 'Rate limit exceeded' } });
+    } else if (request.body.model === 'down-model') {
+      sendJson(res, 500, { error: { message: 'Internal error' } });
+    } else {
+      sendJson(res, 200, chatCompletion(`dari ${request.body.model}`));
+    }
+  });
+  const { db, cleanup } = await setupTestDatabase({
+    defaultProvider: 'limited',
+    model: 'limited-model',
+    customProviders: {
+      limited: { baseUrl: server.baseUrl, model: 'limited-model' },
+      down: { baseUrl: server.baseUrl, model: 'down-model' },
+      keyless: { baseUrl: server.baseUrl, model: 'keyless-model', apiKeyEnv: 'QI_TEST_MISSING_KEY' },
+      backup: { baseUrl: server.baseUrl, model: 'backup-model', apiKey: 'sk-backup' },
+      vision: { baseUrl: server.baseUrl, model: 'vision-model' }
+    },
+    fallbackChain: [
+      { provider: 'limited', model: 'limited-model' },
+      { provider: 'down' },
+      { provider: 'keyless' },
+      { provider: 'vision', purposes: ['image'] },
+      { provider: 'backup' }
+    ]
+  });
+
+  try {
+    const result = await quietly(() => requestWithFallback('chat', messages, {}, { chatId: 'chat@g.us' }));
+    check('The first working provider in the chain answers', result.provider === 'backup' &&
+      result.response.choices[0].message.content === 'dari backup-model');
+    check('Each failed hop is recorded with its reason', result.attempts.map(attempt => attempt.reason).join() === 'rate_limited,server_error,missing_api_key');
+    check('The primary is not tried twice', server.requests.filter(request => request.body.model === 'limited-model').length === 1);
+    check('Entries for other purposes are skipped', !server.requests.some(request => request.body.model === 'vision-model'));
+    check('The API key of the serving provider is sent', server.requests.at(-1).headers.authorization === 'Bearer sk-backup');
+
+    const image = await quietly(() => requestWithFallback('image', messages, {}, { primary: { provider: 'vision' } }));
+    check('An explicit primary is tried first', image.provider === 'vision' && image.attempts.length === 0);
+    check('Purpose-specific entries apply to their purpose', getFallbackChain('image').some(entry => entry.provider === 'vision') &&
+      !getFallbackChain('analysis').some(entry => entry.provider === 'vision'));
+
+    db.data.config.fallbackChain = [{ provider: 'nonexistent' }, { provider: 'down' }];
+    let failure = null;
+    try {
+      await quietly(() => requestWithFallback('analysis', messages, {}, { primary: { provider: 'keyless' } }));
+    } catch (error) {
+      failure = error;
+    }
+    check('When every hop fails the error lists all attempts', failure?.attempts?.map(attempt => attempt.reason).join() === 'missing_api_key,unknown_provider,server_error');
+    check('The error carries the reason of the last hop', failure?.reason === 'server_error');
+
+    // Chain specifications typed in !fallback
+    const parsed = parseFallbackChain('backup:big-model, Down');
+    check('A chain specification is parsed', parsed.success && parsed.chain[0].model === 'big-model' && parsed.chain[1].provider === 'down' && !parsed.chain[1].model);
+    check('Unknown providers are rejected', !parseFallbackChain('backup, nonexistent').success);
+    check('An empty chain is rejected', !parseFallbackChain(' , ').success);
+  } finally {
+    await server.close();
+    cleanup();
+  }
+
+  finish();
+}
+
+// Run the test
+testProviderFallback();
@@ -0,0 +1,63 @@
+// Test reading the quoted message of replies
+import { createChecker } from './test-helpers.js';
+import { getQuotedMessageInfo } from './src/utils/messageUtils.js';
+
+function testQuotedReplies() {
+  const { check, finish } = createChecker('Quoted Replies', 'quoted reply');
+
+  const textReply = {
+    message: {
+      extendedTextMessage: {
+        text: 'maksudnya gimana?',
+        contextInfo: {
+          stanzaId: 'ABC123',
+          participant: '628111@s.whatsapp.net',
+          quotedMessage: { conversation: 'besok rapat jam 7 ya' }
+        }
+      }
+    }
+  };
+  const info = getQuotedMessageInfo(textReply);
+  check('Text reply is detected', info !== null);
+  check('Quoted message ID is read', info.id === 'ABC123');
+  check('Quoted author is read', info.participant === '628111@s.whatsapp.net');
+  check('Quoted text is read', info.content === 'besok rapat jam 7 ya');
+
+  const imageReply = {
+    message: {
+      imageMessage: {
+        caption: 'ini yang kamu maksud?',
+        contextInfo: {
+          stanzaId: 'DEF456',
+          participant: '628222@s.whatsapp.net',
+          quotedMessage: { extendedTextMessage: { text: 'kirim fotonya dong' } }
+        }
+      }
+    }
+  };
+  check('Replies carried by media messages are detected', getQuotedMessageInfo(imageReply)?.content === 'kirim fotonya dong');
+
+  const quotedVoiceNote = {
+    message: {
+      extendedTextMessage: {
+        text: 'setuju',
+        contextInfo: { stanzaId: 'GHI789', quotedMessage: { audioMessage: { seconds: 4 } } }
+      }
+    }
+  };
+  check('Quoted media without text uses a placeholder', getQuotedMessageInfo(quotedVoiceNote)?.content === '[audioMessage]');
+
+  const mentionOnly = {
+    message: {
+      extendedTextMessage: { text: '@Qi halo', contextInfo: { mentionedJid: ['628333@s.whatsapp.net'] } }
+    }
+  };
+  check('Mentions without a quote are not replies', getQuotedMessageInfo(mentionOnly) === null);
+  check('Plain messages are not replies', getQuotedMessageInfo({ message: { conversation: 'halo' } }) === null);
+  check('Missing message is handled', getQuotedMessageInfo(null) === null);
+
+  finish();
+}
+
+// Run the test
+testQuotedReplies();
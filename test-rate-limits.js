@@ -0,0 +1,151 @@
+// Test the client-side rate limiter: token bucket, daily quota, circuit breaker and deferred counter writes
+import { createChecker, setupTestDatabase, startMockProvider, sendJson, chatCompletion, quietly } from './test-helpers.js';
+import { flushScheduledWrite } from './src/database/index.js';
+import {
+  CIRCUIT_BREAKER_CONFIG,
+  acquireRequestSlot,
+  recordRequestResult,
+  getCircuitState,
+  resetProviderLimits,
+  setRateLimits
+} from './src/services/rateLimitService.js';
+import { recordUsage } from './src/services/usageService.js';
+import { requestWithFallback } from './src/services/providerService.js';
+
+// Resolve to the error reason, or null when a slot was granted
+async function slotError(providerName, model) {
+  try {
+    await acquireRequestSlot(providerName, model);
+    return null;
+  } catch (error) {
+    return error.reason;
+  }
+}
+
+// Run fn with the clock moved forward
+async function later(ms, fn) {
+  const realNow = Date.now;
+  Date.now = () => realNow() + ms;
+  try {
+    return await fn();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+async function testRateLimits() {
+  const { check, finish } = createChecker('Rate Limits', 'rate limit');
+  const server = await startMockProvider((request, res) => {
+    if (request.body.model === 'broken-model') {
+      sendJson(res, 503, { error: { message: 'overloaded' } });
+    } else {
+      sendJson(res, 200, chatCompletion('ok'));
+    }
+  });
+  const { db, cleanup } = await setupTestDatabase({
+    defaultProvider: 'flaky',
+    model: 'broken-model',
+    fallbackChain: [{ provider: 'steady', model: 'steady-model' }],
+    customProviders: {
+      flaky: { baseUrl: server.baseUrl, model: 'broken-model' },
+      steady: { baseUrl: server.baseUrl, model: 'steady-model' }
+    },
+    rateLimits: {
+      bucket: { requestsPerMinute: 2 },
+      'quota/small-model': { dailyLimit: 2 }
+    }
+  });
+
+  let writes = 0;
+  const write = db.write.bind(db);
+  db.write = async () => {
+    writes++;
+    return write();
+  };
+
+  try {
+    // Token bucket
+    check('Requests within the per-minute limit get a slot', await slotError('bucket', 'm') === null && await slotError('bucket', 'm') === null);
+    check('A request beyond the per-minute limit is throttled', await slotError('bucket', 'm') === 'throttled');
+    check('Each model has its own bucket', await slotError('bucket', 'other') === null);
+
+    // Daily quota
+    await recordRequestResult('quota', 'small-model', { success: true });
+    await recordRequestResult('quota', 'small-model', { success: true });
+    check('The daily limit stops further requests', await slotError('quota', 'small-model') === 'quota_exhausted');
+    await quietly(() => recordRequestResult('quota', 'big-model', { success: false, reason: 'rate_limited', dailyLimitHit: true }));
+    check('A provider-reported exhausted quota stops further requests', await slotError('quota', 'big-model') === 'quota_exhausted');
+    check('An exhausted quota is saved right away', writes === 1);
+
+    // The OpenRouter free-models limit only counts ":free" requests
+    for (let i = 0; i < 50; i++) {
+      await recordRequestResult('openrouter', 'openai/gpt-4o-mini', { success: true });
+    }
+    check('Paid OpenRouter requests do not use up the free-models limit', await slotError('openrouter', 'meta-llama/llama-3.3-70b-instruct:free') === null);
+    for (let i = 0; i < 50; i++) {
+      await recordRequestResult('openrouter', `model-${i % 2}:free`, { success: true });
+    }
+    check('Requests to any free model count toward the shared limit', await slotError('openrouter', 'meta-llama/llama-3.3-70b-instruct:free') === 'quota_exhausted');
+    check('Paid OpenRouter models still work after the free limit', await slotError('openrouter', 'openai/gpt-4o-mini') === null);
+
+    // Deferred writes
+    writes = 0;
+    for (let i = 0; i < 5; i++) {
+      await recordRequestResult('bucket', 'm', { success: true });
+      await recordUsage('bucket', 'm', chatCompletion('ok'), [], { chatId: 'chat@g.us' });
+    }
+    check('Request counters and usage are not written per request', writes === 0);
+    await flushScheduledWrite();
+    check('They are saved together in one deferred write', writes === 1 && db.data.usageStats &&
+      Object.values(db.data.quotaUsage)[0]['bucket/m'].requests === 5);
+
+    // Circuit breaker
+    for (let i = 0; i < CIRCUIT_BREAKER_CONFIG.failureThreshold - 1; i++) {
+      await quietly(() => recordRequestResult('breaker', 'm', { success: false, reason: 'server_error' }));
+    }
+    check('The circuit stays closed below the threshold', getCircuitState('breaker').state === 'closed');
+    await quietly(() => recordRequestResult('breaker', 'm', { success: false, reason: 'timeout' }));
+    check('Failures other than 429/5xx do not count', getCircuitState('breaker').state === 'closed');
+    await quietly(() => recordRequestResult('breaker', 'm', { success: false, reason: 'rate_limited' }));
+    check('Repeated 429/5xx responses open the circuit', getCircuitState('breaker').state === 'open' && await slotError('breaker', 'other') === 'circuit_open');
+
+    const cooldown = CIRCUIT_BREAKER_CONFIG.cooldownMs;
+    await later(cooldown + 1000, async () => {
+      check('After the cool-down the circuit is half open', getCircuitState('breaker').state === 'half_open' && await slotError('breaker', 'm') === null);
+      await quietly(() => recordRequestResult('breaker', 'm', { success: false, reason: 'server_error' }));
+      check('A failed trial reopens it with a longer cool-down', getCircuitState('breaker').state === 'open' && getCircuitState('breaker').cooldownMs === cooldown * 2);
+    });
+    await quietly(() => recordRequestResult('breaker', 'm', { success: true }));
+    check('A success closes the circuit', getCircuitState('breaker').state === 'closed');
+
+    // The fallback chain skips a provider with an open circuit
+    for (let i = 0; i < CIRCUIT_BREAKER_CONFIG.failureThreshold; i++) {
+      await quietly(() => requestWithFallback('chat', [{ role: 'user', content: 'halo' }]));
+    }
+    const brokenRequests = server.requests.filter(request => request.body.model === 'broken-model').length;
+    const result = await quietly(() => requestWithFallback('chat', [{ role: 'user', content: 'halo' }]));
+    check('A provider with an open circuit is skipped without a request', result.provider === 'steady' &&
+      result.attempts[0]?.reason === 'circuit_open' &&
+      server.requests.filter(request => request.body.model === 'broken-model').length === brokenRequests);
+
+    // Resetting lifts the bot-wide block as well
+    db.data.state.rateLimitInfo = { isLimited: true, resetTime: new Date(Date.now() + 3600000).toISOString() };
+    check('Resetting a provider closes its circuit', await quietly(() => resetProviderLimits('flaky')) && getCircuitState('flaky').state === 'closed');
+    check('Resetting a provider lifts the daily block on replies', !db.data.state.rateLimitInfo);
+    await resetProviderLimits('quota');
+    check('Resetting a provider clears its exhausted flags', await slotError('quota', 'big-model') === null);
+
+    db.data.state.rateLimitInfo = { isLimited: true, resetTime: new Date(Date.now() + 3600000).toISOString() };
+    const changed = await setRateLimits(db, 'bucket', { requestsPerMinute: 30 });
+    check('Changing limits lifts the daily block on replies', changed.success && !db.data.state.rateLimitInfo);
+    check('Changing limits refills the bucket', await slotError('bucket', 'm') === null);
+  } finally {
+    await server.close();
+    cleanup();
+  }
+
+  finish();
+}
+
+// Run the test
+testRateLimits();
@@ -0,0 +1,135 @@
+// Test reaction responses and reaction feedback on bot messages
+import axios from 'axios';
+import { createChecker, createMockDb, setupTestDatabase, quietly } from './test-helpers.js';
+import {
+  normalizeReactionEmoji,
+  classifyReaction,
+  resolveResponseAction,
+  sendReaction,
+  recordReaction,
+  getFeedbackSummary
+} from './src/services/reactionService.js';
+import { shouldRespondToMessageEnhanced } from './src/services/responseDeterminationService.js';
+
+function createTestDb() {
+  return createMockDb({
+    config: { botName: 'Qi' },
+    conversations: {
+      '120363@g.us': {
+        participants: { '628111@s.whatsapp.net': { name: 'Budi' } },
+        messages: [
+          { id: 'BOT1', role: 'assistant', content: 'Rapatnya jam 7 malam ya', timestamp: '2026-10-19T10:00:00.000Z' },
+          { id: 'USER1', role: 'user', content: 'oke makasih', timestamp: '2026-10-19T10:01:00.000Z' }
+        ]
+      }
+    },
+    participantsRegistry: { '628222@s.whatsapp.net': { name: 'Sari' } }
+  });
+}
+
+const reactionEvent = (messageId, reactor, text, extraKey = {}) => ({
+  key: { remoteJid: '120363@g.us', id: messageId, ...extraKey },
+  reaction: {
+    key: { remoteJid: '120363@g.us', participant: reactor, fromMe: false },
+    text,
+    senderTimestampMs: Date.now()
+  }
+});
+
+// Response determination with a Gemini answer that picks a reaction
+async function testDisabledReactions(check) {
+  const { db, cleanup } = await setupTestDatabase({ geminiApiKey: 'test-key', reactionResponsesEnabled: false });
+  const post = axios.post;
+  const prompts = [];
+  axios.post = async (url, data) => {
+    prompts.push(data.contents.map(content => content.parts.map(part => part.text).join('')).join('\n'));
+    const answer = { action: 'react', reaction: '😂', shouldRespond: false, confidence: 0.9, reason: 'joke' };
+    return { status: 200, data: { candidates: [{ content: { parts: [{ text: JSON.stringify(answer) }] } }] } };
+  };
+
+  try {
+    const message = { key: { remoteJid: '628111@s.whatsapp.net', id: 'M1' }, message: { conversation: 'wkwk lucu banget' } };
+    const result = await quietly(() => shouldRespondToMessageEnhanced(message, 'wkwk lucu banget', false, false, 'Qi'));
+    check('Without reaction responses the prompt does not offer "react"', prompts.length === 1 && !prompts[0].includes('"react"'));
+    check('Without reaction responses a "react" answer becomes a reply', result.shouldRespond && result.action === 'respond' && !result.reaction);
+
+    db.data.config.reactionResponsesEnabled = true;
+    const reacting = await quietly(() => shouldRespondToMessageEnhanced(message, 'wkwk lucu banget', false, false, 'Qi'));
+    check('With reaction responses the prompt offers "react"', prompts[1].includes('"react"') && reacting.action === 'react' && reacting.reaction === '😂');
+  } finally {
+    axios.post = post;
+    cleanup();
+  }
+}
+
+async function testReactions() {
+  const { check, finish } = createChecker('Reactions', 'reaction');
+
+  // Response actions
+  check('React action keeps its emoji', JSON.stringify(resolveResponseAction({ action: 'react', reaction: '😂', shouldRespond: false })) === JSON.stringify({ action: 'react', reaction: '😂' }));
+  check('Missing action falls back to shouldRespond', resolveResponseAction({ shouldRespond: true }).action === 'respond');
+  check('Unknown action falls back to ignore', resolveResponseAction({ action: 'wave', shouldRespond: false }).action === 'ignore');
+  check('Reaction is dropped unless reacting', resolveResponseAction({ action: 'respond', reaction: '👍' }).reaction === null);
+  check('Words are not reactions', normalizeReactionEmoji('thumbs up') === '👍');
+  check('Missing reaction defaults to 👍', normalizeReactionEmoji(null) === '👍');
+  check('Emoji with variation selector is kept', normalizeReactionEmoji(' ❤️ ') === '❤️');
+  await testDisabledReactions(check);
+
+  // Sentiment
+  check('❤️ is positive', classifyReaction('❤️') === 'positive');
+  check('Skin tones are ignored', classifyReaction('👍🏽') === 'positive');
+  check('👎 is negative', classifyReaction('👎') === 'negative');
+  check('😮 is neutral', classifyReaction('😮') === 'neutral');
+
+  // Sending
+  const sent = [];
+  const sock = { user: { id: '628999:3@s.whatsapp.net' }, sendMessage: async (jid, content) => sent.push({ jid, content }) };
+  const target = { key: { remoteJid: '120363@g.us', id: 'USER1', participant: '628111@s.whatsapp.net' } };
+  check('Reaction is sent', await sendReaction(sock, target, '🔥'));
+  check('Reaction targets the message key', sent[0].jid === '120363@g.us' && sent[0].content.react.text === '🔥' && sent[0].content.react.key === target.key);
+  const failingSock = { sendMessage: async () => { throw new Error('offline'); } };
+  check('Failed reaction reports false', (await sendReaction(failingSock, target, '👍')) === false);
+
+  // Recording feedback
+  const db = createTestDb();
+  const first = await recordReaction(db, reactionEvent('BOT1', '628111@s.whatsapp.net', '👍'), sock);
+  const entry = db.data.messageFeedback['120363@g.us:BOT1'];
+  check('Reaction on a bot message is stored', first.success && entry.reactions['628111@s.whatsapp.net'].emoji === '👍');
+  check('Reactor name comes from the chat participants', entry.reactions['628111@s.whatsapp.net'].name === 'Budi');
+  check('Bot message content is kept with the feedback', entry.content === 'Rapatnya jam 7 malam ya');
+
+  await recordReaction(db, reactionEvent('BOT1', '628111@s.whatsapp.net', '👎'), sock);
+  check('Changed reaction replaces the previous one', Object.keys(entry.reactions).length === 1 && entry.reactions['628111@s.whatsapp.net'].sentiment === 'negative');
+
+  await recordReaction(db, reactionEvent('BOT1', '628222@s.whatsapp.net', '😂'), sock);
+  check('Reactor name falls back to the registry', entry.reactions['628222@s.whatsapp.net'].name === 'Sari');
+
+  const onUser = await recordReaction(db, reactionEvent('USER1', '628222@s.whatsapp.net', '👍'), sock);
+  check('Reactions on user messages are ignored', !onUser.success && !db.data.messageFeedback['120363@g.us:USER1']);
+
+  const unstored = await recordReaction(db, reactionEvent('OLD1', '628111@s.whatsapp.net', '❤️', { participant: '628999@s.whatsapp.net' }), sock);
+  check('Unstored bot messages are recognized by sender', unstored.success && db.data.messageFeedback['120363@g.us:OLD1'].content === '');
+
+  const own = reactionEvent('BOT1', '628999@s.whatsapp.net', '🔥');
+  own.reaction.key.fromMe = true;
+  check('The bot\'s own reactions are ignored', !(await recordReaction(db, own, sock)).success);
+
+  await recordReaction(db, reactionEvent('OLD1', '628111@s.whatsapp.net', '', { participant: '628999@s.whatsapp.net' }), sock);
+  check('Removing the last reaction removes the entry', !db.data.messageFeedback['120363@g.us:OLD1']);
+
+  // Summary
+  const summary = getFeedbackSummary(db, { chatId: '120363@g.us' });
+  check('Summary counts messages and reactions', summary.messages === 1 && summary.reactions === 2);
+  check('Summary counts sentiment', summary.positive === 1 && summary.negative === 1 && summary.neutral === 0);
+  check('Summary counts emojis', summary.emojiCounts['👎'] === 1 && summary.emojiCounts['😂'] === 1);
+  check('Summary is limited to the chat', getFeedbackSummary(db, { chatId: 'other@g.us' }).messages === 0);
+
+  db.data.messageFeedback['120363@g.us:BOT1'].updatedAt = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+  check('Summary is limited to the window', getFeedbackSummary(db, { days: 7 }).messages === 0 && getFeedbackSummary(db, { days: 30 }).messages === 1);
+  check('Every change is written', db.writes === 5);
+
+  finish();
+}
+
+// Run the test
+testReactions();
@@ -0,0 +1,82 @@
+// Test recap message selection and chunking
+import { createChecker } from './test-helpers.js';
+import {
+  DEFAULT_RECAP_MESSAGES,
+  MAX_RECAP_MESSAGES,
+  isRecapRequest,
+  parseRecapArgs,
+  getLastSeenAt,
+  selectRecapMessages,
+  formatRecapLines,
+  chunkLines
+} from './src/utils/recapUtils.js';
+
+// Local time, so the expectations hold in any timezone
+const at = (hour, minute = 0) => new Date(2026, 9, 19, hour, minute).toISOString();
+
+function testRecap() {
+  const { check, finish } = createChecker('Recaps', 'recap');
+
+  // Natural-language requests
+  check('"aku ketinggalan apa?" is a recap request', isRecapRequest('@Qi aku ketinggalan apa?'));
+  check('"what did I miss" is a recap request', isRecapRequest('what did I miss guys'));
+  check('"tadi bahas apa aja" is a recap request', isRecapRequest('qi tadi bahas apa aja sih'));
+  check('"rangkumin obrolan" is a recap request', isRecapRequest('rangkumin obrolan dong'));
+  check('Ordinary questions are not recap requests', !isRecapRequest('qi kamu lagi apa?'));
+
+  // Arguments
+  const now = new Date(2026, 9, 19, 15, 0).getTime();
+  check('No argument means since last seen', parseRecapArgs([], [], now).mode === 'since');
+  check('"last 30" takes a count', parseRecapArgs(['last', '30'], [], now).count === 30);
+  check('"last" needs a sane count', parseRecapArgs(['last', String(MAX_RECAP_MESSAGES + 1)], [], now).error !== undefined);
+  check('"3 jam" is a duration', parseRecapArgs(['3', 'jam'], [], now).since === now - 3 * 60 * 60 * 1000);
+  check('"2h" is a duration', parseRecapArgs(['2h'], [], now).since === now - 2 * 60 * 60 * 1000);
+  check('"1 hari" is a duration', parseRecapArgs(['1', 'hari'], [], now).mode === 'duration');
+  const byUser = parseRecapArgs(['@628222'], ['628111@s.whatsapp.net', '628222@s.whatsapp.net'], now);
+  check('"@user" picks the matching mention', byUser.mode === 'user' && byUser.userId === '628222@s.whatsapp.net');
+  check('"@user" without a mention is an error', parseRecapArgs(['@budi'], [], now).error !== undefined);
+  check('Unknown arguments explain the usage', parseRecapArgs(['kemarin'], [], now).error.includes('!recap'));
+
+  // Conversation
+  const budi = '628111@s.whatsapp.net';
+  const sari = '628222@s.whatsapp.net';
+  const messages = [
+    { id: 'm1', sender: budi, name: 'Budi', role: 'user', content: 'pagi semua', timestamp: at(8) },
+    { id: 'm2', sender: sari, name: 'Sari', role: 'user', content: 'besok rapat jam 7 ya', timestamp: at(9) },
+    { id: 'm3', sender: sari, name: 'Sari', role: 'user', content: '!help', timestamp: at(9, 5) },
+    { id: 'm4', sender: 'bot', role: 'assistant', content: 'siap, nanti aku ingetin', timestamp: at(9, 6) },
+    { id: 'm5', sender: sari, name: 'Sari', role: 'user', content: 'salah kirim', timestamp: at(9, 10), deletedAt: at(9, 11) },
+    { id: 'm6', sender: sari, name: 'Sari', role: 'user', content: 'tempatnya\ndi kafe biasa', timestamp: at(10) },
+    { id: 'm7', sender: budi, name: 'Budi', role: 'user', content: 'aku ketinggalan apa?', timestamp: at(14) }
+  ];
+  const conversation = { messages, participants: { [budi]: { lastActive: at(14) }, 'new@s.whatsapp.net': { lastActive: at(9) } } };
+
+  const lastSeen = getLastSeenAt(conversation, budi, 'm7');
+  check('Last seen ignores the request itself', lastSeen === new Date(at(8)).getTime());
+  check('Last seen falls back to participant activity', getLastSeenAt(conversation, 'new@s.whatsapp.net') === new Date(at(9)).getTime());
+  check('Last seen is null for strangers', getLastSeenAt(conversation, 'x@s.whatsapp.net') === null);
+
+  const since = selectRecapMessages(messages, { lastSeenAt: lastSeen, excludeMessageId: 'm7' });
+  check('Since-last-seen skips commands, deleted messages and the request', since.map(msg => msg.id).join() === 'm2,m4,m6');
+  check('Strangers get the latest messages', selectRecapMessages(messages, { lastSeenAt: null }).length === 5);
+  check('"last N" takes the newest messages', selectRecapMessages(messages, { mode: 'last', count: 2 }).map(msg => msg.id).join() === 'm6,m7');
+  check('"@user" keeps only their messages', selectRecapMessages(messages, { mode: 'user', userId: sari }).every(msg => msg.sender === sari));
+  check('Durations cut by time', selectRecapMessages(messages, { mode: 'duration', since: new Date(at(9, 30)).getTime() }).length === 2);
+  check('Default window is bounded', DEFAULT_RECAP_MESSAGES > 0);
+
+  // Formatting and chunking
+  const lines = formatRecapLines(since, 'Qi');
+  check('Lines show time and name', lines[0] === '[09:00] Sari: besok rapat jam 7 ya');
+  check('Bot messages use the bot name', lines[1].startsWith('[09:06] Qi:'));
+  check('Line breaks are flattened', lines[2].endsWith('tempatnya di kafe biasa'));
+
+  const chunks = chunkLines(['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)], 100);
+  check('Lines are packed into chunks', chunks.length === 2 && chunks[0].split('\n').length === 2);
+  check('Overlong lines are cut', chunkLines(['x'.repeat(300)], 100)[0].length === 100);
+  check('No lines means no chunks', chunkLines([], 100).length === 0);
+
+  finish();
+}
+
+// Run the test
+testRecap();
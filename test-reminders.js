@@ -0,0 +1,126 @@
+// Test reminder parsing, storage and delivery
+import { createChecker, createMockDb } from './test-helpers.js';
+import { parseReminder, getNextOccurrence, formatReminderTime, formatRecurrence, parseZonedTimestamp } from './src/utils/reminderParser.js';
+import {
+  addReminder,
+  createReminder,
+  listReminders,
+  cancelReminder,
+  buildReminderMessage,
+  deliverDueReminders
+} from './src/services/reminderService.js';
+
+function createTestDb() {
+  return createMockDb({ reminders: {} });
+}
+
+// Times in Asia/Jakarta (UTC+7, the default reminder timezone), whatever timezone the tests run in
+const at = (month, day, hour, minute = 0) => Date.UTC(2026, month - 1, day, hour - 7, minute);
+
+async function testReminders() {
+  const { check, finish } = createChecker('Reminders', 'reminder');
+
+  // Monday 19 October 2026, 15:00
+  const now = new Date(at(10, 19, 15));
+  const parse = (text) => parseReminder(text, now);
+
+  // Indonesian
+  let parsed = parse('ingetin aku besok jam 7 buat meeting');
+  check('"besok jam 7" is tomorrow 07:00', parsed.dueAt.getTime() === at(10, 20, 7) && parsed.message === 'meeting');
+  parsed = parse('ingatkan saya 2 jam lagi untuk angkat jemuran');
+  check('"2 jam lagi" is relative', parsed.dueAt.getTime() === at(10, 19, 17) && parsed.message === 'angkat jemuran');
+  check('"sejam lagi" is an hour', parse('sejam lagi cek oven').dueAt.getTime() === at(10, 19, 16));
+  check('"jam 7" in the afternoon means 19:00', parse('jam 7 makan malam').dueAt.getTime() === at(10, 19, 19));
+  check('"jam 07" is taken literally', parse('jam 07 sarapan').dueAt.getTime() === at(10, 20, 7));
+  check('"jam setengah 8 malam" is 19:30', parse('jam setengah 8 malam nonton').dueAt.getTime() === at(10, 19, 19, 30));
+  check('"nanti malam" is tonight', parse('nanti malam telpon ibu ya').dueAt.getTime() === at(10, 19, 19));
+  check('"jam 19.30" keeps minutes', parse('jam 19.30, rapat RT').message === 'rapat RT');
+  check('"lusa pagi" is the day after tomorrow', parse('lusa pagi ke dokter').dueAt.getTime() === at(10, 21, 8));
+  check('"hari minggu" is Sunday', parse('hari minggu jam 10 gereja').dueAt.getTime() === at(10, 25, 10));
+  check('"minggu depan" is next week', parse('minggu depan bayar kos').dueAt.getTime() === at(10, 26, 9));
+  check('"25 desember" is a date', parse('25 desember jam 9 natalan').dueAt.getTime() === at(12, 25, 9));
+  check('"tanggal 1" is next month when past', parse('tanggal 1 bayar listrik').dueAt.getTime() === at(11, 1, 9));
+  check('Past dates without a year roll over', parse('1/3 ulang tahun').dueAt.getFullYear() === 2027);
+
+  // English
+  parsed = parse('remind me to call mom in 10 minutes');
+  check('"in 10 minutes" is relative', parsed.dueAt.getTime() === at(10, 19, 15, 10) && parsed.message === 'call mom');
+  parsed = parse('remind me tomorrow at 7pm to pay rent');
+  check('"tomorrow at 7pm" is parsed', parsed.dueAt.getTime() === at(10, 20, 19) && parsed.message === 'pay rent');
+  check('"in half an hour" is 30 minutes', parse('in half an hour check laundry').dueAt.getTime() === at(10, 19, 15, 30));
+
+  // Recurring
+  parsed = parse('tiap senin jam 8 pagi standup');
+  check('"tiap senin" is weekly on Monday', parsed.recurrence?.type === 'weekly' && parsed.dueAt.getTime() === at(10, 26, 8) && parsed.message === 'standup');
+  parsed = parse('setiap hari jam 7 minum obat');
+  check('"setiap hari" is daily at the time as written', parsed.recurrence?.type === 'daily' && parsed.dueAt.getTime() === at(10, 20, 7));
+  check('"setiap minggu" is every week', parse('setiap minggu bersih-bersih').recurrence?.type === 'weekly');
+  check('"every friday at 5pm" is weekly', parse('every friday at 5pm submit report').dueAt.getTime() === at(10, 23, 17));
+  check('Next occurrence skips missed days', getNextOccurrence(new Date(at(10, 16, 7)), { type: 'daily' }, now).getTime() === at(10, 20, 7));
+  check('Weekly occurrence moves a week', getNextOccurrence(new Date(at(10, 19, 8)), { type: 'weekly' }, now).getTime() === at(10, 26, 8));
+
+  check('Text without a time is not a reminder', parse('halo apa kabar') === null);
+  check('Tomorrow is shown as besok', formatReminderTime(new Date(at(10, 20, 7)), now) === 'besok 07.00');
+  check('Later days show the weekday', formatReminderTime(new Date(at(10, 26, 8)), now) === 'Senin, 26 Okt 08.00');
+  check('Weekly reminders name their day', formatRecurrence({ type: 'weekly' }, new Date(at(10, 26, 0, 30))) === 'setiap Senin');
+
+  // Timezones: the configured zone decides, not the server's
+  const london = parseReminder('besok jam 7 meeting', now, 'Europe/London');
+  check('Times are read in the given zone', london.dueAt.toISOString() === '2026-10-20T06:00:00.000Z');
+  check('Times are shown in the given zone', formatReminderTime(london.dueAt, now, 'Europe/London') === 'besok 07.00');
+  check('Daily reminders keep their clock time across DST', getNextOccurrence(new Date('2026-10-24T06:00:00Z'), { type: 'daily' }, new Date('2026-10-24T12:00:00Z'), 'Europe/London').toISOString() === '2026-10-25T07:00:00.000Z');
+  check('ISO times without an offset are in the reminder zone', parseZonedTimestamp('2026-10-20T19:00').getTime() === at(10, 20, 19));
+  check('ISO times with an offset are kept', parseZonedTimestamp('2026-10-20T19:00:00Z').toISOString() === '2026-10-20T19:00:00.000Z');
+  check('ISO offsets are applied', parseZonedTimestamp('2026-10-20T19:00+02:00').toISOString() === '2026-10-20T17:00:00.000Z');
+  check('Other text is not a timestamp', parseZonedTimestamp('besok jam 7') === null);
+
+  // Storage
+  const db = createTestDb();
+  const chatId = '120363@g.us';
+  const created = await createReminder(db, { chatId, createdBy: '628111@s.whatsapp.net', creatorName: 'Budi', text: 'besok jam 7 meeting', mentions: ['628222@s.whatsapp.net', '628111@s.whatsapp.net'] }, now);
+  check('Reminder is stored', created.success && db.data.reminders[created.reminder.id]?.message === 'meeting');
+  check('Confirmation says when', created.message.includes('besok 07.00: meeting'));
+  check('The creator is not duplicated in mentions', created.reminder.mentions.join() === '628222@s.whatsapp.net');
+  check('Unparseable requests explain the format', !(await createReminder(db, { chatId, createdBy: '628111@s.whatsapp.net', text: 'meeting' }, now)).success);
+  check('Past times are rejected', !(await addReminder(db, { chatId, createdBy: '628111@s.whatsapp.net', dueAt: new Date(at(10, 19, 14)) }, now)).success);
+
+  await createReminder(db, { chatId, createdBy: '628222@s.whatsapp.net', creatorName: 'Sari', text: '10 menit lagi angkat jemuran' }, now);
+  await createReminder(db, { chatId: 'other@s.whatsapp.net', createdBy: '628333@s.whatsapp.net', text: 'tiap hari jam 6 olahraga' }, now);
+  const list = listReminders(db, chatId);
+  check('Reminders are listed per chat, soonest first', list.length === 2 && list[0].creatorName === 'Sari');
+
+  const denied = await cancelReminder(db, chatId, '1', { userId: '628111@s.whatsapp.net' });
+  check('Other people\'s reminders need a moderator', !denied.success && denied.message.includes('Sari'));
+  check('Cancelling by list number works', (await cancelReminder(db, chatId, '1', { userId: '628111@s.whatsapp.net', canCancelOthers: true })).success);
+  check('Unknown reminders are reported', !(await cancelReminder(db, chatId, '5', { userId: '628111@s.whatsapp.net' })).success);
+
+  // Delivery
+  const message = buildReminderMessage(created.reminder, new Date(at(10, 20, 7)));
+  check('Delivery mentions the creator and tagged people', message.text.startsWith('⏰ *Pengingat* @628111 @628222') && message.mentions.length === 2);
+  check('Late delivery is noted', buildReminderMessage(created.reminder, new Date(at(10, 20, 9))).text.includes('terlambat'));
+
+  const sent = [];
+  const sock = { sendMessage: async (jid, content) => sent.push({ jid, content }) };
+  check('Nothing is sent early', (await deliverDueReminders(sock, db, now)) === 0 && sent.length === 0);
+
+  const later = new Date(at(10, 20, 7, 1));
+  check('Due reminders are delivered', (await deliverDueReminders(sock, db, later)) === 2);
+  check('Delivery goes to the original chat', sent.some(entry => entry.jid === chatId && entry.content.mentions.includes('628111@s.whatsapp.net')));
+  check('One-off reminders are removed after delivery', listReminders(db, chatId).length === 0);
+  const daily = listReminders(db, 'other@s.whatsapp.net')[0];
+  check('Recurring reminders are rescheduled', daily.dueAt === new Date(at(10, 21, 6)).toISOString() && daily.deliveredCount === 1);
+
+  const failingSock = { sendMessage: async () => { throw new Error('offline'); } };
+  await addReminder(db, { chatId, createdBy: '628111@s.whatsapp.net', message: 'coba', dueAt: new Date(at(10, 20, 8)) }, later);
+  const failNow = new Date(at(10, 20, 8, 1));
+  await deliverDueReminders(failingSock, db, failNow);
+  check('Failed delivery is retried', listReminders(db, chatId)[0]?.failedAttempts === 1);
+  await deliverDueReminders(failingSock, db, failNow);
+  await deliverDueReminders(failingSock, db, failNow);
+  check('Reminder is dropped after repeated failures', listReminders(db, chatId).length === 0);
+
+  finish();
+}
+
+// Run the test
+testReminders();
@@ -0,0 +1,77 @@
+// Test voice note transcription: request format, usage accounting and rate limits
+import axios from 'axios';
+import { createChecker, setupTestDatabase, startMockProvider, sendJson, quietly } from './test-helpers.js';
+import { transcribeAudio } from './src/services/speechService.js';
+import { getUsageDate } from './src/services/usageService.js';
+import { CIRCUIT_BREAKER_CONFIG, recordRequestResult } from './src/services/rateLimitService.js';
+
+const chatId = '120363@g.us';
+const userId = '628111@s.whatsapp.net';
+const audio = Buffer.from('OggS voice note');
+
+async function testSpeech() {
+  const { check, finish } = createChecker('Speech To Text', 'speech');
+  const server = await startMockProvider((request, res) => sendJson(res, 200, { text: ' halo semuanya ' }));
+  const { db, cleanup } = await setupTestDatabase({
+    geminiApiKey: 'secret-key',
+    speech: { provider: 'gemini', model: 'gemini-2.0-flash' },
+    customProviders: { stt: { baseUrl: server.baseUrl, model: 'whisper-large' } }
+  });
+
+  const post = axios.post;
+  const sent = [];
+  axios.post = async (url, data, options) => {
+    if (!url.includes('generativelanguage.googleapis.com')) {
+      return post(url, data, options);
+    }
+    sent.push({ url, options });
+    return {
+      data: {
+        candidates: [{ content: { parts: [{ text: 'besok kita rapat' }] } }],
+        usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 6 }
+      }
+    };
+  };
+
+  try {
+    // Gemini
+    const result = await transcribeAudio(audio, 'audio/ogg; codecs=opus', db.data.config, { chatId, userId });
+    check('A voice note is transcribed with Gemini', result.success && result.text === 'besok kita rapat' && result.model === 'gemini/gemini-2.0-flash');
+    check('The Gemini API key is sent in a header, not the URL', !sent[0].url.includes('secret-key') &&
+      sent[0].options.headers['x-goog-api-key'] === 'secret-key');
+
+    const day = db.data.usageStats[getUsageDate()];
+    check('Transcriptions are counted as their own purpose', day.purposes.transcription?.requests === 1);
+    check('The token counts reported by Gemini are used', day.models['gemini/gemini-2.0-flash']?.promptTokens === 120 &&
+      day.models['gemini/gemini-2.0-flash'].completionTokens === 6);
+    check('Usage is counted for the chat and the speaker', day.chats[chatId]?.requests === 1 && day.users[userId]?.requests === 1);
+
+    // An open circuit stops transcription requests
+    for (let i = 0; i < CIRCUIT_BREAKER_CONFIG.failureThreshold; i++) {
+      await quietly(() => recordRequestResult('gemini', 'gemini-2.0-flash', { success: false, reason: 'server_error' }));
+    }
+    const blocked = await quietly(() => transcribeAudio(audio, 'audio/ogg', db.data.config, { chatId, userId }));
+    check('Rate limits apply to transcriptions', !blocked.success && sent.length === 1);
+
+    // OpenAI-compatible provider
+    db.data.config.speech = { provider: 'stt', model: 'whisper-large' };
+    const whisper = await transcribeAudio(audio, 'audio/ogg', db.data.config, { chatId, userId });
+    check('A voice note is transcribed by an OpenAI-compatible provider', whisper.success && whisper.text === 'halo semuanya' &&
+      server.requests[0].url === '/v1/audio/transcriptions');
+    check('Usage without token counts is estimated from the transcript', day.models['stt/whisper-large']?.requests === 1 &&
+      day.models['stt/whisper-large'].completionTokens > 0);
+
+    db.data.config.speech = { provider: 'none' };
+    const disabled = await transcribeAudio(audio, 'audio/ogg', db.data.config);
+    check('Nothing is sent when transcription is disabled', !disabled.success && server.requests.length === 1);
+  } finally {
+    axios.post = post;
+    await server.close();
+    cleanup();
+  }
+
+  finish();
+}
+
+// Run the test
+testSpeech();
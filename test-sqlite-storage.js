@@ -0,0 +1,117 @@
+// Test the SQLite storage backend: reading back what was written, and writing only changed rows
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createChecker } from './test-helpers.js';
+import { createSqliteStorage } from './src/database/sqliteStorage.js';
+import { runMigrations } from './src/database/migrations.js';
+
+const defaults = {
+  config: { botName: 'Qi' },
+  conversations: {},
+  contextMemory: [],
+  userFacts: {},
+  reminders: {},
+  vectorIndex: { entries: {} }
+};
+
+async function open(file) {
+  const storage = await createSqliteStorage(file, defaults);
+  await storage.read();
+  return storage;
+}
+
+// JSON.stringify calls made while writing, i.e. rows serialized
+async function countSerializedRows(storage) {
+  const stringify = JSON.stringify;
+  let calls = 0;
+  JSON.stringify = (...args) => {
+    calls++;
+    return stringify(...args);
+  };
+  try {
+    await storage.write();
+  } finally {
+    JSON.stringify = stringify;
+  }
+  return calls;
+}
+
+async function testSqliteStorage() {
+  const { check, finish } = createChecker('SQLite Storage', 'SQLite storage');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qi-sqlite-'));
+  const file = path.join(dir, 'db.sqlite');
+
+  try {
+    // A new database starts from the defaults
+    let db = await open(file);
+    check('New database starts from the defaults', db.data.config.botName === 'Qi' && Array.isArray(db.data.contextMemory));
+    await db.write();
+    db.close();
+
+    // Empty collections have no rows, but must come back all the same
+    db = await open(file);
+    check('Empty collections are restored after a reopen', db.data.conversations && db.data.userFacts && db.data.reminders &&
+      Array.isArray(db.data.contextMemory) && db.data.vectorIndex.entries);
+
+    // Writing and reading back
+    db.data.conversations['120363@g.us'] = { chatName: 'Geng Kantor', messages: [] };
+    db.data.contextMemory.push({ id: 'm1', chatId: '120363@g.us', content: 'halo' });
+    db.data.vectorIndex.entries['message:m1'] = { type: 'message', vector: [0.1, 0.2] };
+    db.data.config.botName = 'Qiqi';
+    await db.write();
+
+    // A reference kept across a write still gets its later changes written
+    const conversation = db.data.conversations['120363@g.us'];
+    await db.write();
+    conversation.messages.push({ id: 'm2', content: 'rapat jam 7' });
+    await db.write();
+    db.close();
+
+    db = await open(file);
+    check('Rows, list elements and documents are read back', db.data.conversations['120363@g.us']?.chatName === 'Geng Kantor' &&
+      db.data.contextMemory[0]?.content === 'halo' && db.data.config.botName === 'Qiqi');
+    check('Nested collections are read back', db.data.vectorIndex.entries['message:m1']?.vector.length === 2);
+    check('Changes through a kept reference are written', db.data.conversations['120363@g.us'].messages[0]?.id === 'm2');
+
+    // Deleting and replacing
+    delete db.data.conversations['120363@g.us'];
+    db.data.contextMemory = db.data.contextMemory.filter(msg => msg.id !== 'm1');
+    db.data.vectorIndex.entries = {};
+    await db.write();
+    db.close();
+
+    db = await open(file);
+    check('Deleted rows stay deleted', !db.data.conversations['120363@g.us']);
+    check('Replaced collections are written in full', db.data.contextMemory.length === 0 && Object.keys(db.data.vectorIndex.entries).length === 0);
+
+    // Only touched rows are serialized
+    for (let i = 0; i < 300; i++) {
+      db.data.userFacts[`628${i}@s.whatsapp.net`] = { facts: { hobby: { value: `hobi ${i}` } } };
+    }
+    await db.write();
+    db.close();
+
+    db = await open(file);
+    check('Untouched rows are not serialized again', await countSerializedRows(db) < 5);
+    db.data.userFacts['6287@s.whatsapp.net'].facts.hobby.value = 'main gitar';
+    check('A change serializes only the touched row', await countSerializedRows(db) < 5);
+    db.close();
+
+    db = await open(file);
+    check('The changed row is read back', db.data.userFacts['6287@s.whatsapp.net'].facts.hobby.value === 'main gitar' &&
+      Object.keys(db.data.userFacts).length === 300);
+
+    // Services can copy the tracked data
+    const preview = runMigrations(db.data, defaults, { dryRun: true });
+    check('Dry-run migrations work on tracked data', preview.success && db.data.schemaVersion === undefined);
+    db.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  finish();
+}
+
+// Run the test
+testSqliteStorage();
@@ -0,0 +1,92 @@
+// Test WhatsApp status parsing, expiry and prompt context
+import { createChecker } from './test-helpers.js';
+import {
+  STATUS_TTL_MS,
+  isStatusMessage,
+  extractStatusData,
+  pruneExpiredStatuses,
+  getActiveStatuses,
+  formatStatusContext,
+  isStatusPostDue,
+  getStatusAudience
+} from './src/utils/statusUtils.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function makeStatus(id, type, postedAt, extra = {}) {
+  return {
+    id,
+    type,
+    text: '',
+    description: null,
+    postedAt: new Date(postedAt).toISOString(),
+    expiresAt: new Date(postedAt + STATUS_TTL_MS).toISOString(),
+    ...extra
+  };
+}
+
+function testStatus() {
+  const { check, finish } = createChecker('WhatsApp Statuses', 'status');
+
+  // Reading status messages
+  check('Status broadcast is recognized', isStatusMessage({ key: { remoteJid: 'status@broadcast' } }));
+  check('Private chats are not statuses', !isStatusMessage({ key: { remoteJid: '628111@s.whatsapp.net' } }));
+
+  const textStatus = extractStatusData({ message: { extendedTextMessage: { text: 'Lagi di pantai 🌊' } } });
+  check('Text status is read', textStatus?.type === 'text' && textStatus.text === 'Lagi di pantai 🌊');
+  check('Plain conversation status is read', extractStatusData({ message: { conversation: 'halo' } })?.text === 'halo');
+
+  const imageStatus = extractStatusData({ message: { imageMessage: { caption: 'sunset' } } });
+  check('Image status keeps its caption', imageStatus?.type === 'image' && imageStatus.text === 'sunset');
+  check('Image without caption has empty text', extractStatusData({ message: { imageMessage: {} } })?.text === '');
+  check('Video status is read', extractStatusData({ message: { videoMessage: { caption: 'konser' } } })?.type === 'video');
+  check('Voice statuses are skipped', extractStatusData({ message: { audioMessage: { seconds: 5 } } }) === null);
+  check('Missing content is handled', extractStatusData({ key: {} }) === null);
+
+  // Expiry
+  const now = Date.parse('2026-10-19T12:00:00.000Z');
+  const statuses = {
+    '628111@s.whatsapp.net': [
+      makeStatus('OLD', 'text', now - 30 * HOUR, { text: 'kemarin' }),
+      makeStatus('NEW', 'image', now - 2 * HOUR, { text: 'sunset', description: 'A beach at sunset with two people' }),
+      makeStatus('NEWER', 'text', now - 10 * 60 * 1000, { text: 'otw pulang' })
+    ],
+    '628222@s.whatsapp.net': [makeStatus('GONE', 'text', now - 25 * HOUR)]
+  };
+
+  check('Expired statuses are skipped when reading', getActiveStatuses(statuses, '628111@s.whatsapp.net', now).length === 2);
+  check('Active statuses are newest first', getActiveStatuses(statuses, '628111@s.whatsapp.net', now)[0].id === 'NEWER');
+  check('Unknown contacts have no statuses', getActiveStatuses(statuses, '628333@s.whatsapp.net', now).length === 0);
+
+  const removed = pruneExpiredStatuses(statuses, now);
+  check('Pruning counts removed statuses', removed === 2);
+  check('Pruning keeps active statuses', statuses['628111@s.whatsapp.net'].map(status => status.id).join(',') === 'NEW,NEWER');
+  check('Contacts without statuses are dropped', !('628222@s.whatsapp.net' in statuses));
+  check('Pruning a missing collection is safe', pruneExpiredStatuses(undefined, now) === 0);
+
+  // Prompt context
+  const context = formatStatusContext(getActiveStatuses(statuses, '628111@s.whatsapp.net', now), 'Budi', now);
+  check('Context names the contact', context.startsWith('Budi posted these WhatsApp statuses'));
+  check('Context describes images', context.includes('shows: A beach at sunset with two people') && context.includes('caption: "sunset"'));
+  check('Context includes status text', context.includes('text: "otw pulang"'));
+  check('Context gives the age', context.includes('2 hours ago') && context.includes('10 minutes ago'));
+  check('Context limits mentions', context.includes('at most once'));
+  check('No statuses means no context', formatStatusContext([], 'Budi', now) === null);
+
+  // Posting schedule
+  check('First post is due', isStatusPostDue(null, 24, now));
+  check('Post is not due before the interval', !isStatusPostDue(new Date(now - 5 * HOUR).toISOString(), 24, now));
+  check('Post is due after the interval', isStatusPostDue(new Date(now - 6 * HOUR).toISOString(), 6, now));
+
+  const audience = getStatusAudience({
+    '628111@s.whatsapp.net': {},
+    '120363@g.us': {},
+    '628222@s.whatsapp.net': {}
+  });
+  check('Audience is private chats only', audience.length === 2 && !audience.includes('120363@g.us'));
+
+  finish();
+}
+
+// Run the test
+testStatus();
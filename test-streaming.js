@@ -0,0 +1,147 @@
+// Test streamed responses: reading a provider stream and showing it through throttled message edits
+import { createChecker, setupTestDatabase, startMockProvider, sendJson, chatCompletion, quietly } from './test-helpers.js';
+import { createStreamingMessage } from './src/services/streamingMessageService.js';
+import { requestChat } from './src/services/providerService.js';
+
+const chatId = '628111@s.whatsapp.net';
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Socket that records what would be sent; fails edits when failEdits is set
+function createMockSocket() {
+  let counter = 0;
+  return {
+    sent: [],
+    failEdits: false,
+    async sendMessage(jid, content, options) {
+      if (content.edit && this.failEdits) {
+        throw new Error('edit failed');
+      }
+      this.sent.push({ jid, content, options });
+      return { key: { remoteJid: jid, id: `sent${++counter}`, fromMe: true } };
+    }
+  };
+}
+
+// Answer a mock provider request with server-sent events
+function sendEvents(res, payloads) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const payload of payloads) {
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  }
+  res.end('data: [DONE]\n\n');
+}
+
+async function testStreamingEdits(check) {
+  const options = { firstChunkMinChars: 10, editIntervalMs: 30, maxEdits: 3 };
+
+  // Too short to be worth streaming
+  let sock = createMockSocket();
+  let stream = createStreamingMessage(sock, chatId, options);
+  stream.update('Halo');
+  check('Nothing is sent before the first chunk is long enough', !(await stream.finish('Halo!')) && sock.sent.length === 0);
+
+  // Normal flow
+  sock = createMockSocket();
+  const quoted = { key: { id: 'q1' } };
+  stream = createStreamingMessage(sock, chatId, { ...options, quoted });
+  stream.update('Halo, aku sedang');
+  await sleep(50);
+  check('The first chunk is sent as a reply with a cursor', sock.sent.length === 1 && sock.sent[0].content.text.endsWith('▍') &&
+    sock.sent[0].options?.quoted === quoted);
+
+  stream.update('Halo, aku sedang mengetik');
+  stream.update('Halo, aku sedang mengetik jawaban');
+  stream.update('Halo, aku sedang mengetik jawaban panjang');
+  await sleep(60);
+  check('Rapid updates are combined into one edit', sock.sent.length === 2 &&
+    sock.sent[1].content.text === 'Halo, aku sedang mengetik jawaban panjang ▍' && sock.sent[1].content.edit.id === 'sent1');
+
+  for (let i = 0; i < 5; i++) {
+    stream.update(`Halo, aku sedang mengetik jawaban panjang ${'.'.repeat(i + 1)}`);
+    await sleep(40);
+  }
+  check('Intermediate edits stop at maxEdits', sock.sent.length === 4);
+  check('The final text is always applied', await quietly(() => stream.finish('Halo, ini jawabannya.')) &&
+    sock.sent.at(-1).content.text === 'Halo, ini jawabannya.' && sock.sent.at(-1).content.edit.id === 'sent1' && stream.getKey().id === 'sent1');
+  stream.update('terlambat');
+  await sleep(40);
+  check('Updates after finishing are ignored', sock.sent.length === 5);
+
+  // The final edit fails
+  sock = createMockSocket();
+  stream = createStreamingMessage(sock, chatId, options);
+  stream.update('Sebagian jawaban sudah terlihat');
+  await sleep(50);
+  sock.failEdits = true;
+  const shown = await quietly(() => stream.finish('Jawaban lengkap'));
+  check('A failed final edit sends the answer as a new message', shown && sock.sent.at(-1).content.text === 'Jawaban lengkap' &&
+    !sock.sent.at(-1).content.edit && stream.getKey().id === 'sent2');
+}
+
+async function testProviderStream(check) {
+  const server = await startMockProvider((request, res) => {
+    if (!request.body.stream) {
+      sendJson(res, 200, chatCompletion('Halo, apa kabar?'));
+    } else if (request.body.model === 'error-model') {
+      sendEvents(res, [{ choices: [{ delta: { content: 'Hal' } }] }, { error: { message: 'model overloaded', code: 503 } }]);
+    } else if (request.body.model === 'tool-model') {
+      sendEvents(res, [
+        { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call1', function: { name: 'search_', arguments: '{"query":' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: 'web', arguments: '"cuaca"}' } }] }, finish_reason: 'tool_calls' }] }
+      ]);
+    } else {
+      sendEvents(res, [
+        { choices: [{ delta: { content: '\nHalo' } }] },
+        { choices: [{ delta: { content: ', apa' } }] },
+        { choices: [{ delta: { content: ' kabar?' }, finish_reason: 'stop' }], usage: { prompt_tokens: 7, completion_tokens: 3 } }
+      ]);
+    }
+  });
+  const { cleanup } = await setupTestDatabase({
+    customProviders: { stream: { baseUrl: server.baseUrl, model: 'text-model' } }
+  });
+
+  try {
+    const progress = [];
+    const response = await quietly(() => requestChat({ provider: 'stream' }, [{ role: 'user', content: 'halo' }], {
+      onProgress: text => progress.push(text)
+    }));
+    check('Streaming is requested when progress is wanted', server.requests[0].body.stream === true);
+    check('Progress reports the text so far', progress.join('|') === '\nHalo|\nHalo, apa|\nHalo, apa kabar?');
+    check('The stream is assembled into a normal response', response.choices[0].message.content === '\nHalo, apa kabar?' &&
+      response.choices[0].finish_reason === 'stop' && response.usage.completion_tokens === 3);
+
+    const toolResponse = await quietly(() => requestChat({ provider: 'stream', model: 'tool-model' }, [{ role: 'user', content: 'cuaca?' }], {
+      onProgress: () => {}
+    }));
+    const toolCall = toolResponse.choices[0].message.tool_calls?.[0];
+    check('Tool call fragments are joined', toolCall?.id === 'call1' && toolCall.function.name === 'search_web' &&
+      toolCall.function.arguments === '{"query":"cuaca"}');
+
+    let failure = null;
+    try {
+      await quietly(() => requestChat({ provider: 'stream', model: 'error-model' }, [{ role: 'user', content: 'halo' }], { onProgress: () => {} }));
+    } catch (error) {
+      failure = error;
+    }
+    check('An error inside the stream fails the request', failure?.response?.status === 503);
+
+    await quietly(() => requestChat({ provider: 'stream' }, [{ role: 'user', content: 'halo' }]));
+    check('Without a progress callback the request is not streamed', server.requests.at(-1).body.stream === false);
+  } finally {
+    await server.close();
+    cleanup();
+  }
+}
+
+async function testStreaming() {
+  const { check, finish } = createChecker('Streaming Responses', 'streaming');
+
+  await testStreamingEdits(check);
+  await testProviderStream(check);
+
+  finish();
+}
+
+// Run the test
+testStreaming();
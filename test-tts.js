@@ -0,0 +1,95 @@
+// Test voice replies: request format, usage accounting, rate limits and the chat budget
+import axios from 'axios';
+import { createChecker, setupTestDatabase, startMockProvider, quietly } from './test-helpers.js';
+import { synthesizeSpeech, sendVoiceReply, shouldReplyWithVoice } from './src/services/ttsService.js';
+import { getUsageDate } from './src/services/usageService.js';
+import { setChatOverride } from './src/services/groupConfigService.js';
+import { CIRCUIT_BREAKER_CONFIG, recordRequestResult } from './src/services/rateLimitService.js';
+
+const group = '120363@g.us';
+const userId = '628111@s.whatsapp.net';
+
+// Socket that records what would be sent
+function createMockSocket() {
+  return {
+    sent: [],
+    async sendPresenceUpdate() {},
+    async sendMessage(jid, content, options) {
+      this.sent.push({ jid, content, options });
+      return { key: { remoteJid: jid, id: `sent${this.sent.length}`, fromMe: true } };
+    }
+  };
+}
+
+async function testTts() {
+  const { check, finish } = createChecker('Text To Speech', 'tts');
+  const server = await startMockProvider((request, res) => {
+    res.writeHead(200, { 'Content-Type': 'audio/ogg' });
+    res.end(Buffer.from('OggS voice reply'));
+  });
+  const { db, cleanup } = await setupTestDatabase({
+    geminiApiKey: 'secret-key',
+    tts: { provider: 'speaker', model: 'voice-model', voice: 'alloy' },
+    customProviders: { speaker: { baseUrl: server.baseUrl, model: 'voice-model' } },
+    // Each token costs $1, so one reply uses up a $5 budget
+    modelPrices: { 'voice-model': { input: 1000000, output: 0 } }
+  });
+
+  try {
+    db.data.conversations[group] = { messages: [], participants: {} };
+
+    // OpenAI-compatible provider
+    const speech = await synthesizeSpeech('*Halo* semuanya, apa kabar?', db.data.config, { chatId: group });
+    check('A reply is synthesized by an OpenAI-compatible provider', speech.success && speech.audio.toString() === 'OggS voice reply' &&
+      server.requests[0].url === '/v1/audio/speech' && server.requests[0].body.input === 'Halo semuanya, apa kabar?');
+
+    const day = db.data.usageStats[getUsageDate()];
+    check('Speech is counted as its own purpose', day.purposes.speech?.requests === 1 && day.models['speaker/voice-model']?.promptTokens > 0);
+    check('Speech is counted for the chat', day.chats[group]?.requests === 1 && day.chats[group].cost > 0);
+
+    // The chat budget
+    await setChatOverride(db, group, 'replymode', 'voice');
+    await setChatOverride(db, group, 'budget', '100', { isAdmin: true });
+    check('A chat within its budget gets voice replies', shouldReplyWithVoice(db, group, userId));
+    await setChatOverride(db, group, 'budget', '5', { isAdmin: true });
+    check('A chat over its budget gets text replies', !(await quietly(() => shouldReplyWithVoice(db, group, userId))));
+
+    const sock = createMockSocket();
+    await quietly(() => sendVoiceReply(sock, '120364@g.us', 'Sampai jumpa besok'));
+    check('A voice reply is sent as a voice note', sock.sent[0]?.content.ptt === true && sock.sent[0].content.audio.length > 0);
+    check('A voice reply is counted for its chat', day.chats['120364@g.us']?.requests === 1);
+
+    // An open circuit stops speech requests
+    for (let i = 0; i < CIRCUIT_BREAKER_CONFIG.failureThreshold; i++) {
+      await quietly(() => recordRequestResult('speaker', 'voice-model', { success: false, reason: 'server_error' }));
+    }
+    const requests = server.requests.length;
+    const blocked = await quietly(() => synthesizeSpeech('halo', db.data.config, { chatId: group }));
+    check('Rate limits apply to speech', !blocked.success && server.requests.length === requests);
+
+    // Gemini
+    const post = axios.post;
+    const sent = [];
+    axios.post = async (url, data, options) => {
+      sent.push({ url, options });
+      return { data: { candidates: [{ content: { parts: [{ inlineData: { mimeType: 'audio/L16;rate=24000', data: 'AAAA' } }] } }] } };
+    };
+    try {
+      db.data.config.tts = { provider: 'gemini' };
+      // The result depends on ffmpeg being installed; only the request is checked
+      await quietly(() => synthesizeSpeech('halo', db.data.config));
+      check('The Gemini API key is sent in a header, not the URL', !sent[0].url.includes('secret-key') &&
+        sent[0].options.headers['x-goog-api-key'] === 'secret-key');
+    } finally {
+      axios.post = post;
+    }
+  } finally {
+    await server.close();
+    cleanup();
+  }
+
+  finish();
+}
+
+// Run the test
+testTts();
@@ -0,0 +1,146 @@
+// Test the stored user identity map: linking group and personal IDs, merging and splitting their data
+import { createChecker, createMockDb, quietly } from './test-helpers.js';
+import {
+  attachUserIdentityStore,
+  registerUserIdentity,
+  getUserIdentity,
+  isSameUser,
+  resolveUserId,
+  forgetUserIdentity
+} from './src/utils/messageUtils.js';
+import { mergeLinkedIds, mergeUserIds, splitUserIds } from './src/services/identityService.js';
+
+const personal = '628111@s.whatsapp.net';
+const lid = '275999@lid';
+const group = '120363@g.us';
+
+function groupMessage(participant, extraKey = {}) {
+  return { key: { remoteJid: group, participant, id: `g${Math.random()}`, ...extraKey }, pushName: 'Budi' };
+}
+
+function createTestDb() {
+  return createMockDb({
+    userIdentities: {},
+    userFacts: {
+      [personal]: {
+        facts: {
+          hobby: { value: 'main gitar', confidence: 0.7, occurrences: 2, lastUpdated: '2026-10-01T00:00:00.000Z' },
+          location: { value: 'Bandung', confidence: 0.9, lastUpdated: '2026-09-01T00:00:00.000Z' }
+        },
+        factHistory: [{ fact: 'hobby', newValue: 'main gitar', timestamp: '2026-10-01T00:00:00.000Z' }]
+      },
+      [lid]: {
+        facts: {
+          hobby: { value: 'main gitar', confidence: 0.9, occurrences: 1, lastUpdated: '2026-10-10T00:00:00.000Z' },
+          location: { value: 'Jakarta', confidence: 0.8, lastUpdated: '2026-10-15T00:00:00.000Z' },
+          pet: { value: 'kucing', confidence: 0.8, lastUpdated: '2026-10-12T00:00:00.000Z' }
+        },
+        factHistory: [{ fact: 'pet', newValue: 'kucing', timestamp: '2026-10-12T00:00:00.000Z' }]
+      }
+    },
+    factRelationships: {
+      [`${lid}:hobby:pet`]: { userId: lid, fact1: 'hobby', fact2: 'pet' }
+    },
+    vectorIndex: {
+      entries: {
+        [`fact:${lid}:pet`]: { type: 'fact', sourceId: `${lid}:pet` },
+        [`fact:${personal}:hobby`]: { type: 'fact', sourceId: `${personal}:hobby` }
+      }
+    },
+    participantsRegistry: {
+      [personal]: { id: personal, name: 'Budi', chats: [personal], totalMessages: 4, firstSeen: '2026-09-01T00:00:00.000Z' },
+      [lid]: { id: lid, name: 'Budi', chats: [group], totalMessages: 3, firstSeen: '2026-08-01T00:00:00.000Z' }
+    },
+    conversations: {
+      [group]: {
+        participants: { [lid]: { id: lid, name: 'Budi', messageCount: 3 } },
+        messages: [
+          { id: 'g1', sender: lid, role: 'user', content: 'aku punya kucing' },
+          { id: 'g2', sender: 'bot', role: 'assistant', content: 'lucu!' }
+        ]
+      },
+      [personal]: {
+        participants: { [personal]: { id: personal, name: 'Budi', messageCount: 4 } },
+        messages: [{ id: 'p1', sender: personal, role: 'user', content: 'halo' }]
+      }
+    },
+    contextMemory: [{ id: 'g1', sender: lid, chatId: group }]
+  });
+}
+
+async function testUserIdentities() {
+  const { check, finish } = createChecker('User Identities', 'user identity');
+
+  const db = createTestDb();
+  const links = [];
+  await quietly(() => {
+    attachUserIdentityStore(db.data.userIdentities, (personalId, groupId) => links.push([personalId, groupId]));
+    registerUserIdentity({ key: { remoteJid: personal, id: 'p1' }, pushName: 'Budi' });
+    registerUserIdentity(groupMessage(lid));
+  });
+
+  // Linking
+  check('Identities are stored in the database', db.data.userIdentities['628111']?.personalId === personal && db.data.userIdentities['275999']?.groupId === lid);
+  check('Unlinked group IDs stay separate', resolveUserId(lid) === lid && !isSameUser(lid, personal) && links.length === 0);
+
+  await quietly(() => registerUserIdentity(groupMessage(lid, { participantPn: '628111:5@s.whatsapp.net' })));
+  check('A message with both IDs links them', links.length === 1 && links[0][0] === personal && links[0][1] === lid);
+  check('The group ID record is folded into the personal one', db.data.userIdentities['628111'].groupId === lid && !db.data.userIdentities['275999']);
+  check('Linked group IDs resolve to the personal ID', resolveUserId(lid) === personal && isSameUser(lid, personal) && getUserIdentity(lid)?.phoneNumber === '628111');
+  await quietly(() => registerUserIdentity(groupMessage(lid, { participantPn: personal })));
+  check('Known links are not merged again', links.length === 1);
+
+  await quietly(() => attachUserIdentityStore(JSON.parse(JSON.stringify(db.data.userIdentities))));
+  check('Links survive a restart', resolveUserId(lid) === personal);
+  await quietly(() => attachUserIdentityStore(db.data.userIdentities));
+
+  // Merging
+  const snapshot = await quietly(() => mergeLinkedIds(db, personal, lid, new Date('2026-10-19T10:00:00.000Z')));
+  const facts = db.data.userFacts[personal].facts;
+  check('Facts of the group ID move to the personal ID', !db.data.userFacts[lid] && facts.pet?.value === 'kucing' && snapshot.copiedFactKeys.join() === 'pet');
+  check('Agreeing facts are combined', facts.hobby.confidence === 0.9 && facts.hobby.occurrences === 3);
+  check('The newer of two different values wins', facts.location.value === 'Jakarta' && facts.location.previousValues.at(-1).value === 'Bandung');
+  check('History is combined and the merge recorded', db.data.userFacts[personal].factHistory.some(entry => entry.fact === 'pet') &&
+    db.data.userFacts[personal].factHistory.at(-1).reason === 'identity-merged');
+  check('Relationships move and stale fact vectors go', db.data.factRelationships[`${personal}:hobby:pet`]?.userId === personal &&
+    !db.data.vectorIndex.entries[`fact:${lid}:pet`] && db.data.vectorIndex.entries[`fact:${personal}:hobby`]);
+  const registry = db.data.participantsRegistry[personal];
+  check('Participant registry is combined', !db.data.participantsRegistry[lid] && registry.totalMessages === 7 &&
+    registry.chats.length === 2 && registry.firstSeen === '2026-08-01T00:00:00.000Z');
+  const groupChat = db.data.conversations[group];
+  check('Group participation moves to the personal ID', !groupChat.participants[lid] && groupChat.participants[personal].messageCount === 3);
+  check('Messages are attributed to the personal ID', groupChat.messages[0].sender === personal && db.data.contextMemory[0].sender === personal);
+  check('The merge is kept with the identity and saved', db.data.userIdentities['628111'].merges.length === 1 && db.writes === 1);
+
+  // Something learned after the merge
+  facts.pet.value = 'anjing';
+  facts.hobby.value = 'main gitar';
+
+  // Splitting
+  const split = await quietly(() => splitUserIds(db, lid, personal));
+  check('Split succeeds with the IDs in any order', split.success && resolveUserId(lid) === lid && !isSameUser(lid, personal));
+  check('The group ID gets its facts back', db.data.userFacts[lid].facts.pet.value === 'kucing' && db.data.userFacts[lid].facts.location.value === 'Jakarta');
+  check('Facts changed since the merge stay with the personal ID', facts.pet?.value === 'anjing');
+  check('Registry and participation are given back', db.data.participantsRegistry[lid].totalMessages === 3 && registry.totalMessages === 4 &&
+    groupChat.participants[lid].messageCount === 3 && groupChat.participants[personal].messageCount === 0);
+  check('Messages go back to the group ID', groupChat.messages[0].sender === lid && !groupChat.messages[0].mergedFrom && db.data.contextMemory[0].sender === lid);
+  check('The identity has no merge left', db.data.userIdentities['628111'].merges.length === 0 && db.data.userIdentities['275999']?.groupId === lid);
+
+  await quietly(() => registerUserIdentity(groupMessage(lid, { participantPn: personal })));
+  check('Split IDs are not linked again automatically', links.length === 1 && resolveUserId(lid) === lid);
+  check('Splitting unlinked IDs fails', !(await quietly(() => splitUserIds(db, lid, personal))).success);
+
+  // Manual merge
+  check('Merging needs a group and a personal ID', !(await mergeUserIds(db, personal, '628222@s.whatsapp.net')).success);
+  const merged = await quietly(() => mergeUserIds(db, personal, lid));
+  check('An admin can link split IDs again', merged.success && resolveUserId(lid) === personal && !db.data.userFacts[lid]);
+  check('Linking twice is refused', !(await quietly(() => mergeUserIds(db, lid, personal))).success);
+
+  // Forgetting
+  check('Forgotten identities are removed', await quietly(() => forgetUserIdentity(personal)) && !db.data.userIdentities['628111'] && resolveUserId(lid) === lid);
+
+  finish();
+}
+
+// Run the test
+testUserIdentities();
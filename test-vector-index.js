@@ -0,0 +1,181 @@
+// Test the vector index: indexing, chat-scoped search, pruning, per-chat document limits and embedding requests
+import axios from 'axios';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createChecker, setupTestDatabase, quietly } from './test-helpers.js';
+import { flushScheduledWrite } from './src/database/index.js';
+import { createLowdbStorage } from './src/database/lowdbStorage.js';
+import {
+  MAX_VECTOR_ENTRIES,
+  indexVectorEntries,
+  indexVectorEntry,
+  removeVectorEntry,
+  searchVectors,
+  rebuildVectorIndex,
+  getVectorIndexStats
+} from './src/services/vectorIndexService.js';
+import { MAX_CHAT_DOCUMENT_CHUNKS, makeRoomForDocument, listDocuments } from './src/services/documentService.js';
+import { embedTexts, getEmbeddingSettings } from './src/services/embeddingService.js';
+import { getUsageDate } from './src/services/usageService.js';
+import { CIRCUIT_BREAKER_CONFIG, recordRequestResult } from './src/services/rateLimitService.js';
+
+const group = '120363@g.us';
+const otherGroup = '120364@g.us';
+
+// Document record with its chunks in the index
+async function addDocument(db, chatId, id, chunkCount, uploadedAt) {
+  db.data.chatDocuments[id] = { id, chatId, fileName: `${id}.pdf`, chunkCount, uploadedAt };
+  await indexVectorEntries(Array.from({ length: chunkCount }, (_, i) => ({
+    type: 'document',
+    sourceId: `${id}:${i}`,
+    text: `bagian ${i} dari dokumen ${id}`,
+    metadata: { chatId, docId: id, chunk: i }
+  })), { write: false });
+}
+
+// lowdb keeps the vectors in their own file and only rewrites it when entries change
+async function testVectorFile(check) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qi-test-'));
+  const file = path.join(dir, 'db.json');
+  const entry = { type: 'fact', sourceId: 'a:hobby', vector: [0.6, 0.8] };
+
+  try {
+    // A database from before the split, with the index inside db.json
+    fs.writeFileSync(file, JSON.stringify({ config: {}, vectorIndex: { entries: { 'fact:a:hobby': entry } } }));
+    const storage = await createLowdbStorage(file);
+    await storage.read();
+    await storage.write();
+    check('The vector index moves out of db.json', !JSON.parse(fs.readFileSync(file, 'utf8')).vectorIndex &&
+      JSON.parse(fs.readFileSync(storage.vectorFile, 'utf8')).entries['fact:a:hobby'].vector.length === 2);
+
+    fs.writeFileSync(storage.vectorFile, 'unchanged');
+    storage.data.config.botName = 'Qi';
+    await storage.write();
+    check('Writes without index changes leave the vector file alone', fs.readFileSync(storage.vectorFile, 'utf8') === 'unchanged');
+
+    storage.data.vectorIndex.entries['fact:b:job'] = { ...entry, sourceId: 'b:job' };
+    delete storage.data.vectorIndex.entries['fact:a:hobby'];
+    await storage.write();
+    check('Added and removed entries rewrite the vector file', Object.keys(JSON.parse(fs.readFileSync(storage.vectorFile, 'utf8')).entries).join() === 'fact:b:job');
+
+    const reopened = await createLowdbStorage(file);
+    await reopened.read();
+    check('The index is read back from its file', reopened.data.vectorIndex.entries['fact:b:job']?.sourceId === 'b:job');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testVectorIndex() {
+  const { check, finish } = createChecker('Vector Index', 'vector index');
+  const { db, cleanup } = await setupTestDatabase();
+  db.data.chatDocuments = {};
+
+  let writes = 0;
+  const write = db.write.bind(db);
+  db.write = async () => {
+    writes++;
+    return write();
+  };
+
+  try {
+    // Indexing and search
+    await indexVectorEntry('message', `${group}:m1`, 'Besok rapat tim jam tujuh pagi di kantor', { chatId: group, userId: 'a' }, { deferWrite: true });
+    await indexVectorEntry('message', `${otherGroup}:m2`, 'Rapat tim besok jam tujuh pagi di kantor', { chatId: otherGroup, userId: 'b' }, { deferWrite: true });
+    check('Message indexing is saved with a deferred write', writes === 0 && getVectorIndexStats().byType.message === 2);
+    await flushScheduledWrite();
+    check('The deferred write saves the entries', writes === 1);
+
+    check('Unchanged text is not embedded again', !(await indexVectorEntry('message', `${group}:m1`, 'Besok rapat tim jam tujuh pagi di kantor', { chatId: group })));
+
+    const matches = await searchVectors('kapan rapat tim?', { chatId: group });
+    check('Similar messages are found', matches[0]?.sourceId === `${group}:m1` && matches[0].relevance > 0);
+    check('Messages of other chats are not found', !matches.some(match => match.metadata.chatId === otherGroup));
+
+    // Web pages belong to the chat that fetched them
+    await indexVectorEntry('web', 'content_1', 'Resep rendang padang daging sapi bumbu', { url: 'https://resep.id/rendang', chatId: group });
+    await indexVectorEntry('web', 'content_2', 'Resep rendang padang daging sapi santan', { url: 'https://resep.id/rendang2' });
+    const recipe = await searchVectors('resep rendang', { types: ['web'], chatId: group });
+    check('Web pages are found in the chat that fetched them', recipe.length === 1 && recipe[0].sourceId === 'content_1');
+    check('Web pages are not found in other chats', (await searchVectors('resep rendang', { types: ['web'], chatId: otherGroup })).length === 0);
+
+    // Facts follow the user, not the chat
+    await indexVectorEntry('fact', 'a:hobby', 'hobi main gitar akustik', { userId: 'a' });
+    check('Facts are found from any chat', (await searchVectors('gitar', { types: ['fact'], chatId: otherGroup, userId: 'a' })).length === 1);
+    check('Removed entries are no longer found', removeVectorEntry('fact', 'a:hobby') && (await searchVectors('gitar', { types: ['fact'] })).length === 0);
+
+    // Pruning keeps the newest entries of a type
+    const messageLimit = MAX_VECTOR_ENTRIES.message;
+    MAX_VECTOR_ENTRIES.message = 3;
+    for (let i = 0; i < 4; i++) {
+      await new Promise(resolve => setTimeout(resolve, 2));
+      await indexVectorEntry('message', `${group}:p${i}`, `pesan nomor ${i} tentang liburan`, { chatId: group }, { write: false });
+    }
+    MAX_VECTOR_ENTRIES.message = messageLimit;
+    const entries = db.data.vectorIndex.entries;
+    check('The oldest entries are pruned above the limit', getVectorIndexStats().byType.message === 3 && !entries[`message:${group}:m1`] && entries[`message:${group}:p3`]);
+
+    // Documents are limited per chat, whole documents at a time
+    check('Document chunks are not pruned by the global limit', MAX_VECTOR_ENTRIES.document === undefined);
+    const half = MAX_CHAT_DOCUMENT_CHUNKS / 2;
+    await addDocument(db, group, 'old', 3, '2026-10-01T00:00:00.000Z');
+    await addDocument(db, group, 'mid', half, '2026-10-02T00:00:00.000Z');
+    await addDocument(db, otherGroup, 'other', 3, '2026-09-01T00:00:00.000Z');
+    check('A document that fits removes nothing', makeRoomForDocument(db, group, half - 3).length === 0);
+    const evicted = makeRoomForDocument(db, group, half);
+    check('The oldest documents of the chat make room', evicted.map(doc => doc.id).join() === 'old' &&
+      listDocuments(group).map(doc => doc.id).join() === 'mid');
+    check('Removed documents take their chunks along', !entries['document:old:0'] && entries[`document:mid:${half - 1}`]);
+    check('Documents of other chats are kept', listDocuments(otherGroup).length === 1 && entries['document:other:2']);
+
+    // Gemini embeddings send the API key in a header
+    const post = axios.post;
+    const sent = [];
+    axios.post = async (url, data, options) => {
+      sent.push({ url, options });
+      return { data: { embeddings: data.requests.map(() => ({ values: [0.6, 0.8] })) } };
+    };
+    try {
+      const result = await embedTexts(['kucing oren'], { geminiApiKey: 'secret-key', embedding: { provider: 'gemini' } });
+      check('Gemini embeddings are requested', result.model === 'gemini/text-embedding-004' && result.vectors[0].length === 2);
+      check('The Gemini API key is sent in a header, not the URL', !sent[0].url.includes('secret-key') &&
+        sent[0].options.headers['x-goog-api-key'] === 'secret-key');
+
+      const geminiConfig = { ...db.data.config, geminiApiKey: 'secret-key', embedding: { provider: 'gemini' } };
+      await embedTexts(['rapat besok pagi'], geminiConfig, { chatId: group });
+      const day = db.data.usageStats[getUsageDate()];
+      check('Embedding requests are counted as their own purpose and for the chat', day.purposes.embedding?.requests === 2 &&
+        day.models['gemini/text-embedding-004']?.promptTokens > 0 && day.chats[group]?.requests === 1);
+
+      for (let i = 0; i < CIRCUIT_BREAKER_CONFIG.failureThreshold; i++) {
+        await quietly(() => recordRequestResult('gemini', 'text-embedding-004', { success: false, reason: 'server_error' }));
+      }
+      const blocked = await quietly(() => embedTexts(['jadwal piket minggu ini'], geminiConfig));
+      check('Rate limits apply to embeddings, falling back to builtin', sent.length === 2 && blocked.model.startsWith('builtin/'));
+    } finally {
+      axios.post = post;
+    }
+
+    // Default backend
+    check('Without a configured backend Gemini is used when its key is set', getEmbeddingSettings({ geminiApiKey: 'secret-key' }).id === 'gemini/text-embedding-004');
+    check('Offline installs embed with the local server', getEmbeddingSettings({ defaultProvider: 'local', geminiApiKey: 'secret-key' }).provider === 'local');
+    const lexical = getEmbeddingSettings({});
+    check('Builtin is the last resort and marked lexical', lexical.provider === 'builtin' && lexical.lexical);
+
+    // Switching backends
+    db.data.config.embedding = { provider: 'gemini' };
+    check('Entries of another model are counted as stale', getVectorIndexStats().stale === getVectorIndexStats().total);
+    db.data.config.embedding = { provider: 'builtin' };
+    check('Rebuilding with the active model has nothing to do', (await quietly(() => rebuildVectorIndex())).reindexed === 0);
+  } finally {
+    cleanup();
+  }
+
+  await testVectorFile(check);
+
+  finish();
+}
+
+// Run the test
+testVectorIndex();